@@ -0,0 +1,34 @@
+/**
+ * Backfill `buyerKeys` docs (see src/buyers/buyerStore.js)
+ *
+ * Buyers written before lookup key docs existed can't be found by their
+ * LinkedIn URL, domain, employer or name until they have them. Run once after
+ * upgrading:
+ *   npm run backfill-buyers
+ */
+
+const dotenv = require('dotenv');
+const { getSDK } = require('../src/sdk');
+const { createRepository } = require('../src/repository/repository');
+const { createBuyerStore } = require('../src/buyers/buyerStore');
+
+dotenv.config();
+
+async function main() {
+  const sdk = getSDK({ mode: process.env.FN7_SDK_MODE || 'local' });
+  const repository = createRepository({ sdk });
+  const buyerStore = createBuyerStore({ sdk, repository });
+
+  const buyers = await repository.find('buyers');
+  let updated = 0;
+  for (const buyer of buyers) {
+    if (await buyerStore.backfillLookupKeys(buyer)) updated++;
+  }
+
+  console.log(`Backfilled lookup keys on ${updated} of ${buyers.length} buyers.`);
+}
+
+main().catch((error) => {
+  console.error('Backfill failed:', error);
+  process.exit(1);
+});
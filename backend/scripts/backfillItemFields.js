@@ -0,0 +1,38 @@
+/**
+ * Backfill the stored fields item queries filter and sort on
+ * (archived, hasContact, sortName; see src/repository/itemQuery.js)
+ *
+ * Items written before these fields existed are left out of
+ * GET /leadsets/:id/items until they have them. Run once after upgrading:
+ *   npm run backfill-items
+ */
+
+const dotenv = require('dotenv');
+const { getSDK } = require('../src/sdk');
+const { createRepository } = require('../src/repository/repository');
+const { getItemQueryFields } = require('../src/repository/itemQuery');
+
+dotenv.config();
+
+async function main() {
+  const sdk = getSDK({ mode: process.env.FN7_SDK_MODE || 'local' });
+  const repository = createRepository({ sdk });
+
+  const items = await repository.find('items');
+  let updated = 0;
+  for (const item of items) {
+    const fields = getItemQueryFields(item);
+    const unchanged = Object.entries(fields).every(([field, value]) => item[field] === value);
+    if (unchanged) continue;
+
+    await sdk.updateFirebaseData('items', item.id || item.itemId, fields);
+    updated++;
+  }
+
+  console.log(`Backfilled query fields on ${updated} of ${items.length} items.`);
+}
+
+main().catch((error) => {
+  console.error('Backfill failed:', error);
+  process.exit(1);
+});
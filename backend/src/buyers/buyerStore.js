@@ -0,0 +1,404 @@
+/**
+ * Buyer Store
+ * Resolves items from every leadset and run to `buyers` documents, so one
+ * company or person found in several leadsets is tracked once and enrichment
+ * bought for it in one leadset can be reused in another.
+ *
+ * Buyer document:
+ * {
+ *   id, entityType, name, domain, linkedinUrl,
+ *   domains, linkedins, names, employers,   // every normalised key seen (./identity)
+ *   lookupKeys,                             // keys written as buyerKeys docs
+ *   items: { [itemId]: leadsetId },         // linked items
+ *   leadsetIds, itemCount,
+ *   enrichment: { [field]: value },         // first value found per field
+ *   enrichmentSources: { [field]: { itemId, leadsetId, recordedAt } },
+ *   createdAt, updatedAt
+ * }
+ *
+ * Items point back at their buyer through `buyerId`. Buyers outlive their
+ * items: when items are deleted the buyer keeps its enrichment for reuse.
+ *
+ * Every key a buyer can be found by (LinkedIn URL, domain, a person's employer,
+ * a company's name blocks) is also stored as a `buyerKeys` doc { key, buyerId },
+ * so matching an item is an equality query per key followed by reads of the
+ * buyers it names, never a read of the whole collection.
+ */
+
+const crypto = require('crypto')
+const { getIdentityKeys, matchesBuyer, getNameBlocks, hasValue } = require('./identity')
+
+function getItemKey(item) {
+  return String(item.itemId || item.id || '')
+}
+
+function addKey(list, key) {
+  if (!key || list.includes(key)) return false
+  list.push(key)
+  return true
+}
+
+function getBuyerId(keys, itemId) {
+  const seed = keys.linkedin || keys.domain || (keys.name && `${keys.name}|${keys.employer}`) || itemId
+  return `buyer_${crypto.createHash('sha1').update(`${keys.entityType}:${seed}`).digest('hex').slice(0, 20)}`
+}
+
+function getKeyDocId(key, buyerId) {
+  return `bkey_${crypto.createHash('sha1').update(`${key}|${buyerId}`).digest('hex').slice(0, 24)}`
+}
+
+/**
+ * Keys a buyer is found by; people only match by name at the same employer
+ */
+function getLookupKeys(buyer) {
+  const { entityType } = buyer
+  const nameKeys = entityType === 'person'
+    ? buyer.employers.map(employer => `person:employer:${employer}`)
+    : [...new Set(buyer.names.flatMap(getNameBlocks))].map(block => `${entityType}:nameBlock:${block}`)
+  return [
+    ...buyer.linkedins.map(linkedin => `${entityType}:linkedin:${linkedin}`),
+    ...buyer.domains.map(domain => `${entityType}:domain:${domain}`),
+    ...nameKeys,
+  ]
+}
+
+function withKeyLists(buyer) {
+  return {
+    ...buyer,
+    domains: buyer.domains || [],
+    linkedins: buyer.linkedins || [],
+    names: buyer.names || [],
+    employers: buyer.employers || [],
+    items: buyer.items || {},
+    enrichment: buyer.enrichment || {},
+    enrichmentSources: buyer.enrichmentSources || {},
+  }
+}
+
+/**
+ * Lookup over the buyers loaded so far: exact LinkedIn / domain / name hits
+ * first, then a fuzzy name scan over the loaded candidates.
+ */
+function createBuyerIndex(buyers) {
+  const byId = new Map()
+  const byKey = new Map()
+
+  function indexKeys(buyer) {
+    buyer.linkedins.forEach(key => byKey.set(`linkedin:${key}`, buyer))
+    buyer.domains.forEach(key => byKey.set(`${buyer.entityType}:domain:${key}`, buyer))
+    buyer.names.forEach(key => byKey.set(`${buyer.entityType}:name:${key}`, buyer))
+  }
+
+  function add(buyer) {
+    byId.set(buyer.id, buyer)
+    indexKeys(buyer)
+  }
+
+  function match(keys) {
+    const candidates = [
+      keys.linkedin && byKey.get(`linkedin:${keys.linkedin}`),
+      keys.domain && byKey.get(`${keys.entityType}:domain:${keys.domain}`),
+      keys.name && byKey.get(`${keys.entityType}:name:${keys.name}`),
+    ].filter(Boolean)
+    const exact = candidates.find(candidate => matchesBuyer(keys, candidate))
+    if (exact) return exact
+    if (!keys.name) return null
+    for (const buyer of byId.values()) {
+      if (matchesBuyer(keys, buyer)) return buyer
+    }
+    return null
+  }
+
+  buyers.forEach(add)
+  return { get: id => byId.get(id) || null, add, reindex: indexKeys, match }
+}
+
+/**
+ * Create a buyer store
+ * @param {Object} options
+ * @param {Object} options.sdk - FN7 SDK instance
+ * @param {Object} options.repository - Document repository (../repository)
+ * @param {Function} [options.now] - Clock
+ */
+function createBuyerStore({ sdk, repository, now = () => new Date() }) {
+  /**
+   * Buyers read for one resolve, fetched by id or by the keys an item carries
+   * Each candidate query runs once per lookup.
+   */
+  function createBuyerLookup() {
+    const index = createBuyerIndex([])
+    const queried = new Set()
+
+    function load(buyers) {
+      buyers.filter(buyer => !index.get(buyer.id)).forEach(buyer => index.add(withKeyLists(buyer)))
+    }
+
+    async function query(key) {
+      if (queried.has(key)) return
+      queried.add(key)
+      const buyerIds = [...new Set((await repository.find('buyerKeys', { key })).map(doc => doc.buyerId))]
+      const buyers = await Promise.all(buyerIds.filter(id => !index.get(id)).map(id => repository.get('buyers', id)))
+      load(buyers.filter(Boolean))
+    }
+
+    /**
+     * The item's linked buyer, else the known buyer matching its keys
+     */
+    async function find(item, keys) {
+      if (item.buyerId) {
+        if (!index.get(item.buyerId) && !queried.has(item.buyerId)) {
+          queried.add(item.buyerId)
+          const linked = await repository.get('buyers', item.buyerId)
+          if (linked) load([linked])
+        }
+        if (index.get(item.buyerId)) return index.get(item.buyerId)
+      }
+
+      const { entityType } = keys
+      const nameKeys = !keys.name ? []
+        // People only match by name at the same employer or domain
+        : entityType === 'person' ? (keys.employer ? [`person:employer:${keys.employer}`] : [])
+          : getNameBlocks(keys.name).map(block => `${entityType}:nameBlock:${block}`)
+      await Promise.all([
+        keys.linkedin && `${entityType}:linkedin:${keys.linkedin}`,
+        keys.domain && `${entityType}:domain:${keys.domain}`,
+        ...nameKeys,
+      ].filter(Boolean).map(query))
+      return index.match(keys)
+    }
+
+    return { find, get: index.get, add: index.add, reindex: index.reindex }
+  }
+
+  function createBuyer(keys, item, timestamp) {
+    const entity = item.entity || {}
+    return withKeyLists({
+      id: getBuyerId(keys, getItemKey(item)),
+      entityType: keys.entityType,
+      name: (keys.entityType === 'person' ? entity.name : (entity.company || entity.name)) || '',
+      domain: keys.domain,
+      linkedinUrl: keys.linkedin,
+      leadsetIds: [],
+      itemCount: 0,
+      createdAt: timestamp,
+    })
+  }
+
+  /**
+   * Fold an item's keys, link and enrichment values into its buyer
+   * @returns {boolean} Whether the buyer changed
+   */
+  function absorbItem(buyer, item, keys, timestamp) {
+    const itemId = getItemKey(item)
+    let changed = false
+
+    changed = addKey(buyer.linkedins, keys.linkedin) || changed
+    changed = addKey(buyer.domains, keys.domain) || changed
+    changed = addKey(buyer.names, keys.name) || changed
+    changed = addKey(buyer.employers, keys.employer) || changed
+    if (!buyer.domain && keys.domain) buyer.domain = keys.domain
+    if (!buyer.linkedinUrl && keys.linkedin) buyer.linkedinUrl = keys.linkedin
+
+    if (buyer.items[itemId] !== item.leadsetId) {
+      buyer.items[itemId] = item.leadsetId
+      changed = true
+    }
+
+    Object.entries(item.enrichment || {}).forEach(([field, value]) => {
+      if (field === 'status' || field === 'flags' || !hasValue(value) || hasValue(buyer.enrichment[field])) return
+      buyer.enrichment[field] = value
+      buyer.enrichmentSources[field] = { itemId, leadsetId: item.leadsetId, recordedAt: timestamp }
+      changed = true
+    })
+
+    return changed
+  }
+
+  /**
+   * Fold a buyer built in this resolve into the stored one with the same id
+   */
+  function mergeBuyers(stored, buyer) {
+    const merged = withKeyLists(stored)
+    ;['linkedins', 'domains', 'names', 'employers'].forEach((list) => {
+      buyer[list].forEach(key => addKey(merged[list], key))
+    })
+    if (!merged.domain) merged.domain = buyer.domain
+    if (!merged.linkedinUrl) merged.linkedinUrl = buyer.linkedinUrl
+    merged.items = { ...merged.items, ...buyer.items }
+    Object.entries(buyer.enrichment).forEach(([field, value]) => {
+      if (hasValue(merged.enrichment[field])) return
+      merged.enrichment[field] = value
+      merged.enrichmentSources[field] = buyer.enrichmentSources[field]
+    })
+    return merged
+  }
+
+  function withLinkCounts(buyer) {
+    const leadsetIds = [...new Set(Object.values(buyer.items).filter(Boolean))]
+    return { ...buyer, lookupKeys: getLookupKeys(buyer), leadsetIds, itemCount: Object.keys(buyer.items).length }
+  }
+
+  /**
+   * Write the buyerKeys docs for keys the buyer didn't have yet
+   */
+  async function saveLookupKeys(doc, previousKeys = []) {
+    const added = doc.lookupKeys.filter(key => !previousKeys.includes(key))
+    await Promise.all(added.map(key =>
+      // Already written by a concurrent resolve when the create fails
+      sdk.createFirebaseData('buyerKeys', getKeyDocId(key, doc.id), { key, buyerId: doc.id, createdAt: doc.updatedAt }).catch(() => null)
+    ))
+  }
+
+  /**
+   * Write a buyer; a new buyer another resolve created first (buyer ids derive
+   * from the identity keys) is merged into the stored one and updated instead
+   */
+  async function saveBuyer(buyer, isNew, timestamp) {
+    if (isNew) {
+      const doc = { ...withLinkCounts(buyer), updatedAt: timestamp }
+      try {
+        await sdk.createFirebaseData('buyers', doc.id, doc)
+        await saveLookupKeys(doc)
+        return doc
+      } catch (err) {
+        const stored = await repository.get('buyers', doc.id)
+        if (!stored) throw err
+        console.log(`[Buyers] ${doc.id} was created concurrently, merging`)
+        buyer = mergeBuyers(stored, buyer)
+      }
+    }
+    const doc = { ...withLinkCounts(buyer), updatedAt: timestamp }
+    await sdk.updateFirebaseData('buyers', doc.id, doc)
+    await saveLookupKeys(doc, buyer.lookupKeys)
+    return doc
+  }
+
+  /**
+   * Link a leadset's items to buyers, creating buyers for new identities and
+   * recording enrichment values the items carry
+   * @param {string} leadsetId
+   * @returns {Promise<{ linked: number, created: number, updated: number, leadsetIds: string[] }>}
+   *   leadsetIds are every leadset sharing a buyer that changed
+   */
+  async function resolveLeadset(leadsetId) {
+    const timestamp = now().toISOString()
+    const items = await repository.listItems({ leadsetId })
+    const lookup = createBuyerLookup()
+    const created = new Set()
+    const changed = new Set()
+    const links = []
+
+    for (const item of items) {
+      if (!getItemKey(item)) continue
+      const keys = getIdentityKeys(item)
+      let buyer = await lookup.find(item, keys)
+      if (!buyer) {
+        buyer = createBuyer(keys, item, timestamp)
+        lookup.add(buyer)
+        created.add(buyer.id)
+      }
+      if (absorbItem(buyer, item, keys, timestamp)) {
+        changed.add(buyer.id)
+        lookup.reindex(buyer)
+      }
+      if (item.buyerId !== buyer.id) links.push({ item, buyerId: buyer.id })
+    }
+
+    const leadsetIds = new Set()
+    for (const buyerId of changed) {
+      const doc = await saveBuyer(lookup.get(buyerId), created.has(buyerId), timestamp)
+      doc.leadsetIds.forEach(id => leadsetIds.add(id))
+    }
+    for (const { item, buyerId } of links) {
+      await sdk.updateFirebaseData('items', item.id || item.itemId, { buyerId, updatedAt: timestamp }).catch((err) => {
+        console.warn(`[Buyers] Could not link item ${getItemKey(item)}: ${err.message}`)
+      })
+    }
+
+    return {
+      linked: links.length,
+      created: created.size,
+      updated: changed.size - created.size,
+      leadsetIds: [...leadsetIds],
+    }
+  }
+
+  /**
+   * Drop deleted items from their buyers; buyers and their enrichment are kept
+   * @param {Array} items - Item docs about to be (or just) deleted
+   */
+  async function unlinkItems(items) {
+    const byBuyer = new Map()
+    items.filter(item => item.buyerId).forEach((item) => {
+      if (!byBuyer.has(item.buyerId)) byBuyer.set(item.buyerId, [])
+      byBuyer.get(item.buyerId).push(getItemKey(item))
+    })
+
+    const timestamp = now().toISOString()
+    for (const [buyerId, itemIds] of byBuyer) {
+      const buyer = await repository.get('buyers', buyerId)
+      if (!buyer) continue
+      const remaining = { ...(buyer.items || {}) }
+      itemIds.forEach((itemId) => { delete remaining[itemId] })
+      await saveBuyer(withKeyLists({ ...buyer, items: remaining }), false, timestamp).catch((err) => {
+        console.warn(`[Buyers] Could not unlink items from ${buyerId}: ${err.message}`)
+      })
+    }
+  }
+
+  /**
+   * Enrichment already held by the buyers of `items`
+   * Only items whose buyer has a value for every requested field are returned;
+   * items not linked yet are matched against known buyers.
+   * @param {Array} items - Item docs
+   * @param {string[]} fields - Requested enrichment fields
+   * @returns {Promise<Map<string, { buyerId, values, sources }>>} keyed by item id
+   */
+  async function findReusableEnrichment(items, fields) {
+    const reusable = new Map()
+    if (!items.length || !fields.length) return reusable
+
+    const lookup = createBuyerLookup()
+    for (const item of items) {
+      const buyer = await lookup.find(item, getIdentityKeys(item))
+      if (!buyer || !fields.every(field => hasValue(buyer.enrichment[field]))) continue
+      const values = {}
+      const sources = {}
+      fields.forEach((field) => {
+        values[field] = buyer.enrichment[field]
+        sources[field] = { buyerId: buyer.id, ...(buyer.enrichmentSources[field] || {}) }
+      })
+      reusable.set(getItemKey(item), { buyerId: buyer.id, values, sources })
+    }
+    return reusable
+  }
+
+  /**
+   * Buyers by id
+   * @param {string[]} buyerIds
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async function getBuyers(buyerIds) {
+    const ids = [...new Set(buyerIds.filter(Boolean))]
+    const buyers = await Promise.all(ids.map(id => repository.get('buyers', id)))
+    return new Map(buyers.filter(Boolean).map(buyer => [buyer.id, buyer]))
+  }
+
+  /**
+   * Write the buyerKeys docs of a buyer stored before they existed
+   * @returns {Promise<boolean>} Whether the buyer was missing keys
+   */
+  async function backfillLookupKeys(stored) {
+    const buyer = withKeyLists(stored)
+    const lookupKeys = getLookupKeys(buyer)
+    const current = stored.lookupKeys || []
+    if (lookupKeys.every(key => current.includes(key))) return false
+    await saveLookupKeys({ id: buyer.id, lookupKeys, updatedAt: now().toISOString() })
+    await sdk.updateFirebaseData('buyers', buyer.id, { lookupKeys })
+    return true
+  }
+
+  return { resolveLeadset, unlinkItems, findReusableEnrichment, getBuyers, backfillLookupKeys }
+}
+
+module.exports = { createBuyerStore }
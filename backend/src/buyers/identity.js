@@ -0,0 +1,196 @@
+/**
+ * Buyer Identity
+ * Normalises the identifiers items carry (domain, LinkedIn URL, name) and
+ * decides whether an item is the same buyer as one already known.
+ *
+ * Matching, in order:
+ *   linkedin  same normalised LinkedIn profile/page (companies and people)
+ *   domain    same registrable host (companies only; a person's domain is
+ *             their employer's, so it never identifies them on its own)
+ *   name      name similarity >= NAME_MATCH_THRESHOLD within the same entity
+ *             type, as long as neither domain nor LinkedIn contradicts it.
+ *             People also need the same employer.
+ */
+
+const NAME_MATCH_THRESHOLD = 0.9
+
+// Hosts that belong to a platform rather than to the buyer
+const SHARED_HOSTS = [
+  'linkedin.com',
+  'facebook.com',
+  'instagram.com',
+  'twitter.com',
+  'x.com',
+  'youtube.com',
+  'tiktok.com',
+  'medium.com',
+  'github.com',
+  'crunchbase.com',
+  'wikipedia.org',
+]
+
+// Legal forms dropped from company names before comparing them
+const LEGAL_SUFFIXES = [
+  'inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'co', 'corp', 'corporation',
+  'company', 'plc', 'gmbh', 'ag', 'sa', 'sas', 'srl', 'bv', 'nv', 'pty', 'oy', 'ab',
+]
+
+// Enrichment values Exa returns when it found nothing
+const EMPTY_VALUES = ['', 'not found', 'n/a', 'none', 'unknown']
+
+function hasValue(value) {
+  if (value === null || value === undefined || value === false) return false
+  if (typeof value === 'string') return !EMPTY_VALUES.includes(value.trim().toLowerCase())
+  return true
+}
+
+function isSharedHost(host) {
+  return SHARED_HOSTS.some(shared => host === shared || host.endsWith(`.${shared}`))
+}
+
+/**
+ * 'https://www.Acme.com/about' -> 'acme.com'; '' for platform hosts
+ */
+function normalizeDomain(value) {
+  if (!hasValue(value)) return ''
+  let host = String(value).trim().toLowerCase()
+  try {
+    host = new URL(/^[a-z]+:\/\//.test(host) ? host : `http://${host}`).hostname
+  } catch (err) {
+    return ''
+  }
+  host = host.replace(/^www\d*\./, '').replace(/\.$/, '')
+  if (!host.includes('.') || isSharedHost(host)) return ''
+  return host
+}
+
+/**
+ * 'https://uk.linkedin.com/in/Jane-Doe/?trk=x' -> 'linkedin.com/in/jane-doe'
+ */
+function normalizeLinkedinUrl(value) {
+  if (!hasValue(value)) return ''
+  const text = String(value).trim().toLowerCase()
+  try {
+    const url = new URL(/^[a-z]+:\/\//.test(text) ? text : `https://${text}`)
+    if (!/(^|\.)linkedin\.com$/.test(url.hostname)) return ''
+    const [kind, slug] = url.pathname.split('/').filter(Boolean)
+    if (!kind || !slug) return ''
+    return `linkedin.com/${kind}/${decodeURIComponent(slug)}`
+  } catch (err) {
+    return ''
+  }
+}
+
+/**
+ * 'Acme, Inc.' -> 'acme'; 'Zoë Ortiz' -> 'zoe ortiz'
+ */
+function normalizeName(value) {
+  if (!hasValue(value)) return ''
+  const tokens = String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+  while (tokens.length > 1 && LEGAL_SUFFIXES.includes(tokens[tokens.length - 1])) tokens.pop()
+  return tokens.join(' ')
+}
+
+function bigrams(text) {
+  const compact = text.replace(/ /g, '')
+  const grams = new Map()
+  for (let i = 0; i < compact.length - 1; i += 1) {
+    const gram = compact.slice(i, i + 2)
+    grams.set(gram, (grams.get(gram) || 0) + 1)
+  }
+  return grams
+}
+
+/**
+ * Dice coefficient over character bigrams of two normalised names (0..1)
+ */
+function nameSimilarity(a, b) {
+  if (!a || !b) return 0
+  if (a === b) return 1
+  const left = bigrams(a)
+  const right = bigrams(b)
+  let total = 0
+  let shared = 0
+  left.forEach((count, gram) => {
+    total += count
+    shared += Math.min(count, right.get(gram) || 0)
+  })
+  right.forEach((count) => { total += count })
+  return total ? (2 * shared) / total : 0
+}
+
+/**
+ * Keys for looking up fuzzy name matches: the first and last three characters
+ * Names NAME_MATCH_THRESHOLD alike share at least one of them unless they
+ * are very long, since every differing character costs two bigrams.
+ * 'acme labs' -> ['^acm', 'abs$']
+ */
+function getNameBlocks(name) {
+  const compact = String(name || '').replace(/ /g, '')
+  if (!compact) return []
+  return [...new Set([`^${compact.slice(0, 3)}`, `${compact.slice(-3)}$`])]
+}
+
+/**
+ * Identity keys of an item
+ * @param {Object} item - Item doc (see transformExaItem)
+ * @returns {{ entityType, linkedin, domain, name, employer }}
+ */
+function getIdentityKeys(item) {
+  const entity = item.entity || {}
+  const entityType = item.entityType === 'person' ? 'person' : 'company'
+  const isPerson = entityType === 'person'
+  const linkedin = normalizeLinkedinUrl(entity.linkedinUrl)
+    || normalizeLinkedinUrl(item.enrichment?.linkedinUrl)
+    || normalizeLinkedinUrl(item.sourceUrl)
+  const domain = normalizeDomain(entity.domain) || (isPerson ? '' : normalizeDomain(item.sourceUrl))
+
+  return {
+    entityType,
+    linkedin,
+    domain,
+    name: normalizeName(isPerson ? entity.name : (entity.company || entity.name)),
+    employer: isPerson ? normalizeName(entity.company) : '',
+  }
+}
+
+/**
+ * Whether two sets of identity keys describe the same buyer
+ * Buyers keep every key seen on their items, so `buyer` holds arrays
+ * ({ entityType, linkedins, domains, names, employers }).
+ */
+function matchesBuyer(keys, buyer) {
+  if (keys.entityType !== buyer.entityType) return false
+  if (keys.linkedin && buyer.linkedins.includes(keys.linkedin)) return true
+  if (keys.entityType === 'company' && keys.domain && buyer.domains.includes(keys.domain)) return true
+
+  if (!keys.name) return false
+  if (keys.linkedin && buyer.linkedins.length && !buyer.linkedins.includes(keys.linkedin)) return false
+  if (keys.domain && buyer.domains.length && !buyer.domains.includes(keys.domain)) return false
+  if (keys.entityType === 'person') {
+    const sameEmployer = keys.employer && buyer.employers.includes(keys.employer)
+    const sameDomain = keys.domain && buyer.domains.includes(keys.domain)
+    if (!sameEmployer && !sameDomain) return false
+  }
+  return buyer.names.some(name => nameSimilarity(keys.name, name) >= NAME_MATCH_THRESHOLD)
+}
+
+module.exports = {
+  getIdentityKeys,
+  matchesBuyer,
+  normalizeDomain,
+  normalizeLinkedinUrl,
+  normalizeName,
+  nameSimilarity,
+  getNameBlocks,
+  hasValue,
+  NAME_MATCH_THRESHOLD,
+}
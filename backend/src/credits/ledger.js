@@ -0,0 +1,283 @@
+/**
+ * Credit Ledger
+ * Records what each workspace spends on runs and enrichments and enforces
+ * its budget before anything is sent to Exa.
+ *
+ * Storage:
+ * - Ledger entries: doc_type 'credits' (one doc per debit/refund)
+ * - Budget: settings.credits = { balance, monthlyCap }
+ *   Either may be omitted/null, which means "no limit".
+ * - Month spend: doc_type 'creditPeriods' ({ period, spent }, one doc per
+ *   month), a running total the monthly cap is enforced against
+ *
+ * Costs:
+ * - Enrichment: items x sum(per-field cost); per-field cost comes from
+ *   settings.cost.fields[field], falling back to the field's defaultCost
+ * - Run: requested leads x settings.cost.perLead (default DEFAULT_COST_PER_LEAD)
+ */
+
+const crypto = require('crypto')
+
+const DEFAULT_COST_PER_LEAD = 1
+
+/**
+ * Ledger period key for a date (UTC calendar month, e.g. '2026-10')
+ */
+function getPeriod(date = new Date()) {
+  return date.toISOString().slice(0, 7)
+}
+
+function roundCredits(amount) {
+  return Math.round(amount * 100) / 100
+}
+
+/**
+ * Net spend of the ledger entries in a period (refunds count negative)
+ */
+function sumPeriod(entries, period) {
+  return roundCredits(
+    entries
+      .filter(entry => entry.period === period)
+      .reduce((sum, entry) => sum + (entry.type === 'refund' ? -entry.amount : entry.amount), 0)
+  )
+}
+
+function toNumberOrNull(value) {
+  const parsed = typeof value === 'string' ? parseFloat(value) : value
+  return typeof parsed === 'number' && Number.isFinite(parsed) ? parsed : null
+}
+
+/**
+ * Create a credit ledger bound to an SDK instance
+ * @param {Object} options
+ * @param {Object} options.sdk - FN7 SDK instance
+ * @param {Object} options.repository - Document repository (../repository)
+ * @param {Object} options.enrichmentFields - Enrichment field definitions (for defaultCost), see ../enrichment
+ * @param {Function} [options.now] - Clock (useful for testing)
+ */
+function createCreditLedger({ sdk, repository, enrichmentFields = {}, now = () => new Date() }) {
+  const firestoreUtils = sdk.getFirestoreUtilities ? sdk.getFirestoreUtilities() : null
+
+  async function getSettings() {
+    return (await sdk.getFirebaseData('settings', 'settings').catch(() => null)) || {}
+  }
+
+  /**
+   * Estimate the cost of enriching `itemCount` items with `fields`
+   */
+  function estimateEnrichmentCost(settings, fields = [], itemCount = 0) {
+    const fieldCosts = settings?.cost?.fields || {}
+    const perItem = fields.reduce((sum, field) => {
+      const override = toNumberOrNull(fieldCosts[field])
+      return sum + (override ?? enrichmentFields[field]?.defaultCost ?? 0)
+    }, 0)
+    return { perItem: roundCredits(perItem), total: roundCredits(perItem * itemCount) }
+  }
+
+  /**
+   * Estimate the cost of a run that requests `count` leads
+   */
+  function estimateRunCost(settings, count = 0) {
+    const perLead = toNumberOrNull(settings?.cost?.perLead) ?? DEFAULT_COST_PER_LEAD
+    return { perItem: perLead, total: roundCredits(perLead * count) }
+  }
+
+  async function listEntries() {
+    return (await repository.find('credits'))
+      .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))
+  }
+
+  /**
+   * Current balance, monthly cap and this month's net spend
+   */
+  async function getSummary(preloadedSettings = null, preloadedEntries = null) {
+    const settings = preloadedSettings || await getSettings()
+    const entries = preloadedEntries || await listEntries()
+    const period = getPeriod(now())
+
+    const monthlySpent = sumPeriod(entries, period)
+    const balance = toNumberOrNull(settings.credits?.balance)
+    const monthlyCap = toNumberOrNull(settings.credits?.monthlyCap)
+
+    return summarize(period, balance, monthlyCap, monthlySpent)
+  }
+
+  function summarize(period, balance, monthlyCap, monthlySpent) {
+    return {
+      period,
+      balance,
+      monthlyCap,
+      monthlySpent,
+      remainingThisMonth: monthlyCap === null ? null : roundCredits(Math.max(0, monthlyCap - monthlySpent)),
+    }
+  }
+
+  /**
+   * The 402 answer for a request the budget can't cover
+   * @param {'INSUFFICIENT_CREDITS' | 'MONTHLY_CAP_EXCEEDED'} code
+   */
+  function budgetError(code, required, summary) {
+    const message = code === 'INSUFFICIENT_CREDITS'
+      ? `This needs ${required} credits but the workspace balance is ${summary.balance}.`
+      : `This needs ${required} credits but only ${summary.remainingThisMonth} remain under the monthly cap of ${summary.monthlyCap}.`
+    return { ok: false, status: 402, summary, error: { error: code, code, message, required, ...summary } }
+  }
+
+  /**
+   * Pre-flight budget check
+   * Doesn't hold anything; use reserve() to take the credits for work about to start.
+   * @returns {Promise<{ ok: boolean, status?: number, error?: Object, summary: Object }>}
+   */
+  async function checkBudget(amount, preloadedSettings = null) {
+    const summary = await getSummary(preloadedSettings)
+    const required = roundCredits(amount)
+
+    if (summary.balance !== null && required > summary.balance) {
+      return budgetError('INSUFFICIENT_CREDITS', required, summary)
+    }
+    if (summary.monthlyCap !== null && summary.monthlySpent + required > summary.monthlyCap) {
+      return budgetError('MONTHLY_CAP_EXCEEDED', required, summary)
+    }
+    return { ok: true, summary }
+  }
+
+  function increment(current, delta) {
+    // Without Firestore utilities (e.g. in-memory SDKs) fall back to read-modify-write
+    return firestoreUtils?.increment ? firestoreUtils.increment(delta) : roundCredits((current || 0) + delta)
+  }
+
+  /**
+   * Move a month's running spend and read it back
+   */
+  async function movePeriodSpend(period, delta) {
+    let doc = await sdk.getFirebaseData('creditPeriods', period).catch(() => null)
+    if (!doc) {
+      // The month's first entry starts from whatever the ledger already has for it
+      doc = { id: period, period, spent: sumPeriod(await listEntries(), period) }
+      await sdk.createFirebaseData('creditPeriods', period, doc).catch(() => {}) // another entry created it first
+    }
+    await sdk.updateFirebaseData('creditPeriods', period, { spent: increment(doc.spent, delta) })
+    return toNumberOrNull((await sdk.getFirebaseData('creditPeriods', period))?.spent) ?? 0
+  }
+
+  /**
+   * Move the workspace balance and the entry's month spend by an entry
+   * Both move by atomic increments, so concurrent debits and refunds don't
+   * overwrite each other, and are read back once they have moved.
+   * @returns {Promise<{ balanceAfter: number|null, spentAfter: number }>}
+   */
+  async function moveBudget(entry) {
+    const spent = entry.type === 'refund' ? -entry.amount : entry.amount
+    const settings = await getSettings()
+    const balance = toNumberOrNull(settings.credits?.balance)
+
+    let balanceAfter = null
+    if (balance !== null) {
+      await sdk.updateFirebaseData('settings', 'settings', {
+        credits: { ...settings.credits, balance: increment(balance, -spent) },
+      })
+      balanceAfter = toNumberOrNull((await getSettings()).credits?.balance)
+    }
+    const spentAfter = await movePeriodSpend(entry.period, spent)
+    return { balanceAfter, spentAfter }
+  }
+
+  function createEntry(type, amount, details, id = null) {
+    const createdAt = now()
+    return {
+      ...details,
+      id: id || `credit_${createdAt.getTime()}_${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      amount: roundCredits(amount),
+      balanceAfter: null,
+      period: getPeriod(createdAt),
+      createdAt: createdAt.toISOString(),
+    }
+  }
+
+  function logEntry(entry) {
+    console.log(`[Credits] ${entry.type} ${entry.amount} (${entry.reason || 'unspecified'})${entry.balanceAfter !== null ? `, balance ${entry.balanceAfter}` : ''}`)
+  }
+
+  /**
+   * Write a ledger entry and move the budget by it
+   * A keyed entry is created before the budget moves and the create fails for
+   * a key that was already recorded, so retries of the same debit or refund
+   * only move it once.
+   * @param {'debit' | 'refund'} type
+   * @param {Object} [options]
+   * @param {string} [options.key] - Makes the entry once-only (e.g. 'import_failed:run_123')
+   * @returns {Promise<Object|null>} The entry, or null when the key was already recorded
+   */
+  async function recordEntry(type, amount, details = {}, { key = null } = {}) {
+    const entry = createEntry(type, amount, details,
+      key ? `credit_${type}_${crypto.createHash('sha1').update(key).digest('hex').slice(0, 24)}` : null)
+
+    if (key) {
+      const claimed = await sdk.createFirebaseData('credits', entry.id, { ...entry, key }).then(() => true).catch(() => false)
+      if (!claimed) {
+        console.log(`[Credits] ${type} ${key} already recorded`)
+        return null
+      }
+    }
+
+    entry.balanceAfter = (await moveBudget(entry)).balanceAfter
+    if (key) {
+      await sdk.updateFirebaseData('credits', entry.id, { balanceAfter: entry.balanceAfter })
+    } else {
+      await sdk.createFirebaseData('credits', entry.id, entry)
+    }
+
+    logEntry(entry)
+    return entry
+  }
+
+  /**
+   * Debit credits for work about to start, if the budget covers them
+   * The debit moves the balance and month spend first; when that takes either
+   * past its limit it is moved back and the request rejected. Concurrent
+   * requests therefore can't all pass a check and then overspend together.
+   * Refund the amount when the work it was reserved for doesn't start.
+   * @returns {Promise<{ ok: true, entry: Object|null } | { ok: false, status: number, error: Object, summary: Object }>}
+   *   entry is null when nothing had to be reserved (a zero cost)
+   */
+  async function reserve(amount, details = {}) {
+    const required = roundCredits(amount)
+    if (required <= 0) return { ok: true, entry: null }
+
+    const monthlyCap = toNumberOrNull((await getSettings()).credits?.monthlyCap)
+    const entry = createEntry('debit', required, details)
+    const { balanceAfter, spentAfter } = await moveBudget(entry)
+
+    const overBalance = balanceAfter !== null && balanceAfter < 0
+    if (overBalance || (monthlyCap !== null && spentAfter > monthlyCap)) {
+      await moveBudget({ ...entry, type: 'refund' })
+      const summary = summarize(
+        entry.period,
+        balanceAfter === null ? null : roundCredits(balanceAfter + required),
+        monthlyCap,
+        roundCredits(spentAfter - required)
+      )
+      return budgetError(overBalance ? 'INSUFFICIENT_CREDITS' : 'MONTHLY_CAP_EXCEEDED', required, summary)
+    }
+
+    entry.balanceAfter = balanceAfter
+    await sdk.createFirebaseData('credits', entry.id, entry)
+    logEntry(entry)
+    return { ok: true, entry }
+  }
+
+  return {
+    getSettings,
+    estimateEnrichmentCost,
+    estimateRunCost,
+    getSummary,
+    checkBudget,
+    reserve,
+    listEntries,
+    debit: (amount, details, options) => recordEntry('debit', amount, details, options),
+    refund: (amount, details, options) => recordEntry('refund', amount, details, options),
+  }
+}
+
+module.exports = { createCreditLedger, getPeriod, DEFAULT_COST_PER_LEAD }
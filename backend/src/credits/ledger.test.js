@@ -0,0 +1,108 @@
+const { createCreditLedger } = require('./ledger')
+
+// In-memory docs; createFirebaseData fails for an existing doc and increments
+// apply on write, like the FN7 SDK over Firestore
+function createStore(settings) {
+  const collections = { settings: { settings } }
+  const collection = (name) => (collections[name] = collections[name] || {})
+  const apply = (current = {}, data) => Object.fromEntries(Object.entries({ ...current, ...data }).map(([key, value]) => {
+    if (value && value.__increment !== undefined) return [key, (current[key] || 0) + value.__increment]
+    if (value && typeof value === 'object' && !Array.isArray(value)) return [key, apply(current[key], value)]
+    return [key, value]
+  }))
+  // Every call yields first, so concurrent ledger calls interleave between reads and writes
+  const tick = () => new Promise(resolve => setImmediate(resolve))
+  const sdk = {
+    collections,
+    getFirestoreUtilities: () => ({ increment: delta => ({ __increment: delta }) }),
+    getFirebaseData: async (docType, id) => {
+      await tick()
+      return collection(docType)[id] ? JSON.parse(JSON.stringify(collection(docType)[id])) : null
+    },
+    createFirebaseData: async (docType, id, data) => {
+      await tick()
+      if (collection(docType)[id]) throw new Error(`${docType}/${id} already exists`)
+      collection(docType)[id] = { ...data }
+    },
+    updateFirebaseData: async (docType, id, data) => {
+      await tick()
+      collection(docType)[id] = apply(collection(docType)[id], data)
+    },
+  }
+  const repository = { find: async docType => Object.values(collection(docType)) }
+  return { sdk, repository }
+}
+
+describe('Credit ledger', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('a keyed refund moves the balance once however often it is retried', async () => {
+    const { sdk, repository } = createStore({ credits: { balance: 10 } })
+    const ledger = createCreditLedger({ sdk, repository })
+
+    const first = await ledger.refund(4, { reason: 'import_failed', runId: 'run_1' }, { key: 'import_failed:run_1' })
+    const again = await ledger.refund(4, { reason: 'import_failed', runId: 'run_1' }, { key: 'import_failed:run_1' })
+
+    expect(first).toMatchObject({ type: 'refund', amount: 4, balanceAfter: 14 })
+    expect(again).toBeNull()
+    expect(sdk.collections.settings.settings.credits.balance).toBe(14)
+    expect(Object.values(sdk.collections.credits)).toHaveLength(1)
+  })
+
+  test('unkeyed entries are each recorded', async () => {
+    const { sdk, repository } = createStore({ credits: { balance: 10 } })
+    const ledger = createCreditLedger({ sdk, repository })
+
+    await ledger.debit(3, { reason: 'run' })
+    await ledger.debit(3, { reason: 'run' })
+
+    expect(sdk.collections.settings.settings.credits.balance).toBe(4)
+    expect(Object.values(sdk.collections.credits).map(entry => entry.balanceAfter).sort()).toEqual([4, 7])
+  })
+
+  test('concurrent reservations never take the balance below zero', async () => {
+    const { sdk, repository } = createStore({ credits: { balance: 10 } })
+    const ledger = createCreditLedger({ sdk, repository })
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => ledger.reserve(4, { reason: 'run' })))
+
+    const accepted = results.filter(result => result.ok)
+    expect(accepted.length).toBeLessThanOrEqual(2)
+    expect(results.filter(result => !result.ok).every(result => result.error.code === 'INSUFFICIENT_CREDITS')).toBe(true)
+    expect(sdk.collections.settings.settings.credits.balance).toBe(10 - 4 * accepted.length)
+    expect(Object.values(sdk.collections.credits || {})).toHaveLength(accepted.length)
+  })
+
+  test('concurrent reservations stay under the monthly cap', async () => {
+    const { sdk, repository } = createStore({ credits: { monthlyCap: 10 } })
+    const ledger = createCreditLedger({ sdk, repository })
+    await ledger.debit(2, { reason: 'run' })
+
+    const results = await Promise.all(Array.from({ length: 4 }, () => ledger.reserve(3, { reason: 'run' })))
+
+    const accepted = results.filter(result => result.ok).length
+    expect(accepted).toBeLessThanOrEqual(2)
+    expect(results.find(result => !result.ok).error).toMatchObject({ code: 'MONTHLY_CAP_EXCEEDED', required: 3 })
+    expect((await ledger.getSummary()).monthlySpent).toBe(2 + 3 * accepted)
+    expect(Object.values(sdk.collections.creditPeriods)[0].spent).toBe(2 + 3 * accepted)
+  })
+
+  test('a refunded reservation gives the credits back', async () => {
+    const { sdk, repository } = createStore({ credits: { balance: 5, monthlyCap: 5 } })
+    const ledger = createCreditLedger({ sdk, repository })
+
+    const reservation = await ledger.reserve(5, { reason: 'run' })
+    expect(reservation).toMatchObject({ ok: true, entry: { type: 'debit', amount: 5, balanceAfter: 0 } })
+    expect((await ledger.reserve(1, { reason: 'run' })).ok).toBe(false)
+
+    await ledger.refund(5, { reason: 'run_failed' })
+    expect((await ledger.reserve(5, { reason: 'run' })).ok).toBe(true)
+    expect(await ledger.reserve(0, { reason: 'run' })).toEqual({ ok: true, entry: null })
+  })
+})
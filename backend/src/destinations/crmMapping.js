@@ -0,0 +1,202 @@
+/**
+ * CRM Mapping
+ * Turns an item into the company and contact objects a CRM destination receives.
+ *
+ * An item is first flattened into a lead record (LEAD_FIELDS below); a mapping
+ * then names the CRM property each lead field is written to:
+ * {
+ *   company: { [crmProperty]: leadField },
+ *   contact: { [crmProperty]: leadField },
+ *   upsert:  { company: leadField, contact: leadField }   // natural key to upsert by
+ * }
+ * Lead fields are the LEAD_FIELDS keys or `enrichment.<key>` for any enrichment
+ * field. Destinations pick a preset (MAPPING_PRESETS) and may override single
+ * properties with `fieldMap` (a null leadField drops the property).
+ *
+ * Companies are upserted by domain and contacts by email. A contact is only sent
+ * for person items, or company items whose enrichment found an email.
+ */
+
+const { cleanValue, splitName, getLinkedinUrl } = require('../exports/leadExport')
+
+const CRM_OBJECTS = ['company', 'contact']
+
+// Lead record fields and how they are read from an item
+const LEAD_FIELDS = {
+  companyName: item => item.entity?.company || (item.entityType === 'person' ? '' : item.entity?.name) || '',
+  domain: item => item.entity?.domain || '',
+  website: item => (item.entity?.domain ? `https://${item.entity.domain}` : ''),
+  employeeCount: item => cleanValue(item.enrichment?.employeeCount),
+  description: item => (item.snippet || '').substring(0, 1000),
+  firstName: item => (item.entityType === 'person' ? splitName(item.entity?.name).first : ''),
+  lastName: item => (item.entityType === 'person' ? splitName(item.entity?.name).last : ''),
+  fullName: item => (item.entityType === 'person' ? item.entity?.name || '' : ''),
+  jobTitle: item => item.entity?.title || '',
+  email: item => cleanValue(item.enrichment?.email),
+  emailStatus: item => item.emailStatus || '',
+  phone: item => cleanValue(item.enrichment?.phone),
+  linkedinUrl: getLinkedinUrl,
+  location: item => cleanValue(item.enrichment?.geoLocation) || item.entity?.location || '',
+  buyingIntent: item => cleanValue(item.enrichment?.buyingIntent),
+  score: item => item.score ?? '',
+  leadSource: (item, context) => `Scout: ${context.leadset?.name || item.leadsetId || ''}`,
+  sourceUrl: item => item.sourceUrl || '',
+}
+
+const MAPPING_PRESETS = {
+  generic: {
+    company: {
+      name: 'companyName',
+      domain: 'domain',
+      website: 'website',
+      employee_count: 'employeeCount',
+      description: 'description',
+      lead_score: 'score',
+      lead_source: 'leadSource',
+    },
+    contact: {
+      email: 'email',
+      first_name: 'firstName',
+      last_name: 'lastName',
+      phone: 'phone',
+      job_title: 'jobTitle',
+      linkedin_url: 'linkedinUrl',
+      location: 'location',
+      buying_intent: 'buyingIntent',
+      lead_score: 'score',
+      lead_source: 'leadSource',
+    },
+    upsert: { company: 'domain', contact: 'email' },
+  },
+  // HubSpot default company/contact properties
+  hubspot: {
+    company: {
+      name: 'companyName',
+      domain: 'domain',
+      website: 'website',
+      numberofemployees: 'employeeCount',
+      description: 'description',
+    },
+    contact: {
+      email: 'email',
+      firstname: 'firstName',
+      lastname: 'lastName',
+      phone: 'phone',
+      jobtitle: 'jobTitle',
+      company: 'companyName',
+      website: 'website',
+      city: 'location',
+    },
+    upsert: { company: 'domain', contact: 'email' },
+  },
+  // Salesforce Account and Contact standard fields
+  salesforce: {
+    company: {
+      Name: 'companyName',
+      Website: 'website',
+      NumberOfEmployees: 'employeeCount',
+      Description: 'description',
+      AccountSource: 'leadSource',
+    },
+    contact: {
+      Email: 'email',
+      FirstName: 'firstName',
+      LastName: 'lastName',
+      Phone: 'phone',
+      Title: 'jobTitle',
+      MailingCity: 'location',
+      LeadSource: 'leadSource',
+    },
+    upsert: { company: 'website', contact: 'email' },
+  },
+}
+
+function isKnownLeadField(field) {
+  return Boolean(LEAD_FIELDS[field]) || /^enrichment\.[A-Za-z0-9_]+$/.test(field)
+}
+
+/**
+ * Check a destination's fieldMap overrides
+ * @param {Object} fieldMap - { company: { crmProperty: leadField|null }, contact: {...} }
+ * @returns {{ fieldMap: Object } | { error: string }}
+ */
+function validateFieldMap(fieldMap = {}) {
+  if (!fieldMap || typeof fieldMap !== 'object' || Array.isArray(fieldMap)) {
+    return { error: 'fieldMap must be an object of { company, contact } property maps' }
+  }
+  const normalized = {}
+  for (const [object, properties] of Object.entries(fieldMap)) {
+    if (!CRM_OBJECTS.includes(object)) {
+      return { error: `fieldMap keys must be ${CRM_OBJECTS.join(' or ')}` }
+    }
+    if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+      return { error: `fieldMap.${object} must map CRM properties to lead fields` }
+    }
+    for (const [property, field] of Object.entries(properties)) {
+      if (field !== null && !isKnownLeadField(field)) {
+        return { error: `fieldMap.${object}.${property}: unknown lead field "${field}"` }
+      }
+    }
+    normalized[object] = { ...properties }
+  }
+  return { fieldMap: normalized }
+}
+
+/**
+ * A destination's effective mapping: its preset with fieldMap applied
+ */
+function resolveMapping(destination = {}) {
+  const preset = MAPPING_PRESETS[destination.mapping] || MAPPING_PRESETS.generic
+  const overrides = destination.fieldMap || {}
+  return {
+    company: { ...preset.company, ...(overrides.company || {}) },
+    contact: { ...preset.contact, ...(overrides.contact || {}) },
+    upsert: preset.upsert,
+  }
+}
+
+function readLeadField(item, field, context) {
+  if (field.startsWith('enrichment.')) return cleanValue(item.enrichment?.[field.slice('enrichment.'.length)])
+  return LEAD_FIELDS[field] ? LEAD_FIELDS[field](item, context) : ''
+}
+
+function buildObject(item, properties, upsertField, context) {
+  const result = {}
+  Object.entries(properties).forEach(([property, field]) => {
+    if (!field) return
+    const value = readLeadField(item, field, context)
+    if (value !== '' && value !== null && value !== undefined) result[property] = value
+  })
+  const idValue = upsertField ? readLeadField(item, upsertField, context) : ''
+  const idProperty = Object.keys(properties).find(property => properties[property] === upsertField) || upsertField
+  return { properties: result, idProperty, idValue: idValue || null }
+}
+
+/**
+ * Map an item to CRM objects
+ * @param {Object} item
+ * @param {Object} mapping - From resolveMapping
+ * @param {Object} [context] - { leadset }
+ * @returns {{ company: { properties, idProperty, idValue }|null, contact: {...}|null }}
+ *   idValue is the natural key the object is upserted by (null when the item has none)
+ */
+function mapItem(item, mapping, context = {}) {
+  const company = buildObject(item, mapping.company, mapping.upsert.company, context)
+  const contact = buildObject(item, mapping.contact, mapping.upsert.contact, context)
+  const hasCompany = Boolean(readLeadField(item, 'companyName', context) || readLeadField(item, 'domain', context))
+  const hasContact = item.entityType === 'person' || Boolean(readLeadField(item, 'email', context))
+
+  return {
+    company: hasCompany && Object.keys(company.properties).length ? company : null,
+    contact: hasContact && Object.keys(contact.properties).length ? contact : null,
+  }
+}
+
+module.exports = {
+  mapItem,
+  resolveMapping,
+  validateFieldMap,
+  MAPPING_PRESETS,
+  LEAD_FIELDS,
+  CRM_OBJECTS,
+}
@@ -0,0 +1,348 @@
+/**
+ * Destination Service
+ * CRM destinations (`destinations` documents) and the pushes that send
+ * selected items to them (`crmPushes` documents).
+ *
+ * Destination document:
+ * {
+ *   id, name, kind,                   // kind: adapter name ('http', see ./httpAdapter)
+ *   url, apiKey, secret,              // never returned by the API, see present()
+ *   mapping, fieldMap,                // preset name + overrides (./crmMapping)
+ *   createdAt, updatedAt, lastPushAt
+ * }
+ *
+ * Push document:
+ * {
+ *   id, destinationId, leadsetId, itemIds, requestedBy, jobId,
+ *   status: 'queued' | 'processing' | 'completed' | 'failed',
+ *   counts: { pushed, failed, companiesCreated, companiesUpdated, contactsCreated, contactsUpdated },
+ *   errors: [{ itemId, message }],    // first MAX_PUSH_ERRORS
+ *   error, createdAt, startedAt, completedAt
+ * }
+ *
+ * Destination URLs go through the outbound webhook target check
+ * (../webhooks/targets): they must resolve to public addresses when the
+ * destination is saved and again before every push.
+ *
+ * Each pushed item records its CRM ids under item.crmSync[destinationId]
+ * ({ companyId, contactId, pushId, pushedAt, error }). Re-pushes update those
+ * objects by id; items pushed for the first time are upserted by their natural
+ * key (company domain, contact email), so the same buyer found in another
+ * leadset lands on the same CRM records.
+ */
+
+const { createHttpAdapter } = require('./httpAdapter')
+const { checkWebhookTarget } = require('../webhooks/targets')
+const { mapItem, resolveMapping, validateFieldMap, MAPPING_PRESETS } = require('./crmMapping')
+
+const MAX_PUSH_ITEMS = 500
+const MAX_PUSH_ERRORS = 50
+
+function getItemId(item) {
+  return String(item.itemId || item.id || '')
+}
+
+/**
+ * Create the destination service
+ * @param {Object} options
+ * @param {Object} options.sdk - FN7 SDK instance
+ * @param {Object} options.repository - Document repository (../repository)
+ * @param {Object} [options.adapters] - Adapter factories by kind: destination -> { upsert }
+ * @param {boolean} [options.allowPrivateTargets] - Allow localhost and private addresses (local development)
+ * @param {Function} [options.lookup] - dns.promises.lookup stand-in for the target check
+ * @param {Function} [options.now] - Clock
+ */
+function createDestinationService({
+  sdk,
+  repository,
+  adapters = { http: createHttpAdapter },
+  allowPrivateTargets = false,
+  lookup,
+  now = () => new Date(),
+}) {
+  function checkTarget(url) {
+    return checkWebhookTarget(url, { allowPrivate: allowPrivateTargets, ...(lookup ? { lookup } : {}) })
+  }
+
+  /**
+   * Validate a destination create/update body
+   * On update, omitted fields keep their current values.
+   * @param {Object} input
+   * @param {Object} [existing] - The destination being updated
+   * @returns {Promise<{ destination: Object } | { error: string }>}
+   */
+  async function validateDestination(input = {}, existing = null) {
+    const merged = { ...(existing || {}) }
+    const has = key => input[key] !== undefined
+
+    if (has('name') || !existing) {
+      const name = String(input.name || '').trim()
+      if (!name) return { error: 'name is required' }
+      if (name.length > 100) return { error: 'name must be at most 100 characters' }
+      merged.name = name
+    }
+    if (has('kind') || !existing) {
+      const kind = input.kind || 'http'
+      if (!adapters[kind]) return { error: `kind must be one of: ${Object.keys(adapters).join(', ')}` }
+      merged.kind = kind
+    }
+    if (has('url') || !existing) {
+      let url
+      try {
+        url = new URL(String(input.url || ''))
+      } catch {
+        return { error: 'url must be an absolute http(s) URL' }
+      }
+      const targetError = await checkTarget(url.toString())
+      if (targetError) return { error: targetError }
+      merged.url = url.toString().replace(/\/+$/, '')
+    }
+    for (const key of ['apiKey', 'secret']) {
+      if (has(key)) merged[key] = input[key] ? String(input[key]) : null
+      else if (!existing) merged[key] = null
+    }
+    if (has('mapping') || !existing) {
+      const mapping = input.mapping || 'generic'
+      if (!MAPPING_PRESETS[mapping]) return { error: `mapping must be one of: ${Object.keys(MAPPING_PRESETS).join(', ')}` }
+      merged.mapping = mapping
+    }
+    if (has('fieldMap') || !existing) {
+      const parsed = validateFieldMap(input.fieldMap || {})
+      if (parsed.error) return { error: parsed.error }
+      merged.fieldMap = parsed.fieldMap
+    }
+    return { destination: merged }
+  }
+
+  /**
+   * A destination as the API returns it, without its credentials
+   */
+  function present(destination) {
+    const { apiKey, secret, ...rest } = destination
+    return { ...rest, hasApiKey: Boolean(apiKey), hasSecret: Boolean(secret) }
+  }
+
+  /**
+   * A destination as the push picker sees it: enough to choose one, not where it points
+   */
+  function presentSummary(destination) {
+    const { id, name, kind, mapping, lastPushAt } = destination
+    return { id, name, kind, mapping, lastPushAt: lastPushAt || null }
+  }
+
+  async function listDestinations() {
+    return (await repository.find('destinations')).sort((a, b) => String(a.name).localeCompare(String(b.name)))
+  }
+
+  async function createDestination(input) {
+    const validated = await validateDestination(input)
+    if (validated.error) return validated
+    const timestamp = now().toISOString()
+    const destination = {
+      id: `dest_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+      ...validated.destination,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      lastPushAt: null,
+    }
+    await sdk.createFirebaseData('destinations', destination.id, destination)
+    console.log(`[Destinations] Created ${destination.id} (${destination.kind}, ${destination.mapping})`)
+    return { destination }
+  }
+
+  /**
+   * @returns {Promise<{ destination } | { error } | null>} null when it doesn't exist
+   */
+  async function updateDestination(destinationId, input) {
+    const existing = await repository.get('destinations', destinationId)
+    if (!existing) return null
+    const validated = await validateDestination(input, existing)
+    if (validated.error) return validated
+    const destination = { ...validated.destination, updatedAt: now().toISOString() }
+    await sdk.updateFirebaseData('destinations', destinationId, destination)
+    return { destination }
+  }
+
+  async function deleteDestination(destinationId) {
+    const existing = await repository.get('destinations', destinationId)
+    if (!existing) return false
+    await sdk.deleteFirebaseData('destinations', destinationId)
+    return true
+  }
+
+  /**
+   * Record a queued push
+   * @param {Object} input - { destinationId, leadsetId, itemIds, requestedBy }
+   * @returns {Promise<{ push } | { error, status }>}
+   */
+  async function createPush({ destinationId, leadsetId, itemIds, requestedBy = null }) {
+    if (!Array.isArray(itemIds) || itemIds.length === 0) {
+      return { status: 400, error: 'itemIds must be a non-empty array' }
+    }
+    const uniqueIds = [...new Set(itemIds.map(String))]
+    if (uniqueIds.length > MAX_PUSH_ITEMS) {
+      return { status: 400, error: `At most ${MAX_PUSH_ITEMS} items can be pushed at once` }
+    }
+    const destination = await repository.get('destinations', destinationId)
+    if (!destination) return { status: 404, error: 'Destination not found' }
+
+    const push = {
+      id: `push_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+      destinationId,
+      leadsetId,
+      itemIds: uniqueIds,
+      requestedBy,
+      jobId: null,
+      status: 'queued',
+      counts: { pushed: 0, failed: 0, companiesCreated: 0, companiesUpdated: 0, contactsCreated: 0, contactsUpdated: 0 },
+      errors: [],
+      error: null,
+      createdAt: now().toISOString(),
+      startedAt: null,
+      completedAt: null,
+    }
+    await sdk.createFirebaseData('crmPushes', push.id, push)
+    return { push }
+  }
+
+  /**
+   * Upsert one object, by its stored CRM id when we have one, falling back to
+   * the natural key when the CRM no longer knows that id
+   */
+  async function upsertObject(adapter, objectType, mapped, storedId, associations) {
+    if (storedId) {
+      try {
+        return await adapter.upsert(objectType, { idProperty: 'id', idValue: storedId, properties: mapped.properties, associations })
+      } catch (error) {
+        if (error.status !== 404) throw error
+      }
+    }
+    return adapter.upsert(objectType, {
+      idProperty: mapped.idValue ? mapped.idProperty : null,
+      idValue: mapped.idValue,
+      properties: mapped.properties,
+      associations,
+    })
+  }
+
+  /**
+   * Push one item: its company first, then its contact associated with it
+   */
+  async function pushItem(adapter, item, mapping, context) {
+    const mapped = mapItem(item, mapping, context)
+    if (!mapped.company && !mapped.contact) {
+      throw new Error('Nothing to push: the item has no company or contact details')
+    }
+    const previous = item.crmSync?.[context.destinationId] || {}
+    const result = { companyId: previous.companyId || null, contactId: previous.contactId || null, companyCreated: false, contactCreated: false }
+
+    if (mapped.company) {
+      const company = await upsertObject(adapter, 'company', mapped.company, previous.companyId, {})
+      result.companyId = company.id
+      result.companyCreated = company.created
+    }
+    if (mapped.contact) {
+      const associations = result.companyId ? { company: result.companyId } : {}
+      const contact = await upsertObject(adapter, 'contact', mapped.contact, previous.contactId, associations)
+      result.contactId = contact.id
+      result.contactCreated = contact.created
+    }
+    return result
+  }
+
+  async function saveSync(item, destinationId, record) {
+    await sdk.updateFirebaseData('items', getItemId(item), {
+      crmSync: { ...(item.crmSync || {}), [destinationId]: record },
+    })
+  }
+
+  /**
+   * Run a push: send every item, recording CRM ids (or the error) on each
+   * Item failures are counted, not thrown; a missing destination or leadset
+   * fails the push.
+   * @param {string} pushId
+   * @returns {Promise<Object>} The push doc
+   */
+  async function runPush(pushId) {
+    const push = await repository.get('crmPushes', pushId)
+    if (!push) throw new Error(`Push ${pushId} not found`)
+    if (push.status === 'completed') return push
+
+    try {
+      await sdk.updateFirebaseData('crmPushes', pushId, { status: 'processing', startedAt: now().toISOString() })
+
+      const destination = await repository.get('destinations', push.destinationId)
+      if (!destination) throw new Error(`Destination ${push.destinationId} not found`)
+      const leadset = await repository.get('leadsets', push.leadsetId)
+      if (!leadset) throw new Error(`Leadset ${push.leadsetId} not found`)
+      // The URL may resolve elsewhere than when the destination was saved
+      const targetError = await checkTarget(destination.url)
+      if (targetError) throw new Error(`Destination ${destination.id} can't be used: ${targetError}`)
+
+      const adapter = adapters[destination.kind](destination)
+      const mapping = resolveMapping(destination)
+      const wanted = new Set(push.itemIds)
+      const items = (await repository.listItems({ leadsetId: push.leadsetId, includeArchived: true }))
+        .filter(item => wanted.has(getItemId(item)))
+      const context = { leadset, destinationId: destination.id }
+
+      const counts = { ...push.counts, pushed: 0, failed: 0 }
+      const errors = []
+      const foundIds = new Set(items.map(getItemId))
+      push.itemIds.filter(itemId => !foundIds.has(itemId)).forEach((itemId) => {
+        counts.failed += 1
+        errors.push({ itemId, message: 'Item not found in this leadset' })
+      })
+
+      for (const item of items) {
+        const pushedAt = now().toISOString()
+        try {
+          const result = await pushItem(adapter, item, mapping, context)
+          await saveSync(item, destination.id, { companyId: result.companyId, contactId: result.contactId, pushId, pushedAt, error: null })
+          counts.pushed += 1
+          if (result.companyId) counts[result.companyCreated ? 'companiesCreated' : 'companiesUpdated'] += 1
+          if (result.contactId) counts[result.contactCreated ? 'contactsCreated' : 'contactsUpdated'] += 1
+        } catch (error) {
+          counts.failed += 1
+          errors.push({ itemId: getItemId(item), message: error.message })
+          const previous = item.crmSync?.[destination.id] || {}
+          await saveSync(item, destination.id, { ...previous, pushId, error: error.message }).catch(() => {})
+        }
+      }
+
+      const updates = {
+        status: counts.pushed === 0 && counts.failed > 0 ? 'failed' : 'completed',
+        counts,
+        errors: errors.slice(0, MAX_PUSH_ERRORS),
+        error: counts.pushed === 0 && errors.length ? errors[0].message : null,
+        completedAt: now().toISOString(),
+      }
+      await sdk.updateFirebaseData('crmPushes', pushId, updates)
+      await sdk.updateFirebaseData('destinations', destination.id, { lastPushAt: updates.completedAt }).catch(() => {})
+      console.log(`[Destinations] Push ${pushId} to ${destination.id}: ${counts.pushed} pushed, ${counts.failed} failed`)
+      return { ...push, ...updates }
+    } catch (error) {
+      console.error(`[Destinations] Push ${pushId} failed:`, error.message)
+      await sdk.updateFirebaseData('crmPushes', pushId, {
+        status: 'failed',
+        error: error.message,
+        completedAt: now().toISOString(),
+      }).catch(() => {})
+      throw error
+    }
+  }
+
+  return {
+    validateDestination,
+    present,
+    presentSummary,
+    listDestinations,
+    createDestination,
+    updateDestination,
+    deleteDestination,
+    createPush,
+    runPush,
+  }
+}
+
+module.exports = { createDestinationService }
@@ -0,0 +1,67 @@
+const { createDestinationService } = require('./destinationService')
+
+// In-memory docs behind the SDK and repository calls the service makes
+function createStore(collections = {}) {
+  const collection = name => (collections[name] = collections[name] || {})
+  return {
+    collections,
+    sdk: {
+      createFirebaseData: async (docType, id, data) => { collection(docType)[id] = { ...data } },
+      updateFirebaseData: async (docType, id, data) => { collection(docType)[id] = { ...collection(docType)[id], ...data } },
+    },
+    repository: {
+      get: async (docType, id) => collection(docType)[id] || null,
+      find: async docType => Object.values(collection(docType)),
+      listItems: async ({ leadsetId }) => Object.values(collection('items')).filter(item => item.leadsetId === leadsetId),
+    },
+  }
+}
+
+// Resolves crm.example publicly and internal.example to a private address
+const lookup = async (hostname) => [{ address: hostname === 'internal.example' ? '10.0.0.8' : '93.184.216.34', family: 4 }]
+
+describe('Destination service', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('rejects destinations on private, loopback and metadata addresses', async () => {
+    const { sdk, repository } = createStore()
+    const destinations = createDestinationService({ sdk, repository, lookup })
+
+    for (const url of ['http://localhost:4010', 'http://169.254.169.254/latest', 'https://internal.example', 'ftp://crm.example']) {
+      expect(await destinations.createDestination({ name: 'CRM', url })).toHaveProperty('error')
+    }
+    expect(await destinations.createDestination({ name: 'CRM', url: 'https://crm.example/' }))
+      .toMatchObject({ destination: { url: 'https://crm.example' } })
+    expect(await destinations.createDestination({ name: 'CRM', url: 'http://localhost:4010' }).then(result => result.error))
+      .toBe('url must not point at a private or loopback address')
+  })
+
+  test('fails a push whose destination now resolves to a private address', async () => {
+    const store = createStore({
+      destinations: { dest_1: { id: 'dest_1', kind: 'http', url: 'https://internal.example', mapping: 'generic' } },
+      leadsets: { ls_1: { id: 'ls_1' } },
+      crmPushes: { push_1: { id: 'push_1', destinationId: 'dest_1', leadsetId: 'ls_1', itemIds: ['item_1'], counts: {} } },
+    })
+    const upsert = jest.fn()
+    const destinations = createDestinationService({ ...store, lookup, adapters: { http: () => ({ upsert }) } })
+
+    await expect(destinations.runPush('push_1')).rejects.toThrow('private or loopback')
+    expect(upsert).not.toHaveBeenCalled()
+    expect(store.collections.crmPushes.push_1.status).toBe('failed')
+  })
+
+  test('lists destinations for the push picker without where they point', async () => {
+    const { sdk, repository } = createStore()
+    const destinations = createDestinationService({ sdk, repository, lookup })
+    const { destination } = await destinations.createDestination({ name: 'CRM', url: 'https://crm.example', apiKey: 'key' })
+
+    expect(destinations.presentSummary(destination)).toEqual({ id: destination.id, name: 'CRM', kind: 'http', mapping: 'generic', lastPushAt: null })
+  })
+})
@@ -0,0 +1,158 @@
+/**
+ * Local fake CRM server
+ *
+ * Speaks the upsert protocol of the HTTP destination adapter (./httpAdapter.js)
+ * and keeps companies and contacts in memory, so CRM pushes can be exercised
+ * without a HubSpot or Salesforce account:
+ *
+ *   POST /objects/:type/upsert   { idProperty, idValue, properties, associations } -> { id, created }
+ *   GET  /objects/:type          -> { results: [...] }
+ *   POST /reset                  -> clears every object
+ *
+ * Natural keys (domain, email, ...) match case-insensitively, like the real CRMs.
+ * When an API key or secret is configured, requests without the matching bearer
+ * token or x-scout-signature are rejected with 401.
+ *
+ * Run standalone with `npm run fake-crm` (FAKE_CRM_PORT, FAKE_CRM_API_KEY,
+ * FAKE_CRM_SECRET), then add a destination pointing at http://localhost:4010.
+ */
+
+const crypto = require('crypto')
+const http = require('http')
+
+const OBJECT_TYPES = ['company', 'contact']
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', chunk => chunks.push(chunk))
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+    req.on('error', reject)
+  })
+}
+
+function sameKey(a, b) {
+  return String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase()
+}
+
+/**
+ * Create a fake CRM server
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Bearer token required on every request
+ * @param {string} [options.secret] - Secret the x-scout-signature is checked against
+ * @returns {{ server, listen(port): Promise<number>, close(): Promise<void>, list(type), reset() }}
+ */
+function createFakeCrmServer({ apiKey = null, secret = null } = {}) {
+  const store = { company: new Map(), contact: new Map() }
+  let nextId = 1
+
+  function upsert(type, { idProperty, idValue, properties = {}, associations = {} }) {
+    const objects = store[type]
+    let existing = null
+
+    if (idProperty === 'id') {
+      existing = objects.get(String(idValue)) || null
+      if (!existing) return { status: 404, body: { error: 'NOT_FOUND', message: `No ${type} with id ${idValue}` } }
+    } else if (idProperty && idValue) {
+      existing = [...objects.values()].find(object => sameKey(object.properties[idProperty], idValue)) || null
+    }
+
+    const timestamp = new Date().toISOString()
+    if (existing) {
+      existing.properties = { ...existing.properties, ...properties }
+      existing.associations = { ...existing.associations, ...associations }
+      existing.updatedAt = timestamp
+      return { status: 200, body: { id: existing.id, created: false } }
+    }
+
+    const id = `${type === 'company' ? 'co' : 'ct'}_${nextId++}`
+    const newProperties = { ...properties }
+    if (idProperty && idProperty !== 'id' && idValue && newProperties[idProperty] === undefined) {
+      newProperties[idProperty] = idValue
+    }
+    objects.set(id, { id, properties: newProperties, associations: { ...associations }, createdAt: timestamp, updatedAt: timestamp })
+    return { status: 200, body: { id, created: true } }
+  }
+
+  async function handle(req, res) {
+    if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+      return sendJson(res, 401, { error: 'UNAUTHORIZED', message: 'Missing or invalid API key' })
+    }
+
+    const rawBody = await readBody(req)
+    if (secret && req.method === 'POST') {
+      const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex')
+      if (req.headers['x-scout-signature'] !== expected) {
+        return sendJson(res, 401, { error: 'INVALID_SIGNATURE', message: 'Signature does not match the body' })
+      }
+    }
+
+    const { pathname } = new URL(req.url, 'http://localhost')
+    const [, resource, type, action] = pathname.split('/')
+
+    if (req.method === 'POST' && resource === 'reset') {
+      reset()
+      return sendJson(res, 200, { success: true })
+    }
+    if (resource !== 'objects' || !OBJECT_TYPES.includes(type)) {
+      return sendJson(res, 404, { error: 'NOT_FOUND', message: `No route for ${req.method} ${pathname}` })
+    }
+    if (req.method === 'GET' && !action) {
+      return sendJson(res, 200, { results: list(type) })
+    }
+    if (req.method === 'POST' && action === 'upsert') {
+      let payload
+      try {
+        payload = JSON.parse(rawBody || '{}')
+      } catch {
+        return sendJson(res, 400, { error: 'INVALID_JSON', message: 'Body must be JSON' })
+      }
+      const result = upsert(type, payload)
+      return sendJson(res, result.status, result.body)
+    }
+    return sendJson(res, 404, { error: 'NOT_FOUND', message: `No route for ${req.method} ${pathname}` })
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => sendJson(res, 500, { error: 'INTERNAL', message: error.message }))
+  })
+
+  function list(type) {
+    return [...store[type].values()]
+  }
+
+  function reset() {
+    store.company.clear()
+    store.contact.clear()
+  }
+
+  function listen(port = 0) {
+    return new Promise((resolve) => {
+      server.listen(port, () => resolve(server.address().port))
+    })
+  }
+
+  function close() {
+    return new Promise(resolve => server.close(() => resolve()))
+  }
+
+  return { server, listen, close, list, reset }
+}
+
+if (require.main === module) {
+  const port = Number(process.env.FAKE_CRM_PORT) || 4010
+  const fakeCrm = createFakeCrmServer({
+    apiKey: process.env.FAKE_CRM_API_KEY || null,
+    secret: process.env.FAKE_CRM_SECRET || null,
+  })
+  fakeCrm.listen(port).then((actualPort) => {
+    console.log(`[FakeCRM] Listening on http://localhost:${actualPort}`)
+  })
+}
+
+module.exports = { createFakeCrmServer }
@@ -0,0 +1,118 @@
+const crypto = require('crypto')
+const { createFakeCrmServer } = require('./fakeCrmServer')
+
+describe('Fake CRM server', () => {
+  let fakeCrm
+  let baseUrl
+
+  async function start(options) {
+    fakeCrm = createFakeCrmServer(options)
+    baseUrl = `http://localhost:${await fakeCrm.listen(0)}`
+  }
+
+  async function request(method, path, { body, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)),
+    })
+    return { status: response.status, body: await response.json() }
+  }
+
+  afterEach(async () => {
+    if (fakeCrm) await fakeCrm.close()
+    fakeCrm = null
+  })
+
+  test('creates an object and updates it by its natural key, ignoring case', async () => {
+    await start()
+
+    const created = await request('POST', '/objects/company/upsert', {
+      body: { idProperty: 'domain', idValue: 'acme.com', properties: { name: 'Acme' } },
+    })
+    expect(created).toEqual({ status: 200, body: { id: 'co_1', created: true } })
+
+    const updated = await request('POST', '/objects/company/upsert', {
+      body: { idProperty: 'domain', idValue: ' ACME.com ', properties: { industry: 'Retail' } },
+    })
+    expect(updated.body).toEqual({ id: 'co_1', created: false })
+
+    const { body } = await request('GET', '/objects/company')
+    expect(body.results).toHaveLength(1)
+    expect(body.results[0].properties).toEqual({ domain: 'acme.com', name: 'Acme', industry: 'Retail' })
+  })
+
+  test('updates by stored id and answers 404 for an unknown one', async () => {
+    await start()
+    const { body: company } = await request('POST', '/objects/company/upsert', { body: { idProperty: 'domain', idValue: 'acme.com' } })
+
+    const contact = await request('POST', '/objects/contact/upsert', {
+      body: { idProperty: 'email', idValue: 'jane@acme.com', associations: { company: company.id } },
+    })
+    expect(contact.body).toEqual({ id: 'ct_2', created: true })
+
+    const byId = await request('POST', '/objects/contact/upsert', { body: { idProperty: 'id', idValue: 'ct_2', properties: { firstName: 'Jane' } } })
+    expect(byId.body).toEqual({ id: 'ct_2', created: false })
+    expect(fakeCrm.list('contact')[0]).toMatchObject({
+      properties: { email: 'jane@acme.com', firstName: 'Jane' },
+      associations: { company: 'co_1' },
+    })
+
+    const missing = await request('POST', '/objects/contact/upsert', { body: { idProperty: 'id', idValue: 'ct_99' } })
+    expect(missing.status).toBe(404)
+    expect(missing.body.error).toBe('NOT_FOUND')
+  })
+
+  test('creates a new object each time when no key is given', async () => {
+    await start()
+
+    await request('POST', '/objects/company/upsert', { body: { properties: { name: 'Acme' } } })
+    await request('POST', '/objects/company/upsert', { body: { properties: { name: 'Acme' } } })
+
+    expect(fakeCrm.list('company')).toHaveLength(2)
+  })
+
+  test('rejects unknown routes and bodies that are not JSON', async () => {
+    await start()
+
+    expect((await request('GET', '/objects/deal')).status).toBe(404)
+    expect((await request('DELETE', '/objects/company')).status).toBe(404)
+
+    const invalid = await request('POST', '/objects/company/upsert', { body: '{not json' })
+    expect(invalid).toEqual({ status: 400, body: { error: 'INVALID_JSON', message: 'Body must be JSON' } })
+  })
+
+  test('clears every object on reset', async () => {
+    await start()
+    await request('POST', '/objects/company/upsert', { body: { idProperty: 'domain', idValue: 'acme.com' } })
+    await request('POST', '/objects/contact/upsert', { body: { idProperty: 'email', idValue: 'jane@acme.com' } })
+
+    expect((await request('POST', '/reset')).body).toEqual({ success: true })
+    expect(fakeCrm.list('company')).toEqual([])
+    expect(fakeCrm.list('contact')).toEqual([])
+  })
+
+  test('requires the API key when one is configured', async () => {
+    await start({ apiKey: 'crm-key' })
+
+    const unauthorized = await request('GET', '/objects/company')
+    expect(unauthorized.status).toBe(401)
+    expect(unauthorized.body.error).toBe('UNAUTHORIZED')
+
+    const authorized = await request('GET', '/objects/company', { headers: { Authorization: 'Bearer crm-key' } })
+    expect(authorized.status).toBe(200)
+  })
+
+  test('checks the body signature when a secret is configured', async () => {
+    await start({ secret: 'crm-secret' })
+    const body = JSON.stringify({ idProperty: 'domain', idValue: 'acme.com' })
+
+    const unsigned = await request('POST', '/objects/company/upsert', { body })
+    expect(unsigned.status).toBe(401)
+    expect(unsigned.body.error).toBe('INVALID_SIGNATURE')
+
+    const signature = crypto.createHmac('sha256', 'crm-secret').update(body).digest('hex')
+    const signed = await request('POST', '/objects/company/upsert', { body, headers: { 'x-scout-signature': signature } })
+    expect(signed.body.created).toBe(true)
+  })
+})
@@ -0,0 +1,72 @@
+/**
+ * HTTP Destination Adapter
+ * Pushes CRM objects to any endpoint that speaks this small upsert protocol:
+ * a HubSpot/Salesforce bridge, an automation webhook (Zapier, Make, n8n) or
+ * the local fake CRM (./fakeCrmServer.js).
+ *
+ *   POST {url}/objects/{company|contact}/upsert
+ *   { idProperty, idValue, properties, associations: { company: <companyId> } }
+ *   -> 200 { id, created }
+ *
+ * idProperty is 'id' when re-pushing an object whose CRM id we stored, or the
+ * natural key (domain / email property); without one the CRM creates a new object.
+ * An `id` the CRM no longer knows answers 404.
+ *
+ * Requests carry `Authorization: Bearer <apiKey>` when the destination has an
+ * API key, and `x-scout-signature` (HMAC-SHA256 of the body) when it has a secret.
+ * Redirects are not followed and errors carry only the response status, so
+ * nothing a CRM answers is echoed back through push errors.
+ */
+
+const crypto = require('crypto')
+
+const DEFAULT_TIMEOUT_MS = 15000
+
+/**
+ * Create an HTTP adapter for a destination
+ * @param {Object} destination - { url, apiKey, secret }
+ * @param {Object} [options] - { timeoutMs }
+ */
+function createHttpAdapter(destination, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const baseUrl = String(destination.url || '').replace(/\/+$/, '')
+
+  /**
+   * Create or update one CRM object
+   * @param {string} objectType - 'company' | 'contact'
+   * @param {Object} payload - { idProperty, idValue, properties, associations }
+   * @returns {Promise<{ id: string, created: boolean }>}
+   */
+  async function upsert(objectType, payload) {
+    const body = JSON.stringify(payload)
+    const headers = { 'Content-Type': 'application/json' }
+    if (destination.apiKey) headers.Authorization = `Bearer ${destination.apiKey}`
+    if (destination.secret) {
+      headers['x-scout-signature'] = crypto.createHmac('sha256', destination.secret).update(body).digest('hex')
+    }
+
+    const response = await fetch(`${baseUrl}/objects/${objectType}/upsert`, {
+      method: 'POST',
+      headers,
+      body,
+      // A redirect could lead to an address the target check didn't see
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs),
+    })
+    if (!response.ok) {
+      await response.body?.cancel().catch(() => {})
+      const error = new Error(`CRM ${objectType} upsert failed (HTTP ${response.status})`)
+      error.status = response.status
+      throw error
+    }
+
+    const result = await response.json().catch(() => ({}))
+    if (!result.id) {
+      throw new Error(`CRM ${objectType} upsert returned no id`)
+    }
+    return { id: String(result.id), created: Boolean(result.created) }
+  }
+
+  return { kind: 'http', upsert }
+}
+
+module.exports = { createHttpAdapter }
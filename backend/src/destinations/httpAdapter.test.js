@@ -0,0 +1,78 @@
+const { createHttpAdapter } = require('./httpAdapter')
+const { createFakeCrmServer } = require('./fakeCrmServer')
+
+describe('HTTP destination adapter', () => {
+  let fakeCrm
+  let url
+
+  async function start(options) {
+    fakeCrm = createFakeCrmServer(options)
+    url = `http://localhost:${await fakeCrm.listen(0)}/`
+  }
+
+  afterEach(async () => {
+    if (fakeCrm) await fakeCrm.close()
+    fakeCrm = null
+    jest.restoreAllMocks()
+  })
+
+  test('upserts companies and contacts on the fake CRM', async () => {
+    await start()
+    const adapter = createHttpAdapter({ url })
+
+    const company = await adapter.upsert('company', { idProperty: 'domain', idValue: 'acme.com', properties: { name: 'Acme' } })
+    expect(company).toEqual({ id: 'co_1', created: true })
+
+    const contact = await adapter.upsert('contact', {
+      idProperty: 'email',
+      idValue: 'jane@acme.com',
+      properties: { firstName: 'Jane' },
+      associations: { company: company.id },
+    })
+    expect(contact).toEqual({ id: 'ct_2', created: true })
+
+    expect(await adapter.upsert('company', { idProperty: 'id', idValue: company.id, properties: { industry: 'Retail' } }))
+      .toEqual({ id: 'co_1', created: false })
+    expect(fakeCrm.list('company')[0].properties).toEqual({ domain: 'acme.com', name: 'Acme', industry: 'Retail' })
+    expect(fakeCrm.list('contact')[0].associations).toEqual({ company: 'co_1' })
+  })
+
+  test('authenticates with the API key and signs the body with the secret', async () => {
+    await start({ apiKey: 'crm-key', secret: 'crm-secret' })
+
+    const result = await createHttpAdapter({ url, apiKey: 'crm-key', secret: 'crm-secret' })
+      .upsert('company', { idProperty: 'domain', idValue: 'acme.com' })
+    expect(result.created).toBe(true)
+
+    await expect(createHttpAdapter({ url, apiKey: 'crm-key', secret: 'wrong' })
+      .upsert('company', { idProperty: 'domain', idValue: 'acme.com' }))
+      .rejects.toMatchObject({ status: 401, message: 'CRM company upsert failed (HTTP 401)' })
+    await expect(createHttpAdapter({ url }).upsert('company', { idProperty: 'domain', idValue: 'acme.com' }))
+      .rejects.toMatchObject({ status: 401 })
+  })
+
+  test('surfaces a stored id the CRM no longer knows as a 404', async () => {
+    await start()
+
+    await expect(createHttpAdapter({ url }).upsert('contact', { idProperty: 'id', idValue: 'ct_404' }))
+      .rejects.toMatchObject({ status: 404, message: 'CRM contact upsert failed (HTTP 404)' })
+  })
+
+  test('rejects a response without an id', async () => {
+    jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200, json: async () => ({ created: true }) })
+
+    await expect(createHttpAdapter({ url: 'https://crm.example' }).upsert('company', {}))
+      .rejects.toThrow('CRM company upsert returned no id')
+    expect(global.fetch).toHaveBeenCalledWith('https://crm.example/objects/company/upsert', expect.objectContaining({ method: 'POST' }))
+  })
+
+  test('does not follow redirects', async () => {
+    const cancel = jest.fn(async () => {})
+    jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 302, body: { cancel } })
+
+    await expect(createHttpAdapter({ url: 'https://crm.example' }).upsert('company', {}))
+      .rejects.toMatchObject({ status: 302, message: 'CRM company upsert failed (HTTP 302)' })
+    expect(global.fetch).toHaveBeenCalledWith('https://crm.example/objects/company/upsert', expect.objectContaining({ redirect: 'manual' }))
+    expect(cancel).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,219 @@
+/**
+ * Enrichment Field Registry
+ * The enrichment fields a workspace can request: the built-in fields
+ * (./fields) merged with the `enrichmentFields` documents operators create
+ * at runtime.
+ *
+ * Field document (id = key):
+ * {
+ *   id, key, label, summary, category, format, options, instructions,
+ *   defaultCost, leadsetKeys, createdAt, updatedAt
+ * }
+ *
+ * A document whose key is a built-in field customizes that field (label,
+ * prompt, cost...); deleting it restores the built-in definition. Built-in
+ * fields themselves can't be deleted.
+ *
+ * `fields` is one live object ({ key: definition }) that is updated in place
+ * whenever the registry loads or changes, so modules holding it (credits,
+ * exports) always see the current definitions.
+ */
+
+const {
+  BUILT_IN_FIELDS,
+  LEADSET_ENRICHMENT_FIELD_MAP,
+  toEnrichmentDefinition,
+  validateFieldInput,
+} = require('./fields')
+
+// Built-in leadset names by field key, inverted from LEADSET_ENRICHMENT_FIELD_MAP
+const BUILT_IN_LEADSET_KEYS = Object.entries(LEADSET_ENRICHMENT_FIELD_MAP).reduce((acc, [name, key]) => {
+  acc[key] = [...(acc[key] || []), name]
+  return acc
+}, {})
+
+const STORED_PROPERTIES = ['key', 'label', 'summary', 'category', 'format', 'options', 'instructions', 'defaultCost', 'leadsetKeys']
+
+function getBuiltIn(key) {
+  if (!BUILT_IN_FIELDS[key]) return null
+  return { key, ...BUILT_IN_FIELDS[key], leadsetKeys: BUILT_IN_LEADSET_KEYS[key] || [] }
+}
+
+/**
+ * Create the field registry
+ * @param {Object} options
+ * @param {Object} options.sdk - FN7 SDK instance
+ * @param {Object} options.repository - Document repository (../repository)
+ * @param {Function} [options.now] - Clock
+ */
+function createFieldRegistry({ sdk, repository, now = () => new Date() }) {
+  const fields = {}
+  let docsByKey = {}
+
+  function rebuild() {
+    const custom = Object.values(docsByKey)
+      .filter(doc => !BUILT_IN_FIELDS[doc.key])
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+
+    Object.keys(fields).forEach((key) => { delete fields[key] })
+    for (const key of Object.keys(BUILT_IN_FIELDS)) {
+      const doc = docsByKey[key]
+      fields[key] = toEnrichmentDefinition(key, doc ? pickStored(doc) : getBuiltIn(key))
+    }
+    for (const doc of custom) {
+      fields[doc.key] = toEnrichmentDefinition(doc.key, pickStored(doc))
+    }
+  }
+
+  function pickStored(doc) {
+    return STORED_PROPERTIES.reduce((acc, property) => {
+      if (doc[property] !== undefined) acc[property] = doc[property]
+      return acc
+    }, {})
+  }
+
+  /**
+   * (Re)load workspace fields from Firebase
+   * Keeps the previous definitions when Firebase can't be read.
+   */
+  async function load() {
+    try {
+      const docs = await repository.find('enrichmentFields')
+      docsByKey = Object.fromEntries(docs.filter(doc => doc.key).map(doc => [doc.key, doc]))
+    } catch (error) {
+      console.error('[EnrichmentFields] Failed to load workspace fields:', error.message)
+    }
+    rebuild()
+    return fields
+  }
+
+  /**
+   * A field as the API returns it
+   */
+  function present(key) {
+    const field = fields[key]
+    if (!field) return null
+    const { description, ...rest } = field
+    const doc = docsByKey[key]
+    return {
+      ...rest,
+      key,
+      source: BUILT_IN_FIELDS[key] ? 'built-in' : 'custom',
+      customized: Boolean(BUILT_IN_FIELDS[key] && doc),
+      createdAt: doc?.createdAt || null,
+      updatedAt: doc?.updatedAt || null,
+    }
+  }
+
+  function list() {
+    return Object.keys(fields).map(present)
+  }
+
+  /**
+   * Field keys named by a leadset's enrichment_fields
+   * Names match a field's leadsetKeys, or the field key itself.
+   */
+  function resolveLeadsetFields(rawFields = []) {
+    const keys = new Set()
+    for (const raw of rawFields) {
+      const name = String(raw)
+      if (fields[name]) {
+        keys.add(name)
+        continue
+      }
+      const match = Object.keys(fields).find(key => (fields[key].leadsetKeys || []).includes(name))
+      if (match) keys.add(match)
+    }
+    return Array.from(keys)
+  }
+
+  /**
+   * Workspace fields that aren't tied to leadset field names: every leadset can use them
+   */
+  function listUnscopedCustomFields() {
+    return Object.keys(fields).filter(key => !BUILT_IN_FIELDS[key] && !(fields[key].leadsetKeys || []).length)
+  }
+
+  /**
+   * @returns {Promise<{ field } | { error, status }>}
+   */
+  async function createField(input = {}) {
+    const validated = validateFieldInput(input)
+    if (validated.error) return { status: 400, error: validated.error }
+    const { key } = validated.field
+    if (fields[key]) return { status: 409, error: `Field ${key} already exists` }
+
+    const timestamp = now().toISOString()
+    const doc = { id: key, ...validated.field, createdAt: timestamp, updatedAt: timestamp }
+    await sdk.createFirebaseData('enrichmentFields', key, doc)
+    docsByKey[key] = doc
+    rebuild()
+    console.log(`[EnrichmentFields] Created ${key} (${doc.format})`)
+    return { field: present(key) }
+  }
+
+  /**
+   * Update a workspace field, or customize a built-in one
+   * @returns {Promise<{ field } | { error, status } | null>} null when the field doesn't exist
+   */
+  async function updateField(key, input = {}) {
+    if (!fields[key]) return null
+    const isBuiltIn = Boolean(BUILT_IN_FIELDS[key])
+    const existingDoc = docsByKey[key]
+    const current = existingDoc ? pickStored(existingDoc) : getBuiltIn(key)
+
+    const validated = validateFieldInput(input, current, { builtIn: isBuiltIn })
+    if (validated.error) return { status: 400, error: validated.error }
+
+    const timestamp = now().toISOString()
+    const doc = {
+      ...(existingDoc || { id: key, createdAt: timestamp }),
+      ...validated.field,
+      key,
+      updatedAt: timestamp,
+    }
+    if (doc.format !== 'options') delete doc.options
+    if (existingDoc) {
+      await sdk.updateFirebaseData('enrichmentFields', key, doc)
+    } else {
+      await sdk.createFirebaseData('enrichmentFields', key, doc)
+    }
+    docsByKey[key] = doc
+    rebuild()
+    console.log(`[EnrichmentFields] Updated ${key}`)
+    return { field: present(key) }
+  }
+
+  /**
+   * Delete a workspace field, or reset a customized built-in one
+   * Values already stored on items are kept.
+   * @returns {Promise<{ field } | { error, status } | null>} field is the restored built-in, or null
+   */
+  async function deleteField(key) {
+    if (!fields[key]) return null
+    if (!docsByKey[key]) {
+      return { status: 400, error: `${key} is a built-in field and can't be deleted` }
+    }
+    await sdk.deleteFirebaseData('enrichmentFields', key)
+    delete docsByKey[key]
+    rebuild()
+    console.log(`[EnrichmentFields] ${BUILT_IN_FIELDS[key] ? 'Reset' : 'Deleted'} ${key}`)
+    return { field: present(key) }
+  }
+
+  rebuild()
+
+  return {
+    fields,
+    load,
+    list,
+    present,
+    resolveLeadsetFields,
+    listUnscopedCustomFields,
+    createField,
+    updateField,
+    deleteField,
+  }
+}
+
+module.exports = { createFieldRegistry }
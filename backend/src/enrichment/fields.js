@@ -0,0 +1,362 @@
+/**
+ * Enrichment Fields
+ * Built-in enrichment field definitions, the leadset field-name map and the
+ * validation for workspace-defined fields (see ./fieldRegistry).
+ *
+ * Each field defines:
+ * - label: Human-readable name shown in UI
+ * - summary: One-line description shown next to the field in the unlock modal
+ * - category: UI grouping ('contact', 'classification', 'intent', ..., 'custom')
+ * - format: Exa enrichment format (one of EXA_FORMATS)
+ * - instructions: Clear, structured prompt for Exa to extract this field
+ * - options (optional): For 'options' format, the allowed values
+ * - defaultCost: Token cost per lead for this enrichment
+ *
+ * Prompt best practices used:
+ * - Be explicit about output format (e.g. "Return exactly one of...")
+ * - Provide examples where helpful
+ * - Keep instructions concise but unambiguous
+ * - Use consistent terminology
+ */
+
+// Enrichment descriptions sent to Exa start with ScoutField::<key>:: so results
+// can be matched back to their field
+const FIELD_DESCRIPTION_PREFIX = 'ScoutField::'
+
+// Formats Exa accepts for a webset enrichment
+const EXA_FORMATS = ['text', 'date', 'number', 'options', 'email', 'phone', 'url']
+
+// Exa's limits on options per enrichment and description length
+const MAX_OPTIONS = 150
+const MAX_INSTRUCTIONS_LENGTH = 4000
+const MAX_FIELD_COST = 100
+
+const FIELD_KEY_PATTERN = /^[a-z][a-zA-Z0-9]{1,39}$/
+const LEADSET_KEY_PATTERN = /^[a-z][a-z0-9_]{1,59}$/
+
+const BUILT_IN_FIELDS = {
+  // === CONTACT INFORMATION ===
+  email: {
+    label: 'Work Email',
+    summary: 'Professional email address for the primary contact or decision maker.',
+    category: 'contact',
+    format: 'email',
+    instructions: 'Find the best professional work email address for the primary contact or decision maker at this company. Return only the email address in lowercase (e.g. john.doe@company.com). If no email is found, return empty.',
+    defaultCost: 1.0,
+  },
+  phone: {
+    label: 'Work Phone',
+    summary: 'Direct phone number in international format.',
+    category: 'contact',
+    format: 'phone',
+    instructions: 'Find the best work phone number for the primary contact or decision maker. Return in international format with country code (e.g. +1 555-123-4567 or +91 98765 43210). If no phone is found, return empty.',
+    defaultCost: 1.0,
+  },
+  linkedinUrl: {
+    label: 'LinkedIn URL',
+    summary: 'Direct LinkedIn profile URL for the contact or company.',
+    category: 'contact',
+    format: 'url',
+    instructions: 'Find the LinkedIn profile URL for the primary contact or company. Return ONLY the LinkedIn URL (e.g. https://linkedin.com/company/acme or https://linkedin.com/in/johndoe). Must be a linkedin.com URL. If no LinkedIn profile is found, return empty.',
+    defaultCost: 0.5,
+  },
+  primaryContactChannel: {
+    label: 'Best Contact Channel',
+    summary: 'The most effective channel to reach this lead (LinkedIn, Email, Phone, etc.).',
+    category: 'contact',
+    format: 'text',
+    instructions: 'Identify the single best channel to reach this lead. Return exactly one of: "LinkedIn DM", "Work Email", "Phone", "Twitter DM", "Website Form", or "Unknown". Choose based on which channel appears most likely to get a response.',
+    defaultCost: 0.25,
+  },
+
+  // === LEAD CLASSIFICATION ===
+  leadType: {
+    label: 'Lead Type',
+    summary: 'Classification: Retailer, Distributor, Influencer, Expert, Investor, etc.',
+    category: 'classification',
+    format: 'text',
+    instructions: 'Classify this lead into one category. Return exactly one of: "Retailer", "Distributor", "Influencer", "Creator", "Expert", "Consultant", "Investor", "Platform", "Brand", "Agency", or "Other". Use title case.',
+    defaultCost: 0.25,
+  },
+  geoLocation: {
+    label: 'Location',
+    summary: 'City and country (e.g. "Mumbai, India").',
+    category: 'classification',
+    format: 'text',
+    instructions: 'Return the most specific reliable location for this lead in "City, Country" format (e.g. "Mumbai, India", "San Francisco, USA"). If only country is known, return just the country. Use proper capitalization.',
+    defaultCost: 0.25,
+  },
+  employeeCount: {
+    label: 'Company Size',
+    summary: 'Estimated headcount range (e.g. "51-200").',
+    category: 'classification',
+    format: 'text',
+    instructions: 'Estimate the company headcount range. Return exactly one of these ranges: "1-10", "11-50", "51-200", "201-500", "501-1000", "1001-5000", "5000+". Base estimate on any available signals (website, LinkedIn, news).',
+    defaultCost: 0.5,
+  },
+
+  // === INTENT SIGNALS ===
+  buyingIntent: {
+    label: 'Buying Intent',
+    summary: 'High / Medium / Low likelihood to purchase.',
+    category: 'intent',
+    format: 'options',
+    options: [{ label: 'High' }, { label: 'Medium' }, { label: 'Low' }],
+    instructions: 'Assess how likely this lead is to purchase products/services based on the referenced content. Return exactly "High", "Medium", or "Low". High = actively seeking solutions; Medium = exploring options; Low = no clear purchase signals.',
+    defaultCost: 0.75,
+  },
+  buyingIntentReason: {
+    label: 'Buying Intent Reason',
+    summary: 'Brief explanation for the buying intent assessment.',
+    category: 'intent',
+    format: 'text',
+    instructions: 'Explain in one concise sentence (max 20 words) why you assigned the buying intent level. Focus on specific signals observed (e.g. "Mentioned budget approval for Q1 tool purchases").',
+    defaultCost: 0.25,
+  },
+  partnershipIntentLevel: {
+    label: 'Partnership Intent',
+    summary: 'High / Medium / Low openness to partnerships.',
+    category: 'intent',
+    format: 'options',
+    options: [{ label: 'High' }, { label: 'Medium' }, { label: 'Low' }],
+    instructions: 'Assess how open this lead is to partnerships or collaborations. Return exactly "High", "Medium", or "Low". High = actively seeking partners; Medium = open to discussions; Low = no partnership signals.',
+    defaultCost: 0.25,
+  },
+  partnershipIntentReason: {
+    label: 'Partnership Intent Reason',
+    summary: 'Brief explanation for the partnership intent assessment.',
+    category: 'intent',
+    format: 'text',
+    instructions: 'Explain in one concise sentence (max 20 words) why you assigned the partnership intent level. Reference specific signals (e.g. "Posted about seeking distribution partners in India").',
+    defaultCost: 0.25,
+  },
+  audienceOverlapScore: {
+    label: 'Audience Overlap Score',
+    summary: 'Score 1-10 indicating target audience overlap potential.',
+    category: 'intent',
+    format: 'text',
+    instructions: 'Estimate the audience overlap potential on a scale of 1-10, where 10 means highly overlapping target audiences. Return just the number (e.g. "7").',
+    defaultCost: 0.25,
+  },
+  audienceOverlapReason: {
+    label: 'Audience Overlap Reason',
+    summary: 'Explanation for the audience overlap score.',
+    category: 'intent',
+    format: 'text',
+    instructions: 'Explain in one concise sentence (max 20 words) why you assigned the audience overlap score. Reference specific audience characteristics.',
+    defaultCost: 0.25,
+  },
+  
+  // === INFLUENCER/CREATOR FIELDS ===
+  estimatedReachBand: {
+    label: 'Estimated Reach',
+    summary: 'Social media reach range (Nano, Micro, Mid, Macro, Mega).',
+    category: 'influencer',
+    format: 'text',
+    instructions: 'Estimate the social media reach/following range. Return exactly one of: "Nano (1K-10K)", "Micro (10K-50K)", "Mid (50K-500K)", "Macro (500K-1M)", "Mega (1M+)", or "Unknown".',
+    defaultCost: 0.25,
+  },
+  
+  // === ROLE/SENIORITY FIELDS ===
+  roleSeniorityBand: {
+    label: 'Role Seniority',
+    summary: 'Seniority level (C-Level, VP/Director, Manager, etc.).',
+    category: 'classification',
+    format: 'text',
+    instructions: 'Classify the seniority level. Return exactly one of: "C-Level", "VP/Director", "Manager", "Senior IC", "IC", or "Unknown".',
+    defaultCost: 0.25,
+  },
+  
+  // === INVESTOR FIELDS ===
+  investorIntentLevel: {
+    label: 'Investor Intent',
+    summary: 'High / Medium / Low interest in investing.',
+    category: 'investor',
+    format: 'options',
+    options: [{ label: 'High' }, { label: 'Medium' }, { label: 'Low' }],
+    instructions: 'Assess how likely this investor is interested in this sector. Return exactly "High", "Medium", or "Low". High = actively investing in similar companies; Medium = thesis aligned; Low = no clear signals.',
+    defaultCost: 0.5,
+  },
+  investorIntentReason: {
+    label: 'Investor Intent Reason',
+    summary: 'Explanation for the investor intent assessment.',
+    category: 'investor',
+    format: 'text',
+    instructions: 'Explain in one concise sentence (max 20 words) why you assigned the investor intent level. Reference portfolio or thesis signals.',
+    defaultCost: 0.25,
+  },
+  
+  // === CATEGORY FIT FIELDS ===
+  categoryFitScore: {
+    label: 'Category Fit Score',
+    summary: 'Score 1-10 indicating how well lead fits target category.',
+    category: 'fit',
+    format: 'text',
+    instructions: 'Rate how well this lead fits the target category on a scale of 1-10. Return just the number (e.g. "8").',
+    defaultCost: 0.25,
+  },
+  categoryFitReason: {
+    label: 'Category Fit Reason',
+    summary: 'Explanation for the category fit score.',
+    category: 'fit',
+    format: 'text',
+    instructions: 'Explain in one concise sentence (max 20 words) why you assigned the category fit score. Reference specific category alignment signals.',
+    defaultCost: 0.25,
+  },
+}
+
+const DEFAULT_ENRICHMENT_FIELDS = ['email', 'phone']
+
+// leadset.enrichment_fields names (snake_case, set by the brain) -> field keys
+const LEADSET_ENRICHMENT_FIELD_MAP = {
+  // Contact fields
+  contact_email: 'email',
+  contact_phone: 'phone',
+  has_linkedin_messaging: 'linkedinUrl',
+  linkedin_url: 'linkedinUrl',
+  primary_contact_channel: 'primaryContactChannel',
+  
+  // Classification fields
+  lead_type: 'leadType',
+  geo_location: 'geoLocation',
+  company_size_band: 'employeeCount',
+  
+  // Buying intent fields
+  buying_intent_level: 'buyingIntent',
+  buying_intent_reason: 'buyingIntentReason',
+  
+  // Partnership intent fields
+  partnership_intent_level: 'partnershipIntentLevel',
+  partnership_intent_reason: 'partnershipIntentReason',
+  
+  // Audience/influencer fields
+  audience_overlap_score: 'audienceOverlapScore',
+  audience_overlap_reason: 'audienceOverlapReason',
+  estimated_reach_band: 'estimatedReachBand',
+  
+  // Role/seniority fields
+  role_seniority_band: 'roleSeniorityBand',
+  
+  // Investor fields
+  investor_intent_level: 'investorIntentLevel',
+  investor_intent_reason: 'investorIntentReason',
+  
+  // Category fit fields
+  category_fit_score: 'categoryFitScore',
+  category_fit_reason: 'categoryFitReason',
+}
+
+/**
+ * A definition as sent to Exa: the stored field plus its prefixed description
+ */
+function toEnrichmentDefinition(key, field) {
+  return {
+    ...field,
+    description: `${FIELD_DESCRIPTION_PREFIX}${key}::${field.instructions}`,
+  }
+}
+
+function cleanString(value) {
+  return typeof value === 'string' ? value.trim() : ''
+}
+
+function validateOptions(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: "options must be a non-empty array when format is 'options'" }
+  }
+  if (input.length > MAX_OPTIONS) return { error: `options must have at most ${MAX_OPTIONS} entries` }
+  const labels = input.map(option => cleanString(typeof option === 'string' ? option : option?.label))
+  if (labels.some(label => !label || label.length > 100)) {
+    return { error: 'each option needs a label of at most 100 characters' }
+  }
+  if (new Set(labels.map(label => label.toLowerCase())).size !== labels.length) {
+    return { error: 'option labels must be unique' }
+  }
+  return { options: labels.map(label => ({ label })) }
+}
+
+/**
+ * Validate an enrichment field create/update body
+ * On update, omitted properties keep their current values. The format of a
+ * built-in field can't change, since values already stored for it depend on it.
+ * @param {Object} input - { key, label, summary, category, format, options, instructions, defaultCost, leadsetKeys }
+ * @param {Object} [existing] - The field being updated
+ * @param {Object} [context] - { builtIn: true } when updating a built-in field
+ * @returns {{ field: Object } | { error: string }}
+ */
+function validateFieldInput(input = {}, existing = null, { builtIn = false } = {}) {
+  const merged = { ...(existing || {}) }
+  const has = key => input[key] !== undefined
+
+  if (!existing) {
+    const key = cleanString(input.key)
+    if (!FIELD_KEY_PATTERN.test(key)) {
+      return { error: 'key must be 2-40 letters or digits in camelCase, starting with a lowercase letter' }
+    }
+    merged.key = key
+  }
+  if (has('label') || !existing) {
+    const label = cleanString(input.label)
+    if (!label) return { error: 'label is required' }
+    if (label.length > 60) return { error: 'label must be at most 60 characters' }
+    merged.label = label
+  }
+  if (has('summary') || !existing) {
+    const summary = cleanString(input.summary)
+    if (summary.length > 200) return { error: 'summary must be at most 200 characters' }
+    merged.summary = summary
+  }
+  if (has('category') || !existing) {
+    merged.category = cleanString(input.category).toLowerCase() || 'custom'
+  }
+  if (has('format') || !existing) {
+    const format = cleanString(input.format) || 'text'
+    if (!EXA_FORMATS.includes(format)) return { error: `format must be one of: ${EXA_FORMATS.join(', ')}` }
+    if (builtIn && existing && format !== existing.format) {
+      return { error: `The format of built-in field ${existing.key} can't be changed` }
+    }
+    merged.format = format
+  }
+  if (merged.format === 'options') {
+    if (has('options') || !merged.options) {
+      const parsed = validateOptions(input.options)
+      if (parsed.error) return parsed
+      merged.options = parsed.options
+    }
+  } else {
+    delete merged.options
+  }
+  if (has('instructions') || !existing) {
+    const instructions = cleanString(input.instructions)
+    if (instructions.length < 10) return { error: 'instructions must be at least 10 characters' }
+    if (instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+      return { error: `instructions must be at most ${MAX_INSTRUCTIONS_LENGTH} characters` }
+    }
+    merged.instructions = instructions
+  }
+  if (has('defaultCost') || !existing) {
+    const cost = typeof input.defaultCost === 'string' ? parseFloat(input.defaultCost) : input.defaultCost
+    if (typeof cost !== 'number' || !Number.isFinite(cost) || cost < 0 || cost > MAX_FIELD_COST) {
+      return { error: `defaultCost must be a number between 0 and ${MAX_FIELD_COST}` }
+    }
+    merged.defaultCost = cost
+  }
+  if (has('leadsetKeys') || !existing) {
+    const leadsetKeys = input.leadsetKeys ?? []
+    if (!Array.isArray(leadsetKeys) || leadsetKeys.some(name => !LEADSET_KEY_PATTERN.test(String(name)))) {
+      return { error: 'leadsetKeys must be an array of snake_case names (e.g. uses_shopify_plus)' }
+    }
+    merged.leadsetKeys = [...new Set(leadsetKeys.map(String))]
+  }
+  return { field: merged }
+}
+
+module.exports = {
+  FIELD_DESCRIPTION_PREFIX,
+  EXA_FORMATS,
+  BUILT_IN_FIELDS,
+  DEFAULT_ENRICHMENT_FIELDS,
+  LEADSET_ENRICHMENT_FIELD_MAP,
+  toEnrichmentDefinition,
+  validateFieldInput,
+}
@@ -0,0 +1,401 @@
+/**
+ * Enrichment Ingestion
+ * The one place Exa enrichment results are written onto items. Every path that
+ * sees enrichment results goes through it:
+ *
+ *   'enrichment' - the 'process-enrichment' job, queued by the enrichment status
+ *                  route (polling) and the webset.enrichment.completed webhook
+ *   'webhook'    - webset.item.enriched, results written as they arrive
+ *   'sync'       - items re-read from Exa (sync-items, webset polling, imports,
+ *                  webset.items.created)
+ *
+ * Results are merged per field into `item.enrichment`, never replacing the
+ * whole object, and each field records where its value came from:
+ *
+ *   item.enrichmentSources: {
+ *     [field]: { source, enrichmentId, exaEnrichmentId, requestedAt, recordedAt }
+ *   }
+ *
+ * enrichmentId is our `enrichments` document (null when the result isn't
+ * tied to one), exaEnrichmentId the Exa enrichment that produced the value and
+ * requestedAt when our enrichment was created.
+ *
+ * A field's stored value is replaced by a result from another Exa enrichment
+ * only when that result is at least as new: the incoming Exa item still holds
+ * the stored result (results are listed oldest first), or the incoming
+ * enrichment was requested later. So whichever path runs first, items end up
+ * with the same values. A value stored by a path that couldn't tell which of
+ * our enrichments produced it gets its enrichmentId and requestedAt from the
+ * next path that can.
+ */
+
+const { FIELD_DESCRIPTION_PREFIX } = require('./fields')
+const { normalizeEnrichmentResult, applyFieldResults } = require('./normalizers')
+const { scoreItem } = require('../scoring/scoreEngine')
+const { getItemQueryFields } = require('../repository/itemQuery')
+
+// Fields Exa's inference can't tell apart from content alone
+const INTENT_ALTERNATIVES = {
+  buyingIntent: 'partnershipIntentLevel',
+  partnershipIntentLevel: 'buyingIntent',
+}
+
+/**
+ * Exa enrichment ids of our enrichment documents, mapped to the field each one fills
+ * @param {Array} enrichmentDocs - `enrichments` documents
+ * @returns {Map<string, { field, enrichmentId, requestedAt }>}
+ */
+function indexRequests(enrichmentDocs = []) {
+  const index = new Map()
+  for (const doc of enrichmentDocs) {
+    if (!doc) continue
+    const requests = Array.isArray(doc.requests) ? [...doc.requests] : []
+    // Enrichments created before per-field requests were stored
+    if (doc.emailEnrichmentId) requests.push({ field: 'email', enrichmentId: doc.emailEnrichmentId })
+    if (doc.phoneEnrichmentId) requests.push({ field: 'phone', enrichmentId: doc.phoneEnrichmentId })
+    for (const request of requests) {
+      if (!request?.enrichmentId || !request.field) continue
+      index.set(request.enrichmentId, {
+        field: request.field,
+        enrichmentId: doc.id || null,
+        requestedAt: request.requestedAt || doc.createdAt || null,
+      })
+    }
+  }
+  return index
+}
+
+/**
+ * Which of our fields an Exa enrichment result fills
+ * Tries metadata, the ScoutField:: description prefix, the format, the
+ * description text and finally the shape of the result itself.
+ * @returns {string|null} Field key
+ */
+function extractFieldFromEnrichment(enrichment = {}, fields = {}) {
+  // Strategy 1: Check metadata.field (most reliable)
+  const metadataField = enrichment.metadata?.field
+  if (metadataField && fields[metadataField]) {
+    console.log(`[Enrich] Extracted field from metadata: ${metadataField}`)
+    return metadataField
+  }
+
+  // Strategy 2: Check description prefix (ScoutField::fieldKey::instructions)
+  const description = enrichment.description || ''
+  if (typeof description === 'string' && description.startsWith(FIELD_DESCRIPTION_PREFIX)) {
+    const key = description.replace(FIELD_DESCRIPTION_PREFIX, '').split('::')[0]
+    if (fields[key]) {
+      console.log(`[Enrich] Extracted field from description prefix: ${key}`)
+      return key
+    }
+  }
+
+  // Strategy 3: Check if format matches a field (only works for email/phone)
+  if (enrichment.format && fields[enrichment.format]) {
+    console.log(`[Enrich] Extracted field from format: ${enrichment.format}`)
+    return enrichment.format
+  }
+
+  // Strategy 4: Try to find field by description content (fallback)
+  // Look for field names in the description
+  for (const [fieldKey, fieldDef] of Object.entries(fields)) {
+    if (description.toLowerCase().includes(fieldKey.toLowerCase()) || 
+        description.toLowerCase().includes(fieldDef.label.toLowerCase())) {
+      console.log(`[Enrich] Extracted field from description content: ${fieldKey}`)
+      return fieldKey
+    }
+  }
+
+  // Strategy 5: Infer field from result content (for Exa API responses without metadata)
+  const result = enrichment.result
+  if (result) {
+    // Check if result is an array and get first string value
+    let resultStr = ''
+    if (Array.isArray(result)) {
+      resultStr = result.find(entry => typeof entry === 'string' && entry.trim().length > 0) || ''
+    } else if (typeof result === 'string') {
+      resultStr = result
+    }
+    
+    if (resultStr) {
+      const lowerResult = resultStr.toLowerCase()
+      
+      // Check for High/Medium/Low patterns - could be buyingIntent or partnershipIntentLevel
+      // We need to use the enrichment's format to disambiguate when possible
+      if (/^(high|medium|low)(:|$)/i.test(resultStr.trim())) {
+        // If format is 'options', we can't easily tell which field it is from content alone
+        // Return null to let the caller use a different strategy (e.g., order-based matching)
+        // For now, check for partnership keywords in the result
+        if (lowerResult.includes('partnership') || lowerResult.includes('collaborat')) {
+          console.log(`[Enrich] Inferred field from result content: partnershipIntentLevel`)
+          return 'partnershipIntentLevel'
+        }
+        // Default to buyingIntent for High/Medium/Low without partnership context
+        console.log(`[Enrich] Inferred field from result content: buyingIntent`)
+        return 'buyingIntent'
+      }
+      
+      // Check for employee count: matches range pattern like "1-10", "501-1000", etc.
+      if (/^\d+-\d+$/.test(resultStr.trim()) || /^\d+-\d+\+?$/.test(resultStr.trim())) {
+        console.log(`[Enrich] Inferred field from result content: employeeCount`)
+        return 'employeeCount'
+      }
+      
+      // Check for partnership intent reason: contains clear "partnership intent" phrasing or collaboration keywords
+      if (lowerResult.includes('partnership intent') || 
+          (lowerResult.includes('partnership') && (lowerResult.includes('shows') || lowerResult.includes('due to') || lowerResult.includes('because')))) {
+        console.log(`[Enrich] Inferred field from result content: partnershipIntentReason`)
+        return 'partnershipIntentReason'
+      }
+      
+      // Check for buying intent reason
+      if (lowerResult.includes('buying intent') || lowerResult.includes('purchase intent') ||
+          (lowerResult.includes('intent') && !lowerResult.includes('partnership') && (lowerResult.includes('shows') || lowerResult.includes('due to') || lowerResult.includes('because')))) {
+        console.log(`[Enrich] Inferred field from result content: buyingIntentReason`)
+        return 'buyingIntentReason'
+      }
+      
+      // Check for email: contains @ symbol
+      if (resultStr.includes('@') && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(resultStr.trim())) {
+        console.log(`[Enrich] Inferred field from result content: email`)
+        return 'email'
+      }
+      
+      // Check for phone: matches phone number patterns
+      if (/^[\d\s\-\+\(\)]+$/.test(resultStr.trim()) && resultStr.replace(/\D/g, '').length >= 10) {
+        console.log(`[Enrich] Inferred field from result content: phone`)
+        return 'phone'
+      }
+      
+      // Check for LinkedIn URL patterns
+      if (lowerResult.includes('linkedin.com/') || lowerResult.includes('linkedin.com\\')) {
+        console.log(`[Enrich] Inferred field from result content: linkedinUrl`)
+        return 'linkedinUrl'
+      }
+      
+      // Check for location patterns (City, Country or State, Country)
+      if (/^[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*,\s*[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*$/i.test(resultStr.trim())) {
+        console.log(`[Enrich] Inferred field from result content: geoLocation`)
+        return 'geoLocation'
+      }
+      
+      // Check for contact channel keywords
+      if (lowerResult.includes('linkedin dm') || lowerResult.includes('work email') || 
+          lowerResult.includes('website form') || lowerResult === 'phone' || lowerResult === 'email') {
+        console.log(`[Enrich] Inferred field from result content: primaryContactChannel`)
+        return 'primaryContactChannel'
+      }
+      
+      // Check for lead type keywords
+      if (/^(retailer|distributor|influencer|expert|investor|creator|consultant|brand|agency|platform)/i.test(resultStr.trim())) {
+        console.log(`[Enrich] Inferred field from result content: leadType`)
+        return 'leadType'
+      }
+      
+      // Check for audience overlap score (1-10 number pattern)
+      if (/^[1-9]|10\b/.test(resultStr.trim()) && (lowerResult.includes('overlap') || lowerResult.includes('audience') || /^[1-9]$|^10$/.test(resultStr.trim()))) {
+        console.log(`[Enrich] Inferred field from result content: audienceOverlapScore`)
+        return 'audienceOverlapScore'
+      }
+    }
+  }
+
+  console.warn(`[Enrich] Could not extract field from enrichment:`, {
+    metadata: enrichment.metadata,
+    description: description.substring(0, 100),
+    format: enrichment.format,
+    resultPreview: Array.isArray(enrichment.result) 
+      ? enrichment.result[0]?.substring?.(0, 100) 
+      : String(enrichment.result || '').substring(0, 100),
+  })
+  return null
+}
+
+/**
+ * Where the lead on an Exa item is: its geoLocation answer, else the
+ * location Exa lists for the person or company
+ */
+function getLeadLocation(exaItem, geoLocationEntry) {
+  const answer = geoLocationEntry ? normalizeEnrichmentResult(geoLocationEntry, 'geoLocation') : null
+  if (answer?.status === 'valid') return answer.value
+  const props = exaItem?.properties || {}
+  return props.person?.location || props.company?.location || null
+}
+
+/**
+ * Create the enrichment ingestion service
+ * @param {Object} options
+ * @param {Object} options.sdk - FN7 SDK instance
+ * @param {Object} options.repository - Document repository (../repository)
+ * @param {Object} options.fields - Live enrichment field definitions (fieldRegistry.fields)
+ * @param {Function} [options.now] - Clock
+ */
+function createEnrichmentIngestion({ sdk, repository, fields, now = () => new Date() }) {
+  /**
+   * Request index for every enrichment of a run, see indexRequests
+   */
+  async function loadRequestIndex(runId) {
+    if (!runId) return new Map()
+    const docs = await repository.find('enrichments', { runId }).catch((err) => {
+      console.warn(`[Ingest] Failed to load enrichments for run ${runId}:`, err.message)
+      return []
+    })
+    return indexRequests(docs)
+  }
+
+  /**
+   * Normalized results on an Exa item, keyed by our field names
+   * When an Exa enrichment shows up twice for a field, the later (newer) one wins.
+   * @param {Object} exaItem - Exa webset item with its enrichments
+   * @param {Object} [options]
+   * @param {Set<string>} [options.fields] - Only these fields (LinkedIn URLs are always picked up)
+   * @param {Map} [options.requestIndex] - From indexRequests / loadRequestIndex
+   * @returns {{ results: Object, enrichmentIds: Set<string> }}
+   *   results: { [fieldKey]: normalized result + exaEnrichmentId, enrichmentId, requestedAt }
+   *   enrichmentIds: every Exa enrichment with a result on the item
+   */
+  function collect(exaItem, { fields: requestedFields = null, requestIndex = new Map() } = {}) {
+    const matched = {}
+    const results = {}
+    const enrichmentIds = new Set()
+
+    for (const entry of exaItem?.enrichments || []) {
+      if (entry.enrichmentId) enrichmentIds.add(entry.enrichmentId)
+      if (entry.status && entry.status !== 'completed') continue
+
+      const request = requestIndex.get(entry.enrichmentId)
+      let fieldKey = request?.field && fields[request.field] ? request.field : null
+      if (!fieldKey) {
+        const urlResult = Array.isArray(entry.result) ? entry.result[0] : null
+        const isLinkedIn = entry.metadata?.field === 'linkedinUrl' ||
+          (entry.format === 'url' && typeof urlResult === 'string' && urlResult.toLowerCase().includes('linkedin.com'))
+        fieldKey = isLinkedIn ? 'linkedinUrl' : extractFieldFromEnrichment(entry, fields)
+      }
+      if (!fieldKey) continue
+
+      // Inference can't distinguish the two intent levels; give a second answer to the other one
+      const alternative = INTENT_ALTERNATIVES[fieldKey]
+      if (!request && matched[fieldKey] && matched[fieldKey].entry.enrichmentId !== entry.enrichmentId &&
+        alternative && !matched[alternative] && (!requestedFields || requestedFields.has(alternative))) {
+        console.log(`[Ingest] ${fieldKey} already matched, reassigned to ${alternative}`)
+        fieldKey = alternative
+      }
+
+      if (requestedFields && !requestedFields.has(fieldKey) && fieldKey !== 'linkedinUrl') continue
+
+      matched[fieldKey] = { entry, request }
+    }
+
+    // Phone numbers written without a country code take the lead's country
+    const context = { location: getLeadLocation(exaItem, matched.geoLocation?.entry) }
+    for (const [fieldKey, { entry, request }] of Object.entries(matched)) {
+      const result = normalizeEnrichmentResult(entry, fieldKey, fields[fieldKey], context)
+      if (result.status === 'invalid' || result.status === 'unverified') {
+        console.warn(`[Ingest] Flagged ${fieldKey} from Exa enrichment ${entry.enrichmentId || 'unknown'}: ${result.reason}`)
+      }
+      results[fieldKey] = {
+        ...result,
+        exaEnrichmentId: entry.enrichmentId || null,
+        enrichmentId: request?.enrichmentId || null,
+        requestedAt: request?.requestedAt || null,
+      }
+    }
+
+    return { results, enrichmentIds }
+  }
+
+  function isAtLeastAsNew(result, previous, enrichmentIds) {
+    if (!previous?.exaEnrichmentId) return true
+    if (enrichmentIds.has(previous.exaEnrichmentId)) return true
+    return Boolean(result.requestedAt && previous.requestedAt && result.requestedAt > previous.requestedAt)
+  }
+
+  /**
+   * Merge collected results into an item (no writes)
+   * @param {Object} item - Item document (or a new item)
+   * @param {Object} collected - From collect()
+   * @param {Object} options
+   * @param {string} options.source - 'enrichment' | 'webhook' | 'sync'
+   * @param {string} [options.status] - enrichment.status to set; kept when omitted
+   * @returns {{ enrichment, enrichmentSources, enrichmentReuse, fields: string[], sourced: string[] }}
+   *   fields lists the fields whose value was written, sourced the stored values
+   *   whose missing enrichmentId/requestedAt were filled in
+   */
+  function merge(item, { results = {}, enrichmentIds = new Set() } = {}, { source, status } = {}) {
+    const currentSources = item?.enrichmentSources || {}
+    const recordedAt = now().toISOString()
+    const accepted = {}
+    const sourced = []
+    const enrichmentSources = { ...currentSources }
+    const enrichmentReuse = { ...(item?.enrichmentReuse || {}) }
+
+    for (const [fieldKey, result] of Object.entries(results)) {
+      const previous = currentSources[fieldKey]
+      const alreadyStored = previous?.exaEnrichmentId && previous.exaEnrichmentId === result.exaEnrichmentId &&
+        fieldKey in (item?.enrichment || {})
+      if (alreadyStored) {
+        // Stored by a path that didn't know which of our enrichments it came from
+        if (!previous.enrichmentId && result.enrichmentId) {
+          enrichmentSources[fieldKey] = { ...previous, enrichmentId: result.enrichmentId, requestedAt: result.requestedAt }
+          sourced.push(fieldKey)
+        }
+        continue
+      }
+      if (!isAtLeastAsNew(result, previous, enrichmentIds)) continue
+
+      accepted[fieldKey] = result
+      enrichmentSources[fieldKey] = {
+        source,
+        enrichmentId: result.enrichmentId,
+        exaEnrichmentId: result.exaEnrichmentId,
+        requestedAt: result.requestedAt,
+        recordedAt,
+      }
+      delete enrichmentReuse[fieldKey]
+    }
+
+    const enrichment = applyFieldResults(item?.enrichment, accepted)
+    enrichment.status = status || item?.enrichment?.status || (enrichmentIds.size > 0 ? 'completed' : 'none')
+    return { enrichment, enrichmentSources, enrichmentReuse, fields: Object.keys(accepted), sourced }
+  }
+
+  /**
+   * Merge collected results into a stored item and save it
+   * @param {Object} item - Stored item document
+   * @param {Object} collected - From collect()
+   * @param {Object} options
+   * @param {string} options.source - 'enrichment' | 'webhook' | 'sync'
+   * @param {string} [options.status] - enrichment.status to set
+   * @param {Object} [options.scoring] - Scoring context; the item is re-scored with its new enrichment
+   * @param {Object} [options.updates] - Other item properties to save along
+   * @returns {Promise<Object|null>} merge() result, null when nothing changed
+   */
+  async function ingest(item, collected, { source, status, scoring = {}, updates = {} } = {}) {
+    const itemId = item.itemId || item.id
+    const merged = merge(item, collected, { source, status })
+    const statusChanged = merged.enrichment.status !== item.enrichment?.status
+    if (merged.fields.length === 0 && merged.sourced.length === 0 && !statusChanged && Object.keys(updates).length === 0) return null
+
+    const { enrichment, enrichmentSources, enrichmentReuse } = merged
+    await sdk.updateFirebaseData('items', itemId, {
+      ...updates,
+      enrichment,
+      enrichmentSources,
+      enrichmentReuse,
+      ...scoreItem({ ...item, ...updates, enrichment }, scoring),
+      ...getItemQueryFields({ ...item, ...updates, enrichment }),
+    })
+    if (merged.fields.length > 0) {
+      console.log(`[Ingest] Item ${itemId}: ${merged.fields.join(', ')} (${source})`)
+    }
+    return merged
+  }
+
+  return {
+    loadRequestIndex,
+    collect,
+    merge,
+    ingest,
+  }
+}
+
+module.exports = { createEnrichmentIngestion, indexRequests }
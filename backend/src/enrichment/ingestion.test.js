@@ -0,0 +1,176 @@
+const { createEnrichmentIngestion, indexRequests } = require('./ingestion')
+const { BUILT_IN_FIELDS, toEnrichmentDefinition } = require('./fields')
+
+const FIELDS = Object.fromEntries(
+  Object.entries(BUILT_IN_FIELDS).map(([key, field]) => [key, toEnrichmentDefinition(key, field)])
+)
+const RUN_ID = 'run_1'
+const ITEM_ID = 'item_1'
+
+function exaResult(enrichmentId, format, value) {
+  return { object: 'enrichment_result', enrichmentId, status: 'completed', format, result: [value], reasoning: null, references: [] }
+}
+
+function exaItem(...enrichments) {
+  return { id: ITEM_ID, websetId: 'webset_1', properties: { url: 'https://acme.com' }, enrichments }
+}
+
+function enrichmentDoc(id, createdAt, requests) {
+  return {
+    id,
+    runId: RUN_ID,
+    leadsetId: 'leadset_1',
+    websetId: 'webset_1',
+    status: 'pending',
+    fields: requests.map(request => request.field),
+    createdAt,
+    requests,
+  }
+}
+
+// The ingestion calls each path makes in index.js
+const PATHS = {
+  // sync-items, webset polling, imports and webset.items.created
+  async sync(ingestion, item, snapshot) {
+    const requestIndex = await ingestion.loadRequestIndex(RUN_ID)
+    return ingestion.ingest(item, ingestion.collect(snapshot, { requestIndex }), { source: 'sync' })
+  },
+  // webset.item.enriched, for the newest pending enrichment of the webset
+  async webhook(ingestion, item, snapshot, doc) {
+    const collected = ingestion.collect(snapshot, { fields: new Set(doc.fields), requestIndex: indexRequests([doc]) })
+    return ingestion.ingest(item, collected, { source: 'webhook', status: item.enrichment?.status || 'enriching' })
+  },
+  // The 'process-enrichment' job
+  async enrichment(ingestion, item, snapshot, doc) {
+    const collected = ingestion.collect(snapshot, { fields: new Set(doc.fields), requestIndex: indexRequests([doc]) })
+    return ingestion.ingest(item, collected, { source: 'enrichment', status: 'done' })
+  },
+}
+
+function permutations(list) {
+  if (list.length <= 1) return [list]
+  return list.flatMap((entry, index) =>
+    permutations([...list.slice(0, index), ...list.slice(index + 1)]).map(rest => [entry, ...rest])
+  )
+}
+
+/**
+ * Feed deliveries to a fresh item in the given order
+ * @returns {Promise<{ enrichment, provenance }>} Where each field's value came from,
+ *   without which path recorded it
+ */
+async function deliver(deliveries, docs) {
+  const items = new Map([[ITEM_ID, { itemId: ITEM_ID, runId: RUN_ID, leadsetId: 'leadset_1', sourceUrl: 'https://acme.com', enrichment: { status: 'enriching' } }]])
+  const sdk = {
+    updateFirebaseData: async (collection, id, data) => { items.set(id, { ...items.get(id), ...data }) },
+  }
+  const repository = {
+    find: async (docType, where = {}) => docs.filter(doc => doc.runId === where.runId),
+  }
+  const ingestion = createEnrichmentIngestion({ sdk, repository, fields: FIELDS, now: () => new Date('2026-01-01T00:00:00.000Z') })
+
+  for (const { path, snapshot, doc } of deliveries) {
+    await PATHS[path](ingestion, items.get(ITEM_ID), snapshot, doc)
+  }
+
+  const { enrichment, enrichmentSources = {} } = items.get(ITEM_ID)
+  const provenance = Object.fromEntries(Object.entries(enrichmentSources).map(([field, { enrichmentId, exaEnrichmentId, requestedAt }]) =>
+    [field, { enrichmentId, exaEnrichmentId, requestedAt }]
+  ))
+  return { enrichment, provenance }
+}
+
+describe('Enrichment ingestion', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('writes the same values and provenance whichever path delivers first', async () => {
+    const doc = enrichmentDoc('enr_1', '2026-01-01T00:00:00.000Z', [
+      { field: 'email', enrichmentId: 'wenrich_email' },
+      { field: 'phone', enrichmentId: 'wenrich_phone' },
+    ])
+    const email = exaResult('wenrich_email', 'email', 'Jane@Acme.com')
+    const phone = exaResult('wenrich_phone', 'phone', '+1 555-123-4567')
+    const deliveries = [
+      { path: 'webhook', snapshot: exaItem(email), doc },
+      { path: 'webhook', snapshot: exaItem(email, phone), doc },
+      { path: 'enrichment', snapshot: exaItem(email, phone), doc },
+      { path: 'sync', snapshot: exaItem(email, phone) },
+    ]
+
+    const outcomes = []
+    for (const order of permutations(deliveries)) outcomes.push(await deliver(order, [doc]))
+
+    const expected = outcomes[0]
+    expect(expected.enrichment).toMatchObject({ status: 'done', email: 'jane@acme.com' })
+    expect(expected.enrichment.phone).toBeTruthy()
+    expect(expected.provenance).toEqual({
+      email: { enrichmentId: 'enr_1', exaEnrichmentId: 'wenrich_email', requestedAt: '2026-01-01T00:00:00.000Z' },
+      phone: { enrichmentId: 'enr_1', exaEnrichmentId: 'wenrich_phone', requestedAt: '2026-01-01T00:00:00.000Z' },
+    })
+    outcomes.forEach(outcome => expect(outcome).toEqual(expected))
+  })
+
+  test('keeps the later enrichment of a field, with its provenance, in every order', async () => {
+    const first = enrichmentDoc('enr_1', '2026-01-01T00:00:00.000Z', [{ field: 'email', enrichmentId: 'wenrich_1' }])
+    const second = enrichmentDoc('enr_2', '2026-01-02T00:00:00.000Z', [{ field: 'email', enrichmentId: 'wenrich_2' }])
+    const older = exaResult('wenrich_1', 'email', 'old@acme.com')
+    const newer = exaResult('wenrich_2', 'email', 'new@acme.com')
+    const deliveries = [
+      // Sent before the second enrichment had a result, delivered whenever
+      { path: 'webhook', snapshot: exaItem(older), doc: first },
+      { path: 'webhook', snapshot: exaItem(older, newer), doc: second },
+      // The first enrichment's job only knows its own Exa enrichment
+      { path: 'enrichment', snapshot: exaItem(older, newer), doc: first },
+      { path: 'enrichment', snapshot: exaItem(older, newer), doc: second },
+      { path: 'sync', snapshot: exaItem(older, newer) },
+    ]
+
+    for (const order of permutations(deliveries)) {
+      const outcome = await deliver(order, [first, second])
+      expect(outcome.enrichment).toEqual({ status: 'done', email: 'new@acme.com' })
+      expect(outcome.provenance).toEqual({
+        email: { enrichmentId: 'enr_2', exaEnrichmentId: 'wenrich_2', requestedAt: '2026-01-02T00:00:00.000Z' },
+      })
+    }
+  })
+
+  test('fills in the provenance of a value stored without it', async () => {
+    const first = enrichmentDoc('enr_1', '2026-01-01T00:00:00.000Z', [{ field: 'email', enrichmentId: 'wenrich_1' }])
+    const second = enrichmentDoc('enr_2', '2026-01-02T00:00:00.000Z', [{ field: 'email', enrichmentId: 'wenrich_2' }])
+    const snapshot = exaItem(exaResult('wenrich_1', 'email', 'old@acme.com'), exaResult('wenrich_2', 'email', 'new@acme.com'))
+
+    const unknown = await deliver([{ path: 'enrichment', snapshot, doc: first }], [first, second])
+    expect(unknown.provenance.email).toEqual({ enrichmentId: null, exaEnrichmentId: 'wenrich_2', requestedAt: null })
+
+    const filled = await deliver([
+      { path: 'enrichment', snapshot, doc: first },
+      { path: 'sync', snapshot },
+    ], [first, second])
+    expect(filled.enrichment.email).toBe('new@acme.com')
+    expect(filled.provenance.email).toEqual({ enrichmentId: 'enr_2', exaEnrichmentId: 'wenrich_2', requestedAt: '2026-01-02T00:00:00.000Z' })
+  })
+
+  test('reads local phone numbers in the country of the lead', async () => {
+    const doc = enrichmentDoc('enr_1', '2026-01-01T00:00:00.000Z', [
+      { field: 'phone', enrichmentId: 'wenrich_phone' },
+      { field: 'geoLocation', enrichmentId: 'wenrich_geo' },
+    ])
+    const phone = exaResult('wenrich_phone', 'phone', '020 7946 0958')
+    const located = await deliver([
+      { path: 'enrichment', snapshot: exaItem(phone, exaResult('wenrich_geo', 'text', 'London, United Kingdom')), doc },
+    ], [doc])
+    expect(located.enrichment.phone).toBe('+442079460958')
+    expect(located.enrichment.flags).toBeUndefined()
+
+    const unlocated = await deliver([{ path: 'enrichment', snapshot: exaItem(phone), doc }], [doc])
+    expect(unlocated.enrichment.phone).toBe('020 7946 0958')
+    expect(unlocated.enrichment.flags.phone).toEqual({ value: '020 7946 0958', reason: 'Unknown country' })
+  })
+})
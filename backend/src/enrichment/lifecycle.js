@@ -0,0 +1,140 @@
+/**
+ * Enrichment Lifecycle
+ * How an `enrichments` doc moves through its statuses, driven by the status of
+ * each per-field request in Exa.
+ *
+ * enrichments.status:
+ *   importing   selected rows are being imported into their own webset
+ *   starting    the field enrichments are being created in Exa
+ *   pending     waiting for Exa
+ *   processing  a 'process-enrichment' job is writing results onto items
+ *   completed   every field finished
+ *   partial     some fields finished, the others failed (see `error`)
+ *   failed      no field finished (see `error`)
+ *   canceled    stopped by the user; fields Exa had already finished are still written
+ *
+ * requests[]: { field, enrichmentId, format, status, error, attempt, requestedAt,
+ *               progress: { done, total }, processedAt, refundedAt }
+ *   status: 'pending' | 'completed' | 'failed' | 'canceled'
+ *
+ * A field fails when Exa rejects it, cancels it on its side, no longer knows it,
+ * or its status can't be read STATUS_CHECK_MAX_ERRORS times in a row.
+ */
+
+const REQUEST_DONE_STATUSES = ['completed', 'failed', 'canceled']
+const SETTLED_STATUSES = ['completed', 'partial', 'failed', 'canceled']
+
+// Failed status checks in a row before a field counts as failed
+const STATUS_CHECK_MAX_ERRORS = 5
+
+function isRequestDone(request) {
+  return REQUEST_DONE_STATUSES.includes(request.status)
+}
+
+/**
+ * Every field has finished, failed or been canceled
+ */
+function isSettled(requests = []) {
+  return requests.every(isRequestDone)
+}
+
+/**
+ * Fields finished in Exa whose results are not on our items yet
+ */
+function getUnprocessedRequests(requests = []) {
+  return requests.filter(request => request.status === 'completed' && !request.processedAt)
+}
+
+/**
+ * The enrichment's status once every field is done
+ */
+function getSettledStatus(requests = []) {
+  if (requests.some(request => request.status === 'canceled')) return 'canceled'
+  const failed = requests.filter(request => request.status === 'failed')
+  if (failed.length === 0) return 'completed'
+  return failed.length === requests.length ? 'failed' : 'partial'
+}
+
+/**
+ * One line naming each failed field and why, e.g. "phone: Canceled in Exa"
+ */
+function describeFailures(requests = []) {
+  const failed = requests.filter(request => request.status === 'failed')
+  if (failed.length === 0) return null
+  return failed.map(request => `${request.field}: ${request.error || 'Unknown error'}`).join('; ')
+}
+
+/**
+ * Apply the Exa enrichment's status to our request
+ */
+function applyExaStatus(request, exaEnrichment = {}) {
+  const status = exaEnrichment.status
+  if (['completed', 'done'].includes(status)) {
+    // Exa has been through every item
+    const progress = request.progress ? { done: request.progress.total, total: request.progress.total } : request.progress
+    return { ...request, status: 'completed', error: null, statusErrors: 0, progress }
+  }
+  if (status === 'canceled') {
+    return { ...request, status: 'failed', error: 'Canceled in Exa', statusErrors: 0 }
+  }
+  return { ...request, status: 'pending', statusErrors: 0 }
+}
+
+/**
+ * Record a failed status check; a 404 or too many in a row fail the field
+ */
+function applyStatusError(request, err) {
+  const statusErrors = (request.statusErrors || 0) + 1
+  if (err.status === 404) {
+    return { ...request, status: 'failed', error: 'Enrichment not found in Exa', statusErrors }
+  }
+  if (statusErrors >= STATUS_CHECK_MAX_ERRORS) {
+    return { ...request, status: 'failed', error: `Status check failed: ${err.message}`, statusErrors }
+  }
+  return { ...request, status: 'pending', statusErrors, lastError: err.message }
+}
+
+/**
+ * Items each request has filled so far, from the webset's items
+ * @param {Array} exaItems - Every item in the enrichment's webset
+ * @param {Array} requests
+ * @returns {Array} Requests with progress: { done, total }
+ */
+function applyProgress(exaItems = [], requests = []) {
+  return requests.map((request) => {
+    if (!request.enrichmentId) return request
+    const done = exaItems.filter(item => (item.enrichments || []).some(result =>
+      result.enrichmentId === request.enrichmentId && result.status === 'completed'
+    )).length
+    return { ...request, progress: { done, total: exaItems.length } }
+  })
+}
+
+/**
+ * What the status, cancel and retry routes report per field
+ */
+function summarizeRequests(requests = []) {
+  return requests.map(({ field, status, error, progress, attempt }) => ({
+    field,
+    status: status || 'pending',
+    error: error || null,
+    done: progress?.done ?? null,
+    total: progress?.total ?? null,
+    attempt: attempt || 1,
+  }))
+}
+
+module.exports = {
+  REQUEST_DONE_STATUSES,
+  SETTLED_STATUSES,
+  STATUS_CHECK_MAX_ERRORS,
+  isRequestDone,
+  isSettled,
+  getUnprocessedRequests,
+  getSettledStatus,
+  describeFailures,
+  applyExaStatus,
+  applyStatusError,
+  applyProgress,
+  summarizeRequests,
+}
@@ -0,0 +1,476 @@
+/**
+ * Enrichment Value Normalizers
+ * Turns the raw answer Exa returns for a field into the value stored on the
+ * item, and decides whether that answer can be trusted.
+ *
+ * normalizeFieldValue(fieldKey, raw, definition) ->
+ *   { status: 'valid',     value }            normalized value to store
+ *   { status: 'not_found', value: NOT_FOUND } Exa found nothing
+ *   { status: 'invalid',   value: null, raw, reason }
+ *   { status: 'unverified', value, raw, reason } plausible, but can't be checked
+ *
+ * Invalid answers are not stored as the field's value; applyFieldResults keeps
+ * them under enrichment.flags[field] = { value: raw, reason } so the UI can
+ * show them as unverified. Unverified answers are stored and flagged.
+ *
+ * Normalizers take (raw, context); context.location is the lead's location,
+ * which tells normalizePhone the country of numbers written without one.
+ *
+ * Each field resolves to one normalizer: FIELD_NORMALIZERS[fieldKey], then
+ * the format's normalizer (FORMAT_NORMALIZERS). Text fields whose instructions
+ * list the allowed answers ('Return exactly one of: "A", "B"') or a scale
+ * ('on a scale of 1-10') are mapped onto those options or coerced to numbers,
+ * so workspace fields get the same treatment as built-in ones.
+ */
+
+const NOT_FOUND = 'Not found'
+
+const NOT_FOUND_VALUES = ['not found', 'n/a', 'na', 'none', 'unavailable', 'no data', 'unknown', 'null', '-']
+
+const MAX_TEXT_LENGTH = 1000
+
+// Domains and TLDs that only ever appear in made-up addresses
+const PLACEHOLDER_EMAIL_DOMAINS = [
+  'example.com', 'example.org', 'example.net', 'test.com', 'domain.com', 'email.com',
+  'company.com', 'yourcompany.com', 'companyname.com', 'sample.com',
+]
+const RESERVED_TLDS = ['test', 'example', 'invalid', 'localhost', 'local']
+const PLACEHOLDER_EMAIL_LOCALS = ['email', 'name', 'yourname', 'firstname', 'firstname.lastname', 'first.last', 'user', 'username', 'someone']
+
+const LINKEDIN_PATH_KINDS = ['in', 'company', 'school', 'showcase', 'pub']
+
+// Calling codes of the countries leads are usually in, by the names a location
+// ends with. Local numbers drop the trunk prefix (usually 0) after the code;
+// Italian numbers keep their leading 0.
+const COUNTRY_PHONE_CODES = [
+  { code: '1', trunk: '1', names: ['united states', 'united states of america', 'usa', 'us', 'canada'] },
+  { code: '44', names: ['united kingdom', 'uk', 'great britain', 'england', 'scotland', 'wales', 'northern ireland'] },
+  { code: '353', names: ['ireland'] },
+  { code: '49', names: ['germany', 'deutschland'] },
+  { code: '33', names: ['france'] },
+  { code: '34', names: ['spain'] },
+  { code: '39', trunk: '', names: ['italy'] },
+  { code: '31', names: ['netherlands', 'the netherlands'] },
+  { code: '32', names: ['belgium'] },
+  { code: '41', names: ['switzerland'] },
+  { code: '43', names: ['austria'] },
+  { code: '46', names: ['sweden'] },
+  { code: '47', names: ['norway'] },
+  { code: '45', names: ['denmark'] },
+  { code: '358', names: ['finland'] },
+  { code: '48', names: ['poland'] },
+  { code: '351', names: ['portugal'] },
+  { code: '91', names: ['india'] },
+  { code: '61', names: ['australia'] },
+  { code: '64', names: ['new zealand'] },
+  { code: '65', names: ['singapore'] },
+  { code: '81', names: ['japan'] },
+  { code: '86', names: ['china'] },
+  { code: '852', names: ['hong kong'] },
+  { code: '55', names: ['brazil'] },
+  { code: '52', names: ['mexico'] },
+  { code: '972', names: ['israel'] },
+  { code: '971', names: ['united arab emirates', 'uae'] },
+  { code: '27', names: ['south africa'] },
+]
+
+// Answers Exa gives instead of the High / Medium / Low label
+const LEVEL_SYNONYMS = {
+  high: ['strong', 'very likely', 'actively', 'very high'],
+  medium: ['moderate', 'some', 'possible', 'mid'],
+  low: ['weak', 'minimal', 'unlikely', 'very low'],
+}
+
+const invalid = (raw, reason) => ({ status: 'invalid', value: null, raw, reason })
+const valid = value => ({ status: 'valid', value })
+
+function collapseWhitespace(value) {
+  return String(value).replace(/\s+/g, ' ').trim()
+}
+
+// Strip the quotes models like to wrap answers in, and for short answers the trailing period
+function unwrap(value, { keepPeriod = false } = {}) {
+  const text = collapseWhitespace(value).replace(/^["'`]+|["'`]+$/g, '').trim()
+  return keepPeriod ? text : text.replace(/\.$/, '').replace(/^["'`]+|["'`]+$/g, '').trim()
+}
+
+function simplify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9+]+/g, ' ').trim()
+}
+
+// Matches a simplified option as a whole word; `leading` anchors it at the start
+function optionPattern(option, { leading = false } = {}) {
+  const escaped = simplify(option).replace(/[+]/g, '\\+')
+  return new RegExp(`${leading ? '^' : '(^|[^a-z0-9])'}${escaped}(?![a-z0-9])`)
+}
+
+/**
+ * The raw answer of one Exa enrichment result, as text
+ * Exa returns an array of strings (or objects) per enrichment.
+ */
+function readEnrichmentResult(enrichment) {
+  if (!enrichment) return ''
+  const { result } = enrichment
+  if (Array.isArray(result)) {
+    const firstString = result.find(entry => typeof entry === 'string' && entry.trim().length > 0)
+    if (firstString) return firstString
+    const firstObject = result.find(entry => entry && typeof entry === 'object')
+    return firstObject ? JSON.stringify(firstObject) : ''
+  }
+  if (typeof result === 'string') return result
+  if (typeof result === 'number') return String(result)
+  if (result && typeof result === 'object') return JSON.stringify(result)
+  return ''
+}
+
+function isNotFound(raw) {
+  const lower = collapseWhitespace(raw).toLowerCase().replace(/\.$/, '')
+  return !lower ||
+    NOT_FOUND_VALUES.includes(lower) ||
+    lower.startsWith('could not find') ||
+    lower.startsWith('unable to find') ||
+    lower.startsWith('not available') ||
+    (lower.startsWith('no ') && lower.includes('found'))
+}
+
+/* ---------- Contact details ---------- */
+
+function normalizeEmail(raw) {
+  const text = collapseWhitespace(raw).toLowerCase().replace(/^mailto:/, '')
+  const match = text.match(/[^\s<>()[\],;:"]+@[^\s<>()[\],;:"]+/)
+  if (!match) return invalid(raw, 'Not an email address')
+  const email = match[0].replace(/[.]+$/, '')
+  const [local, domain, ...rest] = email.split('@')
+
+  if (rest.length || !local || !domain || email.length > 254 || local.length > 64) {
+    return invalid(raw, 'Not an email address')
+  }
+  if (!/^[a-z0-9!#$%&'*+/=?^_`{|}~.-]+$/.test(local) || /^\.|\.$|\.\./.test(local)) {
+    return invalid(raw, 'Malformed mailbox name')
+  }
+  const labels = domain.split('.')
+  if (labels.length < 2 || labels.some(label => !/^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/.test(label))) {
+    return invalid(raw, 'Malformed domain')
+  }
+  const tld = labels[labels.length - 1]
+  if (!/^[a-z]{2,}$/.test(tld) || RESERVED_TLDS.includes(tld)) {
+    return invalid(raw, `Domain .${tld} can't receive mail`)
+  }
+  if (PLACEHOLDER_EMAIL_DOMAINS.includes(domain) || PLACEHOLDER_EMAIL_LOCALS.includes(local)) {
+    return invalid(raw, 'Placeholder address')
+  }
+  return valid(email)
+}
+
+/**
+ * The calling code for a location: 'London, United Kingdom' -> { code: '44', trunk: '0' }
+ * Only the country a location ends with counts, so 'Paris, Texas, USA' is '1'.
+ */
+function findCountryPhoneCode(location) {
+  const country = simplify(String(location || '').split(',').pop())
+  if (!country) return null
+  const match = COUNTRY_PHONE_CODES.find(entry => entry.names.includes(country))
+  return match ? { code: match.code, trunk: match.trunk ?? '0' } : null
+}
+
+/**
+ * '+91 98765 43210' -> '+919876543210'
+ * Numbers without a country code get the one of the lead's country
+ * ('020 7946 0958' in London -> '+442079460958'). Without a known country they
+ * are kept as written and flagged unverified, since they can't be checked.
+ */
+function normalizePhone(raw, { location } = {}) {
+  let text = collapseWhitespace(raw).replace(/^tel:/i, '')
+  // Drop extensions ("x 123", "ext. 123")
+  text = text.replace(/\s*(?:ext\.?|x|#)\s*\d+$/i, '')
+  if (/[a-z]/i.test(text.replace(/^phone:?/i, ''))) return invalid(raw, 'Not a phone number')
+
+  const hasPlus = /^\s*(?:phone:?\s*)?\+/i.test(text)
+  let digits = text.replace(/\D/g, '')
+  if (!hasPlus && digits.startsWith('00')) {
+    digits = digits.slice(2)
+  } else if (!hasPlus) {
+    const country = findCountryPhoneCode(location)
+    if (!country) {
+      if (digits.length < 6 || digits.length > 15) return invalid(raw, 'Not a phone number')
+      return { status: 'unverified', value: text.replace(/^phone:?\s*/i, ''), raw, reason: 'Unknown country' }
+    }
+    if (country.code === '1') {
+      if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1)
+      if (digits.length !== 10 || !/^[2-9]\d{2}[2-9]/.test(digits)) {
+        return invalid(raw, 'Not a valid North American number')
+      }
+    } else if (country.trunk && digits.startsWith(country.trunk)) {
+      digits = digits.slice(country.trunk.length)
+    }
+    digits = `${country.code}${digits}`
+  }
+  if (digits.length < 8 || digits.length > 15 || digits.startsWith('0')) {
+    return invalid(raw, 'Not a valid international number')
+  }
+  return valid(`+${digits}`)
+}
+
+function parseUrl(raw) {
+  const text = collapseWhitespace(raw).replace(/^<|>$/g, '')
+  const candidate = text.match(/(?:https?:\/\/)?[^\s"'<>]+\.[a-z]{2,}[^\s"'<>]*/i)?.[0]
+  if (!candidate) return null
+  try {
+    const url = new URL(/^https?:\/\//i.test(candidate) ? candidate : `https://${candidate}`)
+    return url.hostname.includes('.') ? url : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * 'uk.linkedin.com/in/Jane-Doe/?trk=x' -> 'https://www.linkedin.com/in/jane-doe'
+ */
+function normalizeLinkedinUrl(raw) {
+  const url = parseUrl(raw)
+  if (!url || !/(^|\.)linkedin\.com$/i.test(url.hostname)) return invalid(raw, 'Not a LinkedIn URL')
+  const [kind, slug] = url.pathname.split('/').filter(Boolean)
+  if (!LINKEDIN_PATH_KINDS.includes(String(kind).toLowerCase()) || !slug) {
+    return invalid(raw, 'Not a LinkedIn profile or company page')
+  }
+  let cleanSlug = slug
+  try {
+    cleanSlug = decodeURIComponent(slug)
+  } catch {
+    // keep the encoded slug
+  }
+  return valid(`https://www.linkedin.com/${kind.toLowerCase()}/${encodeURIComponent(cleanSlug.toLowerCase())}`)
+}
+
+function normalizeUrl(raw) {
+  const url = parseUrl(raw)
+  if (!url) return invalid(raw, 'Not a URL')
+  url.hash = ''
+  return valid(url.toString().replace(/\/$/, ''))
+}
+
+/* ---------- Numbers, dates, text ---------- */
+
+function parseNumber(raw) {
+  const match = String(raw).replace(/(\d),(?=\d{3}\b)/g, '$1').match(/-?\d+(?:\.\d+)?/)
+  return match ? parseFloat(match[0]) : null
+}
+
+function normalizeNumber(raw) {
+  const number = parseNumber(raw)
+  return number === null ? invalid(raw, 'Not a number') : valid(number)
+}
+
+/**
+ * A 'scale of 1-10' answer: '7', '7/10', 'Score: 7 out of 10' -> 7
+ */
+function normalizeScore(raw, [min, max]) {
+  const number = parseNumber(raw)
+  if (number === null) return invalid(raw, `Not a score from ${min} to ${max}`)
+  if (number < min || number > max) return invalid(raw, `Score outside ${min}-${max}`)
+  return valid(number)
+}
+
+/**
+ * '2023-03-14', 'March 2023', '2023' -> ISO date, as precise as the answer
+ */
+function normalizeDate(raw) {
+  const text = unwrap(raw)
+  const maxYear = new Date().getUTCFullYear() + 1
+  const inRange = year => year >= 1900 && year <= maxYear
+
+  const iso = text.match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/)
+  if (iso && inRange(Number(iso[1])) && (!iso[2] || Number(iso[2]) <= 12)) {
+    return valid(iso.slice(1).filter(Boolean).join('-'))
+  }
+  // 'June 5, 2022', '5 Jun 2022', 'March 2023'
+  const isWritten = /^(\d{1,2}(st|nd|rd|th)?\s+)?(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?(\s+\d{1,2}(st|nd|rd|th)?)?,?\s+\d{4}$/i.test(text)
+  const parsed = new Date(`${text.replace(/(\d)(st|nd|rd|th)\b/i, '$1')} UTC`)
+  if (isWritten && !Number.isNaN(parsed.getTime()) && inRange(parsed.getUTCFullYear())) {
+    // 'March 2023' names no day, so it stays a month
+    const isMonth = /^[a-z]+\.?,?\s+\d{4}$/i.test(text)
+    return valid(parsed.toISOString().slice(0, isMonth ? 7 : 10))
+  }
+  const year = text.match(/\b(19|20)\d{2}\b/)
+  if (year && inRange(Number(year[0]))) return valid(year[0])
+  return invalid(raw, 'Not a date')
+}
+
+function normalizeText(raw) {
+  const text = unwrap(raw, { keepPeriod: true })
+  if (!text) return invalid(raw, 'Empty answer')
+  return valid(text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH).trim()}…` : text)
+}
+
+/**
+ * 'mumbai ,india' -> 'Mumbai, India'
+ * Long sentences are rejected: the answer should be a place, not an explanation.
+ */
+function normalizeLocation(raw) {
+  let text = unwrap(raw).replace(/\s*,\s*/g, ', ')
+  if (!text) return invalid(raw, 'Empty answer')
+  if (text.split(' ').length > 8 || text.split(',').length > 4 || /\d{3,}/.test(text)) {
+    return invalid(raw, 'Not a "City, Country" location')
+  }
+  if (text === text.toLowerCase() || text === text.toUpperCase()) {
+    text = text.toLowerCase().replace(/(^|[\s,(-])([a-z])/g, (match, before, letter) => before + letter.toUpperCase())
+  }
+  return valid(text)
+}
+
+/* ---------- Enumerated answers ---------- */
+
+/**
+ * Allowed answers of a field: its Exa options, or the quoted values its
+ * instructions ask for ('Return exactly one of: "A", "B", or "C".')
+ */
+function getEnumOptions(definition = {}) {
+  if (Array.isArray(definition.options) && definition.options.length > 0) {
+    return definition.options.map(option => (typeof option === 'string' ? option : option?.label)).filter(Boolean)
+  }
+  const list = String(definition.instructions || '').match(/exactly[^"]*((?:"[^"]+"[^".]*)+)/i)
+  if (!list) return []
+  return [...list[1].matchAll(/"([^"]+)"/g)].map(match => match[1])
+}
+
+// '1-10' -> [1, 10]; '5000+' -> [5000, Infinity]
+function parseRange(label) {
+  const range = String(label).match(/^(\d+)\s*-\s*(\d+)$/)
+  if (range) return [Number(range[1]), Number(range[2])]
+  const open = String(label).match(/^(\d+)\+$/)
+  return open ? [Number(open[1]), Infinity] : null
+}
+
+function normalizeEnum(raw, options) {
+  const answer = unwrap(raw)
+  const lower = answer.toLowerCase()
+  const simple = simplify(answer)
+
+  const exact = options.find(option => option.toLowerCase() === lower || simplify(option) === simple)
+  if (exact) return valid(exact)
+
+  // 'Micro' for 'Micro (10K-50K)'
+  const short = options.find(option => simplify(option.replace(/\s*\(.*\)$/, '')) === simple)
+  if (short) return valid(short)
+
+  // 'High - actively evaluating tools', 'Retailer: sells online'
+  const leading = options
+    .filter(option => optionPattern(option, { leading: true }).test(simple))
+    .sort((a, b) => b.length - a.length)[0]
+  if (leading) return valid(leading)
+
+  // Numeric answers for range options ('about 120 employees' -> '51-200')
+  const ranges = options.map(option => [option, parseRange(option)]).filter(([, range]) => range)
+  if (ranges.length === options.length) {
+    const number = parseNumber(answer)
+    const match = number !== null && ranges.find(([, [min, max]]) => number >= min && number <= max)
+    if (match) return valid(match[0])
+  }
+
+  // Exactly one option named somewhere in the answer
+  const mentioned = options.filter(option => optionPattern(option).test(simple))
+  if (mentioned.length === 1) return valid(mentioned[0])
+
+  for (const [level, synonyms] of Object.entries(LEVEL_SYNONYMS)) {
+    const option = options.find(candidate => candidate.toLowerCase() === level)
+    if (option && synonyms.some(synonym => simple.includes(synonym))) return valid(option)
+  }
+
+  return invalid(raw, `Not one of: ${options.join(', ')}`)
+}
+
+/* ---------- Registry ---------- */
+
+const FIELD_NORMALIZERS = {
+  email: normalizeEmail,
+  phone: normalizePhone,
+  linkedinUrl: normalizeLinkedinUrl,
+  geoLocation: normalizeLocation,
+}
+
+const FORMAT_NORMALIZERS = {
+  email: normalizeEmail,
+  phone: normalizePhone,
+  url: normalizeUrl,
+  number: normalizeNumber,
+  date: normalizeDate,
+  text: normalizeText,
+}
+
+/**
+ * The normalizer for a field: (raw, context) -> result
+ * @param {string} fieldKey
+ * @param {Object} [definition] - Enrichment field definition (format, options, instructions)
+ */
+function getFieldNormalizer(fieldKey, definition = {}) {
+  if (FIELD_NORMALIZERS[fieldKey]) return FIELD_NORMALIZERS[fieldKey]
+
+  const format = definition.format || 'text'
+  if (format === 'options' || format === 'text') {
+    const options = getEnumOptions(definition)
+    if (options.length > 0) return raw => normalizeEnum(raw, options)
+  }
+  if (format === 'text' || format === 'number') {
+    const scale = String(definition.instructions || '').match(/scale of (\d+)\s*-\s*(\d+)/i)
+    if (scale) return raw => normalizeScore(raw, [Number(scale[1]), Number(scale[2])])
+  }
+  return FORMAT_NORMALIZERS[format] || normalizeText
+}
+
+/**
+ * Normalize and validate one answer for a field
+ * @param {string} fieldKey
+ * @param {*} raw - The answer, as read by readEnrichmentResult
+ * @param {Object} [definition] - Enrichment field definition
+ * @param {Object} [context] - { location } of the lead the answer is about
+ */
+function normalizeFieldValue(fieldKey, raw, definition = {}, context = {}) {
+  const text = raw === null || raw === undefined ? '' : String(raw)
+  if (isNotFound(text)) return { status: 'not_found', value: NOT_FOUND }
+  return getFieldNormalizer(fieldKey, definition)(text, context)
+}
+
+/**
+ * Normalize an Exa enrichment result; failed / not-found enrichments are not found
+ */
+function normalizeEnrichmentResult(enrichment, fieldKey, definition = {}, context = {}) {
+  if (!enrichment || ['failed', 'not_found'].includes(enrichment.status)) {
+    return { status: 'not_found', value: NOT_FOUND }
+  }
+  return normalizeFieldValue(fieldKey, readEnrichmentResult(enrichment), definition, context)
+}
+
+/**
+ * Merge normalized field results into an item's enrichment
+ * Valid and not-found answers replace the field's value and clear its flag;
+ * invalid answers clear the value and are kept in enrichment.flags;
+ * unverified answers replace the value and are flagged.
+ * @param {Object} enrichment - The item's current enrichment
+ * @param {Object} results - { [fieldKey]: normalizeFieldValue result }
+ * @returns {Object} The new enrichment
+ */
+function applyFieldResults(enrichment = {}, results = {}) {
+  const { flags: currentFlags, ...values } = enrichment || {}
+  const flags = { ...(currentFlags || {}) }
+
+  for (const [fieldKey, result] of Object.entries(results)) {
+    values[fieldKey] = result.value
+    if (result.status === 'invalid' || result.status === 'unverified') {
+      flags[fieldKey] = { value: String(result.raw).slice(0, 300), reason: result.reason }
+    } else {
+      delete flags[fieldKey]
+    }
+  }
+
+  return Object.keys(flags).length > 0 ? { ...values, flags } : values
+}
+
+module.exports = {
+  NOT_FOUND,
+  readEnrichmentResult,
+  getEnumOptions,
+  getFieldNormalizer,
+  normalizeFieldValue,
+  normalizeEnrichmentResult,
+  applyFieldResults,
+}
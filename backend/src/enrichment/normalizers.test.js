@@ -0,0 +1,123 @@
+const { NOT_FOUND, normalizeFieldValue, getEnumOptions, applyFieldResults } = require('./normalizers')
+
+const normalize = (fieldKey, raw, definition, context) => normalizeFieldValue(fieldKey, raw, definition, context)
+
+describe('Enrichment normalizers', () => {
+  describe('email', () => {
+    test('lowercases and pulls the address out of the answer', () => {
+      expect(normalize('email', 'Jane.Doe@Acme.com')).toEqual({ status: 'valid', value: 'jane.doe@acme.com' })
+      expect(normalize('email', 'mailto:jane@acme.io.')).toEqual({ status: 'valid', value: 'jane@acme.io' })
+      expect(normalize('email', 'Contact: <jane@acme.com>')).toEqual({ status: 'valid', value: 'jane@acme.com' })
+    })
+
+    test('rejects malformed, reserved and placeholder addresses', () => {
+      expect(normalize('email', 'jane at acme')).toMatchObject({ status: 'invalid', reason: 'Not an email address' })
+      expect(normalize('email', 'jane..doe@acme.com')).toMatchObject({ status: 'invalid', reason: 'Malformed mailbox name' })
+      expect(normalize('email', 'jane@acme-.com')).toMatchObject({ status: 'invalid', reason: 'Malformed domain' })
+      expect(normalize('email', 'jane@acme.test')).toMatchObject({ status: 'invalid', reason: "Domain .test can't receive mail" })
+      expect(normalize('email', 'john@example.com')).toMatchObject({ status: 'invalid', reason: 'Placeholder address' })
+      expect(normalize('email', 'firstname@acme.com')).toMatchObject({ status: 'invalid', reason: 'Placeholder address' })
+    })
+
+    test('treats empty and "not found" answers as not found', () => {
+      expect(normalize('email', 'N/A')).toEqual({ status: 'not_found', value: NOT_FOUND })
+      expect(normalize('email', 'Could not find an email.')).toEqual({ status: 'not_found', value: NOT_FOUND })
+      expect(normalize('email', null)).toEqual({ status: 'not_found', value: NOT_FOUND })
+    })
+  })
+
+  describe('phone', () => {
+    test('keeps international numbers and drops extensions', () => {
+      expect(normalize('phone', '+91 98765 43210')).toEqual({ status: 'valid', value: '+919876543210' })
+      expect(normalize('phone', '0044 20 7946 0958')).toEqual({ status: 'valid', value: '+442079460958' })
+      expect(normalize('phone', 'tel:+1 (415) 555-0100 ext. 12')).toEqual({ status: 'valid', value: '+14155550100' })
+    })
+
+    test("adds the code of the lead's country to local numbers", () => {
+      expect(normalize('phone', '020 7946 0958', {}, { location: 'London, United Kingdom' }))
+        .toEqual({ status: 'valid', value: '+442079460958' })
+      expect(normalize('phone', '(415) 555-0100', {}, { location: 'San Francisco, USA' }))
+        .toEqual({ status: 'valid', value: '+14155550100' })
+      expect(normalize('phone', '030 1234567', {}, { location: 'Berlin, Germany' }))
+        .toEqual({ status: 'valid', value: '+49301234567' })
+      expect(normalize('phone', '06 1234 5678', {}, { location: 'Rome, Italy' }))
+        .toEqual({ status: 'valid', value: '+390612345678' })
+    })
+
+    test('keeps local numbers of an unknown country and flags them', () => {
+      expect(normalize('phone', '020 7946 0958')).toEqual({
+        status: 'unverified',
+        value: '020 7946 0958',
+        raw: '020 7946 0958',
+        reason: 'Unknown country',
+      })
+      expect(normalize('phone', '(415) 555-0100', {}, { location: 'Somewhere' })).toMatchObject({ status: 'unverified' })
+    })
+
+    test('rejects answers that are not phone numbers', () => {
+      expect(normalize('phone', 'Call the front desk')).toMatchObject({ status: 'invalid', reason: 'Not a phone number' })
+      expect(normalize('phone', '123')).toMatchObject({ status: 'invalid', reason: 'Not a phone number' })
+      expect(normalize('phone', '555-0100', {}, { location: 'Austin, United States' }))
+        .toMatchObject({ status: 'invalid', reason: 'Not a valid North American number' })
+      expect(normalize('phone', '+0 123 456 789')).toMatchObject({ status: 'invalid', reason: 'Not a valid international number' })
+    })
+  })
+
+  describe('LinkedIn URL', () => {
+    test('reduces profile and company pages to their canonical URL', () => {
+      expect(normalize('linkedinUrl', 'uk.linkedin.com/in/Jane-Doe/?trk=x'))
+        .toEqual({ status: 'valid', value: 'https://www.linkedin.com/in/jane-doe' })
+      expect(normalize('linkedinUrl', 'https://www.linkedin.com/company/acme-inc/about/'))
+        .toEqual({ status: 'valid', value: 'https://www.linkedin.com/company/acme-inc' })
+    })
+
+    test('rejects other sites and other LinkedIn pages', () => {
+      expect(normalize('linkedinUrl', 'https://twitter.com/jane')).toMatchObject({ status: 'invalid', reason: 'Not a LinkedIn URL' })
+      expect(normalize('linkedinUrl', 'https://www.linkedin.com/feed/'))
+        .toMatchObject({ status: 'invalid', reason: 'Not a LinkedIn profile or company page' })
+    })
+  })
+
+  describe('enum mapping', () => {
+    const levels = { format: 'text', instructions: 'Return exactly one of: "High", "Medium", or "Low".' }
+    const sizes = { format: 'options', options: [{ label: '1-10' }, { label: '11-50' }, { label: '51-200' }, { label: '201+' }] }
+
+    test('reads the options from the field definition', () => {
+      expect(getEnumOptions(levels)).toEqual(['High', 'Medium', 'Low'])
+      expect(getEnumOptions(sizes)).toEqual(['1-10', '11-50', '51-200', '201+'])
+    })
+
+    test('maps answers onto one of the options', () => {
+      expect(normalize('custom', 'high', levels)).toEqual({ status: 'valid', value: 'High' })
+      expect(normalize('custom', 'Medium - evaluating a few tools', levels)).toEqual({ status: 'valid', value: 'Medium' })
+      expect(normalize('custom', 'Strong signals of interest', levels)).toEqual({ status: 'valid', value: 'High' })
+      expect(normalize('custom', 'about 120 employees', sizes)).toEqual({ status: 'valid', value: '51-200' })
+      expect(normalize('custom', '5,000 employees', sizes)).toEqual({ status: 'valid', value: '201+' })
+    })
+
+    test('rejects answers that match no option', () => {
+      expect(normalize('custom', 'It depends', levels)).toMatchObject({ status: 'invalid', reason: 'Not one of: High, Medium, Low' })
+    })
+  })
+
+  describe('applyFieldResults', () => {
+    test('stores valid values, flags invalid ones and keeps unverified ones flagged', () => {
+      const enrichment = applyFieldResults({ status: 'done', email: 'old@acme.com', flags: { email: { value: 'x', reason: 'y' } } }, {
+        email: normalize('email', 'jane@acme.com'),
+        linkedinUrl: normalize('linkedinUrl', 'https://twitter.com/jane'),
+        phone: normalize('phone', '020 7946 0958'),
+      })
+
+      expect(enrichment).toEqual({
+        status: 'done',
+        email: 'jane@acme.com',
+        linkedinUrl: null,
+        phone: '020 7946 0958',
+        flags: {
+          linkedinUrl: { value: 'https://twitter.com/jane', reason: 'Not a LinkedIn URL' },
+          phone: { value: '020 7946 0958', reason: 'Unknown country' },
+        },
+      })
+    })
+  })
+})
@@ -0,0 +1,502 @@
+/**
+ * Exa Websets HTTP Client
+ * Talks to the real Exa Websets API (https://docs.exa.ai/websets/api)
+ *
+ * Implements the common Exa client interface shared with the in-process
+ * mock server (see ./mockServer.js). Routes never call fetch directly.
+ */
+
+const DEFAULT_BASE_URL = 'https://api.exa.ai'
+
+// Every event the webhook route handles (exaWebhookHandlers in ../index.js)
+const DEFAULT_WEBHOOK_EVENTS = [
+  'webset.idle',
+  'webset.paused',
+  'webset.deleted',
+  'webset.search.created',
+  'webset.search.completed',
+  'webset.search.canceled',
+  'webset.items.created',
+  'webset.item.enriched',
+  'webset.enrichment.completed',
+  'import.completed',
+  'monitor.run.created',
+  'monitor.run.completed',
+]
+
+/**
+ * Create an HTTP-backed Exa client
+ * @param {Object} options
+ * @param {string} options.apiKey - Exa API key
+ * @param {string} [options.baseUrl] - API base URL (defaults to https://api.exa.ai)
+ * @param {string} [options.webhookUrl] - Public webhook URL attached to new websets
+ * @param {Array<string>} [options.webhookEvents] - Webhook events to subscribe to
+ */
+function createHttpExaClient(options = {}) {
+  const {
+    apiKey,
+    baseUrl = DEFAULT_BASE_URL,
+    webhookUrl: defaultWebhookUrl = null,
+    webhookEvents = DEFAULT_WEBHOOK_EVENTS,
+  } = options
+
+  if (!apiKey) {
+    throw new Error('Exa HTTP client requires an API key (EXA_API_KEY)')
+  }
+
+  async function exaRequest(path, { method = 'GET', body, errorLabel = 'Exa API error' } = {}) {
+    const headers = { 'x-api-key': apiKey }
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json'
+    }
+
+    const response = await fetch(`${baseUrl}/websets/v0${path}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    })
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      const error = new Error(`${errorLabel} (${response.status}): ${errorText}`)
+      error.status = response.status
+      throw error
+    }
+
+    return response.json()
+  }
+
+  /**
+   * Create a Webset in Exa
+   * https://docs.exa.ai/websets/api/websets/create-a-webset
+   *
+   * @param {Object} options
+   * @param {string} options.query - Natural language search query
+   * @param {number} options.count - Number of items to find
+   * @param {string} options.entity - Entity type (company, person, etc.)
+   * @param {Array} options.criteria - Evaluation criteria
+   * @param {string} options.externalId - Your reference ID (leadsetId)
+   */
+  async function createWebset(options) {
+    const { query, count = 50, entity = 'company', criteria = [], externalId, webhookUrl } = options
+
+    const payload = {
+      externalId,
+      search: {
+        query,
+        count,
+        entity: { type: entity },
+        criteria: criteria.length > 0 ? criteria : undefined,
+      },
+    }
+
+    // Add webhook URL if configured
+    if (webhookUrl || defaultWebhookUrl) {
+      payload.webhook = {
+        url: webhookUrl || defaultWebhookUrl,
+        events: webhookEvents,
+      }
+    }
+
+    console.log('[Exa] Creating webset:', JSON.stringify(payload, null, 2))
+
+    try {
+      const webset = await exaRequest('/websets', { method: 'POST', body: payload })
+      console.log('[Exa] Webset created:', webset.id, 'status:', webset.status)
+      return webset
+    } catch (error) {
+      console.error('[Exa] Create webset failed:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * Create an additional search within an existing Webset (extends results)
+   * https://docs.exa.ai/websets/api/websets/searches/create-a-search
+   */
+  async function createWebsetSearch(websetId, options = {}) {
+    const { query, count = 50, entity = 'company', criteria = [] } = options
+
+    const payload = {
+      query,
+      count,
+      entity: entity ? { type: entity } : undefined,
+      criteria: criteria.length > 0 ? criteria : undefined,
+      behavior: 'append',
+    }
+
+    console.log('[Exa] Creating webset search (append):', websetId, JSON.stringify(payload, null, 2))
+
+    try {
+      const search = await exaRequest(`/websets/${websetId}/searches`, { method: 'POST', body: payload })
+      console.log('[Exa] Webset search created:', search.id, 'status:', search.status)
+      return search
+    } catch (error) {
+      console.error('[Exa] Create webset search failed:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * Get a Webset from Exa
+   * https://docs.exa.ai/websets/api/websets/get-a-webset
+   */
+  async function getWebset(websetId) {
+    return exaRequest(`/websets/${websetId}`)
+  }
+
+  /**
+   * List items for a Webset (one page)
+   * https://docs.exa.ai/websets/api/websets/items/list-all-items-for-a-webset
+   */
+  async function listWebsetItems(websetId, options = {}) {
+    const { cursor, limit = 100 } = options
+
+    const params = new URLSearchParams()
+    if (cursor) params.append('cursor', cursor)
+    if (limit) params.append('limit', String(limit))
+
+    return exaRequest(`/websets/${websetId}/items${params.toString() ? '?' + params.toString() : ''}`)
+  }
+
+  /**
+   * Get a single item from a Webset
+   * https://docs.exa.ai/websets/api/websets/items/get-an-item
+   */
+  async function getWebsetItem(websetId, itemId) {
+    try {
+      return await exaRequest(`/websets/${websetId}/items/${itemId}`)
+    } catch (error) {
+      if (error.status === 404) return null
+      throw error
+    }
+  }
+
+  /**
+   * Cancel a running Webset
+   * https://docs.exa.ai/websets/api/websets/cancel-a-running-webset
+   */
+  async function cancelWebset(websetId) {
+    return exaRequest(`/websets/${websetId}/cancel`, { method: 'POST' })
+  }
+
+  /**
+   * Cancel a running search within a Webset
+   * https://docs.exa.ai/websets/api/websets/searches/cancel-a-running-search
+   */
+  async function cancelWebsetSearch(websetId, searchId) {
+    return exaRequest(`/websets/${websetId}/searches/${searchId}/cancel`, { method: 'POST' })
+  }
+
+  /**
+   * Delete a Webset from Exa
+   * https://docs.exa.ai/websets/api/websets/delete-a-webset
+   *
+   * This permanently deletes the webset and all its items/enrichments
+   */
+  async function deleteWebset(websetId) {
+    console.log(`[Exa] Deleting webset: ${websetId}`)
+
+    try {
+      await exaRequest(`/websets/${websetId}`, { method: 'DELETE' })
+    } catch (error) {
+      // 404 means already deleted, which is fine
+      if (error.status === 404) {
+        console.log(`[Exa] Webset ${websetId} already deleted or not found`)
+        return { id: websetId, deleted: true, notFound: true }
+      }
+      throw error
+    }
+
+    console.log(`[Exa] Successfully deleted webset: ${websetId}`)
+    return { id: websetId, deleted: true }
+  }
+
+  /**
+   * Create an empty webset (without search)
+   * POST /v0/websets/
+   */
+  async function createEmptyWebset(externalId) {
+    const payload = { externalId }
+
+    console.log('[Exa] Creating empty webset:', JSON.stringify(payload, null, 2))
+
+    try {
+      const webset = await exaRequest('/websets', { method: 'POST', body: payload })
+      console.log('[Exa] Empty webset created:', webset.id, 'status:', webset.status)
+      return webset
+    } catch (error) {
+      console.error('[Exa] Create empty webset failed:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * Create an import for a CSV of leads
+   * https://docs.exa.ai/websets/api/imports/create-a-link-to-upload-a-csv
+   *
+   * Returns an uploadUrl for uploadCsvToImport. An import belongs to no webset:
+   * once the CSV is uploaded, createImportWebset makes a webset from it.
+   * @param {Object} options
+   * @param {string} options.csv - The CSV that will be uploaded (Exa wants its size up front)
+   * @param {number} options.count - Rows in the CSV
+   * @param {string} [options.entity] - Entity type (company, person)
+   * @param {string} [options.title] - Shown in Exa's dashboard
+   * @param {number} [options.identifier] - Index of the column that identifies each row (the URL)
+   */
+  async function createImport(options = {}) {
+    const { csv = '', count, entity = 'company', title, identifier = 0 } = options
+
+    const payload = {
+      title,
+      format: 'csv',
+      entity: { type: entity },
+      count,
+      size: Buffer.byteLength(csv),
+      csv: { identifier },
+    }
+
+    console.log('[Exa] Creating import:', JSON.stringify(payload, null, 2))
+
+    try {
+      const importData = await exaRequest('/imports', { method: 'POST', body: payload })
+      console.log('[Exa] Import created:', importData.id, 'uploadUrl:', importData.uploadUrl)
+      return importData
+    } catch (error) {
+      console.error('[Exa] Create import failed:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * Create a webset whose items come from an uploaded import
+   * https://docs.exa.ai/websets/api/websets/create-a-webset (import source)
+   *
+   * Exa adds an import's rows to a webset through the webset's `import`
+   * sources, so every import gets a webset of its own.
+   */
+  async function createImportWebset(importId, options = {}) {
+    const { externalId, webhookUrl } = options
+
+    const payload = {
+      externalId,
+      import: [{ source: 'import', id: importId }],
+    }
+
+    if (webhookUrl || defaultWebhookUrl) {
+      payload.webhook = {
+        url: webhookUrl || defaultWebhookUrl,
+        events: webhookEvents,
+      }
+    }
+
+    console.log('[Exa] Creating webset from import:', importId, JSON.stringify(payload, null, 2))
+
+    try {
+      const webset = await exaRequest('/websets', { method: 'POST', body: payload })
+      console.log('[Exa] Import webset created:', webset.id, 'status:', webset.status)
+      return webset
+    } catch (error) {
+      console.error('[Exa] Create import webset failed:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * Upload CSV data to an import uploadUrl
+   * The CSV should contain URLs or data from items to be enriched
+   */
+  async function uploadCsvToImport(uploadUrl, csvContent) {
+    console.log('[Exa] Uploading CSV to import, size:', csvContent.length, 'bytes')
+
+    const response = await fetch(uploadUrl, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'text/csv',
+      },
+      body: csvContent,
+    })
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      console.error('[Exa] CSV upload failed:', response.status, errorText)
+      throw new Error(`CSV upload error (${response.status}): ${errorText}`)
+    }
+
+    console.log('[Exa] CSV uploaded successfully')
+    return { uploaded: true }
+  }
+
+  /**
+   * Get import status
+   * GET /v0/imports/{importId}
+   */
+  async function getImportStatus(importId) {
+    return exaRequest(`/imports/${importId}`)
+  }
+
+  /**
+   * Create an enrichment for a Webset
+   * https://docs.exa.ai/websets/api/websets/enrichments/create-an-enrichment
+   *
+   * Enrichments extract additional data from items (email, phone, etc.)
+   */
+  async function createEnrichment(websetId, enrichmentOptions = {}) {
+    const { description, format = 'text', metadata, options: fieldOptions } = enrichmentOptions
+
+    // Build enrichment payload
+    const payload = {
+      description: description || 'Extract information for this lead',
+      format,
+    }
+
+    // Add metadata for field identification
+    if (metadata && typeof metadata === 'object') {
+      payload.metadata = metadata
+    }
+
+    // Add options array for 'options' format (High/Medium/Low choices etc.)
+    if (format === 'options' && Array.isArray(fieldOptions) && fieldOptions.length > 0) {
+      payload.options = fieldOptions
+    }
+
+    console.log('[Exa] Creating enrichment for webset:', websetId, JSON.stringify(payload, null, 2))
+
+    try {
+      const enrichment = await exaRequest(`/websets/${websetId}/enrichments`, {
+        method: 'POST',
+        body: payload,
+        errorLabel: 'Exa enrichment error',
+      })
+      console.log('[Exa] Enrichment created:', enrichment.id)
+      return enrichment
+    } catch (error) {
+      console.error('[Exa] Create enrichment failed:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * Get an enrichment status
+   */
+  async function getEnrichment(websetId, enrichmentId) {
+    return exaRequest(`/websets/${websetId}/enrichments/${enrichmentId}`)
+  }
+
+  /**
+   * Cancel a running enrichment
+   * https://docs.exa.ai/websets/api/websets/enrichments/cancel-a-running-enrichment
+   */
+  async function cancelEnrichment(websetId, enrichmentId) {
+    return exaRequest(`/websets/${websetId}/enrichments/${enrichmentId}/cancel`, { method: 'POST' })
+  }
+
+  /**
+   * Create a monitor that re-runs a search on a Webset on a cron cadence
+   * https://docs.exa.ai/websets/api/monitors/create-a-monitor
+   *
+   * @param {string} websetId
+   * @param {Object} options
+   * @param {string} options.cron - 5-field cron expression
+   * @param {string} [options.timezone] - IANA timezone for the cron (default 'Etc/UTC')
+   * @param {string} options.query - Search query for each monitor run
+   * @param {number} [options.count] - Items to find per run
+   * @param {string} [options.entity] - Entity type (company, person, etc.)
+   * @param {Array} [options.criteria] - Evaluation criteria
+   * @param {Object} [options.metadata] - Your reference data (e.g. leadsetId)
+   */
+  async function createMonitor(websetId, options = {}) {
+    const { cron, timezone = 'Etc/UTC', query, count = 10, entity = 'company', criteria = [], metadata } = options
+
+    const payload = {
+      websetId,
+      cadence: { cron, timezone },
+      behavior: {
+        type: 'search',
+        config: {
+          query,
+          count,
+          entity: entity ? { type: entity } : undefined,
+          criteria: criteria.length > 0 ? criteria : undefined,
+          behavior: 'append',
+        },
+      },
+      metadata,
+    }
+
+    console.log('[Exa] Creating monitor:', websetId, JSON.stringify(payload, null, 2))
+
+    try {
+      const monitor = await exaRequest('/monitors', { method: 'POST', body: payload, errorLabel: 'Exa monitor error' })
+      console.log('[Exa] Monitor created:', monitor.id, 'status:', monitor.status)
+      return monitor
+    } catch (error) {
+      console.error('[Exa] Create monitor failed:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * Get a monitor
+   */
+  async function getMonitor(monitorId) {
+    return exaRequest(`/monitors/${monitorId}`)
+  }
+
+  /**
+   * Update a monitor's cadence and/or status
+   * @param {string} monitorId
+   * @param {Object} updates - { cron, timezone, status: 'enabled' | 'disabled' }
+   */
+  async function updateMonitor(monitorId, updates = {}) {
+    const { cron, timezone = 'Etc/UTC', status } = updates
+    const payload = {}
+    if (cron) payload.cadence = { cron, timezone }
+    if (status) payload.status = status
+
+    return exaRequest(`/monitors/${monitorId}`, { method: 'PATCH', body: payload, errorLabel: 'Exa monitor error' })
+  }
+
+  /**
+   * Delete a monitor (404 is treated as already deleted)
+   */
+  async function deleteMonitor(monitorId) {
+    try {
+      const result = await exaRequest(`/monitors/${monitorId}`, { method: 'DELETE' })
+      console.log(`[Exa] Deleted monitor: ${monitorId}`)
+      return result
+    } catch (error) {
+      if (error.status === 404) {
+        console.log(`[Exa] Monitor ${monitorId} already deleted or not found`)
+        return { id: monitorId, deleted: true, notFound: true }
+      }
+      throw error
+    }
+  }
+
+  return {
+    kind: 'http',
+    createWebset,
+    createWebsetSearch,
+    getWebset,
+    listWebsetItems,
+    getWebsetItem,
+    cancelWebset,
+    cancelWebsetSearch,
+    deleteWebset,
+    createEmptyWebset,
+    createImport,
+    createImportWebset,
+    uploadCsvToImport,
+    getImportStatus,
+    createEnrichment,
+    getEnrichment,
+    cancelEnrichment,
+    createMonitor,
+    getMonitor,
+    updateMonitor,
+    deleteMonitor,
+  }
+}
+
+module.exports = { createHttpExaClient, DEFAULT_WEBHOOK_EVENTS }
@@ -0,0 +1,81 @@
+const { createHttpExaClient } = require('./httpClient')
+
+function jsonResponse(body, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+  }
+}
+
+describe('Exa HTTP client imports', () => {
+  const originalFetch = global.fetch
+  let calls
+
+  beforeEach(() => {
+    calls = []
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    global.fetch = jest.fn(async (url, options = {}) => {
+      calls.push({ url, method: options.method, body: options.body })
+      if (url.endsWith('/imports')) return jsonResponse({ id: 'import_1', status: 'pending', uploadUrl: 'https://upload.example/import_1' })
+      if (url.endsWith('/websets')) return jsonResponse({ id: 'webset_1', status: 'running' })
+      return jsonResponse({})
+    })
+  })
+
+  afterEach(() => {
+    global.fetch = originalFetch
+    jest.restoreAllMocks()
+  })
+
+  function createClient() {
+    return createHttpExaClient({ apiKey: 'key', baseUrl: 'https://exa.test', webhookUrl: 'https://scout.test/webhooks/exa' })
+  }
+
+  test('creates the import with the size, count and identifier column Exa expects', async () => {
+    const csv = 'url,name\nhttps://acme.com,Acme\n'
+    const importData = await createClient().createImport({ csv, count: 1, entity: 'person', title: 'leads.csv' })
+
+    expect(importData.uploadUrl).toBe('https://upload.example/import_1')
+    expect(calls[0].url).toBe('https://exa.test/websets/v0/imports')
+    expect(calls[0].method).toBe('POST')
+    expect(JSON.parse(calls[0].body)).toEqual({
+      title: 'leads.csv',
+      format: 'csv',
+      entity: { type: 'person' },
+      count: 1,
+      size: Buffer.byteLength(csv),
+      csv: { identifier: 0 },
+    })
+  })
+
+  test('links the uploaded import to a new webset through its import source', async () => {
+    const client = createClient()
+    const csv = 'url,name\nhttps://acme.com,Acme\n'
+    const importData = await client.createImport({ csv, count: 1 })
+    await client.uploadCsvToImport(importData.uploadUrl, csv)
+    const webset = await client.createImportWebset(importData.id, { externalId: 'ls_1_import' })
+
+    expect(webset.id).toBe('webset_1')
+    expect(calls.map(call => `${call.method} ${call.url}`)).toEqual([
+      'POST https://exa.test/websets/v0/imports',
+      'PUT https://upload.example/import_1',
+      'POST https://exa.test/websets/v0/websets',
+    ])
+    expect(calls[1].body).toBe(csv)
+
+    const payload = JSON.parse(calls[2].body)
+    expect(payload.externalId).toBe('ls_1_import')
+    expect(payload.import).toEqual([{ source: 'import', id: 'import_1' }])
+    expect(payload.webhook.url).toBe('https://scout.test/webhooks/exa')
+    expect(payload.webhook.events).toContain('import.completed')
+  })
+
+  test('surfaces Exa errors with their status', async () => {
+    global.fetch = jest.fn(async () => jsonResponse({ error: 'size does not match' }, 400))
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    await expect(createClient().createImport({ csv: 'url\n', count: 1 })).rejects.toMatchObject({ status: 400 })
+  })
+})
@@ -0,0 +1,67 @@
+/**
+ * Exa Client Initialization
+ * Creates a singleton Exa Websets client for reuse across the application
+ *
+ * Client kinds:
+ * - 'http': Real Exa Websets API (requires EXA_API_KEY)
+ * - 'mock': In-process fake Websets server for offline development
+ *
+ * Selection: EXA_CLIENT env var ('http' | 'mock'), otherwise 'http' when
+ * EXA_API_KEY is set and 'mock' when it is not.
+ */
+
+const { createHttpExaClient } = require('./httpClient')
+const { createMockExaServer } = require('./mockServer')
+
+// Singleton pattern - create client once and reuse it
+let clientInstance = null
+
+/**
+ * Get or create the Exa client
+ * @param {Object} [options] - Optional configuration overrides
+ * @param {string} [options.kind] - 'http' or 'mock' (overrides EXA_CLIENT)
+ * @param {string} [options.apiKey] - Exa API key (overrides EXA_API_KEY)
+ * @param {string} [options.webhookUrl] - Public webhook URL attached to new websets
+ * @param {string} [options.localWebhookUrl] - In-process webhook URL the mock delivers to
+ * @param {string} [options.webhookSecret] - Secret the mock signs webhooks with
+ * @returns {Object} Exa client implementing the common interface
+ */
+function getExaClient(options = {}) {
+  if (!clientInstance) {
+    const apiKey = options.apiKey || process.env.EXA_API_KEY
+    const kind = options.kind || process.env.EXA_CLIENT || (apiKey ? 'http' : 'mock')
+
+    if (kind === 'http') {
+      clientInstance = createHttpExaClient({
+        apiKey,
+        baseUrl: process.env.EXA_API_BASE || undefined,
+        webhookUrl: options.webhookUrl,
+      })
+    } else if (kind === 'mock') {
+      clientInstance = createMockExaServer({
+        webhookUrl: options.localWebhookUrl || options.webhookUrl,
+        webhookSecret: options.webhookSecret,
+        itemIntervalMs: parseInt(process.env.EXA_MOCK_ITEM_INTERVAL_MS, 10) || undefined,
+        enrichmentDelayMs: parseInt(process.env.EXA_MOCK_ENRICHMENT_DELAY_MS, 10) || undefined,
+        failEnrichmentFields: (process.env.EXA_MOCK_FAIL_ENRICHMENT_FIELDS || '').split(',').map(field => field.trim()).filter(Boolean),
+        monitorIntervalMs: parseInt(process.env.EXA_MOCK_MONITOR_INTERVAL_MS, 10) || undefined,
+      })
+    } else {
+      throw new Error(`Unknown EXA_CLIENT "${kind}". Use 'http' or 'mock'.`)
+    }
+
+    console.log(`✅ Exa client initialized (kind: ${clientInstance.kind})`)
+  }
+
+  return clientInstance
+}
+
+/**
+ * Reset Exa client instance (useful for testing)
+ */
+function resetExaClient() {
+  clientInstance?.reset?.()
+  clientInstance = null
+}
+
+module.exports = { getExaClient, resetExaClient }
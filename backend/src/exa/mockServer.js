@@ -0,0 +1,842 @@
+/**
+ * In-process fake Exa Websets server
+ *
+ * Implements the same interface as the HTTP client (./httpClient.js) but keeps
+ * all state in memory so the run → enrich → export flow works without network:
+ * - Searches produce items over time (a few per tick) until `count` is reached
+ * - Items are evaluated against the search criteria
+ * - Enrichments start after a delay and fill items a few per tick with
+ *   format-appropriate fake values; they can be canceled while pending
+ * - Enrichments for failEnrichmentFields (metadata.field) are rejected the first
+ *   time they are created on a webset, so failure and retry can be exercised
+ * - Imports parse the uploaded CSV and add its rows as items to the webset
+ *   created from the import (createImportWebset)
+ * - Monitors append a new search on their cron cadence (or every
+ *   monitorIntervalMs when set, so they can be exercised locally)
+ * - Every state change is delivered as a signed webhook, exactly like Exa does
+ *
+ * Webhooks are signed with HMAC-SHA256 over the raw body (x-exa-signature),
+ * matching verifyExaSignature in the webhook route.
+ */
+
+const crypto = require('crypto')
+const { parseCsv } = require('../utils/csv')
+const { getNextRunAt } = require('../scheduler/schedule')
+const { DEFAULT_WEBHOOK_EVENTS } = require('./httpClient')
+
+const NAME_PREFIXES = ['Northwind', 'Bluepeak', 'Lumen', 'Evergreen', 'Cedar', 'Harbor', 'Solstice', 'Kestrel', 'Meridian', 'Juniper', 'Saffron', 'Tidewater']
+const NAME_SUFFIXES = ['Labs', 'Co', 'Collective', 'Goods', 'Studio', 'Supply', 'Partners', 'Group']
+const FIRST_NAMES = ['Aisha', 'Rohan', 'Emma', 'Lucas', 'Priya', 'Noah', 'Sofia', 'Arjun', 'Maya', 'Ethan']
+const LAST_NAMES = ['Sharma', 'Walker', 'Chen', 'Patel', 'Garcia', 'Okafor', 'Nair', 'Fischer', 'Kim', 'Rossi']
+const POSITIONS = ['Founder', 'Head of Growth', 'Category Manager', 'Buyer', 'Marketing Lead', 'VP Partnerships']
+const LOCATIONS = ['Mumbai, India', 'Bengaluru, India', 'London, UK', 'New York, USA', 'San Francisco, USA', 'Toronto, Canada']
+
+function hashString(value) {
+  return crypto.createHash('sha1').update(String(value)).digest().readUInt32BE(0)
+}
+
+function pick(list, seed) {
+  return list[hashString(seed) % list.length]
+}
+
+function slugify(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '')
+}
+
+// setTimeout cannot wait longer than this; longer monitor waits are re-armed
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1
+
+/**
+ * Pull the quoted answers out of "Return exactly one of: ..." style instructions
+ */
+function extractQuotedOptions(description = '') {
+  const match = description.match(/exactly(?: one of)?:?([\s\S]*)/i)
+  if (!match) return []
+  return Array.from(match[1].matchAll(/"([^"]+)"/g)).map((m) => m[1])
+}
+
+/**
+ * Create an in-process Exa client that behaves like the Websets API
+ * @param {Object} options
+ * @param {string} [options.webhookUrl] - Where to deliver webhooks (our own /api/leads/webhooks/exa)
+ * @param {string} [options.webhookSecret] - Secret used to sign webhook bodies
+ * @param {Array<string>} [options.webhookEvents] - Event types to deliver
+ * @param {number} [options.itemIntervalMs] - Delay between item batches
+ * @param {number} [options.itemsPerTick] - Items created per batch
+ * @param {number} [options.enrichmentDelayMs] - Delay before an enrichment starts filling items
+ * @param {Array<string>} [options.failEnrichmentFields] - Fields whose first enrichment per webset is rejected
+ * @param {number} [options.importDelayMs] - Delay before an uploaded import completes
+ * @param {number} [options.monitorIntervalMs] - Run monitors on this interval instead of their cron
+ * @param {Function} [options.now] - Clock, returns a Date (injectable for tests)
+ * @param {Function} [options.fetchImpl] - fetch implementation used for webhook delivery
+ */
+function createMockExaServer(options = {}) {
+  const {
+    webhookUrl = null,
+    webhookSecret = null,
+    webhookEvents = DEFAULT_WEBHOOK_EVENTS,
+    itemIntervalMs = 1500,
+    itemsPerTick = 2,
+    enrichmentDelayMs = 3000,
+    failEnrichmentFields = [],
+    importDelayMs = 2000,
+    monitorIntervalMs = null,
+    now = () => new Date(),
+    fetchImpl = (...args) => fetch(...args),
+  } = options
+
+  const websets = new Map()
+  const imports = new Map()
+  const monitors = new Map()
+  const timers = new Set()
+  // `${websetId}:${field}` already rejected once (failEnrichmentFields)
+  const failedEnrichments = new Set()
+  let sequence = 0
+
+  const timestamp = () => now().toISOString()
+
+  function nextId(prefix) {
+    sequence += 1
+    return `${prefix}_mock_${Date.now().toString(36)}${sequence}`
+  }
+
+  function schedule(fn, delayMs) {
+    const timer = setTimeout(() => {
+      timers.delete(timer)
+      Promise.resolve()
+        .then(fn)
+        .catch((err) => console.error('[Exa Mock] Scheduled task failed:', err.message))
+    }, delayMs)
+    if (timer.unref) timer.unref()
+    timers.add(timer)
+    return timer
+  }
+
+  function notFound(kind, id) {
+    const error = new Error(`Exa API error (404): ${kind} ${id} not found`)
+    error.status = 404
+    return error
+  }
+
+  function getState(websetId) {
+    const state = websets.get(websetId)
+    if (!state) throw notFound('Webset', websetId)
+    return state
+  }
+
+  function snapshotWebset(state) {
+    const { webset, items, searches, enrichments } = state
+    return {
+      ...webset,
+      searches: Array.from(searches.values()).map((search) => ({ ...search })),
+      enrichments: Array.from(enrichments.values()).map((enrichment) => ({ ...enrichment })),
+      counters: {
+        items: items.length,
+        searches: searches.size,
+        enrichments: enrichments.size,
+      },
+    }
+  }
+
+  async function sendWebhook(type, data) {
+    if (!webhookUrl) {
+      console.log(`[Exa Mock] No webhook URL configured - dropping ${type}`)
+      return
+    }
+    if (!webhookEvents.includes(type)) return
+
+    const body = JSON.stringify({
+      id: nextId('evt'),
+      object: 'event',
+      type,
+      data,
+      createdAt: timestamp(),
+    })
+    const headers = { 'Content-Type': 'application/json' }
+    if (webhookSecret) {
+      headers['x-exa-signature'] = crypto.createHmac('sha256', webhookSecret).update(body).digest('hex')
+    }
+
+    try {
+      const response = await fetchImpl(webhookUrl, { method: 'POST', headers, body })
+      if (!response.ok) {
+        console.warn(`[Exa Mock] Webhook ${type} rejected with status ${response.status}`)
+      }
+    } catch (err) {
+      console.warn(`[Exa Mock] Webhook ${type} delivery failed:`, err.message)
+    }
+  }
+
+  /* ---------- Fake data generation ---------- */
+
+  function buildFakeItem(websetId, search, seed) {
+    const companyName = `${pick(NAME_PREFIXES, `${seed}:prefix`)} ${pick(NAME_SUFFIXES, `${seed}:suffix`)}`
+    const domain = `${slugify(companyName)}.example.com`
+    const location = pick(LOCATIONS, `${seed}:location`)
+    const topic = (search.query || 'this market').split(/[.\n]/)[0].slice(0, 120)
+    const createdAt = timestamp()
+
+    let properties
+    if (search.entity === 'person') {
+      const personName = `${pick(FIRST_NAMES, `${seed}:first`)} ${pick(LAST_NAMES, `${seed}:last`)}`
+      properties = {
+        type: 'person',
+        url: `https://www.linkedin.com/in/${slugify(personName)}-${hashString(seed) % 10000}`,
+        description: `${personName} works at ${companyName} and has posted about ${topic.toLowerCase()}.`,
+        person: {
+          name: personName,
+          location,
+          position: pick(POSITIONS, `${seed}:position`),
+          company: { name: companyName, location },
+        },
+      }
+    } else {
+      properties = {
+        type: 'company',
+        url: `https://${domain}`,
+        description: `${companyName} is a ${location.split(', ').pop()} company discussing ${topic.toLowerCase()}.`,
+        company: {
+          name: companyName,
+          location,
+          employees: 10 + (hashString(`${seed}:employees`) % 490),
+          industry: 'Consumer Goods',
+          about: `${companyName} builds products for modern consumers.`,
+        },
+      }
+    }
+
+    const evaluations = (search.criteria || []).map((criterion, index) => ({
+      criterion: criterion.description,
+      reasoning: `Mock evaluation for ${companyName}.`,
+      satisfied: hashString(`${seed}:criterion:${index}`) % 4 === 0 ? 'no' : 'yes',
+      references: [],
+    }))
+
+    return {
+      id: nextId('witem'),
+      object: 'webset_item',
+      source: 'search',
+      sourceId: search.id,
+      websetId,
+      properties,
+      evaluations,
+      enrichments: [],
+      createdAt,
+      updatedAt: createdAt,
+    }
+  }
+
+  function buildItemFromImportRow(websetId, importRecord, row, index) {
+    const lookup = (...keys) => {
+      for (const key of keys) {
+        const match = Object.keys(row).find((column) => column.toLowerCase() === key)
+        if (match && row[match]) return row[match]
+      }
+      return ''
+    }
+
+    const name = lookup('name', 'company', 'company name', 'full name') || `Imported lead ${index + 1}`
+    let url = lookup('url', 'website', 'domain', 'linkedin', 'linkedin url')
+    if (url && !/^https?:\/\//i.test(url)) url = `https://${url}`
+    const createdAt = timestamp()
+
+    const properties = importRecord.entity === 'person'
+      ? {
+          type: 'person',
+          url,
+          description: lookup('description', 'about', 'title'),
+          person: {
+            name,
+            position: lookup('title', 'position', 'role'),
+            company: { name: lookup('company', 'company name') },
+          },
+        }
+      : {
+          type: 'company',
+          url,
+          description: lookup('description', 'about'),
+          company: { name },
+        }
+
+    return {
+      id: nextId('witem'),
+      object: 'webset_item',
+      source: 'import',
+      sourceId: importRecord.id,
+      websetId,
+      properties,
+      evaluations: [],
+      enrichments: [],
+      createdAt,
+      updatedAt: createdAt,
+    }
+  }
+
+  function buildEnrichmentValue(enrichment, item) {
+    const props = item.properties || {}
+    const name = props.person?.name || props.company?.name || 'Lead'
+    const seed = `${item.id}:${enrichment.id}`
+    let domain = ''
+    try {
+      domain = new URL(props.url).hostname.replace(/^www\./, '')
+    } catch {
+      domain = `${slugify(name)}.example.com`
+    }
+    if (domain.includes('linkedin.com')) {
+      domain = `${slugify(props.person?.company?.name || name)}.example.com`
+    }
+
+    switch (enrichment.format) {
+      case 'email':
+        return `${slugify(name.split(' ')[0])}@${domain}`
+      case 'phone':
+        return `+1 555-${String(100 + (hashString(seed) % 900))}-${String(1000 + (hashString(`${seed}:b`) % 9000))}`
+      case 'url':
+        return props.person
+          ? `https://www.linkedin.com/in/${slugify(name)}`
+          : `https://www.linkedin.com/company/${slugify(name)}`
+      case 'options': {
+        const optionLabels = (enrichment.options || []).map((option) => option.label).filter(Boolean)
+        return optionLabels.length ? pick(optionLabels, seed) : null
+      }
+      case 'number':
+        return String(1 + (hashString(seed) % 10))
+      case 'date':
+        return new Date(Date.UTC(2020 + (hashString(seed) % 6), hashString(`${seed}:m`) % 12, 1)).toISOString().slice(0, 10)
+      default: {
+        const description = enrichment.description || ''
+        const quotedOptions = extractQuotedOptions(description)
+        if (quotedOptions.length > 0) return pick(quotedOptions, seed)
+        if (/scale of 1-10/i.test(description)) return String(1 + (hashString(seed) % 10))
+        if (/city, country/i.test(description)) return props.person?.location || props.company?.location || pick(LOCATIONS, seed)
+        return `${name} shows relevant signals in recent public content.`
+      }
+    }
+  }
+
+  /* ---------- Search simulation ---------- */
+
+  function startSearch(websetId, search, onFinished = null) {
+    // Delivered after the create call returns, as Exa does
+    schedule(() => sendWebhook('webset.search.created', { ...search }), 0)
+
+    const tick = async () => {
+      const state = websets.get(websetId)
+      if (!state || search.status !== 'running') return
+
+      const remaining = search.count - search.progress.found
+      const batch = []
+      for (let i = 0; i < Math.min(itemsPerTick, remaining); i++) {
+        const item = buildFakeItem(websetId, search, `${websetId}:${search.id}:${search.progress.found + i}`)
+        state.items.push(item)
+        batch.push(item)
+      }
+      search.progress.found += batch.length
+      search.progress.completion = Math.round((search.progress.found / search.count) * 100)
+      state.webset.updatedAt = timestamp()
+
+      if (batch.length > 0) {
+        await sendWebhook('webset.items.created', { websetId, searchId: search.id, items: batch })
+      }
+
+      if (search.progress.found >= search.count) {
+        finishSearch(websetId, search, 'completed')
+        await sendWebhook('webset.search.completed', { ...search })
+        await sendWebhook('webset.idle', { websetId, status: 'idle' })
+        if (onFinished) await onFinished()
+      } else {
+        schedule(tick, itemIntervalMs)
+      }
+    }
+
+    schedule(tick, itemIntervalMs)
+  }
+
+  function finishSearch(websetId, search, status) {
+    const state = websets.get(websetId)
+    search.status = status
+    search.updatedAt = timestamp()
+    if (status === 'canceled') {
+      search.canceledAt = search.updatedAt
+      schedule(() => sendWebhook('webset.search.canceled', { ...search }), 0)
+    }
+    if (state && !Array.from(state.searches.values()).some((s) => s.status === 'running')) {
+      state.webset.status = 'idle'
+      state.webset.updatedAt = search.updatedAt
+    }
+  }
+
+  function buildSearch(websetId, options = {}) {
+    const { query, count = 50, entity = 'company', criteria = [], behavior = 'override' } = options
+    return {
+      id: nextId('wsearch'),
+      object: 'webset_search',
+      status: 'running',
+      websetId,
+      query,
+      count: Math.max(0, parseInt(count, 10) || 0),
+      entity,
+      criteria,
+      behavior,
+      progress: { found: 0, completion: 0 },
+      createdAt: timestamp(),
+      updatedAt: timestamp(),
+    }
+  }
+
+  /* ---------- Monitor simulation ---------- */
+
+  function clearMonitorTimer(monitor) {
+    if (!monitor.timer) return
+    clearTimeout(monitor.timer)
+    timers.delete(monitor.timer)
+    monitor.timer = null
+  }
+
+  function scheduleMonitor(monitor) {
+    clearMonitorTimer(monitor)
+    if (monitor.status !== 'enabled') {
+      monitor.nextRunAt = null
+      return
+    }
+
+    const nextRun = monitorIntervalMs
+      ? new Date(now().getTime() + monitorIntervalMs)
+      : getNextRunAt({ cron: monitor.cadence.cron }, now())
+    monitor.nextRunAt = nextRun ? nextRun.toISOString() : null
+    if (!nextRun) return
+
+    const delayMs = Math.max(0, nextRun.getTime() - now().getTime())
+    monitor.timer = schedule(() => {
+      if (delayMs > MAX_TIMER_DELAY_MS) return scheduleMonitor(monitor)
+      return runMonitor(monitor)
+    }, Math.min(delayMs, MAX_TIMER_DELAY_MS))
+  }
+
+  async function runMonitor(monitor) {
+    const state = websets.get(monitor.websetId)
+    if (!state || monitor.status !== 'enabled') return
+
+    const run = {
+      id: nextId('mrun'),
+      object: 'monitor_run',
+      status: 'running',
+      monitorId: monitor.id,
+      type: 'search',
+      createdAt: timestamp(),
+      updatedAt: timestamp(),
+    }
+    monitor.lastRun = run
+    await sendWebhook('monitor.run.created', { ...run })
+
+    const { config } = monitor.behavior
+    const search = buildSearch(monitor.websetId, { ...config, entity: config.entity?.type, behavior: 'append' })
+    state.searches.set(search.id, search)
+    state.webset.status = 'running'
+    startSearch(monitor.websetId, search, async () => {
+      run.status = 'completed'
+      run.completedAt = timestamp()
+      run.updatedAt = run.completedAt
+      await sendWebhook('monitor.run.completed', { ...run })
+    })
+
+    scheduleMonitor(monitor)
+  }
+
+  function snapshotMonitor(monitor) {
+    const { timer, ...rest } = monitor
+    return { ...rest }
+  }
+
+  /* ---------- Client interface ---------- */
+
+  async function createWebset(options = {}) {
+    const { query, count = 50, entity = 'company', criteria = [], externalId } = options
+    const websetId = nextId('webset')
+    const state = {
+      webset: {
+        id: websetId,
+        object: 'webset',
+        status: 'running',
+        externalId,
+        createdAt: timestamp(),
+        updatedAt: timestamp(),
+      },
+      items: [],
+      searches: new Map(),
+      enrichments: new Map(),
+    }
+    websets.set(websetId, state)
+
+    const search = buildSearch(websetId, { query, count, entity, criteria })
+    state.searches.set(search.id, search)
+    startSearch(websetId, search)
+
+    console.log(`[Exa Mock] Webset created: ${websetId} (count: ${search.count}, entity: ${entity})`)
+    return snapshotWebset(state)
+  }
+
+  async function createWebsetSearch(websetId, options = {}) {
+    const state = getState(websetId)
+    const search = buildSearch(websetId, { ...options, behavior: 'append' })
+    state.searches.set(search.id, search)
+    state.webset.status = 'running'
+    startSearch(websetId, search)
+
+    console.log(`[Exa Mock] Webset search created: ${search.id} on ${websetId}`)
+    return { ...search }
+  }
+
+  async function getWebset(websetId) {
+    return snapshotWebset(getState(websetId))
+  }
+
+  async function listWebsetItems(websetId, options = {}) {
+    const { cursor, limit = 100 } = options
+    const state = getState(websetId)
+    const start = cursor ? parseInt(cursor, 10) || 0 : 0
+    const end = start + (parseInt(limit, 10) || 100)
+    const data = state.items.slice(start, end).map((item) => ({ ...item }))
+    const hasMore = end < state.items.length
+    return { data, hasMore, nextCursor: hasMore ? String(end) : null }
+  }
+
+  async function getWebsetItem(websetId, itemId) {
+    const state = websets.get(websetId)
+    const item = state?.items.find((entry) => entry.id === itemId)
+    return item ? { ...item } : null
+  }
+
+  async function cancelWebset(websetId) {
+    const state = getState(websetId)
+    state.searches.forEach((search) => {
+      if (search.status === 'running') finishSearch(websetId, search, 'canceled')
+    })
+    state.webset.status = 'idle'
+    return snapshotWebset(state)
+  }
+
+  async function cancelWebsetSearch(websetId, searchId) {
+    const state = getState(websetId)
+    const search = state.searches.get(searchId)
+    if (!search) throw notFound('Search', searchId)
+    if (search.status === 'running') finishSearch(websetId, search, 'canceled')
+    return { ...search }
+  }
+
+  async function deleteWebset(websetId) {
+    if (!websets.has(websetId)) {
+      console.log(`[Exa Mock] Webset ${websetId} already deleted or not found`)
+      return { id: websetId, deleted: true, notFound: true }
+    }
+    const state = websets.get(websetId)
+    state.searches.forEach((search) => {
+      if (search.status === 'running') search.status = 'canceled'
+    })
+    // Monitors belong to their webset
+    monitors.forEach((monitor, monitorId) => {
+      if (monitor.websetId !== websetId) return
+      clearMonitorTimer(monitor)
+      monitors.delete(monitorId)
+    })
+    websets.delete(websetId)
+    schedule(() => sendWebhook('webset.deleted', { ...state.webset, updatedAt: timestamp() }), 0)
+    console.log(`[Exa Mock] Deleted webset: ${websetId}`)
+    return { id: websetId, deleted: true }
+  }
+
+  async function createEmptyWebset(externalId) {
+    const websetId = nextId('webset')
+    const state = {
+      webset: {
+        id: websetId,
+        object: 'webset',
+        status: 'idle',
+        externalId,
+        createdAt: timestamp(),
+        updatedAt: timestamp(),
+      },
+      items: [],
+      searches: new Map(),
+      enrichments: new Map(),
+    }
+    websets.set(websetId, state)
+    console.log(`[Exa Mock] Empty webset created: ${websetId}`)
+    return snapshotWebset(state)
+  }
+
+  async function createImport(options = {}) {
+    const { entity = 'company', count, title, csv = '', identifier = 0 } = options
+    const importId = nextId('import')
+    const record = {
+      id: importId,
+      object: 'import',
+      status: 'pending',
+      format: 'csv',
+      entity,
+      count,
+      title,
+      size: Buffer.byteLength(csv),
+      identifier,
+      uploadUrl: `mock://imports/${importId}`,
+      createdAt: timestamp(),
+    }
+    imports.set(importId, record)
+    return publicImport(record)
+  }
+
+  function publicImport(record) {
+    const { rows, websetId, scheduled, ...rest } = record
+    return { ...rest }
+  }
+
+  /**
+   * Add an import's rows to the webset made from it, once it has both its CSV
+   * and a webset
+   */
+  function processImport(record) {
+    if (!record.rows || !record.websetId || record.scheduled) return
+    record.scheduled = true
+
+    schedule(async () => {
+      const state = websets.get(record.websetId)
+      const items = state
+        ? record.rows.map((row, index) => buildItemFromImportRow(record.websetId, record, row, index))
+        : []
+      if (state) {
+        state.items.push(...items)
+        state.webset.status = 'idle'
+        state.webset.updatedAt = timestamp()
+      }
+
+      record.status = 'completed'
+      record.count = items.length
+      record.updatedAt = timestamp()
+
+      if (items.length > 0) {
+        await sendWebhook('webset.items.created', { websetId: record.websetId, importId: record.id, items })
+      }
+      await sendWebhook('import.completed', publicImport(record))
+      if (state) await sendWebhook('webset.idle', { websetId: record.websetId, status: 'idle' })
+    }, importDelayMs)
+  }
+
+  async function uploadCsvToImport(uploadUrl, csvContent) {
+    const importId = String(uploadUrl || '').replace('mock://imports/', '')
+    const record = imports.get(importId)
+    if (!record) throw notFound('Import', importId)
+
+    record.rows = parseCsv(csvContent)
+    record.status = 'processing'
+    record.updatedAt = timestamp()
+    processImport(record)
+
+    console.log(`[Exa Mock] Received ${record.rows.length} CSV rows for import ${importId}`)
+    return { uploaded: true }
+  }
+
+  async function createImportWebset(importId, options = {}) {
+    const record = imports.get(importId)
+    if (!record) throw notFound('Import', importId)
+
+    const websetId = nextId('webset')
+    const state = {
+      webset: {
+        id: websetId,
+        object: 'webset',
+        status: 'running',
+        externalId: options.externalId,
+        createdAt: timestamp(),
+        updatedAt: timestamp(),
+      },
+      items: [],
+      searches: new Map(),
+      enrichments: new Map(),
+    }
+    websets.set(websetId, state)
+    record.websetId = websetId
+    processImport(record)
+
+    console.log(`[Exa Mock] Webset ${websetId} created from import ${importId}`)
+    return snapshotWebset(state)
+  }
+
+  async function getImportStatus(importId) {
+    const record = imports.get(importId)
+    if (!record) throw notFound('Import', importId)
+    return publicImport(record)
+  }
+
+  async function createEnrichment(websetId, enrichmentOptions = {}) {
+    const state = getState(websetId)
+    const { description, format = 'text', metadata, options: fieldOptions } = enrichmentOptions
+
+    const failKey = `${websetId}:${metadata?.field}`
+    if (failEnrichmentFields.includes(metadata?.field) && !failedEnrichments.has(failKey)) {
+      failedEnrichments.add(failKey)
+      const error = new Error(`Exa enrichment error (500): mock failure for ${metadata.field}`)
+      error.status = 500
+      throw error
+    }
+
+    const enrichment = {
+      id: nextId('wenrich'),
+      object: 'webset_enrichment',
+      status: 'pending',
+      websetId,
+      description: description || 'Extract information for this lead',
+      format,
+      options: format === 'options' && Array.isArray(fieldOptions) ? fieldOptions : undefined,
+      metadata,
+      createdAt: timestamp(),
+      updatedAt: timestamp(),
+    }
+    state.enrichments.set(enrichment.id, enrichment)
+
+    // Fill the webset's items a few per tick, then report the enrichment done
+    const fillItems = async (offset) => {
+      const current = websets.get(websetId)
+      if (!current || enrichment.status !== 'pending') return
+
+      const batch = current.items.slice(offset, offset + itemsPerTick)
+      for (const item of batch) {
+        const value = buildEnrichmentValue(enrichment, item)
+        item.enrichments.push({
+          object: 'enrichment_result',
+          enrichmentId: enrichment.id,
+          status: 'completed',
+          format: enrichment.format,
+          result: value ? [value] : null,
+          reasoning: 'Generated by the local Exa mock.',
+          references: [],
+          // Real Exa results do not echo these; the mock does so field extraction is deterministic
+          description: enrichment.description,
+          metadata: enrichment.metadata,
+        })
+        item.updatedAt = timestamp()
+        await sendWebhook('webset.item.enriched', { ...item })
+      }
+
+      if (offset + itemsPerTick < current.items.length) {
+        schedule(() => fillItems(offset + itemsPerTick), itemIntervalMs)
+        return
+      }
+
+      enrichment.status = 'completed'
+      enrichment.updatedAt = timestamp()
+      await sendWebhook('webset.enrichment.completed', {
+        websetId,
+        enrichmentId: enrichment.id,
+        items: current.items.map((item) => ({ ...item })),
+      })
+    }
+    schedule(() => fillItems(0), enrichmentDelayMs)
+
+    console.log(`[Exa Mock] Enrichment created: ${enrichment.id} (${format}) on ${websetId}`)
+    return { ...enrichment }
+  }
+
+  async function getEnrichment(websetId, enrichmentId) {
+    const enrichment = getState(websetId).enrichments.get(enrichmentId)
+    if (!enrichment) throw notFound('Enrichment', enrichmentId)
+    return { ...enrichment }
+  }
+
+  async function cancelEnrichment(websetId, enrichmentId) {
+    const enrichment = getState(websetId).enrichments.get(enrichmentId)
+    if (!enrichment) throw notFound('Enrichment', enrichmentId)
+    if (enrichment.status === 'pending') {
+      enrichment.status = 'canceled'
+      enrichment.updatedAt = timestamp()
+    }
+    return { ...enrichment }
+  }
+
+  async function createMonitor(websetId, options = {}) {
+    getState(websetId)
+    const { cron, timezone = 'Etc/UTC', query, count = 10, entity = 'company', criteria = [], metadata } = options
+    const monitor = {
+      id: nextId('monitor'),
+      object: 'monitor',
+      status: 'enabled',
+      websetId,
+      cadence: { cron, timezone },
+      behavior: {
+        type: 'search',
+        config: { query, count, entity: { type: entity }, criteria, behavior: 'append' },
+      },
+      metadata,
+      createdAt: timestamp(),
+      updatedAt: timestamp(),
+    }
+    monitors.set(monitor.id, monitor)
+    scheduleMonitor(monitor)
+
+    console.log(`[Exa Mock] Monitor created: ${monitor.id} on ${websetId} (next run ${monitor.nextRunAt})`)
+    return snapshotMonitor(monitor)
+  }
+
+  async function getMonitor(monitorId) {
+    const monitor = monitors.get(monitorId)
+    if (!monitor) throw notFound('Monitor', monitorId)
+    return snapshotMonitor(monitor)
+  }
+
+  async function updateMonitor(monitorId, updates = {}) {
+    const monitor = monitors.get(monitorId)
+    if (!monitor) throw notFound('Monitor', monitorId)
+    const { cron, timezone = 'Etc/UTC', status } = updates
+    if (cron) monitor.cadence = { cron, timezone }
+    if (status) monitor.status = status
+    monitor.updatedAt = timestamp()
+    scheduleMonitor(monitor)
+    return snapshotMonitor(monitor)
+  }
+
+  async function deleteMonitor(monitorId) {
+    const monitor = monitors.get(monitorId)
+    if (!monitor) return { id: monitorId, deleted: true, notFound: true }
+    clearMonitorTimer(monitor)
+    monitors.delete(monitorId)
+    console.log(`[Exa Mock] Deleted monitor: ${monitorId}`)
+    return { id: monitorId, deleted: true }
+  }
+
+  /**
+   * Drop all state and pending timers (useful for testing)
+   */
+  function reset() {
+    timers.forEach((timer) => clearTimeout(timer))
+    timers.clear()
+    websets.clear()
+    imports.clear()
+    monitors.clear()
+  }
+
+  return {
+    kind: 'mock',
+    createWebset,
+    createWebsetSearch,
+    getWebset,
+    listWebsetItems,
+    getWebsetItem,
+    cancelWebset,
+    cancelWebsetSearch,
+    deleteWebset,
+    createEmptyWebset,
+    createImport,
+    createImportWebset,
+    uploadCsvToImport,
+    getImportStatus,
+    createEnrichment,
+    getEnrichment,
+    cancelEnrichment,
+    createMonitor,
+    getMonitor,
+    updateMonitor,
+    deleteMonitor,
+    reset,
+  }
+}
+
+module.exports = { createMockExaServer }
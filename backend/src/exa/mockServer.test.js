@@ -0,0 +1,58 @@
+const { createMockExaServer } = require('./mockServer')
+
+describe('Exa mock server imports', () => {
+  let exa
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    exa = createMockExaServer({ importDelayMs: 1000 })
+  })
+
+  afterEach(() => {
+    exa.reset()
+    jest.useRealTimers()
+    jest.restoreAllMocks()
+  })
+
+  async function settle(ms) {
+    jest.advanceTimersByTime(ms)
+    // Let the scheduled task's promise chain run
+    for (let i = 0; i < 5; i++) await Promise.resolve()
+  }
+
+  test('adds uploaded rows to the webset created from the import', async () => {
+    const csv = 'url,name,company,title,description\nhttps://acme.com,Acme,,,\nhttps://globex.com,Globex,,,\n'
+    const importData = await exa.createImport({ csv, count: 2, entity: 'company' })
+    await exa.uploadCsvToImport(importData.uploadUrl, csv)
+    const webset = await exa.createImportWebset(importData.id, { externalId: 'ls_1_import' })
+
+    expect(webset.status).toBe('running')
+    expect((await exa.getImportStatus(importData.id)).status).toBe('processing')
+
+    await settle(1000)
+
+    const status = await exa.getImportStatus(importData.id)
+    expect(status).toMatchObject({ status: 'completed', count: 2 })
+    expect(status.rows).toBeUndefined()
+    expect((await exa.getWebset(webset.id)).status).toBe('idle')
+
+    const items = (await exa.listWebsetItems(webset.id, { limit: 100 })).data
+    expect(items.map(item => item.sourceId)).toEqual([importData.id, importData.id])
+    expect(items.map(item => item.properties.company.name)).toEqual(['Acme', 'Globex'])
+  })
+
+  test('waits for the webset before processing an uploaded import', async () => {
+    const csv = 'url,name,company,title,description\nhttps://acme.com,Acme,,,\n'
+    const importData = await exa.createImport({ csv, count: 1 })
+    await exa.uploadCsvToImport(importData.uploadUrl, csv)
+
+    await settle(5000)
+    expect((await exa.getImportStatus(importData.id)).status).toBe('processing')
+
+    const webset = await exa.createImportWebset(importData.id)
+    await settle(1000)
+    expect((await exa.getImportStatus(importData.id)).status).toBe('completed')
+    expect((await exa.listWebsetItems(webset.id)).data).toHaveLength(1)
+  })
+})
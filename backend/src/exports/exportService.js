@@ -0,0 +1,217 @@
+/**
+ * Export Service
+ * Tracks exports as `exports` documents and builds their files.
+ *
+ * Export document:
+ * {
+ *   id, leadsetId, runId,
+ *   status: 'queued' | 'processing' | 'completed' | 'failed' | 'expired',
+ *   format, schema, columns,          // columns: requested keys, or null for the schema's defaults
+ *   filters,                          // item query params (sort, q, recency, hasContact, emailStatus, entity, field)
+ *   requestedBy, jobId,               // jobId: set when built in the background
+ *   rowCount, fileName, contentType, size,
+ *   storage: { backend: 'firebase', url } | { backend: 'local', key },
+ *   error, createdAt, startedAt, completedAt, expiresAt
+ * }
+ *
+ * Small exports are built while the request waits; bigger ones by a
+ * 'build-export' job (see index.js). Completed exports expire after ttlMs:
+ * expireExports() deletes their local files and marks them 'expired'.
+ */
+
+const { parseItemQuery, queryItems } = require('../repository/itemQuery')
+const { newestFirst } = require('../repository/repository')
+const { resolveExportColumns, streamExport, EXPORT_FORMATS } = require('./leadExport')
+
+const DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000
+const FILTER_PARAMS = ['sort', 'q', 'recency', 'hasContact', 'emailStatus', 'entity', 'field']
+
+/**
+ * The item query params of a request, kept on the export doc
+ */
+function pickExportFilters(query = {}) {
+  const filters = {}
+  FILTER_PARAMS.forEach((key) => {
+    if (query[key] !== undefined && query[key] !== '') filters[key] = query[key]
+  })
+  return filters
+}
+
+/**
+ * Create the export service
+ * @param {Object} options
+ * @param {Object} options.sdk - FN7 SDK instance
+ * @param {Object} options.repository - Document repository (../repository)
+ * @param {Object} options.storage - Export storage (./exportStorage)
+ * @param {Object} options.enrichmentFields - Enrichment field definitions ({ key: { label } })
+ * @param {Function} options.getLeadsetFields - leadset -> its enrichment field keys
+ * @param {number} [options.ttlMs] - How long completed exports can be downloaded
+ * @param {Function} [options.onCompleted] - Called with each export doc once its file is stored
+ * @param {Function} [options.now] - Clock
+ */
+function createExportService({
+  sdk,
+  repository,
+  storage,
+  enrichmentFields,
+  getLeadsetFields,
+  ttlMs = DEFAULT_TTL_MS,
+  onCompleted = async () => {},
+  now = () => new Date(),
+}) {
+  /**
+   * Items an export covers, filtered and sorted like the detail table: the
+   * leadset's live items for its latest run, or everything a past run found
+   * (archived included)
+   * @param {string} leadsetId
+   * @param {string} runId
+   * @param {Object} itemOptions - From parseItemQuery
+   */
+  async function selectItems(leadsetId, runId, itemOptions) {
+    const latestRun = await repository.getLatestRun(leadsetId)
+    const runItems = latestRun?.id === runId
+      ? await repository.listItems({ leadsetId })
+      : await repository.listItems({ leadsetId, runId, includeArchived: true })
+    if (!runItems.length) return { runItems, items: [] }
+    // Filters and sort apply to the whole run, not one page
+    const { items } = queryItems(runItems, { ...itemOptions, cursor: null, limit: runItems.length })
+    return { runItems, items }
+  }
+
+  /**
+   * Record a queued export
+   * @param {Object} input - { leadsetId, runId, format, schema, columns, filters, requestedBy }
+   */
+  async function createExport({ leadsetId, runId, format, schema, columns = null, filters = {}, requestedBy = null }) {
+    const id = `export_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`
+    const doc = {
+      id,
+      leadsetId,
+      runId,
+      status: 'queued',
+      format,
+      schema,
+      columns,
+      filters,
+      requestedBy,
+      jobId: null,
+      rowCount: null,
+      fileName: null,
+      contentType: EXPORT_FORMATS[format].contentType,
+      size: null,
+      storage: null,
+      error: null,
+      createdAt: now().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      expiresAt: null,
+    }
+    await sdk.createFirebaseData('exports', id, doc)
+    return doc
+  }
+
+  async function markFailed(exportId, error) {
+    await sdk.updateFirebaseData('exports', exportId, {
+      status: 'failed',
+      error: error.message,
+      completedAt: now().toISOString(),
+    }).catch(() => {})
+  }
+
+  /**
+   * Build an export's file and store it
+   * Failures mark the export 'failed' and are rethrown (so a job retries them).
+   * @param {string} exportId
+   * @returns {Promise<Object>} The export doc
+   */
+  async function buildExport(exportId) {
+    const doc = await repository.get('exports', exportId)
+    if (!doc) throw new Error(`Export ${exportId} not found`)
+    if (['completed', 'expired'].includes(doc.status)) return doc
+
+    try {
+      await sdk.updateFirebaseData('exports', exportId, { status: 'processing', startedAt: now().toISOString(), error: null })
+
+      const leadset = await repository.get('leadsets', doc.leadsetId)
+      if (!leadset) throw new Error(`Leadset ${doc.leadsetId} not found`)
+      const parsedQuery = parseItemQuery(doc.filters || {})
+      if (parsedQuery.error) throw new Error(parsedQuery.error)
+
+      const { items } = await selectItems(doc.leadsetId, doc.runId, parsedQuery.options)
+      const resolved = resolveExportColumns(doc, {
+        enrichmentFields,
+        leadsetFields: getLeadsetFields(leadset),
+        items,
+      })
+      if (resolved.error) throw new Error(resolved.error)
+
+      const { extension } = EXPORT_FORMATS[doc.format]
+      const fileName = `leadset-${doc.leadsetId}-run-${doc.runId}${doc.schema === 'crm' ? '-crm' : ''}.${extension}`
+      const stored = await storage.save(fileName, streamExport(items, resolved.columns, doc, { leadset }))
+
+      const completedAt = now()
+      const updates = {
+        status: 'completed',
+        rowCount: items.length,
+        fileName,
+        size: stored.size,
+        storage: stored.backend === 'firebase'
+          ? { backend: 'firebase', url: stored.url }
+          : { backend: 'local', key: stored.key },
+        completedAt: completedAt.toISOString(),
+        expiresAt: new Date(completedAt.getTime() + ttlMs).toISOString(),
+      }
+      await sdk.updateFirebaseData('exports', exportId, updates)
+      console.log(`[Exports] Built ${exportId}: ${items.length} rows as ${doc.format} (${stored.backend}, ${stored.size} bytes)`)
+      await onCompleted({ ...doc, ...updates })
+      return { ...doc, ...updates }
+    } catch (error) {
+      console.error(`[Exports] Export ${exportId} failed:`, error.message)
+      await markFailed(exportId, error)
+      throw error
+    }
+  }
+
+  /**
+   * Expire completed exports past their expiresAt and delete their local files
+   * @returns {Promise<number>} How many expired
+   */
+  async function expireExports() {
+    const current = now().getTime()
+    const due = (await repository.find('exports', { status: 'completed' }))
+      .filter(doc => doc.expiresAt && new Date(doc.expiresAt).getTime() <= current)
+    for (const doc of due) {
+      await storage.remove(doc).catch((error) => {
+        console.warn(`[Exports] Could not delete the file of ${doc.id}:`, error.message)
+      })
+      await sdk.updateFirebaseData('exports', doc.id, { status: 'expired' })
+    }
+    if (due.length) console.log(`[Exports] Expired ${due.length} exports`)
+    return due.length
+  }
+
+  /**
+   * An export doc as the API returns it, with a fresh download link when ready
+   */
+  function present(doc) {
+    const downloadable = doc.status === 'completed' &&
+      !(doc.expiresAt && new Date(doc.expiresAt).getTime() <= now().getTime())
+    const { storage: stored, ...rest } = doc
+    return {
+      ...rest,
+      storageBackend: stored?.backend || null,
+      downloadUrl: downloadable ? storage.getDownloadUrl(doc) : null,
+    }
+  }
+
+  /**
+   * A leadset's exports, newest first
+   */
+  async function listExports(leadsetId, limit = 50) {
+    return (await repository.find('exports', { leadsetId })).sort(newestFirst).slice(0, limit)
+  }
+
+  return { selectItems, createExport, buildExport, expireExports, listExports, present }
+}
+
+module.exports = { createExportService, pickExportFilters }
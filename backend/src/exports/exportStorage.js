@@ -0,0 +1,131 @@
+/**
+ * Export Storage
+ * Where export files go, and the links they are downloaded from.
+ *
+ * Backends:
+ *   firebase  sdk.uploadToStorage into the `exports` folder; the link is the URL it returns
+ *   local     files under a directory on this server, the object-storage stand-in
+ *             used when Firebase Storage isn't configured (or an upload fails).
+ *             Links point at GET /api/leads/exports/:exportId/download and carry
+ *             an HMAC signature and expiry, so they can be shared without other auth.
+ *
+ * Local files are written by piping the export's chunks into a file stream.
+ * The SDK only uploads whole buffers, so Firebase uploads collect the chunks first.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const { Readable } = require('stream')
+const { pipeline } = require('stream/promises')
+
+// Signed links stay valid this long (or until the export expires, if sooner)
+const DEFAULT_LINK_TTL_MS = 15 * 60 * 1000
+
+/**
+ * Create export storage
+ * @param {Object} options
+ * @param {Object} options.sdk - FN7 SDK instance
+ * @param {string} options.directory - Folder for the local backend
+ * @param {boolean} [options.useFirebase] - Try Firebase Storage first
+ * @param {string} options.signingSecret - Key for local download link signatures
+ * @param {number} [options.linkTtlMs]
+ * @param {Function} [options.now] - Clock
+ */
+function createExportStorage({
+  sdk,
+  directory,
+  useFirebase = false,
+  signingSecret,
+  linkTtlMs = DEFAULT_LINK_TTL_MS,
+  now = () => new Date(),
+}) {
+  function getLocalPath(key) {
+    // Keys are generated by save(); basename keeps a tampered doc inside the folder
+    return path.join(directory, path.basename(key))
+  }
+
+  function sign(exportId, expires) {
+    return crypto.createHmac('sha256', signingSecret).update(`${exportId}:${expires}`).digest('hex')
+  }
+
+  async function saveLocal(fileName, chunks) {
+    await fs.promises.mkdir(directory, { recursive: true })
+    const key = `${crypto.randomBytes(8).toString('hex')}-${path.basename(fileName)}`
+    await pipeline(Readable.from(chunks), fs.createWriteStream(getLocalPath(key)))
+    const { size } = await fs.promises.stat(getLocalPath(key))
+    return { backend: 'local', key, size }
+  }
+
+  /**
+   * Store an export file
+   * @param {string} fileName
+   * @param {Iterable<Buffer>} chunks - e.g. streamExport()
+   * @returns {Promise<{ backend: 'firebase'|'local', url?, key?, size }>}
+   */
+  async function save(fileName, chunks) {
+    if (!useFirebase || !sdk.uploadToStorage) {
+      return saveLocal(fileName, chunks)
+    }
+
+    const content = Buffer.concat([...chunks])
+    try {
+      const [url] = await sdk.uploadToStorage([fileName], [content], 'exports')
+      return { backend: 'firebase', url, size: content.length }
+    } catch (error) {
+      console.warn(`[Exports] Storage upload failed, keeping ${fileName} locally:`, error.message)
+      return saveLocal(fileName, [content])
+    }
+  }
+
+  /**
+   * Download link for a completed export doc
+   * @returns {string|null} Firebase URL, or a signed path relative to the API host
+   */
+  function getDownloadUrl(exportDoc) {
+    if (exportDoc.storage?.backend === 'firebase') return exportDoc.storage.url || null
+    if (exportDoc.storage?.backend !== 'local') return null
+
+    const expiresAt = new Date(exportDoc.expiresAt).getTime()
+    const expires = Math.min(now().getTime() + linkTtlMs, Number.isNaN(expiresAt) ? Infinity : expiresAt)
+    const query = new URLSearchParams({ expires: String(expires), signature: sign(exportDoc.id, expires) })
+    return `/api/leads/exports/${encodeURIComponent(exportDoc.id)}/download?${query}`
+  }
+
+  /**
+   * Check a local download link's signature and expiry
+   * @returns {{ error?: 'INVALID_SIGNATURE'|'LINK_EXPIRED' }}
+   */
+  function verifyDownload(exportId, expires, signature) {
+    const expected = Buffer.from(sign(exportId, expires))
+    const given = Buffer.from(String(signature || ''))
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return { error: 'INVALID_SIGNATURE' }
+    }
+    if (!(Number(expires) > now().getTime())) {
+      return { error: 'LINK_EXPIRED' }
+    }
+    return {}
+  }
+
+  /**
+   * Read stream over a local export file
+   */
+  function openLocal(exportDoc) {
+    return fs.createReadStream(getLocalPath(exportDoc.storage.key))
+  }
+
+  /**
+   * Delete an export's local file (Firebase files are left to the bucket's lifecycle rules)
+   */
+  async function remove(exportDoc) {
+    if (exportDoc.storage?.backend !== 'local') return
+    await fs.promises.unlink(getLocalPath(exportDoc.storage.key)).catch((error) => {
+      if (error.code !== 'ENOENT') throw error
+    })
+  }
+
+  return { save, getDownloadUrl, verifyDownload, openLocal, remove }
+}
+
+module.exports = { createExportStorage }
@@ -0,0 +1,239 @@
+/**
+ * Lead Exports
+ * Columns, schemas and file formats behind GET /leadsets/:id/runs/:runId/export.
+ *
+ * Schemas:
+ *   default  lead columns + one column per enrichment field, headed by field key
+ *   crm      CRM import layout (first_name, last_name, email, company, website, ...)
+ *
+ * Formats:
+ *   csv    RFC 4180 (../utils/csv), UTF-8 with BOM so Excel reads accents
+ *   xlsx   one sheet, header row frozen (../utils/xlsx)
+ *   jsonl  one JSON object per lead and line
+ *
+ * CSV and JSON Lines are written in batches of rows (streamExport) so large
+ * exports can be piped to storage; XLSX has to be zipped in one piece.
+ *
+ * Without `columns` the default schema exports its base columns plus the
+ * leadset's enrichment_fields and every other enrichment field that has a
+ * value in the export; the crm schema exports all its columns.
+ */
+
+const { escapeCsvField } = require('../utils/csv')
+const { stringifyXlsx } = require('../utils/xlsx')
+
+const EXPORT_SCHEMAS = ['default', 'crm']
+
+// Enrichment values Exa returns when it found nothing
+const EMPTY_VALUES = ['', 'not found', 'n/a', 'none', 'unknown']
+
+/**
+ * A cell value: '' for missing or "not found" answers, JSON for objects
+ */
+function cleanValue(value) {
+  if (value === null || value === undefined || value === false) return ''
+  if (typeof value === 'string' && EMPTY_VALUES.includes(value.trim().toLowerCase())) return ''
+  if (typeof value === 'object') return JSON.stringify(value)
+  return value
+}
+
+function isPerson(item) {
+  return item.entityType === 'person'
+}
+
+function getLinkedinUrl(item) {
+  return cleanValue(item.enrichment?.linkedinUrl) || item.entity?.linkedinUrl || ''
+}
+
+/**
+ * "Ada M. Lovelace" -> { first: 'Ada M.', last: 'Lovelace' }
+ */
+function splitName(name) {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean)
+  if (parts.length < 2) return { first: parts[0] || '', last: '' }
+  return { first: parts.slice(0, -1).join(' '), last: parts[parts.length - 1] }
+}
+
+// Columns of the default schema; `selected` ones are exported when no columns are chosen
+const BASE_COLUMNS = [
+  { key: 'name', label: 'Name', selected: true, value: item => item.entity?.name || item.entity?.company || '' },
+  { key: 'title', label: 'Title', selected: true, value: item => item.entity?.title || '' },
+  { key: 'company', label: 'Company', selected: true, value: item => item.entity?.company || '' },
+  { key: 'domain', label: 'Domain', selected: true, value: item => item.entity?.domain || '' },
+  { key: 'platform', label: 'Platform', selected: true, value: item => item.platform || '' },
+  { key: 'snippet', label: 'About', selected: true, value: item => (item.snippet || '').substring(0, 500) },
+  { key: 'recency', label: 'Found', selected: true, value: item => item.recency || '' },
+  { key: 'score', label: 'Score', selected: true, value: item => item.score ?? '' },
+  { key: 'linkedin', label: 'LinkedIn', selected: true, value: getLinkedinUrl },
+  { key: 'emailStatus', label: 'Email status', selected: false, value: item => item.emailStatus || '' },
+  { key: 'entityType', label: 'Type', selected: false, value: item => item.entityType || 'company' },
+  { key: 'location', label: 'Location', selected: false, value: item => item.entity?.location || '' },
+  { key: 'sourceUrl', label: 'Source URL', selected: false, value: item => item.sourceUrl || '' },
+  { key: 'leadsetId', label: 'Leadset ID', selected: true, value: item => item.leadsetId || '' },
+  { key: 'runId', label: 'Run ID', selected: true, value: item => item.runId || '' },
+]
+
+const CRM_COLUMNS = [
+  { key: 'first_name', label: 'First name', value: item => (isPerson(item) ? splitName(item.entity?.name).first : '') },
+  { key: 'last_name', label: 'Last name', value: item => (isPerson(item) ? splitName(item.entity?.name).last : '') },
+  { key: 'email', label: 'Email', value: item => cleanValue(item.enrichment?.email) },
+  { key: 'email_status', label: 'Email status', value: item => item.emailStatus || '' },
+  { key: 'phone', label: 'Phone', value: item => cleanValue(item.enrichment?.phone) },
+  { key: 'job_title', label: 'Job title', value: item => item.entity?.title || '' },
+  { key: 'company', label: 'Company', value: item => item.entity?.company || '' },
+  { key: 'website', label: 'Website', value: item => (item.entity?.domain ? `https://${item.entity.domain}` : '') },
+  { key: 'linkedin_url', label: 'LinkedIn URL', value: getLinkedinUrl },
+  { key: 'location', label: 'Location', value: item => cleanValue(item.enrichment?.geoLocation) || item.entity?.location || '' },
+  { key: 'employee_count', label: 'Company size', value: item => cleanValue(item.enrichment?.employeeCount) },
+  { key: 'lead_type', label: 'Lead type', value: item => cleanValue(item.enrichment?.leadType) },
+  { key: 'buying_intent', label: 'Buying intent', value: item => cleanValue(item.enrichment?.buyingIntent) },
+  { key: 'lead_score', label: 'Lead score', value: item => item.score ?? '' },
+  { key: 'lead_source', label: 'Lead source', value: (item, context) => `Scout: ${context.leadset?.name || item.leadsetId || ''}` },
+  { key: 'description', label: 'Description', value: item => (item.snippet || '').substring(0, 500) },
+].map(column => ({ ...column, selected: true }))
+
+// Rows per chunk streamExport yields
+const ROWS_PER_CHUNK = 500
+
+function toJsonLine(header, row) {
+  const record = {}
+  header.forEach((key) => { record[key] = row[key] })
+  return JSON.stringify(record)
+}
+
+// begin/row write streamed formats; whole writes formats built in one piece
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    // RFC 4180 with CRLF; the BOM makes Excel read UTF-8
+    begin: header => `\uFEFF${header.map(escapeCsvField).join(',')}\r\n`,
+    row: (header, row) => `${header.map(key => escapeCsvField(row[key])).join(',')}\r\n`,
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    whole: (header, rows, { sheetName }) => stringifyXlsx(header, rows, { sheetName }),
+  },
+  jsonl: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'jsonl',
+    begin: () => '',
+    row: (header, row) => `${toJsonLine(header, row)}\n`,
+  },
+}
+
+/**
+ * Validate export query parameters (item filters are parsed separately)
+ * @param {Object} query - req.query: { format, schema, columns }
+ * @returns {{ options: { format, schema, columns: string[]|null } } | { error: string }}
+ */
+function parseExportOptions(query = {}) {
+  const format = query.format || 'csv'
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` }
+  }
+  const schema = query.schema || 'default'
+  if (!EXPORT_SCHEMAS.includes(schema)) {
+    return { error: `schema must be one of ${EXPORT_SCHEMAS.join(', ')}` }
+  }
+  const columns = query.columns
+    ? String(query.columns).split(',').map(column => column.trim()).filter(Boolean)
+    : null
+  if (columns && columns.length === 0) {
+    return { error: 'columns must name at least one column' }
+  }
+  return { options: { format, schema, columns } }
+}
+
+/**
+ * Columns a schema offers
+ * @param {string} schema - 'default' | 'crm'
+ * @param {Object} context
+ * @param {Object} context.enrichmentFields - Enrichment field definitions ({ key: { label } })
+ * @param {string[]} [context.leadsetFields] - The leadset's enrichment field keys
+ * @param {Array} [context.items] - Items being exported (enrichment fields with values are selected)
+ * @returns {Array<{ key, label, selected, value }>}
+ */
+function getExportColumns(schema, { enrichmentFields = {}, leadsetFields = [], items = [] } = {}) {
+  if (schema === 'crm') return CRM_COLUMNS
+
+  const baseKeys = new Set(BASE_COLUMNS.map(column => column.key))
+  const enrichmentColumns = Object.entries(enrichmentFields)
+    .filter(([key]) => !baseKeys.has(key))
+    .map(([key, definition]) => ({
+      key,
+      label: definition.label || key,
+      selected: leadsetFields.includes(key) || items.some(item => cleanValue(item.enrichment?.[key]) !== ''),
+      value: item => cleanValue(item.enrichment?.[key]),
+    }))
+
+  // Enrichment columns go before the id columns at the end
+  const idColumns = BASE_COLUMNS.filter(column => ['leadsetId', 'runId'].includes(column.key))
+  const leadColumns = BASE_COLUMNS.filter(column => !idColumns.includes(column))
+  return [...leadColumns, ...enrichmentColumns, ...idColumns]
+}
+
+/**
+ * Pick the exported columns: the requested ones in request order, or the schema's selected ones
+ * @returns {{ columns: Array } | { error: string }}
+ */
+function resolveExportColumns(options, context) {
+  const available = getExportColumns(options.schema, context)
+  if (!options.columns) {
+    return { columns: available.filter(column => column.selected) }
+  }
+  const byKey = new Map(available.map(column => [column.key, column]))
+  const unknown = options.columns.filter(key => !byKey.has(key))
+  if (unknown.length) {
+    return { error: `Unknown ${options.schema} columns: ${unknown.join(', ')}` }
+  }
+  return { columns: [...new Set(options.columns)].map(key => byKey.get(key)) }
+}
+
+function toRow(item, columns, context) {
+  const row = {}
+  columns.forEach((column) => { row[column.key] = column.value(item, context) })
+  return row
+}
+
+/**
+ * Write items in an export format, a chunk at a time
+ * @param {Array} items - Items, already filtered and sorted
+ * @param {Array} columns - From resolveExportColumns
+ * @param {Object} options - { format }
+ * @param {Object} [context] - { leadset }
+ * @returns {Generator<Buffer>} File content chunks (pipe into a stream, or Buffer.concat)
+ */
+function* streamExport(items, columns, { format }, context = {}) {
+  const writer = EXPORT_FORMATS[format]
+  const header = columns.map(column => column.key)
+
+  if (writer.whole) {
+    const rows = items.map(item => toRow(item, columns, context))
+    yield writer.whole(header, rows, { sheetName: context.leadset?.name || 'Leads' })
+    return
+  }
+
+  let chunk = writer.begin(header)
+  for (let i = 0; i < items.length; i++) {
+    chunk += writer.row(header, toRow(items[i], columns, context))
+    if ((i + 1) % ROWS_PER_CHUNK === 0) {
+      yield Buffer.from(chunk, 'utf8')
+      chunk = ''
+    }
+  }
+  if (chunk) yield Buffer.from(chunk, 'utf8')
+}
+
+module.exports = {
+  cleanValue,
+  splitName,
+  getLinkedinUrl,
+  parseExportOptions,
+  getExportColumns,
+  resolveExportColumns,
+  streamExport,
+  EXPORT_FORMATS,
+  EXPORT_SCHEMAS,
+}
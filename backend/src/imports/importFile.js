@@ -0,0 +1,194 @@
+/**
+ * Buyer Import Files
+ * Turns an uploaded CSV or JSON list of known companies/people into the rows
+ * we upload to an Exa import (see POST /leadsets/:id/imports).
+ *
+ * Columns are mapped onto IMPORT_COLUMNS. An explicit mapping
+ * ({ name: 'Company Name', url: 'Website' }) wins; unmapped columns are
+ * matched by common header names (COLUMN_ALIASES). Rows need a url or a name;
+ * rows without either, and repeats within the file, are skipped.
+ */
+
+const { parseCsv, stringifyCsv } = require('../utils/csv')
+
+const IMPORT_COLUMNS = ['url', 'name', 'company', 'title', 'description']
+const IMPORT_FORMATS = ['csv', 'json']
+const MAX_IMPORT_ROWS = 1000
+
+// Lower-case header names recognised per column, by entity type
+const COLUMN_ALIASES = {
+  company: {
+    url: ['url', 'website', 'domain', 'company website', 'company url', 'homepage'],
+    name: ['name', 'company', 'company name', 'organization', 'organisation', 'brand'],
+    company: [],
+    title: [],
+    description: ['description', 'about', 'notes'],
+  },
+  person: {
+    url: ['url', 'linkedin', 'linkedin url', 'linkedinurl', 'profile', 'profile url'],
+    name: ['name', 'full name', 'fullname', 'person', 'contact', 'contact name'],
+    company: ['company', 'company name', 'organization', 'organisation', 'employer'],
+    title: ['title', 'job title', 'position', 'role'],
+    description: ['description', 'about', 'notes'],
+  },
+}
+
+function detectFormat(content) {
+  if (typeof content !== 'string') return 'json'
+  return /^\s*[[{]/.test(content) ? 'json' : 'csv'
+}
+
+function parseJsonRows(content) {
+  const data = typeof content === 'string' ? JSON.parse(content) : content
+  const rows = Array.isArray(data) ? data : data?.rows || data?.items || data?.data
+  if (!Array.isArray(rows)) {
+    throw new Error('JSON must be an array of objects (or { rows: [...] })')
+  }
+
+  // Flatten to string cells so CSV and JSON rows look the same
+  return rows
+    .filter((row) => row && typeof row === 'object' && !Array.isArray(row))
+    .map((row) => Object.keys(row).reduce((acc, key) => {
+      const value = row[key]
+      if (value !== null && value !== undefined && typeof value !== 'object') {
+        acc[key.trim()] = String(value).trim()
+      }
+      return acc
+    }, {}))
+}
+
+function normalizeUrl(value) {
+  const url = String(value || '').trim()
+  if (!url) return ''
+  return /^https?:\/\//i.test(url) ? url : `https://${url}`
+}
+
+/**
+ * Key used to spot the same buyer twice (file repeats, already in the leadset)
+ */
+function getImportKey({ url, name }) {
+  if (url) return url.toLowerCase().replace(/^https?:\/\/(www\.)?/, '').replace(/\/+$/, '')
+  return `name:${String(name || '').trim().toLowerCase()}`
+}
+
+/**
+ * Resolve which source column feeds each import column
+ * @returns {{ mapping?: Object, error?: string }}
+ */
+function resolveMapping(columns, mappingInput, entity) {
+  if (mappingInput !== undefined && mappingInput !== null && (typeof mappingInput !== 'object' || Array.isArray(mappingInput))) {
+    return { error: 'mapping must be an object of { column: sourceColumn }' }
+  }
+
+  const mapping = {}
+  for (const [target, source] of Object.entries(mappingInput || {})) {
+    if (!IMPORT_COLUMNS.includes(target)) {
+      return { error: `Unknown mapping column "${target}" (expected one of ${IMPORT_COLUMNS.join(', ')})` }
+    }
+    if (source === null || source === '') continue
+    if (!columns.includes(source)) {
+      return { error: `Column "${source}" mapped to ${target} is not in the file` }
+    }
+    mapping[target] = source
+  }
+
+  const aliases = COLUMN_ALIASES[entity] || COLUMN_ALIASES.company
+  const used = new Set(Object.values(mapping))
+  IMPORT_COLUMNS.forEach((target) => {
+    if (target in (mappingInput || {})) return
+    const match = aliases[target]
+      .map((alias) => columns.find((column) => !used.has(column) && column.toLowerCase() === alias))
+      .find(Boolean)
+    if (match) {
+      mapping[target] = match
+      used.add(match)
+    }
+  })
+
+  if (!mapping.url && !mapping.name) {
+    return { error: 'Map a url or name column so rows can be identified' }
+  }
+  return { mapping }
+}
+
+/**
+ * Parse and map an import file
+ *
+ * @param {Object} input
+ * @param {string|Array|Object} input.content - CSV text, JSON text or parsed JSON rows
+ * @param {string} [input.format] - 'csv' | 'json' (detected from content when omitted)
+ * @param {Object} [input.mapping] - { url, name, company, title, description } -> source column
+ * @param {string} [input.entity] - 'company' | 'person'
+ * @returns {{ rows?: Array<Object>, columns?: Array<string>, mapping?: Object, skipped?: Object, error?: string }}
+ */
+function parseImportFile({ content, format, mapping: mappingInput, entity = 'company' } = {}) {
+  if (content === undefined || content === null || content === '') {
+    return { error: 'content is required' }
+  }
+
+  const resolvedFormat = format ? String(format).toLowerCase() : detectFormat(content)
+  if (!IMPORT_FORMATS.includes(resolvedFormat)) {
+    return { error: `format must be one of ${IMPORT_FORMATS.join(', ')}` }
+  }
+
+  let sourceRows
+  try {
+    sourceRows = resolvedFormat === 'json' ? parseJsonRows(content) : parseCsv(String(content))
+  } catch (err) {
+    return { error: `Could not parse ${resolvedFormat.toUpperCase()}: ${err.message}` }
+  }
+  if (sourceRows.length === 0) {
+    return { error: 'The file has no rows' }
+  }
+  if (sourceRows.length > MAX_IMPORT_ROWS) {
+    return { error: `Imports are limited to ${MAX_IMPORT_ROWS} rows (file has ${sourceRows.length})` }
+  }
+
+  const columns = [...new Set(sourceRows.flatMap((row) => Object.keys(row)))]
+  const { mapping, error } = resolveMapping(columns, mappingInput, entity)
+  if (error) return { error }
+
+  const seen = new Set()
+  const skipped = { missingIdentifier: 0, duplicate: 0 }
+  const rows = []
+  sourceRows.forEach((sourceRow) => {
+    const row = IMPORT_COLUMNS.reduce((acc, column) => {
+      acc[column] = mapping[column] ? sourceRow[mapping[column]] || '' : ''
+      return acc
+    }, {})
+    row.url = normalizeUrl(row.url)
+
+    if (!row.url && !row.name) {
+      skipped.missingIdentifier++
+      return
+    }
+    const key = getImportKey(row)
+    if (seen.has(key)) {
+      skipped.duplicate++
+      return
+    }
+    seen.add(key)
+    rows.push(row)
+  })
+
+  if (rows.length === 0) {
+    return { error: 'No rows with a url or name to import' }
+  }
+
+  return { rows, columns, mapping, skipped }
+}
+
+/**
+ * Serialize mapped rows for exa.uploadCsvToImport
+ */
+function buildImportCsv(rows) {
+  return stringifyCsv(IMPORT_COLUMNS, rows)
+}
+
+module.exports = {
+  parseImportFile,
+  buildImportCsv,
+  getImportKey,
+  IMPORT_COLUMNS,
+  MAX_IMPORT_ROWS,
+}
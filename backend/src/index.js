@@ -5,10 +5,12 @@
  * - Backend WRITES to Firebase using FN7 SDK
  * - Backend communicates with Exa Websets API (https://docs.exa.ai/websets)
  * - Backend receives webhooks from Exa for real-time updates
+ * - All Exa calls go through ./exa (HTTP client, or an in-process mock server
+ *   when EXA_API_KEY is not set - see EXA_CLIENT)
  * - Frontend READS from Firebase via FN7 Frontend SDK
  * 
  * Exa Websets Flow:
- * 1. POST /leadsets/:id/run -> Creates a Webset in Exa with search criteria
+ * 1. POST /leadsets/:id/run -> Creates a Webset in Exa with query + criteria from the query builder
  * 2. Exa searches the web and returns items (buyers)
  * 3. POST /leadsets/:id/runs/:runId/enrich -> Creates enrichments for contact details
  * 4. Exa enriches items with email/phone/linkedin
@@ -16,19 +18,48 @@
  */
 
 const crypto = require('crypto')
+const os = require('os')
+const path = require('path')
 const express = require('express')
 const cors = require('cors')
 const dotenv = require('dotenv')
 const { getSDK } = require('./sdk')
+const { getExaClient } = require('./exa')
+const { buildLeadsetQuery, toExaCriteria } = require('./query/queryBuilder')
+const { normalizeEntityType } = require('./query/entityType')
+const { stringifyCsv } = require('./utils/csv')
+const { createCreditLedger } = require('./credits/ledger')
+const { scoreItem, normalizeScoringWeights, SCORE_COMPONENTS } = require('./scoring/scoreEngine')
+const { createScheduler } = require('./scheduler/scheduler')
+const { normalizeSchedule, getNextRunAt, parseCron } = require('./scheduler/schedule')
+const { parseImportFile, buildImportCsv, getImportKey } = require('./imports/importFile')
+const { createJobQueue } = require('./jobs/jobQueue')
+const { createWebhookEventStore, EVENT_STATUSES } = require('./webhooks/eventStore')
+const { createOutboundWebhooks, OUTBOUND_EVENTS, DELIVERY_STATUSES } = require('./webhooks/outbound')
+const { createRepository, toDocs, newestFirst } = require('./repository/repository')
+const { parseItemQuery, findItems, getItemQueryFields, hasContactInfo } = require('./repository/itemQuery')
+const { createBuyerStore } = require('./buyers/buyerStore')
+const { createRunHistory } = require('./runs/runHistory')
+const { parseExportOptions, getExportColumns, resolveExportColumns, EXPORT_FORMATS, EXPORT_SCHEMAS } = require('./exports/leadExport')
+const { createExportService, pickExportFilters } = require('./exports/exportService')
+const { createExportStorage } = require('./exports/exportStorage')
+const { createDestinationService } = require('./destinations/destinationService')
+const { MAPPING_PRESETS, LEAD_FIELDS } = require('./destinations/crmMapping')
+const { createFieldRegistry } = require('./enrichment/fieldRegistry')
+const { DEFAULT_ENRICHMENT_FIELDS, EXA_FORMATS } = require('./enrichment/fields')
+const { createEnrichmentIngestion, indexRequests } = require('./enrichment/ingestion')
+const lifecycle = require('./enrichment/lifecycle')
+const { getEmailVerifier } = require('./verification')
+const { createEmailVerification } = require('./verification/emailVerification')
 
 dotenv.config()
 
 const app = express()
 const PORT = process.env.PORT || 3000
 const EXA_API_KEY = process.env.EXA_API_KEY
-const EXA_API_BASE = 'https://api.exa.ai'
 const EXA_WEBHOOK_SECRET = process.env.EXA_WEBHOOK_SECRET
 const WEBHOOK_URL = process.env.WEBHOOK_URL // Your public webhook URL
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY
 
 app.use(cors())
 app.use(
@@ -40,6 +71,27 @@ app.use(
   })
 )
 
+/**
+ * Guard for /api/leads/admin/*: webhook event replay, subscriptions, deliveries and CRM destinations
+ * Callers send ADMIN_API_KEY as `Authorization: Bearer <key>` or `x-admin-key`.
+ * Without ADMIN_API_KEY the admin routes are disabled.
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    return res.status(503).json({ error: 'ADMIN_DISABLED', message: 'Set ADMIN_API_KEY to use the admin routes' })
+  }
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')
+  const provided = String((bearer && bearer[1]) || req.headers['x-admin-key'] || '')
+  // Hash both sides so timingSafeEqual compares equal lengths
+  const digest = value => crypto.createHash('sha256').update(value).digest()
+  if (!provided || !crypto.timingSafeEqual(digest(provided), digest(ADMIN_API_KEY))) {
+    return res.status(401).json({ error: 'UNAUTHORIZED', message: 'A valid admin key is required' })
+  }
+  next()
+}
+
+app.use('/api/leads/admin', requireAdmin)
+
 // Initialize SDK
 let sdk
 try {
@@ -49,223 +101,49 @@ try {
   process.exit(1)
 }
 
+// Reads by doc_type / leadset / run, see ./repository
+const repository = createRepository({ sdk })
+
 const firestoreUtils = sdk.getFirestoreUtilities ? sdk.getFirestoreUtilities() : null
 
 function increment(amount) {
   return firestoreUtils?.increment ? firestoreUtils.increment(amount) : amount
 }
 
-const FIELD_DESCRIPTION_PREFIX = 'ScoutField::'
+/* ============================================
+   ENRICHMENT FIELDS
+   Built-in + workspace-defined fields, see ./enrichment
+   ============================================ */
 
-/**
- * ENRICHMENT_FIELDS
- * 
- * Each field defines:
- * - label: Human-readable name shown in UI
- * - format: Exa enrichment format ('text', 'email', 'phone', 'options')
- * - instructions: Clear, structured prompt for Exa to extract this field
- * - options (optional): For 'options' format, the allowed values
- * - defaultCost: Token cost per lead for this enrichment
- * 
- * Prompt best practices used:
- * - Be explicit about output format (e.g. "Return exactly one of...")
- * - Provide examples where helpful
- * - Keep instructions concise but unambiguous
- * - Use consistent terminology
- */
-const ENRICHMENT_FIELDS = {
-  // === CONTACT INFORMATION ===
-  email: {
-    label: 'Work Email',
-    format: 'email',
-    instructions: 'Find the best professional work email address for the primary contact or decision maker at this company. Return only the email address in lowercase (e.g. john.doe@company.com). If no email is found, return empty.',
-    defaultCost: 1.0,
-  },
-  phone: {
-    label: 'Work Phone',
-    format: 'phone',
-    instructions: 'Find the best work phone number for the primary contact or decision maker. Return in international format with country code (e.g. +1 555-123-4567 or +91 98765 43210). If no phone is found, return empty.',
-    defaultCost: 1.0,
-  },
-  linkedinUrl: {
-    label: 'LinkedIn URL',
-    format: 'url',
-    instructions: 'Find the LinkedIn profile URL for the primary contact or company. Return ONLY the LinkedIn URL (e.g. https://linkedin.com/company/acme or https://linkedin.com/in/johndoe). Must be a linkedin.com URL. If no LinkedIn profile is found, return empty.',
-    defaultCost: 0.5,
-  },
-  primaryContactChannel: {
-    label: 'Best Contact Channel',
-    format: 'text',
-    instructions: 'Identify the single best channel to reach this lead. Return exactly one of: "LinkedIn DM", "Work Email", "Phone", "Twitter DM", "Website Form", or "Unknown". Choose based on which channel appears most likely to get a response.',
-    defaultCost: 0.25,
-  },
+const fieldRegistry = createFieldRegistry({ sdk, repository })
 
-  // === LEAD CLASSIFICATION ===
-  leadType: {
-    label: 'Lead Type',
-    format: 'text',
-    instructions: 'Classify this lead into one category. Return exactly one of: "Retailer", "Distributor", "Influencer", "Creator", "Expert", "Consultant", "Investor", "Platform", "Brand", "Agency", or "Other". Use title case.',
-    defaultCost: 0.25,
-  },
-  geoLocation: {
-    label: 'Location',
-    format: 'text',
-    instructions: 'Return the most specific reliable location for this lead in "City, Country" format (e.g. "Mumbai, India", "San Francisco, USA"). If only country is known, return just the country. Use proper capitalization.',
-    defaultCost: 0.25,
-  },
-  employeeCount: {
-    label: 'Company Size',
-    format: 'text',
-    instructions: 'Estimate the company headcount range. Return exactly one of these ranges: "1-10", "11-50", "51-200", "201-500", "501-1000", "1001-5000", "5000+". Base estimate on any available signals (website, LinkedIn, news).',
-    defaultCost: 0.5,
-  },
+// Live { key: definition } map, updated in place when workspace fields change
+const ENRICHMENT_FIELDS = fieldRegistry.fields
 
-  // === INTENT SIGNALS ===
-  buyingIntent: {
-    label: 'Buying Intent',
-    format: 'options',
-    options: [{ label: 'High' }, { label: 'Medium' }, { label: 'Low' }],
-    instructions: 'Assess how likely this lead is to purchase products/services based on the referenced content. Return exactly "High", "Medium", or "Low". High = actively seeking solutions; Medium = exploring options; Low = no clear purchase signals.',
-    defaultCost: 0.75,
-  },
-  buyingIntentReason: {
-    label: 'Buying Intent Reason',
-    format: 'text',
-    instructions: 'Explain in one concise sentence (max 20 words) why you assigned the buying intent level. Focus on specific signals observed (e.g. "Mentioned budget approval for Q1 tool purchases").',
-    defaultCost: 0.25,
-  },
-  partnershipIntentLevel: {
-    label: 'Partnership Intent',
-    format: 'options',
-    options: [{ label: 'High' }, { label: 'Medium' }, { label: 'Low' }],
-    instructions: 'Assess how open this lead is to partnerships or collaborations. Return exactly "High", "Medium", or "Low". High = actively seeking partners; Medium = open to discussions; Low = no partnership signals.',
-    defaultCost: 0.25,
-  },
-  partnershipIntentReason: {
-    label: 'Partnership Intent Reason',
-    format: 'text',
-    instructions: 'Explain in one concise sentence (max 20 words) why you assigned the partnership intent level. Reference specific signals (e.g. "Posted about seeking distribution partners in India").',
-    defaultCost: 0.25,
-  },
-  audienceOverlapScore: {
-    label: 'Audience Overlap Score',
-    format: 'text',
-    instructions: 'Estimate the audience overlap potential on a scale of 1-10, where 10 means highly overlapping target audiences. Return just the number (e.g. "7").',
-    defaultCost: 0.25,
-  },
-  audienceOverlapReason: {
-    label: 'Audience Overlap Reason',
-    format: 'text',
-    instructions: 'Explain in one concise sentence (max 20 words) why you assigned the audience overlap score. Reference specific audience characteristics.',
-    defaultCost: 0.25,
-  },
-  
-  // === INFLUENCER/CREATOR FIELDS ===
-  estimatedReachBand: {
-    label: 'Estimated Reach',
-    format: 'text',
-    instructions: 'Estimate the social media reach/following range. Return exactly one of: "Nano (1K-10K)", "Micro (10K-50K)", "Mid (50K-500K)", "Macro (500K-1M)", "Mega (1M+)", or "Unknown".',
-    defaultCost: 0.25,
-  },
-  
-  // === ROLE/SENIORITY FIELDS ===
-  roleSeniorityBand: {
-    label: 'Role Seniority',
-    format: 'text',
-    instructions: 'Classify the seniority level. Return exactly one of: "C-Level", "VP/Director", "Manager", "Senior IC", "IC", or "Unknown".',
-    defaultCost: 0.25,
-  },
-  
-  // === INVESTOR FIELDS ===
-  investorIntentLevel: {
-    label: 'Investor Intent',
-    format: 'options',
-    options: [{ label: 'High' }, { label: 'Medium' }, { label: 'Low' }],
-    instructions: 'Assess how likely this investor is interested in this sector. Return exactly "High", "Medium", or "Low". High = actively investing in similar companies; Medium = thesis aligned; Low = no clear signals.',
-    defaultCost: 0.5,
-  },
-  investorIntentReason: {
-    label: 'Investor Intent Reason',
-    format: 'text',
-    instructions: 'Explain in one concise sentence (max 20 words) why you assigned the investor intent level. Reference portfolio or thesis signals.',
-    defaultCost: 0.25,
-  },
-  
-  // === CATEGORY FIT FIELDS ===
-  categoryFitScore: {
-    label: 'Category Fit Score',
-    format: 'text',
-    instructions: 'Rate how well this lead fits the target category on a scale of 1-10. Return just the number (e.g. "8").',
-    defaultCost: 0.25,
-  },
-  categoryFitReason: {
-    label: 'Category Fit Reason',
-    format: 'text',
-    instructions: 'Explain in one concise sentence (max 20 words) why you assigned the category fit score. Reference specific category alignment signals.',
-    defaultCost: 0.25,
-  },
-}
+// Writes Exa enrichment results onto items for every path that sees them
+const ingestion = createEnrichmentIngestion({ sdk, repository, fields: ENRICHMENT_FIELDS })
 
-Object.entries(ENRICHMENT_FIELDS).forEach(([key, value]) => {
-  if (!value.description) {
-    value.description = `${FIELD_DESCRIPTION_PREFIX}${key}::${value.instructions}`
-  }
-})
+// Fallback when settings.limits.maxSelectionPerEnrichment is not configured
+const DEFAULT_MAX_SELECTION_PER_ENRICHMENT = 500
 
-const DEFAULT_ENRICHMENT_FIELDS = ['email', 'phone']
+// Per-field progress pages every webset item, so status polls in between reuse the last counts
+const ENRICHMENT_PROGRESS_REFRESH_MS = parseInt(process.env.ENRICHMENT_PROGRESS_REFRESH_MS, 10) || 30000
 
-const LEADSET_ENRICHMENT_FIELD_MAP = {
-  // Contact fields
-  contact_email: 'email',
-  contact_phone: 'phone',
-  has_linkedin_messaging: 'linkedinUrl',
-  linkedin_url: 'linkedinUrl',
-  primary_contact_channel: 'primaryContactChannel',
-  
-  // Classification fields
-  lead_type: 'leadType',
-  geo_location: 'geoLocation',
-  company_size_band: 'employeeCount',
-  
-  // Buying intent fields
-  buying_intent_level: 'buyingIntent',
-  buying_intent_reason: 'buyingIntentReason',
-  
-  // Partnership intent fields
-  partnership_intent_level: 'partnershipIntentLevel',
-  partnership_intent_reason: 'partnershipIntentReason',
-  
-  // Audience/influencer fields
-  audience_overlap_score: 'audienceOverlapScore',
-  audience_overlap_reason: 'audienceOverlapReason',
-  estimated_reach_band: 'estimatedReachBand',
-  
-  // Role/seniority fields
-  role_seniority_band: 'roleSeniorityBand',
-  
-  // Investor fields
-  investor_intent_level: 'investorIntentLevel',
-  investor_intent_reason: 'investorIntentReason',
-  
-  // Category fit fields
-  category_fit_score: 'categoryFitScore',
-  category_fit_reason: 'categoryFitReason',
-}
+// Exa monitors: default cadence (daily 09:00 UTC) and leads per monitor run
+const DEFAULT_MONITOR_CRON = '0 9 * * *'
+const DEFAULT_MONITOR_COUNT = 10
+const MAX_MONITOR_COUNT = 1000
 
 function getAllowedEnrichmentFieldsForLeadset(leadset = {}) {
   const rawFields = Array.isArray(leadset.enrichment_fields)
     ? leadset.enrichment_fields
     : []
 
-  const mapped = new Set()
-  for (const raw of rawFields) {
-    const key = LEADSET_ENRICHMENT_FIELD_MAP[raw]
-    if (key && ENRICHMENT_FIELDS[key]) {
-      mapped.add(key)
-    }
-  }
+  const mapped = fieldRegistry.resolveLeadsetFields(rawFields)
+  if (mapped.length === 0) return []
 
-  return Array.from(mapped)
+  // Workspace fields not tied to leadset field names are offered on every leadset
+  return Array.from(new Set([...mapped, ...fieldRegistry.listUnscopedCustomFields()]))
 }
 
 function normalizeRequestedFields(fieldsInput, allowed = null) {
@@ -308,255 +186,6 @@ function normalizeRequestedFields(fieldsInput, allowed = null) {
   return DEFAULT_ENRICHMENT_FIELDS
 }
 
-function extractFieldFromEnrichment(enrichment = {}) {
-  // Strategy 1: Check metadata.field (most reliable)
-  const metadataField = enrichment.metadata?.field
-  if (metadataField && ENRICHMENT_FIELDS[metadataField]) {
-    console.log(`[Enrich] Extracted field from metadata: ${metadataField}`)
-    return metadataField
-  }
-
-  // Strategy 2: Check description prefix (ScoutField::fieldKey::instructions)
-  const description = enrichment.description || ''
-  if (typeof description === 'string' && description.startsWith(FIELD_DESCRIPTION_PREFIX)) {
-    const key = description.replace(FIELD_DESCRIPTION_PREFIX, '').split('::')[0]
-    if (ENRICHMENT_FIELDS[key]) {
-      console.log(`[Enrich] Extracted field from description prefix: ${key}`)
-      return key
-    }
-  }
-
-  // Strategy 3: Check if format matches a field (only works for email/phone)
-  if (enrichment.format && ENRICHMENT_FIELDS[enrichment.format]) {
-    console.log(`[Enrich] Extracted field from format: ${enrichment.format}`)
-    return enrichment.format
-  }
-
-  // Strategy 4: Try to find field by description content (fallback)
-  // Look for field names in the description
-  for (const [fieldKey, fieldDef] of Object.entries(ENRICHMENT_FIELDS)) {
-    if (description.toLowerCase().includes(fieldKey.toLowerCase()) || 
-        description.toLowerCase().includes(fieldDef.label.toLowerCase())) {
-      console.log(`[Enrich] Extracted field from description content: ${fieldKey}`)
-      return fieldKey
-    }
-  }
-
-  // Strategy 5: Infer field from result content (for Exa API responses without metadata)
-  const result = enrichment.result
-  if (result) {
-    // Check if result is an array and get first string value
-    let resultStr = ''
-    if (Array.isArray(result)) {
-      resultStr = result.find(entry => typeof entry === 'string' && entry.trim().length > 0) || ''
-    } else if (typeof result === 'string') {
-      resultStr = result
-    }
-    
-    if (resultStr) {
-      const lowerResult = resultStr.toLowerCase()
-      
-      // Check for High/Medium/Low patterns - could be buyingIntent or partnershipIntentLevel
-      // We need to use the enrichment's format to disambiguate when possible
-      if (/^(high|medium|low)(:|$)/i.test(resultStr.trim())) {
-        // If format is 'options', we can't easily tell which field it is from content alone
-        // Return null to let the caller use a different strategy (e.g., order-based matching)
-        // For now, check for partnership keywords in the result
-        if (lowerResult.includes('partnership') || lowerResult.includes('collaborat')) {
-          console.log(`[Enrich] Inferred field from result content: partnershipIntentLevel`)
-          return 'partnershipIntentLevel'
-        }
-        // Default to buyingIntent for High/Medium/Low without partnership context
-        console.log(`[Enrich] Inferred field from result content: buyingIntent`)
-        return 'buyingIntent'
-      }
-      
-      // Check for employee count: matches range pattern like "1-10", "501-1000", etc.
-      if (/^\d+-\d+$/.test(resultStr.trim()) || /^\d+-\d+\+?$/.test(resultStr.trim())) {
-        console.log(`[Enrich] Inferred field from result content: employeeCount`)
-        return 'employeeCount'
-      }
-      
-      // Check for partnership intent reason: contains clear "partnership intent" phrasing or collaboration keywords
-      if (lowerResult.includes('partnership intent') || 
-          (lowerResult.includes('partnership') && (lowerResult.includes('shows') || lowerResult.includes('due to') || lowerResult.includes('because')))) {
-        console.log(`[Enrich] Inferred field from result content: partnershipIntentReason`)
-        return 'partnershipIntentReason'
-      }
-      
-      // Check for buying intent reason
-      if (lowerResult.includes('buying intent') || lowerResult.includes('purchase intent') ||
-          (lowerResult.includes('intent') && !lowerResult.includes('partnership') && (lowerResult.includes('shows') || lowerResult.includes('due to') || lowerResult.includes('because')))) {
-        console.log(`[Enrich] Inferred field from result content: buyingIntentReason`)
-        return 'buyingIntentReason'
-      }
-      
-      // Check for email: contains @ symbol
-      if (resultStr.includes('@') && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(resultStr.trim())) {
-        console.log(`[Enrich] Inferred field from result content: email`)
-        return 'email'
-      }
-      
-      // Check for phone: matches phone number patterns
-      if (/^[\d\s\-\+\(\)]+$/.test(resultStr.trim()) && resultStr.replace(/\D/g, '').length >= 10) {
-        console.log(`[Enrich] Inferred field from result content: phone`)
-        return 'phone'
-      }
-      
-      // Check for LinkedIn URL patterns
-      if (lowerResult.includes('linkedin.com/') || lowerResult.includes('linkedin.com\\')) {
-        console.log(`[Enrich] Inferred field from result content: linkedinUrl`)
-        return 'linkedinUrl'
-      }
-      
-      // Check for location patterns (City, Country or State, Country)
-      if (/^[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*,\s*[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*$/i.test(resultStr.trim())) {
-        console.log(`[Enrich] Inferred field from result content: geoLocation`)
-        return 'geoLocation'
-      }
-      
-      // Check for contact channel keywords
-      if (lowerResult.includes('linkedin dm') || lowerResult.includes('work email') || 
-          lowerResult.includes('website form') || lowerResult === 'phone' || lowerResult === 'email') {
-        console.log(`[Enrich] Inferred field from result content: primaryContactChannel`)
-        return 'primaryContactChannel'
-      }
-      
-      // Check for lead type keywords
-      if (/^(retailer|distributor|influencer|expert|investor|creator|consultant|brand|agency|platform)/i.test(resultStr.trim())) {
-        console.log(`[Enrich] Inferred field from result content: leadType`)
-        return 'leadType'
-      }
-      
-      // Check for audience overlap score (1-10 number pattern)
-      if (/^[1-9]|10\b/.test(resultStr.trim()) && (lowerResult.includes('overlap') || lowerResult.includes('audience') || /^[1-9]$|^10$/.test(resultStr.trim()))) {
-        console.log(`[Enrich] Inferred field from result content: audienceOverlapScore`)
-        return 'audienceOverlapScore'
-      }
-    }
-  }
-
-  console.warn(`[Enrich] Could not extract field from enrichment:`, {
-    metadata: enrichment.metadata,
-    description: description.substring(0, 100),
-    format: enrichment.format,
-    resultPreview: Array.isArray(enrichment.result) 
-      ? enrichment.result[0]?.substring?.(0, 100) 
-      : String(enrichment.result || '').substring(0, 100),
-  })
-  return null
-}
-
-/**
- * Normalize buying intent to high/medium/low
- */
-function normalizeBuyingIntent(value) {
-  if (!value) return null
-  const str = typeof value === 'string' ? value.toLowerCase() : String(value).toLowerCase()
-  
-  // Check for explicit high/medium/low
-  if (str.includes('high')) return 'high'
-  if (str.includes('medium')) return 'medium'
-  if (str.includes('low')) return 'low'
-  
-  // Check for intent indicators
-  if (str.includes('actively') || str.includes('strong') || str.includes('ready') || str.includes('seeking')) {
-    return 'high'
-  }
-  if (str.includes('evaluating') || str.includes('considering') || str.includes('exploring')) {
-    return 'medium'
-  }
-  
-  return 'low'
-}
-
-/**
- * Normalize employee count to range format
- */
-function normalizeEmployeeCount(value) {
-  if (!value) return null
-  const str = typeof value === 'string' ? value.trim() : String(value).trim()
-  
-  // Already in range format (e.g., "1-10", "501-1000")
-  if (/^\d+-\d+$/.test(str)) {
-    return str
-  }
-  
-  // Extract number from string
-  const numMatch = str.match(/\d+/)
-  if (!numMatch) return null
-  
-  const num = parseInt(numMatch[0], 10)
-  
-  // Convert to range
-  if (num <= 10) return '1-10'
-  if (num <= 50) return '11-50'
-  if (num <= 200) return '51-200'
-  if (num <= 500) return '201-500'
-  if (num <= 1000) return '501-1000'
-  if (num <= 5000) return '1001-5000'
-  if (num <= 10000) return '5001-10000'
-  if (num <= 25000) return '10001-25000'
-  return '25001+'
-}
-
-function extractEnrichmentValue(enrichment, fieldKey = null) {
-  if (!enrichment) return null
-  const { result, status } = enrichment
-  
-  // Check if Exa returned "not found" or failed status
-  if (status === 'failed' || status === 'not_found') {
-    return 'Not found'
-  }
-  
-  // Extract raw value
-  let rawValue = null
-  if (Array.isArray(result)) {
-    const firstString = result.find((entry) => typeof entry === 'string' && entry.trim().length > 0)
-    if (firstString) {
-      rawValue = firstString
-    } else {
-      const firstValue = result.find((entry) => entry && typeof entry === 'object')
-      if (firstValue) {
-        rawValue = JSON.stringify(firstValue)
-      }
-    }
-  } else if (typeof result === 'string') {
-    rawValue = result
-  } else if (result && typeof result === 'object') {
-    rawValue = JSON.stringify(result)
-  }
-  
-  // If no result found, return "Not found"
-  if (!rawValue || rawValue.trim() === '') {
-    return 'Not found'
-  }
-  
-  // Check for common "not found" patterns in the result
-  const lowerValue = rawValue.toLowerCase().trim()
-  if (lowerValue === 'not found' || 
-      lowerValue === 'n/a' || 
-      lowerValue === 'none' || 
-      lowerValue === 'unavailable' ||
-      lowerValue === 'no data' ||
-      lowerValue === 'unknown' ||
-      lowerValue.startsWith('could not find') ||
-      lowerValue.startsWith('unable to find') ||
-      lowerValue.startsWith('no ') && lowerValue.includes('found')) {
-    return 'Not found'
-  }
-  
-  // Normalize based on field type
-  if (fieldKey === 'buyingIntent') {
-    return normalizeBuyingIntent(rawValue)
-  }
-  if (fieldKey === 'employeeCount') {
-    return normalizeEmployeeCount(rawValue)
-  }
-  
-  return rawValue
-}
-
 /**
  * Update docStatus to trigger frontend refresh
  * Frontend listens to this document and refetches data when it changes
@@ -577,581 +206,472 @@ async function updateDocStatus(collections = [], metadata = {}) {
   }
 }
 
+// Leadset fields shown on dashboard cards (leadsetFeed/index)
+const LEADSET_CARD_FIELDS = ['id', 'name', 'description', 'segment', 'intent', 'est_count', 'status', 'schedule', 'sessionId', 'createdAt', 'updatedAt']
+
 /**
- * Rebuild aggregated feed document for frontend listeners
- * Optional preloadedDocs can skip re-fetching all data
+ * Card-level summary of a leadset for leadsetFeed/index
  */
-async function rebuildLeadsetFeed(preloadedDocs = null) {
-  try {
-    const allDocs = preloadedDocs ? toArray(preloadedDocs) : toArray(await sdk.searchFirebaseData({}, 5000))
-    const leadsets = allDocs.filter(doc => doc.doc_type === 'leadsets')
-    const runs = allDocs.filter(doc => doc.doc_type === 'runs')
-    const items = allDocs.filter(doc => doc.doc_type === 'items')
-    const settingsDoc = allDocs.find(doc => doc.doc_type === 'settings') || null
+function buildLeadsetCard(leadset, latestRun, itemCount, runCount = 0) {
+  const card = LEADSET_CARD_FIELDS.reduce((acc, field) => {
+    if (leadset[field] !== undefined) acc[field] = leadset[field]
+    return acc
+  }, {})
+  return {
+    ...card,
+    monitorStatus: leadset.monitor?.status || null,
+    itemCount,
+    runCount,
+    latestRun: latestRun
+      ? { id: latestRun.id, status: latestRun.status, mode: latestRun.mode || 'new', counters: latestRun.counters || {}, createdAt: latestRun.createdAt }
+      : null,
+  }
+}
+
+/**
+ * Totals for the detail page header; the leads themselves come from GET /leadsets/:id/items
+ * uniqueCount counts the same person or company found twice once.
+ */
+function buildLeadsetStats(items) {
+  const uniqueKeys = new Set(items.map(item =>
+    item.entity?.linkedinUrl?.toLowerCase() ||
+    (item.entity?.name && `${item.entity.name} ${item.entity.company || ''}`.toLowerCase()) ||
+    item.entity?.company?.toLowerCase() ||
+    item.entity?.domain?.toLowerCase() ||
+    item.sourceUrl?.toLowerCase() ||
+    item.itemId || item.id
+  ))
+  return {
+    itemCount: items.length,
+    enrichedCount: items.filter(hasContactInfo).length,
+    uniqueCount: uniqueKeys.size,
+  }
+}
 
-    const runsByLeadset = runs.reduce((acc, run) => {
-      if (!acc[run.leadsetId]) acc[run.leadsetId] = []
-      acc[run.leadsetId].push(run)
-      return acc
-    }, {})
+async function writeFeedDoc(docId, payload) {
+  try {
+    await sdk.updateFirebaseData('leadsetFeed', docId, payload)
+  } catch (err) {
+    await sdk.createFirebaseData('leadsetFeed', docId, payload)
+  }
+}
 
-    const itemsByLeadset = items.reduce((acc, item) => {
-      if (!acc[item.leadsetId]) acc[item.leadsetId] = []
-      acc[item.leadsetId].push(item)
-      return acc
-    }, {})
+/**
+ * Rewrite leadsetFeed/{leadsetId} from that leadset's runs and items
+ * Removes the doc when the leadset is gone.
+ * @returns {Promise<Object|null>} The leadset's card for the index, null when it is gone
+ */
+async function writeLeadsetFeedDoc(leadsetId, updatedAt, preloadedLeadset = null) {
+  const leadset = preloadedLeadset || await repository.get('leadsets', leadsetId)
+  if (!leadset) {
+    await sdk.deleteFirebaseData('leadsetFeed', leadsetId).catch(() => {})
+    return null
+  }
 
-    const leadsetDetails = {}
-    leadsets.forEach((leadset) => {
-      const lsRuns = runsByLeadset[leadset.id] || []
-      const sortedRuns = lsRuns.sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))
-      const latestRun = sortedRuns[0] || null
+  const [runs, items] = await Promise.all([
+    repository.listRuns(leadsetId),
+    repository.listItems({ leadsetId }),
+  ])
+  const latestRun = runs[0] || null
+
+  await writeFeedDoc(leadsetId, {
+    doc_type: 'leadsetFeed',
+    id: leadsetId,
+    updatedAt,
+    leadset,
+    run: latestRun,
+    stats: buildLeadsetStats(items),
+  })
+  return buildLeadsetCard(leadset, latestRun, items.length, runs.length)
+}
 
-      leadsetDetails[leadset.id] = {
-        leadset,
-        run: latestRun,
-        items: itemsByLeadset[leadset.id] || [],
+/**
+ * Rebuild the feed documents frontend listeners subscribe to
+ * - leadsetFeed/index: card summaries for every leadset + settings
+ * - leadsetFeed/{leadsetId}: one leadset with its latest run and item stats
+ * With a leadsetId only that leadset is read: its doc is rewritten (or removed
+ * when the leadset is gone) and its card replaced in the index. Without one, or
+ * before the index exists, every leadset doc is rebuilt; docs of leadsets no
+ * longer there are found through the previous index's cards.
+ * Runs as the 'rebuild-feed' job - call queueFeedRebuild() instead
+ */
+async function rebuildLeadsetFeed({ leadsetId = null } = {}) {
+  try {
+    const [index, settingsDoc] = await Promise.all([
+      repository.get('leadsetFeed', 'index'),
+      repository.get('settings', 'settings'),
+    ])
+    const previousCards = Array.isArray(index?.leadsets) ? index.leadsets : null
+    const updatedAt = new Date().toISOString()
+
+    let cards
+    let staleDocIds = []
+    if (leadsetId && previousCards) {
+      const card = await writeLeadsetFeedDoc(leadsetId, updatedAt)
+      const position = previousCards.findIndex(existing => existing.id === leadsetId)
+      cards = previousCards.filter(existing => existing.id !== leadsetId)
+      if (card) cards.splice(position === -1 ? cards.length : position, 0, card)
+    } else {
+      const leadsets = await repository.find('leadsets')
+      cards = []
+      for (const leadset of leadsets) {
+        cards.push(await writeLeadsetFeedDoc(leadset.id, updatedAt, leadset))
       }
-    })
 
-    const feedPayload = {
+      // Drop docs of deleted leadsets (and the old single 'global' feed doc)
+      const leadsetIds = new Set(leadsets.map(leadset => leadset.id))
+      staleDocIds = (previousCards || []).map(card => card.id).filter(docId => !leadsetIds.has(docId))
+      await Promise.all([...staleDocIds, 'global'].map(docId => sdk.deleteFirebaseData('leadsetFeed', docId).catch(() => {})))
+    }
+
+    await writeFeedDoc('index', {
       doc_type: 'leadsetFeed',
-      id: 'global',
-      updatedAt: new Date().toISOString(),
-      leadsets,
-      leadsetDetails,
+      id: 'index',
+      updatedAt,
+      leadsets: cards,
       settings: settingsDoc,
       counts: {
-        leadsets: leadsets.length,
-        runs: runs.length,
-        items: items.length,
+        leadsets: cards.length,
+        runs: cards.reduce((sum, card) => sum + (card.runCount || 0), 0),
+        items: cards.reduce((sum, card) => sum + (card.itemCount || 0), 0),
       },
-    }
-
-    // Log leadset statuses for debugging
-    const statusSummary = leadsets.map(ls => `${ls.id?.slice(-6)}:${ls.status || 'unknown'}`).join(', ')
-    console.log(`[Leadset Feed] Rebuilding with statuses: ${statusSummary}`)
-
-    try {
-      await sdk.updateFirebaseData('leadsetFeed', 'global', feedPayload)
-    } catch (err) {
-      await sdk.createFirebaseData('leadsetFeed', 'global', feedPayload)
-    }
+    })
 
-    console.log(`[Leadset Feed] Feed rebuilt (${leadsets.length} leadsets, ${runs.length} runs, ${items.length} items)`)
+    console.log(`[Leadset Feed] Feed rebuilt (${leadsetId && previousCards ? `leadset ${leadsetId}` : `${cards.length} leadsets`}, ${cards.length} cards${staleDocIds.length ? `, removed ${staleDocIds.length} stale docs` : ''})`)
   } catch (error) {
     console.error('[Leadset Feed] Failed to rebuild feed:', error.message)
+    throw error
   }
 }
 
 /* ============================================
-   EXA WEBSETS API FUNCTIONS
-   Based on: https://docs.exa.ai/websets/api
+   EXA WEBSETS CLIENT
+   HTTP client or in-process mock, see ./exa
+   ============================================ */
+
+const exa = getExaClient({
+  webhookUrl: WEBHOOK_URL,
+  localWebhookUrl: `http://localhost:${PORT}/api/leads/webhooks/exa`,
+  webhookSecret: EXA_WEBHOOK_SECRET,
+})
+
+/* ============================================
+   CREDITS
+   Ledger + budget checks, see ./credits/ledger
    ============================================ */
 
+const credits = createCreditLedger({ sdk, repository, enrichmentFields: ENRICHMENT_FIELDS })
+
 /**
- * Create a Webset in Exa
- * https://docs.exa.ai/websets/api/websets/create-a-webset
- * 
- * @param {Object} options
- * @param {string} options.query - Natural language search query
- * @param {number} options.count - Number of items to find
- * @param {string} options.entity - Entity type (company, person, etc.)
- * @param {Array} options.criteria - Evaluation criteria
- * @param {string} options.externalId - Your reference ID (leadsetId)
+ * Give back credits reserved (credits.reserve) for work that didn't start
+ * Never throws, so the error that stopped the work is the one reported.
  */
-async function createWebset(options) {
-  const { query, count = 50, entity = 'company', criteria = [], externalId, webhookUrl } = options
+async function refundReservation(reservation, details) {
+  if (!reservation?.entry) return
+  await credits.refund(reservation.entry.amount, details).catch((err) =>
+    console.error(`[Credits] Could not refund ${reservation.entry.amount} (${details.reason}):`, err.message)
+  )
+}
 
-  if (!EXA_API_KEY) {
-    console.log('[Exa] No API key configured - returning mock webset')
-    return {
-      id: `mock_webset_${Date.now()}`,
-      object: 'webset',
-      status: 'running',
-      externalId,
-      search: { query, count, entity },
-      counters: { items: 0, enrichments: 0 },
-      createdAt: new Date().toISOString(),
+/* ============================================
+   SCHEDULER
+   Recurring per-leadset runs, see ./scheduler
+   ============================================ */
+
+const scheduler = createScheduler({
+  sdk,
+  repository,
+  startRun: (leadsetId, options) => startLeadsetRun(leadsetId, options),
+  getRunStatus: refreshRunStatus,
+  onUpdated: async (leadsetIds = []) => {
+    await updateDocStatus(['leadsets'])
+    for (const leadsetId of leadsetIds) {
+      await queueFeedRebuild(leadsetId)
     }
-  }
+  },
+  intervalMs: parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || undefined,
+})
 
-  const payload = {
-    externalId,
-    search: {
-      query,
-      count,
-      entity: { type: entity },
-      criteria: criteria.length > 0 ? criteria : undefined,
-    },
-  }
+/* ============================================
+   WEBHOOK EVENTS
+   Stored Exa webhooks, see ./webhooks
+   ============================================ */
 
-  // Add webhook URL if configured
-  if (webhookUrl || WEBHOOK_URL) {
-    payload.webhook = {
-      url: webhookUrl || WEBHOOK_URL,
-      events: ['webset.idle', 'webset.items.created', 'webset.enrichment.completed'],
-    }
-  }
+const webhookEvents = createWebhookEventStore({ sdk, repository })
 
-  console.log('[Exa] Creating webset:', JSON.stringify(payload, null, 2))
+/* ============================================
+   BUYERS
+   Cross-leadset identity resolution, see ./buyers
+   ============================================ */
 
-  const response = await fetch(`${EXA_API_BASE}/websets/v0/websets`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': EXA_API_KEY,
-    },
-    body: JSON.stringify(payload),
-  })
+const buyerStore = createBuyerStore({ sdk, repository })
 
-  if (!response.ok) {
-    const errorText = await response.text()
-    console.error('[Exa] Create webset failed:', response.status, errorText)
-    throw new Error(`Exa API error (${response.status}): ${errorText}`)
-  }
+/* ============================================
+   RUN HISTORY
+   Per-run snapshots and diffs, see ./runs
+   ============================================ */
 
-  const webset = await response.json()
-  console.log('[Exa] Webset created:', webset.id, 'status:', webset.status)
-  return webset
-}
+const runHistory = createRunHistory({ sdk, repository })
 
-/**
- * Create an additional search within an existing Webset (extends results)
- * https://docs.exa.ai/websets/api/websets/searches/create-a-search
- */
-async function createWebsetSearch(websetId, options = {}) {
-  const { query, count = 50, entity = 'company', criteria = [] } = options
+/* ============================================
+   EXPORTS
+   Tracked export files and their storage, see ./exports
+   ============================================ */
 
-  if (!EXA_API_KEY) {
-    console.log('[Exa] No API key configured - returning mock webset search')
-    return {
-      id: `mock_search_${Date.now()}`,
-      object: 'webset_search',
-      status: 'running',
-      websetId,
-      query,
-      count,
-    }
-  }
+// Exports with more rows than this are built by a background job
+const EXPORT_SYNC_MAX_ROWS = parseInt(process.env.EXPORT_SYNC_MAX_ROWS, 10) || 1000
 
-  const payload = {
-    query,
-    count,
-    entity: entity ? { type: entity } : undefined,
-    criteria: criteria.length > 0 ? criteria : undefined,
-    behavior: 'append',
-  }
+if (!process.env.EXPORT_SIGNING_SECRET) {
+  console.warn('[Exports] EXPORT_SIGNING_SECRET is not set; download links stop working when the server restarts')
+}
 
-  console.log('[Exa] Creating webset search (append):', websetId, JSON.stringify(payload, null, 2))
+const exportStorage = createExportStorage({
+  sdk,
+  directory: process.env.EXPORT_STORAGE_DIR || path.join(os.tmpdir(), 'scout-exports'),
+  // The local stand-in is used without a bucket, or when EXPORT_STORAGE=local
+  useFirebase: Boolean(process.env.FIREBASE_STORAGE_BUCKET) && process.env.EXPORT_STORAGE !== 'local',
+  signingSecret: process.env.EXPORT_SIGNING_SECRET || crypto.randomBytes(32).toString('hex'),
+})
 
-  const response = await fetch(`${EXA_API_BASE}/websets/v0/websets/${websetId}/searches`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': EXA_API_KEY,
-    },
-    body: JSON.stringify(payload),
-  })
+const exportService = createExportService({
+  sdk,
+  repository,
+  storage: exportStorage,
+  enrichmentFields: ENRICHMENT_FIELDS,
+  getLeadsetFields: getAllowedEnrichmentFieldsForLeadset,
+  ttlMs: (parseFloat(process.env.EXPORT_TTL_HOURS) || 168) * 60 * 60 * 1000,
+  onCompleted: (exportDoc) => outboundWebhooks.emit('export.ready', {
+    leadsetId: exportDoc.leadsetId,
+    runId: exportDoc.runId,
+    exportId: exportDoc.id,
+    format: exportDoc.format,
+    schema: exportDoc.schema,
+    rowCount: exportDoc.rowCount,
+    requestedBy: exportDoc.requestedBy,
+    expiresAt: exportDoc.expiresAt,
+  }, { key: `export.ready:${exportDoc.id}` }),
+})
 
-  if (!response.ok) {
-    const errorText = await response.text()
-    console.error('[Exa] Create webset search failed:', response.status, errorText)
-    throw new Error(`Exa API error (${response.status}): ${errorText}`)
-  }
+/* ============================================
+   DESTINATIONS
+   CRM push destinations and adapters, see ./destinations
+   ============================================ */
 
-  const search = await response.json()
-  console.log('[Exa] Webset search created:', search.id, 'status:', search.status)
-  return search
-}
+const destinations = createDestinationService({
+  sdk,
+  repository,
+  allowPrivateTargets: process.env.OUTBOUND_WEBHOOK_ALLOW_PRIVATE === 'true',
+})
 
-/**
- * Get a Webset from Exa
- * https://docs.exa.ai/websets/api/websets/get-a-webset
- */
-async function getWebset(websetId) {
-  if (!EXA_API_KEY) {
-    return { id: websetId, status: 'idle', counters: { items: 0 } }
-  }
+/* ============================================
+   EMAIL VERIFICATION
+   Deliverability checks for unlocked emails, see ./verification
+   ============================================ */
 
-  const response = await fetch(`${EXA_API_BASE}/websets/v0/websets/${websetId}`, {
-    method: 'GET',
-    headers: {
-      'x-api-key': EXA_API_KEY,
-    },
-  })
+// Offline development (mock Exa) verifies against the local fake provider
+const emailVerification = createEmailVerification({
+  sdk,
+  repository,
+  verifier: getEmailVerifier({ fallbackKind: exa.kind === 'mock' ? 'fake' : 'none' }),
+})
 
-  if (!response.ok) {
-    const errorText = await response.text()
-    throw new Error(`Exa API error (${response.status}): ${errorText}`)
-  }
+/* ============================================
+   OUTBOUND WEBHOOKS
+   Events for downstream systems, see ./webhooks/outbound
+   ============================================ */
+
+const outboundWebhooks = createOutboundWebhooks({
+  sdk,
+  repository,
+  enqueue: (type, payload, options) => jobs.enqueue(type, payload, options),
+  timeoutMs: parseInt(process.env.OUTBOUND_WEBHOOK_TIMEOUT_MS, 10) || undefined,
+  allowPrivateTargets: process.env.OUTBOUND_WEBHOOK_ALLOW_PRIVATE === 'true',
+})
 
-  return response.json()
+// Items listed in an items.added event; itemCount always has the full count
+const OUTBOUND_ITEMS_LIMIT = 100
+
+async function emitRunStarted(run) {
+  await outboundWebhooks.emit('run.started', {
+    leadsetId: run.leadsetId,
+    runId: run.id,
+    mode: run.mode || null,
+    requestedCount: run.requestedCount ?? null,
+    createdBy: run.createdBy || null,
+  }, { key: `run.started:${run.id}` })
 }
 
 /**
- * List all items for a Webset
- * https://docs.exa.ai/websets/api/websets/items/list-all-items-for-a-webset
+ * Report a completed run; polling, syncs and Exa webhooks can each complete
+ * the same run, so it is keyed to be emitted once
  */
-async function listWebsetItems(websetId, options = {}) {
-  const { cursor, limit = 100 } = options
-
-  if (!EXA_API_KEY) {
-    return { data: [], hasMore: false }
-  }
-
-  const params = new URLSearchParams()
-  if (cursor) params.append('cursor', cursor)
-  if (limit) params.append('limit', String(limit))
+async function emitRunCompleted(run) {
+  const current = await sdk.getFirebaseData('runs', run.id).catch(() => null) || run
+  await outboundWebhooks.emit('run.completed', {
+    leadsetId: run.leadsetId,
+    runId: run.id,
+    mode: current.mode || null,
+    itemCount: current.counters?.found ?? null,
+    completedAt: current.completedAt || new Date().toISOString(),
+  }, { key: `run.completed:${run.id}` })
+}
 
-  const url = `${EXA_API_BASE}/websets/v0/websets/${websetId}/items${params.toString() ? '?' + params.toString() : ''}`
-  
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: {
-      'x-api-key': EXA_API_KEY,
-    },
+/**
+ * Report items that were new to Firebase (not re-saved ones)
+ */
+async function emitItemsAdded(run, items) {
+  if (!items.length) return
+  await outboundWebhooks.emit('items.added', {
+    leadsetId: run.leadsetId,
+    runId: run.id,
+    itemCount: items.length,
+    items: items.slice(0, OUTBOUND_ITEMS_LIMIT).map(item => ({
+      itemId: item.itemId,
+      entityType: item.entityType || null,
+      name: item.entity?.name || item.entity?.company || null,
+      domain: item.entity?.domain || null,
+      sourceUrl: item.sourceUrl || null,
+      score: item.score ?? null,
+    })),
   })
-
-  if (!response.ok) {
-    const errorText = await response.text()
-    throw new Error(`Exa API error (${response.status}): ${errorText}`)
-  }
-
-  return response.json()
 }
 
 /**
- * Cancel a running Webset
- * https://docs.exa.ai/websets/api/websets/cancel-a-running-webset
+ * Report an enrichment whose results are written
+ * A partial one lists the fields that failed; it is reported again once a
+ * retry settles it.
  */
-async function cancelWebset(websetId) {
-  if (!EXA_API_KEY) {
-    return { id: websetId, status: 'canceled' }
-  }
+async function emitEnrichmentCompleted(enrichmentDoc) {
+  await outboundWebhooks.emit('enrichment.completed', {
+    leadsetId: enrichmentDoc.leadsetId,
+    runId: enrichmentDoc.runId,
+    enrichmentId: enrichmentDoc.id,
+    status: enrichmentDoc.status || 'completed',
+    fields: enrichmentDoc.fields || [],
+    failedFields: (enrichmentDoc.requests || []).filter(request => request.status === 'failed').map(request => request.field),
+    itemIds: [...(enrichmentDoc.itemIds || []), ...(enrichmentDoc.reusedItemIds || [])],
+    enrichedCount: enrichmentDoc.enrichedCount ?? 0,
+  }, { key: `enrichment.completed:${enrichmentDoc.id}${enrichmentDoc.retriedAt ? `:${enrichmentDoc.retriedAt}` : ''}` })
+}
 
-  const response = await fetch(`${EXA_API_BASE}/websets/v0/websets/${websetId}/cancel`, {
-    method: 'POST',
-    headers: {
-      'x-api-key': EXA_API_KEY,
-    },
-  })
+/* ============================================
+   JOBS
+   Persistent background work, see ./jobs
+   ============================================ */
 
-  if (!response.ok) {
-    const errorText = await response.text()
-    throw new Error(`Exa API error (${response.status}): ${errorText}`)
-  }
+const jobs = createJobQueue({
+  sdk,
+  repository,
+  pollIntervalMs: parseInt(process.env.JOBS_POLL_INTERVAL_MS, 10) || undefined,
+  retentionMs: (parseFloat(process.env.JOBS_RETENTION_HOURS) || 0) * 60 * 60 * 1000 || undefined,
+})
 
-  return response.json()
-}
+jobs.register('rebuild-feed', (payload) => rebuildLeadsetFeed(payload), { maxAttempts: 3 })
+jobs.register('sync-webset', (payload) => syncWebsetItems(payload))
+jobs.register('process-enrichment', (payload) => processEnrichmentResults(payload))
+jobs.register('exa-webhook', (payload) => handleWebhookEvent(payload))
+jobs.register('resolve-buyers', (payload) => resolveBuyers(payload), { maxAttempts: 3 })
+jobs.register('build-export', ({ exportId }) => exportService.buildExport(exportId), { maxAttempts: 3 })
+jobs.register('crm-push', ({ pushId }) => destinations.runPush(pushId), { maxAttempts: 2 })
+jobs.register('verify-emails', (payload) => verifyItemEmails(payload), { maxAttempts: 3 })
+jobs.register('rescore-items', () => rescoreAllItems(), { maxAttempts: 3 })
+jobs.register('deliver-webhook', ({ deliveryId }, job) => outboundWebhooks.deliver(deliveryId, job), {
+  maxAttempts: parseInt(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+})
 
 /**
- * Cancel a running search within a Webset
- * https://docs.exa.ai/websets/api/websets/searches/cancel-a-running-search
+ * Queue a leadset feed rebuild
+ * Pass the leadset that changed to rebuild only its feed doc (and the index);
+ * without one every feed doc is rebuilt. Requests made while a rebuild for the
+ * same leadset is queued share it; one made while it is running queues
+ * another, so the feed always ends up with the latest changes.
  */
-async function cancelWebsetSearch(websetId, searchId) {
-  if (!EXA_API_KEY) {
-    return { id: searchId, status: 'canceled' }
+async function queueFeedRebuild(leadsetId = null) {
+  try {
+    return await jobs.enqueue('rebuild-feed', { leadsetId }, {
+      idempotencyKey: leadsetId ? `leadset-feed:${leadsetId}` : 'leadset-feed',
+      reuseRunning: false,
+    })
+  } catch (err) {
+    console.warn('[Leadset Feed] Could not queue rebuild:', err.message)
+    return null
   }
-
-  const response = await fetch(`${EXA_API_BASE}/websets/v0/websets/${websetId}/searches/${searchId}/cancel`, {
-    method: 'POST',
-    headers: {
-      'x-api-key': EXA_API_KEY,
-    },
-  })
-
-  if (!response.ok) {
-    const errorText = await response.text()
-    throw new Error(`Exa API error (${response.status}): ${errorText}`)
-  }
-
-  return response.json()
-}
-
-/**
- * Delete a Webset from Exa
- * https://docs.exa.ai/websets/api/websets/delete-a-webset
- * 
- * This permanently deletes the webset and all its items/enrichments
- */
-async function deleteWebset(websetId) {
-  if (!EXA_API_KEY) {
-    console.log(`[Exa] No API key - skipping delete for webset ${websetId}`)
-    return { id: websetId, deleted: true }
-  }
-
-  console.log(`[Exa] Deleting webset: ${websetId}`)
-  
-  const response = await fetch(`${EXA_API_BASE}/websets/v0/websets/${websetId}`, {
-    method: 'DELETE',
-    headers: {
-      'x-api-key': EXA_API_KEY,
-    },
-  })
-
-  if (!response.ok) {
-    // 404 means already deleted, which is fine
-    if (response.status === 404) {
-      console.log(`[Exa] Webset ${websetId} already deleted or not found`)
-      return { id: websetId, deleted: true, notFound: true }
-    }
-    const errorText = await response.text()
-    throw new Error(`Exa API error (${response.status}): ${errorText}`)
-  }
-
-  console.log(`[Exa] Successfully deleted webset: ${websetId}`)
-  return { id: websetId, deleted: true }
-}
+}
 
 /**
- * Create an empty webset (without search)
- * POST /v0/websets/
+ * Queue linking a leadset's items to buyers
+ * Queued whenever items are written or enriched; like feed rebuilds, requests
+ * share a queued job and one arriving mid-run queues another.
  */
-async function createEmptyWebset(externalId) {
-  if (!EXA_API_KEY) {
-    console.log('[Exa] No API key configured - returning mock empty webset')
-    return {
-      id: `mock_empty_webset_${Date.now()}`,
-      object: 'webset',
-      status: 'idle',
-      externalId,
-      counters: { items: 0, enrichments: 0 },
-      createdAt: new Date().toISOString(),
-    }
-  }
-
-  const payload = {
-    externalId,
-  }
-
-  console.log('[Exa] Creating empty webset:', JSON.stringify(payload, null, 2))
-
-  const response = await fetch(`${EXA_API_BASE}/websets/v0/websets`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': EXA_API_KEY,
-    },
-    body: JSON.stringify(payload),
-  })
-
-  if (!response.ok) {
-    const errorText = await response.text()
-    console.error('[Exa] Create empty webset failed:', response.status, errorText)
-    throw new Error(`Exa API error (${response.status}): ${errorText}`)
+async function queueBuyerResolution(leadsetId) {
+  if (!leadsetId) return null
+  try {
+    return await jobs.enqueue('resolve-buyers', { leadsetId }, {
+      idempotencyKey: `resolve-buyers:${leadsetId}`,
+      reuseRunning: false,
+    })
+  } catch (err) {
+    console.warn('[Buyers] Could not queue resolution:', err.message)
+    return null
   }
-
-  const webset = await response.json()
-  console.log('[Exa] Empty webset created:', webset.id, 'status:', webset.status)
-  return webset
 }
 
 /**
- * Create an import to add selected items to a webset
- * POST /v0/imports
- * Returns an uploadUrl for CSV upload
+ * Queue email verification for a leadset's items
+ * @param {Object} payload - { leadsetId, runId, itemIds, force } (see verification/emailVerification)
+ * @param {string} key - Idempotency key, e.g. the enrichment that unlocked the emails
  */
-async function createImport(websetId, options = {}) {
-  const { format = 'csv', entity = 'company', count } = options
-
-  if (!EXA_API_KEY) {
-    console.log('[Exa] No API key configured - returning mock import')
-    return {
-      id: `mock_import_${Date.now()}`,
-      object: 'import',
-      status: 'pending',
-      websetId,
-      uploadUrl: 'https://mock-upload-url.example.com',
-    }
-  }
-
-  const payload = {
-    format,
-    entity: entity ? { type: entity } : undefined,
-    count,
-  }
-
-  console.log('[Exa] Creating import for webset:', websetId, JSON.stringify(payload, null, 2))
-
-  const response = await fetch(`${EXA_API_BASE}/websets/v0/imports`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': EXA_API_KEY,
-    },
-    body: JSON.stringify(payload),
-  })
-
-  if (!response.ok) {
-    const errorText = await response.text()
-    console.error('[Exa] Create import failed:', response.status, errorText)
-    throw new Error(`Exa API error (${response.status}): ${errorText}`)
+async function queueEmailVerification(payload, key) {
+  try {
+    return await jobs.enqueue('verify-emails', payload, { idempotencyKey: `verify-emails:${key}` })
+  } catch (err) {
+    console.warn('[EmailVerification] Could not queue verification:', err.message)
+    return null
   }
-
-  const importData = await response.json()
-  console.log('[Exa] Import created:', importData.id, 'uploadUrl:', importData.uploadUrl)
-  return importData
 }
 
 /**
- * Upload CSV data to an import uploadUrl
- * The CSV should contain URLs or data from items to be enriched
+ * Verify items' emails, then refresh the table and feed when any status changed
  */
-async function uploadCsvToImport(uploadUrl, csvContent) {
-  if (!EXA_API_KEY) {
-    console.log('[Exa] No API key configured - skipping CSV upload')
-    return { uploaded: true }
-  }
-
-  console.log('[Exa] Uploading CSV to import, size:', csvContent.length, 'bytes')
-
-  const response = await fetch(uploadUrl, {
-    method: 'PUT',
-    headers: {
-      'Content-Type': 'text/csv',
-    },
-    body: csvContent,
-  })
-
-  if (!response.ok) {
-    const errorText = await response.text()
-    console.error('[Exa] CSV upload failed:', response.status, errorText)
-    throw new Error(`CSV upload error (${response.status}): ${errorText}`)
+async function verifyItemEmails(payload) {
+  const result = await emailVerification.verifyItems(payload)
+  if (result.verified || result.cleared) {
+    // emailStatus feeds the verification score
+    const settings = await sdk.getFirebaseData('settings', 'settings').catch(() => null)
+    await rescoreItems(settings?.scoringWeights, { leadsetId: payload.leadsetId })
+    await updateDocStatus(['items'], { leadsetId: payload.leadsetId, ...(payload.runId ? { runId: payload.runId } : {}) })
+    await queueFeedRebuild(payload.leadsetId)
   }
-
-  console.log('[Exa] CSV uploaded successfully')
-  return { uploaded: true }
+  return result
 }
 
 /**
- * Get import status
- * GET /v0/imports/{importId}
+ * Re-score every item with the current settings.scoringWeights (the
+ * 'rescore-items' job, queued when the weights change)
  */
-async function getImportStatus(importId) {
-  if (!EXA_API_KEY) {
-    return { id: importId, status: 'completed' }
+async function rescoreAllItems() {
+  const settings = await sdk.getFirebaseData('settings', 'settings').catch(() => null)
+  const rescored = await rescoreItems(settings?.scoringWeights)
+  if (rescored) {
+    await updateDocStatus(['items'])
+    await queueFeedRebuild()
   }
-
-  const response = await fetch(`${EXA_API_BASE}/websets/v0/imports/${importId}`, {
-    method: 'GET',
-    headers: {
-      'x-api-key': EXA_API_KEY,
-    },
-  })
-
-  if (!response.ok) {
-    const errorText = await response.text()
-    throw new Error(`Exa API error (${response.status}): ${errorText}`)
-  }
-
-  return response.json()
+  return { rescored }
 }
 
 /**
- * Create an enrichment for a Webset
- * https://docs.exa.ai/websets/api/websets/enrichments/create-an-enrichment
- * 
- * Enrichments extract additional data from items (email, phone, etc.)
+ * Link a leadset's items to buyers and rebuild the feeds of every leadset
+ * whose buyers changed, so their "seen in" counts refresh
  */
-async function createEnrichment(websetId, enrichmentOptions = {}) {
-  const { description, format = 'text', metadata, options: fieldOptions } = enrichmentOptions
-
-  if (!EXA_API_KEY) {
-    return {
-      id: `mock_enrichment_${Date.now()}`,
-      object: 'webset_enrichment',
-      status: 'pending',
-      websetId,
-      description,
-      format,
+async function resolveBuyers({ leadsetId }) {
+  const result = await buyerStore.resolveLeadset(leadsetId)
+  console.log(`[Buyers] ${leadsetId}: linked ${result.linked} items, ${result.created} new and ${result.updated} updated buyers`)
+  if (result.linked || result.created || result.updated) {
+    for (const id of new Set([leadsetId, ...result.leadsetIds])) {
+      await queueFeedRebuild(id)
     }
   }
-
-  // Build enrichment payload
-  const payload = {
-    description: description || 'Extract information for this lead',
-    format,
-  }
-  
-  // Add metadata for field identification
-  if (metadata && typeof metadata === 'object') {
-    payload.metadata = metadata
-  }
-  
-  // Add options array for 'options' format (High/Medium/Low choices etc.)
-  if (format === 'options' && Array.isArray(fieldOptions) && fieldOptions.length > 0) {
-    payload.options = fieldOptions
-  }
-
-  console.log('[Exa] Creating enrichment for webset:', websetId, JSON.stringify(payload, null, 2))
-
-  const response = await fetch(`${EXA_API_BASE}/websets/v0/websets/${websetId}/enrichments`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': EXA_API_KEY,
-    },
-    body: JSON.stringify(payload),
-  })
-
-  if (!response.ok) {
-    const errorText = await response.text()
-    console.error('[Exa] Create enrichment failed:', response.status, errorText)
-    throw new Error(`Exa enrichment error (${response.status}): ${errorText}`)
-  }
-
-  const enrichment = await response.json()
-  console.log('[Exa] Enrichment created:', enrichment.id)
-  return enrichment
-}
-
-/**
- * Get an enrichment status
- */
-async function getEnrichment(websetId, enrichmentId) {
-  if (!EXA_API_KEY) {
-    return { id: enrichmentId, status: 'completed' }
-  }
-
-  const response = await fetch(`${EXA_API_BASE}/websets/v0/websets/${websetId}/enrichments/${enrichmentId}`, {
-    method: 'GET',
-    headers: {
-      'x-api-key': EXA_API_KEY,
-    },
-  })
-
-  if (!response.ok) {
-    const errorText = await response.text()
-    throw new Error(`Exa API error (${response.status}): ${errorText}`)
-  }
-
-  return response.json()
-}
-
-/**
- * Get a single item from a Webset
- * https://docs.exa.ai/websets/api/websets/items/get-an-item
- */
-async function getWebsetItem(websetId, itemId) {
-  if (!EXA_API_KEY) {
-    return null
-  }
-
-  const response = await fetch(`${EXA_API_BASE}/websets/v0/websets/${websetId}/items/${itemId}`, {
-    method: 'GET',
-    headers: {
-      'x-api-key': EXA_API_KEY,
-    },
-  })
-
-  if (!response.ok) {
-    if (response.status === 404) return null
-    const errorText = await response.text()
-    throw new Error(`Exa API error (${response.status}): ${errorText}`)
-  }
-
-  return response.json()
+  return result
 }
 
 /* ============================================
@@ -1162,7 +682,7 @@ async function getWebsetItem(websetId, itemId) {
  * Transform Exa item to our item format
  * Handles Exa API response structure: { id, object, properties: { company, type, url, description, content }, evaluations, enrichments, createdAt, updatedAt }
  */
-function transformExaItem(exaItem, runId, leadsetId) {
+function transformExaItem(exaItem, runId, leadsetId, scoring = {}) {
   const props = exaItem.properties || {}
   
   // Handle company data - can be nested in properties.company or at root level
@@ -1178,23 +698,23 @@ function transformExaItem(exaItem, runId, leadsetId) {
      (props.company ? 'company' : null) ||
      'company').toLowerCase()
   
-  // Extract evaluations for score calculation
+  // Evaluations feed the segment/intent/credibility score components
   const evaluations = exaItem.evaluations || []
-  const satisfiedCount = evaluations.filter(e => e.satisfied === 'yes' || e.satisfied === true).length
-  const score = evaluations.length > 0 
-    ? Math.round((satisfiedCount / evaluations.length) * 100)
-    : 0
 
   // Extract domain from URL or company data
-  let domain = props.domain || company.domain || ''
+  // Person items point at a profile (e.g. LinkedIn), so the URL host is not their company domain
+  const isPerson = entityType === 'person'
   const sourceUrl = props.url || exaItem.url || ''
-  if (!domain && sourceUrl) {
+  let sourceHost = ''
+  if (sourceUrl) {
     try {
-      domain = new URL(sourceUrl).hostname.replace(/^www\./, '')
+      sourceHost = new URL(sourceUrl).hostname.replace(/^www\./, '')
     } catch (e) {
-      domain = ''
+      sourceHost = ''
     }
   }
+  const domain = props.domain || company.domain || person.company?.domain || (isPerson ? '' : sourceHost)
+  const linkedinUrl = /(^|\.)linkedin\.com$/.test(sourceHost) ? sourceUrl : ''
 
   // Extract snippet/description - prefer description, fallback to content (truncated)
   let snippet = props.description || ''
@@ -1205,49 +725,295 @@ function transformExaItem(exaItem, runId, leadsetId) {
       : ''
   }
 
-  // Process enrichments if present
-  const enrichments = exaItem.enrichments || []
-  const enrichmentStatus = enrichments.length > 0 ? 'completed' : 'none'
-  const enrichmentData = {}
-  
-  // Extract enrichment values by field
-  enrichments.forEach(enrichment => {
-    if (enrichment.status === 'completed' && enrichment.result) {
-      const field = extractFieldFromEnrichment(enrichment)
-      if (field) {
-        enrichmentData[field] = extractEnrichmentValue(enrichment, field)
-      }
-    }
-  })
+  // Enrichment results already on the Exa item
+  const { enrichment, enrichmentSources } = ingestion.merge({}, ingestion.collect(exaItem), { source: 'sync' })
 
-  return {
+  const item = {
     itemId: exaItem.id,
     runId,
     leadsetId,
     entityType,
-    entity: {
-      company: companyName,
-      domain,
-    },
+    entity: isPerson
+      ? {
+          name: person.name || props.title || '',
+          title: person.position || '',
+          company: person.company?.name || '',
+          location: person.location || '',
+          linkedinUrl,
+          domain,
+        }
+      : {
+          company: companyName,
+          domain,
+        },
     snippet: snippet || '',
     sourceUrl,
-    platform: domain || 'web',
+    platform: sourceHost || domain || 'web',
     recency: exaItem.createdAt || exaItem.updatedAt || new Date().toISOString(),
-    score,
     evaluations,
-    scoreBreakdown: {},
-    matches: {
-      segment: [],
-      intent: [],
-      tribe: [],
-    },
-    verification: { passed: true },
-    enrichment: {
-      status: enrichmentStatus,
-      ...enrichmentData,
-    },
+    enrichment,
+    enrichmentSources,
     createdAt: exaItem.createdAt || new Date().toISOString(),
   }
+
+  // score, scoreBreakdown and matches, and the fields item queries filter and sort on
+  return { ...item, ...scoreItem(item, scoring), ...getItemQueryFields(item) }
+}
+
+/**
+ * Save an item read from Exa: create it, or refresh the one we already have
+ * A stored item keeps its enrichment; the Exa item's results are merged in by
+ * the ingestion service, so re-syncing never drops values another path wrote.
+ * @param {Object} item - transformExaItem output
+ * @param {Object} exaItem - The Exa item it came from
+ * @param {Object} options
+ * @param {Map} options.requestIndex - ingestion.loadRequestIndex(runId)
+ * @param {Object} options.scoring - Scoring context
+ * @returns {Promise<boolean>} true when the item was created
+ */
+async function saveExaItem(item, exaItem, { requestIndex, scoring }) {
+  const collected = ingestion.collect(exaItem, { requestIndex })
+  const { enrichment, enrichmentSources } = ingestion.merge({}, collected, { source: 'sync' })
+  const fresh = { ...item, enrichment, enrichmentSources, ...getItemQueryFields({ ...item, enrichment }) }
+  const created = await sdk.createFirebaseData('items', item.itemId, fresh).then(() => true).catch(() => false)
+  if (created) return true
+
+  // The item's enrichment, sources and score are replaced by the merged ones;
+  // a stored item stays archived
+  const updates = { ...item }
+  delete updates.archived
+  const stored = await sdk.getFirebaseData('items', item.itemId).catch(() => null)
+  await ingestion.ingest(stored || fresh, collected, { source: 'sync', scoring, updates })
+  return false
+}
+
+/**
+ * Find the run that webset events belong to
+ * A webset can carry several runs (extend, monitor, import); prefer the run that
+ * owns the search or import, otherwise the newest run on the webset.
+ */
+async function findRunForWebset(websetId, sourceId = null) {
+  const runs = (await repository.find('runs', { websetId })).sort(newestFirst)
+  return (sourceId && runs.find(run => run.searchId === sourceId || run.importId === sourceId)) || runs[0] || null
+}
+
+/**
+ * The webset a leadset's next run, import or monitor works on
+ * Websets deleted in Exa (webset.deleted) no longer count.
+ */
+function getLeadsetWebsetId(latestRun, leadset) {
+  // Import runs have a webset of their own (see exa.createImportWebset)
+  const runWebsetId = latestRun && !latestRun.importId && !latestRun.websetDeleted ? latestRun.websetId : null
+  return runWebsetId || leadset?.websetId || null
+}
+
+/**
+ * Current status of a run, syncing it from Exa while it is still marked running
+ * (runs only complete when polled or on the webset.idle webhook)
+ */
+async function refreshRunStatus(run) {
+  if (run.status !== 'running' || !run.websetId) return run.status
+  if (run.importId) return (await syncImportRun(run)).status
+
+  const webset = await exa.getWebset(run.websetId).catch(() => null)
+  if (!webset || webset.status !== 'idle') return run.status
+
+  await sdk.updateFirebaseData('runs', run.id, { status: 'completed' })
+  await sdk.updateFirebaseData('leadsets', run.leadsetId, { status: 'idle' })
+  await updateDocStatus(['runs', 'leadsets'], { leadsetId: run.leadsetId, runId: run.id })
+  await emitRunCompleted(run)
+  return 'completed'
+}
+
+/**
+ * Finish an import run once its Exa import is done
+ * An imported webset can go idle before the rows land, so import runs follow
+ * the import rather than the webset. On completion the imported items are
+ * written (webhooks may already have done so); a failed import is refunded.
+ * The run's status is written last, so a call that throws part way leaves it
+ * 'running' for the next poll, webhook or job retry to finish. Every step is
+ * safe to repeat: items and the refund are created once, events are keyed.
+ * @returns {Promise<{ status: string, importStatus: string|null, itemCount: number|null }>}
+ */
+async function syncImportRun(run) {
+  if (run.status !== 'running') {
+    return { status: run.status, importStatus: run.importStatus || null, itemCount: run.counters?.found ?? null }
+  }
+
+  const importData = await exa.getImportStatus(run.importId).catch((err) => {
+    console.warn(`[Import] Could not get import ${run.importId}:`, err.message)
+    return null
+  })
+  if (!importData || !['completed', 'failed', 'canceled'].includes(importData.status)) {
+    return { status: run.status, importStatus: importData?.status || null, itemCount: null }
+  }
+
+  // The import's webset adds its rows after the import itself completes
+  if (importData.status === 'completed') {
+    const webset = await exa.getWebset(run.websetId).catch(() => null)
+    if (webset?.status === 'running') {
+      return { status: run.status, importStatus: importData.status, itemCount: null }
+    }
+  }
+
+  // Another poll or webhook may have finished the run since it was read
+  const current = await sdk.getFirebaseData('runs', run.id).catch(() => null)
+  if (current && current.status !== 'running') {
+    return { status: current.status, importStatus: current.importStatus || importData.status, itemCount: current.counters?.found ?? null }
+  }
+
+  if (importData.status !== 'completed') {
+    const error = importData.failedMessage || `Import ${importData.status}`
+    if (run.cost > 0) {
+      await credits.refund(run.cost, { reason: 'import_failed', leadsetId: run.leadsetId, runId: run.id }, { key: `import_failed:${run.id}` })
+    }
+    await sdk.updateFirebaseData('leadsets', run.leadsetId, { status: 'idle' })
+    await sdk.updateFirebaseData('runs', run.id, { status: 'failed', importStatus: importData.status, error })
+    await updateDocStatus(['runs', 'leadsets'], { leadsetId: run.leadsetId, runId: run.id })
+    await queueFeedRebuild(run.leadsetId)
+    console.warn(`[Import] Import ${run.importId} ${importData.status} for run ${run.id}: ${error}`)
+    return { status: 'failed', importStatus: importData.status, itemCount: 0 }
+  }
+
+  let exaItems = []
+  let cursor = null
+  do {
+    const itemsResponse = await exa.listWebsetItems(run.websetId, { limit: 100, cursor })
+    exaItems = exaItems.concat((itemsResponse.data || []).filter(item => item.sourceId === run.importId))
+    cursor = itemsResponse.hasMore ? itemsResponse.nextCursor : null
+  } while (cursor)
+
+  const scoring = await getScoringContext(run)
+  const items = exaItems.map(item => transformExaItem(item, run.id, run.leadsetId, scoring))
+  const requestIndex = await ingestion.loadRequestIndex(run.id)
+  const saveResults = await Promise.allSettled(items.map((item, index) =>
+    saveExaItem(item, exaItems[index], { requestIndex, scoring })
+  ))
+  const failed = saveResults.filter(result => result.status === 'rejected')
+  if (failed.length > 0) {
+    throw new Error(`Failed to save ${failed.length} of ${items.length} imported items: ${failed[0].reason?.message || failed[0].reason}`)
+  }
+
+  await sdk.updateFirebaseData('leadsets', run.leadsetId, { status: 'idle' })
+  await sdk.updateFirebaseData('runs', run.id, {
+    status: 'completed',
+    importStatus: 'completed',
+    counters: {
+      ...run.counters,
+      found: items.length,
+    },
+    completedAt: current?.completedAt || new Date().toISOString(),
+  })
+  await updateDocStatus(['runs', 'items', 'leadsets'], { leadsetId: run.leadsetId, runId: run.id })
+  await queueFeedRebuild(run.leadsetId)
+  await queueBuyerResolution(run.leadsetId)
+  await emitItemsAdded(run, items.filter((item, index) => saveResults[index].value === true))
+  await emitRunCompleted(run)
+  console.log(`[Import] Import ${run.importId} completed with ${items.length} items for run ${run.id}`)
+  return { status: 'completed', importStatus: 'completed', itemCount: items.length }
+}
+
+/**
+ * Copy every item in a run's webset from Exa into Firebase
+ * Runs as a 'sync-webset' job (detail auto-sync, manual sync). With
+ * updateStatus the run and leadset status follow the webset (or the import,
+ * for import runs). Throws when items fail to save so the job is retried.
+ * @returns {Promise<{ total: number, saved: number, status: string }>}
+ */
+async function syncWebsetItems({ leadsetId, runId, websetId = null, updateStatus = false }) {
+  const run = await sdk.getFirebaseData('runs', runId)
+  if (!run) throw new Error(`Run ${runId} not found`)
+  const targetWebsetId = websetId || run.websetId
+  if (!targetWebsetId) throw new Error(`Run ${runId} has no websetId`)
+
+  let exaItems = []
+  let cursor = null
+  do {
+    const itemsResponse = await exa.listWebsetItems(targetWebsetId, { limit: 100, cursor })
+    exaItems = exaItems.concat(itemsResponse.data || [])
+    cursor = itemsResponse.hasMore ? itemsResponse.nextCursor : null
+  } while (cursor)
+
+  const scoring = await getScoringContext(run)
+  const items = exaItems.map(item => transformExaItem(item, runId, leadsetId, scoring))
+  const requestIndex = await ingestion.loadRequestIndex(runId)
+  const saveResults = await Promise.allSettled(items.map((item, index) =>
+    saveExaItem(item, exaItems[index], { requestIndex, scoring })
+  ))
+  const failed = saveResults.filter(result => result.status === 'rejected')
+  if (failed.length > 0) {
+    throw new Error(`Failed to save ${failed.length} of ${items.length} items: ${failed[0].reason?.message || failed[0].reason}`)
+  }
+
+  let status = run.status
+  if (updateStatus && run.status === 'running') {
+    if (run.importId) {
+      status = (await syncImportRun(run)).status
+    } else {
+      const webset = await exa.getWebset(targetWebsetId)
+      status = webset.status === 'idle' ? 'completed' : webset.status
+    }
+  }
+
+  await sdk.updateFirebaseData('runs', runId, {
+    ...(status !== run.status && !run.importId ? { status } : {}),
+    counters: { ...run.counters, found: items.length },
+  })
+  if (status === 'completed' && run.status !== 'completed') {
+    await sdk.updateFirebaseData('leadsets', leadsetId, { status: 'idle' })
+  }
+
+  await updateDocStatus(['runs', 'items', 'leadsets'], { leadsetId, runId })
+  await queueFeedRebuild(leadsetId)
+  await queueBuyerResolution(leadsetId)
+  await emitItemsAdded(run, items.filter((item, index) => saveResults[index].value === true))
+  // Import runs are completed (and reported) by syncImportRun
+  if (status === 'completed' && run.status !== 'completed' && !run.importId) await emitRunCompleted(run)
+  console.log(`[Sync] Synced ${items.length} items from webset ${targetWebsetId} for run ${runId}${status !== run.status ? ` (${run.status} -> ${status})` : ''}`)
+  return { total: items.length, saved: items.length, status }
+}
+
+/**
+ * Scoring inputs for a run's items: workspace weights + the criteria the run searched with
+ * @param {Object} run - Run document
+ * @param {Object} [settings] - Settings document (loaded when omitted)
+ */
+async function getScoringContext(run, settings = null) {
+  const resolvedSettings = settings || await sdk.getFirebaseData('settings', 'settings').catch(() => null)
+  return {
+    weights: resolvedSettings?.scoringWeights,
+    criteria: run?.searchCriteria || [],
+  }
+}
+
+/**
+ * Re-score stored items (e.g. after settings.scoringWeights changed)
+ * Only items whose score, breakdown or matches changed are written.
+ * @returns {Promise<number>} Number of items updated
+ */
+async function rescoreItems(weights, { leadsetId = null } = {}) {
+  const [runs, items] = await Promise.all([
+    repository.find('runs', { leadsetId: leadsetId || undefined }),
+    repository.listItems({ leadsetId: leadsetId || undefined }),
+  ])
+  const runsById = new Map(runs.map(run => [run.id, run]))
+
+  let updated = 0
+  for (const item of items) {
+    const scored = scoreItem(item, { weights, criteria: runsById.get(item.runId)?.searchCriteria || [] })
+    const unchanged = item.score === scored.score &&
+      JSON.stringify(item.scoreBreakdown || {}) === JSON.stringify(scored.scoreBreakdown) &&
+      JSON.stringify(item.matches || {}) === JSON.stringify(scored.matches)
+    if (unchanged) continue
+
+    await sdk.updateFirebaseData('items', item.id || item.itemId, scored).catch((err) =>
+      console.warn(`[Scoring] Failed to re-score item ${item.id || item.itemId}:`, err.message)
+    )
+    updated++
+  }
+
+  console.log(`[Scoring] Re-scored ${updated} of ${items.length} items`)
+  return updated
 }
 
 /**
@@ -1255,58 +1021,172 @@ function transformExaItem(exaItem, runId, leadsetId) {
  */
 function verifyExaSignature(rawBody, signature) {
   if (!EXA_WEBHOOK_SECRET) return true
-  const digest = crypto.createHmac('sha256', EXA_WEBHOOK_SECRET).update(rawBody).digest('hex')
-  try {
-    return crypto.timingSafeEqual(Buffer.from(digest), Buffer.from(signature || '', 'hex'))
-  } catch {
-    return false
+  const expected = crypto.createHmac('sha256', EXA_WEBHOOK_SECRET).update(rawBody).digest()
+  const received = Buffer.from(String(signature || ''), 'hex')
+  // timingSafeEqual throws on a length mismatch, e.g. a truncated or non-hex header
+  if (received.length !== expected.length) return false
+  return crypto.timingSafeEqual(expected, received)
+}
+
+/**
+ * Create one Exa enrichment per requested field on a webset
+ * A field Exa rejects is returned as failed rather than failing the others.
+ * Returns [{ field, enrichmentId, format, status, error, requestedAt }] for the enrichment doc
+ */
+async function createFieldEnrichments(websetId, requestedFields) {
+  const enrichmentRequests = []
+  for (const fieldKey of requestedFields) {
+    const definition = ENRICHMENT_FIELDS[fieldKey]
+    if (!definition) {
+      console.warn(`[Enrich] No definition found for field: ${fieldKey}`)
+      continue
+    }
+    
+    console.log(`[Enrich] Creating enrichment for field: ${fieldKey}`, {
+      description: definition.description?.substring(0, 100),
+      format: definition.format,
+      metadata: { field: fieldKey },
+    })
+    
+    // Build enrichment request with proper format
+    const enrichmentPayload = {
+      description: definition.description,
+      format: definition.format === 'options' ? 'options' : definition.format,
+      metadata: { field: fieldKey },
+    }
+    
+    // Add options array for 'options' format fields
+    if (definition.format === 'options' && definition.options) {
+      enrichmentPayload.options = definition.options
+    }
+    
+    const requestedAt = new Date().toISOString()
+    let enrichment
+    try {
+      enrichment = await exa.createEnrichment(websetId, enrichmentPayload)
+    } catch (err) {
+      console.error(`[Enrich] Exa rejected the enrichment for ${fieldKey}:`, err.message)
+      enrichmentRequests.push({
+        field: fieldKey,
+        enrichmentId: null,
+        format: definition.format,
+        status: 'failed',
+        error: err.message || 'Exa enrichment error',
+        requestedAt,
+      })
+      continue
+    }
+    
+    console.log(`[Enrich] Created enrichment for ${fieldKey}:`, enrichment.id)
+    
+    enrichmentRequests.push({
+      field: fieldKey,
+      enrichmentId: enrichment.id,
+      format: definition.format,
+      status: 'pending',
+      error: null,
+      requestedAt,
+    })
   }
+
+  return enrichmentRequests
 }
 
 /**
- * Build CSV from items
- */
-function buildCsv(items) {
-  const header = [
-    'company',
-    'domain',
-    'platform',
-    'snippet',
-    'recency',
-    'score',
-    'email',
-    'phone',
-    'buyingIntent',
-    'description',
-    'employeeCount',
-    'linkedin',
-    'leadsetId',
-    'runId',
-  ]
-  const rows = items.map((item) => [
-    JSON.stringify(item.entity?.company || ''),
-    JSON.stringify(item.entity?.domain || ''),
-    JSON.stringify(item.platform || ''),
-    JSON.stringify((item.snippet || '').substring(0, 500)),
-    item.recency || '',
-    item.score ?? '',
-    JSON.stringify(item.enrichment?.email || ''),
-    JSON.stringify(item.enrichment?.phone || ''),
-    JSON.stringify(item.enrichment?.buyingIntent || ''),
-    JSON.stringify(item.enrichment?.description || ''),
-    JSON.stringify(item.enrichment?.employeeCount || ''),
-    JSON.stringify(item.enrichment?.linkedinUrl || ''),
-    item.leadsetId || '',
-    item.runId || '',
-  ])
-  return [header, ...rows].map((cells) => cells.join(',')).join('\n')
+ * Max leads per selective enrichment (settings.limits.maxSelectionPerEnrichment)
+ */
+function getMaxSelectionPerEnrichment(settings) {
+  const limit = parseInt(settings?.limits?.maxSelectionPerEnrichment, 10)
+  return limit > 0 ? limit : DEFAULT_MAX_SELECTION_PER_ENRICHMENT
+}
+
+/**
+ * Load selected items for a run from Firebase, falling back to Exa for
+ * items that have not been synced yet. Items from other leadsets are dropped.
+ */
+async function loadSelectedItems(run, itemIds, leadsetId) {
+  const wanted = new Set(itemIds)
+  const items = (await repository.listItems({ leadsetId })).filter(doc => wanted.has(doc.itemId || doc.id))
+
+  const foundIds = new Set(items.map(item => item.itemId || item.id))
+  const missingIds = itemIds.filter(id => !foundIds.has(id))
+  const fromExa = await Promise.all(
+    missingIds.map(id => exa.getWebsetItem(run.websetId, id).catch(() => null))
+  )
+  const scoring = await getScoringContext(run)
+  fromExa.filter(Boolean).forEach(exaItem => items.push(transformExaItem(exaItem, run.id, leadsetId, scoring)))
+
+  return items.map(item => ({ ...item, itemId: item.itemId || item.id }))
 }
 
-function toArray(payload) {
-  if (!payload) return []
-  if (Array.isArray(payload)) return payload
-  if (Array.isArray(payload.data)) return payload.data
-  return Object.values(payload)
+/**
+ * Build the import CSV for a selective enrichment
+ * sourceUrl is the key used to map enrichment results back to our items
+ */
+function buildSelectionCsv(items) {
+  const header = ['url', 'name', 'company', 'title']
+  const rows = items.map(item => ({
+    url: item.sourceUrl,
+    name: item.entity?.name || item.entity?.company || '',
+    company: item.entity?.company || '',
+    title: item.entity?.title || '',
+  }))
+  return stringifyCsv(header, rows)
+}
+
+/**
+ * Clear the 'enriching' status on items after an enrichment fails
+ */
+async function resetEnrichingItems(itemIds) {
+  await Promise.all(itemIds.map(async (itemId) => {
+    const item = await sdk.getFirebaseData('items', itemId).catch(() => null)
+    if (!item || item.enrichment?.status !== 'enriching') return
+    const { status, ...values } = item.enrichment
+    const hasValues = Object.values(values).some(Boolean)
+    await sdk.updateFirebaseData('items', itemId, {
+      enrichment: { ...values, status: hasValues ? 'done' : 'none' },
+    }).catch((err) => console.warn(`[Enrich] Failed to reset item ${itemId}:`, err.message))
+  }))
+}
+
+/**
+ * Fill selected items from enrichment their buyer already holds (see ./buyers)
+ * Each reused field records where it came from on item.enrichmentReuse; reused
+ * emails are queued for verification.
+ * @param {Array} items - Item docs being enriched
+ * @param {Map} reusable - From buyerStore.findReusableEnrichment
+ * @param {Object} run - Run document (for scoring)
+ */
+async function applyReusedEnrichment(items, reusable, run) {
+  const scoring = await getScoringContext(run)
+  const reusedAt = new Date().toISOString()
+  await Promise.all(items.map(async (item) => {
+    const { buyerId, values, sources } = reusable.get(item.itemId)
+    const enrichment = { ...(item.enrichment || {}), ...values, status: 'done' }
+    const enrichmentReuse = { ...(item.enrichmentReuse || {}) }
+    Object.entries(sources).forEach(([field, source]) => {
+      enrichmentReuse[field] = { ...source, reusedAt }
+    })
+    const update = {
+      buyerId,
+      enrichment,
+      enrichmentReuse,
+      ...scoreItem({ ...item, enrichment }, scoring),
+      ...getItemQueryFields({ ...item, enrichment }),
+    }
+    await sdk.createFirebaseData('items', item.itemId, { ...item, ...update }).catch(() =>
+      sdk.updateFirebaseData('items', item.itemId, update)
+    ).catch((err) => console.warn(`[Enrich] Failed to reuse enrichment for item ${item.itemId}:`, err.message))
+  }))
+
+  // Reused emails are verified against this lead's domain too
+  const withEmail = items.filter((item) => 'email' in reusable.get(item.itemId).values)
+  if (withEmail.length > 0) {
+    await queueEmailVerification({
+      leadsetId: run.leadsetId,
+      itemIds: withEmail.map((item) => item.itemId),
+    }, `reuse:${run.id}:${reusedAt}`)
+  }
 }
 
 /* ============================================
@@ -1318,15 +1198,28 @@ app.get('/health', (req, res) => {
     status: 'ok', 
     timestamp: new Date().toISOString(),
     exaConfigured: !!EXA_API_KEY,
+    exaClient: exa.kind,
   })
 })
 
 /**
- * Debug route: fetch current leadset feed document
+ * Debug route: fetch the leadset feed index document
  */
 app.get('/api/leads/leadset-feed', async (req, res, next) => {
   try {
-    const feed = await sdk.getFirebaseData('leadsetFeed', 'global')
+    const feed = await sdk.getFirebaseData('leadsetFeed', 'index')
+    res.json(feed || {})
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Debug route: fetch one leadset's feed document
+ */
+app.get('/api/leads/leadset-feed/:leadsetId', async (req, res, next) => {
+  try {
+    const feed = await sdk.getFirebaseData('leadsetFeed', req.params.leadsetId)
     res.json(feed || {})
   } catch (error) {
     next(error)
@@ -1342,6 +1235,9 @@ app.get('/api/leads/leadset-feed', async (req, res, next) => {
  * 2. Collection object: { session_id, lead_sets: [ ... ], ... }
  * 3. New standard format: { leadset_documents: [ ... ] }
  * 4. Legacy format: { leadsets: [ ... ] }
+ *
+ * When the seeded settings change the scoring weights, a 'rescore-items' job is
+ * queued and its id returned as rescoreJobId.
  */
 app.post('/api/leads/seed', async (req, res, next) => {
   let { leadsets = [], settings = null, clearExisting = false } = req.body
@@ -1372,10 +1268,10 @@ app.post('/api/leads/seed', async (req, res, next) => {
     
     // Optionally clear existing data
     if (clearExisting) {
-      const allDocs = toArray(await sdk.searchFirebaseData({}, 5000))
-      for (const doc of allDocs) {
-        if (doc.doc_type === 'leadsets' || doc.doc_type === 'runs' || doc.doc_type === 'items' || doc.doc_type === 'enrichments') {
-          await sdk.deleteFirebaseData(doc.doc_type, doc.id).catch(() => {})
+      for (const docType of ['leadsets', 'runs', 'items', 'enrichments', 'buyers', 'buyerKeys', 'runSnapshots', 'runSnapshotChunks', 'exports', 'crmPushes', 'outboundEvents', 'webhookDeliveries']) {
+        for (const doc of await repository.find(docType)) {
+          if (docType === 'exports') await exportStorage.remove(doc).catch(() => {})
+          await sdk.deleteFirebaseData(docType, doc.id).catch(() => {})
         }
       }
       console.log('[Seed] Cleared existing data')
@@ -1406,23 +1302,32 @@ app.post('/api/leads/seed', async (req, res, next) => {
       console.log(`[Seed] Created leadset: ${leadset.id} - ${leadset.name} (sessionId: ${sessionId || 'none'})`)
     }
     
-    // Seed settings
+    // Seed settings; changed scoring weights re-score existing items on the job queue
+    let rescoreJob = null
     if (settings) {
+      const previousSettings = await sdk.getFirebaseData('settings', 'settings').catch(() => null)
       await sdk.createFirebaseData('settings', 'settings', settings).catch(() =>
         sdk.updateFirebaseData('settings', 'settings', settings)
       )
       seededSettings = true
       console.log('[Seed] Created settings')
+
+      const previousWeights = normalizeScoringWeights(previousSettings?.scoringWeights)
+      const nextWeights = normalizeScoringWeights(settings.scoringWeights)
+      if (previousSettings && JSON.stringify(previousWeights) !== JSON.stringify(nextWeights)) {
+        rescoreJob = await jobs.enqueue('rescore-items', {}, { idempotencyKey: 'rescore-items', reuseRunning: false })
+      }
     }
     
     await updateDocStatus(['leadsets', 'settings'])
-    await rebuildLeadsetFeed().catch((err) => console.warn('[Leadset Feed] Seed rebuild skipped:', err.message))
+    await queueFeedRebuild()
     
     res.json({
       success: true,
       seededLeadsets,
       seededSettings,
       sessionId: collectionSessionId || (leadsets[0]?.sessionId || leadsets[0]?.session_id) || null,
+      rescoreJobId: rescoreJob?.id || null,
       message: `Seeded ${seededLeadsets} leadsets${seededSettings ? ' and settings' : ''}${collectionSessionId ? ` with sessionId: ${collectionSessionId}` : ''}`,
     })
   } catch (error) {
@@ -1453,7 +1358,7 @@ app.delete('/api/leads/seed', async (req, res, next) => {
     console.log('[Factory Reset] Step 1: Finding all Exa websets...')
     
     // Search with a much higher limit to get all documents
-    let allDocs = toArray(await sdk.searchFirebaseData({}, 50000))
+    let allDocs = toDocs(await sdk.searchFirebaseData({}, 50000))
     const allRuns = allDocs.filter(doc => doc.doc_type === 'runs')
     const allLeadsets = allDocs.filter(doc => doc.doc_type === 'leadsets')
     
@@ -1465,11 +1370,19 @@ app.delete('/api/leads/seed', async (req, res, next) => {
     allLeadsets.forEach(leadset => {
       if (leadset.websetId) websetIds.add(leadset.websetId)
     })
+    // Selective enrichments import their rows into dedicated websets
+    allDocs.filter(doc => doc.doc_type === 'enrichments').forEach(enrichment => {
+      if (enrichment.websetId) websetIds.add(enrichment.websetId)
+    })
     
     console.log(`[Factory Reset] Found ${websetIds.size} Exa websets to delete`)
 
+    // Stop monitors first so they cannot start runs while websets are being deleted
+    const monitorIds = allLeadsets.map(leadset => leadset.monitor?.id).filter(Boolean)
+    await Promise.allSettled(monitorIds.map(monitorId => exa.deleteMonitor(monitorId)))
+
     // Step 2: Delete all websets from Exa (in parallel batches for speed)
-    if (EXA_API_KEY && websetIds.size > 0) {
+    if (websetIds.size > 0) {
       console.log('[Factory Reset] Step 2: Deleting Exa websets...')
       const websetArray = Array.from(websetIds)
       const batchSize = 10 // Delete 10 at a time to avoid rate limiting
@@ -1477,7 +1390,7 @@ app.delete('/api/leads/seed', async (req, res, next) => {
       for (let i = 0; i < websetArray.length; i += batchSize) {
         const batch = websetArray.slice(i, i + batchSize)
         const deleteResults = await Promise.allSettled(
-          batch.map(websetId => deleteWebset(websetId))
+          batch.map(websetId => exa.deleteWebset(websetId))
         )
         
         deleteResults.forEach((result, idx) => {
@@ -1492,8 +1405,6 @@ app.delete('/api/leads/seed', async (req, res, next) => {
       }
       
       console.log(`[Factory Reset] Exa cleanup complete: ${results.exaWebsetsDeleted} deleted, ${results.exaWebsetsFailed} failed`)
-    } else if (websetIds.size > 0) {
-      console.log('[Factory Reset] Skipping Exa webset deletion (no API key configured)')
     }
 
     // Step 3: Delete all Firebase data - keep searching and deleting until no more documents found
@@ -1509,7 +1420,7 @@ app.delete('/api/leads/seed', async (req, res, next) => {
     while (hasMoreDocs && batchNumber < maxIterations) {
       batchNumber++
       // Search again to get current documents
-      const currentDocs = toArray(await sdk.searchFirebaseData({}, 50000))
+      const currentDocs = toDocs(await sdk.searchFirebaseData({}, 50000))
       
       if (currentDocs.length === 0) {
         hasMoreDocs = false
@@ -1555,7 +1466,7 @@ app.delete('/api/leads/seed', async (req, res, next) => {
       await new Promise(resolve => setTimeout(resolve, 500))
       
       // Verify if we're done by searching again
-      const verifyDocs = toArray(await sdk.searchFirebaseData({}, 50000))
+      const verifyDocs = toDocs(await sdk.searchFirebaseData({}, 50000))
       if (verifyDocs.length === 0) {
         hasMoreDocs = false
         console.log(`[Factory Reset] Verification: No more documents found`)
@@ -1579,7 +1490,7 @@ app.delete('/api/leads/seed', async (req, res, next) => {
     console.log(`  - Exa websets failed: ${results.exaWebsetsFailed}`)
     console.log(`  - Firebase docs deleted: ${results.firebaseDocsDeleted}`)
     
-    await rebuildLeadsetFeed().catch((err) => console.warn('[Leadset Feed] Reset rebuild skipped:', err.message))
+    await queueFeedRebuild()
 
     res.json({ 
       success: true, 
@@ -1597,10 +1508,7 @@ app.delete('/api/leads/seed', async (req, res, next) => {
  */
 app.get('/api/leads/leadsets', async (req, res, next) => {
   try {
-    // FN7 SDK: searchFirebaseData(queryConstraints, limit, orderBy?, authContext?)
-    // Returns all docs for org, we filter by doc_type client-side
-    const allDocs = await sdk.searchFirebaseData({}, 500)
-    const leadsets = toArray(allDocs).filter(doc => doc.doc_type === 'leadsets')
+    const leadsets = await repository.find('leadsets')
     res.json(leadsets)
   } catch (error) {
     next(error)
@@ -1617,13 +1525,7 @@ app.get('/api/leads/leadsets', async (req, res, next) => {
 app.get('/api/leads/leadsets/:leadsetId/webset-id', async (req, res, next) => {
   const { leadsetId } = req.params
   try {
-    const allDocs = toArray(await sdk.searchFirebaseData({}, 500))
-    const allRuns = allDocs.filter(doc => doc.doc_type === 'runs')
-    const runs = allRuns
-      .filter(r => r.leadsetId === leadsetId)
-      .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))
-    
-    const latestRun = runs[0] || null
+    const latestRun = await repository.getLatestRun(leadsetId)
     
     if (!latestRun) {
       return res.status(404).json({ error: 'No run found for this leadset' })
@@ -1644,96 +1546,92 @@ app.get('/api/leads/leadsets/:leadsetId/webset-id', async (req, res, next) => {
 app.get('/api/leads/leadsets/:leadsetId/detail', async (req, res, next) => {
   const { leadsetId } = req.params
   try {
-    let leadset = await sdk.getFirebaseData('leadsets', leadsetId)
+    const leadset = await sdk.getFirebaseData('leadsets', leadsetId)
     if (!leadset) {
       return res.status(404).json({ error: 'Leadset not found' })
     }
 
-    // Get latest run
-    const allDocs = toArray(await sdk.searchFirebaseData({}, 500))
-    const allRuns = allDocs.filter(doc => doc.doc_type === 'runs')
-    const runs = allRuns
-      .filter(r => r.leadsetId === leadsetId)
-      .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))
-    let run = runs[0] || null
+    const run = await repository.getLatestRun(leadsetId)
 
-    // Get items for this leadset
-    let items = []
-    
-    // If run is "running", auto-sync from Exa
-    if (run && run.status === 'running' && run.websetId && EXA_API_KEY) {
+    // While the run is "running", a 'sync-webset' job pulls its items from Exa;
+    // this response serves what Firebase has so far
+    let syncJobId = null
+    if (run && run.status === 'running' && run.websetId) {
       try {
-        const webset = await getWebset(run.websetId)
-        
-        // Get ALL items from Exa (paginate if needed)
-        let exaItems = []
-        let cursor = null
-        do {
-          const itemsResponse = await listWebsetItems(run.websetId, { limit: 100, cursor })
-          exaItems = exaItems.concat(itemsResponse.data || [])
-          cursor = itemsResponse.hasMore ? itemsResponse.nextCursor : null
-        } while (cursor)
-
-        // Transform and save items
-        items = exaItems.map(item => transformExaItem(item, run.id, leadsetId))
-        
-        console.log(`[Detail] Transformed ${items.length} items from Exa for leadset ${leadsetId}, run ${run.id}`)
-        
-        // Update status if webset completed
-        const newStatus = webset.status === 'idle' ? 'completed' : webset.status
-        
-        // Always save items if we have any, regardless of status change
-        if (items.length > 0) {
-          console.log(`[Detail] Saving ${items.length} items to Firebase...`)
-          const saveResults = await Promise.allSettled(items.map(item => 
-            sdk.createFirebaseData('items', item.itemId, item).catch((err) => {
-              console.log(`[Detail] Item ${item.itemId} already exists, updating instead`)
-              return sdk.updateFirebaseData('items', item.itemId, item)
-            })
-          ))
-          
-          const saved = saveResults.filter(r => r.status === 'fulfilled').length
-          const failed = saveResults.filter(r => r.status === 'rejected').length
-          console.log(`[Detail] Saved ${saved} items, ${failed} failed`)
-          
-          if (failed > 0) {
-            console.error(`[Detail] Failed to save ${failed} items:`, 
-              saveResults.filter(r => r.status === 'rejected').map(r => r.reason?.message || r.reason))
-          }
-        }
-        
-        // Update run status if it changed
-        if (run.status !== newStatus) {
-          await sdk.updateFirebaseData('runs', run.id, {
-            status: newStatus,
-            counters: { ...run.counters, found: items.length },
-          })
-          run = { ...run, status: newStatus, counters: { ...run.counters, found: items.length } }
-          
-          // Update leadset status if completed
-          if (newStatus === 'completed') {
-            await sdk.updateFirebaseData('leadsets', leadsetId, { status: 'idle' })
-            leadset = { ...leadset, status: 'idle' }
-          }
-          
-          await updateDocStatus(['runs', 'items', 'leadsets'], { leadsetId, runId: run.id })
-        } else if (items.length > 0) {
-          // Even if status didn't change, update docStatus to trigger frontend refresh
-          await updateDocStatus(['items'], { leadsetId, runId: run.id })
-        }
+        const job = await jobs.enqueue('sync-webset', {
+          leadsetId,
+          runId: run.id,
+          updateStatus: true,
+        }, {
+          idempotencyKey: `sync-webset:${run.id}`,
+        })
+        syncJobId = job.id
       } catch (syncError) {
-        console.warn('[Detail] Auto-sync failed:', syncError.message)
+        console.warn('[Detail] Could not queue auto-sync:', syncError.message)
       }
     }
-    
-    // If items not fetched from Exa, get from Firebase
-    if (items.length === 0 && run) {
-      const allItemDocs = toArray(await sdk.searchFirebaseData({}, 2000))
-      const allItems = allItemDocs.filter(doc => doc.doc_type === 'items')
-      items = allItems.filter(item => item.runId === run.id)
+
+    const items = run ? await repository.listItems({ leadsetId, runId: run.id }) : []
+
+    res.json({ leadset, run, items, syncJobId })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Page through a leadset's items
+ * GET /leadsets/:leadsetId/items?sort=score&recency=7d,30d&hasContact=true&entity=company
+ *   &field[buyingIntent]=High&q=acme&runId=xxx&limit=25&cursor=xxx
+ * Returns { items, total, nextCursor }; pass nextCursor back for the next page.
+ * See ./repository/itemQuery for the parameters.
+ */
+app.get('/api/leads/leadsets/:leadsetId/items', async (req, res, next) => {
+  const { leadsetId } = req.params
+  try {
+    const parsed = parseItemQuery(req.query)
+    if (parsed.error) {
+      return res.status(400).json({ error: 'INVALID_ITEM_QUERY', message: parsed.error })
     }
 
-    res.json({ leadset, run, items })
+    const leadset = await repository.get('leadsets', leadsetId)
+    if (!leadset) {
+      return res.status(404).json({ error: 'Leadset not found' })
+    }
+
+    // A run's items include the ones a later replace run archived
+    const page = await findItems(repository, { leadsetId, runId: req.query.runId || null }, parsed.options)
+
+    // Where else each lead's buyer was found, for the "seen in N leadsets" badge
+    const buyers = await buyerStore.getBuyers(page.items.map(item => item.buyerId))
+    const pageItems = page.items.map((item) => {
+      const buyer = buyers.get(item.buyerId)
+      if (!buyer) return item
+      const leadsetIds = buyer.leadsetIds || []
+      return { ...item, buyer: { id: buyer.id, leadsetIds, leadsetCount: leadsetIds.length } }
+    })
+
+    res.json({ ...page, items: pageItems, sort: parsed.options.sort, limit: parsed.options.limit })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Get a buyer: the company or person behind items across leadsets
+ * GET /buyers/:buyerId -> buyer doc + { leadsets: [{ id, name }] }
+ */
+app.get('/api/leads/buyers/:buyerId', async (req, res, next) => {
+  try {
+    const buyer = await repository.get('buyers', req.params.buyerId)
+    if (!buyer) {
+      return res.status(404).json({ error: 'Buyer not found' })
+    }
+    const leadsets = await Promise.all((buyer.leadsetIds || []).map(id => repository.get('leadsets', id)))
+    res.json({
+      ...buyer,
+      leadsets: leadsets.filter(Boolean).map(leadset => ({ id: leadset.id, name: leadset.name || '' })),
+    })
   } catch (error) {
     next(error)
   }
@@ -1742,15 +1640,12 @@ app.get('/api/leads/leadsets/:leadsetId/detail', async (req, res, next) => {
 /**
  * Manually sync items from Exa API to Firebase
  * POST /leadsets/:leadsetId/sync-items?websetId=xxx (optional websetId)
+ * Queues a 'sync-webset' job and returns 202 with its jobId (see GET /jobs/:jobId)
  */
 app.post('/api/leads/leadsets/:leadsetId/sync-items', async (req, res, next) => {
   const { leadsetId } = req.params
   const { websetId: providedWebsetId } = req.query
   try {
-    if (!EXA_API_KEY) {
-      return res.status(400).json({ error: 'Exa API key not configured' })
-    }
-
     let run = null
     let websetId = providedWebsetId
 
@@ -1758,9 +1653,7 @@ app.post('/api/leads/leadsets/:leadsetId/sync-items', async (req, res, next) =>
     if (websetId) {
       console.log(`[Sync] Using provided websetId: ${websetId}`)
       // Try to find or create a run for this websetId
-      const allDocs = toArray(await sdk.searchFirebaseData({}, 500))
-      const allRuns = allDocs.filter(doc => doc.doc_type === 'runs')
-      run = allRuns.find(r => r.websetId === websetId && r.leadsetId === leadsetId)
+      run = await repository.findOne('runs', { leadsetId, websetId })
       
       // If no run exists, create a minimal run document
       if (!run) {
@@ -1778,14 +1671,7 @@ app.post('/api/leads/leadsets/:leadsetId/sync-items', async (req, res, next) =>
         console.log(`[Sync] Created temporary run ${runId} for webset ${websetId}`)
       }
     } else {
-      // Get latest run
-      const allDocs = toArray(await sdk.searchFirebaseData({}, 500))
-      const allRuns = allDocs.filter(doc => doc.doc_type === 'runs')
-      const runs = allRuns
-        .filter(r => r.leadsetId === leadsetId)
-        .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))
-      
-      run = runs[0] || null
+      run = await repository.getLatestRun(leadsetId)
       
       if (!run) {
         return res.status(404).json({ error: 'No run found for this leadset. Provide websetId as query parameter: ?websetId=xxx' })
@@ -1797,70 +1683,22 @@ app.post('/api/leads/leadsets/:leadsetId/sync-items', async (req, res, next) =>
       }
     }
 
-    console.log(`[Sync] Starting manual sync for leadset ${leadsetId}, run ${run.id}, webset ${websetId}`)
-
-    // Fetch all items from Exa
-    let exaItems = []
-    let cursor = null
-    do {
-      const itemsResponse = await listWebsetItems(websetId, { limit: 100, cursor })
-      exaItems = exaItems.concat(itemsResponse.data || [])
-      cursor = itemsResponse.hasMore ? itemsResponse.nextCursor : null
-      console.log(`[Sync] Fetched ${exaItems.length} items so far...`)
-    } while (cursor)
-
-    console.log(`[Sync] Total items from Exa: ${exaItems.length}`)
-
-    // Transform items
-    const items = exaItems.map(item => transformExaItem(item, run.id, leadsetId))
-    console.log(`[Sync] Transformed ${items.length} items`)
-
-    // Save all items to Firebase
-    if (items.length > 0) {
-      console.log(`[Sync] Saving ${items.length} items to Firebase...`)
-      const saveResults = await Promise.allSettled(items.map(item => 
-        sdk.createFirebaseData('items', item.itemId, item).catch((err) => {
-          console.log(`[Sync] Item ${item.itemId} already exists, updating instead`)
-          return sdk.updateFirebaseData('items', item.itemId, item)
-        })
-      ))
-      
-      const saved = saveResults.filter(r => r.status === 'fulfilled').length
-      const failed = saveResults.filter(r => r.status === 'rejected').length
-      
-      if (failed > 0) {
-        console.error(`[Sync] Failed to save ${failed} items:`, 
-          saveResults.filter(r => r.status === 'rejected').map(r => r.reason?.message || r.reason))
-      }
-
-      // Update run counters
-      await sdk.updateFirebaseData('runs', run.id, {
-        counters: { ...run.counters, found: items.length },
-      })
-
-      // Trigger frontend refresh
-      await updateDocStatus(['items', 'runs'], { leadsetId, runId: run.id })
+    const job = await jobs.enqueue('sync-webset', {
+      leadsetId,
+      runId: run.id,
+      websetId,
+    }, {
+      idempotencyKey: `sync-webset:${run.id}`,
+    })
 
-      res.json({
-        success: true,
-        message: `Synced ${saved} items to Firebase`,
-        stats: {
-          total: items.length,
-          saved,
-          failed,
-        },
-      })
-    } else {
-      res.json({
-        success: true,
-        message: 'No items found in Exa webset',
-        stats: {
-          total: 0,
-          saved: 0,
-          failed: 0,
-        },
-      })
-    }
+    console.log(`[Sync] Queued sync job ${job.id} for leadset ${leadsetId}, run ${run.id}, webset ${websetId}`)
+    res.status(202).json({
+      success: true,
+      message: 'Sync queued',
+      jobId: job.id,
+      status: job.status,
+      runId: run.id,
+    })
   } catch (error) {
     console.error('[Sync] Error syncing items:', error)
     next(error)
@@ -1876,10 +1714,7 @@ app.delete('/api/leads/leadsets/:leadsetId/items', async (req, res, next) => {
   try {
     console.log(`[Delete] Starting deletion of items for leadset ${leadsetId}`)
     
-    // Get all items for this leadset
-    const allDocs = toArray(await sdk.searchFirebaseData({}, 10000))
-    const allItems = allDocs.filter(doc => doc.doc_type === 'items')
-    const itemsToDelete = allItems.filter(item => item.leadsetId === leadsetId)
+    const itemsToDelete = await repository.listItems({ leadsetId, includeArchived: true })
     
     console.log(`[Delete] Found ${itemsToDelete.length} items to delete`)
     
@@ -1903,6 +1738,7 @@ app.delete('/api/leads/leadsets/:leadsetId/items', async (req, res, next) => {
     
     const deleted = deleteResults.filter(r => r.status === 'fulfilled').length
     const failed = deleteResults.filter(r => r.status === 'rejected').length
+    await buyerStore.unlinkItems(itemsToDelete.filter((item, index) => deleteResults[index].status === 'fulfilled'))
     
     console.log(`[Delete] Deleted ${deleted} items, ${failed} failed`)
     
@@ -1938,1130 +1774,3054 @@ app.get('/api/leads/settings', async (req, res, next) => {
 })
 
 /**
- * Start a new run for a leadset
- * Creates a Webset in Exa to search for buyers
- */
-/**
- * Check if a leadset has an existing run with a webset
- * Returns info about the existing run/webset if any
+ * Update lead scoring weights and queue re-scoring existing items
+ * Body: { segment, intent, recency, platform, credibility, verification } (partial allowed)
+ * Returns 202 with the 'rescore-items' jobId; poll GET /jobs/:jobId for { rescored }.
  */
-app.get('/api/leads/leadsets/:leadsetId/run-status', async (req, res, next) => {
-  const { leadsetId } = req.params
-  
+app.put('/api/leads/settings/scoring-weights', async (req, res, next) => {
+  const input = req.body || {}
+
   try {
-    const leadset = await sdk.getFirebaseData('leadsets', leadsetId)
-    if (!leadset) {
-      return res.status(404).json({ error: 'Leadset not found' })
+    const unknownKeys = Object.keys(input).filter((key) => !SCORE_COMPONENTS.includes(key))
+    const invalidKeys = Object.keys(input).filter((key) => {
+      const value = Number(input[key])
+      return SCORE_COMPONENTS.includes(key) && (!Number.isFinite(value) || value < 0)
+    })
+    if (unknownKeys.length > 0 || invalidKeys.length > 0) {
+      return res.status(400).json({
+        error: 'INVALID_SCORING_WEIGHTS',
+        message: `Weights must be non-negative numbers for: ${SCORE_COMPONENTS.join(', ')}`,
+        unknownKeys,
+        invalidKeys,
+      })
     }
 
-    // Check for existing run
-    const allDocs = toArray(await sdk.searchFirebaseData({}, 500))
-    const allRuns = allDocs.filter(doc => doc.doc_type === 'runs')
-    const runs = allRuns
-      .filter(r => r.leadsetId === leadsetId)
-      .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))
-    
-    const latestRun = runs[0] || null
-    
-    // Count existing items
-    const allItems = allDocs.filter(doc => doc.doc_type === 'items')
-    const itemCount = latestRun 
-      ? allItems.filter(item => item.runId === latestRun.id).length 
-      : 0
-
-    res.json({
-      hasExistingRun: !!latestRun,
-      run: latestRun,
-      itemCount,
-      websetId: latestRun?.websetId || leadset.websetId || null,
+    const settings = await sdk.getFirebaseData('settings', 'settings').catch(() => null)
+    const scoringWeights = normalizeScoringWeights({
+      ...settings?.scoringWeights,
+      ...Object.fromEntries(Object.entries(input).map(([key, value]) => [key, Number(value)])),
     })
+    if (Object.values(scoringWeights).every((weight) => weight === 0)) {
+      return res.status(400).json({ error: 'INVALID_SCORING_WEIGHTS', message: 'At least one weight must be greater than 0' })
+    }
+
+    if (settings) {
+      await sdk.updateFirebaseData('settings', 'settings', { scoringWeights })
+    } else {
+      await sdk.createFirebaseData('settings', 'settings', { id: 'settings', scoringWeights })
+    }
+
+    // The job reads the weights when it runs, so one queued job covers several updates
+    const job = await jobs.enqueue('rescore-items', {}, { idempotencyKey: 'rescore-items', reuseRunning: false })
+    await updateDocStatus(['settings'])
+
+    res.status(202).json({ scoringWeights, jobId: job.id, status: job.status })
   } catch (error) {
-    console.error('[Run Status] Error:', error)
+    console.error('[Scoring] Error updating weights:', error)
     next(error)
   }
 })
 
 /**
- * Start a new run for a leadset
- * 
- * Request body options:
- * - mode: 'new' (default) | 'extend' | 'replace'
- * - count: number of buyers to fetch (default: 10)
- * 
- * Modes:
- * - 'new': Create a new run (fails if existing webset, unless force=true)
- * - 'extend': Add more buyers to existing webset
- * - 'replace': Delete existing webset and create new one
+ * List enrichment fields
+ * GET /enrichment-fields?leadsetId=
+ * Returns { fields, formats }: built-in and workspace fields (source 'built-in' | 'custom')
+ * and the formats a field can use. With leadsetId, only the fields that leadset
+ * can enrich (see getAllowedEnrichmentFieldsForLeadset).
  */
-app.post('/api/leads/leadsets/:leadsetId/run', async (req, res, next) => {
-  const { leadsetId } = req.params
-  const { mode = 'new', count = 10, force = false } = req.body
-  
+app.get('/api/leads/enrichment-fields', async (req, res, next) => {
   try {
-    // Get leadset from Firebase
-    const leadset = await sdk.getFirebaseData('leadsets', leadsetId)
-    if (!leadset) {
-      return res.status(404).json({ error: 'Leadset not found' })
-    }
-
-    // Check for existing run/webset
-    const allDocs = toArray(await sdk.searchFirebaseData({}, 500))
-    const allRuns = allDocs.filter(doc => doc.doc_type === 'runs')
-    const existingRuns = allRuns
-      .filter(r => r.leadsetId === leadsetId)
-      .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))
-    
-    const latestRun = existingRuns[0] || null
-    const existingWebsetId = latestRun?.websetId || leadset.websetId
-    
-    // If there's an existing webset and mode is 'new' without force, return conflict
-    if (existingWebsetId && mode === 'new' && !force) {
-      const allItems = allDocs.filter(doc => doc.doc_type === 'items')
-      const itemCount = latestRun 
-        ? allItems.filter(item => item.runId === latestRun.id).length 
-        : 0
-      
-      return res.status(409).json({
-        error: 'EXISTING_WEBSET',
-        message: 'This leadset already has buyers. Choose to extend or replace.',
-        existingWebsetId,
-        existingRunId: latestRun?.id,
-        itemCount,
-      })
-    }
-
-    // Handle 'replace' mode - delete existing webset first
-    if (mode === 'replace' && existingWebsetId) {
-      console.log(`[Run] Deleting existing webset ${existingWebsetId} for replace mode`)
-      try {
-        await deleteWebset(existingWebsetId)
-        console.log(`[Run] Deleted webset ${existingWebsetId}`)
-      } catch (deleteError) {
-        console.warn(`[Run] Could not delete webset ${existingWebsetId}:`, deleteError.message)
-        // Continue anyway - webset might already be deleted
+    let fields = fieldRegistry.list()
+    if (req.query.leadsetId) {
+      const leadset = await sdk.getFirebaseData('leadsets', String(req.query.leadsetId)).catch(() => null)
+      if (!leadset) {
+        return res.status(404).json({ error: 'Leadset not found' })
       }
-      
-      // Delete existing items for this leadset
-      const allItems = allDocs.filter(doc => doc.doc_type === 'items')
-      const itemsToDelete = latestRun 
-        ? allItems.filter(item => item.runId === latestRun.id)
-        : []
-      
-      for (const item of itemsToDelete) {
-        await sdk.deleteFirebaseData('items', item.id).catch(() => {})
+      const allowed = getAllowedEnrichmentFieldsForLeadset(leadset)
+      if (allowed.length > 0) {
+        fields = fields.filter((field) => allowed.includes(field.key))
       }
-      console.log(`[Run] Deleted ${itemsToDelete.length} existing items`)
     }
+    res.json({ fields, formats: EXA_FORMATS })
+  } catch (error) {
+    next(error)
+  }
+})
 
-    // Build search query from leadset data
-    const queryParts = []
-    if (leadset.description) queryParts.push(leadset.description)
-    if (leadset.segment?.segment_archetype) queryParts.push(leadset.segment.segment_archetype)
-    if (leadset.segment?.geo_region) queryParts.push(`in ${leadset.segment.geo_region}`)
-    if (leadset.segment?.firmographic_company_size) queryParts.push(`${leadset.segment.firmographic_company_size} size`)
-    if (leadset.segment?.tribe?.length) queryParts.push(`focusing on ${leadset.segment.tribe.join(', ')}`)
-    if (leadset.intent?.signals?.length) queryParts.push(`showing intent for ${leadset.intent.signals.join(', ')}`)
-    
-    const searchQuery = queryParts.join('. ') || leadset.name || 'companies'
-
-    // Build criteria from intent signals
-    const criteria = (leadset.intent?.signals || []).map(signal => ({
-      description: `Shows intent or interest in ${signal}`,
-    }))
-
-    const requestedCount = parseInt(count, 10) || 10
-    let targetWebsetId = existingWebsetId
-    let webset = null
-    let searchId = null
-
-    if (mode === 'extend') {
-      if (!existingWebsetId) {
-        return res.status(400).json({
-          error: 'NO_EXISTING_WEBSET',
-          message: 'Cannot extend because this leadset has no existing webset. Start a new run first.',
-        })
-      }
-
-      const websetSearch = await createWebsetSearch(existingWebsetId, {
-        query: searchQuery,
-        count: requestedCount,
-        entity: 'company',
-        criteria,
-      })
-      webset = { id: existingWebsetId, status: websetSearch.status || 'running' }
-      searchId = websetSearch.id
-      targetWebsetId = existingWebsetId
-    } else {
-      // Create Webset in Exa
-      // Use a unique externalId that includes timestamp to avoid conflicts
-      const externalId = `${leadsetId}_${Date.now()}`
-      webset = await createWebset({
-        query: searchQuery,
-        count: requestedCount,
-        entity: 'company',
-        criteria,
-        externalId,
+/**
+ * Add a workspace enrichment field
+ * POST /enrichment-fields
+ * Body: { key, label, summary, category, format, options: ['Yes', 'No'] (format 'options'),
+ *         instructions, defaultCost, leadsetKeys: [leadset enrichment_fields names] }
+ * Fields without leadsetKeys are offered on every leadset.
+ */
+app.post('/api/leads/enrichment-fields', async (req, res, next) => {
+  try {
+    const result = await fieldRegistry.createField(req.body || {})
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.status === 409 ? 'ENRICHMENT_FIELD_EXISTS' : 'INVALID_ENRICHMENT_FIELD',
+        message: result.error,
       })
-      targetWebsetId = webset.id
-    }
-
-    // Create run document
-    const runId = `run_${Date.now()}`
-    const runDoc = {
-      id: runId,
-      leadsetId,
-      websetId: targetWebsetId,
-      status: 'running',
-      mode, // Track the mode used
-      requestedCount,
-      searchId: searchId || null,
-      counters: { 
-        found: 0, 
-        enriched: 0, 
-        selected: 0, 
-        analyzed: 0 
-      },
-      searchQuery,
-      createdAt: new Date().toISOString(),
-      createdBy: 'scout-backend',
     }
-
-    // Save to Firebase
-    await sdk.createFirebaseData('runs', runId, runDoc)
-    await sdk.updateFirebaseData('leadsets', leadsetId, {
-      lastRunId: runId,
-      websetId: targetWebsetId,
-      status: 'running',
-    })
-    
-    await updateDocStatus(['leadsets', 'runs'], { leadsetId, runId })
-
-    await rebuildLeadsetFeed().catch((err) => console.warn('[Leadset Feed] Run rebuild skipped:', err.message))
-
-    console.log(`[Run] Started run ${runId} (mode: ${mode}, count: ${count}) for leadset ${leadsetId}, webset ${targetWebsetId}${searchId ? `, search ${searchId}` : ''}`)
-    res.status(201).json(runDoc)
+    res.status(201).json(result.field)
   } catch (error) {
-    console.error('[Run] Error starting run:', error)
     next(error)
   }
 })
 
 /**
- * Get webset status and items from Exa
- * This is polled by the frontend for real-time updates
+ * Update a workspace enrichment field, or customize a built-in one
+ * PUT /enrichment-fields/:key
+ * Body: any POST /enrichment-fields property except key; omitted properties are kept.
+ * A built-in field's format can't change.
  */
-app.get('/api/leads/leadsets/:leadsetId/runs/:runId/webset', async (req, res, next) => {
-  const { leadsetId, runId } = req.params
-  
+app.put('/api/leads/enrichment-fields/:key', async (req, res, next) => {
   try {
-    // Get run from Firebase
-    const run = await sdk.getFirebaseData('runs', runId)
-    if (!run) {
-      return res.status(404).json({ error: 'Run not found' })
+    const result = await fieldRegistry.updateField(req.params.key, req.body || {})
+    if (!result) {
+      return res.status(404).json({ error: 'Enrichment field not found' })
     }
-
-    // Get webset status from Exa
-    const webset = await getWebset(run.websetId)
-    
-    // Get ALL items from Exa (paginate if needed)
-    let exaItems = []
-    let cursor = null
-    do {
-      const itemsResponse = await listWebsetItems(run.websetId, { limit: 100, cursor })
-      exaItems = exaItems.concat(itemsResponse.data || [])
-      cursor = itemsResponse.hasMore ? itemsResponse.nextCursor : null
-    } while (cursor)
-
-    // Transform items to our format
-    const items = exaItems.map(item => transformExaItem(item, runId, leadsetId))
-
-    // Update Firebase with latest counts
-    const newStatus = webset.status === 'idle' ? 'completed' : webset.status
-    let dataChanged = false
-    if (run.status !== newStatus || (run.counters?.found || 0) !== items.length) {
-      await sdk.updateFirebaseData('runs', runId, {
-        status: newStatus,
-        counters: {
-          ...run.counters,
-          found: items.length,
-          analyzed: webset.counters?.searches || 0,
-        },
-      })
-      dataChanged = true
-
-      // Save items to Firebase for caching
-      if (items.length > 0) {
-        await Promise.all(items.map(item => 
-          sdk.createFirebaseData('items', item.itemId, item).catch(() => 
-            sdk.updateFirebaseData('items', item.itemId, item)
-          )
-        ))
-        dataChanged = true
-      }
-
-      // Update leadset status if webset completed
-      if (newStatus === 'completed' || newStatus === 'idle') {
-        await sdk.updateFirebaseData('leadsets', leadsetId, { status: 'idle' })
-        dataChanged = true
-      }
-
-      await updateDocStatus(['runs', 'items', 'leadsets'], { leadsetId, runId })
-      // Always rebuild feed when data changes
-      await rebuildLeadsetFeed().catch((err) => console.warn('[Leadset Feed] Webset rebuild skipped:', err.message))
+    if (result.error) {
+      return res.status(result.status).json({ error: 'INVALID_ENRICHMENT_FIELD', message: result.error })
     }
-
-    res.json({
-      id: webset.id,
-      status: webset.status,
-      counters: {
-        found: items.length,
-        analyzed: webset.counters?.searches || 0,
-      },
-      items,
-      updatedAt: new Date().toISOString(),
-    })
+    res.json(result.field)
   } catch (error) {
-    console.error('[Webset] Error getting status:', error)
     next(error)
   }
 })
 
 /**
- * Cancel a running run/webset
+ * Delete a workspace enrichment field, or reset a customized built-in one
+ * DELETE /enrichment-fields/:key
+ * Returns { success, field }: field is the restored built-in definition, or null.
+ * Values already enriched onto items are kept.
  */
-app.post('/api/leads/leadsets/:leadsetId/runs/:runId/cancel', async (req, res, next) => {
-  const { leadsetId, runId } = req.params
-  
+app.delete('/api/leads/enrichment-fields/:key', async (req, res, next) => {
   try {
-    const run = await sdk.getFirebaseData('runs', runId)
-    if (!run) {
-      return res.status(404).json({ error: 'Run not found' })
+    const result = await fieldRegistry.deleteField(req.params.key)
+    if (!result) {
+      return res.status(404).json({ error: 'Enrichment field not found' })
     }
-
-    // Cancel running work in Exa (different endpoints for new vs extend)
-    if (run.mode === 'extend' && run.searchId && run.websetId) {
-      await cancelWebsetSearch(run.websetId, run.searchId).catch(err => {
-        console.warn('[Cancel] Failed to cancel webset search:', err.message)
-      })
-    } else if (run.websetId) {
-      await cancelWebset(run.websetId).catch(err => {
-        console.warn('[Cancel] Failed to cancel webset:', err.message)
-      })
+    if (result.error) {
+      return res.status(result.status).json({ error: 'INVALID_ENRICHMENT_FIELD', message: result.error })
     }
-
-    // Update Firebase
-    await sdk.updateFirebaseData('runs', runId, { 
-      status: 'canceled',
-      canceledAt: new Date().toISOString(),
-    })
-    await sdk.updateFirebaseData('leadsets', leadsetId, { status: 'idle' })
-    await updateDocStatus(['runs', 'leadsets'], { leadsetId, runId })
-    await rebuildLeadsetFeed().catch((err) => console.warn('[Leadset Feed] Cancel rebuild skipped:', err.message))
-
-    res.json({ status: 'canceled' })
+    res.json({ success: true, field: result.field })
   } catch (error) {
     next(error)
   }
 })
 
 /**
- * Request enrichment for contact details
- * Creates enrichments in Exa for email and phone
+ * Verify the unlocked emails of a leadset's items
+ * POST /leadsets/:leadsetId/verify-emails
+ * Body: { itemIds?, runId?, force? } - force re-checks emails that were already verified
+ * Queues a 'verify-emails' job (runs on its own after every enrichment that
+ * unlocks emails) and returns 202 with its jobId
  */
-app.post('/api/leads/leadsets/:leadsetId/runs/:runId/enrich', async (req, res, next) => {
-  const { leadsetId, runId } = req.params
-  const { fields: requestedFieldsInput = [] } = req.body || {}
-
+app.post('/api/leads/leadsets/:leadsetId/verify-emails', async (req, res, next) => {
+  const { leadsetId } = req.params
+  const { itemIds = null, runId = null, force = false } = req.body || {}
   try {
-    const leadset = await sdk.getFirebaseData('leadsets', leadsetId)
+    if (itemIds !== null && (!Array.isArray(itemIds) || itemIds.some(id => typeof id !== 'string'))) {
+      return res.status(400).json({ error: 'INVALID_ITEM_IDS', message: 'itemIds must be an array of item ids' })
+    }
+    const leadset = await sdk.getFirebaseData('leadsets', leadsetId).catch(() => null)
     if (!leadset) {
       return res.status(404).json({ error: 'Leadset not found' })
     }
 
-    const allowedFromLeadset = getAllowedEnrichmentFieldsForLeadset(leadset)
-    const requestedFields = normalizeRequestedFields(requestedFieldsInput, allowedFromLeadset)
-    const invalidFields = requestedFields.filter((field) => !ENRICHMENT_FIELDS[field])
-    if (invalidFields.length > 0) {
-      return res.status(400).json({ error: 'Invalid fields requested', invalidFields })
-    }
+    const job = await jobs.enqueue('verify-emails', { leadsetId, runId, itemIds, force: Boolean(force) })
+    res.status(202).json({ success: true, jobId: job.id, status: job.status })
+  } catch (error) {
+    next(error)
+  }
+})
 
-    const run = await sdk.getFirebaseData('runs', runId)
-    if (!run) {
-      return res.status(404).json({ error: 'Run not found' })
+/**
+ * Background job status
+ * Returned as jobId by routes that queue work (sync-items, enrichment status, webhooks)
+ */
+app.get('/api/leads/jobs/:jobId', async (req, res, next) => {
+  try {
+    const job = await jobs.getJob(req.params.jobId)
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' })
     }
 
-    if (!run.websetId) {
-      return res.status(400).json({ error: 'No webset found for this run' })
-    }
+    const { id, type, status, attempts, maxAttempts, runAt, result, lastError, idempotencyKey, createdAt, updatedAt, startedAt, completedAt } = job
+    res.json({ id, type, status, attempts, maxAttempts, runAt, result, lastError, idempotencyKey, createdAt, updatedAt, startedAt, completedAt })
+  } catch (error) {
+    console.error('[Jobs] Error:', error)
+    next(error)
+  }
+})
+
+/**
+ * Get workspace credit balance, this month's spend and ledger history
+ * Query: limit (default 50) - number of history entries, newest first
+ */
+app.get('/api/leads/credits', async (req, res, next) => {
+  const limit = Math.max(1, parseInt(req.query.limit, 10) || 50)
+
+  try {
+    const entries = await credits.listEntries()
+    const summary = await credits.getSummary(null, entries)
+    res.json({
+      ...summary,
+      history: entries.slice(0, limit),
+      total: entries.length,
+    })
+  } catch (error) {
+    console.error('[Credits] Error loading credits:', error)
+    next(error)
+  }
+})
+
+/**
+ * Start a new run for a leadset
+ * Creates a Webset in Exa to search for buyers
+ */
+/**
+ * Check if a leadset has an existing run with a webset
+ * Returns info about the existing run/webset if any
+ */
+app.get('/api/leads/leadsets/:leadsetId/run-status', async (req, res, next) => {
+  const { leadsetId } = req.params
+  
+  try {
+    const leadset = await sdk.getFirebaseData('leadsets', leadsetId)
+    if (!leadset) {
+      return res.status(404).json({ error: 'Leadset not found' })
+    }
+
+    // Check for existing run
+    const latestRun = await repository.getLatestRun(leadsetId)
+    
+    // Count existing items
+    const itemCount = latestRun
+      ? (await repository.listItems({ leadsetId, runId: latestRun.id })).length
+      : 0
+
+    res.json({
+      hasExistingRun: !!latestRun,
+      run: latestRun,
+      itemCount,
+      websetId: getLeadsetWebsetId(latestRun, leadset),
+    })
+  } catch (error) {
+    console.error('[Run Status] Error:', error)
+    next(error)
+  }
+})
+
+/**
+ * A run as listed in the run history
+ */
+function summarizeRun(run) {
+  return {
+    id: run.id,
+    mode: run.mode || 'new',
+    status: run.status,
+    createdBy: run.createdBy || null,
+    createdAt: run.createdAt || null,
+    completedAt: run.completedAt || null,
+    requestedCount: run.requestedCount ?? null,
+    counters: run.counters || {},
+    searchQuery: run.searchQuery || null,
+    entityType: run.entityType || null,
+    cost: run.cost ?? 0,
+    websetId: run.websetId || null,
+  }
+}
+
+/**
+ * List a leadset's runs, newest first
+ * GET /leadsets/:leadsetId/runs -> { runs: [{ id, mode, status, counters, searchQuery, cost, ... }] }
+ */
+app.get('/api/leads/leadsets/:leadsetId/runs', async (req, res, next) => {
+  const { leadsetId } = req.params
+  try {
+    const leadset = await repository.get('leadsets', leadsetId)
+    if (!leadset) {
+      return res.status(404).json({ error: 'Leadset not found' })
+    }
+    const runs = await repository.listRuns(leadsetId)
+    res.json({ runs: runs.map(summarizeRun) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Diff a run against the run before it (see ./runs/runHistory)
+ * GET /leadsets/:leadsetId/runs/:runId/diff
+ * -> { runId, previousRunId, isLatest, counts, added, dropped, changed }
+ */
+app.get('/api/leads/leadsets/:leadsetId/runs/:runId/diff', async (req, res, next) => {
+  const { leadsetId, runId } = req.params
+  try {
+    const diff = await runHistory.diffRun(leadsetId, runId)
+    if (!diff) {
+      return res.status(404).json({ error: 'Run not found' })
+    }
+    res.json(diff)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Keep only the override keys the query builder understands
+ */
+function sanitizeQueryOverrides(overrides = {}) {
+  const sanitized = {}
+  if (typeof overrides.query === 'string') sanitized.query = overrides.query
+  if (typeof overrides.appendToQuery === 'string') sanitized.appendToQuery = overrides.appendToQuery
+  if (Array.isArray(overrides.excludeCriteria)) {
+    sanitized.excludeCriteria = overrides.excludeCriteria.filter(key => typeof key === 'string')
+  }
+  if (Array.isArray(overrides.extraCriteria)) {
+    sanitized.extraCriteria = overrides.extraCriteria
+      .map(criterion => (typeof criterion === 'string' ? { description: criterion } : criterion))
+      .filter(criterion => criterion && typeof criterion.description === 'string' && criterion.description.trim())
+      .map(({ description, weight }) => (typeof weight === 'number' ? { description, weight } : { description }))
+  }
+  const entity = normalizeEntityType(overrides.entity)
+  if (entity) sanitized.entity = entity
+  if (overrides.weights && typeof overrides.weights === 'object') {
+    sanitized.weights = Object.fromEntries(
+      Object.entries(overrides.weights).filter(([, weight]) => typeof weight === 'number' && weight >= 0)
+    )
+  }
+  return sanitized
+}
+
+/**
+ * Preview the Exa query and weighted criteria a run would use
+ *
+ * Request body options:
+ * - overrides: unsaved query overrides to apply on top of leadset.queryOverrides
+ */
+app.post('/api/leads/leadsets/:leadsetId/query-preview', async (req, res, next) => {
+  const { leadsetId } = req.params
+  const { overrides } = req.body || {}
+
+  try {
+    const leadset = await sdk.getFirebaseData('leadsets', leadsetId)
+    if (!leadset) {
+      return res.status(404).json({ error: 'Leadset not found' })
+    }
+
+    const preview = buildLeadsetQuery(leadset, overrides ? sanitizeQueryOverrides(overrides) : null)
+    res.json({ leadsetId, ...preview })
+  } catch (error) {
+    console.error('[Query Preview] Error:', error)
+    next(error)
+  }
+})
+
+/**
+ * Save per-leadset query overrides (replaces any existing overrides)
+ */
+app.put('/api/leads/leadsets/:leadsetId/query-overrides', async (req, res, next) => {
+  const { leadsetId } = req.params
+
+  try {
+    const leadset = await sdk.getFirebaseData('leadsets', leadsetId)
+    if (!leadset) {
+      return res.status(404).json({ error: 'Leadset not found' })
+    }
+
+    const queryOverrides = sanitizeQueryOverrides(req.body || {})
+    await sdk.updateFirebaseData('leadsets', leadsetId, { queryOverrides })
+    await updateDocStatus(['leadsets'], { leadsetId })
+
+    console.log(`[Query Overrides] Saved overrides for leadset ${leadsetId}`)
+    res.json({ leadsetId, queryOverrides, ...buildLeadsetQuery({ ...leadset, queryOverrides }) })
+  } catch (error) {
+    console.error('[Query Overrides] Error:', error)
+    next(error)
+  }
+})
+
+/**
+ * Start a run for a leadset (shared by the run route and the scheduler)
+ *
+ * Modes:
+ * - 'new': Create a new run (fails if existing webset, unless force=true)
+ * - 'extend': Add more buyers to existing webset
+ * - 'replace': Delete existing webset and create new one
+ *
+ * @param {string} leadsetId
+ * @param {Object} options - { mode, count, force, createdBy }
+ * @returns {Promise<{ status: number, body: Object }>} HTTP status + response body
+ */
+async function startLeadsetRun(leadsetId, { mode = 'new', count = 10, force = false, createdBy = 'scout-backend' } = {}) {
+  // Get leadset from Firebase
+  const leadset = await sdk.getFirebaseData('leadsets', leadsetId)
+  if (!leadset) {
+    return { status: 404, body: { error: 'Leadset not found' } }
+  }
+
+  // Check for existing run/webset
+  const latestRun = await repository.getLatestRun(leadsetId)
+  const existingWebsetId = getLeadsetWebsetId(latestRun, leadset)
+  
+  // If there's an existing webset and mode is 'new' without force, return conflict
+  if (existingWebsetId && mode === 'new' && !force) {
+    const itemCount = latestRun
+      ? (await repository.listItems({ leadsetId, runId: latestRun.id })).length
+      : 0
+    
+    return {
+      status: 409,
+      body: {
+        error: 'EXISTING_WEBSET',
+        message: 'This leadset already has buyers. Choose to extend or replace.',
+        existingWebsetId,
+        existingRunId: latestRun?.id,
+        itemCount,
+      },
+    }
+  }
+
+  if (mode === 'extend' && !existingWebsetId) {
+    return {
+      status: 400,
+      body: {
+        error: 'NO_EXISTING_WEBSET',
+        message: 'Cannot extend because this leadset has no existing webset. Start a new run first.',
+      },
+    }
+  }
+
+  // Take the run's credits before touching the existing webset; they are
+  // refunded if the run doesn't start
+  const requestedCount = parseInt(count, 10) || 10
+  const runId = `run_${Date.now()}`
+  const runCost = credits.estimateRunCost(await credits.getSettings(), requestedCount)
+  const reservation = await credits.reserve(runCost.total, { reason: 'run', leadsetId, runId, mode, itemCount: requestedCount })
+  if (!reservation.ok) {
+    console.log(`[Run] Rejected run for leadset ${leadsetId}: ${reservation.error.code}`)
+    return { status: reservation.status, body: reservation.error }
+  }
+
+  try {
+    return await launchRun({ leadset, leadsetId, mode, requestedCount, runId, runCost, latestRun, existingWebsetId, createdBy })
+  } catch (error) {
+    await refundReservation(reservation, { reason: 'run_failed', leadsetId, runId })
+    throw error
+  }
+}
+
+/**
+ * Start the Exa search for a run whose credits are reserved, and save the run
+ * Throws when Exa rejects it; startLeadsetRun refunds the reservation then.
+ */
+async function launchRun({ leadset, leadsetId, mode, requestedCount, runId, runCost, latestRun, existingWebsetId, createdBy }) {
+  // Keep what the leadset looked like after the previous run, for the run diff
+  if (latestRun) await runHistory.snapshotLatestRun(leadsetId)
+
+  // Handle 'replace' mode - delete existing webset first
+  if (mode === 'replace' && existingWebsetId) {
+    console.log(`[Run] Deleting existing webset ${existingWebsetId} for replace mode`)
+    try {
+      await exa.deleteWebset(existingWebsetId)
+      console.log(`[Run] Deleted webset ${existingWebsetId}`)
+    } catch (deleteError) {
+      console.warn(`[Run] Could not delete webset ${existingWebsetId}:`, deleteError.message)
+      // Continue anyway - webset might already be deleted
+    }
+
+    // The monitor watched the deleted webset
+    if (leadset.monitor?.id) {
+      await exa.deleteMonitor(leadset.monitor.id).catch((err) =>
+        console.warn(`[Run] Could not delete monitor ${leadset.monitor.id}:`, err.message)
+      )
+      await sdk.updateFirebaseData('leadsets', leadsetId, { monitor: null })
+      console.log(`[Run] Removed monitor ${leadset.monitor.id} with replaced webset`)
+    }
+    
+    // Archive the replaced items: they leave the leadset but stay readable by run
+    const itemsToArchive = await repository.listItems({ leadsetId })
+    const archivedAt = new Date().toISOString()
+    for (const item of itemsToArchive) {
+      await sdk.updateFirebaseData('items', item.id || item.itemId, { archived: true, archivedAt }).catch(() => {})
+    }
+    await buyerStore.unlinkItems(itemsToArchive)
+    console.log(`[Run] Archived ${itemsToArchive.length} existing items`)
+  }
+
+  // Build search query + weighted criteria from prompt, segment and intent
+  const { query: searchQuery, criteria: searchCriteria, entity } = buildLeadsetQuery(leadset)
+  const criteria = toExaCriteria(searchCriteria)
+  // Extending appends to the existing webset, so keep the entity type it was created with
+  const entityType = (mode === 'extend' && latestRun?.entityType) || entity
+
+  let targetWebsetId = existingWebsetId
+  let webset = null
+  let searchId = null
+
+  if (mode === 'extend') {
+    const websetSearch = await exa.createWebsetSearch(existingWebsetId, {
+      query: searchQuery,
+      count: requestedCount,
+      entity: entityType,
+      criteria,
+    })
+    webset = { id: existingWebsetId, status: websetSearch.status || 'running' }
+    searchId = websetSearch.id
+    targetWebsetId = existingWebsetId
+  } else {
+    // Create Webset in Exa
+    // Use a unique externalId that includes timestamp to avoid conflicts
+    const externalId = `${leadsetId}_${Date.now()}`
+    webset = await exa.createWebset({
+      query: searchQuery,
+      count: requestedCount,
+      entity: entityType,
+      criteria,
+      externalId,
+    })
+    targetWebsetId = webset.id
+    searchId = webset.searches?.[0]?.id || null
+  }
+
+  // Create run document
+  const runDoc = {
+    id: runId,
+    leadsetId,
+    websetId: targetWebsetId,
+    status: 'running',
+    mode, // Track the mode used
+    requestedCount,
+    searchId: searchId || null,
+    counters: { 
+      found: 0, 
+      enriched: 0, 
+      selected: 0, 
+      analyzed: 0 
+    },
+    searchQuery,
+    searchCriteria,
+    entityType,
+    cost: runCost.total,
+    createdAt: new Date().toISOString(),
+    createdBy,
+  }
+
+  // Save to Firebase
+  await sdk.createFirebaseData('runs', runId, runDoc)
+  await sdk.updateFirebaseData('leadsets', leadsetId, {
+    lastRunId: runId,
+    websetId: targetWebsetId,
+    status: 'running',
+  })
+  
+  await updateDocStatus(['leadsets', 'runs'], { leadsetId, runId })
+
+  await queueFeedRebuild(leadsetId)
+  await emitRunStarted(runDoc)
+
+  console.log(`[Run] Started run ${runId} (mode: ${mode}, count: ${requestedCount}) for leadset ${leadsetId}, webset ${targetWebsetId}${searchId ? `, search ${searchId}` : ''}`)
+  return { status: 201, body: runDoc }
+}
+
+/**
+ * Start a new run for a leadset
+ * 
+ * Request body options:
+ * - mode: 'new' (default) | 'extend' | 'replace'
+ * - count: number of buyers to fetch (default: 10)
+ * - force: start a new run even if the leadset already has a webset
+ */
+app.post('/api/leads/leadsets/:leadsetId/run', async (req, res, next) => {
+  const { leadsetId } = req.params
+  const { mode = 'new', count = 10, force = false } = req.body
+  
+  try {
+    const { status, body } = await startLeadsetRun(leadsetId, { mode, count, force })
+    res.status(status).json(body)
+  } catch (error) {
+    console.error('[Run] Error starting run:', error)
+    next(error)
+  }
+})
+
+/**
+ * Import known companies/people into a leadset
+ *
+ * Request body:
+ * - content: CSV text, JSON text or an array of row objects
+ * - format: 'csv' | 'json' (detected when omitted)
+ * - entity: 'company' | 'person' (defaults to the leadset's entity type)
+ * - mapping: { url, name, company, title, description } -> source column
+ *   (unmapped columns are matched by common header names)
+ * - fileName: shown on the run
+ *
+ * Rows are uploaded to an Exa import, a webset is created from the import (the
+ * run's webset; the leadset keeps its own for searches and monitors) and the
+ * import is tracked as a run with mode 'import'. Rows already in the leadset are
+ * skipped. Poll GET /leadsets/:id/imports/:importId for progress.
+ */
+app.post('/api/leads/leadsets/:leadsetId/imports', async (req, res, next) => {
+  const { leadsetId } = req.params
+  const { content, format, mapping, fileName = null } = req.body || {}
+
+  try {
+    const leadset = await sdk.getFirebaseData('leadsets', leadsetId)
+    if (!leadset) {
+      return res.status(404).json({ error: 'Leadset not found' })
+    }
+
+    const latestRun = await repository.getLatestRun(leadsetId)
+
+    if (latestRun?.status === 'running') {
+      return res.status(409).json({
+        error: 'RUN_IN_PROGRESS',
+        message: 'Wait for the current run to finish before importing.',
+        runId: latestRun.id,
+      })
+    }
+
+    const requestedEntity = req.body?.entity
+    if (requestedEntity && !normalizeEntityType(requestedEntity)) {
+      return res.status(400).json({ error: 'INVALID_IMPORT', message: 'entity must be company or person' })
+    }
+    // Imports into an existing webset keep the entity type it was created with
+    const entityType = normalizeEntityType(requestedEntity) || latestRun?.entityType || buildLeadsetQuery(leadset).entity
+
+    const parsed = parseImportFile({ content, format, mapping, entity: entityType })
+    if (parsed.error) {
+      return res.status(400).json({ error: 'INVALID_IMPORT', message: parsed.error })
+    }
+
+    // Skip buyers the leadset already has
+    const existingKeys = new Set(
+      (await repository.listItems({ leadsetId }))
+        .flatMap(item => [
+          item.sourceUrl && getImportKey({ url: item.sourceUrl }),
+          getImportKey({ name: item.entity?.name || item.entity?.company }),
+        ])
+        .filter(Boolean)
+    )
+    const rows = parsed.rows.filter(row => !existingKeys.has(getImportKey(row)))
+    const skipped = { ...parsed.skipped, existing: parsed.rows.length - rows.length }
+    if (rows.length === 0) {
+      return res.status(400).json({
+        error: 'INVALID_IMPORT',
+        message: 'Every row in the file is already in this leadset',
+        skipped,
+      })
+    }
+
+    const runId = `run_${Date.now()}`
+    const importCost = credits.estimateRunCost(await credits.getSettings(), rows.length)
+    const reservation = await credits.reserve(importCost.total, { reason: 'import', leadsetId, runId, itemCount: rows.length })
+    if (!reservation.ok) {
+      console.log(`[Import] Rejected import for leadset ${leadsetId}: ${reservation.error.code}`)
+      return res.status(reservation.status).json(reservation.error)
+    }
+
+    let importData
+    let websetId
+    try {
+      const csv = buildImportCsv(rows)
+      importData = await exa.createImport({
+        csv,
+        count: rows.length,
+        entity: entityType,
+        title: fileName || `Import into ${leadset.name || leadsetId}`,
+      })
+      await exa.uploadCsvToImport(importData.uploadUrl, csv)
+      // Imports reach a webset through its import source, so each import gets its own
+      const webset = await exa.createImportWebset(importData.id, { externalId: `${leadsetId}_import_${Date.now()}` })
+      websetId = webset.id
+    } catch (error) {
+      await refundReservation(reservation, { reason: 'import_failed', leadsetId, runId })
+      throw error
+    }
+
+    if (latestRun) await runHistory.snapshotLatestRun(leadsetId)
+    const runDoc = {
+      id: runId,
+      leadsetId,
+      websetId,
+      status: 'running',
+      mode: 'import',
+      requestedCount: rows.length,
+      searchId: null,
+      importId: importData.id,
+      importStatus: importData.status || 'pending',
+      importMapping: parsed.mapping,
+      importFileName: fileName,
+      importSkipped: skipped,
+      counters: {
+        found: 0,
+        enriched: 0,
+        selected: 0,
+        analyzed: 0,
+      },
+      searchQuery: null,
+      searchCriteria: [],
+      entityType,
+      cost: importCost.total,
+      createdAt: new Date().toISOString(),
+      createdBy: 'import',
+    }
+
+    await sdk.createFirebaseData('runs', runId, runDoc)
+    await sdk.updateFirebaseData('leadsets', leadsetId, {
+      lastRunId: runId,
+      // Searches, extends and monitors stay on the leadset's own webset
+      websetId: getLeadsetWebsetId(latestRun, leadset) || websetId,
+      status: 'running',
+    })
+
+    await updateDocStatus(['leadsets', 'runs'], { leadsetId, runId })
+    await queueFeedRebuild(leadsetId)
+    await emitRunStarted(runDoc)
+
+    console.log(`[Import] Started import ${importData.id} (${rows.length} ${entityType} rows) for leadset ${leadsetId}, webset ${websetId}`)
+    res.status(202).json({
+      importId: importData.id,
+      runId,
+      status: runDoc.importStatus,
+      rowCount: rows.length,
+      skipped,
+      mapping: parsed.mapping,
+      columns: parsed.columns,
+      run: runDoc,
+    })
+  } catch (error) {
+    console.error('[Import] Error:', error)
+    next(error)
+  }
+})
+
+/**
+ * Import progress; finishes the import run once Exa is done
+ */
+app.get('/api/leads/leadsets/:leadsetId/imports/:importId', async (req, res, next) => {
+  const { leadsetId, importId } = req.params
+
+  try {
+    const run = await repository.findOne('runs', { leadsetId, importId })
+    if (!run) {
+      return res.status(404).json({ error: 'Import not found' })
+    }
+
+    const { status, importStatus, itemCount } = await syncImportRun(run)
+    res.json({
+      importId,
+      runId: run.id,
+      status: importStatus || run.importStatus || 'pending',
+      runStatus: status,
+      itemCount,
+      skipped: run.importSkipped || null,
+    })
+  } catch (error) {
+    console.error('[Import] Error getting status:', error)
+    next(error)
+  }
+})
+
+/**
+ * Set a leadset's recurring run schedule (replaces any existing schedule)
+ *
+ * Body: { everyDays } or { cron } (5 fields, UTC), plus optional count and enabled
+ * Due schedules extend the leadset's webset with createdBy 'scheduler'.
+ */
+app.put('/api/leads/leadsets/:leadsetId/schedule', async (req, res, next) => {
+  const { leadsetId } = req.params
+
+  try {
+    const leadset = await sdk.getFirebaseData('leadsets', leadsetId)
+    if (!leadset) {
+      return res.status(404).json({ error: 'Leadset not found' })
+    }
+
+    const { schedule, error } = normalizeSchedule(req.body || {})
+    if (error) {
+      return res.status(400).json({ error: 'INVALID_SCHEDULE', message: error })
+    }
+
+    const nextRunAt = getNextRunAt(schedule, scheduler.now())
+    const savedSchedule = {
+      ...schedule,
+      nextRunAt: nextRunAt ? nextRunAt.toISOString() : null,
+      lastRunAt: leadset.schedule?.lastRunAt || null,
+      lastRunId: leadset.schedule?.lastRunId || null,
+      updatedAt: new Date().toISOString(),
+    }
+
+    await sdk.updateFirebaseData('leadsets', leadsetId, { schedule: savedSchedule })
+    await updateDocStatus(['leadsets'], { leadsetId })
+    await queueFeedRebuild(leadsetId)
+
+    console.log(`[Scheduler] Saved schedule for ${leadsetId} (${schedule.cron ? `cron ${schedule.cron}` : `every ${schedule.everyDays}d`}), next run ${savedSchedule.nextRunAt}`)
+    res.json(savedSchedule)
+  } catch (error) {
+    console.error('[Scheduler] Error saving schedule:', error)
+    next(error)
+  }
+})
+
+/**
+ * Remove a leadset's recurring run schedule
+ */
+app.delete('/api/leads/leadsets/:leadsetId/schedule', async (req, res, next) => {
+  const { leadsetId } = req.params
+
+  try {
+    const leadset = await sdk.getFirebaseData('leadsets', leadsetId)
+    if (!leadset) {
+      return res.status(404).json({ error: 'Leadset not found' })
+    }
+
+    await sdk.updateFirebaseData('leadsets', leadsetId, { schedule: null })
+    await updateDocStatus(['leadsets'], { leadsetId })
+    await queueFeedRebuild(leadsetId)
+
+    res.json({ success: true })
+  } catch (error) {
+    console.error('[Scheduler] Error removing schedule:', error)
+    next(error)
+  }
+})
+
+/**
+ * Turn Exa monitoring on/off for a leadset, or change its cadence
+ *
+ * Body:
+ * - enabled: true (default) to create/resume the monitor, false to pause it
+ * - cron: 5-field cadence in UTC (default: existing cadence, else daily at 09:00)
+ * - count: leads per monitor run (changing it re-creates the monitor)
+ *
+ * Each monitor run appends a search to the leadset's webset and is recorded
+ * as a run with mode 'monitor' (see the monitor.run.* webhooks).
+ */
+app.put('/api/leads/leadsets/:leadsetId/monitor', async (req, res, next) => {
+  const { leadsetId } = req.params
+  const { enabled = true, cron: cronInput, count: countInput } = req.body || {}
+
+  try {
+    const leadset = await sdk.getFirebaseData('leadsets', leadsetId)
+    if (!leadset) {
+      return res.status(404).json({ error: 'Leadset not found' })
+    }
+
+    const latestRun = await repository.getLatestRun(leadsetId)
+    const websetId = getLeadsetWebsetId(latestRun, leadset)
+    if (!websetId) {
+      return res.status(400).json({
+        error: 'NO_EXISTING_WEBSET',
+        message: 'Monitoring extends the leadset\'s webset. Start a run first.',
+      })
+    }
+
+    const existing = leadset.monitor?.id && leadset.monitor.websetId === websetId ? leadset.monitor : null
+    const cron = typeof cronInput === 'string' && cronInput.trim() ? cronInput.trim().replace(/\s+/g, ' ') : existing?.cron || DEFAULT_MONITOR_CRON
+    const count = countInput === undefined ? existing?.count || DEFAULT_MONITOR_COUNT : Number(countInput)
+    try {
+      parseCron(cron)
+    } catch (err) {
+      return res.status(400).json({ error: 'INVALID_MONITOR', message: err.message })
+    }
+    if (!Number.isInteger(count) || count < 1 || count > MAX_MONITOR_COUNT) {
+      return res.status(400).json({ error: 'INVALID_MONITOR', message: `count must be a whole number between 1 and ${MAX_MONITOR_COUNT}` })
+    }
+
+    if (leadset.monitor?.id && !existing) {
+      // The leadset moved to a new webset; the old monitor would keep searching the old one
+      await exa.deleteMonitor(leadset.monitor.id)
+      console.log(`[Monitor] Deleted monitor ${leadset.monitor.id} on previous webset ${leadset.monitor.websetId} for leadset ${leadsetId}`)
+    }
+
+    let monitor = existing
+    if (existing && existing.count !== count) {
+      await exa.deleteMonitor(existing.id)
+      monitor = null
+    }
+
+    if (!monitor && !enabled) {
+      // Nothing to pause
+      await sdk.updateFirebaseData('leadsets', leadsetId, { monitor: null })
+      return res.json({ monitor: null })
+    }
+
+    const now = new Date().toISOString()
+    if (!monitor) {
+      const { query: searchQuery, criteria: searchCriteria, entity } = buildLeadsetQuery(leadset)
+      // Monitor searches append to the existing webset, so keep its entity type
+      const entityType = latestRun?.entityType || entity
+      const created = await exa.createMonitor(websetId, {
+        cron,
+        query: searchQuery,
+        count,
+        entity: entityType,
+        criteria: toExaCriteria(searchCriteria),
+        metadata: { leadsetId },
+      })
+      monitor = {
+        id: created.id,
+        websetId,
+        status: created.status || 'enabled',
+        cron,
+        count,
+        searchQuery,
+        searchCriteria,
+        entityType,
+        nextRunAt: created.nextRunAt || null,
+        lastRunId: leadset.monitor?.lastRunId || null,
+        lastRunAt: leadset.monitor?.lastRunAt || null,
+        createdAt: now,
+        updatedAt: now,
+      }
+      console.log(`[Monitor] Created monitor ${monitor.id} for leadset ${leadsetId} (${cron})`)
+    } else {
+      const updated = await exa.updateMonitor(monitor.id, {
+        cron: cron !== monitor.cron ? cron : undefined,
+        status: enabled ? 'enabled' : 'disabled',
+      })
+      monitor = {
+        ...monitor,
+        status: updated.status || (enabled ? 'enabled' : 'disabled'),
+        disabledReason: null,
+        cron,
+        nextRunAt: updated.nextRunAt || null,
+        updatedAt: now,
+      }
+      console.log(`[Monitor] Monitor ${monitor.id} for leadset ${leadsetId} is now ${monitor.status} (${cron})`)
+    }
+
+    await sdk.updateFirebaseData('leadsets', leadsetId, { monitor })
+    await updateDocStatus(['leadsets'], { leadsetId })
+    await queueFeedRebuild(leadsetId)
+
+    res.json({ monitor })
+  } catch (error) {
+    console.error('[Monitor] Error updating monitor:', error)
+    next(error)
+  }
+})
+
+/**
+ * Disable a leadset's monitor in Exa when the budget can't pay for its next run
+ * @returns {Promise<Object>} The monitor as it should be stored on the leadset
+ */
+async function disableMonitorForBudget(leadsetId, monitor, budgetError) {
+  try {
+    const updated = await exa.updateMonitor(monitor.id, { status: 'disabled' })
+    console.warn(`[Monitor] Disabled monitor ${monitor.id} for leadset ${leadsetId}: ${budgetError.message}`)
+    return {
+      ...monitor,
+      status: updated.status || 'disabled',
+      disabledReason: budgetError.code,
+      updatedAt: new Date().toISOString(),
+    }
+  } catch (err) {
+    console.error(`[Monitor] Could not disable monitor ${monitor.id} for leadset ${leadsetId}:`, err.message)
+    return monitor
+  }
+}
+
+/**
+ * Delete a leadset's Exa monitor
+ */
+app.delete('/api/leads/leadsets/:leadsetId/monitor', async (req, res, next) => {
+  const { leadsetId } = req.params
+
+  try {
+    const leadset = await sdk.getFirebaseData('leadsets', leadsetId)
+    if (!leadset) {
+      return res.status(404).json({ error: 'Leadset not found' })
+    }
+
+    if (leadset.monitor?.id) {
+      await exa.deleteMonitor(leadset.monitor.id)
+    }
+    await sdk.updateFirebaseData('leadsets', leadsetId, { monitor: null })
+    await updateDocStatus(['leadsets'], { leadsetId })
+    await queueFeedRebuild(leadsetId)
+
+    res.json({ success: true })
+  } catch (error) {
+    console.error('[Monitor] Error deleting monitor:', error)
+    next(error)
+  }
+})
+
+/**
+ * Run all due schedules now (instead of waiting for the next scheduler tick)
+ */
+app.post('/api/leads/scheduler/tick', async (req, res, next) => {
+  try {
+    const results = await scheduler.tick()
+    res.json({ results })
+  } catch (error) {
+    console.error('[Scheduler] Error running tick:', error)
+    next(error)
+  }
+})
+
+/**
+ * Sync a run's webset from Exa
+ * GET /leadsets/:leadsetId/runs/:runId/webset
+ * Queues a 'sync-webset' job that saves the webset's items and moves the run
+ * and leadset status with it (import runs follow their import), and returns
+ * 202 with its jobId (see GET /jobs/:jobId). Items and status reach the app
+ * through the feed docs, as they do for webhook updates.
+ */
+app.get('/api/leads/leadsets/:leadsetId/runs/:runId/webset', async (req, res, next) => {
+  const { leadsetId, runId } = req.params
+
+  try {
+    const run = await sdk.getFirebaseData('runs', runId)
+    if (!run || run.leadsetId !== leadsetId) {
+      return res.status(404).json({ error: 'Run not found' })
+    }
+    if (!run.websetId) {
+      return res.status(400).json({ error: 'Run has no websetId' })
+    }
+
+    const job = await jobs.enqueue('sync-webset', {
+      leadsetId,
+      runId,
+      updateStatus: true,
+    }, {
+      idempotencyKey: `sync-webset:${runId}`,
+    })
+
+    res.status(202).json({
+      runId,
+      runStatus: run.status,
+      jobId: job.id,
+      status: job.status,
+    })
+  } catch (error) {
+    console.error('[Webset] Error queueing sync:', error)
+    next(error)
+  }
+})
+
+/**
+ * Cancel a running run/webset
+ */
+app.post('/api/leads/leadsets/:leadsetId/runs/:runId/cancel', async (req, res, next) => {
+  const { leadsetId, runId } = req.params
+  
+  try {
+    const run = await sdk.getFirebaseData('runs', runId)
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' })
+    }
+
+    // Cancel running work in Exa (different endpoints for new vs extend)
+    if (run.mode === 'extend' && run.searchId && run.websetId) {
+      await exa.cancelWebsetSearch(run.websetId, run.searchId).catch(err => {
+        console.warn('[Cancel] Failed to cancel webset search:', err.message)
+      })
+    } else if (run.websetId) {
+      await exa.cancelWebset(run.websetId).catch(err => {
+        console.warn('[Cancel] Failed to cancel webset:', err.message)
+      })
+    }
+
+    // Update Firebase
+    await sdk.updateFirebaseData('runs', runId, { 
+      status: 'canceled',
+      canceledAt: new Date().toISOString(),
+    })
+    await sdk.updateFirebaseData('leadsets', leadsetId, { status: 'idle' })
+    await updateDocStatus(['runs', 'leadsets'], { leadsetId, runId })
+    await queueFeedRebuild(leadsetId)
+
+    res.json({ status: 'canceled' })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Request enrichment for contact details
+ * Creates enrichments in Exa for the requested fields
+ *
+ * Request body options:
+ * - fields: enrichment field keys (defaults to the leadset's allowed fields)
+ * - itemIds: leads to enrich (max settings.limits.maxSelectionPerEnrichment).
+ *   When omitted, every item in the run's webset is enriched.
+ */
+app.post('/api/leads/leadsets/:leadsetId/runs/:runId/enrich', async (req, res, next) => {
+  const { leadsetId, runId } = req.params
+  const { fields: requestedFieldsInput = [], itemIds: itemIdsInput } = req.body || {}
+
+  try {
+    const leadset = await sdk.getFirebaseData('leadsets', leadsetId)
+    if (!leadset) {
+      return res.status(404).json({ error: 'Leadset not found' })
+    }
+
+    const allowedFromLeadset = getAllowedEnrichmentFieldsForLeadset(leadset)
+    const requestedFields = normalizeRequestedFields(requestedFieldsInput, allowedFromLeadset)
+    const invalidFields = requestedFields.filter((field) => !ENRICHMENT_FIELDS[field])
+    if (invalidFields.length > 0) {
+      return res.status(400).json({ error: 'Invalid fields requested', invalidFields })
+    }
+
+    const run = await sdk.getFirebaseData('runs', runId)
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' })
+    }
+
+    if (!run.websetId) {
+      return res.status(400).json({ error: 'No webset found for this run' })
+    }
+
+    // With itemIds, only the selected rows are enriched (imported into their own webset).
+    // Without itemIds, the entire run webset is enriched.
+    const isSelection = Array.isArray(itemIdsInput)
+    let targetItems = []
+
+    if (isSelection) {
+      const itemIds = [...new Set(itemIdsInput.filter((id) => typeof id === 'string' && id))]
+      if (itemIds.length === 0) {
+        return res.status(400).json({ error: 'NO_ITEMS_SELECTED', message: 'Select at least one lead to enrich.' })
+      }
+
+      const settings = await sdk.getFirebaseData('settings', 'settings').catch(() => null)
+      const maxSelection = getMaxSelectionPerEnrichment(settings)
+      if (itemIds.length > maxSelection) {
+        return res.status(400).json({
+          error: 'SELECTION_LIMIT_EXCEEDED',
+          message: `You can enrich up to ${maxSelection} leads at a time (${itemIds.length} selected).`,
+          maxSelection,
+          selectedCount: itemIds.length,
+        })
+      }
+
+      targetItems = await loadSelectedItems(run, itemIds, leadsetId)
+      const foundIds = new Set(targetItems.map((item) => item.itemId))
+      const unknownItemIds = itemIds.filter((id) => !foundIds.has(id))
+      if (unknownItemIds.length > 0) {
+        return res.status(400).json({
+          error: 'UNKNOWN_ITEMS',
+          message: 'Some selected leads do not belong to this run.',
+          unknownItemIds,
+        })
+      }
+
+      const missingUrlIds = targetItems.filter((item) => !item.sourceUrl).map((item) => item.itemId)
+      if (missingUrlIds.length > 0) {
+        return res.status(400).json({
+          error: 'ITEMS_NOT_ENRICHABLE',
+          message: 'Some selected leads have no source URL to enrich from.',
+          itemIds: missingUrlIds,
+        })
+      }
+    } else {
+      console.log(`[Enrich] Starting enrichment for entire webset`)
+      let allItems = []
+      let cursor = null
+      do {
+        const itemsResponse = await exa.listWebsetItems(run.websetId, { limit: 100, cursor })
+        allItems = allItems.concat(itemsResponse.data || [])
+        cursor = itemsResponse.hasMore ? itemsResponse.nextCursor : null
+      } while (cursor)
+      const scoring = await getScoringContext(run)
+      targetItems = allItems.map(exaItem => transformExaItem(exaItem, runId, leadsetId, scoring))
+    }
+
+    // Selected leads whose buyer was already enriched with every requested field
+    // (in this or another leadset) are filled from the buyer instead of paid for again
+    let reusedItems = []
+    let reusable = new Map()
+    if (isSelection) {
+      reusable = await buyerStore.findReusableEnrichment(targetItems, requestedFields)
+      reusedItems = targetItems.filter((item) => reusable.has(item.itemId))
+      targetItems = targetItems.filter((item) => !reusable.has(item.itemId))
+    }
+
+    // Take the credits before anything is created in Exa; they are refunded if Exa rejects it
+    const enrichmentId = `enrich_${Date.now()}`
+    const enrichmentCost = credits.estimateEnrichmentCost(await credits.getSettings(), requestedFields, targetItems.length)
+    const reservation = await credits.reserve(enrichmentCost.total, {
+      reason: 'enrichment',
+      leadsetId,
+      runId,
+      enrichmentId,
+      fields: requestedFields,
+      itemCount: targetItems.length,
+    })
+    if (!reservation.ok) {
+      console.log(`[Enrich] Rejected enrichment for run ${runId}: ${reservation.error.code}`)
+      return res.status(reservation.status).json(reservation.error)
+    }
+
+    if (reusedItems.length > 0) {
+      await applyReusedEnrichment(reusedItems, reusable, run)
+      console.log(`[Enrich] Reused buyer enrichment for ${reusedItems.length} selected items`)
+    }
+
+    if (isSelection && targetItems.length === 0) {
+      const completedAt = new Date().toISOString()
+      const enrichmentDoc = {
+        id: enrichmentId,
+        runId,
+        leadsetId,
+        websetId: null,
+        sourceWebsetId: run.websetId,
+        importId: null,
+        itemIds: [],
+        reusedItemIds: reusedItems.map((item) => item.itemId),
+        fields: requestedFields,
+        requests: [],
+        status: 'completed',
+        cost: 0,
+        enrichedCount: reusedItems.length,
+        createdAt: completedAt,
+        completedAt,
+      }
+      await sdk.createFirebaseData('enrichments', enrichmentId, enrichmentDoc)
+      await updateDocStatus(['items', 'enrichments'], { leadsetId, runId })
+      await queueFeedRebuild(leadsetId)
+      await emitEnrichmentCompleted(enrichmentDoc)
+      return res.json({
+        enrichmentId,
+        status: 'completed',
+        itemCount: 0,
+        reusedCount: reusedItems.length,
+        requests: [],
+      })
+    }
+
+    // Selection: import the chosen rows into a dedicated webset. Field enrichments are
+    // created once the import completes (see the enrichment status route).
+    let enrichmentWebsetId = run.websetId
+    let importId = null
+    let enrichmentRequests = []
+    try {
+      if (isSelection) {
+        const csv = buildSelectionCsv(targetItems)
+        const importData = await exa.createImport({
+          csv,
+          count: targetItems.length,
+          entity: run.entityType || 'company',
+          title: `Selection from ${leadsetId}`,
+        })
+        importId = importData.id
+        await exa.uploadCsvToImport(importData.uploadUrl, csv)
+        const selectionWebset = await exa.createImportWebset(importId, { externalId: `${leadsetId}_selection_${Date.now()}` })
+        enrichmentWebsetId = selectionWebset.id
+      } else {
+        enrichmentRequests = await createFieldEnrichments(run.websetId, requestedFields)
+      }
+    } catch (error) {
+      await refundReservation(reservation, { reason: 'enrichment_failed', leadsetId, runId, enrichmentId })
+      throw error
+    }
+    if (!isSelection && enrichmentRequests.every(request => request.status === 'failed')) {
+      await refundReservation(reservation, { reason: 'enrichment_failed', leadsetId, runId, enrichmentId })
+      return res.status(502).json({
+        error: 'ENRICHMENT_FAILED',
+        message: lifecycle.describeFailures(enrichmentRequests) || 'Exa rejected the enrichment.',
+        requests: lifecycle.summarizeRequests(enrichmentRequests),
+      })
+    }
+
+    await sdk.createFirebaseData('enrichments', enrichmentId, {
+      id: enrichmentId,
+      runId,
+      leadsetId,
+      websetId: enrichmentWebsetId,
+      sourceWebsetId: run.websetId,
+      importId,
+      itemIds: isSelection ? targetItems.map((item) => item.itemId) : null,
+      reusedItemIds: reusedItems.map((item) => item.itemId),
+      fields: requestedFields,
+      requests: enrichmentRequests,
+      status: isSelection ? 'importing' : 'pending',
+      itemCount: targetItems.length,
+      cost: enrichmentCost.total,
+      createdAt: new Date().toISOString(),
+    })
+
+    // Update target items to show enriching status
+    await Promise.all(
+      targetItems.map(async (item) => {
+        try {
+          const existingItem = await sdk.getFirebaseData('items', item.itemId).catch(() => null)
+          const existingEnrichment = existingItem?.enrichment || {}
+
+          const itemData = {
+            ...item,
+            enrichment: {
+              ...existingEnrichment,
+              status: 'enriching',
+            },
+          }
+
+          if (existingItem) {
+            await sdk.updateFirebaseData('items', item.itemId, {
+              enrichment: itemData.enrichment,
+            })
+          } else {
+            await sdk.createFirebaseData('items', item.itemId, itemData).catch(() => {
+              sdk.updateFirebaseData('items', item.itemId, {
+                enrichment: itemData.enrichment,
+              }).catch(() => {})
+            })
+          }
+        } catch (err) {
+          console.warn(`[Enrich] Failed to update item ${item.itemId}:`, err.message)
+        }
+      })
+    )
+
+    // Update both run AND leadset status to 'enriching'
+    await Promise.all([
+      sdk.updateFirebaseData('runs', runId, {
+        status: 'enriching',
+        counters: {
+          ...run.counters,
+        },
+      }),
+      sdk.updateFirebaseData('leadsets', leadsetId, {
+        status: 'enriching',
+      }),
+    ])
+
+    await updateDocStatus(['runs', 'items', 'enrichments', 'leadsets'], { leadsetId, runId })
+    await queueFeedRebuild(leadsetId)
+
+    console.log(`[Enrich] Started enrichment ${enrichmentId} for ${isSelection ? 'selected items' : 'entire webset'} (${targetItems.length} items, fields: ${requestedFields.join(', ')})`)
+    res.status(202).json({
+      enrichmentId,
+      status: isSelection ? 'importing' : 'pending',
+      itemCount: targetItems.length,
+      reusedCount: reusedItems.length,
+      requests: enrichmentRequests.map(({ field, enrichmentId, status, error }) => ({ field, enrichmentId, status, error })),
+    })
+  } catch (error) {
+    console.error('[Enrich] Error:', error)
+    next(error)
+  }
+})
+
+/**
+ * Normalize a URL for matching Exa items to our items
+ */
+function normalizeUrlForMatch(url) {
+  if (!url) return ''
+  try {
+    const urlObj = new URL(url)
+    return urlObj.href.replace(/\/$/, '').toLowerCase()
+  } catch {
+    return url.replace(/\/$/, '').toLowerCase()
+  }
+}
+
+/**
+ * Write a finished enrichment's results onto our items
+ * Runs as a 'process-enrichment' job once none of the fields is waiting on Exa
+ * (see the enrichment status route). Only fields Exa completed, and that were
+ * not written before a retry, are written; the enrichment is then settled.
+ * @returns {Promise<{ enrichedCount: number, skippedCount: number }>}
+ */
+async function processEnrichmentResults({ enrichmentId }) {
+  const enrichmentDoc = await sdk.getFirebaseData('enrichments', enrichmentId)
+  if (!enrichmentDoc) throw new Error(`Enrichment ${enrichmentId} not found`)
+  if (lifecycle.SETTLED_STATUSES.includes(enrichmentDoc.status)) {
+    return { enrichedCount: enrichmentDoc.enrichedCount || 0, skippedCount: 0 }
+  }
+
+  const { leadsetId, runId } = enrichmentDoc
+  const run = await sdk.getFirebaseData('runs', runId)
+  if (!run) throw new Error(`Run ${runId} not found`)
+  const websetId = enrichmentDoc.websetId || run.websetId
+  // Enrichments created before per-field requests were stored write every field
+  const storedRequests = enrichmentDoc.requests || []
+  const readyRequests = lifecycle.getUnprocessedRequests(storedRequests)
+  const requestedFields = storedRequests.length
+    ? readyRequests.map((request) => request.field)
+    : (enrichmentDoc.fields || [])
+
+  if (storedRequests.length > 0 && readyRequests.length === 0) {
+    await settleEnrichment(enrichmentDoc, { run })
+    return { enrichedCount: 0, skippedCount: 0 }
+  }
+
+  console.log(`[Enrich] Enrichment ${enrichmentId} is done in Exa, processing ${requestedFields.join(', ')}...`)
+
+  // Mark as processing to prevent concurrent processing
+  try {
+    await sdk.updateFirebaseData('enrichments', enrichmentId, {
+      status: 'processing',
+    })
+    console.log(`[Enrich] Marked enrichment ${enrichmentId} as processing`)
+  } catch (err) {
+    console.warn(`[Enrich] Failed to mark enrichment as processing:`, err.message)
+    // Continue anyway - might be a race condition
+  }
+  let exaItems = []
+  let cursor = null
+  do {
+    const itemsResponse = await exa.listWebsetItems(websetId, { limit: 100, cursor })
+    exaItems = exaItems.concat(itemsResponse.data || [])
+    cursor = itemsResponse.hasMore ? itemsResponse.nextCursor : null
+  } while (cursor)
+  
+  console.log(`[Enrich] Fetched ${exaItems.length} items from webset ${websetId} for enrichment processing`)
+
+  const requestedFieldSet = new Set(requestedFields)
+  const requestIndex = indexRequests([enrichmentDoc])
+  let enrichedCount = 0
+  let skippedCount = 0
+
+  console.log(`[Enrich] Processing ${exaItems.length} items, requested fields: ${Array.from(requestedFieldSet).join(', ')}`)
+
+  // The run's items (we only need websetId, not individual itemIds)
+  // Selective enrichments only ever touch the selected items
+  const selectedItemIds = Array.isArray(enrichmentDoc.itemIds) ? new Set(enrichmentDoc.itemIds) : null
+  const firebaseItemsArray = (await repository.listItems({ leadsetId, runId: selectedItemIds ? undefined : runId }))
+    .filter(doc => !selectedItemIds || selectedItemIds.has(doc.itemId || doc.id))
+  
+  const firebaseItemsByUrl = new Map()
+  const firebaseItemsById = new Map()
+  
+  firebaseItemsArray.forEach(item => {
+    // Use document id for Firebase operations
+    const docId = item.id || item.itemId
+    if (item.sourceUrl && docId) {
+      firebaseItemsByUrl.set(item.sourceUrl, { ...item, docId })
+    }
+    if (item.itemId && docId) {
+      firebaseItemsById.set(item.itemId, { ...item, docId })
+    }
+  })
+  
+  console.log(`[Enrich] Found ${firebaseItemsArray.length} Firebase items for runId: ${runId}, leadsetId: ${leadsetId}`)
+
+  // Contact details found by enrichment feed the credibility score
+  const settingsDoc = await repository.get('settings', 'settings')
+  const scoring = await getScoringContext(run, settingsDoc)
+
+  // Update all items in the webset (enriches the entire webset)
+  for (const exaItem of exaItems) {
+    const enrichmentsArray = exaItem.enrichments || []
+
+    if (!enrichmentsArray || enrichmentsArray.length === 0) {
+      skippedCount++
+      continue
+    }
+
+    const collected = ingestion.collect(exaItem, { fields: requestedFieldSet, requestIndex })
+
+    if (Object.keys(collected.results).length === 0) {
+      skippedCount++
+      continue
+    }
+
+    // Find matching Firebase item by URL (we only need websetId, not individual itemIds)
+    const exaItemUrl = exaItem.url || exaItem.properties?.url || ''
+    let matchingFirebaseItem = null
+    let targetItemId = null
+
+    // Try to match by URL first
+    if (exaItemUrl) {
+      const normalizedExaUrl = normalizeUrlForMatch(exaItemUrl)
+      for (const [url, item] of firebaseItemsByUrl.entries()) {
+        if (normalizeUrlForMatch(url) === normalizedExaUrl) {
+          matchingFirebaseItem = item
+          targetItemId = item.docId
+          break
+        }
+      }
+    }
+
+    // Fallback: try to match by Exa item ID if we have it stored
+    if (!matchingFirebaseItem && exaItem.id) {
+      matchingFirebaseItem = firebaseItemsById.get(exaItem.id)
+      if (matchingFirebaseItem) {
+        targetItemId = matchingFirebaseItem.docId
+      }
+    }
+
+    // Selection websets hold copies of our items - never create new items from them
+    if ((!matchingFirebaseItem || !targetItemId) && selectedItemIds) {
+      console.warn(`[Enrich] No selected item matches Exa item ${exaItem.id || 'none'} (${exaItemUrl || 'no url'}), skipping`)
+      skippedCount++
+      continue
+    }
+
+    // If no match found, create the item (it should exist, but create it if missing)
+    if (!matchingFirebaseItem || !targetItemId) {
+      console.warn(`[Enrich] No Firebase item found for Exa item. Creating it now. Exa URL: ${exaItemUrl || 'none'}, Exa ID: ${exaItem.id || 'none'}`)
+      
+      // Create the item from Exa data
+      const newItem = transformExaItem(exaItem, runId, leadsetId, scoring)
+      targetItemId = newItem.itemId
+      const { enrichment: newEnrichment, enrichmentSources } = ingestion.merge(newItem, collected, {
+        source: 'enrichment',
+        status: 'done',
+      })
+      
+      try {
+        await sdk.createFirebaseData('items', targetItemId, {
+          ...newItem,
+          enrichment: newEnrichment,
+          enrichmentSources,
+          ...scoreItem({ ...newItem, enrichment: newEnrichment }, scoring),
+          ...getItemQueryFields({ ...newItem, enrichment: newEnrichment }),
+        })
+        console.log(`[Enrich] Created missing item ${targetItemId} with enrichment data`)
+        enrichedCount++
+        continue
+      } catch (createErr) {
+        console.error(`[Enrich] Failed to create missing item ${targetItemId}:`, createErr.message)
+        skippedCount++
+        continue
+      }
+    }
+
+    try {
+      const merged = await ingestion.ingest(matchingFirebaseItem, collected, {
+        source: 'enrichment',
+        status: 'done',
+        scoring,
+      })
+      
+      // Log what we wrote (first item only to avoid spam)
+      if (enrichedCount === 0 && merged) {
+        console.log(`[Enrich] Sample enrichment update for item ${targetItemId}:`, {
+          newFields: merged.fields,
+          finalFields: Object.keys(merged.enrichment),
+          flagged: Object.keys(merged.enrichment.flags || {}),
+        })
+      }
+      enrichedCount++
+    } catch (err) {
+      console.error(`[Enrich] Failed to update item ${targetItemId}:`, err.message)
+      // Continue with other items even if one fails
+    }
+  }
+
+  console.log(`[Enrich] Enrichment processing complete: ${enrichedCount} items enriched, ${skippedCount} items skipped`)
+
+  const processedAt = new Date().toISOString()
+  const requests = storedRequests.map((request) =>
+    readyRequests.includes(request) ? { ...request, processedAt } : request
+  )
+  await settleEnrichment({ ...enrichmentDoc, requests }, { run, enrichedCount, writtenFields: requestedFields })
+
+  return { enrichedCount, skippedCount }
+}
+
+/**
+ * Close an enrichment once none of its fields is waiting on Exa
+ * The status comes from the fields (see ./enrichment/lifecycle). Fields that
+ * failed or were canceled are refunded, items still marked 'enriching' are
+ * reset, and the run and leadset go back to idle.
+ * @param {Object} enrichmentDoc - Enrichment document with its final requests
+ * @param {Object} [options]
+ * @param {Object} [options.run] - Run document, when already loaded
+ * @param {number} [options.enrichedCount] - Items written by this pass
+ * @param {Array<string>} [options.writtenFields] - Fields written by this pass
+ * @returns {Promise<Object>} The settled enrichment document
+ */
+async function settleEnrichment(enrichmentDoc, { run = null, enrichedCount = 0, writtenFields = [] } = {}) {
+  const { id: enrichmentId, leadsetId, runId } = enrichmentDoc
+  // Concurrent polls may both get here; only the first settles (and refunds)
+  const current = await sdk.getFirebaseData('enrichments', enrichmentId).catch(() => null)
+  if (current && lifecycle.SETTLED_STATUSES.includes(current.status)) return current
+
+  const settledAt = new Date().toISOString()
+  const status = lifecycle.getSettledStatus(enrichmentDoc.requests || [])
+
+  // Nothing came back for these fields, so give their credits back
+  const unpaid = (enrichmentDoc.requests || []).filter(request =>
+    ['failed', 'canceled'].includes(request.status) && !request.refundedAt
+  )
+  let refund = 0
+  if (unpaid.length > 0 && enrichmentDoc.cost > 0) {
+    const estimate = credits.estimateEnrichmentCost(await credits.getSettings(), unpaid.map(request => request.field), enrichmentDoc.itemCount || 0)
+    refund = Math.min(estimate.total, enrichmentDoc.cost - (enrichmentDoc.refunded || 0))
+    if (refund > 0) {
+      await credits.refund(refund, {
+        reason: status === 'canceled' ? 'enrichment_canceled' : 'enrichment_failed',
+        leadsetId,
+        runId,
+        enrichmentId,
+        fields: unpaid.map(request => request.field),
+      })
+    }
+  }
+  const requests = (enrichmentDoc.requests || []).map(request =>
+    unpaid.includes(request) ? { ...request, refundedAt: settledAt } : request
+  )
+
+  const settled = {
+    ...enrichmentDoc,
+    requests,
+    status,
+    error: lifecycle.describeFailures(requests),
+    refunded: (enrichmentDoc.refunded || 0) + Math.max(refund, 0),
+    enrichedCount: Math.max(enrichmentDoc.enrichedCount || 0, enrichedCount),
+    completedAt: settledAt,
+  }
+  await sdk.updateFirebaseData('enrichments', enrichmentId, {
+    requests: settled.requests,
+    status: settled.status,
+    error: settled.error,
+    refunded: settled.refunded,
+    enrichedCount: settled.enrichedCount,
+    completedAt: settledAt,
+  })
+  console.log(`[Enrich] Enrichment ${enrichmentId} ${status}${settled.error ? ` (${settled.error})` : ''}`)
+
+  // Items no result reached keep the values they had
+  const enrichingItemIds = Array.isArray(enrichmentDoc.itemIds)
+    ? enrichmentDoc.itemIds
+    : (await repository.listItems({ leadsetId, runId }))
+      .filter(item => item.enrichment?.status === 'enriching')
+      .map(item => item.itemId || item.id)
+  await resetEnrichingItems(enrichingItemIds)
+
+  const currentRun = run || await sdk.getFirebaseData('runs', runId).catch(() => null)
+  await Promise.all([
+    sdk.updateFirebaseData('runs', runId, {
+      status: 'idle',
+      ...(enrichedCount > 0 ? {
+        counters: { ...currentRun?.counters, enriched: (currentRun?.counters?.enriched || 0) + enrichedCount },
+      } : {}),
+    }),
+    sdk.updateFirebaseData('leadsets', leadsetId, { status: 'idle' }),
+  ])
+
+  // The feed is rebuilt from fresh docs by its own job (includes the updated leadset status)
+  await queueFeedRebuild(leadsetId)
+  if (enrichedCount > 0) {
+    // Buyers pick up the new values so other leadsets can reuse them
+    await queueBuyerResolution(leadsetId)
+    // Unlocked emails are checked for deliverability
+    if (writtenFields.includes('email')) {
+      const selectedItemIds = Array.isArray(enrichmentDoc.itemIds) ? enrichmentDoc.itemIds : null
+      await queueEmailVerification({
+        leadsetId,
+        runId: selectedItemIds ? null : runId,
+        itemIds: selectedItemIds,
+      }, enrichmentId)
+    }
+  }
+
+  await updateDocStatus(['runs', 'items', 'enrichments', 'leadsets'], { leadsetId, runId })
+  if (['completed', 'partial'].includes(status)) {
+    await emitEnrichmentCompleted(settled)
+  }
+  return settled
+}
+
+/**
+ * Move a selective enrichment past its import
+ * Once the selected rows are in the selection webset the field enrichments are
+ * created; a failed import fails the enrichment and refunds it. Called by the
+ * enrichment status route and the import.completed webhook.
+ * @param {Object} enrichmentDoc - Enrichment document with status 'importing'
+ * @returns {Promise<Object>} The enrichment document after the transition
+ */
+async function advanceSelectionEnrichment(enrichmentDoc) {
+  const { id: enrichmentId, leadsetId, runId } = enrichmentDoc
+  if (enrichmentDoc.status !== 'importing') return enrichmentDoc
+
+  const importStatus = await exa.getImportStatus(enrichmentDoc.importId)
+  if (['failed', 'canceled'].includes(importStatus.status)) {
+    console.warn(`[Enrich] Import ${enrichmentDoc.importId} ${importStatus.status} for enrichment ${enrichmentId}`)
+    const error = importStatus.failedMessage || `Import ${importStatus.status}`
+    await sdk.updateFirebaseData('enrichments', enrichmentId, { status: 'failed', error })
+    await resetEnrichingItems(enrichmentDoc.itemIds || [])
+    // Nothing was enriched, so give the credits back
+    if (enrichmentDoc.cost > 0) {
+      await credits.refund(enrichmentDoc.cost, { reason: 'enrichment_failed', leadsetId, runId, enrichmentId })
+    }
+    await Promise.all([
+      sdk.updateFirebaseData('runs', runId, { status: 'idle' }),
+      sdk.updateFirebaseData('leadsets', leadsetId, { status: 'idle' }),
+    ])
+    await updateDocStatus(['runs', 'items', 'enrichments', 'leadsets'], { leadsetId, runId })
+    await queueFeedRebuild(leadsetId)
+    return { ...enrichmentDoc, status: 'failed', error }
+  }
+
+  if (importStatus.status !== 'completed') return enrichmentDoc
+
+  // Claim the transition so concurrent polls and webhooks don't create duplicate enrichments
+  const current = await sdk.getFirebaseData('enrichments', enrichmentId).catch(() => null)
+  if (current && current.status !== 'importing') return { ...enrichmentDoc, ...current }
+  await sdk.updateFirebaseData('enrichments', enrichmentId, { status: 'starting' })
+
+  const createdRequests = await createFieldEnrichments(enrichmentDoc.websetId, enrichmentDoc.fields || [])
+  const importedAt = new Date().toISOString()
+  if (lifecycle.isSettled(createdRequests)) {
+    // Exa rejected every field
+    await sdk.updateFirebaseData('enrichments', enrichmentId, { requests: createdRequests, importedAt })
+    return settleEnrichment({ ...enrichmentDoc, requests: createdRequests, importedAt })
+  }
+  await sdk.updateFirebaseData('enrichments', enrichmentId, {
+    requests: createdRequests,
+    status: 'pending',
+    importedAt,
+  })
+  await updateDocStatus(['enrichments'], { leadsetId, runId })
+  console.log(`[Enrich] Import ${enrichmentDoc.importId} completed, created ${createdRequests.filter(request => request.enrichmentId).length} enrichments for ${enrichmentId}`)
+  return { ...enrichmentDoc, requests: createdRequests, status: 'pending' }
+}
+
+/**
+ * Read the status of an enrichment's pending fields from Exa
+ * Records each field's status and progress on the doc; once no field is
+ * waiting, the completed ones are written by a 'process-enrichment' job, or
+ * the enrichment is settled right away when none completed. Progress is
+ * re-counted from the webset's items at most every ENRICHMENT_PROGRESS_REFRESH_MS
+ * (tracked as progressCheckedAt); polls in between keep the stored counts.
+ * @returns {Promise<Object>} The enrichment document, plus jobId while results are written
+ */
+async function refreshEnrichmentStatus(enrichmentDoc, websetId) {
+  const { id: enrichmentId, leadsetId, runId } = enrichmentDoc
+  const storedRequests = enrichmentDoc.requests || []
+  const waiting = storedRequests.filter(request => !lifecycle.isRequestDone(request))
+
+  let requests = await Promise.all(storedRequests.map(async (request) => {
+    if (lifecycle.isRequestDone(request)) return request
+    try {
+      return lifecycle.applyExaStatus(request, await exa.getEnrichment(websetId, request.enrichmentId))
+    } catch (err) {
+      console.warn(`[Enrich] Failed to get status for enrichment ${request.enrichmentId} (${request.field}):`, err.message)
+      return lifecycle.applyStatusError(request, err)
+    }
+  }))
+
+  // Items filled so far, per field
+  const lastProgressCheck = enrichmentDoc.progressCheckedAt ? new Date(enrichmentDoc.progressCheckedAt).getTime() : 0
+  let progressCheckedAt = enrichmentDoc.progressCheckedAt || null
+  if (waiting.length > 0 && Date.now() - lastProgressCheck >= ENRICHMENT_PROGRESS_REFRESH_MS) {
+    try {
+      let exaItems = []
+      let cursor = null
+      do {
+        const itemsResponse = await exa.listWebsetItems(websetId, { limit: 100, cursor })
+        exaItems = exaItems.concat(itemsResponse.data || [])
+        cursor = itemsResponse.hasMore ? itemsResponse.nextCursor : null
+      } while (cursor)
+      requests = lifecycle.applyProgress(exaItems, requests)
+      progressCheckedAt = new Date().toISOString()
+    } catch (err) {
+      console.warn(`[Enrich] Failed to read progress for enrichment ${enrichmentId}:`, err.message)
+    }
+  }
+
+  const requestsChanged = JSON.stringify(requests) !== JSON.stringify(storedRequests)
+  if (requestsChanged || progressCheckedAt !== (enrichmentDoc.progressCheckedAt || null)) {
+    // A cancel or retry may have landed while Exa was asked
+    const current = await sdk.getFirebaseData('enrichments', enrichmentId).catch(() => null)
+    if (current && current.status !== enrichmentDoc.status) return current
+    await sdk.updateFirebaseData('enrichments', enrichmentId, { requests, progressCheckedAt })
+    if (requestsChanged) await updateDocStatus(['enrichments'], { leadsetId, runId })
+  }
+  console.log(`[Enrich] Enrichment ${enrichmentId} statuses: ${requests.map(request => `${request.field}:${request.status}`).join(', ')}`)
+
+  if (!lifecycle.isSettled(requests)) return { ...enrichmentDoc, requests, progressCheckedAt }
+  if (lifecycle.getUnprocessedRequests(requests).length === 0) {
+    return settleEnrichment({ ...enrichmentDoc, requests, progressCheckedAt })
+  }
+
+  // Polls while the job is queued or running get the same job back
+  const job = await jobs.enqueue('process-enrichment', { enrichmentId }, {
+    idempotencyKey: `process-enrichment:${enrichmentId}`,
+  })
+  return { ...enrichmentDoc, requests, status: 'processing', jobId: job.id }
+}
+
+/**
+ * Enrichment status as the routes report it
+ * Still-running enrichments are 'pending', with phase 'importing', 'starting'
+ * or 'processing' before and after Exa's part
+ */
+function toEnrichmentStatusResponse(enrichmentDoc) {
+  const phase = ['importing', 'starting', 'processing'].includes(enrichmentDoc.status) ? enrichmentDoc.status : null
+  return {
+    id: enrichmentDoc.id,
+    status: phase ? 'pending' : enrichmentDoc.status,
+    ...(phase ? { phase } : {}),
+    ...(enrichmentDoc.jobId ? { jobId: enrichmentDoc.jobId } : {}),
+    error: enrichmentDoc.error || null,
+    requests: lifecycle.summarizeRequests(enrichmentDoc.requests || []),
+  }
+}
+
+/**
+ * Get enrichment status and per-field progress from Exa
+ */
+app.get('/api/leads/leadsets/:leadsetId/runs/:runId/enrichment/:enrichmentId', async (req, res, next) => {
+  const { runId, enrichmentId } = req.params
+  
+  try {
+    let enrichmentDoc = await sdk.getFirebaseData('enrichments', enrichmentId)
+    if (!enrichmentDoc) {
+      return res.status(404).json({ error: 'Enrichment not found' })
+    }
+
+    const run = await sdk.getFirebaseData('runs', runId)
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' })
+    }
+
+    // Selective enrichment: wait for the selected rows to be imported, then create the field enrichments
+    if (['importing', 'starting'].includes(enrichmentDoc.status)) {
+      enrichmentDoc = await advanceSelectionEnrichment(enrichmentDoc)
+    }
+
+    // Finished, failed, canceled, or filled entirely from buyer enrichment
+    if (lifecycle.SETTLED_STATUSES.includes(enrichmentDoc.status) || ['importing', 'starting'].includes(enrichmentDoc.status)) {
+      return res.json(toEnrichmentStatusResponse(enrichmentDoc))
+    }
+
+    // Enrichments created before per-field requests were stored
+    if (!enrichmentDoc.requests?.length) {
+      const legacyRequests = []
+      if (enrichmentDoc.emailEnrichmentId) {
+        legacyRequests.push({ field: 'email', enrichmentId: enrichmentDoc.emailEnrichmentId, format: 'email', status: 'pending' })
+      }
+      if (enrichmentDoc.phoneEnrichmentId) {
+        legacyRequests.push({ field: 'phone', enrichmentId: enrichmentDoc.phoneEnrichmentId, format: 'phone', status: 'pending' })
+      }
+      if (!legacyRequests.length) {
+        console.warn(`[Enrich] No enrichment requests found for enrichment ${enrichmentId}`)
+        return res.json({ ...toEnrichmentStatusResponse(enrichmentDoc), error: 'No enrichment requests found' })
+      }
+      enrichmentDoc = { ...enrichmentDoc, requests: legacyRequests }
+    }
+
+    // Results are being written; a job that ran out of attempts is queued again
+    if (enrichmentDoc.status === 'processing') {
+      const job = await jobs.enqueue('process-enrichment', { enrichmentId }, {
+        idempotencyKey: `process-enrichment:${enrichmentId}`,
+      })
+      return res.json(toEnrichmentStatusResponse({ ...enrichmentDoc, jobId: job.id }))
+    }
+
+    const websetId = enrichmentDoc.websetId || run.websetId
+    if (!websetId) {
+      console.error(`[Enrich] No websetId found for enrichment ${enrichmentId}`)
+      return res.status(400).json({
+        id: enrichmentId,
+        status: 'error',
+        error: 'No websetId found',
+        requests: [],
+      })
+    }
+
+    enrichmentDoc = await refreshEnrichmentStatus(enrichmentDoc, websetId)
+    res.json(toEnrichmentStatusResponse(enrichmentDoc))
+  } catch (error) {
+    console.error('[Enrichment Status] Error:', error)
+    console.error('[Enrichment Status] Stack:', error.stack)
+    
+    // Return error response instead of throwing to prevent frontend polling from stopping
+    res.status(500).json({
+      id: enrichmentId,
+      status: 'error',
+      error: error.message || 'Unknown error',
+      requests: [],
+    })
+  }
+})
+
+/**
+ * Cancel an enrichment
+ * Fields still running in Exa are canceled and refunded; fields Exa already
+ * finished are still written. Nothing can be canceled while the field
+ * enrichments are being created or results are being written.
+ */
+app.post('/api/leads/leadsets/:leadsetId/runs/:runId/enrichment/:enrichmentId/cancel', async (req, res, next) => {
+  const { leadsetId, runId, enrichmentId } = req.params
+
+  try {
+    const enrichmentDoc = await sdk.getFirebaseData('enrichments', enrichmentId)
+    if (!enrichmentDoc || enrichmentDoc.leadsetId !== leadsetId || enrichmentDoc.runId !== runId) {
+      return res.status(404).json({ error: 'Enrichment not found' })
+    }
+    if (!['importing', 'pending'].includes(enrichmentDoc.status)) {
+      return res.status(409).json({
+        error: 'ENRICHMENT_NOT_CANCELABLE',
+        message: lifecycle.SETTLED_STATUSES.includes(enrichmentDoc.status)
+          ? `This enrichment is already ${enrichmentDoc.status}.`
+          : 'This enrichment is between steps. Try again in a moment.',
+        status: enrichmentDoc.status,
+      })
+    }
+
+    const canceledAt = new Date().toISOString()
+    let requests
+    if (enrichmentDoc.status === 'importing') {
+      // No field was sent to Exa yet
+      requests = (enrichmentDoc.fields || []).map(field => ({
+        field,
+        enrichmentId: null,
+        format: ENRICHMENT_FIELDS[field]?.format || null,
+        status: 'canceled',
+        error: null,
+      }))
+    } else {
+      requests = await Promise.all((enrichmentDoc.requests || []).map(async (request) => {
+        if (lifecycle.isRequestDone(request)) return request
+        await exa.cancelEnrichment(enrichmentDoc.websetId, request.enrichmentId).catch((err) =>
+          console.warn(`[Enrich] Failed to cancel Exa enrichment ${request.enrichmentId} (${request.field}):`, err.message)
+        )
+        return { ...request, status: 'canceled' }
+      }))
+    }
+
+    let result
+    if (lifecycle.getUnprocessedRequests(requests).length > 0) {
+      await sdk.updateFirebaseData('enrichments', enrichmentId, { requests, status: 'processing', canceledAt })
+      const job = await jobs.enqueue('process-enrichment', { enrichmentId }, {
+        idempotencyKey: `process-enrichment:${enrichmentId}`,
+      })
+      await updateDocStatus(['enrichments'], { leadsetId, runId })
+      result = { ...enrichmentDoc, requests, status: 'processing', jobId: job.id }
+    } else {
+      await sdk.updateFirebaseData('enrichments', enrichmentId, { canceledAt })
+      result = await settleEnrichment({ ...enrichmentDoc, requests, canceledAt })
+    }
+
+    console.log(`[Enrich] Canceled enrichment ${enrichmentId} (${requests.filter(request => request.status === 'canceled').map(request => request.field).join(', ')})`)
+    res.json(toEnrichmentStatusResponse(result))
+  } catch (error) {
+    console.error('[Enrich] Cancel error:', error)
+    next(error)
+  }
+})
+
+/**
+ * Retry the failed fields of an enrichment
+ * Each failed field gets a new Exa enrichment on the same webset (and items),
+ * charged again; fields that completed are left alone.
+ */
+app.post('/api/leads/leadsets/:leadsetId/runs/:runId/enrichment/:enrichmentId/retry', async (req, res, next) => {
+  const { leadsetId, runId, enrichmentId } = req.params
+
+  try {
+    const enrichmentDoc = await sdk.getFirebaseData('enrichments', enrichmentId)
+    if (!enrichmentDoc || enrichmentDoc.leadsetId !== leadsetId || enrichmentDoc.runId !== runId) {
+      return res.status(404).json({ error: 'Enrichment not found' })
+    }
+    if (!['partial', 'failed'].includes(enrichmentDoc.status)) {
+      return res.status(409).json({
+        error: 'ENRICHMENT_NOT_RETRYABLE',
+        message: `Only failed enrichments can be retried (this one is ${enrichmentDoc.status}).`,
+        status: enrichmentDoc.status,
+      })
+    }
+
+    const failedRequests = (enrichmentDoc.requests || []).filter(request => request.status === 'failed')
+    if (failedRequests.length === 0 || !enrichmentDoc.websetId) {
+      return res.status(409).json({
+        error: 'NOTHING_TO_RETRY',
+        message: enrichmentDoc.importId && !enrichmentDoc.importedAt
+          ? 'The selected leads could not be imported. Start a new enrichment instead.'
+          : 'No failed fields to retry.',
+      })
+    }
+
+    const run = await sdk.getFirebaseData('runs', runId)
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' })
+    }
+
+    const settings = await credits.getSettings()
+    const failedFields = failedRequests.map(request => request.field)
+    const retryCost = credits.estimateEnrichmentCost(settings, failedFields, enrichmentDoc.itemCount || 0)
+    const reservation = await credits.reserve(retryCost.total, {
+      reason: 'enrichment_retry',
+      leadsetId,
+      runId,
+      enrichmentId,
+      fields: failedFields,
+      itemCount: enrichmentDoc.itemCount || 0,
+    })
+    if (!reservation.ok) {
+      console.log(`[Enrich] Rejected retry of enrichment ${enrichmentId}: ${reservation.error.code}`)
+      return res.status(reservation.status).json(reservation.error)
+    }
+
+    let created
+    try {
+      created = await createFieldEnrichments(enrichmentDoc.websetId, failedFields)
+    } catch (error) {
+      await refundReservation(reservation, { reason: 'enrichment_failed', leadsetId, runId, enrichmentId })
+      throw error
+    }
+    const createdByField = new Map(created.map(request => [request.field, request]))
+    const requests = enrichmentDoc.requests.map((request) => {
+      if (request.status !== 'failed') return request
+      const retried = createdByField.get(request.field)
+      // Not retried when the field's definition was deleted since
+      if (!retried) return request
+      return { ...retried, attempt: (request.attempt || 1) + 1 }
+    })
+
+    const started = created.filter(request => request.status === 'pending')
+    if (started.length === 0) {
+      await refundReservation(reservation, { reason: 'enrichment_failed', leadsetId, runId, enrichmentId })
+      await sdk.updateFirebaseData('enrichments', enrichmentId, { requests, error: lifecycle.describeFailures(requests) })
+      await updateDocStatus(['enrichments'], { leadsetId, runId })
+      return res.status(502).json({
+        error: 'ENRICHMENT_FAILED',
+        message: lifecycle.describeFailures(created) || 'Exa rejected the enrichment.',
+        requests: lifecycle.summarizeRequests(requests),
+      })
+    }
+
+    // Only the fields Exa accepted are charged
+    const charged = credits.estimateEnrichmentCost(settings, started.map(request => request.field), enrichmentDoc.itemCount || 0).total
+    const unstartedFields = failedFields.filter(field => !started.some(request => request.field === field))
+    const unstartedCost = credits.estimateEnrichmentCost(settings, unstartedFields, enrichmentDoc.itemCount || 0).total
+    if (unstartedCost > 0) {
+      await credits.refund(unstartedCost, { reason: 'enrichment_failed', leadsetId, runId, enrichmentId, fields: unstartedFields })
+    }
+
+    const retriedAt = new Date().toISOString()
+    await sdk.updateFirebaseData('enrichments', enrichmentId, {
+      requests,
+      status: 'pending',
+      error: null,
+      cost: (enrichmentDoc.cost || 0) + charged,
+      retriedAt,
+      completedAt: null,
+      // Retried fields are counted on the next poll
+      progressCheckedAt: null,
+    })
+
+    // The retried items show as enriching again
+    const itemIds = Array.isArray(enrichmentDoc.itemIds)
+      ? enrichmentDoc.itemIds
+      : (await repository.listItems({ leadsetId, runId })).map(item => item.itemId || item.id)
+    await Promise.all(itemIds.map(async (itemId) => {
+      const item = await sdk.getFirebaseData('items', itemId).catch(() => null)
+      if (!item) return
+      await sdk.updateFirebaseData('items', itemId, {
+        enrichment: { ...(item.enrichment || {}), status: 'enriching' },
+      }).catch((err) => console.warn(`[Enrich] Failed to update item ${itemId}:`, err.message))
+    }))
+    await Promise.all([
+      sdk.updateFirebaseData('runs', runId, { status: 'enriching' }),
+      sdk.updateFirebaseData('leadsets', leadsetId, { status: 'enriching' }),
+    ])
+    await updateDocStatus(['runs', 'items', 'enrichments', 'leadsets'], { leadsetId, runId })
+    await queueFeedRebuild(leadsetId)
+
+    console.log(`[Enrich] Retrying ${started.map(request => request.field).join(', ')} for enrichment ${enrichmentId}`)
+    res.status(202).json({
+      ...toEnrichmentStatusResponse({ ...enrichmentDoc, requests, status: 'pending', error: null }),
+      enrichmentId,
+      retriedFields: started.map(request => request.field),
+    })
+  } catch (error) {
+    console.error('[Enrich] Retry error:', error)
+    next(error)
+  }
+})
+
+/**
+ * Columns and formats the export dialog offers
+ * GET /leadsets/:leadsetId/export-options
+ * Returns { formats, schemas: { default: [{ key, label, selected }], crm: [...] } }
+ */
+app.get('/api/leads/leadsets/:leadsetId/export-options', async (req, res, next) => {
+  const { leadsetId } = req.params
+  try {
+    const leadset = await repository.get('leadsets', leadsetId)
+    if (!leadset) {
+      return res.status(404).json({ error: 'Leadset not found' })
+    }
+
+    const items = await repository.listItems({ leadsetId })
+    const context = {
+      enrichmentFields: ENRICHMENT_FIELDS,
+      leadsetFields: getAllowedEnrichmentFieldsForLeadset(leadset),
+      items,
+    }
+    const schemas = {}
+    EXPORT_SCHEMAS.forEach((schema) => {
+      schemas[schema] = getExportColumns(schema, context).map(({ key, label, selected }) => ({ key, label, selected }))
+    })
+
+    res.json({ formats: Object.keys(EXPORT_FORMATS), schemas })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Validate an export request, record it and build it (or queue the build)
+ * Shared by POST /leadsets/:id/runs/:runId/exports and the GET export route.
+ * @param {Object} input - { format, schema, columns, requestedBy } + item filters (see ./exports/exportService)
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+async function requestExport(leadsetId, runId, input) {
+  const parsedExport = parseExportOptions(input)
+  if (parsedExport.error) {
+    return { status: 400, body: { error: 'INVALID_EXPORT_OPTIONS', message: parsedExport.error } }
+  }
+  const filters = pickExportFilters(input)
+  const parsedQuery = parseItemQuery(filters)
+  if (parsedQuery.error) {
+    return { status: 400, body: { error: 'INVALID_ITEM_QUERY', message: parsedQuery.error } }
+  }
+
+  const leadset = await repository.get('leadsets', leadsetId)
+  if (!leadset) {
+    return { status: 404, body: { error: 'Leadset not found' } }
+  }
+
+  const options = parsedExport.options
+  const resolved = resolveExportColumns(options, {
+    enrichmentFields: ENRICHMENT_FIELDS,
+    leadsetFields: getAllowedEnrichmentFieldsForLeadset(leadset),
+  })
+  if (resolved.error) {
+    return { status: 400, body: { error: 'INVALID_EXPORT_OPTIONS', message: resolved.error } }
+  }
+
+  const { runItems, items } = await exportService.selectItems(leadsetId, runId, parsedQuery.options)
+  if (runItems.length === 0) {
+    return { status: 404, body: { error: 'No items found for this run' } }
+  }
+  if (items.length === 0) {
+    return { status: 404, body: { error: 'No items match these filters' } }
+  }
+
+  const exportDoc = await exportService.createExport({
+    leadsetId,
+    runId,
+    ...options,
+    filters,
+    requestedBy: input.requestedBy ? String(input.requestedBy) : null,
+  })
+
+  if (items.length <= EXPORT_SYNC_MAX_ROWS) {
+    const built = await exportService.buildExport(exportDoc.id)
+    return { status: 201, body: exportService.present(built) }
+  }
+
+  const job = await jobs.enqueue('build-export', { exportId: exportDoc.id }, { idempotencyKey: `build-export:${exportDoc.id}` })
+  await sdk.updateFirebaseData('exports', exportDoc.id, { jobId: job.id })
+  console.log(`[Exports] Queued ${exportDoc.id} (${items.length} rows) as job ${job.id}`)
+  return { status: 202, body: exportService.present({ ...exportDoc, jobId: job.id }) }
+}
+
+/**
+ * Export run data
+ * POST /leadsets/:leadsetId/runs/:runId/exports
+ * Body: { format: 'csv'|'xlsx'|'jsonl', schema: 'default'|'crm', columns: ['name', ...],
+ *         filters: { sort, q, recency, hasContact, entity, field }, requestedBy }
+ * Filters are the ones GET /leadsets/:id/items takes (./repository/itemQuery);
+ * without `columns` the schema's default columns are exported (./exports/leadExport).
+ * Small exports are built right away: 201 with the completed export doc and its downloadUrl.
+ * Bigger ones return 202 with the queued doc and jobId; poll GET /exports/:exportId.
+ */
+app.post('/api/leads/leadsets/:leadsetId/runs/:runId/exports', async (req, res, next) => {
+  const { leadsetId, runId } = req.params
+  const { columns, filters = {}, ...rest } = req.body || {}
+  try {
+    const { status, body } = await requestExport(leadsetId, runId, {
+      ...filters,
+      ...rest,
+      columns: Array.isArray(columns) ? columns.join(',') : columns,
+    })
+    res.status(status).json(body)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Export run data (query-string form of POST .../exports)
+ * GET /leadsets/:leadsetId/runs/:runId/export?format=csv&schema=crm&columns=name,email&sort=score&q=acme
+ * The download link of a completed export is also sent in x-export-url.
+ */
+app.get('/api/leads/leadsets/:leadsetId/runs/:runId/export', async (req, res, next) => {
+  const { leadsetId, runId } = req.params
+  try {
+    const { status, body } = await requestExport(leadsetId, runId, req.query)
+    if (body.downloadUrl) res.setHeader('x-export-url', body.downloadUrl)
+    res.status(status).json(body)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * A leadset's exports, newest first
+ * GET /leadsets/:leadsetId/exports?limit=50
+ * Returns { exports: [export doc + { downloadUrl }] }; expired exports are swept first.
+ */
+app.get('/api/leads/leadsets/:leadsetId/exports', async (req, res, next) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200)
+  try {
+    await exportService.expireExports()
+    const exports = await exportService.listExports(req.params.leadsetId, limit)
+    res.json({ exports: exports.map(exportService.present) })
+  } catch (error) {
+    next(error)
+  }
+})
 
-    // Always enrich entire existing webset
-    console.log(`[Enrich] Starting enrichment for entire webset`)
-    let allItems = []
-    let cursor = null
-    do {
-      const itemsResponse = await listWebsetItems(run.websetId, { limit: 100, cursor })
-      allItems = allItems.concat(itemsResponse.data || [])
-      cursor = itemsResponse.hasMore ? itemsResponse.nextCursor : null
-    } while (cursor)
-
-    const enrichmentRequests = []
-    for (const fieldKey of requestedFields) {
-      const definition = ENRICHMENT_FIELDS[fieldKey]
-      if (!definition) {
-        console.warn(`[Enrich] No definition found for field: ${fieldKey}`)
-        continue
-      }
-      
-      console.log(`[Enrich] Creating enrichment for field: ${fieldKey}`, {
-        description: definition.description?.substring(0, 100),
-        format: definition.format,
-        metadata: { field: fieldKey },
-      })
-      
-      // Build enrichment request with proper format
-      const enrichmentPayload = {
-        description: definition.description,
-        format: definition.format === 'options' ? 'options' : definition.format,
-        metadata: { field: fieldKey },
-      }
-      
-      // Add options array for 'options' format fields
-      if (definition.format === 'options' && definition.options) {
-        enrichmentPayload.options = definition.options
-      }
-      
-      const enrichment = await createEnrichment(run.websetId, enrichmentPayload)
-      
-      console.log(`[Enrich] Created enrichment for ${fieldKey}:`, enrichment.id)
-      
-      enrichmentRequests.push({
-        field: fieldKey,
-        enrichmentId: enrichment.id,
-        format: definition.format,
-      })
+/**
+ * Get an export (poll while it is queued or processing)
+ * GET /exports/:exportId -> export doc + { downloadUrl } once completed
+ */
+app.get('/api/leads/exports/:exportId', async (req, res, next) => {
+  try {
+    const exportDoc = await repository.get('exports', req.params.exportId)
+    if (!exportDoc) {
+      return res.status(404).json({ error: 'Export not found' })
     }
+    res.json(exportService.present(exportDoc))
+  } catch (error) {
+    next(error)
+  }
+})
 
-    const enrichmentId = `enrich_${Date.now()}`
-    await sdk.createFirebaseData('enrichments', enrichmentId, {
-      id: enrichmentId,
-      runId,
-      leadsetId,
-      websetId: run.websetId,
-      fields: requestedFields,
-      requests: enrichmentRequests,
-      status: 'pending',
-      createdAt: new Date().toISOString(),
+/**
+ * Download an export kept in local storage
+ * GET /exports/:exportId/download?expires=...&signature=...
+ * Links come from downloadUrl and are signed, so they work without other auth.
+ */
+app.get('/api/leads/exports/:exportId/download', async (req, res, next) => {
+  const { exportId } = req.params
+  try {
+    const verified = exportStorage.verifyDownload(exportId, req.query.expires, req.query.signature)
+    if (verified.error) {
+      return res.status(403).json({ error: verified.error, message: 'This download link is invalid or has expired' })
+    }
+
+    const exportDoc = await repository.get('exports', exportId)
+    if (!exportDoc || exportDoc.storage?.backend !== 'local') {
+      return res.status(404).json({ error: 'Export not found' })
+    }
+    const expired = exportDoc.status === 'expired' ||
+      (exportDoc.expiresAt && new Date(exportDoc.expiresAt).getTime() <= Date.now())
+    if (expired) {
+      return res.status(410).json({ error: 'EXPORT_EXPIRED', message: 'This export has expired; export the run again' })
+    }
+    if (exportDoc.status !== 'completed') {
+      return res.status(409).json({ error: 'EXPORT_NOT_READY', message: `Export is ${exportDoc.status}` })
+    }
+
+    const stream = exportStorage.openLocal(exportDoc)
+    stream.on('error', (error) => {
+      if (res.headersSent) return res.destroy(error)
+      if (error.code === 'ENOENT') return res.status(410).json({ error: 'EXPORT_EXPIRED', message: 'The export file is gone; export the run again' })
+      next(error)
+    })
+    stream.once('open', () => {
+      res.setHeader('Content-Type', exportDoc.contentType)
+      res.setHeader('Content-Disposition', `attachment; filename="${exportDoc.fileName}"`)
+      if (exportDoc.size) res.setHeader('Content-Length', exportDoc.size)
+      stream.pipe(res)
     })
+  } catch (error) {
+    next(error)
+  }
+})
 
-    // Update all items to show enriching status
-    const transformedItems = allItems.map(exaItem => transformExaItem(exaItem, runId, leadsetId))
-    
-    await Promise.all(
-      transformedItems.map(async (item) => {
-        try {
-          const existingItem = await sdk.getFirebaseData('items', item.itemId).catch(() => null)
-          const existingEnrichment = existingItem?.enrichment || {}
-          
-          const itemData = {
-            ...item,
-            enrichment: {
-              ...existingEnrichment,
-              status: 'enriching',
-            },
-          }
-          
-          if (existingItem) {
-            await sdk.updateFirebaseData('items', item.itemId, {
-              enrichment: itemData.enrichment,
-            })
-          } else {
-            await sdk.createFirebaseData('items', item.itemId, itemData).catch(() => {
-              sdk.updateFirebaseData('items', item.itemId, {
-                enrichment: itemData.enrichment,
-              }).catch(() => {})
-            })
-          }
-        } catch (err) {
-          console.warn(`[Enrich] Failed to update item ${item.itemId}:`, err.message)
-        }
-      })
-    )
+/**
+ * List CRM destinations
+ * GET /admin/destinations
+ * Returns { destinations, mappings, leadFields }: destinations without their
+ * credentials (hasApiKey / hasSecret instead), the mapping presets and the lead
+ * fields a fieldMap can use (see ./destinations/crmMapping).
+ */
+app.get('/api/leads/admin/destinations', async (req, res, next) => {
+  try {
+    const list = await destinations.listDestinations()
+    res.json({
+      destinations: list.map(destinations.present),
+      mappings: MAPPING_PRESETS,
+      leadFields: Object.keys(LEAD_FIELDS),
+    })
+  } catch (error) {
+    next(error)
+  }
+})
 
-    // Update both run AND leadset status to 'enriching'
-    await Promise.all([
-      sdk.updateFirebaseData('runs', runId, {
-        status: 'enriching',
-        counters: {
-          ...run.counters,
-        },
-      }),
-      sdk.updateFirebaseData('leadsets', leadsetId, {
-        status: 'enriching',
-      }),
-    ])
+/**
+ * Add a CRM destination
+ * POST /admin/destinations
+ * Body: { name, kind: 'http', url, apiKey, secret, mapping: 'generic'|'hubspot'|'salesforce',
+ *         fieldMap: { company: { crmProperty: leadField|null }, contact: {...} } }
+ */
+app.post('/api/leads/admin/destinations', async (req, res, next) => {
+  try {
+    const result = await destinations.createDestination(req.body || {})
+    if (result.error) {
+      return res.status(400).json({ error: 'INVALID_DESTINATION', message: result.error })
+    }
+    res.status(201).json(destinations.present(result.destination))
+  } catch (error) {
+    next(error)
+  }
+})
 
-    // Give Firebase a moment to propagate item updates
-    await new Promise(resolve => setTimeout(resolve, 300))
-    
-    // Re-fetch items to get the updated enrichment status before rebuilding feed
-    const allDocsAfterEnrichStart = toArray(await sdk.searchFirebaseData({}, 10000))
-    await updateDocStatus(['runs', 'items', 'enrichments', 'leadsets'], { leadsetId, runId })
-    await rebuildLeadsetFeed(allDocsAfterEnrichStart).catch((err) => console.warn('[Leadset Feed] Enrich rebuild skipped:', err.message))
-    console.log(`[Enrich] Rebuilt feed after setting items and leadset to 'enriching' status`)
+/**
+ * Update a CRM destination
+ * PUT /admin/destinations/:destinationId
+ * Body: any POST /admin/destinations field; omitted fields are kept, an empty apiKey or secret clears it.
+ */
+app.put('/api/leads/admin/destinations/:destinationId', async (req, res, next) => {
+  try {
+    const result = await destinations.updateDestination(req.params.destinationId, req.body || {})
+    if (!result) {
+      return res.status(404).json({ error: 'Destination not found' })
+    }
+    if (result.error) {
+      return res.status(400).json({ error: 'INVALID_DESTINATION', message: result.error })
+    }
+    res.json(destinations.present(result.destination))
+  } catch (error) {
+    next(error)
+  }
+})
 
-    console.log(`[Enrich] Started enrichment ${enrichmentId} for entire webset (${allItems.length} items, fields: ${requestedFields.join(', ')})`)
-    res.status(202).json({
-      enrichmentId,
-      status: 'pending',
-      requests: enrichmentRequests.map(({ field, enrichmentId }) => ({ field, enrichmentId })),
+/**
+ * Remove a CRM destination
+ * DELETE /admin/destinations/:destinationId
+ * Items keep the CRM ids they were pushed with.
+ */
+app.delete('/api/leads/admin/destinations/:destinationId', async (req, res, next) => {
+  try {
+    const deleted = await destinations.deleteDestination(req.params.destinationId)
+    if (!deleted) {
+      return res.status(404).json({ error: 'Destination not found' })
+    }
+    res.json({ success: true })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * CRM destinations a leadset's items can be pushed to
+ * GET /leadsets/:leadsetId/destinations
+ * Returns { destinations: [{ id, name, kind, mapping, lastPushAt }] }; where
+ * they point and their credentials stay behind the admin routes above.
+ */
+app.get('/api/leads/leadsets/:leadsetId/destinations', async (req, res, next) => {
+  try {
+    const list = await destinations.listDestinations()
+    res.json({ destinations: list.map(destinations.presentSummary) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Push selected items to a CRM destination
+ * POST /leadsets/:leadsetId/destinations/:destinationId/push
+ * Body: { itemIds: [...], requestedBy }
+ * Returns 202 with the queued push; poll GET /crm-pushes/:pushId. Each item's
+ * company and contact are upserted and their CRM ids saved under item.crmSync.
+ */
+app.post('/api/leads/leadsets/:leadsetId/destinations/:destinationId/push', async (req, res, next) => {
+  const { leadsetId, destinationId } = req.params
+  const { itemIds, requestedBy } = req.body || {}
+  try {
+    const leadset = await repository.get('leadsets', leadsetId)
+    if (!leadset) {
+      return res.status(404).json({ error: 'Leadset not found' })
+    }
+
+    const result = await destinations.createPush({
+      destinationId,
+      leadsetId,
+      itemIds,
+      requestedBy: requestedBy ? String(requestedBy) : null,
     })
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.status === 404 ? 'Destination not found' : 'INVALID_PUSH',
+        message: result.error,
+      })
+    }
+
+    const job = await jobs.enqueue('crm-push', { pushId: result.push.id }, { idempotencyKey: `crm-push:${result.push.id}` })
+    await sdk.updateFirebaseData('crmPushes', result.push.id, { jobId: job.id })
+    console.log(`[Destinations] Queued push ${result.push.id} (${result.push.itemIds.length} items to ${destinationId}) as job ${job.id}`)
+    res.status(202).json({ ...result.push, jobId: job.id })
   } catch (error) {
-    console.error('[Enrich] Error:', error)
     next(error)
   }
 })
 
 /**
- * Get enrichment status and fetch results from Exa
+ * Get a CRM push (poll while it is queued or processing)
+ * GET /crm-pushes/:pushId
  */
-app.get('/api/leads/leadsets/:leadsetId/runs/:runId/enrichment/:enrichmentId', async (req, res, next) => {
-  const { leadsetId, runId, enrichmentId } = req.params
-  
+app.get('/api/leads/crm-pushes/:pushId', async (req, res, next) => {
   try {
-    const enrichmentDoc = await sdk.getFirebaseData('enrichments', enrichmentId)
-    if (!enrichmentDoc) {
-      return res.status(404).json({ error: 'Enrichment not found' })
+    const push = await repository.get('crmPushes', req.params.pushId)
+    if (!push) {
+      return res.status(404).json({ error: 'Push not found' })
     }
+    res.json(push)
+  } catch (error) {
+    next(error)
+  }
+})
 
-    const run = await sdk.getFirebaseData('runs', runId)
+/**
+ * Apply a webhook-driven status change to a run (and optionally its leadset)
+ */
+async function updateRunFromWebhook(run, runUpdates, leadsetStatus = null) {
+  await sdk.updateFirebaseData('runs', run.id, runUpdates)
+  if (leadsetStatus) {
+    await sdk.updateFirebaseData('leadsets', run.leadsetId, { status: leadsetStatus })
+  }
+  await updateDocStatus(['runs', 'leadsets'], { leadsetId: run.leadsetId, runId: run.id })
+  if (runUpdates.status === 'completed') await emitRunCompleted(run)
+  await queueFeedRebuild(run.leadsetId)
+}
+
+/**
+ * Find the run a webset search belongs to
+ * Runs record their search id when started (or on webset.search.created);
+ * otherwise the newest search run on the webset that has none yet.
+ */
+async function findRunForSearch(search = {}) {
+  const bySearchId = search.id ? await repository.findOne('runs', { searchId: search.id }) : null
+  if (bySearchId) return bySearchId
+  const runs = search.websetId ? await repository.find('runs', { websetId: search.websetId }) : []
+  return runs
+    .filter(run => !run.searchId && !run.importId)
+    .sort(newestFirst)[0] || null
+}
+
+/**
+ * Exa webhook handlers by event type (see DEFAULT_WEBHOOK_EVENTS)
+ * Each maps an event onto run, item and enrichment state in Firebase, so
+ * Firebase stays current without polling Exa. Handlers must be safe to run
+ * again for the same event (job retries, replays).
+ */
+const exaWebhookHandlers = {
+  // A search started on a webset (new run, extend, monitor run)
+  'webset.search.created': async (search) => {
+    const run = await findRunForSearch(search)
     if (!run) {
-      return res.status(404).json({ error: 'Run not found' })
+      console.warn('[Webhook] No run found for search:', search.id)
+      return
     }
 
-    let requests = Array.isArray(enrichmentDoc.requests) && enrichmentDoc.requests.length
-      ? enrichmentDoc.requests
-      : []
+    await updateRunFromWebhook(run, { searchId: search.id, searchStatus: search.status || 'running' })
+    console.log(`[Webhook] Search ${search.id} created for run ${run.id}`)
+  },
 
-    if (!requests.length) {
-      if (enrichmentDoc.emailEnrichmentId) {
-        requests.push({ field: 'email', enrichmentId: enrichmentDoc.emailEnrichmentId, format: 'email' })
-      }
-      if (enrichmentDoc.phoneEnrichmentId) {
-        requests.push({ field: 'phone', enrichmentId: enrichmentDoc.phoneEnrichmentId, format: 'phone' })
-      }
+  // A search found everything it could
+  'webset.search.completed': async (search) => {
+    const run = await findRunForSearch(search)
+    if (!run) return
+
+    if (run.status !== 'running') {
+      await updateRunFromWebhook(run, { searchStatus: 'completed' })
+      return
     }
+    await updateRunFromWebhook(run, {
+      status: 'completed',
+      searchId: search.id,
+      searchStatus: 'completed',
+      completedAt: new Date().toISOString(),
+    }, 'idle')
+    console.log(`[Webhook] Search ${search.id} completed (run ${run.id})`)
+  },
 
-    if (!requests.length) {
-      console.warn(`[Enrich] No enrichment requests found for enrichment ${enrichmentId}`)
-      return res.json({
-        id: enrichmentId,
-        status: 'pending',
-        requests: [],
-        error: 'No enrichment requests found',
-      })
+  // A search was canceled (from the cancel route or in Exa)
+  'webset.search.canceled': async (search) => {
+    const run = await findRunForSearch(search)
+    if (!run) return
+
+    if (!['running', 'paused'].includes(run.status)) {
+      await updateRunFromWebhook(run, { searchStatus: 'canceled' })
+      return
     }
+    await updateRunFromWebhook(run, {
+      status: 'canceled',
+      searchId: search.id,
+      searchStatus: 'canceled',
+      canceledAt: search.canceledAt || new Date().toISOString(),
+    }, 'idle')
+    console.log(`[Webhook] Search ${search.id} canceled (run ${run.id})`)
+  },
 
-    console.log(`[Enrich] Checking status for ${requests.length} enrichment requests`)
+  // New items found by a search or added by an import
+  'webset.items.created': async (data) => {
+    const { websetId, searchId, items = [] } = data
 
-    // Use websetId from enrichment doc
-    const websetId = enrichmentDoc.websetId || run.websetId
-    
-    if (!websetId) {
-      console.error(`[Enrich] No websetId found for enrichment ${enrichmentId}`)
-      return res.status(400).json({
-        id: enrichmentId,
-        status: 'error',
-        error: 'No websetId found',
-        requests: [],
-      })
+    // Find the run for this webset
+    const run = await findRunForWebset(websetId, searchId || items[0]?.sourceId)
+    if (!run) {
+      console.warn('[Webhook] No run found for webset:', websetId)
+      return
     }
 
-    console.log(`[Enrich] Checking enrichment status for websetId: ${websetId}, enrichmentId: ${enrichmentId}`)
+    // Transform and save items
+    const scoring = await getScoringContext(run)
+    const transformedItems = items.map(item => transformExaItem(item, run.id, run.leadsetId, scoring))
+    const requestIndex = await ingestion.loadRequestIndex(run.id)
+    const created = await Promise.all(transformedItems.map((item, index) =>
+      saveExaItem(item, items[index], { requestIndex, scoring })
+    ))
+
+    // Only count items that are new, so a retried or replayed event doesn't count them twice
+    const createdCount = created.filter(Boolean).length
+    await sdk.updateFirebaseData('runs', run.id, {
+      counters: {
+        ...run.counters,
+        found: increment(createdCount),
+      },
+    })
 
-    const requestStatuses = await Promise.all(
-      requests.map(async (request) => {
-        try {
-          console.log(`[Enrich] Getting status for enrichment ${request.enrichmentId} (field: ${request.field})`)
-          const statusResponse = await getEnrichment(websetId, request.enrichmentId)
-          const status = statusResponse.status || 'pending'
-          console.log(`[Enrich] Enrichment ${request.enrichmentId} (${request.field}) status: ${status}`)
-          return {
-            ...request,
-            status,
-          }
-        } catch (err) {
-          console.warn(`[Enrich] Failed to get status for enrichment ${request.enrichmentId} (${request.field}):`, err.message)
-          return {
-            ...request,
-            status: 'pending',
-          }
-        }
-      })
-    )
+    await updateDocStatus(['items', 'runs'], { leadsetId: run.leadsetId, runId: run.id })
+    console.log(`[Webhook] Added ${items.length} items to run ${run.id}`)
+    await queueFeedRebuild(run.leadsetId)
+    await queueBuyerResolution(run.leadsetId)
+    await emitItemsAdded(run, transformedItems.filter((item, index) => created[index]))
+  },
 
-    console.log(`[Enrich] Enrichment statuses:`, requestStatuses.map(r => `${r.field}:${r.status}`).join(', '))
+  // Every search on the webset finished
+  'webset.idle': async (data) => {
+    const { websetId } = data
 
-    // Consider enrichment complete if all are 'completed' or 'done'
-    const overallStatus =
-      requestStatuses.length === 0 || requestStatuses.every((req) => ['completed', 'done'].includes(req.status))
-        ? 'completed'
-        : 'pending'
+    const run = await findRunForWebset(websetId)
+    if (run?.importId && run.status === 'running') {
+      // An import's webset goes idle once it has added the rows
+      const { status } = await syncImportRun(run)
+      console.log(`[Webhook] Import webset ${websetId} idle (run ${run.id} ${status})`)
+      return
+    }
+    // Other states are not search progress
+    if (!run || run.importId || !['running', 'paused'].includes(run.status)) return
 
-    // Check if enrichment is already completed to avoid re-processing
-    if (enrichmentDoc.status === 'completed') {
-      console.log(`[Enrich] Enrichment ${enrichmentId} already completed, returning cached status`)
-      return res.json({
-        id: enrichmentId,
-        status: 'completed',
-        requests: requestStatuses.map(({ field, status }) => ({ field, status })),
+    await updateRunFromWebhook(run, { status: 'completed', completedAt: new Date().toISOString() }, 'idle')
+    console.log(`[Webhook] Webset ${websetId} completed`)
+  },
+
+  // Searches on the webset are paused until it is resumed
+  'webset.paused': async (webset) => {
+    const runs = (await repository.find('runs', { websetId: webset.id, status: 'running' })).filter(run => !run.importId)
+
+    for (const run of runs) {
+      await updateRunFromWebhook(run, { status: 'paused', pausedAt: new Date().toISOString() }, 'idle')
+      console.log(`[Webhook] Webset ${webset.id} paused (run ${run.id})`)
+    }
+  },
+
+  // The webset is gone: stop its runs and enrichments and forget it on the leadset
+  'webset.deleted': async (webset) => {
+    const websetId = webset.id
+    const deletedAt = new Date().toISOString()
+
+    const enrichments = (await repository.find('enrichments')).filter(doc =>
+      (doc.websetId === websetId || doc.sourceWebsetId === websetId) &&
+      ['importing', 'starting', 'pending'].includes(doc.status)
+    )
+    for (const enrichmentDoc of enrichments) {
+      const { id: enrichmentId, leadsetId, runId } = enrichmentDoc
+      await sdk.updateFirebaseData('enrichments', enrichmentId, { status: 'failed', error: 'Webset deleted' })
+      const itemIds = enrichmentDoc.itemIds || (await repository.listItems({ leadsetId, runId }))
+        .filter(item => item.enrichment?.status === 'enriching')
+        .map(item => item.itemId || item.id)
+      await resetEnrichingItems(itemIds)
+      const unrefunded = (enrichmentDoc.cost || 0) - (enrichmentDoc.refunded || 0)
+      if (unrefunded > 0) {
+        await credits.refund(unrefunded, { reason: 'enrichment_failed', leadsetId, runId, enrichmentId })
+      }
+      await updateDocStatus(['enrichments', 'items'], { leadsetId, runId })
+      console.log(`[Webhook] Enrichment ${enrichmentId} failed: webset ${websetId} deleted`)
+    }
+
+    const runs = (await repository.find('runs', { websetId })).filter(run => !run.websetDeleted)
+    for (const run of runs) {
+      const stopped = ['running', 'paused', 'enriching'].includes(run.status)
+      await sdk.updateFirebaseData('runs', run.id, {
+        websetDeleted: true,
+        ...(stopped ? { status: 'canceled', canceledAt: deletedAt } : {}),
       })
     }
 
-    // If currently processing, return pending status (don't re-process)
-    if (enrichmentDoc.status === 'processing') {
-      console.log(`[Enrich] Enrichment ${enrichmentId} is currently being processed, returning pending status`)
-      return res.json({
-        id: enrichmentId,
-        status: 'pending',
-        requests: requestStatuses.map(({ field, status }) => ({ field, status })),
+    const leadsets = (await repository.find('leadsets')).filter(leadset =>
+      leadset.websetId === websetId || leadset.monitor?.websetId === websetId
+    )
+    for (const leadset of leadsets) {
+      const hadActiveRun = runs.some(run => run.leadsetId === leadset.id && ['running', 'paused', 'enriching'].includes(run.status))
+      await sdk.updateFirebaseData('leadsets', leadset.id, {
+        ...(leadset.websetId === websetId ? { websetId: null } : {}),
+        // Monitors belong to their webset
+        ...(leadset.monitor?.websetId === websetId ? { monitor: null } : {}),
+        ...(hadActiveRun ? { status: 'idle' } : {}),
       })
     }
 
-    // If status is completed but doc not marked as completed, process it
-    if (overallStatus === 'completed' && enrichmentDoc.status !== 'completed' && enrichmentDoc.status !== 'processing') {
-      console.log(`[Enrich] Enrichment ${enrichmentId} is completed in Exa, processing results...`)
-      console.log(`[Enrich] Current enrichment doc status: ${enrichmentDoc.status}`)
-      
-      // Mark as processing to prevent concurrent processing
-      try {
-        await sdk.updateFirebaseData('enrichments', enrichmentId, {
-          status: 'processing',
-        })
-        console.log(`[Enrich] Marked enrichment ${enrichmentId} as processing`)
-      } catch (err) {
-        console.warn(`[Enrich] Failed to mark enrichment as processing:`, err.message)
-        // Continue anyway - might be a race condition
-      }
-      let exaItems = []
-      let cursor = null
-      do {
-        const itemsResponse = await listWebsetItems(websetId, { limit: 100, cursor })
-        exaItems = exaItems.concat(itemsResponse.data || [])
-        cursor = itemsResponse.hasMore ? itemsResponse.nextCursor : null
-      } while (cursor)
-      
-      console.log(`[Enrich] Fetched ${exaItems.length} items from webset ${websetId} for enrichment processing`)
+    if (runs.length > 0 || leadsets.length > 0) {
+      await updateDocStatus(['runs', 'leadsets'], {})
+      await queueFeedRebuild()
+    }
+    console.log(`[Webhook] Webset ${websetId} deleted (${runs.length} runs, ${enrichments.length} enrichments stopped or updated)`)
+  },
+
+  // Enrichment results landed on one item; written as they arrive, the
+  // enrichment is finished by its 'process-enrichment' job
+  'webset.item.enriched': async (exaItem) => {
+    const enrichmentDoc = (await repository.find('enrichments', { websetId: exaItem.websetId }))
+      .filter(doc => ['pending', 'processing'].includes(doc.status))
+      .sort(newestFirst)[0]
+    if (!enrichmentDoc) return
+
+    const collected = ingestion.collect(exaItem, {
+      fields: new Set(enrichmentDoc.fields || []),
+      requestIndex: indexRequests([enrichmentDoc]),
+    })
+    if (Object.keys(collected.results).length === 0) return
+
+    const { leadsetId, runId } = enrichmentDoc
+    const selectedItemIds = Array.isArray(enrichmentDoc.itemIds) ? new Set(enrichmentDoc.itemIds) : null
+    const exaItemUrl = normalizeUrlForMatch(exaItem.url || exaItem.properties?.url || '')
+    const items = await repository.listItems({ leadsetId, runId: selectedItemIds ? undefined : runId })
+    const item = items.find(doc =>
+      (!selectedItemIds || selectedItemIds.has(doc.itemId || doc.id)) &&
+      ((!selectedItemIds && doc.itemId === exaItem.id) || (exaItemUrl && normalizeUrlForMatch(doc.sourceUrl) === exaItemUrl))
+    )
+    if (!item) {
+      console.warn(`[Webhook] No item found for enriched Exa item ${exaItem.id}`)
+      return
+    }
+
+    const run = await sdk.getFirebaseData('runs', runId).catch(() => null)
+    const scoring = await getScoringContext(run || {})
+    const merged = await ingestion.ingest(item, collected, {
+      source: 'webhook',
+      status: item.enrichment?.status || 'enriching',
+      scoring,
+    })
+    if (!merged) return
+    await updateDocStatus(['items'], { leadsetId, runId })
+    console.log(`[Webhook] Item ${item.itemId || item.id} enriched (${merged.fields.join(', ') || 'status only'})`)
+  },
+
+  // One field enrichment finished; once none of ours is waiting the results are written
+  'webset.enrichment.completed': async (data) => {
+    const exaEnrichmentId = data.enrichmentId || data.id
+    const enrichmentDoc = (await repository.find('enrichments')).find(doc =>
+      (doc.requests || []).some(request => request.enrichmentId === exaEnrichmentId)
+    )
+    if (!enrichmentDoc) {
+      console.warn('[Webhook] No enrichment found for Exa enrichment:', exaEnrichmentId)
+      return
+    }
+    if (enrichmentDoc.status !== 'pending') return
+
+    const requests = enrichmentDoc.requests.map(request =>
+      request.enrichmentId === exaEnrichmentId && !lifecycle.isRequestDone(request)
+        ? lifecycle.applyExaStatus(request, { status: 'completed' })
+        : request
+    )
+    await sdk.updateFirebaseData('enrichments', enrichmentDoc.id, { requests })
+    await updateDocStatus(['enrichments'], { leadsetId: enrichmentDoc.leadsetId, runId: enrichmentDoc.runId })
+
+    if (lifecycle.isSettled(requests)) {
+      const job = await jobs.enqueue('process-enrichment', { enrichmentId: enrichmentDoc.id }, {
+        idempotencyKey: `process-enrichment:${enrichmentDoc.id}`,
+      })
+      console.log(`[Webhook] Enrichment ${enrichmentDoc.id} done in Exa, processing as job ${job.id}`)
+    }
+  },
 
-      const requestedFieldSet = new Set(requestStatuses.map((req) => req.field))
-      let enrichedCount = 0
-      let skippedCount = 0
+  // An Exa import finished: import runs and selective enrichments move on
+  'import.completed': async (data) => {
+    const importId = data.id
+    const run = await repository.findOne('runs', { importId })
+    if (run) {
+      const { status, itemCount } = await syncImportRun(run)
+      console.log(`[Webhook] Import ${importId} ${status} (run ${run.id}, ${itemCount ?? 0} items)`)
+    }
 
-      console.log(`[Enrich] Processing ${exaItems.length} items, requested fields: ${Array.from(requestedFieldSet).join(', ')}`)
+    const enrichmentDoc = await repository.findOne('enrichments', { importId, status: 'importing' })
+    if (enrichmentDoc) {
+      const { status } = await advanceSelectionEnrichment(enrichmentDoc)
+      console.log(`[Webhook] Import ${importId} moved enrichment ${enrichmentDoc.id} to ${status}`)
+    }
+  },
 
-      // Query all Firebase items and filter by runId/leadsetId (we only need websetId, not individual itemIds)
-      const allDocs = toArray(await sdk.searchFirebaseData({}, 10000))
-      const firebaseItemsArray = allDocs.filter(doc => 
-        doc.doc_type === 'items' && doc.runId === runId && doc.leadsetId === leadsetId
-      )
-      
-      const firebaseItemsByUrl = new Map()
-      const firebaseItemsById = new Map()
-      
-      firebaseItemsArray.forEach(item => {
-        // Use document id for Firebase operations
-        const docId = item.id || item.itemId
-        if (item.sourceUrl && docId) {
-          firebaseItemsByUrl.set(item.sourceUrl, { ...item, docId })
-        }
-        if (item.itemId && docId) {
-          firebaseItemsById.set(item.itemId, { ...item, docId })
-        }
-      })
-      
-      console.log(`[Enrich] Found ${firebaseItemsArray.length} Firebase items for runId: ${runId}, leadsetId: ${leadsetId}`)
+  // A monitor started a search - record it as a 'monitor' run so its items
+  // flow through webset.items.created like any other run
+  'monitor.run.created': async (data) => {
+    const { id: monitorRunId, monitorId } = data
 
-      // Helper function to normalize URLs for matching
-      const normalizeUrlForMatch = (url) => {
-        if (!url) return ''
-        try {
-          const urlObj = new URL(url)
-          return urlObj.href.replace(/\/$/, '').toLowerCase()
-        } catch {
-          return url.replace(/\/$/, '').toLowerCase()
-        }
-      }
+    const leadset = (await repository.find('leadsets')).find(doc => doc.monitor?.id === monitorId)
+    if (!leadset) {
+      console.warn('[Webhook] No leadset found for monitor:', monitorId)
+      return
+    }
+    if (await repository.findOne('runs', { monitorRunId })) return
 
-      // Update all items in the webset (enriches the entire webset)
-      for (const exaItem of exaItems) {
-        const enrichmentsArray = exaItem.enrichments || []
-        const fieldUpdates = {}
-        const matchedFields = new Set() // Track which fields we've already matched
-        let linkedinUrl = null
+    await runHistory.snapshotLatestRun(leadset.id)
+    const { monitor } = leadset
+    const runId = `run_${Date.now()}`
+    const settings = await credits.getSettings()
+    const runCost = credits.estimateRunCost(settings, monitor.count)
+    const runDoc = {
+      id: runId,
+      leadsetId: leadset.id,
+      websetId: monitor.websetId,
+      status: 'running',
+      mode: 'monitor',
+      requestedCount: monitor.count,
+      searchId: null,
+      monitorId,
+      monitorRunId,
+      counters: {
+        found: 0,
+        enriched: 0,
+        selected: 0,
+        analyzed: 0,
+      },
+      searchQuery: monitor.searchQuery,
+      searchCriteria: monitor.searchCriteria || [],
+      entityType: monitor.entityType,
+      cost: runCost.total,
+      createdAt: new Date().toISOString(),
+      createdBy: 'monitor',
+    }
 
-        if (!enrichmentsArray || enrichmentsArray.length === 0) {
-          skippedCount++
-          continue
-        }
+    await sdk.createFirebaseData('runs', runId, runDoc)
+    // Exa runs monitors on its own schedule, so they are charged after the fact;
+    // once the budget can't cover another run the monitor is disabled
+    let nextMonitor = { ...monitor, lastRunId: runId, lastRunAt: runDoc.createdAt }
+    if (runCost.total > 0) {
+      await credits.debit(runCost.total, { reason: 'monitor_run', leadsetId: leadset.id, runId, mode: 'monitor', itemCount: monitor.count })
+      const nextRun = await credits.checkBudget(runCost.total)
+      if (!nextRun.ok) nextMonitor = await disableMonitorForBudget(leadset.id, nextMonitor, nextRun.error)
+    }
+    await sdk.updateFirebaseData('leadsets', leadset.id, {
+      lastRunId: runId,
+      status: 'running',
+      monitor: nextMonitor,
+    })
+    await updateDocStatus(['leadsets', 'runs'], { leadsetId: leadset.id, runId })
+    console.log(`[Webhook] Monitor ${monitorId} started run ${runId} for leadset ${leadset.id}`)
+    await queueFeedRebuild(leadset.id)
+    await emitRunStarted(runDoc)
+  },
 
-        for (const enrichment of enrichmentsArray) {
-          // Check for LinkedIn URL - either by metadata.field or by detecting linkedin.com in URL result
-          const isLinkedInField = enrichment.metadata?.field === 'linkedinUrl'
-          if ((enrichment.format === 'url' || isLinkedInField) && enrichment.result && enrichment.result.length > 0) {
-            const urlResult = enrichment.result[0]
-            if (urlResult && (isLinkedInField || urlResult.toLowerCase().includes('linkedin.com'))) {
-              linkedinUrl = urlResult
-              matchedFields.add('linkedinUrl')
-              continue
-            }
-          }
+  'monitor.run.completed': async (data) => {
+    const { id: monitorRunId } = data
 
-          // Log enrichment details for debugging
-          console.log(`[Enrich] Processing enrichment:`, {
-            id: enrichment.id,
-            format: enrichment.format,
-            description: enrichment.description?.substring(0, 100),
-            metadata: enrichment.metadata,
-            hasResult: !!enrichment.result,
-            resultType: Array.isArray(enrichment.result) ? 'array' : typeof enrichment.result,
-            resultLength: Array.isArray(enrichment.result) ? enrichment.result.length : 'N/A',
-          })
+    const run = await repository.findOne('runs', { monitorRunId })
+    if (!run || run.status !== 'running') return
 
-          let fieldKey = extractFieldFromEnrichment(enrichment)
-          
-          // If we already matched this field, try to find an alternative
-          // This handles cases where inference can't distinguish between buyingIntent and partnershipIntentLevel
-          if (fieldKey && matchedFields.has(fieldKey)) {
-            console.log(`[Enrich] Field ${fieldKey} already matched, looking for alternative...`)
-            
-            // For High/Medium/Low values, try the other intent field
-            if (fieldKey === 'buyingIntent' && requestedFieldSet.has('partnershipIntentLevel') && !matchedFields.has('partnershipIntentLevel')) {
-              fieldKey = 'partnershipIntentLevel'
-              console.log(`[Enrich] Reassigned to partnershipIntentLevel`)
-            } else if (fieldKey === 'partnershipIntentLevel' && requestedFieldSet.has('buyingIntent') && !matchedFields.has('buyingIntent')) {
-              fieldKey = 'buyingIntent'
-              console.log(`[Enrich] Reassigned to buyingIntent`)
-            } else {
-              console.log(`[Enrich] No alternative found, skipping duplicate`)
-              continue
-            }
-          }
-          
-          if (!fieldKey) {
-            console.warn(`[Enrich] Could not extract field key from enrichment. Enrichment details:`, {
-              id: enrichment.id,
-              format: enrichment.format,
-              description: enrichment.description,
-              metadata: enrichment.metadata,
-            })
-            continue
-          }
-          
-          console.log(`[Enrich] Extracted field key: ${fieldKey} from enrichment ${enrichment.id}`)
-          
-          if (!requestedFieldSet.has(fieldKey)) {
-            // This enrichment is for a field we didn't request, skip it
-            console.log(`[Enrich] Field ${fieldKey} not in requested set: ${Array.from(requestedFieldSet).join(', ')}`)
-            continue
-          }
+    await updateRunFromWebhook(run, { status: 'completed', completedAt: new Date().toISOString() }, 'idle')
+    console.log(`[Webhook] Monitor run ${monitorRunId} completed (run ${run.id})`)
+  },
+}
 
-          const value = extractEnrichmentValue(enrichment, fieldKey)
-          if (!value) {
-            console.warn(`[Enrich] No value extracted for field ${fieldKey} from enrichment ${enrichment.id}. Result:`, enrichment.result)
-            continue
-          }
-          
-          console.log(`[Enrich] Extracted value for ${fieldKey}:`, value.substring ? value.substring(0, 100) : value)
+/**
+ * Apply an Exa webhook event to Firebase
+ * Called by handleWebhookEvent; see exaWebhookHandlers
+ */
+async function processExaWebhook({ type, data }) {
+  const handler = exaWebhookHandlers[type]
+  if (!handler) {
+    console.warn(`[Webhook] Unhandled event type: ${type}`)
+    return
+  }
+  await handler(data || {})
+}
 
-          // Dynamically set any valid enrichment field
-          fieldUpdates[fieldKey] = value
-          matchedFields.add(fieldKey)
-        }
+/**
+ * Process a stored webhook event (the 'exa-webhook' job)
+ * Events already processed are skipped, so redelivered and replayed events are
+ * applied once. A failure is recorded on the event and rethrown so the job
+ * retries it.
+ */
+async function handleWebhookEvent({ eventId }) {
+  const event = await webhookEvents.get(eventId)
+  if (!event) throw new Error(`Webhook event ${eventId} not found`)
+  if (event.status === 'processed') {
+    return { eventId, skipped: true }
+  }
 
-        if (linkedinUrl) {
-          fieldUpdates.linkedinUrl = linkedinUrl
-        }
+  const attempts = await webhookEvents.markProcessing(event)
+  try {
+    await processExaWebhook(event)
+  } catch (err) {
+    await webhookEvents.markFailed(eventId, err)
+    console.error(`[Webhook] Event ${eventId} (${event.type}) failed on attempt ${attempts}:`, err.message)
+    throw err
+  }
+  await webhookEvents.markProcessed(eventId)
+  return { eventId, type: event.type, attempts }
+}
 
-        if (Object.keys(fieldUpdates).length === 0) {
-          skippedCount++
-          continue
-        }
+/**
+ * Queue processing for a stored event; one job per event while it is queued or running
+ */
+function queueWebhookEvent(eventId) {
+  return jobs.enqueue('exa-webhook', { eventId }, { idempotencyKey: `exa-webhook:${eventId}` })
+}
 
-        // Find matching Firebase item by URL (we only need websetId, not individual itemIds)
-        const exaItemUrl = exaItem.url || exaItem.properties?.url || ''
-        let matchingFirebaseItem = null
-        let targetItemId = null
-
-        // Try to match by URL first
-        if (exaItemUrl) {
-          const normalizedExaUrl = normalizeUrlForMatch(exaItemUrl)
-          for (const [url, item] of firebaseItemsByUrl.entries()) {
-            if (normalizeUrlForMatch(url) === normalizedExaUrl) {
-              matchingFirebaseItem = item
-              targetItemId = item.docId
-              break
-            }
-          }
-        }
+/**
+ * Exa webhook handler
+ * Receives real-time updates from Exa about webset and enrichment progress.
+ * Each verified event is stored in webhookEvents before it is acknowledged and
+ * processed by a job; redeliveries of a stored event are acknowledged without
+ * processing it again.
+ */
+app.post('/api/leads/webhooks/exa', async (req, res, next) => {
+  const signature = req.headers['x-exa-signature']
+  const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body || {}))
+  
+  try {
+    if (!verifyExaSignature(rawBody, signature)) {
+      console.warn('[Webhook] Invalid signature')
+      return res.status(401).json({ error: 'Invalid signature' })
+    }
+    
+    const payload = req.body
+    console.log('[Webhook] Received:', payload.type)
 
-        // Fallback: try to match by Exa item ID if we have it stored
-        if (!matchingFirebaseItem && exaItem.id) {
-          matchingFirebaseItem = firebaseItemsById.get(exaItem.id)
-          if (matchingFirebaseItem) {
-            targetItemId = matchingFirebaseItem.docId
-          }
-        }
+    const { event, duplicate } = await webhookEvents.record(payload, rawBody)
+    // A stored event that never got queued (e.g. the process died in between) is queued on redelivery
+    if (duplicate && event.status !== 'received') {
+      console.log(`[Webhook] Duplicate delivery of ${event.id} (${event.status}), skipping`)
+      return res.json({ received: true, duplicate: true, eventId: event.id })
+    }
 
-        // If no match found, create the item (it should exist, but create it if missing)
-        if (!matchingFirebaseItem || !targetItemId) {
-          console.warn(`[Enrich] No Firebase item found for Exa item. Creating it now. Exa URL: ${exaItemUrl || 'none'}, Exa ID: ${exaItem.id || 'none'}`)
-          
-          // Create the item from Exa data
-          const newItem = transformExaItem(exaItem, runId, leadsetId)
-          targetItemId = newItem.itemId
-          
-          try {
-            await sdk.createFirebaseData('items', targetItemId, {
-              ...newItem,
-              enrichment: {
-                ...fieldUpdates,
-                status: 'done',
-              },
-            })
-            console.log(`[Enrich] Created missing item ${targetItemId} with enrichment data`)
-            enrichedCount++
-            continue
-          } catch (createErr) {
-            console.error(`[Enrich] Failed to create missing item ${targetItemId}:`, createErr.message)
-            skippedCount++
-            continue
-          }
-        }
+    const job = await queueWebhookEvent(event.id)
+    res.json({ received: true, eventId: event.id, jobId: job.id })
+  } catch (error) {
+    console.error('[Webhook] Error:', error)
+    next(error)
+  }
+})
 
-        try {
-          const existingEnrichment = matchingFirebaseItem?.enrichment || {}
-          
-          // Build complete enrichment object with all fields
-          const updatedEnrichment = {
-            ...existingEnrichment,
-            ...fieldUpdates,
-            status: 'done',
-          }
-          
-          // Log what we're about to write (first item only to avoid spam)
-          if (enrichedCount === 0) {
-            console.log(`[Enrich] Sample enrichment update for item ${targetItemId}:`, {
-              existingFields: Object.keys(existingEnrichment),
-              newFields: Object.keys(fieldUpdates),
-              finalFields: Object.keys(updatedEnrichment),
-              sampleValues: Object.entries(fieldUpdates).reduce((acc, [key, val]) => {
-                acc[key] = typeof val === 'string' ? val.substring(0, 50) : val
-                return acc
-              }, {}),
-            })
-          }
-          
-          // Update only enrichment fields (using websetId-based approach, no need for individual itemIds)
-          await sdk.updateFirebaseData('items', targetItemId, {
-            enrichment: updatedEnrichment,
-          })
-          enrichedCount++
-        } catch (err) {
-          console.error(`[Enrich] Failed to update item ${targetItemId}:`, err.message)
-          // Continue with other items even if one fails
-        }
-      }
+/**
+ * List stored webhook events, newest first
+ * Query: status (received | processing | processed | failed), type, limit (default 50)
+ */
+app.get('/api/leads/admin/webhook-events', async (req, res, next) => {
+  const { status = null, type = null } = req.query
+  const limit = Math.max(1, parseInt(req.query.limit, 10) || 50)
 
-      console.log(`[Enrich] Enrichment processing complete: ${enrichedCount} items enriched, ${skippedCount} items skipped`)
-      
-      // Log status of items after update
-      if (enrichedCount > 0) {
-        try {
-          const sampleUpdatedItem = await sdk.getFirebaseData('items', firebaseItemsArray[0]?.id || firebaseItemsArray[0]?.itemId).catch(() => null)
-          if (sampleUpdatedItem) {
-            console.log(`[Enrich] Sample item after update - enrichment status: ${sampleUpdatedItem.enrichment?.status}, fields:`, Object.keys(sampleUpdatedItem.enrichment || {}))
-          }
-        } catch (err) {
-          console.warn(`[Enrich] Could not verify sample item update:`, err.message)
-        }
-      }
+  try {
+    if (status && !EVENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'INVALID_STATUS',
+        message: `status must be one of ${EVENT_STATUSES.join(', ')}`,
+      })
+    }
 
-      try {
-        await sdk.updateFirebaseData('enrichments', enrichmentId, {
-          status: 'completed',
-          completedAt: new Date().toISOString(),
-          enrichedCount,
-        })
-        console.log(`[Enrich] Updated enrichment ${enrichmentId} status to completed`)
+    const { events, total } = await webhookEvents.list({ status, type, limit })
+    res.json({ events, total })
+  } catch (error) {
+    console.error('[Webhook Events] Error listing events:', error)
+    next(error)
+  }
+})
 
-        // Log current run status before update
-        console.log(`[Enrich] Current run ${runId} status before update: ${run.status}`)
-        
-        const runUpdateResult = await sdk.updateFirebaseData('runs', runId, {
-          status: 'idle',
-          counters: {
-            ...run.counters,
-            enriched: (run.counters?.enriched || 0) + enrichedCount,
-          },
-        })
-        console.log(`[Enrich] Updated run ${runId} status to 'idle' in Firebase`)
-        
-        // Verify the update by reading back
-        try {
-          const updatedRun = await sdk.getFirebaseData('runs', runId)
-          console.log(`[Enrich] Verified run ${runId} status after update: ${updatedRun?.status} (should be 'idle')`)
-        } catch (verifyErr) {
-          console.warn(`[Enrich] Could not verify run status update:`, verifyErr.message)
-        }
+/**
+ * Replay a webhook event
+ * Failed events can always be replayed; processed ones only with ?force=true
+ */
+app.post('/api/leads/admin/webhook-events/:eventId/replay', async (req, res, next) => {
+  const { eventId } = req.params
+  const force = req.query.force === 'true'
 
-        await sdk.updateFirebaseData('leadsets', leadsetId, { status: 'idle' })
-        console.log(`[Enrich] Updated leadset ${leadsetId} status to 'idle' in Firebase`)
-        
-        // Give Firebase a moment to propagate all updates (leadset status + item updates)
-        await new Promise(resolve => setTimeout(resolve, 500))
-        
-        // Re-fetch ALL data fresh to ensure we have the latest leadset status and enrichment data
-        // Do NOT use preloaded docs here as the leadset status was just updated
-        console.log(`[Enrich] Re-fetching all data to include latest leadset status and enrichment data...`)
-        const allDocsAfterEnrich = toArray(await sdk.searchFirebaseData({}, 10000))
-        
-        // Verify leadset status in fetched data
-        const updatedLeadset = allDocsAfterEnrich.find(doc => doc.doc_type === 'leadsets' && doc.id === leadsetId)
-        console.log(`[Enrich] Verified leadset ${leadsetId} status in fetched data: ${updatedLeadset?.status}`)
-        
-        const updatedItems = allDocsAfterEnrich.filter(doc => 
-          doc.doc_type === 'items' && doc.runId === runId && doc.leadsetId === leadsetId
-        )
-        console.log(`[Enrich] Re-fetched ${updatedItems.length} items for feed rebuild`)
-        
-        // Log sample enrichment data to verify fields are present
-        if (updatedItems.length > 0) {
-          const sampleItem = updatedItems[0]
-          const sampleEnrichment = sampleItem.enrichment || {}
-          console.log(`[Enrich] Sample item enrichment fields:`, Object.keys(sampleEnrichment))
-        }
-        
-        // Rebuild feed with freshly fetched docs (includes updated leadset status)
-        await rebuildLeadsetFeed(allDocsAfterEnrich).catch((err) => console.warn('[Leadset Feed] Enrichment status rebuild skipped:', err.message))
-        console.log(`[Enrich] Rebuilt leadset feed with updated leadset status and items`)
-        
-        // Trigger docStatus update AFTER feed is rebuilt so frontend gets the new feed
-        await updateDocStatus(['runs', 'items', 'enrichments', 'leadsets'], { leadsetId, runId })
-        console.log(`[Enrich] Triggered docStatus update for frontend refresh`)
-        
-        console.log(`[Enrich] Successfully completed enrichment ${enrichmentId} - all Firebase updates complete`)
-      } catch (err) {
-        console.error(`[Enrich] Error updating enrichment status to completed:`, err.message)
-        // Still mark as completed even if update fails
-        try {
-          await sdk.updateFirebaseData('enrichments', enrichmentId, {
-            status: 'completed',
-            completedAt: new Date().toISOString(),
-            enrichedCount,
-          })
-        } catch (retryErr) {
-          console.error(`[Enrich] Failed to update enrichment status even on retry:`, retryErr.message)
-        }
-      }
-    } else {
-      // Enrichment is still pending
-      console.log(`[Enrich] Enrichment ${enrichmentId} still pending. Statuses: ${requestStatuses.map(r => `${r.field}:${r.status}`).join(', ')}`)
+  try {
+    const event = await webhookEvents.get(eventId)
+    if (!event) {
+      return res.status(404).json({ error: 'Webhook event not found' })
+    }
+    if (event.status === 'processing') {
+      return res.status(409).json({ error: 'EVENT_IN_PROGRESS', message: 'This event is being processed.' })
+    }
+    if (event.status === 'processed' && !force) {
+      return res.status(409).json({
+        error: 'EVENT_ALREADY_PROCESSED',
+        message: 'This event was already processed. Pass force=true to process it again.',
+      })
     }
 
-    const response = {
-      id: enrichmentId,
-      status: overallStatus,
-      requests: requestStatuses.map(({ field, status }) => ({ field, status })),
+    await webhookEvents.resetForReplay(eventId)
+    const job = await queueWebhookEvent(eventId)
+    console.log(`[Webhook Events] Replaying ${eventId} (${event.type}) as job ${job.id}`)
+    res.status(202).json({ eventId, status: 'received', jobId: job.id })
+  } catch (error) {
+    console.error('[Webhook Events] Error replaying event:', error)
+    next(error)
+  }
+})
+
+/**
+ * Replay every failed webhook event (oldest first)
+ * Query: limit (default 100)
+ */
+app.post('/api/leads/admin/webhook-events/replay-failed', async (req, res, next) => {
+  const limit = Math.max(1, parseInt(req.query.limit, 10) || 100)
+
+  try {
+    const { events } = await webhookEvents.list({ status: 'failed', limit })
+    const replayed = []
+    for (const event of events.reverse()) {
+      await webhookEvents.resetForReplay(event.id)
+      const job = await queueWebhookEvent(event.id)
+      replayed.push({ eventId: event.id, type: event.type, jobId: job.id })
     }
-    
-    console.log(`[Enrich] Returning enrichment status: ${overallStatus} for ${enrichmentId}`)
-    res.json(response)
+
+    console.log(`[Webhook Events] Replaying ${replayed.length} failed events`)
+    res.status(202).json({ replayed, count: replayed.length })
   } catch (error) {
-    console.error('[Enrichment Status] Error:', error)
-    console.error('[Enrichment Status] Stack:', error.stack)
-    
-    // Return error response instead of throwing to prevent frontend polling from stopping
-    res.status(500).json({
-      id: enrichmentId,
-      status: 'error',
-      error: error.message || 'Unknown error',
-      requests: [],
+    console.error('[Webhook Events] Error replaying failed events:', error)
+    next(error)
+  }
+})
+
+/**
+ * List outbound webhook subscriptions (without their secrets)
+ * Returns { subscriptions, events }: events are the types that can be subscribed to
+ */
+app.get('/api/leads/admin/webhook-subscriptions', async (req, res, next) => {
+  try {
+    const subscriptions = await outboundWebhooks.listSubscriptions()
+    res.json({
+      subscriptions: subscriptions.map(subscription => outboundWebhooks.presentSubscription(subscription)),
+      events: OUTBOUND_EVENTS,
     })
+  } catch (error) {
+    next(error)
   }
 })
 
 /**
- * Export run data as CSV
+ * Subscribe a URL to outbound events
+ * Body: { url, events: ['run.completed', ...] | ['*'], leadsetId, description, secret }
+ * Returns 201 with the subscription and its signing secret (generated unless
+ * given); the secret is not returned again.
  */
-app.get('/api/leads/leadsets/:leadsetId/runs/:runId/export', async (req, res, next) => {
-  const { leadsetId, runId } = req.params
-  
+app.post('/api/leads/admin/webhook-subscriptions', async (req, res, next) => {
   try {
-    const allDocs = toArray(await sdk.searchFirebaseData({}, 5000))
-    const allItems = allDocs.filter(doc => doc.doc_type === 'items')
-    const items = allItems.filter(item => item.runId === runId)
-    
-    if (items.length === 0) {
-      return res.status(404).json({ error: 'No items found for this run' })
+    const result = await outboundWebhooks.createSubscription(req.body || {})
+    if (result.error) {
+      return res.status(400).json({ error: 'INVALID_SUBSCRIPTION', message: result.error })
     }
+    res.status(201).json(outboundWebhooks.presentSubscription(result.subscription, { includeSecret: true }))
+  } catch (error) {
+    next(error)
+  }
+})
 
-    const csvContent = buildCsv(items)
-    const filename = `leadset-${leadsetId}-run-${runId}.csv`
-    
-    // Try to upload to storage
-    try {
-      const csvBuffer = Buffer.from(csvContent, 'utf-8')
-      const [url] = await sdk.uploadToStorage([filename], [csvBuffer], 'exports')
-      await sdk.updateFirebaseData('runs', runId, { exportUrl: url })
-      res.setHeader('x-export-url', url)
-      res.json({ url })
-    } catch (storageError) {
-      console.warn('[Export] Storage upload failed, sending directly:', storageError.message)
-      res.setHeader('Content-Type', 'text/csv')
-      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
-      res.send(csvContent)
+/**
+ * Update a subscription
+ * Body: any POST field, active (false pauses deliveries), rotateSecret: true (returns the new secret)
+ */
+app.put('/api/leads/admin/webhook-subscriptions/:subscriptionId', async (req, res, next) => {
+  try {
+    const result = await outboundWebhooks.updateSubscription(req.params.subscriptionId, req.body || {})
+    if (!result) {
+      return res.status(404).json({ error: 'Subscription not found' })
     }
+    if (result.error) {
+      return res.status(400).json({ error: 'INVALID_SUBSCRIPTION', message: result.error })
+    }
+    res.json(outboundWebhooks.presentSubscription(result.subscription, { includeSecret: Boolean(req.body?.rotateSecret) }))
   } catch (error) {
     next(error)
   }
 })
 
 /**
- * Exa webhook handler
- * Receives real-time updates from Exa about webset and enrichment progress
+ * Remove a subscription; its pending deliveries fail without being sent
  */
-app.post('/api/leads/webhooks/exa', async (req, res, next) => {
-  const signature = req.headers['x-exa-signature']
-  const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body || {}))
-  
+app.delete('/api/leads/admin/webhook-subscriptions/:subscriptionId', async (req, res, next) => {
   try {
-    if (!verifyExaSignature(rawBody, signature)) {
-      console.warn('[Webhook] Invalid signature')
-      return res.status(401).json({ error: 'Invalid signature' })
+    const deleted = await outboundWebhooks.deleteSubscription(req.params.subscriptionId)
+    if (!deleted) {
+      return res.status(404).json({ error: 'Subscription not found' })
     }
-    
-    const payload = req.body
-    console.log('[Webhook] Received:', payload.type)
-
-    // Acknowledge immediately
-    res.json({ received: true })
-
-    // Process webhook asynchronously
-    const { type, data } = payload
-
-    if (type === 'webset.items.created') {
-      // New items found by Exa
-      const { websetId, items = [] } = data || {}
-      
-      // Find the run for this webset
-      const allDocs = toArray(await sdk.searchFirebaseData({}, 500))
-      const allRuns = allDocs.filter(doc => doc.doc_type === 'runs')
-      const runs = allRuns.filter(r => r.websetId === websetId)
-      const run = runs[0]
-      if (!run) {
-        console.warn('[Webhook] No run found for webset:', websetId)
-        return
-      }
+    res.json({ success: true })
+  } catch (error) {
+    next(error)
+  }
+})
 
-      // Transform and save items
-      const transformedItems = items.map(item => transformExaItem(item, run.id, run.leadsetId))
-      await Promise.all(transformedItems.map(item =>
-        sdk.createFirebaseData('items', item.itemId, item).catch(() =>
-          sdk.updateFirebaseData('items', item.itemId, item)
-        )
-      ))
+/**
+ * Outbound webhook delivery log, newest first
+ * Query: subscriptionId, status (pending | delivered | failed), eventType, limit (default 50)
+ */
+app.get('/api/leads/admin/webhook-deliveries', async (req, res, next) => {
+  const { subscriptionId = null, status = null, eventType = null } = req.query
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 50), 500)
 
-      // Update run counters
-      await sdk.updateFirebaseData('runs', run.id, {
-        counters: {
-          ...run.counters,
-          found: increment(items.length),
-        },
+  try {
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'INVALID_STATUS',
+        message: `status must be one of ${DELIVERY_STATUSES.join(', ')}`,
       })
+    }
 
-      await updateDocStatus(['items', 'runs'], { leadsetId: run.leadsetId, runId: run.id })
-      console.log(`[Webhook] Added ${items.length} items to run ${run.id}`)
-      await rebuildLeadsetFeed().catch((err) => console.warn('[Leadset Feed] Webhook items rebuild skipped:', err.message))
+    const { deliveries, total } = await outboundWebhooks.listDeliveries({ subscriptionId, status, eventType, limit })
+    res.json({ deliveries, total })
+  } catch (error) {
+    next(error)
+  }
+})
 
-    } else if (type === 'webset.idle') {
-      // Webset search completed
-      const { websetId } = data || {}
-      
-      const allDocs = toArray(await sdk.searchFirebaseData({}, 500))
-      const allRuns = allDocs.filter(doc => doc.doc_type === 'runs')
-      const runs = allRuns.filter(r => r.websetId === websetId)
-      const run = runs[0]
-      if (!run) return
-
-      await sdk.updateFirebaseData('runs', run.id, { status: 'completed' })
-      await sdk.updateFirebaseData('leadsets', run.leadsetId, { status: 'idle' })
-      await updateDocStatus(['runs', 'leadsets'], { leadsetId: run.leadsetId, runId: run.id })
-      console.log(`[Webhook] Webset ${websetId} completed`)
-      await rebuildLeadsetFeed().catch((err) => console.warn('[Leadset Feed] Webhook idle rebuild skipped:', err.message))
-
-    } else if (type === 'webset.enrichment.completed') {
-      // Enrichment completed
-      const { websetId, enrichmentId, items = [] } = data || {}
-      
-      const allDocs = toArray(await sdk.searchFirebaseData({}, 500))
-      const allRuns = allDocs.filter(doc => doc.doc_type === 'runs')
-      const runs = allRuns.filter(r => r.websetId === websetId)
-      const run = runs[0]
-      if (!run) return
-
-      // Update items with enrichment data
-      let enrichedCount = 0
-      for (const item of items) {
-        const enrichmentsArray = item.enrichments || []
-        
-        // Extract email and phone from enrichments array
-        let email = null
-        let phone = null
-        let linkedinUrl = null
-        
-        for (const enrichment of enrichmentsArray) {
-          if (enrichment.format === 'email' && enrichment.result && enrichment.result.length > 0) {
-            email = enrichment.result[0]
-          }
-          if (enrichment.format === 'phone' && enrichment.result && enrichment.result.length > 0) {
-            phone = enrichment.result[0]
-          }
-          // Check for LinkedIn URL (uses 'url' format)
-          if (enrichment.format === 'url' && enrichment.result && enrichment.result.length > 0) {
-            const urlResult = enrichment.result[0]
-            if (urlResult && urlResult.toLowerCase().includes('linkedin.com')) {
-              linkedinUrl = urlResult
-            }
-          }
-        }
-        
-        if (email || phone || linkedinUrl) {
-          await sdk.updateFirebaseData('items', item.id, {
-            enrichment: {
-              status: 'done',
-              email: email,
-              phone: phone,
-              linkedinUrl: linkedinUrl,
-            },
-          })
-          enrichedCount++
-        }
-      }
+/**
+ * Send a delivery again (e.g. after fixing the receiving endpoint)
+ */
+app.post('/api/leads/admin/webhook-deliveries/:deliveryId/redeliver', async (req, res, next) => {
+  try {
+    const result = await outboundWebhooks.redeliver(req.params.deliveryId)
+    if (!result) {
+      return res.status(404).json({ error: 'Delivery not found' })
+    }
+    console.log(`[Outbound Webhooks] Redelivering ${req.params.deliveryId} as job ${result.job.id}`)
+    res.status(202).json({ deliveryId: req.params.deliveryId, status: 'pending', jobId: result.job.id })
+  } catch (error) {
+    next(error)
+  }
+})
 
-      await sdk.updateFirebaseData('runs', run.id, {
-        status: 'idle',
-        counters: {
-          ...run.counters,
-          enriched: increment(enrichedCount),
-        },
-      })
+/**
+ * Event stream: outbound events oldest first, for consumers that poll instead of taking webhooks
+ * GET /events?after=<createdAt of the last event seen>&type=run.completed&leadsetId=...&limit=100
+ * Returns { events, nextAfter }; pass nextAfter as `after` on the next call.
+ */
+app.get('/api/leads/events', async (req, res, next) => {
+  const { after = null, type = null, leadsetId = null } = req.query
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 100), 500)
 
-      await updateDocStatus(['items', 'runs'], { leadsetId: run.leadsetId, runId: run.id })
-      console.log(`[Webhook] Enrichment completed: ${enrichedCount} items enriched`)
-      await rebuildLeadsetFeed().catch((err) => console.warn('[Leadset Feed] Webhook enrichment rebuild skipped:', err.message))
+  try {
+    if (type && !OUTBOUND_EVENTS.includes(type)) {
+      return res.status(400).json({ error: 'INVALID_EVENT_TYPE', message: `type must be one of ${OUTBOUND_EVENTS.join(', ')}` })
+    }
+    if (after && Number.isNaN(new Date(after).getTime())) {
+      return res.status(400).json({ error: 'INVALID_AFTER', message: 'after must be an ISO timestamp' })
     }
+
+    res.json(await outboundWebhooks.listEvents({ after, type, leadsetId, limit }))
   } catch (error) {
-    console.error('[Webhook] Error:', error)
-    // Don't return error - we already acknowledged
+    next(error)
   }
 })
 
@@ -3076,7 +4836,12 @@ app.use((err, req, res, next) => {
 
 app.listen(PORT, () => {
   console.log(`🚀 Backend listening on http://localhost:${PORT}`)
-  console.log(`📡 Exa API: ${EXA_API_KEY ? 'Configured' : 'Not configured (using mocks)'}`)
+  console.log(`📡 Exa API: ${exa.kind === 'http' ? 'Configured' : 'Not configured (using in-process mock server)'}`)
   console.log(`🔗 Webhook URL: ${WEBHOOK_URL || 'Not configured'}`)
-  rebuildLeadsetFeed().catch((err) => console.warn('[Leadset Feed] Initial rebuild skipped:', err.message))
+  // Queued enrichments may use workspace fields, so load them before jobs run
+  fieldRegistry.load().then(() => jobs.start())
+  queueFeedRebuild()
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    scheduler.start()
+  }
 })
@@ -0,0 +1,307 @@
+/**
+ * Background Job Queue
+ * Persists work as `jobs` documents so it survives crashes and restarts, and
+ * runs it outside request handlers.
+ *
+ * Job document:
+ * {
+ *   id, type, payload,
+ *   status: 'queued' | 'running' | 'completed' | 'failed',
+ *   attempts, maxAttempts, runAt,     // runAt: earliest time the next attempt may start
+ *   idempotencyKey,                    // see enqueue()
+ *   lockedUntil,                       // lease held by the worker running it
+ *   result, lastError, createdAt, updatedAt, startedAt, completedAt
+ * }
+ *
+ * Failed attempts are retried with exponential backoff until maxAttempts.
+ * A job still 'running' after its lease expired (the process died mid-job) is
+ * picked up again. Jobs run one at a time, in runAt order.
+ *
+ * The worker only reads queued and running jobs. Completed and failed jobs are
+ * deleted once they are older than retentionMs (checked at most once per
+ * pruneIntervalMs), so the collection doesn't grow without bound.
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 5
+const DEFAULT_LEASE_MS = 5 * 60 * 1000
+const BACKOFF_BASE_MS = 2000
+const BACKOFF_MAX_MS = 5 * 60 * 1000
+const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000
+const FINISHED_STATUSES = ['completed', 'failed']
+
+/**
+ * Delay before retry number `attempts` (1-based): 2s, 4s, 8s ... capped
+ */
+function getBackoffMs(attempts, baseMs = BACKOFF_BASE_MS, maxMs = BACKOFF_MAX_MS) {
+  return Math.min(maxMs, baseMs * Math.pow(2, Math.max(0, attempts - 1)))
+}
+
+/**
+ * Create a job queue
+ * @param {Object} options
+ * @param {Object} options.sdk - FN7 SDK instance
+ * @param {Object} options.repository - Document repository (../repository)
+ * @param {Function} [options.now] - Clock
+ * @param {number} [options.pollIntervalMs] - How often start() looks for due jobs (retries, recovered jobs)
+ * @param {number} [options.leaseMs] - How long a running job is held before another worker may retry it
+ * @param {number} [options.backoffBaseMs]
+ * @param {number} [options.backoffMaxMs]
+ * @param {number} [options.retentionMs] - How long completed and failed jobs are kept
+ * @param {number} [options.pruneIntervalMs] - How often finished jobs are looked for
+ * @param {Object} [options.timers] - { setInterval, clearInterval, setImmediate }
+ */
+function createJobQueue({
+  sdk,
+  repository,
+  now = () => new Date(),
+  pollIntervalMs = 5000,
+  leaseMs = DEFAULT_LEASE_MS,
+  backoffBaseMs = BACKOFF_BASE_MS,
+  backoffMaxMs = BACKOFF_MAX_MS,
+  retentionMs = DEFAULT_RETENTION_MS,
+  pruneIntervalMs = PRUNE_INTERVAL_MS,
+  timers = { setInterval, clearInterval, setImmediate },
+}) {
+  const handlers = new Map()
+  // idempotencyKey -> in-flight enqueue, so concurrent callers share one job
+  const pendingKeys = new Map()
+  let intervalHandle = null
+  let draining = null
+  let drainAgain = false
+  let jobCounter = 0
+  let lastPrunedAt = 0
+
+  /**
+   * Jobs that may run now: queued and due, or running with an expired lease
+   */
+  async function loadDueJobs() {
+    const time = now().getTime()
+    const [queued, running] = await Promise.all([
+      repository.find('jobs', { status: 'queued' }),
+      repository.find('jobs', { status: 'running' }),
+    ])
+    return [
+      ...queued.filter(job => new Date(job.runAt || 0).getTime() <= time),
+      // Lease expired: the process running it is gone
+      ...running.filter(job => job.lockedUntil && new Date(job.lockedUntil).getTime() <= time),
+    ]
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type
+   * @param {Function} handler - (payload, job) => Promise<result>; throw to retry
+   * @param {Object} [options] - { maxAttempts }
+   */
+  function register(type, handler, options = {}) {
+    handlers.set(type, { handler, maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS })
+  }
+
+  async function createJob(type, payload, { idempotencyKey, maxAttempts, delayMs = 0, reuseRunning }) {
+    if (idempotencyKey) {
+      const reusable = reuseRunning ? ['queued', 'running'] : ['queued']
+      const existing = (await repository.find('jobs', { idempotencyKey }))
+        .filter(job => reusable.includes(job.status))
+        .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))[0]
+      if (existing) return existing
+    }
+
+    const createdAt = now()
+    const id = `job_${createdAt.getTime()}_${++jobCounter}`
+    const job = {
+      id,
+      type,
+      payload: payload || {},
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: maxAttempts || handlers.get(type)?.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      runAt: new Date(createdAt.getTime() + delayMs).toISOString(),
+      idempotencyKey: idempotencyKey || null,
+      lockedUntil: null,
+      result: null,
+      lastError: null,
+      createdAt: createdAt.toISOString(),
+      updatedAt: createdAt.toISOString(),
+    }
+    await sdk.createFirebaseData('jobs', id, job)
+    console.log(`[Jobs] Queued ${type} job ${id}${idempotencyKey ? ` (${idempotencyKey})` : ''}`)
+    return job
+  }
+
+  /**
+   * Add a job
+   * While a job with the same idempotencyKey is queued (or running, unless
+   * reuseRunning is false) that job is returned instead of adding another.
+   * reuseRunning: false suits work that must see changes made after a running
+   * attempt started, e.g. rebuilding the feed.
+   *
+   * @param {string} type
+   * @param {Object} payload
+   * @param {Object} [options] - { idempotencyKey, maxAttempts, delayMs, reuseRunning = true }
+   * @returns {Promise<Object>} The job document
+   */
+  async function enqueue(type, payload = {}, options = {}) {
+    if (!handlers.has(type)) {
+      throw new Error(`No job handler registered for "${type}"`)
+    }
+    const { idempotencyKey } = options
+    const resolved = { reuseRunning: true, ...options }
+
+    let job
+    if (idempotencyKey && pendingKeys.has(idempotencyKey)) {
+      job = await pendingKeys.get(idempotencyKey)
+    } else {
+      const creating = createJob(type, payload, resolved)
+      if (idempotencyKey) pendingKeys.set(idempotencyKey, creating)
+      try {
+        job = await creating
+      } finally {
+        if (idempotencyKey) pendingKeys.delete(idempotencyKey)
+      }
+    }
+
+    if (intervalHandle) kick()
+    return job
+  }
+
+  async function getJob(id) {
+    return sdk.getFirebaseData('jobs', id).catch(() => null)
+  }
+
+  async function runJob(job) {
+    const { handler } = handlers.get(job.type) || {}
+    const startedAt = now()
+    const attempts = (job.attempts || 0) + 1
+
+    if (!handler) {
+      await sdk.updateFirebaseData('jobs', job.id, {
+        status: 'failed',
+        lastError: `No job handler registered for "${job.type}"`,
+        updatedAt: startedAt.toISOString(),
+      })
+      return
+    }
+
+    await sdk.updateFirebaseData('jobs', job.id, {
+      status: 'running',
+      attempts,
+      startedAt: startedAt.toISOString(),
+      lockedUntil: new Date(startedAt.getTime() + leaseMs).toISOString(),
+      updatedAt: startedAt.toISOString(),
+    })
+
+    try {
+      const result = await handler(job.payload || {}, { ...job, attempts })
+      const completedAt = now().toISOString()
+      await sdk.updateFirebaseData('jobs', job.id, {
+        status: 'completed',
+        result: result === undefined ? null : result,
+        lastError: null,
+        lockedUntil: null,
+        completedAt,
+        updatedAt: completedAt,
+      })
+      console.log(`[Jobs] ${job.type} job ${job.id} completed (attempt ${attempts})`)
+    } catch (err) {
+      const failedAt = now()
+      const willRetry = attempts < (job.maxAttempts || DEFAULT_MAX_ATTEMPTS)
+      const retryAt = new Date(failedAt.getTime() + getBackoffMs(attempts, backoffBaseMs, backoffMaxMs))
+      await sdk.updateFirebaseData('jobs', job.id, {
+        status: willRetry ? 'queued' : 'failed',
+        runAt: willRetry ? retryAt.toISOString() : job.runAt,
+        lastError: err.message,
+        lockedUntil: null,
+        completedAt: willRetry ? null : failedAt.toISOString(),
+        updatedAt: failedAt.toISOString(),
+      })
+      console.error(`[Jobs] ${job.type} job ${job.id} failed (attempt ${attempts}/${job.maxAttempts}): ${err.message}${willRetry ? ` - retrying at ${retryAt.toISOString()}` : ''}`)
+    }
+  }
+
+  async function nextDueJob() {
+    return (await loadDueJobs())
+      .sort((a, b) => new Date(a.runAt || 0) - new Date(b.runAt || 0))[0] || null
+  }
+
+  /**
+   * Delete completed and failed jobs older than retentionMs
+   * @returns {Promise<number>} Number of jobs deleted
+   */
+  async function pruneFinishedJobs() {
+    const cutoff = now().getTime() - retentionMs
+    const finished = (await Promise.all(FINISHED_STATUSES.map(status => repository.find('jobs', { status })))).flat()
+    const expired = finished.filter(job => new Date(job.completedAt || job.updatedAt || 0).getTime() <= cutoff)
+    for (const job of expired) {
+      await sdk.deleteFirebaseData('jobs', job.id)
+    }
+    if (expired.length > 0) console.log(`[Jobs] Deleted ${expired.length} finished job(s) older than ${Math.round(retentionMs / 3600000)}h`)
+    return expired.length
+  }
+
+  async function pruneIfDue() {
+    const time = now().getTime()
+    if (time - lastPrunedAt < pruneIntervalMs) return
+    lastPrunedAt = time
+    await pruneFinishedJobs()
+  }
+
+  /**
+   * Run due jobs until none are left
+   * @returns {Promise<number>} Number of jobs run
+   */
+  async function drain() {
+    if (draining) {
+      drainAgain = true
+      return draining
+    }
+
+    draining = (async () => {
+      let count = 0
+      do {
+        drainAgain = false
+        let job = await nextDueJob()
+        while (job) {
+          await runJob(job)
+          count++
+          job = await nextDueJob()
+        }
+      } while (drainAgain)
+      return count
+    })()
+
+    try {
+      return await draining
+    } finally {
+      draining = null
+    }
+  }
+
+  function kick() {
+    timers.setImmediate(() => {
+      drain().catch(err => console.error('[Jobs] Drain failed:', err.message))
+    })
+  }
+
+  function poll() {
+    kick()
+    pruneIfDue().catch(err => console.error('[Jobs] Pruning finished jobs failed:', err.message))
+  }
+
+  function start() {
+    if (intervalHandle) return
+    intervalHandle = timers.setInterval(poll, pollIntervalMs)
+    poll()
+    console.log(`[Jobs] Worker started (polling every ${Math.round(pollIntervalMs / 1000)}s)`)
+  }
+
+  function stop() {
+    if (!intervalHandle) return
+    timers.clearInterval(intervalHandle)
+    intervalHandle = null
+  }
+
+  return { register, enqueue, getJob, drain, pruneFinishedJobs, start, stop }
+}
+
+module.exports = { createJobQueue, getBackoffMs }
@@ -0,0 +1,90 @@
+/**
+ * Entity Type Resolution
+ * Decides whether a leadset searches Exa for people or companies.
+ *
+ * Order:
+ * 1. Explicit override: queryOverrides.entity, then leadset.entity_type
+ * 2. Leadset type buckets (influencer / investor leadsets target people)
+ * 3. Prompt wording that asks for people ("individuals", "job titles", ...)
+ * 4. Default: company
+ */
+
+const ENTITY_TYPES = ['company', 'person']
+
+// Same buckets as getLeadsetType in frontend/src/pages/LeadsetDetail.jsx
+const BUYER_TARGETS = ['retailer', 'distributor', 'platform', 'corporate_buyer']
+const PARTNER_TARGETS = ['agency', 'partner']
+const INFLUENCER_TARGETS = ['influencer', 'expert', 'creator']
+const INVESTOR_TARGETS = ['investor']
+
+// Leadset types whose leads are individuals rather than organisations
+const PERSON_LEADSET_TYPES = ['influencer', 'investor']
+
+// Prompt phrases that only make sense when the lead is a person
+const PERSON_PROMPT_PATTERN = /\b(individuals|professionals|people|persons|job titles?|titles like|decision[- ]makers|working (for|at))\b/i
+
+/**
+ * Determine if a leadset is a "buyer", "partner", "influencer", "investor" or "mixed" type
+ * Uses intent_type first, then target, then enrichment_fields
+ */
+function getLeadsetType(leadset) {
+  const intentType = (leadset?.intent_type || '').toLowerCase()
+  if (['buyer', 'partner', 'influencer', 'investor'].includes(intentType)) return intentType
+
+  const target = (leadset?.target || '').toLowerCase()
+  if (BUYER_TARGETS.includes(target)) return 'buyer'
+  if (INVESTOR_TARGETS.includes(target)) return 'investor'
+  if (INFLUENCER_TARGETS.includes(target)) return 'influencer'
+  if (PARTNER_TARGETS.includes(target)) return 'partner'
+
+  const fields = leadset?.enrichment_fields || []
+  const hasBuyingIntent = fields.includes('buying_intent_level')
+  const hasPartnershipIntent = fields.includes('partnership_intent_level')
+  const hasInvestorIntent = fields.includes('investor_intent_level')
+  const hasAudienceOverlap = fields.includes('audience_overlap_score')
+
+  if (hasInvestorIntent) return 'investor'
+  if (hasAudienceOverlap && !hasBuyingIntent) return 'influencer'
+  if (hasBuyingIntent && !hasPartnershipIntent) return 'buyer'
+  if (hasPartnershipIntent && !hasBuyingIntent) return 'partner'
+
+  return 'mixed'
+}
+
+function normalizeEntityType(value) {
+  const normalized = typeof value === 'string' ? value.trim().toLowerCase() : ''
+  return ENTITY_TYPES.includes(normalized) ? normalized : null
+}
+
+/**
+ * Resolve the Exa entity type for a leadset
+ *
+ * @param {Object} leadset - Leadset document
+ * @param {Object} [overrides] - Query overrides (may contain `entity`)
+ * @returns {{ entity: 'company' | 'person', entitySource: string, leadsetType: string }}
+ */
+function resolveEntityType(leadset = {}, overrides = {}) {
+  const leadsetType = getLeadsetType(leadset)
+
+  const override = normalizeEntityType(overrides?.entity) || normalizeEntityType(leadset.entity_type)
+  if (override) {
+    return { entity: override, entitySource: 'override', leadsetType }
+  }
+
+  if (PERSON_LEADSET_TYPES.includes(leadsetType)) {
+    return { entity: 'person', entitySource: 'leadsetType', leadsetType }
+  }
+
+  if (PERSON_PROMPT_PATTERN.test(leadset.prompt || '')) {
+    return { entity: 'person', entitySource: 'prompt', leadsetType }
+  }
+
+  return { entity: 'company', entitySource: 'default', leadsetType }
+}
+
+module.exports = {
+  resolveEntityType,
+  getLeadsetType,
+  normalizeEntityType,
+  ENTITY_TYPES,
+}
@@ -0,0 +1,240 @@
+/**
+ * Query Builder
+ * Turns a leadset (prompt, segment, intent) into an Exa search query plus
+ * weighted criteria.
+ *
+ * The leadset `prompt` is the primary query. Segment and intent fields become
+ * individual criteria Exa evaluates every item against; weights rank them (Exa
+ * accepts a limited number of criteria) and are kept on the run for scoring.
+ *
+ * Per-leadset overrides live on `leadset.queryOverrides`:
+ * - query: replace the generated query entirely
+ * - appendToQuery: extra text appended to the generated query
+ * - excludeCriteria: criterion keys to drop (e.g. ['size', 'tribe'])
+ * - extraCriteria: [{ description, weight }] added as custom criteria
+ * - weights: { [criterionKey or source]: weight } to re-rank criteria
+ * - entity: 'person' | 'company' to force the Exa entity type (see ./entityType.js)
+ */
+
+const { resolveEntityType } = require('./entityType')
+
+// Exa evaluates at most this many criteria per search
+const MAX_EXA_CRITERIA = 5
+
+const DEFAULT_SOURCE_WEIGHTS = {
+  segment: 1.0,
+  intent: 0.9,
+  geo: 0.8,
+  size: 0.5,
+  stack: 0.5,
+  tribe: 0.4,
+  custom: 0.7,
+}
+
+const INTENT_TIER_MULTIPLIERS = {
+  high: 1.2,
+  medium: 1.0,
+  low: 0.8,
+}
+
+/**
+ * Known intent signal codes -> evaluable criteria
+ * Free-text signals (brain lead_sets format) are used verbatim
+ */
+const INTENT_SIGNAL_CRITERIA = {
+  help_seeking_question: 'Has publicly asked for help, advice or recommendations on this problem',
+  budget_mention: 'Has mentioned budget, pricing or spend related to solving this problem',
+  comparison_language: 'Has compared tools, vendors or approaches (e.g. "X vs Y")',
+  churn_risk_complaint: 'Has complained about or is unhappy with their current tool or vendor',
+  social_proof_seek: 'Has asked for reviews, case studies or peer experiences',
+  hiring_signal: 'Is hiring for roles related to this problem',
+  funding_signal: 'Has recently raised funding or announced expansion',
+}
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : ''
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map(cleanText).filter(Boolean)
+  return cleanText(value) ? [cleanText(value)] : []
+}
+
+function roundWeight(weight) {
+  return Math.round(weight * 100) / 100
+}
+
+function describeSignal(signal) {
+  const code = signal.toLowerCase().replace(/[\s-]+/g, '_')
+  if (INTENT_SIGNAL_CRITERIA[code]) return INTENT_SIGNAL_CRITERIA[code]
+  return `Shows evidence of: ${signal.replace(/_/g, ' ')}`
+}
+
+/**
+ * Legacy query: glue description + segment + intent into one sentence
+ * Used only when the leadset has no prompt
+ */
+function buildFallbackQuery(leadset) {
+  const segment = leadset.segment || {}
+  const queryParts = []
+  if (leadset.description) queryParts.push(cleanText(leadset.description))
+  if (segment.segment_archetype) queryParts.push(segment.segment_archetype)
+  if (segment.geo_region) queryParts.push(`in ${segment.geo_region}`)
+  if (segment.firmographic_company_size) queryParts.push(`${segment.firmographic_company_size} size`)
+  if (toList(segment.tribe).length) queryParts.push(`focusing on ${toList(segment.tribe).join(', ')}`)
+  if (toList(leadset.intent?.signals).length) {
+    queryParts.push(`showing intent for ${toList(leadset.intent.signals).map((s) => s.replace(/_/g, ' ')).join(', ')}`)
+  }
+  return queryParts.join('. ') || cleanText(leadset.name) || 'companies'
+}
+
+/**
+ * Build all candidate criteria for a leadset (before ranking/capping)
+ */
+function buildCandidateCriteria(leadset, entity) {
+  const segment = leadset.segment || {}
+  // Person searches phrase firmographics as attributes of the lead's employer
+  const isPerson = entity === 'person'
+  const tier = cleanText(leadset.intent?.intent_tier).toLowerCase()
+  const intentMultiplier = INTENT_TIER_MULTIPLIERS[tier] || 1
+  const candidates = []
+
+  if (cleanText(segment.segment_archetype)) {
+    candidates.push({
+      key: 'segment',
+      source: 'segment',
+      description: isPerson
+        ? `Is, or works at, a ${cleanText(segment.segment_archetype)}`
+        : `Is a ${cleanText(segment.segment_archetype)}`,
+    })
+  }
+
+  if (cleanText(segment.geo_region)) {
+    candidates.push({
+      key: 'geo',
+      source: 'geo',
+      description: `Is based in or primarily operates in ${cleanText(segment.geo_region)}`,
+    })
+  }
+
+  if (cleanText(segment.firmographic_company_size)) {
+    candidates.push({
+      key: 'size',
+      source: 'size',
+      description: `${isPerson ? 'Their company' : 'Company'} size (revenue or headcount) is in the range ${cleanText(segment.firmographic_company_size)}`,
+    })
+  }
+
+  const stack = toList(segment.technographic_stack)
+  if (stack.length) {
+    candidates.push({
+      key: 'stack',
+      source: 'stack',
+      description: `${isPerson ? 'Their company uses' : 'Uses'} ${stack.join(' or ')}`,
+    })
+  }
+
+  const tribe = toList(segment.tribe)
+  if (tribe.length) {
+    candidates.push({
+      key: 'tribe',
+      source: 'tribe',
+      description: `Is part of or engages with communities such as ${tribe.join(', ')}`,
+    })
+  }
+
+  toList(leadset.intent?.signals).forEach((signal, index) => {
+    candidates.push({
+      key: `intent:${index}`,
+      source: 'intent',
+      signal,
+      description: describeSignal(signal),
+      multiplier: intentMultiplier,
+    })
+  })
+
+  return candidates
+}
+
+/**
+ * Build the Exa query and weighted criteria for a leadset
+ *
+ * @param {Object} leadset - Leadset document
+ * @param {Object} [overrides] - Overrides to apply on top of leadset.queryOverrides
+ * @returns {{ query: string, querySource: string, entity: string, entitySource: string, criteria: Array, omittedCriteria: Array, excludedCriteria: Array, overrides: Object }}
+ */
+function buildLeadsetQuery(leadset = {}, overrides = null) {
+  const appliedOverrides = {
+    ...(leadset.queryOverrides || {}),
+    ...(overrides || {}),
+  }
+  const weightOverrides = appliedOverrides.weights || {}
+  const excluded = new Set(toList(appliedOverrides.excludeCriteria))
+  const { entity, entitySource, leadsetType } = resolveEntityType(leadset, appliedOverrides)
+
+  // Query text: explicit override > leadset prompt > legacy glued description
+  let query
+  let querySource
+  if (cleanText(appliedOverrides.query)) {
+    query = cleanText(appliedOverrides.query)
+    querySource = 'override'
+  } else if (cleanText(leadset.prompt)) {
+    query = cleanText(leadset.prompt)
+    querySource = 'prompt'
+  } else {
+    query = buildFallbackQuery(leadset)
+    querySource = 'description'
+  }
+  if (cleanText(appliedOverrides.appendToQuery)) {
+    query = `${query} ${cleanText(appliedOverrides.appendToQuery)}`
+  }
+
+  const extraCriteria = (Array.isArray(appliedOverrides.extraCriteria) ? appliedOverrides.extraCriteria : [])
+    .map((criterion, index) => ({
+      key: `custom:${index}`,
+      source: 'custom',
+      description: cleanText(typeof criterion === 'string' ? criterion : criterion?.description),
+      weight: typeof criterion?.weight === 'number' ? criterion.weight : undefined,
+    }))
+    .filter((criterion) => criterion.description)
+
+  const isExcluded = (criterion) => excluded.has(criterion.key) || excluded.has(criterion.source)
+  const weighted = [...buildCandidateCriteria(leadset, entity), ...extraCriteria]
+    .map(({ multiplier = 1, ...criterion }) => {
+      const baseWeight =
+        weightOverrides[criterion.key] ??
+        criterion.weight ??
+        weightOverrides[criterion.source] ??
+        DEFAULT_SOURCE_WEIGHTS[criterion.source] ??
+        0.5
+      return { ...criterion, weight: roundWeight(baseWeight * multiplier) }
+    })
+    .sort((a, b) => b.weight - a.weight)
+  const ranked = weighted.filter((criterion) => !isExcluded(criterion) && criterion.weight > 0)
+
+  return {
+    query,
+    querySource,
+    entity,
+    entitySource,
+    leadsetType,
+    criteria: ranked.slice(0, MAX_EXA_CRITERIA),
+    omittedCriteria: ranked.slice(MAX_EXA_CRITERIA),
+    excludedCriteria: weighted.filter(isExcluded),
+    overrides: appliedOverrides,
+  }
+}
+
+/**
+ * Strip internal fields so criteria can be sent to Exa ({ description } only)
+ */
+function toExaCriteria(criteria = []) {
+  return criteria.map(({ description }) => ({ description }))
+}
+
+module.exports = {
+  buildLeadsetQuery,
+  toExaCriteria,
+  INTENT_SIGNAL_CRITERIA,
+  MAX_EXA_CRITERIA,
+}
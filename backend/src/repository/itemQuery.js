@@ -0,0 +1,340 @@
+/**
+ * Leadset Item Queries
+ * Filtering, sorting and cursor pagination behind GET /leadsets/:id/items,
+ * so the browser only ever holds one page of a leadset's items.
+ *
+ * Query parameters:
+ *   sort      score (highest first) | recency (newest first) | company (A-Z)
+ *   recency   comma-separated buckets: 7d, 30d, 90d, older
+ *   hasContact  true: items with an email, phone or LinkedIn URL
+ *   emailStatus comma-separated email verification statuses (valid, risky,
+ *               invalid, unknown); 'valid' is the "verified only" filter
+ *   entity    company | person
+ *   field[<key>]  enrichment value(s), comma-separated, case-insensitive;
+ *                 'any' matches every item with a value for the field
+ *   q         free text over name, company, domain and snippet
+ *   runId     only items of one run (archived ones included)
+ *   limit     page size (default 25, max 500)
+ *   cursor    nextCursor of the previous page
+ *
+ * Cursors hold the sort key and id of the last item returned, so pages stay
+ * stable while new items land ahead of or behind the current page.
+ *
+ * findItems() reads the leadset's (or run's) items matching the archived,
+ * entity, hasContact and single emailStatus constraints from Firestore, in
+ * sort order, through repository.findPage. Several email statuses, recency
+ * ranges and the cursor are applied by findPage, and what only the backend can
+ * match here: q, enrichment values (compared case-insensitively) and recency
+ * buckets with a gap between them (e.g. 7d + older). Items carry the stored
+ * fields this needs (getItemQueryFields).
+ */
+
+const ITEM_SORTS = ['score', 'recency', 'company']
+const RECENCY_BUCKETS = ['7d', '30d', '90d', 'older']
+const ENTITY_TYPES = ['company', 'person']
+const EMAIL_STATUSES = ['valid', 'risky', 'invalid', 'unknown']
+const DEFAULT_PAGE_SIZE = 25
+const MAX_PAGE_SIZE = 500
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Enrichment values Exa returns when it found nothing
+const EMPTY_VALUES = ['', 'not found', 'n/a', 'none', 'unknown']
+
+function getItemKey(item) {
+  return String(item.itemId || item.id || '')
+}
+
+function getLeadName(item) {
+  return (item.entityType === 'person' && item.entity?.name) || item.entity?.company || item.entity?.name || ''
+}
+
+function hasFieldValue(value) {
+  if (value === null || value === undefined || value === false) return false
+  if (typeof value === 'string') return !EMPTY_VALUES.includes(value.trim().toLowerCase())
+  return true
+}
+
+function hasContactInfo(item) {
+  const enrichment = item.enrichment || {}
+  return ['email', 'phone', 'linkedinUrl'].some(field => hasFieldValue(enrichment[field]))
+}
+
+function getRecencyBucket(iso, now = new Date()) {
+  const time = iso ? new Date(iso).getTime() : NaN
+  if (Number.isNaN(time)) return 'older'
+  const diffDays = Math.floor((now.getTime() - time) / DAY_MS)
+  if (diffDays <= 7) return '7d'
+  if (diffDays <= 30) return '30d'
+  if (diffDays <= 90) return '90d'
+  return 'older'
+}
+
+// Stored field and direction per sort, for findItems; ties are broken by itemId
+const SORT_FIELDS = {
+  score: { field: 'score', direction: 'desc' },
+  recency: { field: 'recency', direction: 'desc' },
+  company: { field: 'sortName', direction: 'asc' },
+}
+
+// Sort key and direction per sort; ties are broken by item id
+const SORT_KEYS = {
+  score: { direction: -1, key: item => (typeof item.score === 'number' ? item.score : -1) },
+  recency: { direction: -1, key: item => new Date(item.recency || 0).getTime() || 0 },
+  company: { direction: 1, key: item => getLeadName(item).trim().toLowerCase() },
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0
+  return a < b ? -1 : 1
+}
+
+function comparePositions(sort, a, b) {
+  const { direction } = SORT_KEYS[sort]
+  return direction * compareValues(a.key, b.key) || compareValues(a.id, b.id)
+}
+
+function encodeCursor(sort, position) {
+  return Buffer.from(JSON.stringify({ sort, key: position.key, id: position.id })).toString('base64url')
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'))
+    if (!decoded || !ITEM_SORTS.includes(decoded.sort) || typeof decoded.id !== 'string') return null
+    return decoded
+  } catch (err) {
+    return null
+  }
+}
+
+function splitList(value) {
+  const values = Array.isArray(value) ? value : [value]
+  return values
+    .flatMap(entry => String(entry ?? '').split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean)
+}
+
+/**
+ * Validate GET /leadsets/:id/items query parameters
+ * @param {Object} query - req.query
+ * @returns {{ options: Object } | { error: string }}
+ */
+function parseItemQuery(query = {}) {
+  const sort = query.sort || 'score'
+  if (!ITEM_SORTS.includes(sort)) {
+    return { error: `sort must be one of ${ITEM_SORTS.join(', ')}` }
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit)
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` }
+  }
+
+  const recency = splitList(query.recency)
+  const unknownBucket = recency.find(bucket => !RECENCY_BUCKETS.includes(bucket))
+  if (unknownBucket) {
+    return { error: `Unknown recency bucket "${unknownBucket}" (expected ${RECENCY_BUCKETS.join(', ')})` }
+  }
+
+  const emailStatus = splitList(query.emailStatus)
+  const unknownStatus = emailStatus.find(status => !EMAIL_STATUSES.includes(status))
+  if (unknownStatus) {
+    return { error: `Unknown emailStatus "${unknownStatus}" (expected ${EMAIL_STATUSES.join(', ')})` }
+  }
+
+  const entity = query.entity || null
+  if (entity && !ENTITY_TYPES.includes(entity)) {
+    return { error: `entity must be one of ${ENTITY_TYPES.join(', ')}` }
+  }
+
+  if (query.field !== undefined && (typeof query.field !== 'object' || Array.isArray(query.field))) {
+    return { error: 'Filter enrichment fields as field[<key>]=<value>' }
+  }
+  const fields = Object.entries(query.field || {})
+    .map(([key, value]) => ({ key, values: splitList(value).map(entry => entry.toLowerCase()) }))
+    .filter(({ values }) => values.length > 0)
+
+  let cursor = null
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor)
+    if (!cursor || cursor.sort !== sort) {
+      return { error: 'cursor is invalid or belongs to a different sort' }
+    }
+  }
+
+  return {
+    options: {
+      sort,
+      limit,
+      cursor,
+      recency,
+      entity,
+      fields,
+      hasContact: query.hasContact === 'true' || query.hasContact === true,
+      emailStatus,
+      q: String(query.q || '').trim().toLowerCase(),
+    },
+  }
+}
+
+/**
+ * Fields stored on items so findItems can filter and sort in Firestore
+ * Written when an item is created and whenever its enrichment changes.
+ */
+function getItemQueryFields(item) {
+  return {
+    archived: Boolean(item.archived),
+    hasContact: hasContactInfo(item),
+    sortName: getLeadName(item).trim().toLowerCase(),
+  }
+}
+
+/**
+ * The recency range the selected buckets cover, as bounds on item.recency
+ * { after, until } (either may be null), or null when the buckets leave a gap.
+ * Matches getRecencyBucket: '7d' is anything under 8 days old, and so on.
+ */
+function getRecencyRange(buckets, now = new Date()) {
+  const indexes = RECENCY_BUCKETS.map((bucket, index) => (buckets.includes(bucket) ? index : -1)).filter(index => index !== -1)
+  const first = indexes[0]
+  const last = indexes[indexes.length - 1]
+  if (last - first + 1 !== indexes.length) return null
+
+  // Newest edge of each bucket; '7d' has none
+  const edges = [null, 8, 31, 91].map(days => (days === null ? null : new Date(now.getTime() - days * DAY_MS).toISOString()))
+  return {
+    until: edges[first],
+    after: last + 1 < edges.length ? edges[last + 1] : null,
+  }
+}
+
+/**
+ * Repository query for an item query
+ * @param {Object} scope - { leadsetId, runId }; a run's items include archived ones
+ * @param {Object} options - From parseItemQuery
+ * @returns {{ where: Object, filters: Array, orderBy: Array, residual: Object|null }}
+ *   residual: the filters left for matchesFilters, null when there are none
+ */
+function buildItemQuery({ leadsetId, runId = null }, options, now = new Date()) {
+  const { sort, recency, entity, fields, hasContact, emailStatus = [], q } = options
+  const where = {
+    leadsetId,
+    runId: runId || undefined,
+    archived: runId ? undefined : false,
+    entityType: entity || undefined,
+    hasContact: hasContact ? true : undefined,
+    emailStatus: emailStatus.length === 1 ? emailStatus[0] : undefined,
+  }
+
+  const filters = []
+  if (emailStatus.length > 1) filters.push({ field: 'emailStatus', op: 'in', value: emailStatus })
+  const range = recency.length ? getRecencyRange(recency, now) : null
+  if (range?.after) filters.push({ field: 'recency', op: '>', value: range.after })
+  if (range?.until) filters.push({ field: 'recency', op: '<=', value: range.until })
+
+  const { field, direction } = SORT_FIELDS[sort]
+  const orderBy = [{ field, direction }, { field: 'itemId', direction: 'asc' }]
+
+  const residualRecency = recency.length && !range ? recency : []
+  const residual = q || fields.length || residualRecency.length
+    ? { recency: residualRecency, entity: null, fields, hasContact: false, emailStatus: [], q }
+    : null
+  return { where, filters, orderBy, residual }
+}
+
+/**
+ * One page of a leadset's items, filtered and sorted as buildItemQuery describes
+ * @param {Object} repository - Document repository (./repository)
+ * @param {Object} scope - { leadsetId, runId }
+ * @param {Object} options - From parseItemQuery
+ * @param {Date} [now] - Reference time for recency buckets
+ * @returns {Promise<{ items: Array, total: number, nextCursor: string|null }>}
+ */
+async function findItems(repository, scope, options, now = new Date()) {
+  const { sort, limit, cursor } = options
+  const { where, filters, orderBy, residual } = buildItemQuery(scope, options, now)
+  const { field } = SORT_FIELDS[sort]
+  const toPosition = item => ({ key: item[field], id: getItemKey(item) })
+
+  // Every match is read once, so the total and the page come from the same items
+  const matching = (await repository.findPage('items', where, { filters, orderBy }))
+    .filter(item => getItemKey(item) && (!residual || matchesFilters(item, residual, now)))
+  const start = cursor
+    ? matching.findIndex(item => comparePositions(sort, toPosition(item), cursor) > 0)
+    : 0
+  const page = start === -1 ? [] : matching.slice(start, start + limit)
+  const hasMore = start !== -1 && start + limit < matching.length
+
+  return {
+    items: page,
+    total: matching.length,
+    nextCursor: hasMore ? encodeCursor(sort, toPosition(page[page.length - 1])) : null,
+  }
+}
+
+function matchesFilters(item, options, now) {
+  const { recency, entity, fields, hasContact, emailStatus = [], q } = options
+  if (recency.length && !recency.includes(getRecencyBucket(item.recency, now))) return false
+  if (entity && (item.entityType || 'company') !== entity) return false
+  if (hasContact && !hasContactInfo(item)) return false
+  if (emailStatus.length && !emailStatus.includes(item.emailStatus)) return false
+
+  for (const { key, values } of fields) {
+    const value = item.enrichment?.[key]
+    if (!hasFieldValue(value)) return false
+    if (!values.includes('any') && !values.includes(String(value).trim().toLowerCase())) return false
+  }
+
+  if (q) {
+    const haystack = [item.entity?.name, item.entity?.company, item.entity?.domain, item.snippet]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase()
+    if (!haystack.includes(q)) return false
+  }
+  return true
+}
+
+/**
+ * Filter, sort and page items already in memory (exports read the whole run)
+ * @param {Array} items - A leadset's items (see repository.listItems)
+ * @param {Object} options - From parseItemQuery
+ * @param {Date} [now] - Reference time for recency buckets
+ * @returns {{ items: Array, total: number, nextCursor: string|null }}
+ */
+function queryItems(items, options, now = new Date()) {
+  const { sort, limit, cursor } = options
+  const { key } = SORT_KEYS[sort]
+
+  const matching = items
+    .filter(item => getItemKey(item) && matchesFilters(item, options, now))
+    .map(item => ({ item, position: { key: key(item), id: getItemKey(item) } }))
+    .sort((a, b) => comparePositions(sort, a.position, b.position))
+
+  const start = cursor
+    ? matching.findIndex(({ position }) => comparePositions(sort, position, cursor) > 0)
+    : 0
+  const page = start === -1 ? [] : matching.slice(start, start + limit)
+  const hasMore = start !== -1 && start + limit < matching.length
+
+  return {
+    items: page.map(({ item }) => item),
+    total: matching.length,
+    nextCursor: hasMore ? encodeCursor(sort, page[page.length - 1].position) : null,
+  }
+}
+
+module.exports = {
+  parseItemQuery,
+  queryItems,
+  findItems,
+  buildItemQuery,
+  getItemQueryFields,
+  getRecencyBucket,
+  hasContactInfo,
+  ITEM_SORTS,
+  RECENCY_BUCKETS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+}
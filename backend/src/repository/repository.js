@@ -0,0 +1,178 @@
+/**
+ * Document Repository
+ * Reads FN7 documents by doc_type, leadset and run instead of pulling the
+ * whole tenant and filtering it in JavaScript.
+ *
+ * find() passes its equality constraints to searchFirebaseData, so Firestore
+ * answers them from its single-field indexes (equality-only queries need no
+ * composite index; ordering is done here). Results are checked against the
+ * constraints again since SDK builds without query support return every doc.
+ *
+ * findPage() adds range, `in` and array filters, ordering and a start cursor.
+ * searchFirebaseData(queryConstraints, limit, orderBy) only takes equality
+ * constraints and one order, so findPage reads every doc the equality
+ * constraints match, ordered by the first orderBy field (which needs the
+ * composite indexes in firestore.indexes.json), and applies the filters, the
+ * cursor and the page size here. Keep the equality constraints narrow (a
+ * leadset, a run); a read that reaches the repository limit is logged.
+ */
+
+const DEFAULT_LIMIT = 10000
+
+/**
+ * Normalise a searchFirebaseData payload to an array of docs
+ */
+function toDocs(payload) {
+  if (!payload) return []
+  if (Array.isArray(payload)) return payload
+  if (Array.isArray(payload.data)) return payload.data
+  return Object.values(payload)
+}
+
+function newestFirst(a, b) {
+  return new Date(b.createdAt || 0) - new Date(a.createdAt || 0)
+}
+
+function isMissing(value) {
+  return value === undefined || value === null
+}
+
+// Firestore leaves docs without the field out of range filters
+const FILTER_OPS = {
+  '==': (value, expected) => value === expected,
+  '!=': (value, expected) => !isMissing(value) && value !== expected,
+  '<': (value, expected) => !isMissing(value) && value < expected,
+  '<=': (value, expected) => !isMissing(value) && value <= expected,
+  '>': (value, expected) => !isMissing(value) && value > expected,
+  '>=': (value, expected) => !isMissing(value) && value >= expected,
+  in: (value, expected) => expected.includes(value),
+  'array-contains': (value, expected) => Array.isArray(value) && value.includes(expected),
+  'array-contains-any': (value, expected) => Array.isArray(value) && value.some(entry => expected.includes(entry)),
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0
+  return a < b ? -1 : 1
+}
+
+/**
+ * Comparator for [{ field, direction: 'asc' | 'desc' }], the order Firestore returns
+ */
+function compareBy(orderBy) {
+  return (a, b) => {
+    for (const { field, direction } of orderBy) {
+      const result = compareValues(a[field], b[field])
+      if (result) return direction === 'desc' ? -result : result
+    }
+    return 0
+  }
+}
+
+/**
+ * Create a repository
+ * @param {Object} options
+ * @param {Object} options.sdk - FN7 SDK instance
+ * @param {number} [options.limit] - Max docs returned per query
+ */
+function createRepository({ sdk, limit = DEFAULT_LIMIT }) {
+  /**
+   * Docs of one type matching every field in `where` (undefined values are ignored)
+   * @param {string} docType
+   * @param {Object} [where] - { field: value } equality constraints, e.g. { leadsetId, runId }
+   * @param {Object} [options] - { limit }
+   * @returns {Promise<Array>}
+   */
+  async function find(docType, where = {}, options = {}) {
+    const constraints = toConstraints(docType, where)
+    const docs = toDocs(await sdk.searchFirebaseData(constraints, options.limit || limit))
+    return docs.filter(doc => matchesConstraints(doc, constraints))
+  }
+
+  function toConstraints(docType, where) {
+    const constraints = { doc_type: docType }
+    for (const [field, value] of Object.entries(where)) {
+      if (value !== undefined) constraints[field] = value
+    }
+    return constraints
+  }
+
+  function matchesConstraints(doc, constraints) {
+    return Object.entries(constraints).every(([field, value]) => doc[field] === value)
+  }
+
+  /**
+   * One ordered page of docs
+   * Docs without a value for every orderBy field are left out, as in Firestore.
+   * The docs matching `where` are all read; see the header.
+   * @param {string} docType
+   * @param {Object} [where] - Equality constraints, as for find()
+   * @param {Object} [query]
+   * @param {Array} [query.filters] - [{ field, op, value }]; op is ==, !=, <, <=, >, >=, in,
+   *   array-contains or array-contains-any
+   * @param {Array} [query.orderBy] - [{ field, direction: 'asc' | 'desc' }]
+   * @param {Array} [query.startAfter] - Values of the orderBy fields of the last doc of the previous page
+   * @param {number} [query.limit] - Page size (default: the repository limit)
+   * @returns {Promise<Array>}
+   */
+  async function findPage(docType, where = {}, { filters = [], orderBy = [], startAfter = null, limit: pageLimit } = {}) {
+    const constraints = toConstraints(docType, where)
+    const docs = toDocs(await sdk.searchFirebaseData(constraints, limit, orderBy[0]))
+    if (docs.length >= limit) {
+      console.warn(`[Repository] ${docType} query reached the ${limit} doc limit, later docs are left out`)
+    }
+
+    const compare = compareBy(orderBy)
+    const cursor = startAfter
+      ? orderBy.reduce((acc, { field }, index) => ({ ...acc, [field]: startAfter[index] }), {})
+      : null
+    return docs
+      .filter(doc =>
+        matchesConstraints(doc, constraints) &&
+        filters.every(({ field, op, value }) => FILTER_OPS[op](doc[field], value)) &&
+        orderBy.every(({ field }) => !isMissing(doc[field])) &&
+        (!cursor || compare(doc, cursor) > 0)
+      )
+      .sort(compare)
+      .slice(0, pageLimit || limit)
+  }
+
+  /**
+   * Number of docs matching `where` and `filters` (see findPage)
+   */
+  async function count(docType, where = {}, { filters = [] } = {}) {
+    return (await findPage(docType, where, { filters })).length
+  }
+
+  async function findOne(docType, where = {}) {
+    return (await find(docType, where))[0] || null
+  }
+
+  async function get(docType, id) {
+    return sdk.getFirebaseData(docType, id).catch(() => null)
+  }
+
+  /**
+   * A leadset's runs, newest first
+   */
+  async function listRuns(leadsetId) {
+    return (await find('runs', { leadsetId })).sort(newestFirst)
+  }
+
+  async function getLatestRun(leadsetId) {
+    return (await listRuns(leadsetId))[0] || null
+  }
+
+  /**
+   * Items of a leadset, optionally of one run
+   * Items archived by a replace run are left out unless includeArchived is set.
+   * @param {Object} scope - { leadsetId, runId, includeArchived }
+   */
+  async function listItems({ leadsetId, runId, includeArchived = false } = {}) {
+    const items = await find('items', { leadsetId, runId })
+    return includeArchived ? items : items.filter(item => !item.archived)
+  }
+
+  return { find, findPage, count, findOne, get, listRuns, getLatestRun, listItems }
+}
+
+module.exports = { createRepository, toDocs, newestFirst }
@@ -0,0 +1,106 @@
+const { createRepository } = require('./repository')
+const { findItems, parseItemQuery, getItemQueryFields } = require('./itemQuery')
+
+// Answers equality constraints and the limit like the FN7 SDK, in no set order; ignores the orderBy argument
+function createFakeSdk(docs) {
+  return {
+    searchFirebaseData: jest.fn(async (constraints, limit) => {
+      const matches = docs.filter(doc => Object.entries(constraints).every(([field, value]) => doc[field] === value))
+      return matches.reverse().slice(0, limit)
+    }),
+  }
+}
+
+function createItem(index, overrides = {}) {
+  const item = {
+    doc_type: 'items',
+    itemId: `item_${String(index).padStart(2, '0')}`,
+    leadsetId: 'ls_1',
+    runId: 'run_1',
+    entityType: 'company',
+    entity: { company: `Company ${index}` },
+    score: index % 10,
+    recency: new Date(Date.UTC(2026, 0, 1 + index)).toISOString(),
+    enrichment: {},
+    ...overrides,
+  }
+  return { ...item, ...getItemQueryFields(item) }
+}
+
+describe('Repository pages', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('findPage filters, orders and continues after the cursor itself', async () => {
+    const docs = Array.from({ length: 12 }, (_, index) => createItem(index))
+    docs.push(createItem(50, { leadsetId: 'ls_2' }))
+    const repository = createRepository({ sdk: createFakeSdk(docs) })
+    const query = {
+      filters: [{ field: 'score', op: '>=', value: 3 }],
+      orderBy: [{ field: 'score', direction: 'desc' }, { field: 'itemId', direction: 'asc' }],
+      limit: 4,
+    }
+
+    const first = await repository.findPage('items', { leadsetId: 'ls_1' }, query)
+    const last = first[first.length - 1]
+    const second = await repository.findPage('items', { leadsetId: 'ls_1' }, { ...query, startAfter: [last.score, last.itemId] })
+
+    expect(first.map(doc => doc.itemId)).toEqual(['item_09', 'item_08', 'item_07', 'item_06'])
+    expect(second.map(doc => doc.itemId)).toEqual(['item_05', 'item_04', 'item_03'])
+  })
+
+  test('reads every equality match, not just one page, from the SDK', async () => {
+    const sdk = createFakeSdk(Array.from({ length: 5 }, (_, index) => createItem(index)))
+    const repository = createRepository({ sdk, limit: 1000 })
+
+    await repository.findPage('items', { leadsetId: 'ls_1' }, { orderBy: [{ field: 'score', direction: 'desc' }], limit: 2 })
+
+    expect(sdk.searchFirebaseData).toHaveBeenCalledWith({ doc_type: 'items', leadsetId: 'ls_1' }, 1000, { field: 'score', direction: 'desc' })
+  })
+
+  test('findItems walks every page with a trustworthy cursor and total', async () => {
+    const docs = Array.from({ length: 23 }, (_, index) => createItem(index, {
+      entityType: index % 3 === 0 ? 'person' : 'company',
+    }))
+    const repository = createRepository({ sdk: createFakeSdk(docs) })
+    const expected = docs
+      .filter(doc => doc.entityType === 'company')
+      .sort((a, b) => b.score - a.score || a.itemId.localeCompare(b.itemId))
+      .map(doc => doc.itemId)
+
+    const seen = []
+    let cursor = null
+    let pages = 0
+    do {
+      const { options } = parseItemQuery({ sort: 'score', entity: 'company', limit: '5', ...(cursor ? { cursor } : {}) })
+      const page = await findItems(repository, { leadsetId: 'ls_1' }, options)
+      expect(page.total).toBe(expected.length)
+      seen.push(...page.items.map(item => item.itemId))
+      cursor = page.nextCursor
+      pages++
+    } while (cursor && pages < 10)
+
+    expect(seen).toEqual(expected)
+    expect(pages).toBe(Math.ceil(expected.length / 5))
+  })
+
+  test('applies a recency range to items read in no order', async () => {
+    const now = new Date(Date.UTC(2026, 0, 31))
+    const docs = Array.from({ length: 30 }, (_, index) => createItem(index))
+    const repository = createRepository({ sdk: createFakeSdk(docs) })
+
+    const { options } = parseItemQuery({ sort: 'recency', recency: '7d', limit: '3' })
+    const first = await findItems(repository, { leadsetId: 'ls_1' }, options, now)
+    const next = parseItemQuery({ sort: 'recency', recency: '7d', limit: '3', cursor: first.nextCursor }).options
+    const second = await findItems(repository, { leadsetId: 'ls_1' }, next, now)
+
+    expect(first.total).toBe(7)
+    expect(first.items.map(item => item.itemId)).toEqual(['item_29', 'item_28', 'item_27'])
+    expect(second.items.map(item => item.itemId)).toEqual(['item_26', 'item_25', 'item_24'])
+  })
+})
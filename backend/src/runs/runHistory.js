@@ -0,0 +1,246 @@
+/**
+ * Run History
+ * Snapshots what a leadset looked like after each run and diffs one run
+ * against the run before it.
+ *
+ * A leadset's items carry the latest run's id once they are synced (extend runs
+ * re-tag the whole webset), so a run's own items can't be read back later.
+ * Instead, the moment a new run starts, the leadset's current items are frozen
+ * into a `runSnapshots` doc for the run being superseded, with the entries
+ * split over `runSnapshotChunks` docs so no doc nears Firestore's 1 MiB limit:
+ * runSnapshots:      { id: runId, runId, leadsetId, itemCount, chunkCount, takenAt }
+ * runSnapshotChunks: { id: `${runId}_${index}`, runId, leadsetId, index,
+ *                      items: [{ key, itemId, buyerId, entityType, name, domain, score, enrichment }] }
+ * The latest run is compared using the live items. Runs from before snapshots
+ * existed fall back to the items still tagged with their id (archived included),
+ * as do runs whose snapshot could not be written.
+ *
+ * Items are matched across runs by buyer identity (LinkedIn, domain or name,
+ * see ../buyers/identity), so a company found again under a new Exa item id
+ * after a replace run counts as the same buyer.
+ */
+
+const { getIdentityKeys, hasValue } = require('../buyers/identity')
+
+// Serialized entries per chunk doc, well under Firestore's 1 MiB doc limit
+const SNAPSHOT_CHUNK_BYTES = 256 * 1024
+
+function getItemKey(item) {
+  return String(item.itemId || item.id || '')
+}
+
+function getIdentityKey(item) {
+  const keys = getIdentityKeys(item)
+  const identity = keys.linkedin || keys.domain || (keys.name && `${keys.name}|${keys.employer}`)
+  return identity ? `${keys.entityType}:${identity}` : `item:${getItemKey(item)}`
+}
+
+/**
+ * The parts of an item a diff compares
+ */
+function toSnapshotEntry(item) {
+  const enrichment = {}
+  Object.entries(item.enrichment || {}).forEach(([field, value]) => {
+    if (field !== 'status' && field !== 'flags' && hasValue(value)) enrichment[field] = value
+  })
+  return {
+    key: getIdentityKey(item),
+    itemId: getItemKey(item),
+    buyerId: item.buyerId || null,
+    entityType: item.entityType || 'company',
+    name: (item.entityType === 'person' && item.entity?.name) || item.entity?.company || item.entity?.name || '',
+    domain: item.entity?.domain || '',
+    score: typeof item.score === 'number' ? item.score : null,
+    enrichment,
+  }
+}
+
+/**
+ * Split entries into chunks of about SNAPSHOT_CHUNK_BYTES of JSON each
+ */
+function chunkEntries(entries, maxBytes = SNAPSHOT_CHUNK_BYTES) {
+  const chunks = []
+  let current = []
+  let size = 0
+  entries.forEach((entry) => {
+    const entrySize = Buffer.byteLength(JSON.stringify(entry)) + 1
+    if (current.length && size + entrySize > maxBytes) {
+      chunks.push(current)
+      current = []
+      size = 0
+    }
+    current.push(entry)
+    size += entrySize
+  })
+  if (current.length) chunks.push(current)
+  return chunks
+}
+
+function byKey(entries) {
+  const map = new Map()
+  entries.forEach((entry) => {
+    if (!map.has(entry.key)) map.set(entry.key, entry)
+  })
+  return map
+}
+
+function describe(entry) {
+  const { key, itemId, buyerId, entityType, name, domain, score } = entry
+  return { key, itemId, buyerId, entityType, name, domain, score }
+}
+
+/**
+ * Compare two sets of snapshot entries
+ * @param {Array} previous - Entries of the earlier run
+ * @param {Array} current - Entries of the later run
+ * @returns {{ added, dropped, changed, unchangedCount }}
+ *   changed entries carry `changes: { score: { from, to }, enrichment: [{ field, from, to }] }`
+ */
+function diffSnapshots(previous, current) {
+  const before = byKey(previous)
+  const after = byKey(current)
+  const added = []
+  const changed = []
+  let unchangedCount = 0
+
+  after.forEach((entry, key) => {
+    const old = before.get(key)
+    if (!old) {
+      added.push(describe(entry))
+      return
+    }
+
+    const changes = {}
+    if (old.score !== entry.score) changes.score = { from: old.score, to: entry.score }
+    const fields = [...new Set([...Object.keys(old.enrichment), ...Object.keys(entry.enrichment)])]
+    const enrichment = fields
+      .filter(field => String(old.enrichment[field] ?? '') !== String(entry.enrichment[field] ?? ''))
+      .map(field => ({ field, from: old.enrichment[field] ?? null, to: entry.enrichment[field] ?? null }))
+    if (enrichment.length) changes.enrichment = enrichment
+
+    if (Object.keys(changes).length) {
+      changed.push({ ...describe(entry), changes })
+    } else {
+      unchangedCount += 1
+    }
+  })
+
+  const dropped = [...before.entries()]
+    .filter(([key]) => !after.has(key))
+    .map(([, entry]) => describe(entry))
+
+  return { added, dropped, changed, unchangedCount }
+}
+
+/**
+ * Create the run history helpers
+ * @param {Object} options
+ * @param {Object} options.sdk - FN7 SDK instance
+ * @param {Object} options.repository - Document repository (../repository)
+ * @param {Function} [options.now] - Clock
+ */
+function createRunHistory({ sdk, repository, now = () => new Date() }) {
+  /**
+   * Freeze the leadset's current items as the snapshot of its latest run
+   * Call before a new run is created (and before a replace run archives items).
+   * A snapshot that can't be written is logged and skipped rather than holding
+   * up the run; its diff then falls back to the items tagged with the run.
+   * @returns {Promise<Object|null>} The snapshot header, or null when the leadset
+   *   has no run yet or the snapshot could not be written
+   */
+  async function snapshotLatestRun(leadsetId) {
+    const latestRun = await repository.getLatestRun(leadsetId)
+    if (!latestRun) return null
+
+    const entries = (await repository.listItems({ leadsetId })).map(toSnapshotEntry)
+    const chunks = chunkEntries(entries)
+    const snapshot = {
+      id: latestRun.id,
+      runId: latestRun.id,
+      leadsetId,
+      itemCount: entries.length,
+      chunkCount: chunks.length,
+      takenAt: now().toISOString(),
+    }
+
+    try {
+      await Promise.all(chunks.map((items, index) => {
+        const chunk = { id: `${latestRun.id}_${index}`, runId: latestRun.id, leadsetId, index, items }
+        return sdk.createFirebaseData('runSnapshotChunks', chunk.id, chunk).catch(() =>
+          sdk.updateFirebaseData('runSnapshotChunks', chunk.id, chunk)
+        )
+      }))
+      // Written last, so a header always has its chunks
+      await sdk.createFirebaseData('runSnapshots', latestRun.id, snapshot).catch(() =>
+        sdk.updateFirebaseData('runSnapshots', latestRun.id, snapshot)
+      )
+    } catch (err) {
+      console.warn(`[Runs] Could not snapshot run ${latestRun.id}: ${err.message}`)
+      return null
+    }
+    console.log(`[Runs] Snapshotted ${entries.length} items of run ${latestRun.id} in ${chunks.length} chunks`)
+    return snapshot
+  }
+
+  /**
+   * A snapshot's entries; snapshots from before chunking hold them inline
+   */
+  async function readSnapshotEntries(snapshot) {
+    if (Array.isArray(snapshot.items)) return snapshot.items
+    const chunks = await repository.find('runSnapshotChunks', { runId: snapshot.runId || snapshot.id })
+    return chunks
+      .filter(chunk => chunk.index < (snapshot.chunkCount ?? Infinity))
+      .sort((a, b) => a.index - b.index)
+      .flatMap(chunk => chunk.items || [])
+  }
+
+  async function getRunEntries(run, latestRunId) {
+    if (run.id === latestRunId) {
+      return (await repository.listItems({ leadsetId: run.leadsetId })).map(toSnapshotEntry)
+    }
+    const snapshot = await repository.get('runSnapshots', run.id)
+    if (snapshot) return readSnapshotEntries(snapshot)
+    const items = await repository.listItems({ leadsetId: run.leadsetId, runId: run.id, includeArchived: true })
+    return items.map(toSnapshotEntry)
+  }
+
+  /**
+   * Diff a run against the leadset's run before it
+   * @param {string} leadsetId
+   * @param {string} runId
+   * @returns {Promise<Object|null>} null when the run doesn't belong to the leadset
+   */
+  async function diffRun(leadsetId, runId) {
+    const runs = await repository.listRuns(leadsetId)
+    const index = runs.findIndex(run => run.id === runId)
+    if (index === -1) return null
+
+    const run = runs[index]
+    const previousRun = runs[index + 1] || null
+    const latestRunId = runs[0].id
+    const [current, previous] = await Promise.all([
+      getRunEntries(run, latestRunId),
+      previousRun ? getRunEntries(previousRun, latestRunId) : [],
+    ])
+    const { added, dropped, changed, unchangedCount } = diffSnapshots(previous, current)
+
+    return {
+      runId,
+      previousRunId: previousRun?.id || null,
+      isLatest: run.id === latestRunId,
+      counts: {
+        added: added.length,
+        dropped: dropped.length,
+        changed: changed.length,
+        unchanged: unchangedCount,
+      },
+      added,
+      dropped,
+      changed,
+    }
+  }
+
+  return { snapshotLatestRun, diffRun }
+}
+
+module.exports = { createRunHistory, diffSnapshots, toSnapshotEntry, chunkEntries }
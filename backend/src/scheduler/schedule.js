@@ -0,0 +1,175 @@
+/**
+ * Leadset Schedules
+ * Validates per-leadset schedules and computes when they are next due.
+ *
+ * Stored on the leadset as `schedule`:
+ * {
+ *   enabled: true,
+ *   everyDays: 7,            // or
+ *   cron: '0 9 * * 1',       // minute hour day-of-month month day-of-week (UTC)
+ *   count: 10,               // leads requested per scheduled run
+ *   nextRunAt, lastRunAt, lastRunId, lastResult, lastError
+ * }
+ *
+ * Cron supports `*`, numbers, lists (1,15), ranges (1-5) and steps (*\/15, 0-30/10).
+ * As in standard cron, when both day-of-month and day-of-week are restricted a
+ * day matches if either does.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MAX_EVERY_DAYS = 365
+const MAX_SCHEDULED_COUNT = 1000
+const DEFAULT_SCHEDULED_COUNT = 10
+
+// Upper bound on how far ahead getNextRunAt searches for a cron match
+const CRON_SEARCH_LIMIT_MS = 5 * 366 * DAY_MS
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }, // 0 and 7 are both Sunday
+]
+
+function parseCronField(part, { name, min, max }) {
+  const values = new Set()
+
+  part.split(',').forEach((token) => {
+    const [rangePart, stepPart] = token.split('/')
+    const step = stepPart === undefined ? 1 : Number(stepPart)
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepPart}" in cron ${name}`)
+    }
+
+    let start = min
+    let end = max
+    if (rangePart !== '*') {
+      const [from, to] = rangePart.split('-')
+      start = Number(from)
+      end = to === undefined ? (stepPart === undefined ? start : max) : Number(to)
+    }
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid value "${token}" in cron ${name} (allowed ${min}-${max})`)
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(name === 'dayOfWeek' && value === 7 ? 0 : value)
+    }
+  })
+
+  return { values, restricted: part !== '*' }
+}
+
+/**
+ * Parse a 5-field cron expression
+ * @throws {Error} When the expression is invalid
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/)
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error('Cron must have 5 fields: minute hour day-of-month month day-of-week')
+  }
+  return CRON_FIELDS.reduce((acc, field, index) => {
+    acc[field.name] = parseCronField(parts[index], field)
+    return acc
+  }, {})
+}
+
+function cronDayMatches(cron, date) {
+  const domMatch = cron.dayOfMonth.values.has(date.getUTCDate())
+  const dowMatch = cron.dayOfWeek.values.has(date.getUTCDay())
+  if (cron.dayOfMonth.restricted && cron.dayOfWeek.restricted) return domMatch || dowMatch
+  return domMatch && dowMatch
+}
+
+/**
+ * First minute strictly after `from` that matches the cron expression
+ */
+function getNextCronDate(expression, from) {
+  const cron = parseCron(expression)
+  const date = new Date(from.getTime())
+  date.setUTCSeconds(0, 0)
+  date.setUTCMinutes(date.getUTCMinutes() + 1)
+  const limit = from.getTime() + CRON_SEARCH_LIMIT_MS
+
+  while (date.getTime() <= limit) {
+    if (!cron.month.values.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1)
+      date.setUTCHours(0, 0, 0, 0)
+    } else if (!cronDayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1)
+      date.setUTCHours(0, 0, 0, 0)
+    } else if (!cron.hour.values.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0)
+    } else if (!cron.minute.values.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0)
+    } else {
+      return date
+    }
+  }
+
+  return null
+}
+
+/**
+ * When a schedule is next due, counting from `from` (usually now or the last run)
+ * @returns {Date|null}
+ */
+function getNextRunAt(schedule, from) {
+  if (!schedule) return null
+  if (schedule.cron) return getNextCronDate(schedule.cron, from)
+  if (schedule.everyDays) return new Date(from.getTime() + schedule.everyDays * DAY_MS)
+  return null
+}
+
+/**
+ * Validate schedule input from the API
+ * @param {Object} input - { everyDays } or { cron }, plus optional count and enabled
+ * @returns {{ schedule?: Object, error?: string }}
+ */
+function normalizeSchedule(input = {}) {
+  const hasCron = typeof input.cron === 'string' && input.cron.trim() !== ''
+  const hasEvery = input.everyDays !== undefined && input.everyDays !== null
+
+  if (hasCron === hasEvery) {
+    return { error: 'Provide either everyDays or cron' }
+  }
+
+  const schedule = {
+    enabled: input.enabled !== false,
+    count: DEFAULT_SCHEDULED_COUNT,
+  }
+
+  if (hasCron) {
+    try {
+      parseCron(input.cron)
+    } catch (err) {
+      return { error: err.message }
+    }
+    schedule.cron = input.cron.trim().replace(/\s+/g, ' ')
+  } else {
+    const everyDays = Number(input.everyDays)
+    if (!Number.isInteger(everyDays) || everyDays < 1 || everyDays > MAX_EVERY_DAYS) {
+      return { error: `everyDays must be a whole number between 1 and ${MAX_EVERY_DAYS}` }
+    }
+    schedule.everyDays = everyDays
+  }
+
+  if (input.count !== undefined) {
+    const count = Number(input.count)
+    if (!Number.isInteger(count) || count < 1 || count > MAX_SCHEDULED_COUNT) {
+      return { error: `count must be a whole number between 1 and ${MAX_SCHEDULED_COUNT}` }
+    }
+    schedule.count = count
+  }
+
+  return { schedule }
+}
+
+module.exports = {
+  parseCron,
+  getNextRunAt,
+  normalizeSchedule,
+  DEFAULT_SCHEDULED_COUNT,
+}
@@ -0,0 +1,127 @@
+/**
+ * Run Scheduler
+ * Starts runs for leadsets whose schedule is due (see ./schedule.js).
+ *
+ * Each tick:
+ * - Loads leadsets with an enabled schedule and nextRunAt <= now
+ * - Skips a leadset when its latest run is still running
+ * - Otherwise extends the leadset's webset (or starts a new run if it has none)
+ *   through the same flow as POST /leadsets/:id/run, with createdBy 'scheduler'
+ * - Records the outcome on leadset.schedule and moves nextRunAt forward
+ *
+ * The clock and timers are injectable so ticks can be driven deterministically.
+ */
+
+const { getNextRunAt } = require('./schedule')
+
+/**
+ * Create a scheduler
+ * @param {Object} options
+ * @param {Object} options.sdk - FN7 SDK instance
+ * @param {Object} options.repository - Document repository (../repository)
+ * @param {Function} options.startRun - (leadsetId, { mode, count, createdBy }) => Promise<{ status, body }>
+ * @param {Function} [options.getRunStatus] - (run) => Promise<string>; lets the caller refresh a run's status before it is checked
+ * @param {Function} [options.onUpdated] - (leadsetIds) => Promise; called after schedules were written
+ * @param {Function} [options.now] - Clock
+ * @param {number} [options.intervalMs] - Tick interval for start()
+ * @param {Object} [options.timers] - { setInterval, clearInterval }
+ */
+function createScheduler({
+  sdk,
+  repository,
+  startRun,
+  getRunStatus = async (run) => run.status,
+  onUpdated = async () => {},
+  now = () => new Date(),
+  intervalMs = 60000,
+  timers = { setInterval, clearInterval },
+}) {
+  let intervalHandle = null
+  let ticking = false
+
+  async function runSchedule(leadset, latestRun, tickTime) {
+    const schedule = leadset.schedule
+    const nextRunAt = getNextRunAt(schedule, tickTime)
+    const update = {
+      ...schedule,
+      nextRunAt: nextRunAt ? nextRunAt.toISOString() : null,
+      lastCheckedAt: tickTime.toISOString(),
+    }
+
+    if (latestRun && (await getRunStatus(latestRun)) === 'running') {
+      console.log(`[Scheduler] Skipping ${leadset.id}: run ${latestRun.id} is still running`)
+      update.lastResult = 'skipped_running'
+    } else {
+      const mode = latestRun?.websetId || leadset.websetId ? 'extend' : 'new'
+      try {
+        const { status, body } = await startRun(leadset.id, { mode, count: schedule.count, createdBy: 'scheduler' })
+        if (status === 201) {
+          console.log(`[Scheduler] Started ${mode} run ${body.id} for ${leadset.id}`)
+          update.lastResult = 'started'
+          update.lastRunId = body.id
+          update.lastRunAt = tickTime.toISOString()
+          update.lastError = null
+        } else {
+          console.warn(`[Scheduler] Run for ${leadset.id} rejected (${status}): ${body?.message || body?.error}`)
+          update.lastResult = 'rejected'
+          update.lastError = body?.code || body?.error || `HTTP ${status}`
+        }
+      } catch (err) {
+        console.error(`[Scheduler] Run for ${leadset.id} failed:`, err.message)
+        update.lastResult = 'failed'
+        update.lastError = err.message
+      }
+    }
+
+    await sdk.updateFirebaseData('leadsets', leadset.id, { schedule: update })
+    return { leadsetId: leadset.id, result: update.lastResult, runId: update.lastResult === 'started' ? update.lastRunId : null, nextRunAt: update.nextRunAt }
+  }
+
+  /**
+   * Run every due schedule once
+   * @returns {Promise<Array<{ leadsetId, result, runId, nextRunAt }>>}
+   */
+  async function tick() {
+    if (ticking) return []
+    ticking = true
+
+    try {
+      const tickTime = now()
+      const dueLeadsets = (await repository.find('leadsets')).filter(doc =>
+        doc.schedule?.enabled &&
+        doc.schedule.nextRunAt &&
+        new Date(doc.schedule.nextRunAt).getTime() <= tickTime.getTime()
+      )
+      if (dueLeadsets.length === 0) return []
+
+      // Sequential so runs do not race each other for the same budget
+      const results = []
+      for (const leadset of dueLeadsets) {
+        results.push(await runSchedule(leadset, await repository.getLatestRun(leadset.id), tickTime))
+      }
+
+      await onUpdated(results.map(result => result.leadsetId))
+      return results
+    } finally {
+      ticking = false
+    }
+  }
+
+  function start() {
+    if (intervalHandle) return
+    intervalHandle = timers.setInterval(() => {
+      tick().catch(err => console.error('[Scheduler] Tick failed:', err.message))
+    }, intervalMs)
+    console.log(`[Scheduler] Started (every ${Math.round(intervalMs / 1000)}s)`)
+  }
+
+  function stop() {
+    if (!intervalHandle) return
+    timers.clearInterval(intervalHandle)
+    intervalHandle = null
+  }
+
+  return { tick, start, stop, now }
+}
+
+module.exports = { createScheduler }
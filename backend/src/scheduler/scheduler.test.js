@@ -0,0 +1,195 @@
+const { createScheduler } = require('./scheduler')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function createFakeClock(start) {
+  let time = new Date(start).getTime()
+  return {
+    now: () => new Date(time),
+    advance: (ms) => { time += ms },
+  }
+}
+
+function createFakeTimers() {
+  const intervals = new Map()
+  let nextId = 1
+  return {
+    intervals,
+    setInterval: (callback, ms) => {
+      const id = nextId++
+      intervals.set(id, { callback, ms })
+      return id
+    },
+    clearInterval: (id) => { intervals.delete(id) },
+  }
+}
+
+describe('Run scheduler', () => {
+  let clock
+  let leadsets
+  let latestRuns
+  let startRun
+
+  function createStoreScheduler(options = {}) {
+    const sdk = {
+      updateFirebaseData: async (collection, id, data) => {
+        const leadset = leadsets.find(doc => doc.id === id)
+        Object.assign(leadset, data)
+      },
+    }
+    const repository = {
+      find: async () => leadsets.map(doc => ({ ...doc })),
+      getLatestRun: async (leadsetId) => latestRuns[leadsetId] || null,
+    }
+    return createScheduler({ sdk, repository, startRun, now: clock.now, ...options })
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    clock = createFakeClock('2026-03-02T08:00:00.000Z')
+    leadsets = [{
+      id: 'ls_1',
+      websetId: 'webset_1',
+      schedule: { enabled: true, everyDays: 7, count: 10, nextRunAt: '2026-03-02T09:00:00.000Z' },
+    }]
+    latestRuns = {}
+    startRun = jest.fn(async () => ({ status: 201, body: { id: 'run_2' } }))
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('starts a run once the schedule is due and moves nextRunAt forward', async () => {
+    const scheduler = createStoreScheduler()
+
+    expect(await scheduler.tick()).toEqual([])
+    expect(startRun).not.toHaveBeenCalled()
+
+    clock.advance(60 * 60 * 1000)
+    const results = await scheduler.tick()
+
+    expect(startRun).toHaveBeenCalledWith('ls_1', { mode: 'extend', count: 10, createdBy: 'scheduler' })
+    expect(results).toEqual([{ leadsetId: 'ls_1', result: 'started', runId: 'run_2', nextRunAt: '2026-03-09T09:00:00.000Z' }])
+    expect(leadsets[0].schedule).toMatchObject({
+      lastResult: 'started',
+      lastRunId: 'run_2',
+      lastRunAt: '2026-03-02T09:00:00.000Z',
+      lastCheckedAt: '2026-03-02T09:00:00.000Z',
+      nextRunAt: '2026-03-09T09:00:00.000Z',
+      lastError: null,
+    })
+
+    // Not due again until a week later
+    clock.advance(6 * DAY_MS)
+    expect(await scheduler.tick()).toEqual([])
+    clock.advance(DAY_MS)
+    await scheduler.tick()
+    expect(startRun).toHaveBeenCalledTimes(2)
+  })
+
+  test('computes the next cron time from the clock', async () => {
+    leadsets[0].schedule = { enabled: true, cron: '30 9 * * 1', count: 5, nextRunAt: '2026-03-02T09:30:00.000Z' }
+    const scheduler = createStoreScheduler()
+
+    clock.advance(2 * 60 * 60 * 1000)
+    const [result] = await scheduler.tick()
+
+    expect(startRun).toHaveBeenCalledWith('ls_1', { mode: 'extend', count: 5, createdBy: 'scheduler' })
+    expect(result.nextRunAt).toBe('2026-03-09T09:30:00.000Z')
+  })
+
+  test('starts a new run for a leadset without a webset', async () => {
+    delete leadsets[0].websetId
+    clock.advance(DAY_MS)
+
+    await createStoreScheduler().tick()
+
+    expect(startRun).toHaveBeenCalledWith('ls_1', { mode: 'new', count: 10, createdBy: 'scheduler' })
+  })
+
+  test('skips a leadset whose latest run is still running', async () => {
+    latestRuns.ls_1 = { id: 'run_1', status: 'running', websetId: 'webset_1' }
+    clock.advance(DAY_MS)
+
+    const [result] = await createStoreScheduler().tick()
+
+    expect(startRun).not.toHaveBeenCalled()
+    expect(result).toMatchObject({ result: 'skipped_running', runId: null, nextRunAt: '2026-03-10T08:00:00.000Z' })
+    expect(leadsets[0].schedule.lastResult).toBe('skipped_running')
+  })
+
+  test('checks the run status through getRunStatus', async () => {
+    latestRuns.ls_1 = { id: 'run_1', status: 'running', websetId: 'webset_1' }
+    const getRunStatus = jest.fn(async () => 'completed')
+    clock.advance(DAY_MS)
+
+    const [result] = await createStoreScheduler({ getRunStatus }).tick()
+
+    expect(getRunStatus).toHaveBeenCalledWith(latestRuns.ls_1)
+    expect(result.result).toBe('started')
+  })
+
+  test('records rejected and failed runs', async () => {
+    leadsets.push({ id: 'ls_2', schedule: { enabled: true, everyDays: 1, count: 10, nextRunAt: '2026-03-02T07:00:00.000Z' } })
+    startRun = jest.fn(async (leadsetId) => {
+      if (leadsetId === 'ls_1') return { status: 402, body: { error: 'INSUFFICIENT_CREDITS', message: 'Not enough credits' } }
+      throw new Error('Exa unavailable')
+    })
+    clock.advance(DAY_MS)
+
+    const results = await createStoreScheduler().tick()
+
+    expect(results.map(result => result.result)).toEqual(['rejected', 'failed'])
+    expect(leadsets[0].schedule).toMatchObject({ lastResult: 'rejected', lastError: 'INSUFFICIENT_CREDITS' })
+    expect(leadsets[1].schedule).toMatchObject({ lastResult: 'failed', lastError: 'Exa unavailable', nextRunAt: '2026-03-04T08:00:00.000Z' })
+  })
+
+  test('ignores disabled schedules and reports the leadsets it updated', async () => {
+    leadsets.push({ id: 'ls_2', schedule: { enabled: false, everyDays: 1, nextRunAt: '2026-03-01T00:00:00.000Z' } })
+    const onUpdated = jest.fn(async () => {})
+    clock.advance(DAY_MS)
+
+    await createStoreScheduler({ onUpdated }).tick()
+
+    expect(startRun).toHaveBeenCalledTimes(1)
+    expect(onUpdated).toHaveBeenCalledWith(['ls_1'])
+    expect(leadsets[1].schedule.lastCheckedAt).toBeUndefined()
+  })
+
+  test('does not start a tick while the previous one is running', async () => {
+    let finishRun
+    startRun = jest.fn(() => new Promise((resolve) => { finishRun = resolve }))
+    clock.advance(DAY_MS)
+    const scheduler = createStoreScheduler()
+
+    const first = scheduler.tick()
+    await new Promise(resolve => setImmediate(resolve))
+    expect(await scheduler.tick()).toEqual([])
+
+    finishRun({ status: 201, body: { id: 'run_2' } })
+    expect(await first).toHaveLength(1)
+    expect(startRun).toHaveBeenCalledTimes(1)
+  })
+
+  test('ticks on the injected timers between start and stop', async () => {
+    const timers = createFakeTimers()
+    const scheduler = createStoreScheduler({ timers, intervalMs: 1000 })
+
+    scheduler.start()
+    scheduler.start()
+    expect(timers.intervals.size).toBe(1)
+    const [{ callback, ms }] = timers.intervals.values()
+    expect(ms).toBe(1000)
+
+    clock.advance(DAY_MS)
+    callback()
+    await new Promise(resolve => setImmediate(resolve))
+    expect(startRun).toHaveBeenCalledTimes(1)
+
+    scheduler.stop()
+    expect(timers.intervals.size).toBe(0)
+  })
+})
@@ -0,0 +1,217 @@
+/**
+ * Lead Scoring Engine
+ * Scores an item (0-100) as a weighted blend of components, using
+ * settings.scoringWeights:
+ *
+ * - segment: weighted share of satisfied segment/geo/size/stack/tribe/custom criteria
+ * - intent: weighted share of satisfied intent-signal criteria
+ * - recency: how recently the lead was found (halves every RECENCY_HALF_LIFE_DAYS)
+ * - platform: how trustworthy the source platform is (see PLATFORM_SCORES)
+ * - credibility: evidence behind satisfied evaluations + contact details found by enrichment
+ * - verification: the email's deliverability (item.emailStatus, see ../verification)
+ *
+ * Evaluations are mapped back to criteria through the run's searchCriteria
+ * (Exa echoes each criterion description). Components with no data (e.g. no
+ * intent criteria, not enriched yet) are left out and the remaining weights
+ * are re-normalized, so an un-enriched lead is not penalized for it.
+ */
+
+const DEFAULT_SCORING_WEIGHTS = {
+  segment: 0.3,
+  intent: 0.3,
+  recency: 0.15,
+  platform: 0.1,
+  credibility: 0.1,
+  verification: 0.05,
+}
+
+const SCORE_COMPONENTS = Object.keys(DEFAULT_SCORING_WEIGHTS)
+
+const RECENCY_HALF_LIFE_DAYS = 30
+
+// Source host -> platform score; hosts not listed score DEFAULT_PLATFORM_SCORE
+const PLATFORM_SCORES = {
+  'linkedin.com': 1,
+  'crunchbase.com': 0.9,
+  'github.com': 0.8,
+  'producthunt.com': 0.7,
+  'x.com': 0.6,
+  'twitter.com': 0.6,
+  'youtube.com': 0.6,
+  'instagram.com': 0.6,
+  'tiktok.com': 0.6,
+  'reddit.com': 0.5,
+}
+const OWN_DOMAIN_PLATFORM_SCORE = 0.8
+const DEFAULT_PLATFORM_SCORE = 0.5
+
+const SATISFIED_VALUES = { yes: 1, unclear: 0.5, no: 0 }
+
+// emailStatus -> verification score; 'unknown' and unverified emails have no score
+const EMAIL_STATUS_SCORES = { valid: 1, risky: 0.5, invalid: 0 }
+
+// Enrichment fields that count as contact details for credibility
+const CONTACT_FIELDS = ['email', 'phone', 'linkedinUrl']
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value))
+}
+
+function toSatisfiedValue(satisfied) {
+  if (satisfied === true) return 1
+  if (satisfied === false) return 0
+  return SATISFIED_VALUES[String(satisfied || '').toLowerCase()] ?? 0
+}
+
+/**
+ * Fill in missing components with defaults and drop invalid values
+ */
+function normalizeScoringWeights(weights = {}) {
+  return SCORE_COMPONENTS.reduce((acc, component) => {
+    const value = Number(weights?.[component])
+    acc[component] = Number.isFinite(value) && value >= 0 ? value : DEFAULT_SCORING_WEIGHTS[component]
+    return acc
+  }, {})
+}
+
+function hasContactValue(value) {
+  return Boolean(value) && value !== 'Not found'
+}
+
+function scorePlatform(item) {
+  const platform = String(item.platform || '').toLowerCase().replace(/^www\./, '')
+  if (!platform || platform === 'web') return null
+  const known = Object.keys(PLATFORM_SCORES).find((host) => platform === host || platform.endsWith(`.${host}`))
+  if (known) return PLATFORM_SCORES[known]
+  const domain = String(item.entity?.domain || '').toLowerCase().replace(/^www\./, '')
+  return domain && platform === domain ? OWN_DOMAIN_PLATFORM_SCORE : DEFAULT_PLATFORM_SCORE
+}
+
+function scoreRecency(item, now) {
+  const timestamp = new Date(item.recency || item.createdAt || 0).getTime()
+  if (!timestamp) return null
+  const ageDays = Math.max(0, (now.getTime() - timestamp) / (24 * 60 * 60 * 1000))
+  return Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS)
+}
+
+function scoreVerification(item) {
+  return EMAIL_STATUS_SCORES[item.emailStatus] ?? null
+}
+
+/**
+ * Share of satisfied evaluations backed by references, averaged with the share
+ * of attempted contact fields enrichment actually found
+ */
+function scoreCredibility(item, evaluations) {
+  const parts = []
+
+  const satisfied = evaluations.filter((evaluation) => toSatisfiedValue(evaluation.satisfied) === 1)
+  if (satisfied.length > 0) {
+    const referenced = satisfied.filter((evaluation) => (evaluation.references || []).length > 0)
+    parts.push(referenced.length / satisfied.length)
+  }
+
+  const enrichment = item.enrichment || {}
+  const attempted = CONTACT_FIELDS.filter((field) => field in enrichment)
+  if (attempted.length > 0) {
+    parts.push(attempted.filter((field) => hasContactValue(enrichment[field])).length / attempted.length)
+  }
+
+  return parts.length ? parts.reduce((sum, part) => sum + part, 0) / parts.length : null
+}
+
+/**
+ * Weighted share of satisfied criteria in a group
+ */
+function scoreCriteriaGroup(group) {
+  const totalWeight = group.reduce((sum, entry) => sum + entry.weight, 0)
+  if (!group.length || totalWeight <= 0) return null
+  return group.reduce((sum, entry) => sum + entry.weight * entry.value, 0) / totalWeight
+}
+
+/**
+ * Split evaluations into segment/intent/tribe groups via the run's criteria
+ * Evaluations that match no criterion (e.g. runs created before criteria were
+ * stored on the run) count towards segment fit with weight 1
+ */
+function groupEvaluations(evaluations, criteria) {
+  const criteriaByDescription = new Map(
+    (criteria || []).map((criterion) => [String(criterion.description || '').trim().toLowerCase(), criterion])
+  )
+  const groups = { segment: [], intent: [], tribe: [] }
+
+  evaluations.forEach((evaluation) => {
+    const description = String(evaluation.criterion || '').trim()
+    const criterion = criteriaByDescription.get(description.toLowerCase())
+    const group = criterion?.source === 'intent' ? 'intent' : criterion?.source === 'tribe' ? 'tribe' : 'segment'
+    groups[group].push({
+      description: criterion?.description || description,
+      weight: typeof criterion?.weight === 'number' ? criterion.weight : 1,
+      value: toSatisfiedValue(evaluation.satisfied),
+    })
+  })
+
+  return groups
+}
+
+/**
+ * Score an item
+ *
+ * @param {Object} item - Item in our format (see transformExaItem)
+ * @param {Object} [options]
+ * @param {Object} [options.weights] - settings.scoringWeights
+ * @param {Array} [options.criteria] - run.searchCriteria
+ * @param {Date} [options.now]
+ * @returns {{ score: number, scoreBreakdown: Object, matches: { segment: string[], intent: string[], tribe: string[] } }}
+ */
+function scoreItem(item, { weights, criteria = [], now = new Date() } = {}) {
+  const normalizedWeights = normalizeScoringWeights(weights)
+  const evaluations = Array.isArray(item.evaluations) ? item.evaluations : []
+  const groups = groupEvaluations(evaluations, criteria)
+
+  const components = {
+    // Tribe criteria describe the audience, so they count towards segment fit
+    segment: scoreCriteriaGroup([...groups.segment, ...groups.tribe]),
+    intent: scoreCriteriaGroup(groups.intent),
+    recency: scoreRecency(item, now),
+    platform: scorePlatform(item),
+    credibility: scoreCredibility(item, evaluations),
+    verification: scoreVerification(item),
+  }
+
+  const activeWeight = SCORE_COMPONENTS
+    .filter((component) => components[component] !== null)
+    .reduce((sum, component) => sum + normalizedWeights[component], 0)
+
+  const scoreBreakdown = {}
+  let total = 0
+  SCORE_COMPONENTS.forEach((component) => {
+    const value = components[component]
+    const effectiveWeight = value === null || activeWeight <= 0 ? 0 : normalizedWeights[component] / activeWeight
+    total += value === null ? 0 : effectiveWeight * clamp01(value)
+    scoreBreakdown[component] = {
+      score: value === null ? null : Math.round(clamp01(value) * 100),
+      weight: normalizedWeights[component],
+      contribution: Math.round(effectiveWeight * clamp01(value || 0) * 1000) / 10,
+    }
+  })
+
+  const satisfiedDescriptions = (group) => group.filter((entry) => entry.value === 1).map((entry) => entry.description)
+
+  return {
+    score: Math.round(total * 100),
+    scoreBreakdown,
+    matches: {
+      segment: satisfiedDescriptions(groups.segment),
+      intent: satisfiedDescriptions(groups.intent),
+      tribe: satisfiedDescriptions(groups.tribe),
+    },
+  }
+}
+
+module.exports = {
+  scoreItem,
+  normalizeScoringWeights,
+  DEFAULT_SCORING_WEIGHTS,
+  SCORE_COMPONENTS,
+}
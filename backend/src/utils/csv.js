@@ -0,0 +1,120 @@
+/**
+ * CSV helpers
+ */
+
+/**
+ * Parse RFC 4180 CSV text into an array of row objects keyed by header
+ * Handles quoted fields, escaped quotes ("") and embedded newlines.
+ *
+ * @param {string} text - CSV content
+ * @returns {Array<Object>} rows keyed by the (trimmed) header names
+ */
+function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+  const input = String(text || '').replace(/^\uFEFF/, '')
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"'
+          i++
+        } else {
+          inQuotes = false
+        }
+      } else {
+        field += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  const nonEmptyRows = rows.filter((cells) => cells.some((cell) => cell.trim() !== ''))
+  if (nonEmptyRows.length === 0) return []
+
+  const header = nonEmptyRows[0].map((cell) => cell.trim())
+  return nonEmptyRows.slice(1).map((cells) =>
+    header.reduce((acc, key, index) => {
+      if (key) acc[key] = (cells[index] || '').trim()
+      return acc
+    }, {})
+  )
+}
+
+/**
+ * Quote a single CSV field per RFC 4180 (only when needed)
+ */
+function quoteCsvField(value) {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Signed numbers (-12.5, +3e4) and phone numbers (+1 (555) 010-2000) start with + or -
+// but can't call anything, so they are written as-is
+const PLAIN_NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/
+const PHONE_NUMBER = /^\+\d[\d\s().-]*\d$/
+
+/**
+ * Prefix text a spreadsheet would evaluate as a formula with ', so it shows as text
+ * Covers cells starting with =, @, tab or carriage return, and cells starting
+ * with + or - unless they are a plain number or a phone number.
+ */
+function neutralizeFormula(text) {
+  if (/^[+-]/.test(text) && (PLAIN_NUMBER.test(text) || PHONE_NUMBER.test(text))) return text
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text
+}
+
+/**
+ * Quote a single CSV field for a file opened in a spreadsheet
+ * Numbers are written as-is; text that looks like a formula is neutralized.
+ */
+function escapeCsvField(value) {
+  if (value === null || value === undefined) return ''
+  if (typeof value === 'number') return quoteCsvField(value)
+  return quoteCsvField(neutralizeFormula(String(value)))
+}
+
+/**
+ * Serialize rows to RFC 4180 CSV text (CRLF line endings)
+ * Values are written verbatim, for CSV read by programs (Exa imports);
+ * exports use escapeCsvField.
+ *
+ * @param {Array<string>} header - Column names (also the keys read from each row)
+ * @param {Array<Object>} rows - Row objects keyed by column name
+ * @returns {string} CSV content
+ */
+function stringifyCsv(header, rows) {
+  const lines = [header.map(quoteCsvField).join(',')]
+  rows.forEach((row) => {
+    lines.push(header.map((column) => quoteCsvField(row[column])).join(','))
+  })
+  return lines.join('\r\n')
+}
+
+module.exports = { parseCsv, stringifyCsv, escapeCsvField, neutralizeFormula }
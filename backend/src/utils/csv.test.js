@@ -0,0 +1,28 @@
+const { escapeCsvField, neutralizeFormula } = require('./csv')
+
+describe('CSV formula neutralizing', () => {
+  test('prefixes text a spreadsheet would run as a formula', () => {
+    expect(neutralizeFormula('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)")
+    expect(neutralizeFormula('@SUM(1)')).toBe("'@SUM(1)")
+    expect(neutralizeFormula("+cmd|' /C calc'!A0")).toBe("'+cmd|' /C calc'!A0")
+    expect(neutralizeFormula('-2+3+cmd|x!A0')).toBe("'-2+3+cmd|x!A0")
+    expect(neutralizeFormula('\tvalue')).toBe("'\tvalue")
+    expect(neutralizeFormula('- follow up')).toBe("'- follow up")
+  })
+
+  test('keeps phone numbers and signed numbers as written', () => {
+    expect(neutralizeFormula('+14155550100')).toBe('+14155550100')
+    expect(neutralizeFormula('+1 (415) 555-0100')).toBe('+1 (415) 555-0100')
+    expect(neutralizeFormula('+44 20 7946 0958')).toBe('+44 20 7946 0958')
+    expect(neutralizeFormula('-12.5')).toBe('-12.5')
+    expect(neutralizeFormula('+3e4')).toBe('+3e4')
+    expect(escapeCsvField('+1 (415) 555-0100')).toBe('+1 (415) 555-0100')
+  })
+
+  test('quotes fields only when needed', () => {
+    expect(escapeCsvField('Acme, Inc.')).toBe('"Acme, Inc."')
+    expect(escapeCsvField('=1+1, "x"')).toBe(`"'=1+1, ""x"""`)
+    expect(escapeCsvField(-3)).toBe('-3')
+    expect(escapeCsvField(null)).toBe('')
+  })
+})
@@ -0,0 +1,182 @@
+/**
+ * XLSX helpers
+ * Writes a single-sheet Office Open XML workbook without a spreadsheet
+ * library: the sheet uses inline strings, and the parts are packed into a zip
+ * with zlib's raw deflate.
+ */
+
+const zlib = require('zlib')
+const { neutralizeFormula } = require('./csv')
+
+// 1980-01-01, the earliest date a zip entry can carry
+const DOS_EPOCH_DATE = (1 << 5) | 1
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+function crc32(buffer) {
+  let crc = 0xffffffff
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/**
+ * Pack files into a zip archive (deflate, no zip64)
+ * @param {Array<{ name: string, data: Buffer|string }>} files
+ * @returns {Buffer}
+ */
+function buildZip(files) {
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  files.forEach(({ name, data }) => {
+    const nameBuffer = Buffer.from(name, 'utf8')
+    const raw = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8')
+    const compressed = zlib.deflateRawSync(raw)
+    const crc = crc32(raw)
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(20, 4) // version needed
+    local.writeUInt16LE(0x0800, 6) // UTF-8 names
+    local.writeUInt16LE(8, 8) // deflate
+    local.writeUInt16LE(0, 10) // time
+    local.writeUInt16LE(DOS_EPOCH_DATE, 12)
+    local.writeUInt32LE(crc, 14)
+    local.writeUInt32LE(compressed.length, 18)
+    local.writeUInt32LE(raw.length, 22)
+    local.writeUInt16LE(nameBuffer.length, 26)
+    local.writeUInt16LE(0, 28)
+    localParts.push(local, nameBuffer, compressed)
+
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014b50, 0)
+    central.writeUInt16LE(20, 4) // version made by
+    central.writeUInt16LE(20, 6)
+    central.writeUInt16LE(0x0800, 8)
+    central.writeUInt16LE(8, 10)
+    central.writeUInt16LE(0, 12)
+    central.writeUInt16LE(DOS_EPOCH_DATE, 14)
+    central.writeUInt32LE(crc, 16)
+    central.writeUInt32LE(compressed.length, 20)
+    central.writeUInt32LE(raw.length, 24)
+    central.writeUInt16LE(nameBuffer.length, 28)
+    central.writeUInt32LE(offset, 42)
+    centralParts.push(central, nameBuffer)
+
+    offset += local.length + nameBuffer.length + compressed.length
+  })
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(files.length, 8)
+  end.writeUInt16LE(files.length, 10)
+  end.writeUInt32LE(centralSize, 12)
+  end.writeUInt32LE(offset, 16)
+
+  return Buffer.concat([...localParts, ...centralParts, end])
+}
+
+/**
+ * Escape text for XML, dropping characters XML 1.0 does not allow
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * 0 -> A, 25 -> Z, 26 -> AA
+ */
+function columnName(index) {
+  let name = ''
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name
+  }
+  return name
+}
+
+function buildCell(value, ref) {
+  if (value === null || value === undefined || value === '') return ''
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`
+  }
+  // Excel caps cells at 32767 characters
+  const text = escapeXml(neutralizeFormula(String(value)).slice(0, 32767))
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`
+}
+
+function buildSheet(header, rows) {
+  const lines = [header, ...rows.map(row => header.map(column => row[column]))].map((cells, rowIndex) => {
+    const r = rowIndex + 1
+    const cellXml = cells.map((value, colIndex) => buildCell(value, `${columnName(colIndex)}${r}`)).join('')
+    return `<row r="${r}">${cellXml}</row>`
+  })
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${lines.join('')}</sheetData>` +
+    '</worksheet>'
+}
+
+/**
+ * Serialize rows to an XLSX workbook with one sheet (header row frozen)
+ *
+ * @param {Array<string>} header - Column names (also the keys read from each row)
+ * @param {Array<Object>} rows - Row objects keyed by column name
+ * @param {Object} [options] - { sheetName }
+ * @returns {Buffer} XLSX file content
+ */
+function stringifyXlsx(header, rows, { sheetName = 'Leads' } = {}) {
+  // Sheet names: max 31 chars, no []:*?/\
+  const safeSheetName = escapeXml(String(sheetName).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1')
+
+  return buildZip([
+    {
+      name: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>',
+    },
+    { name: 'xl/worksheets/sheet1.xml', data: buildSheet(header, rows) },
+  ])
+}
+
+module.exports = { stringifyXlsx, buildZip, escapeXml }
@@ -0,0 +1,89 @@
+/**
+ * Email Checks
+ * The checks an unlocked email gets before any provider is asked: syntax
+ * (the enrichment normalizer's rules), role accounts (info@, sales@...),
+ * free mailbox providers and whether the address belongs to the lead's domain.
+ *
+ * Reasons:
+ *   syntax           not a deliverable address (status 'invalid')
+ *   role_account     shared inbox rather than a person
+ *   free_mail        personal mailbox (gmail.com, outlook.com...) for a work contact
+ *   domain_mismatch  the address isn't on the lead's domain
+ *
+ * Any reason but syntax makes an address 'risky'; the provider decides the rest.
+ */
+
+const { normalizeFieldValue } = require('../enrichment/normalizers')
+
+const ROLE_ACCOUNTS = [
+  'info', 'sales', 'contact', 'hello', 'hi', 'support', 'help', 'admin', 'office', 'team',
+  'marketing', 'press', 'media', 'pr', 'news', 'enquiries', 'inquiries', 'enquiry', 'inquiry',
+  'billing', 'accounts', 'accounting', 'finance', 'hr', 'jobs', 'careers', 'recruiting',
+  'noreply', 'no-reply', 'donotreply', 'webmaster', 'postmaster', 'hostmaster', 'abuse',
+  'partners', 'partnerships', 'business', 'service', 'customerservice', 'orders', 'shop',
+  'store', 'mail', 'general', 'feedback', 'legal', 'privacy', 'security', 'wholesale',
+]
+
+const FREE_MAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'ymail.com', 'hotmail.com', 'outlook.com',
+  'live.com', 'msn.com', 'aol.com', 'icloud.com', 'me.com', 'mac.com', 'proton.me',
+  'protonmail.com', 'gmx.com', 'gmx.de', 'gmx.net', 'web.de', 'yandex.ru', 'yandex.com',
+  'mail.ru', 'zoho.com', 'qq.com', '163.com',
+]
+
+function cleanDomain(domain) {
+  return String(domain || '').trim().toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/^www\./, '')
+}
+
+/**
+ * 'jane@eu.acme.com' is on acme.com, and 'jane@acme.com' on shop.acme.com
+ */
+function isSameDomain(emailDomain, leadDomain) {
+  if (!emailDomain || !leadDomain) return false
+  return emailDomain === leadDomain ||
+    emailDomain.endsWith(`.${leadDomain}`) ||
+    leadDomain.endsWith(`.${emailDomain}`)
+}
+
+function isRoleAccount(local) {
+  const base = local.split('+')[0]
+  return ROLE_ACCOUNTS.includes(base) || ROLE_ACCOUNTS.includes(base.replace(/[._-]?\d+$/, ''))
+}
+
+/**
+ * Check an address without contacting anyone
+ * @param {string} email - The item's enrichment.email
+ * @param {Object} [item] - The item it belongs to (entity.domain)
+ * @returns {{ status: 'valid'|'risky'|'invalid', email: string|null, domain: string|null, reasons: string[] }}
+ */
+function checkEmail(email, item = {}) {
+  const normalized = normalizeFieldValue('email', email)
+  if (normalized.status !== 'valid') {
+    return { status: 'invalid', email: null, domain: null, reasons: ['syntax'] }
+  }
+
+  const address = normalized.value
+  const [local, domain] = address.split('@')
+  const reasons = []
+  if (isRoleAccount(local)) reasons.push('role_account')
+
+  const leadDomain = cleanDomain(item.entity?.domain)
+  if (FREE_MAIL_DOMAINS.includes(domain)) {
+    reasons.push('free_mail')
+  } else if (leadDomain && !isSameDomain(domain, leadDomain)) {
+    reasons.push('domain_mismatch')
+  }
+
+  return { status: reasons.length ? 'risky' : 'valid', email: address, domain, reasons }
+}
+
+module.exports = {
+  checkEmail,
+  isRoleAccount,
+  isSameDomain,
+  ROLE_ACCOUNTS,
+  FREE_MAIL_DOMAINS,
+}
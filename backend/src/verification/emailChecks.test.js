@@ -0,0 +1,50 @@
+const { checkEmail, isRoleAccount, isSameDomain } = require('./emailChecks')
+
+const lead = domain => ({ entity: { domain } })
+
+describe('Email checks', () => {
+  test('marks addresses that fail the syntax rules invalid', () => {
+    for (const email of ['jane at acme.com', 'jane..doe@acme.com', 'jane@acme', 'john@example.com', '', null]) {
+      expect(checkEmail(email, lead('acme.com'))).toEqual({ status: 'invalid', email: null, domain: null, reasons: ['syntax'] })
+    }
+  })
+
+  test('accepts a personal address on the lead domain, normalized', () => {
+    expect(checkEmail(' Jane.Doe@Acme.com ', lead('https://www.acme.com/about'))).toEqual({
+      status: 'valid',
+      email: 'jane.doe@acme.com',
+      domain: 'acme.com',
+      reasons: [],
+    })
+  })
+
+  test('flags role accounts, with tags and numbers', () => {
+    expect(isRoleAccount('sales')).toBe(true)
+    expect(isRoleAccount('info+leads')).toBe(true)
+    expect(isRoleAccount('support2')).toBe(true)
+    expect(isRoleAccount('no-reply')).toBe(true)
+    expect(isRoleAccount('jane')).toBe(false)
+    expect(isRoleAccount('salesforce')).toBe(false)
+    expect(checkEmail('info@acme.com', lead('acme.com'))).toMatchObject({ status: 'risky', reasons: ['role_account'] })
+  })
+
+  test('flags free mailboxes instead of a domain mismatch', () => {
+    expect(checkEmail('jane.doe@gmail.com', lead('acme.com'))).toMatchObject({ status: 'risky', reasons: ['free_mail'] })
+    expect(checkEmail('jane.doe@outlook.com')).toMatchObject({ status: 'risky', reasons: ['free_mail'] })
+  })
+
+  test('matches the lead domain, its subdomains and parents', () => {
+    expect(isSameDomain('eu.acme.com', 'acme.com')).toBe(true)
+    expect(isSameDomain('acme.com', 'shop.acme.com')).toBe(true)
+    expect(isSameDomain('notacme.com', 'acme.com')).toBe(false)
+    expect(isSameDomain('acme.com', '')).toBe(false)
+
+    expect(checkEmail('jane@eu.acme.com', lead('acme.com')).status).toBe('valid')
+    expect(checkEmail('jane@acme.co', lead('acme.com'))).toMatchObject({ status: 'risky', reasons: ['domain_mismatch'] })
+    expect(checkEmail('sales@other.io', lead('acme.com')).reasons).toEqual(['role_account', 'domain_mismatch'])
+  })
+
+  test('skips the domain match when the lead has no domain', () => {
+    expect(checkEmail('jane@acme.co', {})).toMatchObject({ status: 'valid', reasons: [] })
+  })
+})
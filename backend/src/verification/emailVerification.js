@@ -0,0 +1,133 @@
+/**
+ * Email Verification
+ * The step after enrichment that decides whether an unlocked email is safe to
+ * send to: the local checks (./emailChecks) first, then the configured
+ * provider (./index) for addresses that pass syntax.
+ *
+ * Written on the item:
+ *   emailStatus: 'valid' | 'risky' | 'invalid' | 'unknown'
+ *   emailVerification: { email, status, reasons, provider, providerResult, checkedAt }
+ *
+ *   valid    passes every check and the provider accepts the mailbox
+ *   risky    role account, free mailbox, other domain, or an accept-all server
+ *   invalid  bad syntax or the provider says the mailbox doesn't exist
+ *   unknown  passes the local checks but the provider couldn't tell (or there is none)
+ *
+ * An item is verified again only when its email changes (or with `force`).
+ * Items whose email is gone lose their emailStatus.
+ */
+
+const { checkEmail } = require('./emailChecks')
+const { hasValue } = require('../buyers/identity')
+
+const EMAIL_STATUSES = ['valid', 'risky', 'invalid', 'unknown']
+
+// Provider calls made at once
+const VERIFY_CONCURRENCY = 5
+
+/**
+ * Combine the local checks with the provider's answer
+ */
+function combineResults(check, provider) {
+  const reasons = [...check.reasons]
+  if (provider.reason && !reasons.includes(provider.reason)) reasons.push(provider.reason)
+
+  if (provider.result === 'undeliverable') return { status: 'invalid', reasons }
+  if (provider.result === 'risky') return { status: 'risky', reasons }
+  if (provider.result === 'deliverable') return { status: check.status, reasons }
+  return { status: check.status === 'risky' ? 'risky' : 'unknown', reasons }
+}
+
+/**
+ * Create the email verification service
+ * @param {Object} options
+ * @param {Object} options.sdk - FN7 SDK instance
+ * @param {Object} options.repository - Document repository (../repository)
+ * @param {Object} options.verifier - Provider adapter (./index getEmailVerifier)
+ * @param {Function} [options.now] - Clock
+ */
+function createEmailVerification({ sdk, repository, verifier, now = () => new Date() }) {
+  /**
+   * Verify one address
+   * @param {string} email
+   * @param {Object} [item] - The item it belongs to (for the domain match)
+   * @returns {Promise<Object>} emailVerification (see above)
+   */
+  async function verifyEmail(email, item = {}) {
+    const check = checkEmail(email, item)
+    let provider = { result: 'unknown', reason: null }
+    if (check.status !== 'invalid') {
+      try {
+        provider = await verifier.verify(check.email)
+      } catch (err) {
+        console.warn(`[EmailVerification] Provider failed for ${check.email}:`, err.message)
+        provider = { result: 'unknown', reason: 'provider_error' }
+      }
+    }
+
+    const { status, reasons } = check.status === 'invalid'
+      ? { status: 'invalid', reasons: check.reasons }
+      : combineResults(check, provider)
+    return {
+      email: String(email),
+      status,
+      reasons,
+      provider: verifier.kind,
+      providerResult: check.status === 'invalid' ? null : provider.result,
+      checkedAt: now().toISOString(),
+    }
+  }
+
+  /**
+   * Verify the emails of a leadset's items
+   * @param {Object} options
+   * @param {string} options.leadsetId
+   * @param {string} [options.runId] - Only this run's items
+   * @param {Array<string>} [options.itemIds] - Only these items
+   * @param {boolean} [options.force] - Verify again even when the email hasn't changed
+   * @returns {Promise<{ verified: number, cleared: number, skipped: number, counts: Object }>}
+   */
+  async function verifyItems({ leadsetId, runId = null, itemIds = null, force = false }) {
+    const wanted = Array.isArray(itemIds) ? new Set(itemIds) : null
+    const items = (await repository.listItems({ leadsetId, runId: runId || undefined }))
+      .filter(item => !wanted || wanted.has(item.itemId || item.id))
+
+    const counts = Object.fromEntries(EMAIL_STATUSES.map(status => [status, 0]))
+    let cleared = 0
+    let skipped = 0
+    const pending = []
+
+    for (const item of items) {
+      const itemId = item.itemId || item.id
+      const email = item.enrichment?.email
+      if (!hasValue(email)) {
+        if (item.emailStatus || item.emailVerification) {
+          pending.push(() => sdk.updateFirebaseData('items', itemId, { emailStatus: null, emailVerification: null }))
+          cleared++
+        }
+        continue
+      }
+      if (!force && item.emailVerification?.email === String(email)) {
+        skipped++
+        continue
+      }
+      pending.push(async () => {
+        const emailVerification = await verifyEmail(email, item)
+        await sdk.updateFirebaseData('items', itemId, { emailStatus: emailVerification.status, emailVerification })
+        counts[emailVerification.status]++
+      })
+    }
+
+    for (let i = 0; i < pending.length; i += VERIFY_CONCURRENCY) {
+      await Promise.all(pending.slice(i, i + VERIFY_CONCURRENCY).map(task => task()))
+    }
+
+    const verified = Object.values(counts).reduce((sum, count) => sum + count, 0)
+    console.log(`[EmailVerification] ${leadsetId}: verified ${verified} emails (${EMAIL_STATUSES.map(status => `${counts[status]} ${status}`).join(', ')}), ${skipped} unchanged, ${cleared} cleared`)
+    return { verified, cleared, skipped, counts }
+  }
+
+  return { verifyEmail, verifyItems }
+}
+
+module.exports = { createEmailVerification, EMAIL_STATUSES }
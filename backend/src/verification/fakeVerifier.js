@@ -0,0 +1,37 @@
+/**
+ * Local fake email verifier
+ * Answers like a provider without contacting one, so the verification step
+ * can be exercised offline. Answers are deterministic per address:
+ *
+ *   bounce@..., invalid@...        undeliverable (mailbox_not_found)
+ *   any address on a catchall.*    risky (accept_all)
+ *   timeout@...                    unknown (timeout)
+ *   otherwise                      1 in 8 undeliverable, 1 in 8 risky, the rest deliverable
+ */
+
+const crypto = require('crypto')
+
+function bucket(email) {
+  return crypto.createHash('sha1').update(email).digest()[0] % 8
+}
+
+function createFakeVerifier({ delayMs = 0 } = {}) {
+  async function verify(email) {
+    if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs))
+    const address = String(email || '').toLowerCase()
+    const [local = '', domain = ''] = address.split('@')
+
+    if (['bounce', 'invalid'].includes(local)) return { result: 'undeliverable', reason: 'mailbox_not_found' }
+    if (domain.startsWith('catchall.') || domain.includes('.catchall.')) return { result: 'risky', reason: 'accept_all' }
+    if (local === 'timeout') return { result: 'unknown', reason: 'timeout' }
+
+    const value = bucket(address)
+    if (value === 0) return { result: 'undeliverable', reason: 'mailbox_not_found' }
+    if (value === 1) return { result: 'risky', reason: 'accept_all' }
+    return { result: 'deliverable', reason: null }
+  }
+
+  return { kind: 'fake', verify }
+}
+
+module.exports = { createFakeVerifier }
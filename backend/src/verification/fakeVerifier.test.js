@@ -0,0 +1,23 @@
+const { createFakeVerifier } = require('./fakeVerifier')
+
+describe('Fake email verifier', () => {
+  const verifier = createFakeVerifier()
+
+  test('answers the reserved addresses', async () => {
+    expect(verifier.kind).toBe('fake')
+    await expect(verifier.verify('bounce@acme.com')).resolves.toEqual({ result: 'undeliverable', reason: 'mailbox_not_found' })
+    await expect(verifier.verify('Invalid@acme.com')).resolves.toEqual({ result: 'undeliverable', reason: 'mailbox_not_found' })
+    await expect(verifier.verify('jane@catchall.acme.com')).resolves.toEqual({ result: 'risky', reason: 'accept_all' })
+    await expect(verifier.verify('jane@mail.catchall.io')).resolves.toEqual({ result: 'risky', reason: 'accept_all' })
+    await expect(verifier.verify('timeout@acme.com')).resolves.toEqual({ result: 'unknown', reason: 'timeout' })
+  })
+
+  test('gives every other address the same answer each time', async () => {
+    const emails = Array.from({ length: 64 }, (_, index) => `person${index}@acme.com`)
+    const first = await Promise.all(emails.map(email => verifier.verify(email)))
+    const again = await Promise.all(emails.map(email => verifier.verify(email.toUpperCase())))
+
+    expect(again).toEqual(first)
+    expect(new Set(first.map(answer => answer.result))).toEqual(new Set(['deliverable', 'risky', 'undeliverable']))
+  })
+})
@@ -0,0 +1,54 @@
+/**
+ * HTTP Email Verifier
+ * Asks a verification provider whether a mailbox accepts mail. Any provider
+ * (ZeroBounce, NeverBounce, an in-house SMTP prober...) works behind a bridge
+ * that speaks this protocol:
+ *
+ *   POST {url}/verify   { email }
+ *   -> 200 { result: 'deliverable' | 'undeliverable' | 'risky' | 'unknown', reason }
+ *
+ * Requests carry `Authorization: Bearer <apiKey>` when an API key is set.
+ */
+
+const DEFAULT_TIMEOUT_MS = 10000
+const PROVIDER_RESULTS = ['deliverable', 'undeliverable', 'risky', 'unknown']
+
+/**
+ * Create an HTTP verifier
+ * @param {Object} options
+ * @param {string} options.url - Provider bridge base URL
+ * @param {string} [options.apiKey] - Bearer token
+ * @param {number} [options.timeoutMs]
+ */
+function createHttpVerifier({ url, apiKey = null, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  if (!url) throw new Error('EMAIL_VERIFIER_URL is required for the http email verifier')
+  const baseUrl = String(url).replace(/\/+$/, '')
+
+  /**
+   * @param {string} email
+   * @returns {Promise<{ result: string, reason: string|null }>}
+   */
+  async function verify(email) {
+    const headers = { 'Content-Type': 'application/json' }
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`
+
+    const response = await fetch(`${baseUrl}/verify`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ email }),
+      signal: AbortSignal.timeout(timeoutMs),
+    })
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '')
+      throw new Error(`Email verification failed (${response.status}): ${errorText.slice(0, 300)}`)
+    }
+
+    const body = await response.json().catch(() => ({}))
+    const result = PROVIDER_RESULTS.includes(body.result) ? body.result : 'unknown'
+    return { result, reason: body.reason ? String(body.reason).slice(0, 200) : null }
+  }
+
+  return { kind: 'http', verify }
+}
+
+module.exports = { createHttpVerifier, PROVIDER_RESULTS }
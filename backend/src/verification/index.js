@@ -0,0 +1,65 @@
+/**
+ * Email Verifier Initialization
+ * Creates the singleton provider adapter the email verification step uses
+ *
+ * Verifier kinds:
+ * - 'http': A verification provider behind ./httpVerifier.js (requires EMAIL_VERIFIER_URL)
+ * - 'fake': In-process fake provider for offline development (./fakeVerifier.js)
+ * - 'none': No provider; addresses that pass the local checks stay 'unknown'
+ *
+ * Selection: EMAIL_VERIFIER env var, otherwise 'http' when EMAIL_VERIFIER_URL
+ * is set and the `fallbackKind` option (default 'none') when it is not.
+ */
+
+const { createHttpVerifier } = require('./httpVerifier')
+const { createFakeVerifier } = require('./fakeVerifier')
+
+let verifierInstance = null
+
+const noVerifier = {
+  kind: 'none',
+  async verify() {
+    return { result: 'unknown', reason: 'no_provider' }
+  },
+}
+
+/**
+ * Get or create the email verifier
+ * @param {Object} [options]
+ * @param {string} [options.kind] - 'http' | 'fake' | 'none' (overrides EMAIL_VERIFIER)
+ * @param {string} [options.fallbackKind] - Kind used when nothing is configured
+ * @returns {{ kind: string, verify(email): Promise<{ result, reason }> }}
+ */
+function getEmailVerifier(options = {}) {
+  if (!verifierInstance) {
+    const url = process.env.EMAIL_VERIFIER_URL
+    const kind = options.kind || process.env.EMAIL_VERIFIER || (url ? 'http' : options.fallbackKind || 'none')
+
+    if (kind === 'http') {
+      verifierInstance = createHttpVerifier({
+        url,
+        apiKey: process.env.EMAIL_VERIFIER_API_KEY || null,
+        timeoutMs: parseInt(process.env.EMAIL_VERIFIER_TIMEOUT_MS, 10) || undefined,
+      })
+    } else if (kind === 'fake') {
+      verifierInstance = createFakeVerifier()
+    } else if (kind === 'none') {
+      verifierInstance = noVerifier
+    } else {
+      throw new Error(`Unknown EMAIL_VERIFIER "${kind}". Use 'http', 'fake' or 'none'.`)
+    }
+
+    console.log(`✅ Email verifier initialized (kind: ${verifierInstance.kind})`)
+  }
+
+  return verifierInstance
+}
+
+/**
+ * Reset the verifier instance (useful for testing)
+ */
+function resetEmailVerifier() {
+  verifierInstance = null
+}
+
+module.exports = { getEmailVerifier, resetEmailVerifier }
@@ -0,0 +1,113 @@
+/**
+ * Webhook Event Store
+ * Every verified Exa webhook is stored as a `webhookEvents` document keyed by
+ * its event id before it is acknowledged, so redeliveries are recognised and
+ * each event is processed once.
+ *
+ * Event document:
+ * {
+ *   id, type, data, source: 'exa',
+ *   status: 'received' | 'processing' | 'processed' | 'failed',
+ *   attempts, deliveries,              // processing attempts / times Exa sent it
+ *   error, receivedAt, lastReceivedAt, processedAt, failedAt, replayedAt, updatedAt
+ * }
+ */
+
+const crypto = require('crypto')
+
+const EVENT_STATUSES = ['received', 'processing', 'processed', 'failed']
+
+/**
+ * Event id for a webhook payload; payloads without one are keyed by a hash of the body
+ */
+function getEventId(payload, rawBody) {
+  if (payload?.id) return String(payload.id)
+  const body = rawBody || Buffer.from(JSON.stringify(payload || {}))
+  return `evt_sha_${crypto.createHash('sha256').update(body).digest('hex').slice(0, 32)}`
+}
+
+/**
+ * Create a webhook event store
+ * @param {Object} options
+ * @param {Object} options.sdk - FN7 SDK instance
+ * @param {Object} options.repository - Document repository (../repository)
+ * @param {Function} [options.now] - Clock
+ */
+function createWebhookEventStore({ sdk, repository, now = () => new Date() }) {
+  async function get(eventId) {
+    return sdk.getFirebaseData('webhookEvents', eventId).catch(() => null)
+  }
+
+  async function update(eventId, data) {
+    await sdk.updateFirebaseData('webhookEvents', eventId, { ...data, updatedAt: now().toISOString() })
+  }
+
+  /**
+   * Store a verified webhook
+   * @returns {Promise<{ event: Object, duplicate: boolean }>} duplicate is true for redeliveries
+   */
+  async function record(payload, rawBody = null) {
+    const eventId = getEventId(payload, rawBody)
+    const receivedAt = now().toISOString()
+
+    const existing = await get(eventId)
+    if (existing) {
+      await update(eventId, { deliveries: (existing.deliveries || 1) + 1, lastReceivedAt: receivedAt })
+      return { event: existing, duplicate: true }
+    }
+
+    const event = {
+      id: eventId,
+      source: 'exa',
+      type: payload?.type || 'unknown',
+      data: payload?.data || {},
+      status: 'received',
+      attempts: 0,
+      deliveries: 1,
+      error: null,
+      receivedAt,
+      lastReceivedAt: receivedAt,
+      processedAt: null,
+      failedAt: null,
+      updatedAt: receivedAt,
+    }
+    await sdk.createFirebaseData('webhookEvents', eventId, event)
+    return { event, duplicate: false }
+  }
+
+  async function markProcessing(event) {
+    const attempts = (event.attempts || 0) + 1
+    await update(event.id, { status: 'processing', attempts })
+    return attempts
+  }
+
+  async function markProcessed(eventId) {
+    await update(eventId, { status: 'processed', error: null, processedAt: now().toISOString() })
+  }
+
+  async function markFailed(eventId, error) {
+    await update(eventId, { status: 'failed', error: error?.message || String(error), failedAt: now().toISOString() })
+  }
+
+  /**
+   * Put an event back to 'received' so it can be processed again
+   */
+  async function resetForReplay(eventId) {
+    await update(eventId, { status: 'received', replayedAt: now().toISOString() })
+  }
+
+  /**
+   * List events, newest first
+   * @param {Object} [filters] - { status, type, limit }
+   * @returns {Promise<{ events: Array, total: number }>}
+   */
+  async function list({ status = null, type = null, limit = 50 } = {}) {
+    const events = (await repository.find('webhookEvents', { status: status || undefined, type: type || undefined }))
+      .sort((a, b) => new Date(b.receivedAt || 0) - new Date(a.receivedAt || 0))
+    return { events: events.slice(0, limit), total: events.length }
+  }
+
+  return { record, get, markProcessing, markProcessed, markFailed, resetForReplay, list }
+}
+
+module.exports = { createWebhookEventStore, getEventId, EVENT_STATUSES }
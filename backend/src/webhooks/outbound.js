@@ -0,0 +1,406 @@
+/**
+ * Outbound Webhooks
+ * Tells downstream systems what happened in Scout. Subscribers register a URL
+ * for the event types they care about (`webhookSubscriptions` documents); each
+ * emitted event is stored in `outboundEvents` (the event stream, which can also
+ * be read with GET /events) and delivered to every matching subscription by a
+ * 'deliver-webhook' job, with one `webhookDeliveries` document per delivery.
+ *
+ * Subscription document:
+ * {
+ *   id, url, events,                  // event types, or ['*'] for all of them
+ *   leadsetId,                        // only this leadset's events (null: every leadset)
+ *   description, active, secret,      // secret signs the bodies; only returned when created
+ *   createdAt, updatedAt
+ * }
+ *
+ * Event document: { id, type, key, leadsetId, data, createdAt, deliveryCount }
+ *
+ * Delivery document:
+ * {
+ *   id, subscriptionId, eventId, eventType, url,
+ *   status: 'pending' | 'delivered' | 'failed',
+ *   attempts, responseStatus, error, jobId,
+ *   log: [{ attempt, at, responseStatus, durationMs, error }],   // newest MAX_LOG_ENTRIES; no response bodies
+ *   createdAt, updatedAt, deliveredAt, failedAt
+ * }
+ *
+ * Bodies are the event document ({ id, type, createdAt, leadsetId, data }).
+ * x-scout-timestamp is the send time in Unix seconds and x-scout-signature the
+ * hex HMAC-SHA256 of `${timestamp}.${rawBody}` with the subscription's secret,
+ * so receivers can reject old replays. Failed deliveries are retried by the job
+ * queue with exponential backoff. Subscription URLs must resolve to public
+ * addresses (./targets), checked on save and before each delivery.
+ */
+
+const crypto = require('crypto')
+const { checkWebhookTarget } = require('./targets')
+
+const OUTBOUND_EVENTS = [
+  'run.started',
+  'run.completed',
+  'items.added',
+  'enrichment.completed',
+  'export.ready',
+]
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed']
+const DEFAULT_TIMEOUT_MS = 10000
+const MAX_LOG_ENTRIES = 20
+
+function newId(prefix) {
+  return `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} secret
+ * @param {number} timestamp - Unix seconds, sent as x-scout-timestamp
+ * @param {string} rawBody
+ * @returns {string} Hex HMAC-SHA256 of `${timestamp}.${rawBody}`, sent as x-scout-signature
+ */
+function signPayload(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex')
+}
+
+/**
+ * Create the outbound webhook dispatcher
+ * @param {Object} options
+ * @param {Object} options.sdk - FN7 SDK instance
+ * @param {Object} options.repository - Document repository (../repository)
+ * @param {Function} options.enqueue - Job queue enqueue (type, payload, options)
+ * @param {number} [options.timeoutMs] - Per-request timeout
+ * @param {boolean} [options.allowPrivateTargets] - Allow localhost and private addresses (local development)
+ * @param {Function} [options.lookup] - DNS lookup for the target check (see ./targets)
+ * @param {Function} [options.now] - Clock
+ */
+function createOutboundWebhooks({
+  sdk,
+  repository,
+  enqueue,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  allowPrivateTargets = false,
+  lookup,
+  now = () => new Date(),
+}) {
+  function checkTarget(url) {
+    return checkWebhookTarget(url, { allowPrivate: allowPrivateTargets, ...(lookup ? { lookup } : {}) })
+  }
+
+  /**
+   * Validate a subscription create/update body
+   * On update, omitted fields keep their current values.
+   * @returns {{ subscription: Object } | { error: string }}
+   */
+  function validateSubscription(input = {}, existing = null) {
+    const merged = { ...(existing || {}) }
+    const has = key => input[key] !== undefined
+
+    if (has('url') || !existing) {
+      let url
+      try {
+        url = new URL(String(input.url || ''))
+      } catch {
+        return { error: 'url must be an absolute http(s) URL' }
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) return { error: 'url must be an absolute http(s) URL' }
+      merged.url = url.toString()
+    }
+    if (has('events') || !existing) {
+      const events = input.events
+      if (!Array.isArray(events) || events.length === 0) {
+        return { error: `events must be a non-empty array of: ${OUTBOUND_EVENTS.join(', ')} (or '*')` }
+      }
+      const unknown = events.filter(type => type !== '*' && !OUTBOUND_EVENTS.includes(type))
+      if (unknown.length) return { error: `Unknown event types: ${unknown.join(', ')}` }
+      merged.events = events.includes('*') ? ['*'] : [...new Set(events)]
+    }
+    if (has('leadsetId') || !existing) merged.leadsetId = input.leadsetId ? String(input.leadsetId) : null
+    if (has('description') || !existing) merged.description = input.description ? String(input.description).slice(0, 200) : ''
+    if (has('active') || !existing) merged.active = input.active === undefined ? true : Boolean(input.active)
+    return { subscription: merged }
+  }
+
+  /**
+   * A subscription as the API returns it; the secret only when asked for
+   */
+  function presentSubscription(subscription, { includeSecret = false } = {}) {
+    const { secret, ...rest } = subscription
+    return includeSecret ? { ...rest, secret } : rest
+  }
+
+  async function listSubscriptions() {
+    return (await repository.find('webhookSubscriptions'))
+      .sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0))
+  }
+
+  async function createSubscription(input) {
+    const validated = validateSubscription(input)
+    if (validated.error) return validated
+    const targetError = await checkTarget(validated.subscription.url)
+    if (targetError) return { error: targetError }
+    const timestamp = now().toISOString()
+    const subscription = {
+      id: newId('whsub'),
+      ...validated.subscription,
+      secret: input.secret ? String(input.secret) : `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    }
+    await sdk.createFirebaseData('webhookSubscriptions', subscription.id, subscription)
+    console.log(`[Outbound Webhooks] Subscribed ${subscription.url} to ${subscription.events.join(', ')}`)
+    return { subscription }
+  }
+
+  /**
+   * Update a subscription; rotateSecret: true issues a new secret
+   * @returns {Promise<{ subscription } | { error } | null>} null when it doesn't exist
+   */
+  async function updateSubscription(subscriptionId, input) {
+    const existing = await repository.get('webhookSubscriptions', subscriptionId)
+    if (!existing) return null
+    const validated = validateSubscription(input, existing)
+    if (validated.error) return validated
+    if (input.url !== undefined) {
+      const targetError = await checkTarget(validated.subscription.url)
+      if (targetError) return { error: targetError }
+    }
+    const subscription = { ...validated.subscription, updatedAt: now().toISOString() }
+    if (input.rotateSecret) subscription.secret = `whsec_${crypto.randomBytes(24).toString('hex')}`
+    await sdk.updateFirebaseData('webhookSubscriptions', subscriptionId, subscription)
+    return { subscription }
+  }
+
+  async function deleteSubscription(subscriptionId) {
+    const existing = await repository.get('webhookSubscriptions', subscriptionId)
+    if (!existing) return false
+    await sdk.deleteFirebaseData('webhookSubscriptions', subscriptionId)
+    return true
+  }
+
+  function matches(subscription, event) {
+    if (subscription.active === false) return false
+    if (subscription.leadsetId && subscription.leadsetId !== event.leadsetId) return false
+    return subscription.events.includes('*') || subscription.events.includes(event.type)
+  }
+
+  async function queueDelivery(delivery) {
+    const job = await enqueue('deliver-webhook', { deliveryId: delivery.id }, { idempotencyKey: `deliver-webhook:${delivery.id}` })
+    await sdk.updateFirebaseData('webhookDeliveries', delivery.id, { jobId: job.id })
+    return job
+  }
+
+  /**
+   * Record an event and queue its deliveries
+   * Never throws: a webhook problem must not fail the work that emitted it.
+   * @param {string} type - One of OUTBOUND_EVENTS
+   * @param {Object} data - Event payload; data.leadsetId scopes it to a leadset
+   * @param {Object} [options] - { key }: events with the same key are only emitted once
+   *   (e.g. 'run.completed:<runId>', which several code paths may report)
+   * @returns {Promise<Object|null>} The event, or null when skipped or failed
+   */
+  async function emit(type, data = {}, { key = null } = {}) {
+    try {
+      const id = key ? `evt_${crypto.createHash('sha1').update(key).digest('hex').slice(0, 24)}` : newId('evt')
+      if (key && await sdk.getFirebaseData('outboundEvents', id).catch(() => null)) return null
+
+      const event = {
+        id,
+        type,
+        key,
+        leadsetId: data.leadsetId || null,
+        data,
+        createdAt: now().toISOString(),
+        deliveryCount: 0,
+      }
+      const subscriptions = (await listSubscriptions()).filter(subscription => matches(subscription, event))
+      event.deliveryCount = subscriptions.length
+      await sdk.createFirebaseData('outboundEvents', id, event)
+
+      for (const subscription of subscriptions) {
+        const timestamp = now().toISOString()
+        const delivery = {
+          id: newId('dlv'),
+          subscriptionId: subscription.id,
+          eventId: id,
+          eventType: type,
+          url: subscription.url,
+          status: 'pending',
+          attempts: 0,
+          responseStatus: null,
+          error: null,
+          jobId: null,
+          log: [],
+          createdAt: timestamp,
+          updatedAt: timestamp,
+          deliveredAt: null,
+          failedAt: null,
+        }
+        await sdk.createFirebaseData('webhookDeliveries', delivery.id, delivery)
+        await queueDelivery(delivery)
+      }
+      if (subscriptions.length) {
+        console.log(`[Outbound Webhooks] ${type} (${id}) queued for ${subscriptions.length} subscriptions`)
+      }
+      return event
+    } catch (error) {
+      console.error(`[Outbound Webhooks] Failed to emit ${type}:`, error.message)
+      return null
+    }
+  }
+
+  async function recordAttempt(delivery, entry, updates) {
+    const log = [...(delivery.log || []), entry].slice(-MAX_LOG_ENTRIES)
+    await sdk.updateFirebaseData('webhookDeliveries', delivery.id, {
+      ...updates,
+      attempts: entry.attempt,
+      responseStatus: entry.responseStatus,
+      error: entry.error,
+      log,
+      updatedAt: entry.at,
+    })
+  }
+
+  /**
+   * Send one delivery (the 'deliver-webhook' job)
+   * Throws on a failed attempt so the job queue retries it; the last attempt
+   * marks the delivery 'failed'.
+   * @param {string} deliveryId
+   * @param {Object} [job] - The running job ({ attempts, maxAttempts })
+   */
+  async function deliver(deliveryId, job = null) {
+    const delivery = await repository.get('webhookDeliveries', deliveryId)
+    if (!delivery) throw new Error(`Delivery ${deliveryId} not found`)
+    if (delivery.status === 'delivered') return { status: 'delivered' }
+
+    const [subscription, event] = await Promise.all([
+      repository.get('webhookSubscriptions', delivery.subscriptionId),
+      repository.get('outboundEvents', delivery.eventId),
+    ])
+    if (!subscription || subscription.active === false || !event) {
+      const error = !event ? 'Event no longer exists' : 'Subscription was removed or paused'
+      await sdk.updateFirebaseData('webhookDeliveries', deliveryId, { status: 'failed', error, failedAt: now().toISOString() })
+      return { status: 'failed', error }
+    }
+
+    const body = JSON.stringify({
+      id: event.id,
+      type: event.type,
+      createdAt: event.createdAt,
+      leadsetId: event.leadsetId,
+      data: event.data,
+    })
+    const attempt = (delivery.attempts || 0) + 1
+    const startedAt = now()
+
+    // The URL may resolve elsewhere than when it was subscribed; don't retry a blocked target
+    const targetError = await checkTarget(subscription.url)
+    if (targetError) {
+      const at = now().toISOString()
+      const entry = { attempt, at, responseStatus: null, durationMs: 0, error: targetError }
+      await recordAttempt(delivery, entry, { status: 'failed', failedAt: at })
+      console.warn(`[Outbound Webhooks] Not delivering ${event.type} to ${subscription.url}: ${targetError}`)
+      return { status: 'failed', error: targetError }
+    }
+
+    const timestamp = Math.floor(startedAt.getTime() / 1000)
+    let responseStatus = null
+    let error = null
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Scout-Webhooks/1.0',
+          'x-scout-event': event.type,
+          'x-scout-event-id': event.id,
+          'x-scout-delivery': deliveryId,
+          'x-scout-timestamp': String(timestamp),
+          'x-scout-signature': signPayload(subscription.secret, timestamp, body),
+        },
+        body,
+        // A redirect could lead to an address the target check didn't see
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs),
+      })
+      responseStatus = response.status
+      // Only the status is kept; response bodies never reach the delivery log
+      await response.body?.cancel().catch(() => {})
+      if (!response.ok) error = `HTTP ${response.status}`
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : err.message
+    }
+
+    const at = now().toISOString()
+    const entry = { attempt, at, responseStatus, durationMs: now().getTime() - startedAt.getTime(), error }
+    if (!error) {
+      await recordAttempt(delivery, entry, { status: 'delivered', deliveredAt: at })
+      console.log(`[Outbound Webhooks] Delivered ${event.type} to ${subscription.url} (attempt ${attempt})`)
+      return { status: 'delivered', responseStatus }
+    }
+
+    const isLastAttempt = job ? job.attempts >= job.maxAttempts : true
+    await recordAttempt(delivery, entry, isLastAttempt ? { status: 'failed', failedAt: at } : { status: 'pending' })
+    throw new Error(`Webhook delivery to ${subscription.url} failed: ${error}`)
+  }
+
+  /**
+   * Send a delivery again (admin replay); it keeps its attempt log
+   * @returns {Promise<{ delivery, job } | null>}
+   */
+  async function redeliver(deliveryId) {
+    const delivery = await repository.get('webhookDeliveries', deliveryId)
+    if (!delivery) return null
+    await sdk.updateFirebaseData('webhookDeliveries', deliveryId, {
+      status: 'pending',
+      error: null,
+      deliveredAt: null,
+      failedAt: null,
+      updatedAt: now().toISOString(),
+    })
+    const job = await queueDelivery(delivery)
+    return { delivery: { ...delivery, status: 'pending', jobId: job.id }, job }
+  }
+
+  /**
+   * Deliveries, newest first
+   * @param {Object} [filters] - { subscriptionId, status, eventType, limit }
+   * @returns {Promise<{ deliveries: Array, total: number }>}
+   */
+  async function listDeliveries({ subscriptionId = null, status = null, eventType = null, limit = 50 } = {}) {
+    const deliveries = (await repository.find('webhookDeliveries', {
+      subscriptionId: subscriptionId || undefined,
+      status: status || undefined,
+      eventType: eventType || undefined,
+    })).sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))
+    return { deliveries: deliveries.slice(0, limit), total: deliveries.length }
+  }
+
+  /**
+   * Events oldest first, for consumers that read the stream instead of taking webhooks
+   * @param {Object} [filters] - { after: ISO timestamp (exclusive), type, leadsetId, limit }
+   * @returns {Promise<{ events: Array, nextAfter: string|null }>}
+   */
+  async function listEvents({ after = null, type = null, leadsetId = null, limit = 100 } = {}) {
+    const afterTime = after ? new Date(after).getTime() : -Infinity
+    const events = (await repository.find('outboundEvents', { type: type || undefined, leadsetId: leadsetId || undefined }))
+      .filter(event => new Date(event.createdAt).getTime() > afterTime)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .slice(0, limit)
+    return { events, nextAfter: events.length ? events[events.length - 1].createdAt : after }
+  }
+
+  return {
+    emit,
+    deliver,
+    redeliver,
+    listDeliveries,
+    listEvents,
+    listSubscriptions,
+    createSubscription,
+    updateSubscription,
+    deleteSubscription,
+    presentSubscription,
+  }
+}
+
+module.exports = { createOutboundWebhooks, OUTBOUND_EVENTS, DELIVERY_STATUSES }
@@ -0,0 +1,84 @@
+/**
+ * Webhook Targets
+ * Keeps outbound webhooks off this server's own network: a subscription URL
+ * must be http(s) and resolve only to public addresses, so it can't be used to
+ * reach localhost, private ranges or the cloud metadata endpoint
+ * (169.254.169.254). Checked when a subscription is saved and again before
+ * every delivery, since DNS can change in between.
+ */
+
+const dns = require('dns').promises
+const net = require('net')
+
+const BLOCKED = new net.BlockList()
+;[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, incl. cloud metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved and broadcast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'))
+;[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'))
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not public
+ * IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4.
+ */
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address)
+  if (mapped) return isPrivateAddress(mapped[1])
+  const family = net.isIP(address)
+  if (!family) return true
+  return BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4')
+}
+
+/**
+ * Check a webhook target
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {boolean} [options.allowPrivate] - Skip the address check (local development)
+ * @param {Function} [options.lookup] - dns.promises.lookup stand-in
+ * @returns {Promise<string|null>} Why the URL can't be used, or null when it can
+ */
+async function checkWebhookTarget(url, { allowPrivate = false, lookup = dns.lookup } = {}) {
+  let parsed
+  try {
+    parsed = new URL(String(url || ''))
+  } catch {
+    return 'url must be an absolute http(s) URL'
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return 'url must be an absolute http(s) URL'
+  if (allowPrivate) return null
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase()
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) return 'url must not point at a private or loopback address'
+
+  let addresses
+  if (net.isIP(hostname)) {
+    addresses = [hostname]
+  } else {
+    try {
+      addresses = (await lookup(hostname, { all: true, verbatim: true })).map(entry => entry.address)
+    } catch (err) {
+      return `Could not resolve ${hostname}: ${err.code || err.message}`
+    }
+  }
+  if (!addresses.length || addresses.some(isPrivateAddress)) {
+    return 'url must not point at a private or loopback address'
+  }
+  return null
+}
+
+module.exports = { checkWebhookTarget, isPrivateAddress }
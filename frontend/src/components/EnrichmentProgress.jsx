@@ -0,0 +1,131 @@
+import PropTypes from 'prop-types'
+
+const PHASE_LABELS = {
+  importing: 'Importing selected leads…',
+  starting: 'Starting enrichment…',
+  processing: 'Saving results…',
+}
+
+const FIELD_STATUS_STYLES = {
+  pending: { icon: 'sync', color: '#6941C6' },
+  completed: { icon: 'check_circle', color: '#027A48' },
+  failed: { icon: 'error', color: '#B42318' },
+  canceled: { icon: 'block', color: '#667085' },
+}
+
+const buttonStyle = {
+  padding: '4px 10px',
+  fontSize: '13px',
+  fontWeight: 600,
+  borderRadius: '6px',
+  border: '1px solid #D0D5DD',
+  background: '#ffffff',
+  color: '#344054',
+  cursor: 'pointer',
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '4px',
+}
+
+/**
+ * Per-field progress of the running enrichment, for the detail toolbar
+ * Shows items done/total per field (from the enrichment status route), a
+ * cancel button while Exa is working, and a retry for fields that failed.
+ */
+export default function EnrichmentProgress({ enrichment, fieldLabels = {}, busy = false, onCancel, onRetry, onDismiss }) {
+  const isRunning = enrichment.status === 'pending'
+  const canCancel = isRunning && !['starting', 'processing'].includes(enrichment.phase)
+  const hasFailures = ['partial', 'failed'].includes(enrichment.status)
+  const phaseLabel = PHASE_LABELS[enrichment.phase]
+
+  return (
+    <div
+      title={enrichment.error || undefined}
+      style={{ display: 'inline-flex', alignItems: 'center', flexWrap: 'wrap', gap: '8px', fontSize: '13px', color: '#344054' }}
+    >
+      {phaseLabel && enrichment.phase !== 'processing' ? (
+        <span style={{ display: 'inline-flex', alignItems: 'center', gap: '4px' }}>
+          <span className="material-icons" style={{ fontSize: '16px', color: '#6941C6', animation: 'spin 1s linear infinite' }}>sync</span>
+          {phaseLabel}
+        </span>
+      ) : (
+        enrichment.requests.map((request) => {
+          const style = FIELD_STATUS_STYLES[request.status] || FIELD_STATUS_STYLES.pending
+          const spinning = request.status === 'pending'
+          return (
+            <span
+              key={request.field}
+              title={request.error || undefined}
+              style={{
+                display: 'inline-flex',
+                alignItems: 'center',
+                gap: '4px',
+                padding: '2px 8px',
+                borderRadius: '999px',
+                background: '#F9FAFB',
+                border: '1px solid #EAECF0',
+                color: style.color,
+              }}
+            >
+              <span className="material-icons" style={{ fontSize: '14px', ...(spinning ? { animation: 'spin 1s linear infinite' } : {}) }}>
+                {style.icon}
+              </span>
+              {fieldLabels[request.field] || request.field}
+              {request.total !== null && request.total !== undefined && (
+                <span style={{ color: '#667085' }}>{request.done}/{request.total}</span>
+              )}
+            </span>
+          )
+        })
+      )}
+      {enrichment.phase === 'processing' && <span style={{ color: '#667085' }}>{phaseLabel}</span>}
+      {canCancel && (
+        <button type="button" onClick={onCancel} disabled={busy} style={buttonStyle}>
+          <span className="material-icons" style={{ fontSize: '16px' }}>stop</span>
+          {busy ? 'Canceling…' : 'Cancel'}
+        </button>
+      )}
+      {hasFailures && (
+        <>
+          <span style={{ color: '#B42318' }}>
+            {enrichment.status === 'failed' ? 'Enrichment failed' : 'Some fields failed'}
+          </span>
+          {enrichment.requests.some((request) => request.status === 'failed') && (
+            <button type="button" onClick={onRetry} disabled={busy} style={buttonStyle}>
+              <span className="material-icons" style={{ fontSize: '16px' }}>refresh</span>
+              {busy ? 'Retrying…' : 'Retry failed'}
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onDismiss}
+            title="Dismiss"
+            style={{ border: 'none', background: 'none', cursor: 'pointer', color: '#667085', display: 'inline-flex' }}
+          >
+            <span className="material-icons" style={{ fontSize: '16px' }}>close</span>
+          </button>
+        </>
+      )}
+    </div>
+  )
+}
+
+EnrichmentProgress.propTypes = {
+  enrichment: PropTypes.shape({
+    status: PropTypes.string.isRequired,
+    phase: PropTypes.string,
+    error: PropTypes.string,
+    requests: PropTypes.arrayOf(PropTypes.shape({
+      field: PropTypes.string.isRequired,
+      status: PropTypes.string,
+      error: PropTypes.string,
+      done: PropTypes.number,
+      total: PropTypes.number,
+    })).isRequired,
+  }).isRequired,
+  fieldLabels: PropTypes.objectOf(PropTypes.string),
+  busy: PropTypes.bool,
+  onCancel: PropTypes.func,
+  onRetry: PropTypes.func,
+  onDismiss: PropTypes.func,
+}
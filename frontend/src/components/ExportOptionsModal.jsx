@@ -0,0 +1,178 @@
+import { useEffect, useState } from 'react'
+import PropTypes from 'prop-types'
+import { getExportOptions } from '../services/apiClient'
+
+const FORMAT_LABELS = {
+  csv: 'CSV',
+  xlsx: 'Excel (XLSX)',
+  jsonl: 'JSON Lines',
+}
+
+const SCHEMA_LABELS = {
+  default: 'All lead data',
+  crm: 'CRM import (first name, last name, email, company…)',
+}
+
+const selectStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  border: '1px solid #d0d5dd',
+  borderRadius: '10px',
+  fontSize: '14px',
+  background: '#ffffff',
+}
+
+/**
+ * Pick the file format, column layout and columns of an export.
+ * The exported leads are the ones the detail table shows (same filters and sort).
+ */
+export default function ExportOptionsModal({ leadsetId, filtered = false, verifiedOnly: initialVerifiedOnly = false, loading = false, onExport, onCancel }) {
+  const [options, setOptions] = useState(null) // { formats, schemas: { [schema]: [{ key, label, selected }] } }
+  const [format, setFormat] = useState('csv')
+  const [verifiedOnly, setVerifiedOnly] = useState(initialVerifiedOnly)
+  const [schema, setSchema] = useState('default')
+  const [selected, setSelected] = useState({}) // { [schema]: Set of column keys }
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let canceled = false
+    getExportOptions(leadsetId)
+      .then((data) => {
+        if (canceled) return
+        setOptions(data)
+        const initial = {}
+        Object.entries(data.schemas || {}).forEach(([key, columns]) => {
+          initial[key] = new Set(columns.filter((column) => column.selected).map((column) => column.key))
+        })
+        setSelected(initial)
+      })
+      .catch((err) => {
+        if (!canceled) setError(err.message)
+      })
+    return () => {
+      canceled = true
+    }
+  }, [leadsetId])
+
+  const columns = options?.schemas?.[schema] || []
+  const selectedColumns = selected[schema] || new Set()
+
+  const toggleColumn = (key) => {
+    setSelected((prev) => {
+      const next = new Set(prev[schema] || [])
+      if (next.has(key)) next.delete(key)
+      else next.add(key)
+      return { ...prev, [schema]: next }
+    })
+  }
+
+  const handleExport = () => {
+    // Keep the schema's column order rather than the order of clicks
+    onExport({
+      format,
+      schema,
+      columns: columns.filter((column) => selectedColumns.has(column.key)).map((column) => column.key),
+      verifiedOnly,
+    })
+  }
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal" style={{ maxWidth: '520px', textAlign: 'left' }}>
+        <h2 style={{ marginTop: 0, marginBottom: '4px' }}>Download leads</h2>
+        <p style={{ margin: 0, fontSize: '14px', color: 'var(--text-secondary)' }}>
+          {filtered
+            ? 'Exports the leads matching the current filters, in the table’s order.'
+            : 'Exports every lead in the table, in the table’s order.'}
+        </p>
+
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+          <label style={{ fontSize: '14px', fontWeight: 500 }}>
+            Format
+            <select value={format} onChange={(e) => setFormat(e.target.value)} style={{ ...selectStyle, marginTop: '4px' }} disabled={loading}>
+              {(options?.formats || Object.keys(FORMAT_LABELS)).map((key) => (
+                <option key={key} value={key}>{FORMAT_LABELS[key] || key}</option>
+              ))}
+            </select>
+          </label>
+          <label style={{ fontSize: '14px', fontWeight: 500 }}>
+            Columns
+            <select value={schema} onChange={(e) => setSchema(e.target.value)} style={{ ...selectStyle, marginTop: '4px' }} disabled={loading}>
+              {Object.keys(options?.schemas || SCHEMA_LABELS).map((key) => (
+                <option key={key} value={key}>{SCHEMA_LABELS[key] || key}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {!options && !error && (
+          <div style={{ fontSize: '13px', color: '#6b7280' }}>Loading columns…</div>
+        )}
+
+        {columns.length > 0 && (
+          <div
+            style={{
+              display: 'grid',
+              gridTemplateColumns: '1fr 1fr',
+              gap: '6px 12px',
+              maxHeight: '280px',
+              overflowY: 'auto',
+              border: '1px solid #e4e7ec',
+              borderRadius: '10px',
+              padding: '10px 12px',
+            }}
+          >
+            {columns.map((column) => (
+              <label key={column.key} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={selectedColumns.has(column.key)}
+                  onChange={() => toggleColumn(column.key)}
+                  disabled={loading}
+                />
+                {column.label}
+              </label>
+            ))}
+          </div>
+        )}
+
+        <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={verifiedOnly}
+            onChange={(e) => setVerifiedOnly(e.target.checked)}
+            disabled={loading}
+          />
+          Only leads with a verified email
+        </label>
+
+        {error && (
+          <div className="status-pill status-failed" style={{ padding: '8px 12px' }}>{error}</div>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '12px' }}>
+          <button className="cta-secondary" type="button" onClick={onCancel} disabled={loading}>
+            Cancel
+          </button>
+          <button
+            className="cta-primary"
+            type="button"
+            onClick={handleExport}
+            disabled={!options || selectedColumns.size === 0 || loading}
+          >
+            {loading ? 'Preparing…' : `Download ${FORMAT_LABELS[format] || format}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+ExportOptionsModal.propTypes = {
+  leadsetId: PropTypes.string.isRequired,
+  filtered: PropTypes.bool,
+  verifiedOnly: PropTypes.bool,
+  loading: PropTypes.bool,
+  onExport: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+}
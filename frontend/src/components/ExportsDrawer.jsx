@@ -0,0 +1,137 @@
+import { useEffect, useState } from 'react'
+import PropTypes from 'prop-types'
+import { downloadExport, listLeadsetExports } from '../services/apiClient'
+
+// How often the list refreshes while an export is still being built
+const POLL_INTERVAL_MS = 3000
+
+const FORMAT_LABELS = {
+  csv: 'CSV',
+  xlsx: 'XLSX',
+  jsonl: 'JSON Lines',
+}
+
+const STATUS_CLASSES = {
+  queued: 'status-pill status-running',
+  processing: 'status-pill status-running',
+  completed: 'status-pill status-completed',
+  failed: 'status-pill status-failed',
+  expired: 'status-pill status-idle',
+}
+
+function describeFilters(filters = {}) {
+  const parts = []
+  if (filters.q) parts.push(`“${filters.q}”`)
+  if (filters.recency) parts.push(`found ${String(filters.recency).replace(/,/g, ', ')}`)
+  if (filters.hasContact === 'true' || filters.hasContact === true) parts.push('with contact info')
+  if (filters.emailStatus === 'valid') parts.push('verified emails only')
+  else if (filters.emailStatus) parts.push(`email ${String(filters.emailStatus).replace(/,/g, ', ')}`)
+  if (filters.entity) parts.push(`${filters.entity} leads`)
+  return parts.join(' · ')
+}
+
+/**
+ * Side drawer listing a leadset's exports, newest first, with download links
+ * for the ones still available. Refreshes while any export is being built.
+ */
+export default function ExportsDrawer({ leadsetId, refreshKey = 0, onClose }) {
+  const [exports, setExports] = useState(null)
+  const [error, setError] = useState(null)
+  const [pollTick, setPollTick] = useState(0)
+
+  useEffect(() => {
+    let canceled = false
+    listLeadsetExports(leadsetId)
+      .then((data) => {
+        if (!canceled) setExports(data.exports || [])
+      })
+      .catch((err) => {
+        if (!canceled) setError(err.message)
+      })
+    return () => {
+      canceled = true
+    }
+  }, [leadsetId, refreshKey, pollTick])
+
+  const hasPending = (exports || []).some((item) => ['queued', 'processing'].includes(item.status))
+
+  useEffect(() => {
+    if (!hasPending) return undefined
+    const timer = setTimeout(() => setPollTick((tick) => tick + 1), POLL_INTERVAL_MS)
+    return () => clearTimeout(timer)
+  }, [hasPending, exports])
+
+  return (
+    <div className="drawer-overlay" onClick={onClose}>
+      <aside className="drawer-panel" onClick={(e) => e.stopPropagation()} aria-label="Exports">
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <h2 style={{ margin: 0, fontSize: '20px' }}>Exports</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            aria-label="Close"
+            style={{ border: 'none', background: 'none', cursor: 'pointer', padding: '4px' }}
+          >
+            <span className="material-icons" style={{ fontSize: '20px' }}>close</span>
+          </button>
+        </div>
+
+        {error && (
+          <div style={{ color: '#ef4444', fontSize: '13px' }}>Error: {error}</div>
+        )}
+        {!exports && !error && (
+          <div style={{ fontSize: '13px', color: '#6b7280' }}>Loading exports…</div>
+        )}
+        {exports && exports.length === 0 && (
+          <div style={{ fontSize: '13px', color: '#6b7280' }}>No exports yet. Use Download to create one.</div>
+        )}
+
+        {exports && exports.length > 0 && (
+          <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+            {exports.map((item) => {
+              const filterText = describeFilters(item.filters)
+              return (
+                <li key={item.id} style={{ padding: '12px 0', borderBottom: '1px solid #f2f4f7', fontSize: '13px' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+                    <span style={{ fontWeight: 600 }}>
+                      {FORMAT_LABELS[item.format] || item.format}
+                      {item.schema === 'crm' ? ' · CRM columns' : ''}
+                    </span>
+                    <span className={STATUS_CLASSES[item.status] || 'status-pill status-idle'}>{item.status}</span>
+                  </div>
+                  <div style={{ color: '#667085', marginTop: '4px' }}>
+                    {new Date(item.createdAt).toLocaleString()}
+                    {item.rowCount !== null && item.rowCount !== undefined ? ` · ${item.rowCount} leads` : ''}
+                    {item.requestedBy ? ` · by ${item.requestedBy}` : ''}
+                  </div>
+                  {filterText && (
+                    <div style={{ color: '#667085', marginTop: '2px' }}>Filters: {filterText}</div>
+                  )}
+                  {item.status === 'failed' && item.error && (
+                    <div style={{ color: '#ef4444', marginTop: '4px' }}>{item.error}</div>
+                  )}
+                  {item.downloadUrl && (
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '8px' }}>
+                      <span style={{ color: '#98a2b3', fontSize: '12px' }}>
+                        {item.expiresAt ? `Available until ${new Date(item.expiresAt).toLocaleDateString()}` : ''}
+                      </span>
+                      <button type="button" className="cta-secondary" onClick={() => downloadExport(item)}>
+                        Download
+                      </button>
+                    </div>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </aside>
+    </div>
+  )
+}
+
+ExportsDrawer.propTypes = {
+  leadsetId: PropTypes.string.isRequired,
+  refreshKey: PropTypes.number,
+  onClose: PropTypes.func.isRequired,
+}
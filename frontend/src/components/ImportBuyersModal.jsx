@@ -0,0 +1,242 @@
+import { useEffect, useRef, useState } from 'react'
+import PropTypes from 'prop-types'
+import { getLeadsetImportStatus, importLeadsetBuyers } from '../services/apiClient'
+
+// The backend accepts JSON bodies up to 2 MB
+const MAX_FILE_BYTES = 1.5 * 1024 * 1024
+const POLL_INTERVAL_MS = 2000
+const MAX_POLLS = 90
+
+const MAPPING_FIELDS = [
+  { key: 'url', label: 'Website / profile URL' },
+  { key: 'name', label: 'Name' },
+  { key: 'company', label: 'Company (people)' },
+  { key: 'title', label: 'Job title (people)' },
+  { key: 'description', label: 'Description' },
+]
+
+const selectStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  border: '1px solid #d0d5dd',
+  borderRadius: '10px',
+  fontSize: '14px',
+  background: '#ffffff',
+}
+
+function splitCsvLine(line) {
+  const cells = []
+  let cell = ''
+  let inQuotes = false
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else {
+        inQuotes = !inQuotes
+      }
+    } else if (char === ',' && !inQuotes) {
+      cells.push(cell.trim())
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  cells.push(cell.trim())
+  return cells
+}
+
+/**
+ * Column names in the file, used to offer a mapping
+ * (the backend parses the full file; this only reads the header)
+ */
+function detectColumns(text, format) {
+  if (format === 'json') {
+    const data = JSON.parse(text)
+    const rows = Array.isArray(data) ? data : data?.rows || data?.items || data?.data || []
+    return [...new Set(rows.slice(0, 50).flatMap((row) => (row && typeof row === 'object' ? Object.keys(row) : [])))]
+  }
+  const headerLine = text.replace(/^\uFEFF/, '').split(/\r?\n/).find((line) => line.trim() !== '') || ''
+  return splitCsvLine(headerLine).filter(Boolean)
+}
+
+/**
+ * Upload a CSV/JSON list of known companies or people into the leadset,
+ * then follow the import until its items have landed
+ */
+export default function ImportBuyersModal({ leadsetId, defaultEntity = 'company', onImported, onCancel }) {
+  const [file, setFile] = useState(null) // { name, format, content, columns }
+  const [entity, setEntity] = useState(defaultEntity)
+  const [mapping, setMapping] = useState({})
+  const [error, setError] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [progress, setProgress] = useState(null) // { status, rowCount, skipped, itemCount }
+  const pollRef = useRef(null)
+
+  useEffect(() => () => {
+    if (pollRef.current) clearInterval(pollRef.current)
+  }, [])
+
+  const handleFileChange = async (event) => {
+    const selected = event.target.files?.[0]
+    setError(null)
+    setFile(null)
+    setMapping({})
+    if (!selected) return
+
+    if (selected.size > MAX_FILE_BYTES) {
+      setError('File is too large (max 1.5 MB).')
+      return
+    }
+
+    const format = /\.json$/i.test(selected.name) ? 'json' : 'csv'
+    try {
+      const content = await selected.text()
+      setFile({ name: selected.name, format, content, columns: detectColumns(content, format) })
+    } catch (err) {
+      setError(`Could not read ${selected.name}: ${err.message}`)
+    }
+  }
+
+  const followImport = (importId, result) => {
+    let pollCount = 0
+    pollRef.current = setInterval(async () => {
+      pollCount++
+      try {
+        const status = await getLeadsetImportStatus(leadsetId, importId)
+        setProgress({ ...result, status: status.status, itemCount: status.itemCount })
+        if (status.runStatus !== 'running' || pollCount >= MAX_POLLS) {
+          clearInterval(pollRef.current)
+          pollRef.current = null
+          setIsSubmitting(false)
+          if (status.runStatus === 'failed') {
+            setError('Import failed. Your credits were refunded.')
+          } else {
+            onImported?.(status)
+          }
+        }
+      } catch (err) {
+        console.error('Failed to fetch import status:', err)
+      }
+    }, POLL_INTERVAL_MS)
+  }
+
+  const handleSubmit = async () => {
+    if (!file) return
+    setIsSubmitting(true)
+    setError(null)
+    try {
+      const result = await importLeadsetBuyers(leadsetId, {
+        content: file.content,
+        format: file.format,
+        entity,
+        mapping,
+        fileName: file.name,
+      })
+      const initial = { status: result.status, rowCount: result.rowCount, skipped: result.skipped, itemCount: null }
+      setProgress(initial)
+      followImport(result.importId, initial)
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Unable to import file')
+      setIsSubmitting(false)
+    }
+  }
+
+  const skippedCount = progress?.skipped
+    ? Object.values(progress.skipped).reduce((sum, count) => sum + count, 0)
+    : 0
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal" style={{ maxWidth: '480px', textAlign: 'left' }}>
+        <h2 style={{ marginTop: 0, marginBottom: '4px' }}>Import buyers</h2>
+        <p style={{ margin: 0, fontSize: '14px', color: 'var(--text-secondary)' }}>
+          Upload a CSV or JSON list of companies or people you already know. They are added to this leadset and can be enriched and scored like found buyers.
+        </p>
+
+        {!progress && (
+          <>
+            <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChange} disabled={isSubmitting} />
+
+            <label style={{ fontSize: '14px', fontWeight: 500 }}>
+              Each row is a
+              <select value={entity} onChange={(e) => setEntity(e.target.value)} style={{ ...selectStyle, marginTop: '4px' }} disabled={isSubmitting}>
+                <option value="company">Company</option>
+                <option value="person">Person</option>
+              </select>
+            </label>
+
+            {file && (
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px 12px', alignItems: 'center' }}>
+                {MAPPING_FIELDS.map(({ key, label }) => (
+                  <label key={key} style={{ display: 'contents', fontSize: '14px' }}>
+                    <span>{label}</span>
+                    <select
+                      value={mapping[key] === null ? 'none' : mapping[key] ?? 'auto'}
+                      onChange={(e) => {
+                        const value = e.target.value
+                        setMapping((prev) => {
+                          const next = { ...prev }
+                          if (value === 'auto') delete next[key]
+                          else next[key] = value === 'none' ? null : value
+                          return next
+                        })
+                      }}
+                      style={selectStyle}
+                      disabled={isSubmitting}
+                    >
+                      <option value="auto">Auto-detect</option>
+                      <option value="none">Don&apos;t import</option>
+                      {file.columns.map((column) => (
+                        <option key={column} value={column}>{column}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+
+        {progress && (
+          <div style={{ fontSize: '14px', color: '#344054' }}>
+            <div>
+              {progress.itemCount !== null && progress.itemCount !== undefined
+                ? `Imported ${progress.itemCount} of ${progress.rowCount} rows.`
+                : `Importing ${progress.rowCount} rows (${progress.status || 'pending'})…`}
+            </div>
+            {skippedCount > 0 && (
+              <div style={{ color: '#667085', marginTop: '4px' }}>
+                Skipped {skippedCount} rows (already in this leadset, duplicates or missing a name/URL).
+              </div>
+            )}
+          </div>
+        )}
+
+        {error && (
+          <div className="status-pill status-failed" style={{ padding: '8px 12px' }}>{error}</div>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '12px' }}>
+          <button className="cta-secondary" type="button" onClick={onCancel}>
+            {progress && !isSubmitting ? 'Close' : 'Cancel'}
+          </button>
+          {!progress && (
+            <button className="cta-primary" type="button" onClick={handleSubmit} disabled={!file || isSubmitting}>
+              {isSubmitting ? 'Uploading…' : 'Import'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+ImportBuyersModal.propTypes = {
+  leadsetId: PropTypes.string.isRequired,
+  defaultEntity: PropTypes.oneOf(['company', 'person']),
+  onImported: PropTypes.func,
+  onCancel: PropTypes.func.isRequired,
+}
@@ -14,8 +14,19 @@ function formatCount(value) {
   return value.toLocaleString()
 }
 
+function formatNextRun(value) {
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) return '—'
+  return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+}
+
+function describeSchedule(schedule) {
+  if (schedule.cron) return `cron ${schedule.cron} UTC`
+  return schedule.everyDays === 1 ? 'daily' : `every ${schedule.everyDays} days`
+}
+
 export default function LeadsetCard({ leadset, onOpen }) {
-  const { name, description, segment = {}, intent = {}, est_count: estCount, status = 'idle' } = leadset
+  const { name, description, segment = {}, intent = {}, est_count: estCount, status = 'idle', schedule } = leadset
   const normalizedStatus = (status || 'idle').toLowerCase()
   const statusClass = statusClassMap[normalizedStatus] ?? statusClassMap.idle
   const intentSignals = (intent.signals || []).slice(0, 3)
@@ -76,6 +87,14 @@ export default function LeadsetCard({ leadset, onOpen }) {
         </div>
       )}
 
+      {schedule?.enabled && schedule.nextRunAt && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px', color: '#475467' }}>
+          <span className="material-icons" style={{ fontSize: '16px' }}>schedule</span>
+          Next run {formatNextRun(schedule.nextRunAt)}
+          <span style={{ color: '#98a2b3' }}>({describeSchedule(schedule)})</span>
+        </div>
+      )}
+
       <div className="metrics-row">
         <button className="cta-view-leads" type="button" onClick={onOpen}>
           <span className="material-icons" style={{ fontSize: '18px' }}>visibility</span>
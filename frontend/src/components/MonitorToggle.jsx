@@ -0,0 +1,69 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import { setLeadsetMonitor } from '../services/apiClient'
+
+function describeCadence(cron) {
+  if (cron === '0 9 * * *') return 'daily'
+  if (cron === '0 9 * * 1') return 'weekly'
+  return `cron ${cron} UTC`
+}
+
+/**
+ * Switch that turns the leadset's Exa monitor on or off
+ * Monitor runs append new buyers to the leadset's webset on a cadence
+ */
+export default function MonitorToggle({ leadsetId, monitor = null, disabled = false, onChange }) {
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const isEnabled = monitor?.status === 'enabled'
+
+  const handleToggle = async () => {
+    setSaving(true)
+    setError(null)
+    try {
+      const result = await setLeadsetMonitor(leadsetId, { enabled: !isEnabled })
+      onChange?.(result.monitor)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <label
+      title={error || (isEnabled ? `Exa checks for new buyers ${describeCadence(monitor.cron)}` : 'Let Exa look for new buyers automatically')}
+      style={{
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: '8px',
+        fontSize: '14px',
+        color: error ? '#dc2626' : '#344054',
+        cursor: disabled || saving ? 'default' : 'pointer',
+        opacity: disabled ? 0.5 : 1,
+      }}
+    >
+      <input
+        type="checkbox"
+        checked={isEnabled}
+        onChange={handleToggle}
+        disabled={disabled || saving}
+        style={{ width: '16px', height: '16px', accentColor: '#B56AF1' }}
+      />
+      {saving ? 'Saving…' : 'Monitor for new buyers'}
+      {isEnabled && !saving && (
+        <span style={{ fontSize: '12px', color: '#667085' }}>({describeCadence(monitor.cron)})</span>
+      )}
+    </label>
+  )
+}
+
+MonitorToggle.propTypes = {
+  leadsetId: PropTypes.string.isRequired,
+  monitor: PropTypes.shape({
+    status: PropTypes.string,
+    cron: PropTypes.string,
+  }),
+  disabled: PropTypes.bool,
+  onChange: PropTypes.func,
+}
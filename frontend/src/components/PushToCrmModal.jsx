@@ -0,0 +1,182 @@
+import { useEffect, useRef, useState } from 'react'
+import PropTypes from 'prop-types'
+import { getCrmPush, listDestinations, pushItemsToDestination } from '../services/apiClient'
+
+const POLL_INTERVAL_MS = 2000
+const MAX_POLLS = 150
+
+const MAPPING_LABELS = {
+  generic: 'Generic (webhook)',
+  hubspot: 'HubSpot properties',
+  salesforce: 'Salesforce fields',
+}
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  border: '1px solid #d0d5dd',
+  borderRadius: '10px',
+  fontSize: '14px',
+  background: '#ffffff',
+  boxSizing: 'border-box',
+}
+
+/**
+ * Send the selected leads to a CRM destination, then follow the push until
+ * every lead has been upserted
+ */
+export default function PushToCrmModal({ leadsetId, itemIds, requestedBy = null, onPushed, onCancel }) {
+  const [destinations, setDestinations] = useState(null)
+  const [destinationId, setDestinationId] = useState('')
+  const [error, setError] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [push, setPush] = useState(null)
+  const pollRef = useRef(null)
+
+  useEffect(() => () => {
+    if (pollRef.current) clearInterval(pollRef.current)
+  }, [])
+
+  useEffect(() => {
+    let canceled = false
+    listDestinations(leadsetId)
+      .then((data) => {
+        if (canceled) return
+        const list = data.destinations || []
+        setDestinations(list)
+        setDestinationId(list[0]?.id || '')
+      })
+      .catch((err) => {
+        if (!canceled) setError(err.message)
+      })
+    return () => {
+      canceled = true
+    }
+  }, [leadsetId])
+
+  const followPush = (pushId) => {
+    let pollCount = 0
+    pollRef.current = setInterval(async () => {
+      pollCount++
+      try {
+        const status = await getCrmPush(pushId)
+        setPush(status)
+        if (['completed', 'failed'].includes(status.status) || pollCount >= MAX_POLLS) {
+          clearInterval(pollRef.current)
+          pollRef.current = null
+          setIsSubmitting(false)
+          if (status.status === 'failed') {
+            setError(status.error || 'Push failed')
+          } else {
+            onPushed?.(status)
+          }
+        }
+      } catch (err) {
+        console.error('Failed to fetch push status:', err)
+      }
+    }, POLL_INTERVAL_MS)
+  }
+
+  const handlePush = async () => {
+    if (!destinationId) return
+    setIsSubmitting(true)
+    setError(null)
+    try {
+      const queued = await pushItemsToDestination(leadsetId, destinationId, itemIds, requestedBy)
+      setPush(queued)
+      followPush(queued.id)
+    } catch (err) {
+      setError(err.message || 'Unable to push leads')
+      setIsSubmitting(false)
+    }
+  }
+
+  const counts = push?.counts
+  const isDone = push && ['completed', 'failed'].includes(push.status)
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal" style={{ maxWidth: '480px', textAlign: 'left' }}>
+        <h2 style={{ marginTop: 0, marginBottom: '4px' }}>Push to CRM</h2>
+        <p style={{ margin: 0, fontSize: '14px', color: 'var(--text-secondary)' }}>
+          Send {itemIds.length} selected {itemIds.length === 1 ? 'lead' : 'leads'} as companies and contacts. Leads already in the CRM are updated instead of duplicated.
+        </p>
+
+        {!destinations && !error && (
+          <div style={{ fontSize: '13px', color: '#6b7280' }}>Loading destinations…</div>
+        )}
+
+        {destinations && destinations.length === 0 && (
+          <div style={{ fontSize: '13px', color: '#6b7280' }}>
+            No CRM destinations yet. An admin can add one with the admin key (POST /admin/destinations).
+          </div>
+        )}
+
+        {destinations && destinations.length > 0 && !push && (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+            <label style={{ fontSize: '14px', fontWeight: 500 }}>
+              Destination
+              <select
+                value={destinationId}
+                onChange={(e) => setDestinationId(e.target.value)}
+                style={{ ...inputStyle, marginTop: '4px' }}
+                disabled={isSubmitting}
+              >
+                {destinations.map((destination) => (
+                  <option key={destination.id} value={destination.id}>
+                    {destination.name} · {MAPPING_LABELS[destination.mapping] || destination.mapping}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        )}
+
+        {push && (
+          <div style={{ fontSize: '14px', color: '#344054' }}>
+            {isDone && counts ? (
+              <>
+                <div>Pushed {counts.pushed} of {push.itemIds.length} leads.</div>
+                <div style={{ color: '#667085', marginTop: '4px' }}>
+                  Companies: {counts.companiesCreated} created, {counts.companiesUpdated} updated · Contacts: {counts.contactsCreated} created, {counts.contactsUpdated} updated
+                </div>
+                {push.errors?.length > 0 && (
+                  <ul style={{ margin: '8px 0 0', paddingLeft: '18px', color: '#ef4444', fontSize: '13px' }}>
+                    {push.errors.slice(0, 5).map((item) => (
+                      <li key={item.itemId}>{item.message}</li>
+                    ))}
+                  </ul>
+                )}
+              </>
+            ) : (
+              <div>Pushing {push.itemIds.length} leads ({push.status})…</div>
+            )}
+          </div>
+        )}
+
+        {error && (
+          <div className="status-pill status-failed" style={{ padding: '8px 12px' }}>{error}</div>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '12px' }}>
+          <button className="cta-secondary" type="button" onClick={onCancel}>
+            {isDone ? 'Close' : 'Cancel'}
+          </button>
+          {!push && (
+            <button className="cta-primary" type="button" onClick={handlePush} disabled={!destinationId || isSubmitting}>
+              {isSubmitting ? 'Pushing…' : 'Push'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+PushToCrmModal.propTypes = {
+  leadsetId: PropTypes.string.isRequired,
+  itemIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+  requestedBy: PropTypes.string,
+  onPushed: PropTypes.func,
+  onCancel: PropTypes.func.isRequired,
+}
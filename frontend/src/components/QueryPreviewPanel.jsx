@@ -0,0 +1,255 @@
+import { useCallback, useEffect, useState } from 'react'
+import PropTypes from 'prop-types'
+import { previewLeadsetQuery, saveQueryOverrides } from '../services/apiClient'
+
+const SOURCE_LABELS = {
+  segment: 'Segment',
+  intent: 'Intent',
+  geo: 'Geo',
+  size: 'Size',
+  stack: 'Stack',
+  tribe: 'Tribe',
+  custom: 'Custom',
+}
+
+const ENTITY_SOURCE_LABELS = {
+  override: 'set manually',
+  leadsetType: 'from leadset type',
+  prompt: 'prompt asks for people',
+  default: 'default',
+}
+
+/**
+ * Shows the Exa query + weighted criteria a run will use for this leadset,
+ * and lets the user edit the query text / exclude criteria as overrides
+ */
+export default function QueryPreviewPanel({ leadsetId, disabled = false }) {
+  const [expanded, setExpanded] = useState(false)
+  const [preview, setPreview] = useState(null)
+  const [queryDraft, setQueryDraft] = useState('')
+  const [excluded, setExcluded] = useState([])
+  const [entityDraft, setEntityDraft] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const applyPreview = useCallback((data) => {
+    setPreview(data)
+    setQueryDraft(data?.query || '')
+    setExcluded(data?.overrides?.excludeCriteria || [])
+    setEntityDraft(data?.overrides?.entity || '')
+  }, [])
+
+  const loadPreview = useCallback(async (overrides = null) => {
+    setLoading(true)
+    setError(null)
+    try {
+      const data = await previewLeadsetQuery(leadsetId, overrides)
+      if (overrides) {
+        setPreview(data)
+      } else {
+        applyPreview(data)
+      }
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [leadsetId, applyPreview])
+
+  useEffect(() => {
+    if (expanded && !preview) {
+      loadPreview()
+    }
+  }, [expanded, preview, loadPreview])
+
+  const buildOverrides = () => {
+    const { entity: _savedEntity, ...savedOverrides } = preview?.overrides || {}
+    const overrides = { ...savedOverrides, excludeCriteria: excluded }
+    if (entityDraft) overrides.entity = entityDraft
+    // Only keep a query override when the text differs from the generated query
+    if (preview?.querySource === 'override' || queryDraft.trim() !== (preview?.query || '').trim()) {
+      overrides.query = queryDraft
+    }
+    return overrides
+  }
+
+  const toggleExcluded = (key) => {
+    setExcluded((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]))
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    setError(null)
+    try {
+      const data = await saveQueryOverrides(leadsetId, buildOverrides())
+      applyPreview(data)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleReset = async () => {
+    setSaving(true)
+    setError(null)
+    try {
+      const data = await saveQueryOverrides(leadsetId, {})
+      applyPreview(data)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const renderCriterion = (criterion, omitted = false) => {
+    const isExcluded = excluded.includes(criterion.key)
+    return (
+      <li
+        key={criterion.key}
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '10px',
+          padding: '6px 0',
+          opacity: omitted || isExcluded ? 0.5 : 1,
+        }}
+      >
+        <input
+          type="checkbox"
+          checked={!isExcluded}
+          onChange={() => toggleExcluded(criterion.key)}
+          disabled={disabled || saving}
+          title={isExcluded ? 'Include this criterion' : 'Exclude this criterion'}
+        />
+        <span style={{ fontSize: '11px', fontWeight: 600, color: '#6b7280', minWidth: '56px' }}>
+          {SOURCE_LABELS[criterion.source] || criterion.source}
+        </span>
+        <span style={{ flex: 1, fontSize: '13px', textDecoration: isExcluded ? 'line-through' : 'none' }}>
+          {criterion.description}
+        </span>
+        <span style={{ fontSize: '12px', color: '#6b7280' }}>
+          {isExcluded ? 'excluded' : omitted ? 'over limit' : `weight ${criterion.weight}`}
+        </span>
+      </li>
+    )
+  }
+
+  return (
+    <section
+      style={{
+        border: '1px solid #e0e0e0',
+        borderRadius: '10px',
+        padding: '12px 16px',
+        marginBottom: '16px',
+        background: '#ffffff',
+      }}
+    >
+      <button
+        type="button"
+        onClick={() => setExpanded((prev) => !prev)}
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '6px',
+          width: '100%',
+          border: 'none',
+          background: 'none',
+          padding: 0,
+          fontSize: '14px',
+          fontWeight: 600,
+          cursor: 'pointer',
+          color: '#000000',
+        }}
+      >
+        <span className="material-icons" style={{ fontSize: '18px' }}>
+          {expanded ? 'expand_less' : 'expand_more'}
+        </span>
+        Search query preview
+        {preview?.querySource === 'override' && (
+          <span style={{ fontSize: '12px', fontWeight: 500, color: '#B56AF1' }}>(custom query)</span>
+        )}
+      </button>
+
+      {expanded && (
+        <div style={{ marginTop: '12px' }}>
+          {error && (
+            <div style={{ color: '#ef4444', fontSize: '13px', marginBottom: '8px' }}>Error: {error}</div>
+          )}
+          {loading && !preview ? (
+            <div style={{ fontSize: '13px', color: '#6b7280' }}>Building query…</div>
+          ) : preview && (
+            <>
+              <label style={{ fontSize: '12px', fontWeight: 600, color: '#6b7280', display: 'block', marginBottom: '4px' }}>
+                Query sent to Exa ({preview.querySource === 'prompt' ? 'from leadset prompt' : preview.querySource === 'override' ? 'custom' : 'from description'})
+              </label>
+              <textarea
+                value={queryDraft}
+                onChange={(e) => setQueryDraft(e.target.value)}
+                disabled={disabled || saving}
+                rows={3}
+                style={{
+                  width: '100%',
+                  padding: '10px 12px',
+                  border: '1px solid #d0d5dd',
+                  borderRadius: '8px',
+                  fontSize: '13px',
+                  resize: 'vertical',
+                  boxSizing: 'border-box',
+                }}
+              />
+
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '12px', fontSize: '13px' }}>
+                <span style={{ fontSize: '12px', fontWeight: 600, color: '#6b7280' }}>Searching for</span>
+                <select
+                  value={entityDraft}
+                  onChange={(e) => setEntityDraft(e.target.value)}
+                  disabled={disabled || saving}
+                  style={{ padding: '4px 8px', border: '1px solid #d0d5dd', borderRadius: '6px', fontSize: '13px' }}
+                >
+                  <option value="">Auto ({preview.entity === 'person' ? 'people' : 'companies'})</option>
+                  <option value="person">People</option>
+                  <option value="company">Companies</option>
+                </select>
+                <span style={{ fontSize: '12px', color: '#6b7280' }}>
+                  {ENTITY_SOURCE_LABELS[preview.entitySource] || preview.entitySource}
+                </span>
+              </div>
+
+              <div style={{ fontSize: '12px', fontWeight: 600, color: '#6b7280', marginTop: '12px' }}>
+                Criteria (ranked by weight)
+              </div>
+              <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+                {preview.criteria.map((criterion) => renderCriterion(criterion))}
+                {preview.omittedCriteria.map((criterion) => renderCriterion(criterion, true))}
+                {(preview.excludedCriteria || []).map((criterion) => renderCriterion(criterion, true))}
+              </ul>
+              {preview.criteria.length === 0 && (
+                <div style={{ fontSize: '13px', color: '#6b7280' }}>No criteria — Exa will use the query only.</div>
+              )}
+
+              <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '12px' }}>
+                <button className="cta-secondary" type="button" onClick={handleReset} disabled={disabled || saving}>
+                  Reset
+                </button>
+                <button className="cta-secondary" type="button" onClick={() => loadPreview(buildOverrides())} disabled={disabled || loading || saving}>
+                  {loading ? 'Previewing…' : 'Preview'}
+                </button>
+                <button className="cta-primary" type="button" onClick={handleSave} disabled={disabled || saving}>
+                  {saving ? 'Saving…' : 'Save for next run'}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </section>
+  )
+}
+
+QueryPreviewPanel.propTypes = {
+  leadsetId: PropTypes.string.isRequired,
+  disabled: PropTypes.bool,
+}
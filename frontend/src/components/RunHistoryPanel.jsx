@@ -0,0 +1,242 @@
+import { useEffect, useState } from 'react'
+import PropTypes from 'prop-types'
+import { getLeadsetRuns, getRunDiff } from '../services/apiClient'
+
+const MODE_LABELS = {
+  new: 'New search',
+  extend: 'Extend',
+  replace: 'Replace',
+  import: 'Import',
+  monitor: 'Monitor',
+}
+
+const DIFF_TABS = [
+  { key: 'added', label: 'New' },
+  { key: 'dropped', label: 'Dropped' },
+  { key: 'changed', label: 'Changed' },
+]
+
+// Longer diff lists are cut off with an "and N more" line
+const MAX_DIFF_ROWS = 50
+
+function formatRunLabel(run) {
+  const date = run.createdAt ? new Date(run.createdAt).toLocaleString() : 'Unknown date'
+  const found = run.counters?.found ?? 0
+  return `${date} · ${MODE_LABELS[run.mode] || run.mode} · ${found} found`
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '—'
+  const text = String(value)
+  return text.length > 40 ? `${text.slice(0, 40)}…` : text
+}
+
+/**
+ * Run picker + diff of the picked run against the run before it:
+ * buyers new in the run, buyers dropped since the previous one, and buyers
+ * whose score or enrichment changed
+ */
+export default function RunHistoryPanel({ leadsetId, latestRunId = null, refreshKey = 0, viewedRunId = null, onViewRun }) {
+  const [expanded, setExpanded] = useState(false)
+  const [runs, setRuns] = useState([])
+  const [selectedRunId, setSelectedRunId] = useState(null)
+  const [diff, setDiff] = useState(null)
+  const [activeTab, setActiveTab] = useState('added')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const runId = selectedRunId || runs[0]?.id || null
+  const selectedRun = runs.find((run) => run.id === runId) || null
+
+  // Runs are reloaded when a new run starts and when the leadset feed updates
+  useEffect(() => {
+    if (!expanded) return undefined
+    let canceled = false
+    getLeadsetRuns(leadsetId)
+      .then((data) => {
+        if (!canceled) setRuns(data.runs || [])
+      })
+      .catch((err) => {
+        if (!canceled) setError(err.message)
+      })
+    return () => {
+      canceled = true
+    }
+  }, [expanded, leadsetId, latestRunId, refreshKey])
+
+  useEffect(() => {
+    if (!expanded || !runId) return undefined
+    let canceled = false
+    setLoading(true)
+    setError(null)
+    getRunDiff(leadsetId, runId)
+      .then((data) => {
+        if (!canceled) setDiff(data)
+      })
+      .catch((err) => {
+        if (!canceled) setError(err.message)
+      })
+      .finally(() => {
+        if (!canceled) setLoading(false)
+      })
+    return () => {
+      canceled = true
+    }
+  }, [expanded, leadsetId, runId, refreshKey])
+
+  const renderEntry = (entry) => (
+    <li
+      key={entry.key}
+      style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 12px', padding: '6px 0', borderBottom: '1px solid #f2f4f7', fontSize: '13px' }}
+    >
+      <span style={{ fontWeight: 500, minWidth: '160px' }}>{entry.name || entry.domain || entry.itemId}</span>
+      {entry.domain && <span style={{ color: '#667085' }}>{entry.domain}</span>}
+      {activeTab !== 'changed' && entry.score !== null && (
+        <span style={{ color: '#667085' }}>score {entry.score}</span>
+      )}
+      {entry.changes?.score && (
+        <span style={{ color: '#344054' }}>
+          score {formatValue(entry.changes.score.from)} → {formatValue(entry.changes.score.to)}
+        </span>
+      )}
+      {(entry.changes?.enrichment || []).map((change) => (
+        <span key={change.field} style={{ color: '#344054' }}>
+          {change.field}: {formatValue(change.from)} → {formatValue(change.to)}
+        </span>
+      ))}
+    </li>
+  )
+
+  const entries = diff?.[activeTab] || []
+
+  return (
+    <section
+      style={{
+        border: '1px solid #e0e0e0',
+        borderRadius: '10px',
+        padding: '12px 16px',
+        marginBottom: '16px',
+        background: '#ffffff',
+      }}
+    >
+      <button
+        type="button"
+        onClick={() => setExpanded((prev) => !prev)}
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '6px',
+          width: '100%',
+          border: 'none',
+          background: 'none',
+          padding: 0,
+          fontSize: '14px',
+          fontWeight: 600,
+          cursor: 'pointer',
+          color: '#000000',
+        }}
+      >
+        <span className="material-icons" style={{ fontSize: '18px' }}>
+          {expanded ? 'expand_less' : 'expand_more'}
+        </span>
+        Run history
+        {viewedRunId && (
+          <span style={{ fontSize: '12px', fontWeight: 500, color: '#B56AF1' }}>(viewing an earlier run)</span>
+        )}
+      </button>
+
+      {expanded && (
+        <div style={{ marginTop: '12px' }}>
+          {error && (
+            <div style={{ color: '#ef4444', fontSize: '13px', marginBottom: '8px' }}>Error: {error}</div>
+          )}
+          {!runs.length ? (
+            <div style={{ fontSize: '13px', color: '#6b7280' }}>No runs yet.</div>
+          ) : (
+            <>
+              <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '12px', marginBottom: '8px' }}>
+                <select
+                  value={runId || ''}
+                  onChange={(e) => setSelectedRunId(e.target.value)}
+                  aria-label="Run"
+                  style={{ padding: '6px 10px', border: '1px solid #d0d5dd', borderRadius: '8px', fontSize: '14px', background: '#ffffff' }}
+                >
+                  {runs.map((run, index) => (
+                    <option key={run.id} value={run.id}>
+                      {formatRunLabel(run)}{index === 0 ? ' (latest)' : ''}
+                    </option>
+                  ))}
+                </select>
+                {diff && !diff.isLatest && viewedRunId !== runId && (
+                  <button type="button" className="cta-secondary" onClick={() => onViewRun?.(runId)}>
+                    Show this run's leads
+                  </button>
+                )}
+                {viewedRunId && (
+                  <button type="button" className="cta-secondary" onClick={() => onViewRun?.(null)}>
+                    Back to current leads
+                  </button>
+                )}
+              </div>
+
+              {selectedRun && (
+                <div style={{ fontSize: '12px', color: '#667085', marginBottom: '12px' }}>
+                  <span className={`status-pill status-${selectedRun.status}`} style={{ marginRight: '8px' }}>{selectedRun.status}</span>
+                  {selectedRun.requestedCount ? `${selectedRun.requestedCount} requested · ` : ''}
+                  {selectedRun.cost} credits
+                  {selectedRun.searchQuery && (
+                    <div style={{ marginTop: '6px', color: '#475467' }}>Query: {selectedRun.searchQuery}</div>
+                  )}
+                </div>
+              )}
+
+              {loading && !diff ? (
+                <div style={{ fontSize: '13px', color: '#6b7280' }}>Comparing runs…</div>
+              ) : diff && (
+                <>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '8px' }}>
+                    {DIFF_TABS.map((tab) => (
+                      <button
+                        key={tab.key}
+                        type="button"
+                        className={`filter-chip ${activeTab === tab.key ? 'active' : ''}`}
+                        onClick={() => setActiveTab(tab.key)}
+                      >
+                        {tab.label} ({diff.counts?.[tab.key] ?? 0})
+                      </button>
+                    ))}
+                  </div>
+                  {!diff.previousRunId && (
+                    <div style={{ fontSize: '12px', color: '#667085', marginBottom: '6px' }}>
+                      First run of this leadset, so every buyer is new.
+                    </div>
+                  )}
+                  {entries.length === 0 ? (
+                    <div style={{ fontSize: '13px', color: '#6b7280' }}>Nothing here.</div>
+                  ) : (
+                    <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+                      {entries.slice(0, MAX_DIFF_ROWS).map(renderEntry)}
+                      {entries.length > MAX_DIFF_ROWS && (
+                        <li style={{ padding: '6px 0', fontSize: '12px', color: '#667085' }}>
+                          and {entries.length - MAX_DIFF_ROWS} more
+                        </li>
+                      )}
+                    </ul>
+                  )}
+                </>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </section>
+  )
+}
+
+RunHistoryPanel.propTypes = {
+  leadsetId: PropTypes.string.isRequired,
+  latestRunId: PropTypes.string,
+  refreshKey: PropTypes.number,
+  viewedRunId: PropTypes.string,
+  onViewRun: PropTypes.func,
+}
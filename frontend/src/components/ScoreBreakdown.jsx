@@ -0,0 +1,75 @@
+import PropTypes from 'prop-types'
+
+const COMPONENT_LABELS = {
+  segment: 'Segment fit',
+  intent: 'Intent',
+  recency: 'Recency',
+  platform: 'Source platform',
+  credibility: 'Credibility',
+  verification: 'Verification',
+}
+
+const MATCH_LABELS = {
+  segment: 'Segment',
+  intent: 'Intent',
+  tribe: 'Tribe',
+}
+
+/**
+ * Tooltip body for the score column: per-component score, weight and
+ * contribution (item.scoreBreakdown) plus the criteria the lead matched
+ */
+export default function ScoreBreakdown({ breakdown, matches = {} }) {
+  const matchGroups = Object.keys(MATCH_LABELS).filter((group) => (matches[group] || []).length > 0)
+
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        top: '100%',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        zIndex: 20,
+        width: '280px',
+        marginTop: '4px',
+        padding: '10px 12px',
+        background: '#101828',
+        color: '#ffffff',
+        borderRadius: '8px',
+        boxShadow: '0 4px 12px rgba(16, 24, 40, 0.2)',
+        fontSize: '12px',
+        fontWeight: 400,
+        textAlign: 'left',
+        lineHeight: '1.5',
+      }}
+    >
+      {Object.keys(COMPONENT_LABELS).map((component) => {
+        const entry = breakdown[component]
+        if (!entry) return null
+        return (
+          <div key={component} style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', opacity: entry.score === null ? 0.5 : 1 }}>
+            <span>{COMPONENT_LABELS[component]}</span>
+            <span>
+              {entry.score === null ? 'n/a' : `${entry.score}%`}
+              <span style={{ color: '#98a2b3' }}> × {entry.weight} → {entry.contribution}</span>
+            </span>
+          </div>
+        )
+      })}
+      {matchGroups.map((group) => (
+        <div key={group} style={{ marginTop: '6px', color: '#d0d5dd' }}>
+          <strong style={{ color: '#ffffff' }}>{MATCH_LABELS[group]}:</strong> {matches[group].join('; ')}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+ScoreBreakdown.propTypes = {
+  breakdown: PropTypes.object.isRequired,
+  matches: PropTypes.shape({
+    segment: PropTypes.arrayOf(PropTypes.string),
+    intent: PropTypes.arrayOf(PropTypes.string),
+    tribe: PropTypes.arrayOf(PropTypes.string),
+  }),
+}
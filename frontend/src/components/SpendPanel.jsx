@@ -0,0 +1,110 @@
+import { useCallback, useEffect, useState } from 'react'
+import PropTypes from 'prop-types'
+import { getCredits } from '../services/apiClient'
+
+const REASON_LABELS = {
+  run: 'Run',
+  enrichment: 'Enrichment',
+  enrichment_failed: 'Refund: failed enrichment',
+}
+
+function formatCredits(value) {
+  return value === null || value === undefined ? 'Unlimited' : `${Number(value).toLocaleString()} tokens`
+}
+
+/**
+ * Workspace spend: balance, this month's spend vs cap and recent ledger entries
+ * Re-fetches whenever refreshKey changes (e.g. after the feed refreshes)
+ */
+export default function SpendPanel({ refreshKey = 0 }) {
+  const [credits, setCredits] = useState(null)
+  const [error, setError] = useState(null)
+  const [showHistory, setShowHistory] = useState(false)
+
+  const loadCredits = useCallback(async () => {
+    try {
+      setCredits(await getCredits(10))
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadCredits()
+  }, [loadCredits, refreshKey])
+
+  if (error && !credits) {
+    return <div className="status-pill status-failed" style={{ marginBottom: '16px' }}>Could not load credits: {error}</div>
+  }
+  if (!credits) return null
+
+  const { balance, monthlyCap, monthlySpent, history = [] } = credits
+  const capUsage = monthlyCap ? Math.min(1, monthlySpent / monthlyCap) : 0
+
+  return (
+    <section
+      style={{
+        border: '1px solid #e0e0e0',
+        borderRadius: '10px',
+        padding: '12px 16px',
+        marginBottom: '16px',
+        background: '#ffffff',
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: '32px', flexWrap: 'wrap' }}>
+        <div>
+          <div style={{ fontSize: '12px', fontWeight: 600, color: '#6b7280' }}>Balance</div>
+          <div style={{ fontWeight: 600 }}>{formatCredits(balance)}</div>
+        </div>
+        <div style={{ flex: 1, minWidth: '200px' }}>
+          <div style={{ fontSize: '12px', fontWeight: 600, color: '#6b7280' }}>
+            Spent this month{monthlyCap !== null ? ` (cap ${monthlyCap.toLocaleString()})` : ''}
+          </div>
+          <div style={{ fontWeight: 600 }}>{Number(monthlySpent).toLocaleString()} tokens</div>
+          {monthlyCap !== null && (
+            <div style={{ height: '6px', borderRadius: '3px', background: '#e4e7ec', marginTop: '6px', overflow: 'hidden' }}>
+              <div
+                style={{
+                  width: `${capUsage * 100}%`,
+                  height: '100%',
+                  background: capUsage >= 0.9 ? '#dc2626' : 'linear-gradient(to right, #FF6C57, #B56AF1)',
+                }}
+              />
+            </div>
+          )}
+        </div>
+        <button className="cta-secondary" type="button" onClick={() => setShowHistory((prev) => !prev)}>
+          {showHistory ? 'Hide history' : 'History'}
+        </button>
+      </div>
+
+      {showHistory && (
+        <ul style={{ listStyle: 'none', margin: '12px 0 0', padding: 0 }}>
+          {history.length === 0 && (
+            <li style={{ fontSize: '13px', color: '#6b7280' }}>No credits spent yet.</li>
+          )}
+          {history.map((entry) => (
+            <li
+              key={entry.id}
+              style={{ display: 'flex', gap: '12px', padding: '6px 0', fontSize: '13px', borderTop: '1px solid #f2f4f7' }}
+            >
+              <span style={{ color: '#6b7280', minWidth: '140px' }}>{new Date(entry.createdAt).toLocaleString()}</span>
+              <span style={{ flex: 1 }}>
+                {REASON_LABELS[entry.reason] || entry.reason || entry.type}
+                {entry.itemCount ? ` · ${entry.itemCount} lead${entry.itemCount !== 1 ? 's' : ''}` : ''}
+              </span>
+              <span style={{ fontWeight: 600, color: entry.type === 'refund' ? '#16a34a' : '#000000' }}>
+                {entry.type === 'refund' ? '+' : '−'}{entry.amount}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+SpendPanel.propTypes = {
+  refreshKey: PropTypes.number,
+}
@@ -1,5 +1,6 @@
 export default function UnlockModal({
   count,
+  maxSelection,
   fieldOptions,
   selectedFields,
   onToggleField,
@@ -10,15 +11,21 @@ export default function UnlockModal({
   onCancel,
   onConfirm,
 }) {
-  const canSubmit = count > 0 && selectedFields.size > 0 && perBuyerCost > 0 && !loading
+  const overLimit = Boolean(maxSelection) && count > maxSelection
+  const canSubmit = count > 0 && !overLimit && selectedFields.size > 0 && perBuyerCost > 0 && !loading
 
   return (
     <div className="modal-backdrop">
       <div className="modal-panel" style={{ maxWidth: '1200px', minWidth: '500px', maxHeight: '90vh', overflow: 'hidden', display: 'flex', flexDirection: 'column', gap: '0', textAlign: 'center', paddingTop: '20px' }}>
         <h3 className="modal-title" style={{ marginBottom: '8px', lineHeight: '1.2', textAlign: 'center' }}>Get More Details</h3>
         <p style={{ color: 'var(--text-secondary)', marginBottom: '16px', marginTop: '0px', lineHeight: '1.4', textAlign: 'center', fontSize: '14px' }}>
-          This will enrich <strong>all {count}</strong> leads in this leadset.
+          This will enrich the <strong>{count} selected</strong> lead{count !== 1 ? 's' : ''}.
         </p>
+        {overLimit && (
+          <p style={{ color: '#dc2626', marginTop: '-8px', marginBottom: '16px', fontSize: '13px' }}>
+            You can enrich up to {maxSelection} leads at a time.
+          </p>
+        )}
 
         <div style={{ flex: 1, overflowY: 'auto', paddingRight: '4px', marginBottom: '12px' }}>
           <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
@@ -67,7 +74,7 @@ export default function UnlockModal({
                       {fieldCost.toFixed(2)} tokens / lead
                     </span>
                   </div>
-                  <p style={{ margin: 0, color: '#475467', fontSize: '0.9em', textAlign: 'left' }}>{option.description}</p>
+                  <p style={{ margin: 0, color: '#475467', fontSize: '0.9em', textAlign: 'left' }}>{option.summary}</p>
                 </div>
                 </div>
               </div>
@@ -92,7 +99,7 @@ export default function UnlockModal({
             <div style={{ fontWeight: 600 }}>{perBuyerCost.toFixed(2)} tokens</div>
           </div>
           <div>
-            <div style={{ fontSize: '0.85em', color: '#475467' }}>Estimated total</div>
+            <div style={{ fontSize: '0.85em', color: '#475467' }}>Estimated total ({count} lead{count !== 1 ? 's' : ''})</div>
             <div style={{ fontWeight: 600 }}>{estimatedCost.toFixed(2)} tokens</div>
           </div>
         </div>
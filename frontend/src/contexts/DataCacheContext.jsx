@@ -5,8 +5,9 @@ import { useSessionId } from '../hooks/useSessionId'
 const DataCacheContext = createContext(null)
 
 /**
- * DataCacheContext - Listens to aggregated leadset feed document
- * Backend writes to `leadsetFeed/global` whenever data changes.
+ * DataCacheContext - Listens to the leadset feed index document
+ * Backend writes card summaries to `leadsetFeed/index` whenever a leadset changes;
+ * each leadset's full detail lives in `leadsetFeed/{leadsetId}` (see useLeadsetCache).
  * Filters leadsets by sessionId if provided.
  */
 export function DataCacheProvider({ children }) {
@@ -43,7 +44,7 @@ export function DataCacheProvider({ children }) {
       lastUpdateRef.current = null
     }
     try {
-      const snapshot = await sdk.getFirebaseData('leadsetFeed', 'global')
+      const snapshot = await sdk.getFirebaseData('leadsetFeed', 'index')
       if (snapshot) {
         console.log('[Data] Manual refresh received:', {
           updatedAt: snapshot?.updatedAt,
@@ -67,9 +68,9 @@ export function DataCacheProvider({ children }) {
 
   useEffect(() => {
     setIsLoading(true)
-    console.log('[Data] Starting real-time listener for leadsetFeed/global')
+    console.log('[Data] Starting real-time listener for leadsetFeed/index')
     
-    const subscription = sdk.startFirebaseListener('leadsetFeed', 'global').subscribe({
+    const subscription = sdk.startFirebaseListener('leadsetFeed', 'index').subscribe({
       next: (data) => {
         console.log('[Data] Real-time update received:', {
           updatedAt: data?.updatedAt,
@@ -96,23 +97,16 @@ export function DataCacheProvider({ children }) {
   const value = useMemo(() => {
     let leadsets = feedData?.leadsets || []
     const settings = feedData?.settings || { cost: { perContact: 2 } }
-    let leadsetDetails = feedData?.leadsetDetails || {}
 
     // Filter by sessionId if provided
     if (sessionId) {
       leadsets = leadsets.filter(leadset => leadset.sessionId === sessionId)
-      // Also filter leadsetDetails to only include matching leadsets
-      const filteredLeadsetIds = new Set(leadsets.map(ls => ls.id))
-      leadsetDetails = Object.fromEntries(
-        Object.entries(leadsetDetails).filter(([id]) => filteredLeadsetIds.has(id))
-      )
       console.log(`[Data] Filtered to ${leadsets.length} leadsets for sessionId: ${sessionId}`)
     }
 
     return {
       leadsets,
       settings,
-      leadsetDetails,
       feedUpdatedAt: feedData?.updatedAt || null,
       isLoading,
       error,
@@ -139,34 +133,78 @@ export function useDataCache() {
 }
 
 /**
- * Hook backed by feed detail data
+ * Hook backed by one leadset's feed document (`leadsetFeed/{leadsetId}`)
+ * Only changes to this leadset re-render its subscribers. The doc carries item
+ * totals (`stats`), not the items; pages load those from GET /leadsets/:id/items.
  */
 export function useLeadsetCache(leadsetId) {
-  const { settings, leadsetDetails, isInitialized, error, refreshCache, refreshCounter } = useDataCache()
-  const detail = leadsetId ? leadsetDetails[leadsetId] : null
+  const { settings, isInitialized: isFeedInitialized, error, sessionId } = useDataCache()
+  const [detail, setDetail] = useState(null)
+  const [isDetailLoaded, setIsDetailLoaded] = useState(false)
+  const [detailRefreshCounter, setDetailRefreshCounter] = useState(0)
+  const lastUpdateRef = useRef(null)
+
+  const applyDetail = useCallback((data, force = false) => {
+    setIsDetailLoaded(true)
+    if (!data?.leadset) {
+      setDetail(null)
+      return
+    }
+    if (!force && lastUpdateRef.current === data.updatedAt) {
+      return
+    }
+    lastUpdateRef.current = data.updatedAt
+    setDetail(data)
+    setDetailRefreshCounter(c => c + 1)
+  }, [])
 
-  const isDetailReady = Boolean(detail)
-  const isLoading = !isInitialized || (leadsetId ? !isDetailReady : false)
+  // Force refresh helper that ensures fresh data
+  const refreshLeadset = useCallback(async () => {
+    if (!leadsetId) return
+    try {
+      const snapshot = await sdk.getFirebaseData('leadsetFeed', leadsetId)
+      applyDetail(snapshot, true)
+    } catch (err) {
+      console.error(`[Data] Failed to fetch feed for leadset ${leadsetId}:`, err)
+    }
+  }, [leadsetId, applyDetail])
+
+  useEffect(() => {
+    setDetail(null)
+    setIsDetailLoaded(false)
+    lastUpdateRef.current = null
+    if (!leadsetId) return undefined
+
+    console.log(`[Data] Starting real-time listener for leadsetFeed/${leadsetId}`)
+    const subscription = sdk.startFirebaseListener('leadsetFeed', leadsetId).subscribe({
+      next: (data) => applyDetail(data),
+      error: (err) => console.error(`[Data] Feed listener error for leadset ${leadsetId}:`, err),
+    })
+    refreshLeadset().catch(() => {})
+
+    return () => {
+      console.log(`[Data] Unsubscribing from leadsetFeed/${leadsetId}`)
+      subscription?.unsubscribe?.()
+    }
+  }, [leadsetId, applyDetail, refreshLeadset])
+
+  // Leadsets from other sessions are hidden, as on the dashboard
+  const visibleDetail = detail && (!sessionId || detail.leadset?.sessionId === sessionId) ? detail : null
+  const isLoading = !isFeedInitialized || (leadsetId ? !isDetailLoaded : false)
   const detailError =
-    !isLoading && leadsetId && !detail
+    !isLoading && leadsetId && !visibleDetail
       ? 'Leadset not found or not yet synced'
       : null
 
-  // Force refresh helper that ensures fresh data
-  const refreshLeadset = useCallback(() => {
-    return refreshCache(true)
-  }, [refreshCache])
-
   return {
-    leadset: detail?.leadset || null,
-    run: detail?.run || null,
-    items: detail?.items || [],
+    leadset: visibleDetail?.leadset || null,
+    run: visibleDetail?.run || null,
+    stats: visibleDetail?.stats || null,
     settings,
     isLoading,
     error: detailError || error,
-    isInitialized: isInitialized && (leadsetId ? isDetailReady : true),
+    isInitialized: isFeedInitialized && (leadsetId ? Boolean(visibleDetail) : true),
     refreshLeadset,
-    updateItems: () => {},
-    refreshCounter, // Expose for dependency tracking
+    refreshCounter: detailRefreshCounter, // Expose for dependency tracking
   }
 }
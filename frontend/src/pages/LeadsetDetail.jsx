@@ -1,18 +1,32 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import { useNavigate, useParams } from 'react-router-dom'
 import {
-  exportRun,
+  createExport,
+  downloadExport,
   requestEnrichment,
   getEnrichmentStatus,
+  cancelEnrichment,
+  retryEnrichment,
   startLeadsetRun,
-  fetchWebsetStatus,
   cancelRun,
+  getLeadsetItems,
+  listEnrichmentFields,
 } from '../services/apiClient'
 import UnlockModal from '../components/UnlockModal'
 import RunOptionsModal from '../components/RunOptionsModal'
+import ImportBuyersModal from '../components/ImportBuyersModal'
+import ExportOptionsModal from '../components/ExportOptionsModal'
+import ExportsDrawer from '../components/ExportsDrawer'
+import PushToCrmModal from '../components/PushToCrmModal'
+import QueryPreviewPanel from '../components/QueryPreviewPanel'
+import ScoreBreakdown from '../components/ScoreBreakdown'
+import MonitorToggle from '../components/MonitorToggle'
+import RunHistoryPanel from '../components/RunHistoryPanel'
 import BuyerItemSkeleton from '../components/BuyerItemSkeleton'
 import FN7FactRotator from '../components/FN7FactRotator'
+import EnrichmentProgress from '../components/EnrichmentProgress'
 import { useLeadsetCache } from '../contexts/DataCacheContext'
+import sdk from '../sdk'
 
 const statusClassMap = {
   idle: 'status-pill status-idle',
@@ -29,10 +43,30 @@ const RECENCY_BUCKETS = [
   { key: 'older', label: 'Older', cutoff: Infinity },
 ]
 
+const SORT_OPTIONS = [
+  { key: 'score', label: 'Best score' },
+  { key: 'recency', label: 'Most recent' },
+  { key: 'company', label: 'Name A–Z' },
+]
+
+const PAGE_SIZE = 10
+const SEARCH_DEBOUNCE_MS = 300
+// The items endpoint returns at most this many leads per request
+const MAX_ITEMS_PER_REQUEST = 500
+
 const DEFAULT_FILTERS = {
   search: '',
   recency: [],
   hasContact: false,
+  verifiedOnly: false,
+}
+
+// Email verification statuses (item.emailStatus) and how the email cell shows them
+const EMAIL_STATUS_STYLES = {
+  valid: { label: 'Verified', color: '#16a34a', background: '#dcfce7' },
+  risky: { label: 'Risky', color: '#b45309', background: '#fef3c7' },
+  invalid: { label: 'Invalid', color: '#dc2626', background: '#fee2e2' },
+  unknown: { label: 'Unverified', color: '#475467', background: '#f2f4f7' },
 }
 
 const SNIPPET_PREVIEW_LENGTH = 200
@@ -78,206 +112,13 @@ const highlightSnippet = (text) => {
   return parts.length > 0 ? parts : text
 }
 
-/**
- * BASE_FIELD_OPTIONS
- * 
- * All supported enrichment fields with UI metadata.
- * These are filtered per-leadset based on enrichment_fields from Firebase.
- * 
- * Categories:
- * - Contact: email, phone, hasLinkedinMessaging, primaryContactChannel
- * - Classification: leadType, geoLocation, employeeCount
- * - Intent: buyingIntent, buyingIntentReason, partnershipIntentLevel, partnershipIntentReason
- */
-const BASE_FIELD_OPTIONS = [
-  // === CONTACT INFORMATION ===
-  {
-    key: 'email',
-    label: 'Work Email',
-    description: 'Professional email address for the primary contact or decision maker.',
-    defaultCost: 1.0,
-    category: 'contact',
-  },
-  {
-    key: 'phone',
-    label: 'Work Phone',
-    description: 'Direct phone number in international format.',
-    defaultCost: 1.0,
-    category: 'contact',
-  },
-  {
-    key: 'linkedinUrl',
-    label: 'LinkedIn URL',
-    description: 'Direct LinkedIn profile URL for the contact or company.',
-    defaultCost: 0.5,
-    category: 'contact',
-  },
-  {
-    key: 'primaryContactChannel',
-    label: 'Best Contact Channel',
-    description: 'The most effective channel to reach this lead (LinkedIn, Email, Phone, etc.).',
-    defaultCost: 0.25,
-    category: 'contact',
-  },
-
-  // === LEAD CLASSIFICATION ===
-  {
-    key: 'leadType',
-    label: 'Lead Type',
-    description: 'Classification: Retailer, Distributor, Influencer, Expert, Investor, etc.',
-    defaultCost: 0.25,
-    category: 'classification',
-  },
-  {
-    key: 'geoLocation',
-    label: 'Location',
-    description: 'City and country (e.g. "Mumbai, India").',
-    defaultCost: 0.25,
-    category: 'classification',
-  },
-  {
-    key: 'employeeCount',
-    label: 'Company Size',
-    description: 'Estimated headcount range (e.g. "51-200").',
-    defaultCost: 0.5,
-    category: 'classification',
-  },
-
-  // === INTENT SIGNALS ===
-  {
-    key: 'buyingIntent',
-    label: 'Buying Intent',
-    description: 'High / Medium / Low likelihood to purchase.',
-    defaultCost: 0.75,
-    category: 'intent',
-  },
-  {
-    key: 'buyingIntentReason',
-    label: 'Buying Intent Reason',
-    description: 'Brief explanation for the buying intent assessment.',
-    defaultCost: 0.25,
-    category: 'intent',
-  },
-  {
-    key: 'partnershipIntentLevel',
-    label: 'Partnership Intent',
-    description: 'High / Medium / Low openness to partnerships.',
-    defaultCost: 0.25,
-    category: 'intent',
-  },
-  {
-    key: 'partnershipIntentReason',
-    label: 'Partnership Intent Reason',
-    description: 'Brief explanation for the partnership intent assessment.',
-    defaultCost: 0.25,
-    category: 'intent',
-  },
-  {
-    key: 'audienceOverlapScore',
-    label: 'Audience Overlap',
-    description: 'Score 1-10 indicating target audience overlap potential.',
-    defaultCost: 0.25,
-    category: 'intent',
-  },
-  {
-    key: 'audienceOverlapReason',
-    label: 'Audience Overlap Reason',
-    description: 'Explanation for the audience overlap score.',
-    defaultCost: 0.25,
-    category: 'intent',
-  },
-  
-  // === INFLUENCER/CREATOR FIELDS ===
-  {
-    key: 'estimatedReachBand',
-    label: 'Estimated Reach',
-    description: 'Social media reach range (Nano, Micro, Mid, Macro, Mega).',
-    defaultCost: 0.25,
-    category: 'influencer',
-  },
-  
-  // === ROLE/SENIORITY FIELDS ===
-  {
-    key: 'roleSeniorityBand',
-    label: 'Role Seniority',
-    description: 'Seniority level (C-Level, VP/Director, Manager, etc.).',
-    defaultCost: 0.25,
-    category: 'classification',
-  },
-  
-  // === INVESTOR FIELDS ===
-  {
-    key: 'investorIntentLevel',
-    label: 'Investor Intent',
-    description: 'High / Medium / Low interest in investing.',
-    defaultCost: 0.5,
-    category: 'investor',
-  },
-  {
-    key: 'investorIntentReason',
-    label: 'Investor Intent Reason',
-    description: 'Explanation for the investor intent assessment.',
-    defaultCost: 0.25,
-    category: 'investor',
-  },
-  
-  // === CATEGORY FIT FIELDS ===
-  {
-    key: 'categoryFitScore',
-    label: 'Category Fit Score',
-    description: 'Score 1-10 indicating how well lead fits target category.',
-    defaultCost: 0.25,
-    category: 'fit',
-  },
-  {
-    key: 'categoryFitReason',
-    label: 'Category Fit Reason',
-    description: 'Explanation for the category fit score.',
-    defaultCost: 0.25,
-    category: 'fit',
-  },
-]
+const getItemId = (item) => item.itemId || item.id
 
-// Map backend/brain enrichment field names -> UI/internal keys
-const LEADSET_ENRICHMENT_FIELD_MAP = {
-  // Contact fields
-  contact_email: 'email',
-  contact_phone: 'phone',
-  has_linkedin_messaging: 'linkedinUrl',
-  linkedin_url: 'linkedinUrl',
-  primary_contact_channel: 'primaryContactChannel',
-  
-  // Classification fields
-  lead_type: 'leadType',
-  geo_location: 'geoLocation',
-  company_size_band: 'employeeCount',
-  
-  // Buying intent fields
-  buying_intent_level: 'buyingIntent',
-  buying_intent_reason: 'buyingIntentReason',
-  
-  // Partnership intent fields
-  partnership_intent_level: 'partnershipIntentLevel',
-  partnership_intent_reason: 'partnershipIntentReason',
-  
-  // Audience/influencer fields
-  audience_overlap_score: 'audienceOverlapScore',
-  audience_overlap_reason: 'audienceOverlapReason',
-  estimated_reach_band: 'estimatedReachBand',
-  
-  // Role/seniority fields
-  role_seniority_band: 'roleSeniorityBand',
-  
-  // Investor fields
-  investor_intent_level: 'investorIntentLevel',
-  investor_intent_reason: 'investorIntentReason',
-  
-  // Category fit fields
-  category_fit_score: 'categoryFitScore',
-  category_fit_reason: 'categoryFitReason',
-}
+// Fallback when settings.limits.maxSelectionPerEnrichment is not configured
+const DEFAULT_MAX_SELECTION = 500
 
-const getItemId = (item) => item.itemId || item.id
+// Backend rejects runs/enrichments that exceed the workspace credit budget with these codes
+const BUDGET_ERROR_CODES = ['INSUFFICIENT_CREDITS', 'MONTHLY_CAP_EXCEEDED']
 
 const fieldValueExists = (enrichment = {}, fieldKey) => {
   const value = enrichment?.[fieldKey]
@@ -311,6 +152,42 @@ function wasFieldEnriched(item, fieldKey) {
   return fieldKey in item.enrichment
 }
 
+/**
+ * Cell content for an enrichment answer that failed validation
+ * The backend keeps the raw answer in enrichment.flags instead of the value,
+ * or next to it when the value is stored but can't be checked.
+ */
+function renderFlaggedField(item, fieldKey) {
+  const flag = item?.enrichment?.flags?.[fieldKey]
+  if (!flag) return null
+  return (
+    <span
+      title={`Exa answered "${flag.value}" (${flag.reason})`}
+      style={{ color: '#b45309', fontSize: '12px', fontStyle: 'italic', cursor: 'help' }}
+    >
+      Unverified
+    </span>
+  )
+}
+
+/**
+ * Badge next to an unlocked email with its verification status
+ * The tooltip lists why an address isn't verified (role account, other domain...).
+ */
+function renderEmailStatus(item) {
+  const style = EMAIL_STATUS_STYLES[item?.emailStatus]
+  if (!style) return null
+  const reasons = (item.emailVerification?.reasons || []).map((reason) => reason.replace(/_/g, ' '))
+  return (
+    <span
+      title={reasons.length ? `${style.label}: ${reasons.join(', ')}` : style.label}
+      style={{ marginLeft: '6px', padding: '1px 6px', borderRadius: '999px', fontSize: '11px', fontWeight: 600, color: style.color, background: style.background, whiteSpace: 'nowrap' }}
+    >
+      {style.label}
+    </span>
+  )
+}
+
 function capitalizeFirst(value) {
   if (!value || typeof value !== 'string') return value
   return value.charAt(0).toUpperCase() + value.slice(1)
@@ -359,29 +236,17 @@ function getLeadsetType(leadset) {
   return 'mixed'
 }
 
-const hasContactInfo = (item = {}) => {
-  const enrichment = item.enrichment || {}
-  const hasValidEmail = enrichment.email && enrichment.email !== 'Not found'
-  const hasValidPhone = enrichment.phone && enrichment.phone !== 'Not found'
-  const hasValidLinkedin = enrichment.linkedinUrl && enrichment.linkedinUrl !== 'Not found' && enrichment.linkedinUrl.trim()
-  return (
-    hasValidEmail ||
-    hasValidPhone ||
-    hasValidLinkedin
-  )
-}
+// Person items carry the person's name; company items only have the company
+const getLeadName = (item = {}) => (item.entityType === 'person' && item.entity?.name) || item.entity?.company || ''
 
-function bucketizeRecency(iso) {
-  if (!iso) return 'older'
-  const diffDays = Math.floor((Date.now() - new Date(iso).getTime()) / (1000 * 60 * 60 * 24))
-  if (diffDays <= 7) return '7d'
-  if (diffDays <= 30) return '30d'
-  if (diffDays <= 90) return '90d'
-  return 'older'
-}
+// Pushed to at least one CRM destination (item.crmSync holds the CRM ids per destination)
+const isInCrm = (item = {}) =>
+  Object.values(item.crmSync || {}).some((sync) => sync?.companyId || sync?.contactId)
 
 function formatScore(score, item) {
-  if ((score === undefined || score === null || score === 0) && item?.evaluations?.length > 0) {
+  // Items scored before the scoring engine only have evaluations
+  const hasBreakdown = Object.keys(item?.scoreBreakdown || {}).length > 0
+  if (!hasBreakdown && (score === undefined || score === null || score === 0) && item?.evaluations?.length > 0) {
     const satisfiedCount = item.evaluations.filter(e => e.satisfied === 'yes').length
     return Math.round((satisfiedCount / item.evaluations.length) * 100)
   }
@@ -394,65 +259,72 @@ export default function LeadsetDetail() {
   const navigate = useNavigate()
   
   // Get data from cache (reads from Firebase via FN7 SDK)
-  const { leadset, run, items, settings, isLoading, error, isInitialized, refreshLeadset, refreshCounter } = useLeadsetCache(leadsetId)
+  const { leadset, run, stats, settings, isLoading, error, isInitialized, refreshLeadset, refreshCounter } = useLeadsetCache(leadsetId)
   
   // Local UI state
-  const [websetItems, setWebsetItems] = useState([]) // Items from Exa webset polling
   const [activeFilters, setActiveFilters] = useState(DEFAULT_FILTERS)
+  const [fieldOptions, setFieldOptions] = useState([])
   const [selectedFields, setSelectedFields] = useState(() => new Set())
+  const [selectedItemIds, setSelectedItemIds] = useState(() => new Set())
   const [isDetailsModalOpen, setIsDetailsModalOpen] = useState(false)
   const [isExtendModalOpen, setIsExtendModalOpen] = useState(false)
+  const [isImportModalOpen, setIsImportModalOpen] = useState(false)
+  const [isExportModalOpen, setIsExportModalOpen] = useState(false)
+  const [isExportsDrawerOpen, setIsExportsDrawerOpen] = useState(false)
+  const [exportsRefreshKey, setExportsRefreshKey] = useState(0)
+  const [isPushModalOpen, setIsPushModalOpen] = useState(false)
   const [existingItemCount, setExistingItemCount] = useState(0)
   const [isRequestingRun, setIsRequestingRun] = useState(false)
   const [isExporting, setIsExporting] = useState(false)
   const [isEnrichmentRequesting, setIsEnrichmentRequesting] = useState(false)
+  const [enrichmentProgress, setEnrichmentProgress] = useState(null) // Latest enrichment status (per-field progress) plus its runId
+  const [isEnrichmentActionPending, setIsEnrichmentActionPending] = useState(false)
   const [isCancelingRun, setIsCancelingRun] = useState(false)
-  const [websetData, setWebsetData] = useState(null)
+  const [budgetError, setBudgetError] = useState(null) // Over-budget run/enrichment rejected by the backend
   const [toast, setToast] = useState(null)
-  const [currentPage, setCurrentPage] = useState(1)
+  const [sortBy, setSortBy] = useState('score')
+  const [debouncedSearch, setDebouncedSearch] = useState('')
+  const [itemPage, setItemPage] = useState({ items: [], total: 0, nextCursor: null }) // Current page from GET /leadsets/:id/items
+  const [paging, setPaging] = useState({ key: null, page: 1, cursors: [null] })
+  const [isPageLoading, setIsPageLoading] = useState(false)
+  const [viewedRunId, setViewedRunId] = useState(null) // Earlier run shown in the table (null = current leads)
   const [recentlyEnrichedIds, setRecentlyEnrichedIds] = useState(() => new Set())
   const [expandedSnippets, setExpandedSnippets] = useState(() => new Set())
   const [hoveredSnippet, setHoveredSnippet] = useState(null)
+  const [hoveredScore, setHoveredScore] = useState(null)
   const [isRefreshing, setIsRefreshing] = useState(false)
   
-  const PAGE_SIZE = 10
   const toastTimeoutRef = useRef(null)
-  const websetPollIntervalRef = useRef(null)
   const enrichmentPollIntervalRef = useRef(null)
   const recentHighlightTimeoutRef = useRef(null)
-  const lastPolledRunIdRef = useRef(null)
   const activeEnrichmentIdRef = useRef(null)
 
   const showLoading = isLoading || !isInitialized || isRequestingRun
   
-  // Derive which enrichment fields are allowed for this leadset (from leadset.enrichment_fields)
-  const allowedFieldKeys = useMemo(() => {
-    const rawFields = Array.isArray(leadset?.enrichment_fields)
-      ? leadset.enrichment_fields
-      : []
-
-    const mapped = new Set()
-    rawFields.forEach((raw) => {
-      const key = LEADSET_ENRICHMENT_FIELD_MAP[raw]
-      if (key) {
-        mapped.add(key)
-      }
-    })
-
-    // If none specified on leadset, allow all base options
-    if (mapped.size === 0) {
-      BASE_FIELD_OPTIONS.forEach((opt) => mapped.add(opt.key))
+  // Enrichment fields this leadset can unlock (built-in and workspace fields, from the backend)
+  useEffect(() => {
+    if (!leadsetId) return undefined
+    let canceled = false
+    listEnrichmentFields(leadsetId)
+      .then((data) => {
+        if (!canceled) setFieldOptions(data.fields || [])
+      })
+      .catch((err) => {
+        if (!canceled) console.error('Failed to load enrichment fields:', err)
+      })
+    return () => {
+      canceled = true
     }
+  }, [leadsetId, leadset?.enrichment_fields])
 
-    return Array.from(mapped)
-  }, [leadset])
-
-  const FIELD_OPTIONS = useMemo(() => {
-    return BASE_FIELD_OPTIONS.filter((opt) => allowedFieldKeys.includes(opt.key))
-  }, [allowedFieldKeys])
+  const fieldLabels = useMemo(
+    () => Object.fromEntries(fieldOptions.map((option) => [option.key, option.label])),
+    [fieldOptions]
+  )
 
   // Check if a run is currently active (for showing table loading indicator)
-  const derivedWebsetStatus = websetData?.status?.toLowerCase() || ''
+  // The run's status comes from the feed doc, which the backend rewrites as Exa webhooks move the run
+  const derivedWebsetStatus = (run?.status || '').toLowerCase()
   const isRunActive = ['running', 'processing', 'pending'].includes(derivedWebsetStatus)
 
   // Simplified notification - just log to console
@@ -464,6 +336,13 @@ export default function LeadsetDetail() {
     }
   }, [])
 
+  // Budget rejections are shown inline since toasts only go to the console
+  const handleBudgetError = useCallback((err) => {
+    if (!BUDGET_ERROR_CODES.includes(err?.code)) return false
+    setBudgetError(err.message)
+    return true
+  }, [])
+
   const toggleFieldSelection = useCallback((fieldKey) => {
     setSelectedFields((prev) => {
       const next = new Set(prev)
@@ -481,7 +360,6 @@ export default function LeadsetDetail() {
     return () => {
       if (toastTimeoutRef.current) clearTimeout(toastTimeoutRef.current)
       if (recentHighlightTimeoutRef.current) clearTimeout(recentHighlightTimeoutRef.current)
-      if (websetPollIntervalRef.current) clearInterval(websetPollIntervalRef.current)
       if (enrichmentPollIntervalRef.current) clearInterval(enrichmentPollIntervalRef.current)
       activeEnrichmentIdRef.current = null
     }
@@ -495,74 +373,16 @@ export default function LeadsetDetail() {
     }
   }, [isRequestingRun, run?.id])
 
-  // Process items from cache - depends on refreshCounter to force re-computation
-  const finalItems = useMemo(() => {
-    console.log('[LeadsetDetail] Recomputing finalItems, refreshCounter:', refreshCounter, 'items:', items?.length)
-    return Array.isArray(items) ? items.map(item => ({ ...item, __source: 'firebase' })) : []
-  }, [items, refreshCounter])
-
-  // Start polling for webset status
-  const startWebsetPolling = useCallback((runId) => {
-    if (websetPollIntervalRef.current) {
-      clearInterval(websetPollIntervalRef.current)
-      websetPollIntervalRef.current = null
-    }
-
-    const fetchAndUpdateWebset = async () => {
-      try {
-        const webset = await fetchWebsetStatus(leadsetId, runId)
-        setWebsetData(webset)
-        
-        // Update websetItems with items from Exa
-        if (webset?.items && Array.isArray(webset.items)) {
-          setWebsetItems(webset.items.map(item => ({ ...item, __source: 'webset' })))
-        }
-        
-        const isRunning = ['running', 'processing', 'pending'].includes(webset?.status)
-        if (!isRunning && websetPollIntervalRef.current) {
-          clearInterval(websetPollIntervalRef.current)
-          websetPollIntervalRef.current = null
-          // Refresh cache when run completes to get items from Firebase
-          refreshLeadset()
-        } else if (isRunning) {
-          // Also refresh cache periodically during active runs to sync status
-          refreshLeadset()
-        }
-      } catch (err) {
-        console.error('Failed to fetch webset status:', err)
-      }
-    }
-    
-    fetchAndUpdateWebset()
-    websetPollIntervalRef.current = setInterval(fetchAndUpdateWebset, 3000)
-  }, [leadsetId, refreshLeadset])
-
-  // Auto-start polling if we land on a page with an already running run
-  useEffect(() => {
-    const activeStatuses = ['running', 'processing', 'pending']
-    const currentStatus = (run?.status || '').toLowerCase()
-
-    if (run?.id && activeStatuses.includes(currentStatus)) {
-      if (lastPolledRunIdRef.current !== run.id) {
-        lastPolledRunIdRef.current = run.id
-        startWebsetPolling(run.id)
-      }
-    } else {
-      lastPolledRunIdRef.current = null
-    }
-  }, [run?.id, run?.status, startWebsetPolling])
-
   // Execute run with specific mode and count
   const executeRun = useCallback(async (mode = 'new', count = 10) => {
     setIsRequestingRun(true)
-    setWebsetData(null)
+    setBudgetError(null)
     setIsExtendModalOpen(false)
     
     try {
       const runDoc = await startLeadsetRun(leadsetId, { mode, count })
       
       if (runDoc?.id) {
-        startWebsetPolling(runDoc.id)
         showToast(
           mode === 'extend'
             ? `Adding ${count} more leads...`
@@ -578,30 +398,24 @@ export default function LeadsetDetail() {
       if (err.code === 'QUOTA_EXCEEDED' || err.message?.includes('quota')) {
         errorMessage = err.message || 'Exa API quota exceeded. Please try again later.'
       }
+      handleBudgetError(err)
       showToast(errorMessage, 'error')
       setIsRequestingRun(false)
     }
-  }, [leadsetId, showToast, startWebsetPolling])
+  }, [leadsetId, showToast, handleBudgetError])
 
-  const totalBuyerCount = finalItems.length + websetItems.length
-  const hasExistingWebset = Boolean(run?.websetId || leadset?.websetId)
+  // The run's items are saved as they arrive, so the feed's count already includes them
+  const totalBuyerCount = stats?.itemCount ?? 0
+  const hasExistingWebset = Boolean((run?.websetId && !run.websetDeleted) || leadset?.websetId)
   const showRunButton = !hasExistingWebset
   const showExtendButton = hasExistingWebset
   const disableExtend = ['running', 'processing', 'pending'].includes(derivedWebsetStatus) || isRequestingRun
 
   const handleStartNewRun = useCallback(() => {
-    if (websetPollIntervalRef.current) {
-      clearInterval(websetPollIntervalRef.current)
-      websetPollIntervalRef.current = null
-    }
     executeRun('new', 10)
   }, [executeRun])
 
   const openExtendModal = useCallback(() => {
-    if (websetPollIntervalRef.current) {
-      clearInterval(websetPollIntervalRef.current)
-      websetPollIntervalRef.current = null
-    }
     setExistingItemCount(totalBuyerCount)
     setIsExtendModalOpen(true)
   }, [totalBuyerCount])
@@ -609,62 +423,121 @@ export default function LeadsetDetail() {
   // Extract filter values for explicit dependency tracking
   const searchTerm = activeFilters.search
   const hasContactFilter = activeFilters.hasContact
+  const verifiedOnlyFilter = activeFilters.verifiedOnly
   const recencyFilter = activeFilters.recency
 
-  const dedupedItems = useMemo(() => {
-    const allItems = [...websetItems, ...finalItems]
-    const itemMap = new Map()
-    allItems.forEach((item) => {
-      const itemId = getItemId(item)
-      if (!itemId) return
-      const existing = itemMap.get(itemId)
-      if (!existing || item.__source === 'firebase') {
-        itemMap.set(itemId, item)
-      }
-    })
-    return Array.from(itemMap.values())
-  }, [finalItems, websetItems])
-
-  // Filtered items - using explicit dependencies to ensure re-computation
-  const filteredItems = useMemo(() => {
-    return dedupedItems.filter((item) => {
-      // Recency filter
-      if (recencyFilter.length) {
-        const bucket = bucketizeRecency(item.recency)
-        if (!recencyFilter.includes(bucket)) return false
-      }
-      // Has contact filter
-      if (hasContactFilter && !hasContactInfo(item)) {
-        return false
-      }
-      // Search filter
-      if (searchTerm) {
-        const term = searchTerm.trim().toLowerCase()
-        if (term.length) {
-          const company = (item.entity?.company || '').toLowerCase()
-          const domain = (item.entity?.domain || '').toLowerCase()
-          const snippet = (item.snippet || '').toLowerCase()
-          if (!company.includes(term) && !domain.includes(term) && !snippet.includes(term)) {
-            return false
-          }
-        }
-      }
-      return true
-    })
-  }, [dedupedItems, searchTerm, hasContactFilter, recencyFilter])
+  // Wait for typing to pause before searching on the backend
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm.trim()), SEARCH_DEBOUNCE_MS)
+    return () => clearTimeout(timer)
+  }, [searchTerm])
+
+  // Filtering, sorting and paging happen on the backend (GET /leadsets/:id/items)
+  const itemQuery = useMemo(() => ({
+    sort: sortBy,
+    q: debouncedSearch,
+    recency: recencyFilter,
+    hasContact: hasContactFilter,
+    emailStatus: verifiedOnlyFilter ? 'valid' : undefined,
+    runId: viewedRunId || undefined,
+  }), [sortBy, debouncedSearch, recencyFilter, hasContactFilter, verifiedOnlyFilter, viewedRunId])
+  const itemQueryKey = `${leadsetId}:${JSON.stringify(itemQuery)}`
+
+  // Page cursors belong to one query; a new query starts again at page 1
+  const activePaging = paging.key === itemQueryKey ? paging : { key: itemQueryKey, page: 1, cursors: [null] }
+  const currentPage = activePaging.page
+  const pageCursor = activePaging.cursors[currentPage - 1] ?? null
+  const paginatedItems = itemPage.items
+  const filteredCount = itemPage.total
+  const totalPages = Math.max(1, Math.ceil(filteredCount / PAGE_SIZE))
+
+  // Refetch when the query or page changes, and when the leadset feed updates
+  useEffect(() => {
+    if (!leadsetId) return undefined
+    let canceled = false
+    setIsPageLoading(true)
+    getLeadsetItems(leadsetId, { ...itemQuery, limit: PAGE_SIZE, cursor: pageCursor })
+      .then((page) => {
+        if (canceled) return
+        setItemPage({ items: page.items || [], total: page.total || 0, nextCursor: page.nextCursor || null })
+        setPaging((prev) => {
+          const base = prev.key === itemQueryKey ? prev : { key: itemQueryKey, page: currentPage, cursors: [null] }
+          const cursors = base.cursors.slice(0, currentPage)
+          cursors[currentPage] = page.nextCursor || null
+          return { ...base, cursors }
+        })
+      })
+      .catch((err) => {
+        if (!canceled) console.error('Failed to load leads:', err)
+      })
+      .finally(() => {
+        if (!canceled) setIsPageLoading(false)
+      })
+    return () => {
+      canceled = true
+    }
+  }, [leadsetId, itemQuery, itemQueryKey, currentPage, pageCursor, refreshCounter])
+
+  const goToPage = (page) => {
+    setPaging({ ...activePaging, page })
+  }
+
+  const isFilterActive = Boolean(searchTerm?.trim()) || hasContactFilter || verifiedOnlyFilter || recencyFilter.length > 0
 
-  const totalPages = Math.max(1, Math.ceil(filteredItems.length / PAGE_SIZE))
+  // Row selection for enrichment (capped at settings.limits.maxSelectionPerEnrichment)
+  const maxSelection = settings?.limits?.maxSelectionPerEnrichment || DEFAULT_MAX_SELECTION
+  const selectedCount = selectedItemIds.size
+  const isPageSelected = paginatedItems.length > 0 && paginatedItems.every((item) => selectedItemIds.has(getItemId(item)))
 
   useEffect(() => {
-    setCurrentPage(1)
-  }, [leadsetId, filteredItems.length])
+    setSelectedItemIds(new Set())
+  }, [itemQueryKey, run?.id])
 
-  const paginatedItems = useMemo(() => {
-    const start = (currentPage - 1) * PAGE_SIZE
-    return filteredItems.slice(start, start + PAGE_SIZE)
-  }, [filteredItems, currentPage])
+  const toggleItemSelection = useCallback((itemId) => {
+    setSelectedItemIds((prev) => {
+      const next = new Set(prev)
+      if (next.has(itemId)) {
+        next.delete(itemId)
+      } else if (next.size < maxSelection) {
+        next.add(itemId)
+      }
+      return next
+    })
+  }, [maxSelection])
+
+  const togglePageSelection = () => {
+    setSelectedItemIds((prev) => {
+      const next = new Set(prev)
+      if (isPageSelected) {
+        paginatedItems.forEach((item) => next.delete(getItemId(item)))
+      } else {
+        paginatedItems.forEach((item) => {
+          if (next.size < maxSelection) next.add(getItemId(item))
+        })
+      }
+      return next
+    })
+  }
 
-  const isFilterActive = Boolean(searchTerm?.trim()) || hasContactFilter || recencyFilter.length > 0
+  // Selects the first maxSelection leads matching the filters, across pages
+  const selectAllFiltered = async () => {
+    const ids = []
+    let cursor = null
+    try {
+      do {
+        const page = await getLeadsetItems(leadsetId, {
+          ...itemQuery,
+          limit: Math.min(MAX_ITEMS_PER_REQUEST, maxSelection - ids.length),
+          cursor,
+        })
+        ids.push(...(page.items || []).map(getItemId))
+        cursor = page.nextCursor
+      } while (cursor && ids.length < maxSelection)
+      setSelectedItemIds(new Set(ids))
+    } catch (err) {
+      showToast(err.message || 'Unable to select leads', 'error')
+    }
+  }
 
   const toggleFilter = (key, value) => {
     setActiveFilters((prev) => {
@@ -682,6 +555,10 @@ export default function LeadsetDetail() {
     setActiveFilters((prev) => ({ ...prev, hasContact: !prev.hasContact }))
   }
 
+  const toggleVerifiedOnlyFilter = () => {
+    setActiveFilters((prev) => ({ ...prev, verifiedOnly: !prev.verifiedOnly }))
+  }
+
   const toggleSnippetExpansion = useCallback((itemId) => {
     setExpandedSnippets((prev) => {
       const next = new Set(prev)
@@ -702,8 +579,115 @@ export default function LeadsetDetail() {
     }
   }, [refreshLeadset])
 
+  const stopEnrichmentPolling = () => {
+    if (enrichmentPollIntervalRef.current) {
+      clearInterval(enrichmentPollIntervalRef.current)
+      enrichmentPollIntervalRef.current = null
+    }
+    activeEnrichmentIdRef.current = null
+    setIsEnrichmentRequesting(false)
+  }
+
+  // Poll an enrichment until it settles; the toolbar shows its per-field progress
+  const startEnrichmentPolling = (enrichmentId, runId) => {
+    activeEnrichmentIdRef.current = enrichmentId
+    setIsEnrichmentRequesting(true)
+    let pollCount = 0
+    const maxPolls = 100
+
+    // Clear any existing poll interval
+    if (enrichmentPollIntervalRef.current) {
+      clearInterval(enrichmentPollIntervalRef.current)
+    }
+
+    enrichmentPollIntervalRef.current = setInterval(async () => {
+      pollCount++
+      try {
+        const enrichmentStatus = await getEnrichmentStatus(leadsetId, runId, enrichmentId)
+        const status = enrichmentStatus.status
+        if (status !== 'error') setEnrichmentProgress({ ...enrichmentStatus, runId })
+
+        if (status === 'completed') {
+          stopEnrichmentPolling()
+          setEnrichmentProgress(null)
+          showToast('Enrichment complete! Data updated.', 'success')
+          // Force refresh to get latest data
+          refreshLeadset()
+          if (recentHighlightTimeoutRef.current) clearTimeout(recentHighlightTimeoutRef.current)
+        } else if (status === 'partial') {
+          // The failed fields stay in the toolbar with a retry
+          stopEnrichmentPolling()
+          showToast(`Enrichment finished, but some fields failed: ${enrichmentStatus.error}`, 'error')
+          refreshLeadset()
+        } else if (status === 'failed') {
+          stopEnrichmentPolling()
+          showToast(`Enrichment failed: ${enrichmentStatus.error || 'unknown error'}`, 'error')
+          refreshLeadset()
+        } else if (status === 'canceled') {
+          stopEnrichmentPolling()
+          setEnrichmentProgress(null)
+          showToast('Enrichment canceled.', 'info')
+          refreshLeadset()
+        } else if (pollCount >= maxPolls) {
+          stopEnrichmentPolling()
+          setEnrichmentProgress(null)
+          showToast('Enrichment is taking longer than expected. Please refresh.', 'info')
+        } else {
+          // Refresh data periodically during enrichment to show progress
+          if (pollCount % 2 === 0) {
+            refreshLeadset()
+          }
+        }
+      } catch (pollError) {
+        console.error('Polling error:', pollError)
+        if (pollCount >= maxPolls) {
+          stopEnrichmentPolling()
+          setEnrichmentProgress(null)
+        }
+      }
+    }, 2500) // Poll every 2.5 seconds for faster updates
+  }
+
+  const handleCancelEnrichment = async () => {
+    if (!enrichmentProgress) return
+    setIsEnrichmentActionPending(true)
+    try {
+      const result = await cancelEnrichment(leadsetId, enrichmentProgress.runId, enrichmentProgress.id)
+      setEnrichmentProgress({ ...result, runId: enrichmentProgress.runId })
+      // Fields Exa already finished are still being saved; polling picks up the end
+      if (result.status === 'canceled') {
+        stopEnrichmentPolling()
+        setEnrichmentProgress(null)
+        showToast('Enrichment canceled. Unused credits were refunded.', 'info')
+        refreshLeadset()
+      }
+    } catch (err) {
+      showToast(err.response?.data?.message || err.message || 'Unable to cancel enrichment', 'error')
+    } finally {
+      setIsEnrichmentActionPending(false)
+    }
+  }
+
+  const handleRetryEnrichment = async () => {
+    if (!enrichmentProgress) return
+    setIsEnrichmentActionPending(true)
+    setBudgetError(null)
+    try {
+      const { runId } = enrichmentProgress
+      const result = await retryEnrichment(leadsetId, runId, enrichmentProgress.id)
+      setEnrichmentProgress({ ...result, runId })
+      showToast(`Retrying ${result.retriedFields.join(', ')}...`, 'info')
+      startEnrichmentPolling(enrichmentProgress.id, runId)
+    } catch (err) {
+      handleBudgetError(err)
+      showToast(err.response?.data?.message || err.message || 'Unable to retry enrichment', 'error')
+    } finally {
+      setIsEnrichmentActionPending(false)
+    }
+  }
+
   // Handle unlock (enrichment) - calls backend API
-  // Enriches the entire webset (all leads)
+  // Enriches only the selected leads
   const handleUnlock = async () => {
     if (!leadsetId || !run?.id) return
 
@@ -719,68 +703,37 @@ export default function LeadsetDetail() {
       return
     }
 
+    const itemIds = Array.from(selectedItemIds)
+    if (!itemIds.length) {
+      showToast('Select at least one lead to unlock.', 'error')
+      return
+    }
+
     setIsEnrichmentRequesting(true)
+    setBudgetError(null)
     // Close modal immediately after starting request
     setIsDetailsModalOpen(false)
     showToast('Enrichment started. Processing leads...', 'info')
 
     try {
-      const result = await requestEnrichment(leadsetId, run.id, selectedFieldList)
+      const result = await requestEnrichment(leadsetId, run.id, selectedFieldList, itemIds)
       const enrichmentId = result.enrichmentId
+      setSelectedItemIds(new Set())
 
-      if (enrichmentId) {
-        activeEnrichmentIdRef.current = enrichmentId
-        let pollCount = 0
-        const maxPolls = 100
-
-        // Clear any existing poll interval
-        if (enrichmentPollIntervalRef.current) {
-          clearInterval(enrichmentPollIntervalRef.current)
-        }
+      if (result.status === 'completed') {
+        // Every selected lead was already enriched in another leadset
+        setIsEnrichmentRequesting(false)
+        showToast(`Reused existing enrichment for ${result.reusedCount} leads. No credits used.`, 'success')
+        refreshLeadset()
+        return
+      }
+      if (result.reusedCount > 0) {
+        showToast(`Reused existing enrichment for ${result.reusedCount} leads; enriching the other ${result.itemCount}.`, 'info')
+      }
 
-        enrichmentPollIntervalRef.current = setInterval(async () => {
-          pollCount++
-          try {
-            const enrichmentStatus = await getEnrichmentStatus(leadsetId, run.id, enrichmentId)
-            const status = enrichmentStatus.status
-
-            if (['completed', 'done'].includes(status)) {
-              clearInterval(enrichmentPollIntervalRef.current)
-              enrichmentPollIntervalRef.current = null
-              activeEnrichmentIdRef.current = null
-              setIsEnrichmentRequesting(false)
-              showToast('Enrichment complete! Data updated.', 'success')
-              // Force refresh to get latest data
-              refreshLeadset()
-              if (recentHighlightTimeoutRef.current) clearTimeout(recentHighlightTimeoutRef.current)
-            } else if (status === 'failed') {
-              clearInterval(enrichmentPollIntervalRef.current)
-              enrichmentPollIntervalRef.current = null
-              activeEnrichmentIdRef.current = null
-              setIsEnrichmentRequesting(false)
-              showToast('Enrichment failed. Please try again.', 'error')
-            } else if (pollCount >= maxPolls) {
-              clearInterval(enrichmentPollIntervalRef.current)
-              enrichmentPollIntervalRef.current = null
-              activeEnrichmentIdRef.current = null
-              setIsEnrichmentRequesting(false)
-              showToast('Enrichment is taking longer than expected. Please refresh.', 'info')
-            } else {
-              // Refresh data periodically during enrichment to show progress
-              if (pollCount % 2 === 0) {
-                refreshLeadset()
-              }
-            }
-          } catch (pollError) {
-            console.error('Polling error:', pollError)
-            if (pollCount >= maxPolls) {
-              clearInterval(enrichmentPollIntervalRef.current)
-              enrichmentPollIntervalRef.current = null
-              activeEnrichmentIdRef.current = null
-              setIsEnrichmentRequesting(false)
-            }
-          }
-        }, 2500) // Poll every 2.5 seconds for faster updates
+      if (enrichmentId) {
+        setEnrichmentProgress({ id: enrichmentId, runId: run.id, status: 'pending', phase: result.status === 'importing' ? 'importing' : null, requests: result.requests || [] })
+        startEnrichmentPolling(enrichmentId, run.id)
       } else {
         setIsEnrichmentRequesting(false)
       }
@@ -788,19 +741,36 @@ export default function LeadsetDetail() {
       console.error(err)
       activeEnrichmentIdRef.current = null
       setIsEnrichmentRequesting(false)
+      handleBudgetError(err)
       showToast(err.response?.data?.message || err.message || 'Unable to request enrichment', 'error')
     }
   }
 
-  // Handle download - calls backend API
-  const handleDownload = async () => {
+  // Handle download - calls backend API with the table's filters and sort
+  const handleDownload = async ({ format, schema, columns, verifiedOnly }) => {
     if (!run?.id) return
     setIsExporting(true)
     try {
-      await exportRun(leadsetId, run.id)
+      const { runId: _viewedRunId, ...filters } = itemQuery
+      const exportDoc = await createExport(leadsetId, viewedRunId || run.id, {
+        format,
+        schema,
+        columns,
+        filters: { ...filters, emailStatus: verifiedOnly ? 'valid' : undefined },
+        requestedBy: sdk.getUserId() || null,
+      })
+      setIsExportModalOpen(false)
+      setExportsRefreshKey((prev) => prev + 1)
+      if (exportDoc.status === 'completed') {
+        downloadExport(exportDoc)
+      } else {
+        // Big exports are built in the background; the drawer shows when they're ready
+        showToast('This export is large, so it is being prepared in the background. It will appear under Exports.', 'info')
+        setIsExportsDrawerOpen(true)
+      }
     } catch (err) {
       console.error(err)
-      showToast(err.message || 'Unable to export CSV', 'error')
+      showToast(err.message || 'Unable to export leads', 'error')
     } finally {
       setIsExporting(false)
     }
@@ -818,10 +788,6 @@ export default function LeadsetDetail() {
     setIsCancelingRun(true)
     try {
       await cancelRun(leadsetId, run.id)
-      if (websetPollIntervalRef.current) {
-        clearInterval(websetPollIntervalRef.current)
-        websetPollIntervalRef.current = null
-      }
       refreshLeadset()
     } catch (err) {
       console.error('Error canceling run:', err)
@@ -837,27 +803,17 @@ export default function LeadsetDetail() {
       runId: run?.id || null,
       status: run?.status || leadset?.status || 'idle',
       analyzed: run?.counters?.analyzed ?? 0,
-      found: run?.counters?.found ?? finalItems.length,
-      enriched: run?.counters?.enriched ?? finalItems.filter(hasContactInfo).length,
+      found: run?.counters?.found ?? stats?.itemCount ?? 0,
+      enriched: run?.counters?.enriched ?? stats?.enrichedCount ?? 0,
     }
-  }, [run, leadset, finalItems])
-
-  const overallStats = useMemo(() => {
-    const uniqueKeys = new Set()
-    finalItems.forEach((item) => {
-      const key = item.entity?.company?.toLowerCase() || 
-                  item.entity?.domain?.toLowerCase() || 
-                  item.sourceUrl?.toLowerCase() || 
-                  getItemId(item)
-      if (key) uniqueKeys.add(key)
-    })
-    
-    return {
-      totalBuyers: finalItems.length,
-      totalEnriched: finalItems.filter(hasContactInfo).length,
-      totalUniqueBuyers: uniqueKeys.size,
-    }
-  }, [finalItems])
+  }, [run, leadset, stats])
+
+  // Totals over the leadset's items, counted by the backend (leadsetFeed/{leadsetId}.stats)
+  const overallStats = useMemo(() => ({
+    totalBuyers: stats?.itemCount ?? 0,
+    totalEnriched: stats?.enrichedCount ?? 0,
+    totalUniqueBuyers: stats?.uniqueCount ?? 0,
+  }), [stats])
 
   const overallEnrichmentRate = useMemo(() => {
     if (!overallStats.totalBuyers) return 0
@@ -867,16 +823,10 @@ export default function LeadsetDetail() {
   const activeStatus = latestStats.status || 'idle'
   const normalizedStatus = activeStatus.toLowerCase()
   const statusClass = statusClassMap[normalizedStatus] ?? statusClassMap.idle
-  // Prioritize run.status over websetData.status, especially for terminal states
-  // When run is idle/completed, use that instead of websetData which might be stale
-  const shouldUseRunStatus = ['idle', 'completed', 'failed'].includes(normalizedStatus)
-  const finalWebsetStatus = shouldUseRunStatus 
-    ? normalizedStatus 
-    : (websetData?.status?.toLowerCase() || normalizedStatus)
-  const statusDisplayText = finalWebsetStatus.charAt(0).toUpperCase() + finalWebsetStatus.slice(1)
+  const statusDisplayText = normalizedStatus.charAt(0).toUpperCase() + normalizedStatus.slice(1)
   const fieldCostOverrides = settings?.cost?.fields || null
   const fieldCostMap = useMemo(() => {
-    return FIELD_OPTIONS.reduce((acc, option) => {
+    return fieldOptions.reduce((acc, option) => {
       const overrideValue = fieldCostOverrides?.[option.key]
       const parsedValue =
         typeof overrideValue === 'number' && !Number.isNaN(overrideValue)
@@ -885,7 +835,7 @@ export default function LeadsetDetail() {
       acc[option.key] = parsedValue
       return acc
     }, {})
-  }, [fieldCostOverrides])
+  }, [fieldOptions, fieldCostOverrides])
   const perBuyerCost = useMemo(() => {
     if (!selectedFields.size) return 0
     let total = 0
@@ -894,8 +844,7 @@ export default function LeadsetDetail() {
     })
     return total
   }, [selectedFields, fieldCostMap])
-  const totalBuyersInWebset = filteredItems.length
-  const estimatedCost = totalBuyersInWebset * perBuyerCost
+  const estimatedCost = selectedCount * perBuyerCost
 
   // Error state
   if (error && !leadset && isInitialized && !isLoading) {
@@ -974,6 +923,17 @@ export default function LeadsetDetail() {
           <span style={{ fontWeight: 600, color: '#000000' }}>Leads</span>
         </div>
         <div className="selection-actions">
+          {hasExistingWebset && leadset?.id && (
+            <MonitorToggle leadsetId={leadset.id} monitor={leadset.monitor} onChange={() => refreshLeadset()} />
+          )}
+          <button
+            className="cta-secondary"
+            type="button"
+            onClick={() => setIsImportModalOpen(true)}
+            disabled={['running', 'processing', 'pending'].includes(derivedWebsetStatus) || isRequestingRun}
+          >
+            <span className="material-icons">upload_file</span>&nbsp;Import buyers
+          </button>
           {showRunButton && (
             <button className="cta-secondary" type="button" onClick={handleStartNewRun} disabled={isRequestingRun}>
               <span className="material-icons">{isRequestingRun ? 'sync' : 'play_arrow'}</span>&nbsp;
@@ -1015,14 +975,24 @@ export default function LeadsetDetail() {
         </div>
       )}
 
+      {budgetError && (
+        <div className="status-pill status-failed" style={{ marginBottom: '12px', padding: '12px 16px', display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <span className="material-icons" style={{ fontSize: '18px' }}>account_balance_wallet</span>
+          <span style={{ flex: 1 }}>Not enough credits: {budgetError}</span>
+          <button type="button" onClick={() => setBudgetError(null)} style={{ border: 'none', background: 'none', cursor: 'pointer', color: 'inherit' }}>
+            <span className="material-icons" style={{ fontSize: '18px' }}>close</span>
+          </button>
+        </div>
+      )}
+
       {/* Always show status bar */}
       <div className="status-pill" style={{
         marginBottom: '12px',
-        background: ['running', 'processing', 'pending'].includes(finalWebsetStatus)
+        background: ['running', 'processing', 'pending'].includes(normalizedStatus)
           ? 'linear-gradient(to right, rgba(255, 108, 87, 0.2), rgba(181, 106, 241, 0.2))'
-          : finalWebsetStatus === 'completed' || finalWebsetStatus === 'idle'
+          : normalizedStatus === 'completed' || normalizedStatus === 'idle'
           ? 'rgba(34, 197, 94, 0.1)'
-          : finalWebsetStatus === 'failed'
+          : normalizedStatus === 'failed'
           ? 'rgba(239, 68, 68, 0.1)'
           : 'rgba(0, 0, 0, 0.05)',
         color: '#000000',
@@ -1031,32 +1001,32 @@ export default function LeadsetDetail() {
         display: 'flex',
         alignItems: 'center',
         gap: '12px',
-        border: ['running', 'processing', 'pending'].includes(finalWebsetStatus)
+        border: ['running', 'processing', 'pending'].includes(normalizedStatus)
           ? '1px solid rgba(181, 106, 241, 0.3)'
-          : finalWebsetStatus === 'completed' || finalWebsetStatus === 'idle'
+          : normalizedStatus === 'completed' || normalizedStatus === 'idle'
           ? '1px solid rgba(34, 197, 94, 0.3)'
-          : finalWebsetStatus === 'failed'
+          : normalizedStatus === 'failed'
           ? '1px solid rgba(239, 68, 68, 0.3)'
           : '1px solid #e0e0e0',
       }}>
         <span className="material-icons" style={{ 
           fontSize: '20px',
-          color: ['running', 'processing', 'pending'].includes(finalWebsetStatus) ? '#B56AF1' 
-               : finalWebsetStatus === 'completed' || finalWebsetStatus === 'idle' ? '#22c55e'
-               : finalWebsetStatus === 'failed' ? '#ef4444'
+          color: ['running', 'processing', 'pending'].includes(normalizedStatus) ? '#B56AF1' 
+               : normalizedStatus === 'completed' || normalizedStatus === 'idle' ? '#22c55e'
+               : normalizedStatus === 'failed' ? '#ef4444'
                : '#6b7280',
-          animation: ['running', 'processing', 'pending'].includes(finalWebsetStatus) ? 'spin 1s linear infinite' : 'none'
+          animation: ['running', 'processing', 'pending'].includes(normalizedStatus) ? 'spin 1s linear infinite' : 'none'
         }}>
-          {['running', 'processing', 'pending'].includes(finalWebsetStatus) ? 'sync' 
-           : finalWebsetStatus === 'completed' || finalWebsetStatus === 'idle' ? 'check_circle'
-           : finalWebsetStatus === 'failed' ? 'error'
+          {['running', 'processing', 'pending'].includes(normalizedStatus) ? 'sync' 
+           : normalizedStatus === 'completed' || normalizedStatus === 'idle' ? 'check_circle'
+           : normalizedStatus === 'failed' ? 'error'
            : 'info'}
         </span>
         <div style={{ flex: 1 }}>
           <strong>Status:</strong> {statusDisplayText}
-          {['running', 'processing', 'pending'].includes(finalWebsetStatus) && ' (updating every 3s...)'}
-          {(finalWebsetStatus === 'completed' || finalWebsetStatus === 'idle') && run?.id && ` • ${filteredItems.length} leads found`}
-          {finalWebsetStatus === 'idle' && !run?.id && ' • No run started yet'}
+          {['running', 'processing', 'pending'].includes(normalizedStatus) && ' (updating live...)'}
+          {(normalizedStatus === 'completed' || normalizedStatus === 'idle') && run?.id && ` • ${filteredCount} leads found`}
+          {normalizedStatus === 'idle' && !run?.id && ' • No run started yet'}
         </div>
         {run?.id && (
           <span style={{ fontSize: '12px', color: '#6b7280' }}>
@@ -1067,30 +1037,54 @@ export default function LeadsetDetail() {
 
       <div style={{ marginBottom: '0px', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
         <h2 className="detail-title">{leadset.name}</h2>
-        <button
-          type="button"
-          onClick={handleDownload}
-          disabled={!run?.id || isExporting || !latestStats.found}
-          style={{
-            padding: '8px 16px',
-            fontSize: '14px',
-            fontWeight: 600,
-            borderRadius: '8px',
-            border: 'none',
-            background: '#000000',
-            color: '#ffffff',
-            cursor: 'pointer',
-            display: 'inline-flex',
-            alignItems: 'center',
-            gap: '6px',
-            transition: 'all 0.2s ease'
-          }}
-        >
-          <span className="material-icons" style={{ fontSize: '18px' }}>download</span>
-          {isExporting ? 'Preparing…' : 'Download CSV'}
-        </button>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <button
+            type="button"
+            className="cta-secondary"
+            onClick={() => setIsExportsDrawerOpen(true)}
+            style={{ display: 'inline-flex', alignItems: 'center', gap: '6px' }}
+          >
+            <span className="material-icons" style={{ fontSize: '18px' }}>history</span>
+            Exports
+          </button>
+          <button
+            type="button"
+            onClick={() => setIsExportModalOpen(true)}
+            disabled={!run?.id || isExporting || !latestStats.found}
+            style={{
+              padding: '8px 16px',
+              fontSize: '14px',
+              fontWeight: 600,
+              borderRadius: '8px',
+              border: 'none',
+              background: '#000000',
+              color: '#ffffff',
+              cursor: 'pointer',
+              display: 'inline-flex',
+              alignItems: 'center',
+              gap: '6px',
+              transition: 'all 0.2s ease'
+            }}
+          >
+            <span className="material-icons" style={{ fontSize: '18px' }}>download</span>
+            {isExporting ? 'Preparing…' : 'Download'}
+          </button>
+        </div>
       </div>
 
+      <QueryPreviewPanel
+        leadsetId={leadsetId}
+        disabled={['running', 'processing', 'pending'].includes(normalizedStatus)}
+      />
+
+      <RunHistoryPanel
+        leadsetId={leadsetId}
+        latestRunId={run?.id || null}
+        refreshKey={refreshCounter}
+        viewedRunId={viewedRunId}
+        onViewRun={setViewedRunId}
+      />
+
       <section className="filter-bar" style={{ marginTop: '-8px' }}>
         <div className="filter-quick" style={{ display: 'flex', flexWrap: 'wrap', gap: '12px', flexBasis: '100%' }}>
           <div className="search-input-wrapper" style={{ flexBasis: '100%', position: 'relative' }}>
@@ -1118,6 +1112,9 @@ export default function LeadsetDetail() {
             <button type="button" onClick={toggleHasContactFilter} className={`filter-chip ${activeFilters.hasContact ? 'active' : ''}`}>
               Has contact info
             </button>
+            <button type="button" onClick={toggleVerifiedOnlyFilter} className={`filter-chip ${activeFilters.verifiedOnly ? 'active' : ''}`}>
+              Verified emails only
+            </button>
             {RECENCY_BUCKETS.map((bucket) => (
               <button
                 key={bucket.key}
@@ -1128,6 +1125,18 @@ export default function LeadsetDetail() {
                 {bucket.label}
               </button>
             ))}
+            <label style={{ display: 'inline-flex', alignItems: 'center', gap: '8px', fontSize: '14px', color: '#475467' }}>
+              Sort by
+              <select
+                value={sortBy}
+                onChange={(e) => setSortBy(e.target.value)}
+                style={{ padding: '6px 10px', border: '1px solid #d0d5dd', borderRadius: '8px', fontSize: '14px', background: '#ffffff' }}
+              >
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.key} value={option.key}>{option.label}</option>
+                ))}
+              </select>
+            </label>
           </div>
         </div>
       </section>
@@ -1135,7 +1144,25 @@ export default function LeadsetDetail() {
       <section className="table-shell">
         <div className="selection-toolbar">
           <span className="toolbar-label" style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-            <span>{filteredItems.length} lead{filteredItems.length !== 1 ? 's' : ''}</span>
+            <span>{filteredCount} lead{filteredCount !== 1 ? 's' : ''}{viewedRunId ? ' in an earlier run' : ''}</span>
+            {viewedRunId && (
+              <button type="button" onClick={() => setViewedRunId(null)} style={{ border: 'none', background: 'none', color: '#1976d2', cursor: 'pointer', padding: 0, fontSize: '13px' }}>
+                Show current leads
+              </button>
+            )}
+            {selectedCount > 0 && (
+              <span style={{ fontSize: '13px', color: '#475467', display: 'inline-flex', alignItems: 'center', gap: '6px' }}>
+                • {selectedCount} selected
+                {selectedCount < Math.min(filteredCount, maxSelection) && (
+                  <button type="button" onClick={selectAllFiltered} style={{ border: 'none', background: 'none', color: '#1976d2', cursor: 'pointer', padding: 0, fontSize: '13px' }}>
+                    Select all {Math.min(filteredCount, maxSelection)}
+                  </button>
+                )}
+                <button type="button" onClick={() => setSelectedItemIds(new Set())} style={{ border: 'none', background: 'none', color: '#1976d2', cursor: 'pointer', padding: 0, fontSize: '13px' }}>
+                  Clear
+                </button>
+              </span>
+            )}
             {isRunActive && (
               <span style={{ marginLeft: '4px', fontSize: '13px', display: 'inline-flex', alignItems: 'center', gap: '6px', background: 'linear-gradient(to right, #FF6C57, #B56AF1)', WebkitBackgroundClip: 'text', WebkitTextFillColor: 'transparent', backgroundClip: 'text' }}>
                 <span className="material-icons" style={{ fontSize: '16px', animation: 'spin 1s linear infinite', background: 'linear-gradient(to right, #FF6C57, #B56AF1)', WebkitBackgroundClip: 'text', WebkitTextFillColor: 'transparent', backgroundClip: 'text' }}>sync</span>
@@ -1148,6 +1175,16 @@ export default function LeadsetDetail() {
                 Refreshing...
               </span>
             )}
+            {enrichmentProgress && (
+              <EnrichmentProgress
+                enrichment={enrichmentProgress}
+                fieldLabels={fieldLabels}
+                busy={isEnrichmentActionPending}
+                onCancel={handleCancelEnrichment}
+                onRetry={handleRetryEnrichment}
+                onDismiss={() => setEnrichmentProgress(null)}
+              />
+            )}
           </span>
           <div className="selection-actions">
             {showExtendButton && !disableExtend && (
@@ -1175,7 +1212,31 @@ export default function LeadsetDetail() {
             )}
             <button
               type="button"
-              disabled={!run?.id || filteredItems.length === 0 || isEnrichmentRequesting}
+              disabled={selectedCount === 0}
+              title={selectedCount === 0 ? 'Select leads to push to your CRM' : undefined}
+              onClick={() => setIsPushModalOpen(true)}
+              style={{
+                padding: '8px 16px',
+                fontSize: '14px',
+                fontWeight: 400,
+                borderRadius: '8px',
+                border: '1px solid #000000',
+                background: 'white',
+                color: '#000000',
+                cursor: selectedCount === 0 ? 'not-allowed' : 'pointer',
+                display: 'inline-flex',
+                alignItems: 'center',
+                gap: '6px',
+                transition: 'all 0.2s ease'
+              }}
+            >
+              <span className="material-icons" style={{ fontSize: '18px' }}>cloud_upload</span>
+              {selectedCount > 0 ? `Push to CRM (${selectedCount})` : 'Push to CRM'}
+            </button>
+            <button
+              type="button"
+              disabled={!run?.id || selectedCount === 0 || isEnrichmentRequesting}
+              title={selectedCount === 0 ? 'Select leads to unlock' : undefined}
               onClick={() => setIsDetailsModalOpen(true)}
               style={{
                 padding: '8px 16px',
@@ -1194,14 +1255,9 @@ export default function LeadsetDetail() {
                 transition: 'all 0.2s ease'
               }}
             >
-              {isEnrichmentRequesting ? (
-                <>
-                  <span className="material-icons" style={{ fontSize: '16px', animation: 'spin 1s linear infinite' }}>sync</span>
-                  Enriching...
-                </>
-              ) : (
-                'Unlock details'
-              )}
+              {isEnrichmentRequesting
+                ? 'Enriching...'
+                : selectedCount > 0 ? `Unlock details (${selectedCount})` : 'Unlock details'}
             </button>
           </div>
         </div>
@@ -1217,6 +1273,15 @@ export default function LeadsetDetail() {
             <table>
               <thead>
                 <tr>
+                  <th style={{ borderRight: '1px solid #e0e0e0', width: '36px' }}>
+                    <input
+                      type="checkbox"
+                      checked={isPageSelected}
+                      onChange={togglePageSelection}
+                      disabled={Boolean(viewedRunId) || !paginatedItems.length}
+                      aria-label="Select leads on this page"
+                    />
+                  </th>
                   {/* Common columns */}
                   <th style={{ borderRight: '1px solid #e0e0e0', minWidth: '140px' }}>Lead</th>
                   <th style={{ borderRight: '1px solid #e0e0e0', minWidth: '200px', maxWidth: '250px' }}>About</th>
@@ -1242,7 +1307,7 @@ export default function LeadsetDetail() {
                 </tr>
               </thead>
             <tbody>
-              {showLoading && !paginatedItems.length ? (
+              {(showLoading || isPageLoading) && !paginatedItems.length ? (
                 [...Array(8)].map((_, i) => <BuyerItemSkeleton key={`skeleton-${i}`} />)
               ) : (
                 paginatedItems.map((item) => {
@@ -1256,6 +1321,15 @@ export default function LeadsetDetail() {
                     : snippetText
                   return (
                     <tr key={itemId} className={isRecentlyEnriched ? 'recently-enriched' : ''}>
+                      <td style={{ borderRight: '1px solid #e0e0e0' }}>
+                        <input
+                          type="checkbox"
+                          checked={selectedItemIds.has(itemId)}
+                          onChange={() => toggleItemSelection(itemId)}
+                          disabled={Boolean(viewedRunId) || (!selectedItemIds.has(itemId) && selectedItemIds.size >= maxSelection)}
+                          aria-label="Select lead"
+                        />
+                      </td>
                       {/* Lead Name */}
                       <td
                         style={{ borderRight: '1px solid #e0e0e0', cursor: item.sourceUrl ? 'pointer' : 'default' }}
@@ -1269,14 +1343,38 @@ export default function LeadsetDetail() {
                           <span className="material-icons" style={{ fontSize: '16px', color: '#667085', flexShrink: 0 }}>
                             {item.entityType === 'company' ? 'business' : 'person'}
                           </span>
-                          {item.sourceUrl ? (
-                            <a href={item.sourceUrl} target="_blank" rel="noreferrer" className="lead-link">
-                              {item.entity?.company || '—'}
-                              <span className="lead-link-icon">↗</span>
-                            </a>
-                          ) : (
-                            <span style={{ fontWeight: 500 }}>{item.entity?.company || '—'}</span>
-                          )}
+                          <div style={{ minWidth: 0 }}>
+                            {item.sourceUrl ? (
+                              <a href={item.sourceUrl} target="_blank" rel="noreferrer" className="lead-link">
+                                {getLeadName(item) || '—'}
+                                <span className="lead-link-icon">↗</span>
+                              </a>
+                            ) : (
+                              <span style={{ fontWeight: 500 }}>{getLeadName(item) || '—'}</span>
+                            )}
+                            {item.entityType === 'person' && (item.entity?.title || item.entity?.company) && (
+                              <div style={{ fontSize: '11px', color: '#667085' }}>
+                                {[item.entity?.title, item.entity?.company].filter(Boolean).join(' · ')}
+                              </div>
+                            )}
+                            {item.buyer?.leadsetCount > 1 && (
+                              <div>
+                                <span
+                                  className="seen-in-badge"
+                                  title="This buyer was also found in other leadsets; enrichment bought there is reused here"
+                                >
+                                  Seen in {item.buyer.leadsetCount} leadsets
+                                </span>
+                              </div>
+                            )}
+                            {isInCrm(item) && (
+                              <div>
+                                <span className="seen-in-badge" title="This lead has been pushed to a CRM destination">
+                                  In CRM
+                                </span>
+                              </div>
+                            )}
+                          </div>
                         </div>
                       </td>
 
@@ -1309,8 +1407,17 @@ export default function LeadsetDetail() {
                       </td>
 
                       {/* Score */}
-                      <td style={{ borderRight: '1px solid #e0e0e0', textAlign: 'center' }}>
-                        <span style={{ fontWeight: 600, color: '#101828' }}>{formatScore(item.score, item)}%</span>
+                      <td
+                        style={{ borderRight: '1px solid #e0e0e0', textAlign: 'center', position: 'relative' }}
+                        onMouseEnter={() => setHoveredScore(itemId)}
+                        onMouseLeave={() => setHoveredScore(null)}
+                      >
+                        <span style={{ fontWeight: 600, color: '#101828', cursor: item.scoreBreakdown ? 'help' : 'default' }}>
+                          {formatScore(item.score, item)}%
+                        </span>
+                        {hoveredScore === itemId && Object.keys(item.scoreBreakdown || {}).length > 0 && (
+                          <ScoreBreakdown breakdown={item.scoreBreakdown} matches={item.matches} />
+                        )}
                       </td>
 
                       {/* Email */}
@@ -1320,11 +1427,16 @@ export default function LeadsetDetail() {
                           const fieldWasEnriched = wasFieldEnriched(item, 'email')
                           if (val && val !== 'Not found') {
                             return (
-                              <a href={`mailto:${val}`} style={{ color: '#1976d2', fontSize: '12px', wordBreak: 'break-all' }}>
-                                {val}
-                              </a>
+                              <>
+                                <a href={`mailto:${val}`} style={{ color: '#1976d2', fontSize: '12px', wordBreak: 'break-all' }}>
+                                  {val}
+                                </a>
+                                {renderEmailStatus(item)}
+                              </>
                             )
                           }
+                          const flagged = renderFlaggedField(item, 'email')
+                          if (flagged) return flagged
                           if (fieldWasEnriched || val === 'Not found') {
                             return <span style={{ color: '#dc2626', fontSize: '12px', fontStyle: 'italic' }}>Not found</span>
                           }
@@ -1339,11 +1451,16 @@ export default function LeadsetDetail() {
                           const fieldWasEnriched = wasFieldEnriched(item, 'phone')
                           if (val && val !== 'Not found') {
                             return (
-                              <a href={`tel:${val}`} style={{ color: '#1976d2', fontSize: '12px' }}>
-                                {val}
-                              </a>
+                              <>
+                                <a href={`tel:${val}`} style={{ color: '#1976d2', fontSize: '12px' }}>
+                                  {val}
+                                </a>
+                                {item.enrichment?.flags?.phone && <> {renderFlaggedField(item, 'phone')}</>}
+                              </>
                             )
                           }
+                          const flagged = renderFlaggedField(item, 'phone')
+                          if (flagged) return flagged
                           if (fieldWasEnriched || val === 'Not found') {
                             return <span style={{ color: '#dc2626', fontSize: '12px', fontStyle: 'italic' }}>Not found</span>
                           }
@@ -1354,7 +1471,9 @@ export default function LeadsetDetail() {
                       {/* LinkedIn URL */}
                       <td style={{ borderRight: '1px solid #e0e0e0' }}>
                         {(() => {
-                          const val = item.enrichment?.linkedinUrl
+                          const val = item.enrichment?.linkedinUrl && item.enrichment.linkedinUrl !== 'Not found'
+                            ? item.enrichment.linkedinUrl
+                            : item.entity?.linkedinUrl || item.enrichment?.linkedinUrl
                           const fieldWasEnriched = wasFieldEnriched(item, 'linkedinUrl')
                           if (val && val !== 'Not found' && val.trim()) {
                             return (
@@ -1368,6 +1487,8 @@ export default function LeadsetDetail() {
                               </a>
                             )
                           }
+                          const flagged = renderFlaggedField(item, 'linkedinUrl')
+                          if (flagged) return flagged
                           if (fieldWasEnriched || val === 'Not found') {
                             return <span style={{ color: '#dc2626', fontSize: '12px', fontStyle: 'italic' }}>Not found</span>
                           }
@@ -1383,6 +1504,8 @@ export default function LeadsetDetail() {
                           if (val && val !== 'Not found') {
                             return <span style={{ color: '#101828', fontSize: '12px' }}>{val}</span>
                           }
+                          const flagged = renderFlaggedField(item, 'primaryContactChannel')
+                          if (flagged) return flagged
                           if (fieldWasEnriched || val === 'Not found') {
                             return <span style={{ color: '#dc2626', fontSize: '12px', fontStyle: 'italic' }}>Not found</span>
                           }
@@ -1398,6 +1521,8 @@ export default function LeadsetDetail() {
                           if (val && val !== 'Not found') {
                             return <span style={{ color: '#101828', fontSize: '12px', fontWeight: 500 }}>{val}</span>
                           }
+                          const flagged = renderFlaggedField(item, 'leadType')
+                          if (flagged) return flagged
                           if (fieldWasEnriched || val === 'Not found') {
                             return <span style={{ color: '#dc2626', fontSize: '12px', fontStyle: 'italic' }}>Not found</span>
                           }
@@ -1413,6 +1538,8 @@ export default function LeadsetDetail() {
                           if (val && val !== 'Not found') {
                             return <span style={{ color: '#101828', fontSize: '12px' }}>{val}</span>
                           }
+                          const flagged = renderFlaggedField(item, 'geoLocation')
+                          if (flagged) return flagged
                           if (fieldWasEnriched || val === 'Not found') {
                             return <span style={{ color: '#dc2626', fontSize: '12px', fontStyle: 'italic' }}>Not found</span>
                           }
@@ -1429,6 +1556,8 @@ export default function LeadsetDetail() {
                             if (val && val !== 'Not found') {
                               return <span style={{ color: '#101828', fontSize: '12px' }}>{val}</span>
                             }
+                            const flagged = renderFlaggedField(item, 'employeeCount')
+                            if (flagged) return flagged
                             if (fieldWasEnriched || val === 'Not found') {
                               return <span style={{ color: '#dc2626', fontSize: '12px', fontStyle: 'italic' }}>Not found</span>
                             }
@@ -1447,6 +1576,8 @@ export default function LeadsetDetail() {
                               const color = val === 'high' ? '#16a34a' : val === 'medium' ? '#ca8a04' : val === 'low' ? '#dc2626' : '#101828'
                               return <span style={{ color, fontWeight: 600, fontSize: '12px' }}>{capitalizeFirst(val)}</span>
                             }
+                            const flagged = renderFlaggedField(item, 'buyingIntent')
+                            if (flagged) return flagged
                             if (fieldWasEnriched || val === 'not found') {
                               return <span style={{ color: '#dc2626', fontSize: '12px', fontStyle: 'italic' }}>Not found</span>
                             }
@@ -1464,6 +1595,8 @@ export default function LeadsetDetail() {
                             if (val && val !== 'Not found') {
                               return <span style={{ color: '#475467', fontSize: '11px', lineHeight: '1.3' }}>{formatInsightValue(val, 100)}</span>
                             }
+                            const flagged = renderFlaggedField(item, 'buyingIntentReason')
+                            if (flagged) return flagged
                             if (fieldWasEnriched || val === 'Not found') {
                               return <span style={{ color: '#dc2626', fontSize: '12px', fontStyle: 'italic' }}>Not found</span>
                             }
@@ -1482,6 +1615,8 @@ export default function LeadsetDetail() {
                               const color = val === 'high' ? '#16a34a' : val === 'medium' ? '#ca8a04' : val === 'low' ? '#dc2626' : '#101828'
                               return <span style={{ color, fontWeight: 600, fontSize: '12px' }}>{capitalizeFirst(val)}</span>
                             }
+                            const flagged = renderFlaggedField(item, 'partnershipIntentLevel')
+                            if (flagged) return flagged
                             if (fieldWasEnriched || val === 'not found') {
                               return <span style={{ color: '#dc2626', fontSize: '12px', fontStyle: 'italic' }}>Not found</span>
                             }
@@ -1499,6 +1634,8 @@ export default function LeadsetDetail() {
                             if (val && val !== 'Not found') {
                               return <span style={{ color: '#475467', fontSize: '11px', lineHeight: '1.3' }}>{formatInsightValue(val, 100)}</span>
                             }
+                            const flagged = renderFlaggedField(item, 'partnershipIntentReason')
+                            if (flagged) return flagged
                             if (fieldWasEnriched || val === 'Not found') {
                               return <span style={{ color: '#dc2626', fontSize: '12px', fontStyle: 'italic' }}>Not found</span>
                             }
@@ -1516,6 +1653,8 @@ export default function LeadsetDetail() {
                             if (val && val !== 'Not found') {
                               return <span style={{ color: '#101828', fontWeight: 600, fontSize: '12px' }}>{val}</span>
                             }
+                            const flagged = renderFlaggedField(item, 'audienceOverlapScore')
+                            if (flagged) return flagged
                             if (fieldWasEnriched || val === 'Not found') {
                               return <span style={{ color: '#dc2626', fontSize: '12px', fontStyle: 'italic' }}>Not found</span>
                             }
@@ -1534,9 +1673,9 @@ export default function LeadsetDetail() {
                   )
                 })
               )}
-              {!showLoading && !filteredItems.length && (
+              {!showLoading && !isPageLoading && !paginatedItems.length && (
                 <tr>
-                  <td colSpan={9 + (isBuyer ? 3 : 0) + (isPartner ? 3 : 0) + 1}>
+                  <td colSpan={10 + (isBuyer ? 3 : 0) + (isPartner ? 3 : 0) + 1}>
                     <div className="empty-state">No leads match the current filters. Clear filters to see all results.</div>
                   </td>
                 </tr>
@@ -1547,17 +1686,16 @@ export default function LeadsetDetail() {
             })()}
         </div>
 
-        {filteredItems.length > PAGE_SIZE && (
+        {filteredCount > PAGE_SIZE && (
           <div className="pagination">
             <span style={{ fontSize: '0.9em', color: '#475467' }}>
-              Showing {(currentPage - 1) * PAGE_SIZE + 1}–{Math.min(currentPage * PAGE_SIZE, filteredItems.length)} of {filteredItems.length} leads
+              Showing {(currentPage - 1) * PAGE_SIZE + 1}–{Math.min(currentPage * PAGE_SIZE, filteredCount)} of {filteredCount} leads
             </span>
             <div style={{ display: 'flex', gap: '8px' }}>
-              <button className="cta-secondary" type="button" onClick={() => setCurrentPage(1)} disabled={currentPage === 1}>« First</button>
-              <button className="cta-secondary" type="button" onClick={() => setCurrentPage((p) => Math.max(1, p - 1))} disabled={currentPage === 1}>‹ Prev</button>
+              <button className="cta-secondary" type="button" onClick={() => goToPage(1)} disabled={currentPage === 1}>« First</button>
+              <button className="cta-secondary" type="button" onClick={() => goToPage(currentPage - 1)} disabled={currentPage === 1}>‹ Prev</button>
               <span style={{ alignSelf: 'center', fontSize: '0.9em', color: '#475467' }}>Page {currentPage} / {totalPages}</span>
-              <button className="cta-secondary" type="button" onClick={() => setCurrentPage((p) => Math.min(totalPages, p + 1))} disabled={currentPage === totalPages}>Next ›</button>
-              <button className="cta-secondary" type="button" onClick={() => setCurrentPage(totalPages)} disabled={currentPage === totalPages}>Last »</button>
+              <button className="cta-secondary" type="button" onClick={() => goToPage(currentPage + 1)} disabled={!itemPage.nextCursor}>Next ›</button>
             </div>
           </div>
         )}
@@ -1565,8 +1703,9 @@ export default function LeadsetDetail() {
 
       {isDetailsModalOpen && (
         <UnlockModal
-          count={totalBuyersInWebset}
-          fieldOptions={FIELD_OPTIONS}
+          count={selectedCount}
+          maxSelection={maxSelection}
+          fieldOptions={fieldOptions}
           selectedFields={selectedFields}
           onToggleField={toggleFieldSelection}
           costByField={fieldCostMap}
@@ -1578,6 +1717,50 @@ export default function LeadsetDetail() {
         />
       )}
 
+      {isImportModalOpen && (
+        <ImportBuyersModal
+          leadsetId={leadsetId}
+          defaultEntity={run?.entityType === 'person' ? 'person' : 'company'}
+          onImported={(status) => {
+            showToast(`Imported ${status.itemCount ?? 0} buyers.`, 'success')
+            refreshLeadset()
+          }}
+          onCancel={() => setIsImportModalOpen(false)}
+        />
+      )}
+
+      {isExportModalOpen && (
+        <ExportOptionsModal
+          leadsetId={leadsetId}
+          filtered={isFilterActive}
+          verifiedOnly={verifiedOnlyFilter}
+          loading={isExporting}
+          onExport={handleDownload}
+          onCancel={() => setIsExportModalOpen(false)}
+        />
+      )}
+
+      {isExportsDrawerOpen && (
+        <ExportsDrawer
+          leadsetId={leadsetId}
+          refreshKey={exportsRefreshKey}
+          onClose={() => setIsExportsDrawerOpen(false)}
+        />
+      )}
+
+      {isPushModalOpen && (
+        <PushToCrmModal
+          leadsetId={leadsetId}
+          itemIds={Array.from(selectedItemIds)}
+          requestedBy={sdk.getUserId() || null}
+          onPushed={(push) => {
+            showToast(`Pushed ${push.counts.pushed} leads to your CRM.`, push.counts.failed ? 'info' : 'success')
+            refreshLeadset()
+          }}
+          onCancel={() => setIsPushModalOpen(false)}
+        />
+      )}
+
       {isExtendModalOpen && (
         <RunOptionsModal
           itemCount={existingItemCount}
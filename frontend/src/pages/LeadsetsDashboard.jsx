@@ -3,6 +3,7 @@ import { useNavigate } from 'react-router-dom'
 import LeadsetCard from '../components/LeadsetCard'
 import LeadsetCardSkeleton from '../components/LeadsetCardSkeleton'
 import FN7FactRotator from '../components/FN7FactRotator'
+import SpendPanel from '../components/SpendPanel'
 import { useDataCache } from '../contexts/DataCacheContext'
 
 export default function LeadsetsDashboard() {
@@ -73,6 +74,8 @@ export default function LeadsetsDashboard() {
 
       {error && <div className="status-pill status-failed">Error: {error}</div>}
 
+      <SpendPanel refreshKey={refreshCounter} />
+
       <section className="card-grid">
         {showLoading ? (
           <>
@@ -12,6 +12,7 @@
  * - POST /api/leads/leadsets/:id/run -> Creates Webset in Exa, searches for buyers
  * - GET /api/leads/leadsets/:id/runs/:runId/webset -> Gets live items from Exa
  * - POST /api/leads/leadsets/:id/runs/:runId/enrich -> Creates enrichments for email/phone
+ * - POST /api/leads/leadsets/:id/runs/:runId/enrichment/:enrichmentId/{cancel,retry} -> Stops it, or retries failed fields
  */
 
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3000'
@@ -93,7 +94,7 @@ export function checkRunStatus(leadsetId) {
  * - mode: 'new' | 'extend' | 'replace'
  *   - 'new': Create new run (returns 409 if existing webset)
  *   - 'extend': Add more buyers to existing data
- *   - 'replace': Delete existing webset and create new one
+ *   - 'replace': Delete existing webset and create new one (old items are archived)
  * - count: Number of buyers to fetch (default: 10)
  * - force: Force new run even if existing (default: false)
  * 
@@ -113,46 +114,172 @@ export function startLeadsetRun(leadsetId, options = {}) {
 }
 
 /**
- * Get webset status and items from Exa (via backend)
- * 
- * This endpoint:
- * - Fetches current webset status from Exa API
- * - Returns all items found so far
- * - Updates Firebase with latest data
- * 
- * Poll this during active runs for real-time updates
+ * Preview the Exa query and weighted criteria a run would use
+ * Backend: Builds query from leadset prompt, segment and intent (+ overrides)
+ *
+ * overrides (optional, not saved):
+ * - query, appendToQuery, excludeCriteria, extraCriteria, weights
+ */
+export function previewLeadsetQuery(leadsetId, overrides = null) {
+  return request(`/leadsets/${leadsetId}/query-preview`, {
+    method: 'POST',
+    body: overrides ? { overrides } : {},
+  })
+}
+
+/**
+ * Save per-leadset query overrides (replaces existing overrides)
+ * Returns the resulting query preview
+ */
+export function saveQueryOverrides(leadsetId, overrides = {}) {
+  return request(`/leadsets/${leadsetId}/query-overrides`, {
+    method: 'PUT',
+    body: overrides,
+  })
+}
+
+/**
+ * Turn Exa monitoring on/off for a leadset
+ * Backend: creates, resumes or pauses an Exa monitor on the leadset's webset.
+ * Each monitor run shows up as a run with mode 'monitor'.
+ *
+ * options: { enabled, cron, count } (cron is 5-field UTC, default daily 09:00)
+ */
+export function setLeadsetMonitor(leadsetId, options = {}) {
+  return request(`/leadsets/${leadsetId}/monitor`, {
+    method: 'PUT',
+    body: options,
+  })
+}
+
+/**
+ * List a leadset's runs, newest first
+ * Returns { runs: [{ id, mode, status, createdAt, counters, searchQuery, cost, ... }] }
+ */
+export function getLeadsetRuns(leadsetId) {
+  return request(`/leadsets/${leadsetId}/runs`)
+}
+
+/**
+ * Compare a run with the run before it
+ * Returns { previousRunId, counts, added, dropped, changed }; changed entries
+ * carry changes.score { from, to } and changes.enrichment [{ field, from, to }]
  */
-export function fetchWebsetStatus(leadsetId, runId) {
-  return request(`/leadsets/${leadsetId}/runs/${runId}/webset`)
+export function getRunDiff(leadsetId, runId) {
+  return request(`/leadsets/${leadsetId}/runs/${runId}/diff`)
+}
+
+/**
+ * Get one page of a leadset's items, filtered and sorted by the backend
+ *
+ * params: { sort, q, recency, hasContact, emailStatus, entity, fields, runId, limit, cursor }
+ * - sort: 'score' | 'recency' | 'company'
+ * - recency: array of '7d' | '30d' | '90d' | 'older'
+ * - emailStatus: 'valid' | 'risky' | 'invalid' | 'unknown' (comma-separated); 'valid' = verified only
+ * - fields: { enrichmentKey: value | [values] } ('any' = has a value)
+ * Returns { items, total, nextCursor }; pass nextCursor as cursor for the next page
+ */
+export function getLeadsetItems(leadsetId, params = {}) {
+  const { fields = {}, recency = [], ...rest } = params
+  const query = new URLSearchParams()
+  Object.entries(rest).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '' && value !== false) query.set(key, String(value))
+  })
+  if (recency.length) query.set('recency', recency.join(','))
+  Object.entries(fields).forEach(([key, value]) => {
+    const values = Array.isArray(value) ? value : [value]
+    if (values.length) query.set(`field[${key}]`, values.join(','))
+  })
+  const search = query.toString()
+  return request(`/leadsets/${leadsetId}/items${search ? `?${search}` : ''}`)
 }
 
 /**
  * Request enrichment for selected items
- * Backend: Creates enrichments in Exa for email/phone extraction
+ * Backend: Creates enrichments in Exa for the requested fields
  * 
  * Flow:
- * 1. Frontend sends list of itemIds to enrich
- * 2. Backend creates email enrichment in Exa
- * 3. Backend creates phone enrichment in Exa
+ * 1. Frontend sends list of itemIds to enrich (max settings.limits.maxSelectionPerEnrichment)
+ * 2. Backend imports the selected items into a dedicated webset
+ * 3. Backend creates one enrichment per field once the import completes
  * 4. Exa searches for contact details
  * 5. Frontend polls enrichment status for completion
- * 6. Backend updates items in Firebase with contact info
+ * 6. Backend updates the selected items in Firebase with contact info
+ *
+ * Omitting itemIds enriches every item in the run's webset.
  */
-export function requestEnrichment(leadsetId, runId, fields = []) {
+export function requestEnrichment(leadsetId, runId, fields = [], itemIds = null) {
   return request(`/leadsets/${leadsetId}/runs/${runId}/enrich`, {
     method: 'POST',
-    body: { fields },
+    body: itemIds ? { fields, itemIds } : { fields },
   })
 }
 
+/**
+ * Enrichment fields a leadset can unlock
+ * Backend: built-in fields plus the workspace fields operators added
+ * (POST /enrichment-fields), filtered by the leadset's enrichment_fields
+ * Returns { fields: [{ key, label, summary, category, format, defaultCost, source }], formats }
+ */
+export function listEnrichmentFields(leadsetId) {
+  return request(`/enrichment-fields?leadsetId=${encodeURIComponent(leadsetId)}`)
+}
+
 /**
  * Get enrichment status
  * Backend: Checks Exa enrichment status, fetches results when complete
+ * Returns { id, status, phase, error, requests: [{ field, status, error, done, total, attempt }] }
+ * status: 'pending' | 'completed' | 'partial' | 'failed' | 'canceled'
  */
 export function getEnrichmentStatus(leadsetId, runId, enrichmentId) {
   return request(`/leadsets/${leadsetId}/runs/${runId}/enrichment/${enrichmentId}`)
 }
 
+/**
+ * Cancel a running enrichment
+ * Backend: cancels the fields still running in Exa and refunds them; fields
+ * Exa already finished are still written. Returns the enrichment status.
+ */
+export function cancelEnrichment(leadsetId, runId, enrichmentId) {
+  return request(`/leadsets/${leadsetId}/runs/${runId}/enrichment/${enrichmentId}/cancel`, {
+    method: 'POST',
+  })
+}
+
+/**
+ * Retry the failed fields of an enrichment
+ * Backend: creates the failed fields again in Exa (charged again) and returns
+ * the enrichment status with retriedFields; poll getEnrichmentStatus after it
+ */
+export function retryEnrichment(leadsetId, runId, enrichmentId) {
+  return request(`/leadsets/${leadsetId}/runs/${runId}/enrichment/${enrichmentId}/retry`, {
+    method: 'POST',
+  })
+}
+
+/**
+ * Import a CSV/JSON list of known companies or people into a leadset
+ * Backend: uploads the rows to an Exa import on the leadset's webset and
+ * tracks them as a run with mode 'import'
+ *
+ * options: { content, format, entity, mapping, fileName }
+ * mapping: { url, name, company, title, description } -> column in the file
+ */
+export function importLeadsetBuyers(leadsetId, options = {}) {
+  return request(`/leadsets/${leadsetId}/imports`, {
+    method: 'POST',
+    body: options,
+  })
+}
+
+/**
+ * Get import progress
+ * Backend: checks the Exa import and finishes the import run when it is done
+ */
+export function getLeadsetImportStatus(leadsetId, importId) {
+  return request(`/leadsets/${leadsetId}/imports/${importId}`)
+}
+
 /**
  * Cancel a running webset
  * Backend: Cancels webset in Exa, updates run status in Firebase
@@ -165,40 +292,108 @@ export function cancelRun(leadsetId, runId) {
 }
 
 /**
- * Export run data as CSV
- * Backend: Generates CSV from Firebase data, uploads to Storage
+ * Get workspace credit balance, this month's spend vs cap, and ledger history
+ * Runs and enrichments are debited here; over-budget requests fail with
+ * err.code INSUFFICIENT_CREDITS or MONTHLY_CAP_EXCEEDED (HTTP 402)
+ */
+export function getCredits(limit = 20) {
+  return request(`/credits?limit=${limit}`)
+}
+
+/**
+ * Columns and formats a leadset can be exported with
+ * Returns { formats: ['csv', 'xlsx', 'jsonl'], schemas: { default: [{ key, label, selected }], crm: [...] } }
  */
-export async function exportRun(leadsetId, runId) {
-  const response = await fetch(`${API_BASE_URL}${API_PREFIX}/leadsets/${leadsetId}/runs/${runId}/export`, {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json',
-      ...(localStorage.getItem('authToken') ? { Authorization: `Bearer ${localStorage.getItem('authToken')}` } : {}),
+export function getExportOptions(leadsetId) {
+  return request(`/leadsets/${leadsetId}/export-options`)
+}
+
+/**
+ * Export run data as CSV, XLSX or JSON Lines
+ * Backend: Builds the file from Firebase data and stores it (Firebase Storage,
+ * or the backend's local stand-in)
+ *
+ * options: { format, schema, columns, filters, requestedBy }
+ * - format: 'csv' | 'xlsx' | 'jsonl'
+ * - schema: 'default' | 'crm'
+ * - columns: column keys from getExportOptions (omit for the schema's defaults)
+ * - filters: the detail table's item query (see getLeadsetItems), so the file
+ *   holds the leads the table shows
+ * Returns the export doc: status 'completed' with a downloadUrl for small
+ * exports, 'queued' for big ones (poll getExport or listLeadsetExports)
+ */
+export function createExport(leadsetId, runId, options = {}) {
+  const { format = 'csv', schema = 'default', columns = null, filters = {}, requestedBy = null } = options
+  const { recency = [], ...rest } = filters
+  return request(`/leadsets/${leadsetId}/runs/${runId}/exports`, {
+    method: 'POST',
+    body: {
+      format,
+      schema,
+      columns: columns?.length ? columns : undefined,
+      filters: { ...rest, recency: recency.length ? recency.join(',') : undefined },
+      requestedBy,
     },
   })
+}
 
-  if (!response.ok) {
-    const text = await response.text()
-    throw new Error(text || `Export failed: ${response.status}`)
-  }
+/**
+ * Get one export (status, rowCount, downloadUrl once completed)
+ */
+export function getExport(exportId) {
+  return request(`/exports/${exportId}`)
+}
 
-  // Check if there's a storage URL in the header
-  const storageUrl = response.headers.get('x-export-url')
-  if (storageUrl) {
-    window.open(storageUrl, '_blank')
-    return storageUrl
-  }
+/**
+ * A leadset's past exports, newest first
+ * Returns { exports: [{ id, status, format, schema, rowCount, requestedBy, createdAt, expiresAt, downloadUrl }] }
+ */
+export function listLeadsetExports(leadsetId) {
+  return request(`/leadsets/${leadsetId}/exports`)
+}
 
-  // Otherwise, download the blob directly
-  const blob = await response.blob()
-  const url = URL.createObjectURL(blob)
+/**
+ * Start the browser download of a completed export
+ * Local-storage links are relative to the API host; Firebase links are absolute.
+ */
+export function downloadExport(exportDoc) {
+  if (!exportDoc?.downloadUrl) return null
+  const href = exportDoc.downloadUrl.startsWith('/') ? `${API_BASE_URL}${exportDoc.downloadUrl}` : exportDoc.downloadUrl
   const link = document.createElement('a')
-  link.href = url
-  link.download = `leadset-run-${runId}.csv`
+  link.href = href
+  link.download = exportDoc.fileName || ''
+  link.rel = 'noopener'
   document.body.appendChild(link)
   link.click()
   document.body.removeChild(link)
-  URL.revokeObjectURL(url)
-  
-  return url
+  return href
+}
+
+/**
+ * CRM destinations a leadset's items can be pushed to
+ * Returns { destinations: [{ id, name, kind, mapping, lastPushAt }] }
+ * Destinations are added and removed with the backend's admin routes.
+ */
+export function listDestinations(leadsetId) {
+  return request(`/leadsets/${leadsetId}/destinations`)
+}
+
+/**
+ * Push selected items to a CRM destination
+ * Backend: upserts each item's company and contact in the background and
+ * records their CRM ids on the item (item.crmSync)
+ * Returns the queued push; poll getCrmPush for its counts
+ */
+export function pushItemsToDestination(leadsetId, destinationId, itemIds, requestedBy = null) {
+  return request(`/leadsets/${leadsetId}/destinations/${destinationId}/push`, {
+    method: 'POST',
+    body: { itemIds, requestedBy },
+  })
+}
+
+/**
+ * Get a CRM push (status, counts, errors)
+ */
+export function getCrmPush(pushId) {
+  return request(`/crm-pushes/${pushId}`)
 }